@@ -0,0 +1,545 @@
+/**
+ * Sync Replay Harness
+ *
+ * Replays a generated dataset against a stand-in backend and checks that
+ * incremental sync leaves each device with exactly what the server has.
+ *
+ *   - FakeSupabase: Supabase kept in memory, with the behaviour of migration
+ *     032 (updated_at set from the server clock on every write, a tombstone
+ *     for every row deleted outright). All rows of one request share a
+ *     timestamp, as in Postgres, so pages end in the middle of a tie, and
+ *     that timestamp is when the request began, so a slow one commits rows
+ *     stamped before those a device has already pulled.
+ *   - The repository's MockAdapter, paged.
+ *
+ * Scenario: another device uploads the dataset in large batches; this device
+ * pulls it; the other device edits, soft-deletes, hard-deletes and adds rows;
+ * this device pulls the changes; a slow write on the other device commits
+ * rows stamped before them; this device edits and deletes locally and pushes;
+ * a fresh device pulls everything. After each step local records and the
+ * backend must match.
+ *
+ * Opened from sync-replay.html. Also runs in Node next to repository.js, and
+ * exits 1 on a mismatch so CI can run it:
+ *   node -e "require('./_tests/sync-replay.js').run().then(r => { console.log(r.ok); process.exitCode = r.ok ? 0 : 1; })"
+ */
+
+(function() {
+    'use strict';
+
+    const ACCOUNT = 'replay@fixture.test';
+    const UPLOAD_BATCH = 1000;
+    // Inside the repository's pull overlap (PULL_OVERLAP_MS)
+    const LATE_COMMIT_MS = 30 * 1000;
+
+    // Types replayed, with the fields compared between device and backend
+    const FIXTURE_TYPES = {
+        companies: ['name', 'status', 'industry'],
+        contacts: ['firstName', 'lastName', 'status'],
+        creative_analyses: ['name', 'status', 'overallScore']
+    };
+
+    function repositoryModule() {
+        if (typeof window !== 'undefined' && window.CAVRepository) return window.CAVRepository;
+        return require('../repository.js');
+    }
+
+    // ============================================
+    // FIXTURE
+    // ============================================
+
+    // Deterministic random numbers (mulberry32), so every run replays the same data
+    function createRng(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function fixtureId(rng) {
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+            const r = Math.floor(rng() * 16);
+            return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+        });
+    }
+
+    const WORDS = ['Acme', 'Northwind', 'Globex', 'Initech', 'Umbrella', 'Hooli', 'Vandelay', 'Stark', 'Wayne', 'Tyrell'];
+    const STATUSES = ['active', 'lead', 'archived', 'draft'];
+
+    function fixtureRecord(type, rng, revision = 0) {
+        const pick = (list) => list[Math.floor(rng() * list.length)];
+        const suffix = revision ? ` r${revision}` : '';
+        if (type === 'companies') {
+            return { name: `${pick(WORDS)} ${pick(WORDS)}${suffix}`, status: pick(STATUSES), industry: pick(['Retail', 'SaaS', 'Media']), tags: [pick(WORDS)] };
+        }
+        if (type === 'contacts') {
+            return { firstName: `${pick(WORDS)}${suffix}`, lastName: pick(WORDS), status: pick(STATUSES), email: `${Math.floor(rng() * 1e6)}@example.com` };
+        }
+        return { name: `Analysis ${Math.floor(rng() * 1e6)}${suffix}`, status: pick(STATUSES), overallScore: Math.floor(rng() * 100) };
+    }
+
+    /**
+     * @param {number} size - Records in the first upload
+     * @param {number} seed
+     * @returns {Object} - { rng, records: [{ type, id, data }] }
+     */
+    function generateFixture(size, seed = 42) {
+        const rng = createRng(seed);
+        const types = Object.keys(FIXTURE_TYPES);
+        const records = [];
+        for (let i = 0; i < size; i++) {
+            const type = types[i % types.length];
+            const id = fixtureId(rng);
+            records.push({ type, id, data: { id, uuid: id, ...fixtureRecord(type, rng) } });
+        }
+        return { rng, records };
+    }
+
+    // ============================================
+    // STAND-IN SUPABASE
+    // ============================================
+
+    // Split a PostgREST logic string on top-level commas
+    function splitFilter(text) {
+        const parts = [];
+        let depth = 0;
+        let quoted = false;
+        let current = '';
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (c === '\\' && quoted) {
+                current += c + text[++i];
+                continue;
+            }
+            if (c === '"') quoted = !quoted;
+            if (!quoted && c === '(') depth++;
+            if (!quoted && c === ')') depth--;
+            if (!quoted && depth === 0 && c === ',') {
+                parts.push(current);
+                current = '';
+                continue;
+            }
+            current += c;
+        }
+        if (current) parts.push(current);
+        return parts;
+    }
+
+    // 'a.gt.1,and(b.eq."x",c.gt.2)' -> row => boolean
+    function parseFilter(text, mode = 'or') {
+        const tests = splitFilter(text).map(part => {
+            const group = /^(and|or)\((.*)\)$/.exec(part);
+            if (group) return parseFilter(group[2], group[1]);
+            const [, column, op, raw] = /^([^.]+)\.([a-z]+)\.(.*)$/.exec(part);
+            const value = raw.startsWith('"') ? raw.slice(1, -1).replace(/\\(.)/g, '$1') : raw;
+            return (row) => compareOp(op, row[column], value);
+        });
+        return mode === 'and' ? (row) => tests.every(t => t(row)) : (row) => tests.some(t => t(row));
+    }
+
+    function compareOp(op, left, right) {
+        if (left === null || left === undefined) return op === 'is' && right === 'null';
+        const l = typeof left === 'number' ? left : String(left);
+        const r = typeof left === 'number' ? Number(right) : right;
+        switch (op) {
+            case 'eq': return l === r;
+            case 'gt': return l > r;
+            case 'gte': return l >= r;
+            case 'lt': return l < r;
+            case 'lte': return l <= r;
+            default: throw new Error(`Filter operator not supported here: ${op}`);
+        }
+    }
+
+    class FakeQuery {
+        constructor(db, table) {
+            this.db = db;
+            this.table = table;
+            this.action = 'select';
+            this.filters = [];
+            this.orders = [];
+            this.limitTo = null;
+            this.countMode = null;
+            this.returning = null;
+            this.single = false;
+        }
+
+        select(columns = '*', { count = null, head = false } = {}) {
+            if (this.action === 'select') {
+                this.columns = columns;
+                this.countMode = count;
+                this.head = head;
+            } else {
+                this.returning = columns;
+            }
+            return this;
+        }
+
+        insert(rows) { this.action = 'insert'; this.payload = [].concat(rows); return this; }
+        upsert(rows) { this.action = 'upsert'; this.payload = [].concat(rows); return this; }
+        update(patch) { this.action = 'update'; this.payload = patch; return this; }
+        delete() { this.action = 'delete'; return this; }
+
+        eq(column, value) { this.filters.push(row => row[column] === value); return this; }
+        gt(column, value) { this.filters.push(row => compareOp('gt', row[column], value)); return this; }
+        is(column, value) { this.filters.push(row => (row[column] ?? null) === value); return this; }
+        in(column, values) {
+            const set = new Set(values);
+            this.filters.push(row => set.has(row[column]));
+            return this;
+        }
+        or(text) { this.filters.push(parseFilter(text)); return this; }
+        order(column, { ascending = true } = {}) { this.orders.push([column, ascending]); return this; }
+        limit(count) { this.limitTo = count; return this; }
+        maybeSingle() { this.single = true; return this; }
+
+        then(resolve, reject) {
+            return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+        }
+
+        matching() {
+            return [...this.db.table(this.table).values()].filter(row => this.filters.every(f => f(row)));
+        }
+
+        project(rows, columns) {
+            if (!columns || columns === '*') return rows.map(row => ({ ...row }));
+            const names = columns.split(',').map(c => c.trim());
+            return rows.map(row => Object.fromEntries(names.map(n => [n, row[n]])));
+        }
+
+        result(rows, columns, count = null) {
+            const data = this.project(rows, columns);
+            return { data: this.single ? (data[0] || null) : data, error: null, count };
+        }
+
+        execute() {
+            this.db.requests[this.action] = (this.db.requests[this.action] || 0) + 1;
+            const table = this.db.table(this.table);
+
+            if (this.action === 'select') {
+                let rows = this.matching();
+                const count = this.countMode ? rows.length : null;
+                if (this.countMode) this.db.counts++;
+                if (this.head) return { data: null, error: null, count };
+                rows.sort((a, b) => {
+                    for (const [column, ascending] of this.orders) {
+                        if (a[column] === b[column]) continue;
+                        return (a[column] < b[column] ? -1 : 1) * (ascending ? 1 : -1);
+                    }
+                    return 0;
+                });
+                if (this.limitTo !== null) rows = rows.slice(0, this.limitTo);
+                return this.result(rows, this.columns, count);
+            }
+
+            // Every row written by one request gets the same server time
+            const now = this.db.now();
+            if (this.action === 'insert' || this.action === 'upsert') {
+                const written = this.payload.map(row => {
+                    const key = row.uuid || `row-${this.db.sequence + 1}`;
+                    const stored = {
+                        ...(this.action === 'upsert' ? table.get(key) : null),
+                        ...row,
+                        id: table.get(key)?.id || ++this.db.sequence,
+                        updated_at: now
+                    };
+                    stored.created_at = stored.created_at || now;
+                    table.set(key, stored);
+                    return stored;
+                });
+                return this.result(written, this.returning);
+            }
+
+            const rows = this.matching();
+            if (this.action === 'update') {
+                rows.forEach(row => Object.assign(row, this.payload, { updated_at: now }));
+                return this.result(rows, this.returning);
+            }
+
+            // Delete: the trigger of migration 032 leaves a tombstone
+            const tombstones = this.db.table('sync_tombstones');
+            rows.forEach(row => {
+                table.delete(row.uuid);
+                const id = ++this.db.sequence;
+                tombstones.set(id, { id, table_name: this.table, uuid: row.uuid, user_email: row.user_email, organization_id: row.organization_id || null, deleted_at: now });
+            });
+            return this.result(rows, this.returning);
+        }
+    }
+
+    class FakeSupabase {
+        constructor() {
+            this.tables = new Map();
+            this.sequence = 0;
+            // COUNT queries, which should not grow with the number of pages
+            this.counts = 0;
+            this.clock = Date.parse('2026-01-01T00:00:00.000Z');
+            // Set while a slow request runs: NOW() is when its transaction began
+            this.startedAt = null;
+            this.requests = {};
+        }
+
+        from(table) {
+            return new FakeQuery(this, table);
+        }
+
+        table(name) {
+            if (!this.tables.has(name)) this.tables.set(name, new Map());
+            return this.tables.get(name);
+        }
+
+        now() {
+            this.clock += 1000;
+            return new Date(this.startedAt ?? this.clock).toISOString();
+        }
+
+        requestCount() {
+            return Object.values(this.requests).reduce((sum, n) => sum + n, 0);
+        }
+    }
+
+    // ============================================
+    // BACKENDS
+    // ============================================
+
+    // What the harness needs from a stand-in: another device's edits, and its contents
+    function supabaseBackend(R) {
+        const server = new FakeSupabase();
+        const context = { userEmail: ACCOUNT, workspaceId: null };
+        const tableOf = (type) => R.schemaFor(type).supabase.table;
+        const inBatches = async (items, fn) => {
+            for (let i = 0; i < items.length; i += UPLOAD_BATCH) await fn(items.slice(i, i + UPLOAD_BATCH));
+        };
+        const byType = (records) => Object.keys(FIXTURE_TYPES).map(type => [type, records.filter(r => r.type === type)]);
+
+        return {
+            label: 'Supabase stand-in (migration 032 triggers)',
+            createAdapter: () => new R.SupabaseAdapter(() => server),
+            requestCount: () => server.requestCount(),
+            countQueries: () => server.counts,
+            async upsert(records) {
+                for (const [type, items] of byType(records)) {
+                    await inBatches(items, batch => server.from(tableOf(type)).upsert(batch.map(r => R.toRow(R.schemaFor(type), r.data, context))));
+                }
+            },
+            // Writes whose transactions began `ms` ago and commit only now
+            async lateUpsert(records, ms) {
+                server.startedAt = server.clock - ms;
+                try {
+                    await this.upsert(records);
+                } finally {
+                    server.startedAt = null;
+                }
+            },
+            async softDelete(records) {
+                for (const [type, items] of byType(records)) {
+                    await inBatches(items, batch => server.from(tableOf(type)).update({ deleted_at: new Date().toISOString() }).in('uuid', batch.map(r => r.id)));
+                }
+            },
+            async hardDelete(records) {
+                for (const [type, items] of byType(records)) {
+                    await inBatches(items, batch => server.from(tableOf(type)).delete().in('uuid', batch.map(r => r.id)));
+                }
+            },
+            live(type) {
+                const schema = R.schemaFor(type);
+                return [...server.table(tableOf(type)).values()].filter(row => !row.deleted_at).map(row => ({ id: row.uuid, data: R.fromRow(schema, row) }));
+            }
+        };
+    }
+
+    function mockBackend(R, pageSize) {
+        const mock = new R.MockAdapter({ name: 'replay-mock', pageSize });
+        mock.auto = true;
+        return {
+            label: `MockAdapter (pages of ${pageSize})`,
+            createAdapter: () => mock,
+            requestCount: () => mock.requests.push + mock.requests.pull,
+            countQueries: () => 0,
+            async upsert(records) {
+                records.forEach(r => mock.write(r.type, r.id, r.data));
+            },
+            // The mock's change counter is assigned at write time
+            async lateUpsert(records) {
+                return this.upsert(records);
+            },
+            async softDelete(records) {
+                records.forEach(r => mock.write(r.type, r.id, { deleted_at: new Date().toISOString() }));
+            },
+            async hardDelete(records) {
+                records.forEach(r => mock.destroy(r.type, r.id));
+            },
+            live(type) {
+                return [...mock.rows.values()].filter(row => row.entity_type === type && !row.data.deleted_at).map(row => ({ id: row.id, data: row.data }));
+            }
+        };
+    }
+
+    // ============================================
+    // DEVICES
+    // ============================================
+
+    // A repository kept in memory that talks only to the stand-in, and not to other tabs
+    async function createDevice(R, backend) {
+        const store = new R.MemoryRepositoryStore();
+        await store.setMeta('legacy_imported', true);
+        const device = new R.Repository({ store });
+        if (device.channel) {
+            device.channel.close();
+            device.channel = null;
+        }
+        device.configure({ context: () => ({ userEmail: ACCOUNT, workspaceId: null }) });
+        device.preferredAdapter = null;
+        device.adapters.clear();
+        device.registerAdapter(backend.createAdapter());
+        await device.ready;
+        return device;
+    }
+
+    // One sync stops after MAX_PULL_PAGES pages; a device that is further behind syncs again
+    async function syncUntilCurrent(device) {
+        const totals = { pushed: 0, pulled: 0, conflicts: 0, failed: 0, rounds: 0 };
+        let behind = true;
+        const off = device.on('sync_progress', (progress) => {
+            if (progress.phase === 'pull') behind = progress.total === null || progress.done < progress.total;
+        });
+        while (behind && totals.rounds < 10) {
+            behind = false;
+            const result = await device.sync();
+            ['pushed', 'pulled', 'conflicts', 'failed'].forEach(k => { totals[k] += result?.[k] || 0; });
+            totals.rounds++;
+        }
+        off();
+        return totals;
+    }
+
+    // Differences between the device's live records and the backend's
+    async function compare(device, backend) {
+        const problems = [];
+        for (const [type, fields] of Object.entries(FIXTURE_TYPES)) {
+            const remote = new Map(backend.live(type).map(r => [r.id, r.data]));
+            const local = new Map((await device.list(type)).map(r => [r.uuid || r.id, r]));
+            remote.forEach((data, id) => {
+                const mine = local.get(id);
+                if (!mine) {
+                    problems.push(`${type} ${id} missing on device`);
+                    return;
+                }
+                fields.forEach(f => {
+                    if (String(mine[f] ?? '') !== String(data[f] ?? '')) problems.push(`${type} ${id}.${f}: device "${mine[f]}", backend "${data[f]}"`);
+                });
+            });
+            local.forEach((_, id) => {
+                if (!remote.has(id)) problems.push(`${type} ${id} on device but deleted or missing on backend`);
+            });
+        }
+        return problems;
+    }
+
+    // ============================================
+    // REPLAY
+    // ============================================
+
+    /**
+     * @param {Object} options
+     * @param {number} options.size - Records in the first upload
+     * @param {string} options.backend - 'supabase' or 'mock'
+     * @param {Function} options.onStep - (step) as each step finishes
+     * @param {Function} options.onProgress - (sync_progress event) while syncing
+     * @returns {Promise<Object>} - { ok, backend, steps: [{ name, ms, requests, counts, applied, problems }] }
+     */
+    async function run({ size = 3000, seed = 42, backend = 'supabase', pageSize = 250, onStep = null, onProgress = null } = {}) {
+        const R = repositoryModule();
+        const stand = backend === 'mock' ? mockBackend(R, pageSize) : supabaseBackend(R);
+        const { rng, records } = generateFixture(size, seed);
+        const steps = [];
+
+        const step = async (name, device, fn) => {
+            const requestsBefore = stand.requestCount();
+            const countsBefore = stand.countQueries();
+            const started = Date.now();
+            const off = onProgress && device ? device.on('sync_progress', onProgress) : null;
+            const result = await fn();
+            if (off) off();
+            const entry = {
+                name,
+                ms: Date.now() - started,
+                requests: stand.requestCount() - requestsBefore,
+                counts: stand.countQueries() - countsBefore,
+                result,
+                problems: device ? await compare(device, stand) : []
+            };
+            steps.push(entry);
+            if (onStep) onStep(entry);
+            return entry;
+        };
+        const sample = (list, share) => list.filter(() => rng() < share);
+
+        const deviceA = await createDevice(R, stand);
+        await step(`Other device uploads ${records.length} records`, null, () => stand.upsert(records));
+        await step('This device pulls everything', deviceA, () => syncUntilCurrent(deviceA));
+
+        // Churn on the other device
+        const live = [...records];
+        const edited = sample(live, 0.1).map(r => ({ ...r, data: { ...r.data, ...fixtureRecord(r.type, rng, 1) } }));
+        const softDeleted = sample(live, 0.05);
+        const hardDeleted = sample(live.filter(r => !softDeleted.includes(r)), 0.02);
+        const added = generateFixture(Math.ceil(size * 0.05), seed + 1).records;
+        await step(`Other device edits ${edited.length}, deletes ${softDeleted.length}, purges ${hardDeleted.length}, adds ${added.length}`, null, async () => {
+            await stand.upsert(edited);
+            await stand.softDelete(softDeleted);
+            await stand.hardDelete(hardDeleted);
+            await stand.upsert(added);
+        });
+        await step('This device pulls the changes', deviceA, () => syncUntilCurrent(deviceA));
+
+        // Began before the pull above, committed after it
+        const gone = new Set([...softDeleted, ...hardDeleted].map(r => r.id));
+        const late = sample(live.filter(r => !gone.has(r.id)), 0.02).map(r => ({ ...r, data: { ...r.data, ...fixtureRecord(r.type, rng, 3) } }));
+        await step(`Other device commits ${late.length} edits begun ${LATE_COMMIT_MS / 1000}s earlier`, null, () => stand.lateUpsert(late, LATE_COMMIT_MS));
+        await step('This device pulls the late edits', deviceA, () => syncUntilCurrent(deviceA));
+
+        // Local edits pushed back
+        const remaining = live.filter(r => !gone.has(r.id));
+        const localEdits = sample(remaining, 0.08);
+        const localDeletes = sample(remaining.filter(r => !localEdits.includes(r)), 0.02);
+        for (const r of localEdits) {
+            const current = await deviceA.get(r.type, r.id);
+            await deviceA.save(r.type, { ...current, ...fixtureRecord(r.type, rng, 2) });
+        }
+        for (const r of localDeletes) await deviceA.remove(r.type, r.id);
+        await step(`This device pushes ${localEdits.length} edits and ${localDeletes.length} deletes`, deviceA, () => syncUntilCurrent(deviceA));
+
+        const deviceB = await createDevice(R, stand);
+        await step('A new device pulls everything', deviceB, () => syncUntilCurrent(deviceB));
+        await step('Nothing left to pull', deviceB, () => syncUntilCurrent(deviceB));
+
+        [deviceA, deviceB].forEach(device => {
+            if (device.flushTimer) clearTimeout(device.flushTimer);
+        });
+        return { ok: steps.every(s => s.problems.length === 0), backend: stand.label, steps };
+    }
+
+    // ============================================
+    // EXPORT
+    // ============================================
+    const SyncReplay = {
+        FIXTURE_TYPES,
+        generateFixture,
+        parseFilter,
+        FakeSupabase,
+        run
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SyncReplay;
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CAVSyncReplay = SyncReplay;
+    }
+})();
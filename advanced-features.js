@@ -1,116 +1,106 @@
 /**
  * Advanced Features Module
  * ========================
- * Version 2.2.0
+ * Version 2.11.0
  * 
  * Features:
- * 1. Processing Queue - Track AI jobs in progress
- * 2. Batch AI Operations - Apply AI to multiple assets
- * 3. Comparison View - Side-by-side original vs modified
- * 4. Folders/Collections - Organize assets into groups
+ * 1. Processing Queue - Durable AI job queue with history (job-queue.js)
+ * 2. Batch AI Operations - Apply AI to multiple assets, resize to platform packages
+ * 3. Comparison View - Side by side, slider and pixel diff with a change table
+ * 4. Folders/Collections - Organize assets into groups, or smart folders of saved queries (smart-folders.js)
  * 5. Download Derivatives - Export AI-created versions
- * 6. Asset Versioning - Track version history
- * 7. PDF Reports - Export validation reports
+ * 6. Asset Versioning - Stored version history with revert (asset-versions.js)
+ * 7. PDF Reports - Export validation reports (PDF / XLSX)
  * 8. True Pagination - Page numbers
- * 9. Scheduled Scans - Auto-scan integrations
- * 10. Undo/Revert - Revert to previous versions
+ * 9. Scheduled Scans - Background integration scans and folder reports with change history (scheduled-scans.js)
+ * 10. Undo/Redo - Multi-step history of library operations for the session (undo-history.js)
+ * 11. Similar Assets - Near-duplicates and resize families, merged into one asset with versions (perceptual-hash.js)
+ * 12. Global Search - Full-text, faceted search over assets, analyses, swipe file and CRM (search-index.js)
  */
 
 (function() {
     'use strict';
 
+    function escapeHtml(text) {
+        return String(text ?? '').replace(/[&<>"']/g, ch => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+        })[ch]);
+    }
+
     // ============================================
     // 1. PROCESSING QUEUE
     // ============================================
+    // Runs on the durable job queue (job-queue.js): jobs survive reloads,
+    // run in one tab at a time and finished jobs stay as history the panel
+    // can filter
     const ProcessingQueue = {
-        jobs: [],
         maxConcurrent: 3,
-        activeJobs: 0,
         listeners: [],
+        filter: { status: '', type: '', search: '' },
 
-        addJob(job) {
-            const newJob = {
-                id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                type: job.type, // 'animate', 'outpaint', 'extract-still', 'analysis'
-                assetId: job.assetId,
-                assetName: job.assetName,
-                status: 'queued', // queued, processing, completed, failed
-                progress: 0,
-                result: null,
-                error: null,
-                createdAt: new Date().toISOString(),
-                startedAt: null,
-                completedAt: null,
-                ...job
+        // Flattened view for the panel and toolbar badge
+        get jobs() {
+            return this.getJobs();
+        },
+
+        init() {
+            const queue = window.CAVJobQueue;
+            if (!queue) {
+                console.warn('[ProcessingQueue] job-queue.js not loaded, processing queue disabled');
+                return;
+            }
+
+            queue.maxConcurrent = this.maxConcurrent;
+            const executors = {
+                'animate': job => this.executeAnimateJob(job),
+                'outpaint': job => this.executeOutpaintJob(job),
+                'extract-still': job => this.executeExtractStillJob(job),
+                'analysis': job => this.executeAnalysisJob(job),
+                'resize': job => this.executeResizeJob(job)
             };
-            
-            this.jobs.unshift(newJob);
-            this.saveJobs();
-            this.notifyListeners('job_added', newJob);
-            this.processNext();
-            this.showQueueUI();
-            
-            return newJob.id;
+            Object.entries(executors).forEach(([type, execute]) => {
+                queue.registerHandler(type, (payload, context) => this.runJob(execute, payload, context));
+            });
+
+            queue.addListener((event, job) => {
+                this.notifyListeners(event, job && this.toJob(job));
+                this.updateQueueUI();
+            });
+
+            this.migrateLegacyJobs();
         },
 
-        async processNext() {
-            if (this.activeJobs >= this.maxConcurrent) return;
-            
-            const nextJob = this.jobs.find(j => j.status === 'queued');
-            if (!nextJob) return;
+        /**
+         * Queue a job. Type-specific fields (imageData, prompt, width, ...)
+         * are stored as the job payload.
+         * @returns {Promise<string>} Job id
+         */
+        addJob(job) {
+            const added = this.enqueueJob(job);
+            this.showQueueUI();
+            return added;
+        },
 
-            this.activeJobs++;
-            nextJob.status = 'processing';
-            nextJob.startedAt = new Date().toISOString();
-            this.notifyListeners('job_started', nextJob);
-            this.updateQueueUI();
+        enqueueJob({ type, assetId, assetName, ...payload }) {
+            if (!window.CAVJobQueue) return Promise.reject(new Error('Processing queue not available'));
+            return window.CAVJobQueue.enqueue(type, payload, { label: assetName, assetId });
+        },
 
-            try {
-                // Simulate progress updates
-                const progressInterval = setInterval(() => {
-                    if (nextJob.progress < 90) {
-                        nextJob.progress += Math.random() * 15;
-                        this.updateQueueUI();
-                    }
-                }, 500);
-
-                // Execute the job based on type
-                let result;
-                switch (nextJob.type) {
-                    case 'animate':
-                        result = await this.executeAnimateJob(nextJob);
-                        break;
-                    case 'outpaint':
-                        result = await this.executeOutpaintJob(nextJob);
-                        break;
-                    case 'extract-still':
-                        result = await this.executeExtractStillJob(nextJob);
-                        break;
-                    case 'analysis':
-                        result = await this.executeAnalysisJob(nextJob);
-                        break;
-                    default:
-                        result = { success: true };
+        // The AI endpoints report no progress, so it is simulated up to 90%
+        async runJob(execute, payload, { job, signal, progress }) {
+            let current = 0;
+            const progressInterval = setInterval(() => {
+                if (current < 90) {
+                    current += Math.random() * 15;
+                    progress(current);
                 }
+            }, 500);
 
+            try {
+                return await execute({ ...payload, id: job.id, assetId: job.assetId, signal });
+            } finally {
                 clearInterval(progressInterval);
-                nextJob.progress = 100;
-                nextJob.status = 'completed';
-                nextJob.result = result;
-                nextJob.completedAt = new Date().toISOString();
-                this.notifyListeners('job_completed', nextJob);
-
-            } catch (error) {
-                nextJob.status = 'failed';
-                nextJob.error = error.message;
-                nextJob.completedAt = new Date().toISOString();
-                this.notifyListeners('job_failed', nextJob);
             }
-
-            this.activeJobs--;
-            this.saveJobs();
-            this.updateQueueUI();
-            this.processNext();
         },
 
         async executeAnimateJob(job) {
@@ -121,7 +111,7 @@
                     { duration: job.duration || 6, motionStyle: job.motionStyle || 'auto' }
                 );
             }
-            throw new Error('AI Studio not configured');
+            throw this.permanentError('AI Studio not configured');
         },
 
         async executeOutpaintJob(job) {
@@ -132,7 +122,7 @@
                     job.prompt
                 );
             }
-            throw new Error('AI Studio not configured');
+            throw this.permanentError('AI Studio not configured');
         },
 
         async executeExtractStillJob(job) {
@@ -163,51 +153,79 @@
             if (window.cavAIStudio && window.cavAIStudio.hasApiKey()) {
                 return await window.cavAIStudio.generateImage(job.prompt);
             }
-            throw new Error('AI Studio not configured');
+            throw this.permanentError('AI Studio not configured');
+        },
+
+        // One channel of a package resize: Cloudinary transform with the
+        // package's crop/gravity/background overrides
+        async executeResizeJob(job) {
+            const client = window.cloudinaryClient;
+            if (!client) throw this.permanentError('Cloudinary not configured');
+            const publicId = job.cloudinaryId || (job.cloudinaryUrl && client.extractPublicId(job.cloudinaryUrl));
+            if (!publicId) throw this.permanentError('Asset must be uploaded to Cloudinary first');
+
+            return await client.transform(publicId, {
+                width: job.width,
+                height: job.height,
+                crop: job.crop,
+                gravity: job.gravity,
+                background: job.background,
+                resource_type: job.resourceType
+            });
+        },
+
+        // Configuration problems fail the job at once instead of retrying
+        permanentError(message) {
+            const error = new Error(message);
+            error.retryable = false;
+            return error;
+        },
+
+        // Queue record → the job shape listeners and the panel use
+        toJob(record) {
+            const { payload, label, finishedAt, ...job } = record;
+            return { ...payload, ...job, assetName: label, completedAt: finishedAt };
         },
 
+        /**
+         * @param {Object} [filter] - { status ('active', 'finished' or a job status), type, search, limit }
+         */
         getJobs(filter = {}) {
-            let filtered = [...this.jobs];
-            if (filter.status) {
-                filtered = filtered.filter(j => j.status === filter.status);
-            }
-            if (filter.type) {
-                filtered = filtered.filter(j => j.type === filter.type);
-            }
-            return filtered;
+            if (!window.CAVJobQueue) return [];
+            return window.CAVJobQueue.getJobs(filter).map(job => this.toJob(job));
         },
 
-        clearCompleted() {
-            this.jobs = this.jobs.filter(j => j.status !== 'completed' && j.status !== 'failed');
-            this.saveJobs();
-            this.updateQueueUI();
+        async clearCompleted() {
+            if (!window.CAVJobQueue) return;
+            const status = ['completed', 'failed', 'cancelled'].includes(this.filter.status) ? this.filter.status : null;
+            await window.CAVJobQueue.clearHistory(status);
         },
 
-        saveJobs() {
-            try {
-                // Only save last 50 jobs
-                const toSave = this.jobs.slice(0, 50);
-                localStorage.setItem('cav_processing_queue', JSON.stringify(toSave));
-            } catch (e) {
-                console.warn('Failed to save queue:', e);
-            }
+        cancelJob(id) {
+            return window.CAVJobQueue?.cancel(id);
+        },
+
+        retryJob(id) {
+            return window.CAVJobQueue?.retry(id);
         },
 
-        loadJobs() {
+        // Jobs still pending in the localStorage queue of earlier versions
+        // move to the durable queue once
+        migrateLegacyJobs() {
             try {
                 const saved = localStorage.getItem('cav_processing_queue');
-                if (saved) {
-                    this.jobs = JSON.parse(saved);
-                    // Reset any stuck jobs
-                    this.jobs.forEach(j => {
-                        if (j.status === 'processing') {
-                            j.status = 'queued';
-                            j.progress = 0;
-                        }
-                    });
+                if (!saved) return;
+                localStorage.removeItem('cav_processing_queue');
+
+                const pending = JSON.parse(saved).filter(j => j.status === 'queued' || j.status === 'processing');
+                pending.forEach(({ id, status, progress, result, error, createdAt, startedAt, completedAt, ...job }) => {
+                    this.enqueueJob(job).catch(e => console.warn('Failed to migrate queued job:', e));
+                });
+                if (pending.length > 0) {
+                    console.log(`[ProcessingQueue] Moved ${pending.length} pending job(s) to the durable queue`);
                 }
             } catch (e) {
-                console.warn('Failed to load queue:', e);
+                console.warn('Failed to migrate queue:', e);
             }
         },
 
@@ -221,18 +239,33 @@
 
         showQueueUI() {
             if (document.getElementById('cav-queue-panel')) return;
-            
+
+            const types = window.CAVJobQueue ? [...window.CAVJobQueue.handlers.keys()] : [];
             const panel = document.createElement('div');
             panel.id = 'cav-queue-panel';
             panel.innerHTML = `
                 <div class="cav-queue-header">
                     <span>🔄 Processing Queue</span>
                     <div class="cav-queue-actions">
-                        <button class="cav-queue-clear" title="Clear completed">🗑️</button>
+                        <button class="cav-queue-clear" title="Clear finished jobs">🗑️</button>
                         <button class="cav-queue-minimize" title="Minimize">−</button>
                         <button class="cav-queue-close" title="Close">✕</button>
                     </div>
                 </div>
+                <div class="cav-queue-filters">
+                    <select class="cav-queue-filter-status">
+                        <option value="">All jobs</option>
+                        <option value="active">Active</option>
+                        <option value="completed">Completed</option>
+                        <option value="failed">Failed</option>
+                        <option value="cancelled">Cancelled</option>
+                    </select>
+                    <select class="cav-queue-filter-type">
+                        <option value="">All types</option>
+                        ${types.map(type => `<option value="${type}">${type}</option>`).join('')}
+                    </select>
+                    <input type="search" class="cav-queue-filter-search" placeholder="Search...">
+                </div>
                 <div class="cav-queue-body"></div>
             `;
             document.body.appendChild(panel);
@@ -243,6 +276,24 @@
             };
             panel.querySelector('.cav-queue-clear').onclick = () => this.clearCompleted();
 
+            const statusSelect = panel.querySelector('.cav-queue-filter-status');
+            const typeSelect = panel.querySelector('.cav-queue-filter-type');
+            const searchInput = panel.querySelector('.cav-queue-filter-search');
+            statusSelect.value = this.filter.status;
+            typeSelect.value = this.filter.type;
+            searchInput.value = this.filter.search;
+            statusSelect.onchange = () => { this.filter.status = statusSelect.value; this.updateQueueUI(); };
+            typeSelect.onchange = () => { this.filter.type = typeSelect.value; this.updateQueueUI(); };
+            searchInput.oninput = () => { this.filter.search = searchInput.value.trim(); this.updateQueueUI(); };
+
+            panel.querySelector('.cav-queue-body').onclick = (e) => {
+                const button = e.target.closest('[data-job-action]');
+                if (!button) return;
+                const id = button.closest('.cav-queue-job').dataset.jobId;
+                if (button.dataset.jobAction === 'cancel') this.cancelJob(id);
+                if (button.dataset.jobAction === 'retry') this.retryJob(id);
+            };
+
             this.updateQueueUI();
         },
 
@@ -251,20 +302,21 @@
             if (!panel) return;
 
             const body = panel.querySelector('.cav-queue-body');
-            const activeJobs = this.jobs.filter(j => j.status === 'processing' || j.status === 'queued');
-            const recentJobs = this.jobs.slice(0, 10);
+            const jobs = this.getJobs({ ...this.filter, limit: 50 });
+            const filtered = this.filter.status || this.filter.type || this.filter.search;
 
-            if (recentJobs.length === 0) {
-                body.innerHTML = '<div class="cav-queue-empty">No jobs in queue</div>';
+            if (jobs.length === 0) {
+                body.innerHTML = `<div class="cav-queue-empty">${filtered ? 'No jobs match the filters' : 'No jobs in queue'}</div>`;
                 return;
             }
 
-            body.innerHTML = recentJobs.map(job => `
-                <div class="cav-queue-job ${job.status}">
+            body.innerHTML = jobs.map(job => `
+                <div class="cav-queue-job ${job.status}" data-job-id="${job.id}">
                     <div class="cav-queue-job-icon">${this.getJobIcon(job.type)}</div>
                     <div class="cav-queue-job-info">
                         <div class="cav-queue-job-name">${job.assetName || 'Asset'}</div>
-                        <div class="cav-queue-job-type">${job.type}</div>
+                        <div class="cav-queue-job-type">${job.type}${job.attempts > 1 ? ` · attempt ${job.attempts}/${job.maxAttempts}` : ''}</div>
+                        ${job.error ? `<div class="cav-queue-job-error" title="${String(job.error).replace(/"/g, '&quot;')}">${job.status === 'queued' ? 'Retrying: ' : ''}${job.error}</div>` : ''}
                     </div>
                     <div class="cav-queue-job-status">
                         ${job.status === 'processing' ? `
@@ -272,7 +324,12 @@
                                 <div class="cav-queue-progress-bar" style="width: ${job.progress}%"></div>
                             </div>
                             <span>${Math.round(job.progress)}%</span>
-                        ` : job.status === 'completed' ? '✅' : job.status === 'failed' ? '❌' : '⏳'}
+                        ` : job.status === 'completed' ? '✅' : job.status === 'failed' ? '❌' : job.status === 'cancelled' ? '🚫' : '⏳'}
+                        ${job.status === 'queued' || job.status === 'processing'
+                            ? '<button class="cav-queue-job-action" data-job-action="cancel" title="Cancel">✕</button>'
+                            : job.status === 'failed' || job.status === 'cancelled'
+                                ? '<button class="cav-queue-job-action" data-job-action="retry" title="Retry">↻</button>'
+                                : ''}
                     </div>
                 </div>
             `).join('');
@@ -284,6 +341,8 @@
                 case 'outpaint': return '🔧';
                 case 'extract-still': return '📸';
                 case 'analysis': return '🤖';
+                case 'resize': return '📦';
+                case 'autofix': return '🪄';
                 default: return '⚙️';
             }
         }
@@ -331,6 +390,14 @@
                                 </div>
                             </div>
                             
+                            <div class="cav-batch-op" data-op="package">
+                                <div class="cav-batch-op-icon">📦</div>
+                                <div class="cav-batch-op-info">
+                                    <strong>Resize to Package</strong>
+                                    <span>Create every size in a platform package, with per-channel crop, gravity and background</span>
+                                </div>
+                            </div>
+                            
                             <div class="cav-batch-op" data-op="extract-stills">
                                 <div class="cav-batch-op-icon">📸</div>
                                 <div class="cav-batch-op-info">
@@ -426,18 +493,130 @@
                         </div>
                     `;
                     break;
+                case 'package':
+                    this.renderPackageOptions(optionsDiv);
+                    break;
                 default:
                     optionsDiv.innerHTML = '';
                     optionsDiv.style.display = 'none';
             }
         },
 
+        // Package picker with an editable per-channel override table. Saving
+        // creates a custom package, or a new version of one.
+        renderPackageOptions(optionsDiv, selected = {}) {
+            const registry = window.CAVChannelSpecs;
+            const packageNames = Object.keys(registry.getPlatformPackages());
+            const name = selected.name && packageNames.includes(selected.name) ? selected.name : packageNames[0];
+            const custom = registry.getCustomPackages()[name];
+            const pkg = registry.getPackage(name, { version: selected.version }) || registry.getPackage(name);
+            const versions = custom ? [custom.version, ...custom.history.map(rev => rev.version)] : [];
+            const esc = (value) => String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+            const optionList = (values, current, blank) => [
+                `<option value="">${blank}</option>`,
+                ...values.map(v => `<option value="${v}" ${v === current ? 'selected' : ''}>${v}</option>`)
+            ].join('');
+
+            optionsDiv.innerHTML = `
+                <h4>Platform Package</h4>
+                <div class="cav-batch-option">
+                    <label>Package</label>
+                    <select id="batch-package">
+                        ${packageNames.map(n => {
+                            const c = registry.getCustomPackages()[n];
+                            return `<option value="${esc(n)}" ${n === name ? 'selected' : ''}>${esc(n)}${c ? ` (custom v${c.version})` : ''}</option>`;
+                        }).join('')}
+                    </select>
+                </div>
+                ${versions.length > 1 ? `
+                    <div class="cav-batch-option">
+                        <label>Version</label>
+                        <select id="batch-package-version">
+                            ${versions.map(v => `<option value="${v}" ${v === pkg.version ? 'selected' : ''}>v${v}${v === custom.version ? ' (latest)' : ''}</option>`).join('')}
+                        </select>
+                    </div>
+                ` : ''}
+                <table class="cav-batch-package-table">
+                    <thead><tr><th>Channel</th><th>Size</th><th>Crop</th><th>Gravity</th><th>Background</th></tr></thead>
+                    <tbody>
+                        ${pkg.channels.map(entry => {
+                            const size = registry.getTargetSize(registry.getSpec(entry.channel) || {});
+                            return `
+                                <tr data-channel="${esc(entry.channel)}">
+                                    <td>${esc(entry.channel)}</td>
+                                    <td>${size ? `${size.width}×${size.height}` : '—'}</td>
+                                    <td><select data-override="crop">${optionList(registry.PACKAGE_CROP_MODES, entry.crop, 'auto')}</select></td>
+                                    <td><select data-override="gravity">${optionList([...new Set([...registry.PACKAGE_GRAVITIES, 'auto:subject', entry.gravity].filter(Boolean))], entry.gravity, 'default')}</select></td>
+                                    <td><input type="text" data-override="background" value="${esc(entry.background)}" placeholder="e.g. white, blurred, gen_fill"></td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+                <div class="cav-batch-option cav-batch-package-save">
+                    <label>Save these overrides as a workspace package</label>
+                    <input type="text" id="batch-package-name" value="${esc(custom ? name : '')}" placeholder="e.g. Client Launch Bundle">
+                    <button type="button" id="batch-package-save">${custom ? 'Save New Version' : 'Save Package'}</button>
+                </div>
+            `;
+
+            optionsDiv.querySelector('#batch-package').onchange = (e) => {
+                this.renderPackageOptions(optionsDiv, { name: e.target.value });
+            };
+            const versionSelect = optionsDiv.querySelector('#batch-package-version');
+            if (versionSelect) {
+                versionSelect.onchange = (e) => {
+                    this.renderPackageOptions(optionsDiv, { name, version: parseInt(e.target.value, 10) });
+                };
+            }
+            optionsDiv.querySelector('#batch-package-name').oninput = (e) => {
+                const exists = !!registry.getCustomPackages()[e.target.value.trim()];
+                optionsDiv.querySelector('#batch-package-save').textContent = exists ? 'Save New Version' : 'Save Package';
+            };
+            optionsDiv.querySelector('#batch-package-save').onclick = () => {
+                const saveName = optionsDiv.querySelector('#batch-package-name').value.trim();
+                const manager = window.CAVSettings?.manager;
+                if (!manager) {
+                    alert('Settings are not loaded yet');
+                    return;
+                }
+                const result = manager.saveCustomPackage(saveName, {
+                    channels: this.readPackageChannels(optionsDiv),
+                    description: custom?.description
+                });
+                if (!result.success) {
+                    alert(`Could not save package: ${result.errors.join('; ')}`);
+                    return;
+                }
+                this.showNotification(`Saved "${saveName}" v${result.package.version}`);
+                this.renderPackageOptions(optionsDiv, { name: saveName });
+            };
+        },
+
+        readPackageChannels(optionsDiv) {
+            return [...optionsDiv.querySelectorAll('.cav-batch-package-table tbody tr')].map(row => {
+                const entry = { channel: row.dataset.channel };
+                row.querySelectorAll('[data-override]').forEach(input => {
+                    const value = input.value.trim();
+                    if (value) entry[input.dataset.override] = value;
+                });
+                return entry;
+            });
+        },
+
         async executeBatch(assets, operation, modal) {
             modal.querySelector('.cav-batch-start').disabled = true;
             modal.querySelector('.cav-batch-start').innerHTML = '<span class="cav-spinner"></span> Processing...';
 
             const options = this.getOptionsFromModal(modal, operation);
 
+            if (operation === 'package') {
+                const count = this.queuePackageJobs(assets, options);
+                modal.remove();
+                this.showNotification(`Added ${count} resize jobs for ${options.packageName} to processing queue`);
+                return;
+            }
+
             for (const asset of assets) {
                 const job = {
                     type: operation === 'fix-aspect' ? 'outpaint' : operation === 'extract-stills' ? 'extract-still' : operation,
@@ -464,11 +643,49 @@
                 options.motionStyle = modal.querySelector('#batch-motion')?.value || 'auto';
             } else if (operation === 'fix-aspect') {
                 options.targetAspectRatio = modal.querySelector('#batch-channel')?.value || '16:9';
+            } else if (operation === 'package') {
+                const versionSelect = modal.querySelector('#batch-package-version');
+                options.packageName = modal.querySelector('#batch-package')?.value;
+                options.packageVersion = versionSelect ? parseInt(versionSelect.value, 10) : null;
+                options.channels = this.readPackageChannels(modal.querySelector('.cav-batch-options'));
             }
             
             return options;
         },
 
+        // One resize job per asset and package channel the asset's media type fits
+        queuePackageJobs(assets, options) {
+            const registry = window.CAVChannelSpecs;
+            let count = 0;
+            for (const asset of assets) {
+                const isVideo = asset.type === 'video' || asset.file_type === 'video' || asset.mime_type?.startsWith('video/');
+                for (const entry of options.channels) {
+                    const spec = registry.getSpec(entry.channel);
+                    const size = spec && registry.getTargetSize(spec);
+                    if (!size || (spec.type !== 'both' && spec.type !== (isVideo ? 'video' : 'image'))) continue;
+
+                    ProcessingQueue.addJob({
+                        type: 'resize',
+                        assetId: asset.id,
+                        assetName: `${asset.filename} → ${entry.channel}`,
+                        channel: entry.channel,
+                        packageName: options.packageName,
+                        packageVersion: options.packageVersion,
+                        width: size.width,
+                        height: size.height,
+                        crop: entry.crop,
+                        gravity: entry.gravity,
+                        background: entry.background,
+                        cloudinaryId: asset.cloudinary_id,
+                        cloudinaryUrl: asset.cloudinary_url,
+                        resourceType: isVideo ? 'video' : 'image'
+                    });
+                    count++;
+                }
+            }
+            return count;
+        },
+
         showNotification(message) {
             const notif = document.createElement('div');
             notif.className = 'cav-batch-notification';
@@ -485,46 +702,93 @@
     // ============================================
     // 3. COMPARISON VIEW
     // ============================================
+    // Side by side, an overlay slider and a pixel diff of two states of an
+    // asset: original vs AI derivative, or two versions (asset-versions.js),
+    // with a table of what changed between them
     const ComparisonView = {
+        // Pixel diff runs on a copy scaled to this size so large images
+        // don't stall the page
+        PIXEL_DIFF_MAX_SIDE: 1024,
+
         open(originalAsset, derivativeAsset) {
+            const describe = (asset) => ({
+                ...(window.CAVAssetVersions?.toVersionShape(asset) || { width: asset.width, height: asset.height }),
+                filename: asset.filename,
+                previewUrl: asset.thumbnail_url || asset.dataUrl,
+            });
+
+            this.openDiff(describe(originalAsset), describe(derivativeAsset), {
+                title: '🔍 Compare: Original vs AI Modified',
+                labels: ['Original', 'AI Modified'],
+                badge: `🤖 ${derivativeAsset.createdBy || 'AI Generated'}`,
+                actions: [
+                    { label: 'Download Original', className: 'cav-comparison-download-orig', onClick: () => this.downloadAsset(originalAsset) },
+                    { label: 'Download Modified', className: 'cav-comparison-download-mod', onClick: () => this.downloadAsset(derivativeAsset) },
+                    { label: 'Use Modified', className: 'cav-comparison-use-mod', onClick: (modal, button) => this.useModified(originalAsset, derivativeAsset, modal, button) },
+                ],
+            });
+        },
+
+        /**
+         * before/after are version-shaped (CAVAssetVersions.toVersionShape)
+         * plus a previewUrl an <img> can load
+         */
+        openDiff(before, after, options = {}) {
+            const labels = options.labels || [`v${before.version}`, after.version ? `v${after.version}` : 'Current'];
+            const actions = options.actions || [];
+            const preview = (side, label) => side.previewUrl
+                ? `<img src="${side.previewUrl}" alt="${label}">`
+                : `<div class="cav-comparison-missing">No preview</div>`;
+
             const modal = document.createElement('div');
             modal.className = 'cav-comparison-overlay';
             modal.innerHTML = `
                 <div class="cav-comparison-modal">
                     <div class="cav-comparison-header">
-                        <h3>🔍 Compare: Original vs AI Modified</h3>
+                        <h3>${options.title || '🔍 Compare Versions'}</h3>
+                        <div class="cav-comparison-modes">
+                            <button data-mode="side" class="active">Side by side</button>
+                            <button data-mode="slider">Slider</button>
+                            <button data-mode="pixels">Pixel diff</button>
+                        </div>
                         <button class="cav-comparison-close">✕</button>
                     </div>
-                    <div class="cav-comparison-body">
+                    <div class="cav-comparison-body" data-view="side">
                         <div class="cav-comparison-pane original">
-                            <div class="cav-comparison-label">Original</div>
-                            <div class="cav-comparison-image">
-                                <img src="${originalAsset.thumbnail_url || originalAsset.dataUrl}" alt="Original">
-                            </div>
+                            <div class="cav-comparison-label">${labels[0]}</div>
+                            <div class="cav-comparison-image">${preview(before, labels[0])}</div>
                             <div class="cav-comparison-info">
-                                <p><strong>${originalAsset.filename}</strong></p>
-                                <p>${originalAsset.width}×${originalAsset.height}</p>
+                                <p><strong>${escapeHtml(before.filename)}</strong></p>
+                                <p>${before.width}×${before.height}</p>
                             </div>
                         </div>
-                        <div class="cav-comparison-divider">
-                            <div class="cav-comparison-slider-handle" id="comparison-slider"></div>
-                        </div>
+                        <div class="cav-comparison-divider"></div>
                         <div class="cav-comparison-pane modified">
-                            <div class="cav-comparison-label">AI Modified</div>
-                            <div class="cav-comparison-image">
-                                <img src="${derivativeAsset.thumbnail_url || derivativeAsset.dataUrl}" alt="Modified">
-                            </div>
+                            <div class="cav-comparison-label">${labels[1]}</div>
+                            <div class="cav-comparison-image">${preview(after, labels[1])}</div>
                             <div class="cav-comparison-info">
-                                <p><strong>${derivativeAsset.filename}</strong></p>
-                                <p>${derivativeAsset.width}×${derivativeAsset.height}</p>
-                                <p class="cav-comparison-badge">🤖 ${derivativeAsset.createdBy || 'AI Generated'}</p>
+                                <p><strong>${escapeHtml(after.filename)}</strong></p>
+                                <p>${after.width}×${after.height}</p>
+                                ${options.badge ? `<p class="cav-comparison-badge">${options.badge}</p>` : ''}
                             </div>
                         </div>
                     </div>
+                    <div class="cav-comparison-view" data-view="slider" hidden>
+                        <div class="cav-comparison-stage" style="aspect-ratio: ${before.width || 1} / ${before.height || 1}">
+                            ${preview(before, labels[0])}
+                            <div class="cav-comparison-after">${preview(after, labels[1])}</div>
+                            <div class="cav-comparison-slider-handle"></div>
+                        </div>
+                        <input type="range" class="cav-comparison-range" min="0" max="100" value="50">
+                        <div class="cav-comparison-stage-labels"><span>◀ ${labels[0]}</span><span>${labels[1]} ▶</span></div>
+                    </div>
+                    <div class="cav-comparison-view" data-view="pixels" hidden>
+                        <canvas class="cav-comparison-pixels"></canvas>
+                        <p class="cav-comparison-pixel-summary">Comparing pixels...</p>
+                    </div>
+                    ${this.renderMetrics(before, after, labels)}
                     <div class="cav-comparison-footer">
-                        <button class="cav-comparison-download-orig">Download Original</button>
-                        <button class="cav-comparison-download-mod">Download Modified</button>
-                        <button class="cav-comparison-use-mod">Use Modified</button>
+                        ${actions.map((a, i) => `<button class="${a.className || ''}" data-action="${i}">${a.label}</button>`).join('')}
                     </div>
                 </div>
             `;
@@ -532,19 +796,233 @@
             document.body.appendChild(modal);
 
             modal.querySelector('.cav-comparison-close').onclick = () => modal.remove();
-            modal.querySelector('.cav-comparison-download-orig').onclick = () => {
-                this.downloadAsset(originalAsset);
-            };
-            modal.querySelector('.cav-comparison-download-mod').onclick = () => {
-                this.downloadAsset(derivativeAsset);
-            };
+            modal.querySelectorAll('[data-action]').forEach(button => {
+                button.onclick = () => actions[button.dataset.action].onClick(modal, button);
+            });
+
+            let pixelsRendered = false;
+            modal.querySelectorAll('.cav-comparison-modes button').forEach(button => {
+                button.onclick = () => {
+                    const mode = button.dataset.mode;
+                    modal.querySelectorAll('.cav-comparison-modes button').forEach(b => b.classList.toggle('active', b === button));
+                    modal.querySelectorAll('[data-view]').forEach(view => { view.hidden = view.dataset.view !== mode; });
+                    if (mode === 'pixels' && !pixelsRendered) {
+                        pixelsRendered = true;
+                        this.renderPixelDiff(modal, before, after);
+                    }
+                };
+            });
 
             // Slider functionality for overlay comparison
             this.initSlider(modal);
+            return modal;
         },
 
+        // The "after" image sits over the "before" one and is clipped at the
+        // slider position; dragging on the image moves the slider too
         initSlider(modal) {
-            // Could implement a fancy overlay slider here
+            const stage = modal.querySelector('.cav-comparison-stage');
+            const range = modal.querySelector('.cav-comparison-range');
+            if (!stage || !range) return;
+
+            const after = stage.querySelector('.cav-comparison-after');
+            const handle = stage.querySelector('.cav-comparison-slider-handle');
+            const setPosition = (percent) => {
+                const clamped = Math.min(100, Math.max(0, percent));
+                after.style.clipPath = `inset(0 0 0 ${clamped}%)`;
+                handle.style.left = `${clamped}%`;
+                range.value = clamped;
+            };
+
+            range.addEventListener('input', () => setPosition(Number(range.value)));
+
+            let dragging = false;
+            const fromPointer = (e) => {
+                const rect = stage.getBoundingClientRect();
+                setPosition(((e.clientX - rect.left) / rect.width) * 100);
+            };
+            stage.addEventListener('pointerdown', (e) => {
+                dragging = true;
+                stage.setPointerCapture?.(e.pointerId);
+                fromPointer(e);
+            });
+            stage.addEventListener('pointermove', (e) => { if (dragging) fromPointer(e); });
+            stage.addEventListener('pointerup', () => { dragging = false; });
+
+            setPosition(Number(range.value));
+        },
+
+        loadImage(src) {
+            return new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('Could not load image'));
+                img.src = src;
+            });
+        },
+
+        // Both sides are drawn at the "before" image's size, so a resized
+        // version is compared after scaling rather than rejected
+        async renderPixelDiff(modal, before, after) {
+            const summary = modal.querySelector('.cav-comparison-pixel-summary');
+            const canvas = modal.querySelector('.cav-comparison-pixels');
+            if (!before.previewUrl || !after.previewUrl || !window.CAVAssetVersions) {
+                summary.textContent = 'Pixel diff needs a preview of both sides';
+                return;
+            }
+
+            try {
+                const [a, b] = await Promise.all([this.loadImage(before.previewUrl), this.loadImage(after.previewUrl)]);
+                const scale = Math.min(1, this.PIXEL_DIFF_MAX_SIDE / Math.max(a.naturalWidth, a.naturalHeight));
+                const width = Math.max(1, Math.round(a.naturalWidth * scale));
+                const height = Math.max(1, Math.round(a.naturalHeight * scale));
+                const read = (img) => {
+                    const c = document.createElement('canvas');
+                    c.width = width;
+                    c.height = height;
+                    const ctx = c.getContext('2d');
+                    ctx.drawImage(img, 0, 0, width, height);
+                    return ctx.getImageData(0, 0, width, height);
+                };
+
+                const diff = window.CAVAssetVersions.pixelDiff(read(a), read(b));
+                canvas.width = width;
+                canvas.height = height;
+                canvas.getContext('2d').putImageData(new ImageData(diff.overlay, width, height), 0, 0);
+
+                const resized = a.naturalWidth !== b.naturalWidth || a.naturalHeight !== b.naturalHeight;
+                summary.textContent = `${(diff.ratio * 100).toFixed(1)}% of pixels changed`
+                    + (resized ? ` (${b.naturalWidth}×${b.naturalHeight} scaled to ${a.naturalWidth}×${a.naturalHeight})` : '');
+            } catch (e) {
+                summary.textContent = `Pixel diff failed: ${e.message}`;
+            }
+        },
+
+        formatBytes(bytes) {
+            if (!bytes) return '—';
+            if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+            return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+        },
+
+        renderMetrics(before, after, labels) {
+            const versions = window.CAVAssetVersions;
+            if (!versions) return '';
+
+            const diff = versions.compareVersions(before, after);
+            const delta = (value, suffix = '') => {
+                if (!value) return '<td class="cav-diff-same">—</td>';
+                return `<td class="${value > 0 ? 'cav-diff-up' : 'cav-diff-down'}">${value > 0 ? '+' : ''}${value}${suffix}</td>`;
+            };
+            const changed = (isChanged) => `<td class="${isChanged ? 'cav-diff-changed' : 'cav-diff-same'}">${isChanged ? 'changed' : '—'}</td>`;
+            const scoreNames = { overall: 'Overall score', hook: 'Hook', cta: 'CTA', thumbStop: 'Thumb-stop', brand: 'Brand compliance' };
+
+            const rows = [
+                `<tr><th>Dimensions</th>
+                    <td>${diff.dimensions.before.width}×${diff.dimensions.before.height}</td>
+                    <td>${diff.dimensions.after.width}×${diff.dimensions.after.height}</td>
+                    ${changed(diff.dimensions.changed)}</tr>`,
+                `<tr><th>File size</th>
+                    <td>${this.formatBytes(diff.fileSize.before)}</td>
+                    <td>${this.formatBytes(diff.fileSize.after)}</td>
+                    ${diff.fileSize.delta ? `<td>${diff.fileSize.delta > 0 ? '+' : '-'}${this.formatBytes(Math.abs(diff.fileSize.delta))}</td>` : '<td class="cav-diff-same">—</td>'}</tr>`,
+            ];
+
+            if (diff.duration) {
+                rows.push(`<tr><th>Duration</th>
+                    <td>${diff.duration.before ?? '—'}s</td>
+                    <td>${diff.duration.after ?? '—'}s</td>
+                    ${changed(diff.duration.changed)}</tr>`);
+            }
+
+            if (diff.validation) {
+                const v = diff.validation;
+                const channelChanges = [
+                    ...v.gained.map(c => `<span class="cav-diff-up">+${escapeHtml(c)}</span>`),
+                    ...v.lost.map(c => `<span class="cav-diff-down">−${escapeHtml(c)}</span>`),
+                ].join(' ');
+                rows.push(`<tr><th>Validation</th>
+                    <td>${v.before === 'off-size' ? '⚠️ Off-size' : '✅'} ${v.compatibleBefore} channels</td>
+                    <td>${v.after === 'off-size' ? '⚠️ Off-size' : '✅'} ${v.compatibleAfter} channels</td>
+                    ${delta(v.compatibleAfter - v.compatibleBefore)}</tr>`);
+                if (channelChanges) {
+                    rows.push(`<tr><th>Channels</th><td colspan="3">${channelChanges}</td></tr>`);
+                }
+            } else {
+                rows.push('<tr><th>Validation</th><td colspan="3" class="cav-diff-same">Not validated on both sides</td></tr>');
+            }
+
+            diff.aiScores.forEach(score => {
+                rows.push(`<tr><th>${scoreNames[score.key]}</th>
+                    <td>${score.before ?? '—'}</td>
+                    <td>${score.after ?? '—'}</td>
+                    ${delta(score.delta)}</tr>`);
+            });
+
+            return `
+                <div class="cav-comparison-metrics">
+                    ${diff.sameFile ? '<p class="cav-diff-same">Both sides are the same file</p>' : ''}
+                    <table>
+                        <thead><tr><th></th><th>${labels[0]}</th><th>${labels[1]}</th><th>Change</th></tr></thead>
+                        <tbody>${rows.join('')}</tbody>
+                    </table>
+                </div>
+            `;
+        },
+
+        // Replace the library asset's file with the derivative, keeping the
+        // replaced file as a version so it can be reverted
+        async useModified(originalAsset, derivativeAsset, modal, button) {
+            const storage = window.cavApp?.storage;
+            if (!storage || !originalAsset.id) {
+                alert('Only assets saved in the library can be replaced');
+                return;
+            }
+
+            const label = button.textContent;
+            button.disabled = true;
+            button.textContent = 'Saving...';
+
+            try {
+                const versions = window.CAVAssetVersions;
+                if (versions) {
+                    await versions.captureVersion(originalAsset, { note: `Before applying ${derivativeAsset.filename}`, reason: 'derivative' });
+                }
+
+                const type = originalAsset.file_type || originalAsset.type;
+                const width = derivativeAsset.width || originalAsset.width;
+                const height = derivativeAsset.height || originalAsset.height;
+                const duration = derivativeAsset.duration || originalAsset.duration;
+                const fileSize = derivativeAsset.file_size || derivativeAsset.fileSize || null;
+                const updates = {
+                    width,
+                    height,
+                    duration,
+                    file_size: fileSize,
+                    mime_type: derivativeAsset.mime_type || derivativeAsset.mimeType || originalAsset.mime_type,
+                    file_hash: versions ? await versions.hashAsset(derivativeAsset) : null,
+                    validation: derivativeAsset.validation
+                        || window.cavValidatorApp?.validate?.(type, { width, height, duration, size: fileSize })
+                        || originalAsset.validation,
+                    applied_derivative: derivativeAsset.filename,
+                };
+                if (type === 'video' && derivativeAsset.video_url) {
+                    updates.video_url = derivativeAsset.video_url;
+                    if (derivativeAsset.thumbnail_url) updates.thumbnail_url = derivativeAsset.thumbnail_url;
+                } else {
+                    updates.thumbnail_url = derivativeAsset.thumbnail_url || derivativeAsset.dataUrl;
+                }
+
+                const result = await storage.updateAsset(originalAsset.id, updates);
+                if (!result?.success) throw new Error(result?.message || 'Failed to update asset');
+
+                await window.cavValidatorApp?.refresh?.();
+                modal.remove();
+            } catch (e) {
+                console.error('[Comparison] Use modified failed:', e);
+                alert(`Could not use the modified version: ${e.message}`);
+                button.disabled = false;
+                button.textContent = label;
+            }
         },
 
         downloadAsset(asset) {
@@ -558,12 +1036,18 @@
     // ============================================
     // 4. FOLDERS/COLLECTIONS
     // ============================================
+    // Manual folders list asset ids; smart folders (type 'smart') store a
+    // CAVSmartFolders query and are evaluated against the library on read
     const FoldersCollections = {
         folders: [],
         STORAGE_KEY: 'cav_folders',
+        SMART_COLOR: '#0ea5e9',
+        MAX_LIBRARY_ASSETS: 10000,
+        editor: null,
 
         init() {
             this.loadFolders();
+            this.registerUndoTypes();
         },
 
         loadFolders() {
@@ -607,22 +1091,176 @@
 
         addAssetToFolder(folderId, assetId) {
             const folder = this.folders.find(f => f.id === folderId);
-            if (folder && !folder.assetIds.includes(assetId)) {
+            if (folder && !this.isSmart(folder) && !folder.assetIds.includes(assetId)) {
                 folder.assetIds.push(assetId);
                 this.saveFolders();
             }
         },
 
+        /**
+         * Add several assets to a manual folder as one undoable step.
+         * @returns {number} - How many were not in the folder yet
+         */
+        addAssetsToFolder(folderId, assetIds) {
+            const folder = this.getFolder(folderId);
+            if (!folder || this.isSmart(folder)) return 0;
+            const added = assetIds.filter(id => !folder.assetIds.includes(id));
+            if (added.length === 0) return 0;
+
+            folder.assetIds.push(...added);
+            this.saveFolders();
+            window.CAVUndoHistory?.record({
+                type: 'folder.assign',
+                description: `Move ${added.length} asset${added.length !== 1 ? 's' : ''} to ${folder.name}`,
+                data: { folderId, assetIds: added },
+            });
+            return added.length;
+        },
+
+        registerUndoTypes() {
+            const refresh = () => window.cavValidatorApp?.refresh?.();
+            window.CAVUndoHistory?.registerType('folder.assign', {
+                undo: async (data) => {
+                    const folder = this.getFolder(data.folderId);
+                    if (!folder) throw new Error('The folder no longer exists');
+                    folder.assetIds = folder.assetIds.filter(id => !data.assetIds.includes(id));
+                    this.saveFolders();
+                    await refresh();
+                },
+                redo: async (data) => {
+                    const folder = this.getFolder(data.folderId);
+                    if (!folder) throw new Error('The folder no longer exists');
+                    folder.assetIds.push(...data.assetIds.filter(id => !folder.assetIds.includes(id)));
+                    this.saveFolders();
+                    await refresh();
+                },
+            });
+        },
+
         removeAssetFromFolder(folderId, assetId) {
             const folder = this.folders.find(f => f.id === folderId);
-            if (folder) {
+            if (folder && !this.isSmart(folder)) {
                 folder.assetIds = folder.assetIds.filter(id => id !== assetId);
                 this.saveFolders();
             }
         },
 
         getAssetFolders(assetId) {
-            return this.folders.filter(f => f.assetIds.includes(assetId));
+            return this.folders.filter(f => (f.assetIds || []).includes(assetId));
+        },
+
+        getFolder(folderId) {
+            return this.folders.find(f => f.id === folderId) || null;
+        },
+
+        // ----------------------------------------
+        // SMART FOLDERS
+        // ----------------------------------------
+
+        isSmart(folder) {
+            return folder?.type === 'smart';
+        },
+
+        assertQuery(query) {
+            const smart = window.CAVSmartFolders;
+            if (!smart) throw new Error('Smart folders (smart-folders.js) are not loaded');
+            const errors = smart.validateQuery(query);
+            if (errors.length > 0) throw new Error(errors.join('\n'));
+        },
+
+        /**
+         * @param {string} name
+         * @param {Object} query - { match: 'all'|'any', rules: [{ field, op, value, metric? }] }
+         */
+        createSmartFolder(name, query, color = this.SMART_COLOR) {
+            this.assertQuery(query);
+            const now = new Date().toISOString();
+            const folder = {
+                id: `folder_${Date.now()}`,
+                name,
+                color,
+                type: 'smart',
+                query,
+                createdAt: now,
+                updatedAt: now,
+            };
+            this.folders.push(folder);
+            this.saveFolders();
+            return folder;
+        },
+
+        updateSmartFolder(folderId, { name, color, query } = {}) {
+            const folder = this.getFolder(folderId);
+            if (!this.isSmart(folder)) return null;
+            if (query) this.assertQuery(query);
+            if (name) folder.name = name;
+            if (color) folder.color = color;
+            if (query) folder.query = query;
+            folder.updatedAt = new Date().toISOString();
+            this.saveFolders();
+            return folder;
+        },
+
+        /**
+         * The folder's assets among the given ones. Smart folders are
+         * evaluated now, so they follow edits, re-validation and analyses.
+         */
+        getFolderAssets(folder, assets) {
+            if (!folder) return [];
+            if (this.isSmart(folder)) {
+                return window.CAVSmartFolders ? window.CAVSmartFolders.filterAssets(assets, folder.query) : [];
+            }
+            const ids = new Set(folder.assetIds || []);
+            return assets.filter(a => ids.has(a.id));
+        },
+
+        // Every asset in the current library (personal or team), not just
+        // the page on screen
+        async getLibraryAssets() {
+            const app = window.cavApp;
+            if (!app?.storage) return window.cavValidatorApp?.assets || [];
+            const result = await app.storage.getAssets({
+                page: 1,
+                per_page: this.MAX_LIBRARY_ASSETS,
+                is_team: app.state.storageMode === 'team',
+                sort_by: app.state.sortBy,
+                sort_order: app.state.sortOrder,
+            });
+            return result.assets || [];
+        },
+
+        async resolveFolder(folderId) {
+            const folder = this.getFolder(folderId);
+            return folder ? this.getFolderAssets(folder, await this.getLibraryAssets()) : [];
+        },
+
+        // Show in library, batch operations, report or scheduled report
+        async runFolderAction(folderId, action, modal) {
+            const folder = this.getFolder(folderId);
+            if (!folder) return;
+
+            if (action === 'view') {
+                if (window.cavValidatorApp?.setFolderFilter) {
+                    window.cavValidatorApp.setFolderFilter(folder.id);
+                    modal.remove();
+                }
+                return;
+            }
+            if (action === 'schedule') {
+                ScheduledScans.showScheduleManager({ folderId: folder.id });
+                return;
+            }
+
+            const assets = await this.resolveFolder(folder.id);
+            if (action === 'batch') {
+                BatchOperations.showBatchPanel(assets);
+            } else if (action === 'report') {
+                if (assets.length === 0) {
+                    alert(`"${folder.name}" has no assets to report on`);
+                    return;
+                }
+                PDFReports.showReportOptions(assets, { title: `${folder.name} Validation Report` });
+            }
         },
 
         showFolderManager() {
@@ -645,7 +1283,9 @@
                             <input type="text" id="new-folder-name" placeholder="New folder name..." autocomplete="off">
                             <input type="color" id="new-folder-color" value="#8b5cf6">
                             <button type="button" id="create-folder-btn">+ Create</button>
+                            <button type="button" id="create-smart-folder-btn" title="Folder defined by rules">+ Smart</button>
                         </div>
+                        <div class="cav-smart-editor" id="smart-folder-editor" hidden></div>
                         <div class="cav-folders-list" id="folders-list"></div>
                     </div>
                 </div>
@@ -701,6 +1341,18 @@
                         }
                     });
                 }
+
+                // Smart folder: the name typed above, rules in the editor
+                const smartBtn = modal.querySelector('#create-smart-folder-btn');
+                if (smartBtn) {
+                    smartBtn.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        self.showSmartFolderEditor(modal, null, {
+                            name: nameInput?.value.trim() || '',
+                            color: self.SMART_COLOR,
+                        });
+                    });
+                }
                 
                 // Click outside to close
                 modal.addEventListener('click', (e) => {
@@ -719,14 +1371,21 @@
             }
 
             list.innerHTML = this.folders.map(folder => `
-                <div class="cav-folder-item" data-id="${folder.id}">
-                    <div class="cav-folder-color" style="background: ${folder.color || '#8b5cf6'}"></div>
+                <div class="cav-folder-item" data-id="${escapeHtml(folder.id)}">
+                    <div class="cav-folder-color" style="background: ${escapeHtml(folder.color || '#8b5cf6')}"></div>
                     <div class="cav-folder-info">
-                        <strong>${folder.name}</strong>
-                        <span>${(folder.assetIds || []).length} assets</span>
+                        <strong>${escapeHtml(folder.name)}${this.isSmart(folder) ? ' <em class="cav-folder-smart">Smart</em>' : ''}</strong>
+                        <span class="cav-folder-count">${this.isSmart(folder) ? 'Counting…' : `${(folder.assetIds || []).length} assets`}</span>
+                        ${this.isSmart(folder) && window.CAVSmartFolders
+                            ? `<span class="cav-folder-query">${escapeHtml(window.CAVSmartFolders.describeQuery(folder.query))}</span>`
+                            : ''}
                     </div>
                     <div class="cav-folder-actions">
-                        <button class="cav-folder-view" title="View">👁️</button>
+                        <button class="cav-folder-view" data-action="view" title="Show in library">👁️</button>
+                        <button data-action="batch" title="Batch operations">⚡</button>
+                        <button data-action="report" title="Generate report">📊</button>
+                        <button data-action="schedule" title="Schedule report">🕘</button>
+                        ${this.isSmart(folder) ? '<button class="cav-folder-edit" title="Edit rules">✏️</button>' : ''}
                         <button class="cav-folder-delete" title="Delete">🗑️</button>
                     </div>
                 </div>
@@ -742,208 +1401,596 @@
                     }
                 };
             });
-        }
-    };
 
-    // ============================================
-    // 5. DOWNLOAD DERIVATIVES
-    // ============================================
-    const DownloadManager = {
-        downloadAsset(asset) {
-            const link = document.createElement('a');
-            link.href = asset.file_url || asset.thumbnail_url || asset.dataUrl;
-            link.download = asset.filename || 'asset';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+            list.querySelectorAll('[data-action]').forEach(btn => {
+                btn.onclick = (e) => {
+                    const folderId = e.target.closest('.cav-folder-item').dataset.id;
+                    this.runFolderAction(folderId, btn.dataset.action, modal);
+                };
+            });
+
+            list.querySelectorAll('.cav-folder-edit').forEach(btn => {
+                btn.onclick = (e) => {
+                    const folder = this.getFolder(e.target.closest('.cav-folder-item').dataset.id);
+                    this.showSmartFolderEditor(modal, folder);
+                };
+            });
+
+            this.countSmartFolders(list);
         },
 
-        downloadMultiple(assets) {
-            // Download each with a small delay
-            assets.forEach((asset, index) => {
-                setTimeout(() => {
-                    this.downloadAsset(asset);
-                }, index * 500);
+        async countSmartFolders(list) {
+            if (!this.folders.some(f => this.isSmart(f))) return;
+            const assets = await this.getLibraryAssets();
+            list.querySelectorAll('.cav-folder-item').forEach(item => {
+                const folder = this.getFolder(item.dataset.id);
+                if (!this.isSmart(folder)) return;
+                item.querySelector('.cav-folder-count').textContent = `${this.getFolderAssets(folder, assets).length} assets`;
             });
         },
 
-        async downloadAsZip(assets, zipName = 'assets.zip') {
-            // Note: Requires JSZip library for actual implementation
-            alert(`Downloading ${assets.length} assets as ${zipName}...\n(ZIP functionality requires JSZip library)`);
-        }
-    };
+        // ----------------------------------------
+        // SMART FOLDER EDITOR
+        // ----------------------------------------
+
+        /**
+         * Rule builder for a new (folder null) or existing smart folder, with
+         * a live count against the library.
+         */
+        async showSmartFolderEditor(modal, folder, defaults = {}) {
+            const smart = window.CAVSmartFolders;
+            const container = modal.querySelector('#smart-folder-editor');
+            if (!smart) {
+                alert('Smart folders (smart-folders.js) are not loaded');
+                return;
+            }
 
-    // ============================================
-    // 6. ASSET VERSIONING
-    // ============================================
-    const VersionHistory = {
-        STORAGE_KEY: 'cav_versions',
-        versions: {},
+            this.editor = {
+                folderId: folder?.id || null,
+                query: JSON.parse(JSON.stringify(folder?.query || {
+                    match: 'all',
+                    rules: [this.defaultRule('validation')],
+                })),
+                assets: null,
+            };
 
-        init() {
-            this.loadVersions();
-        },
+            container.hidden = false;
+            container.innerHTML = `
+                <div class="cav-smart-editor-head">
+                    <input type="text" id="smart-folder-name" placeholder="Smart folder name..." value="${escapeHtml(folder?.name || defaults.name || '')}">
+                    <input type="color" id="smart-folder-color" value="${escapeHtml(folder?.color || defaults.color || this.SMART_COLOR)}">
+                </div>
+                <div class="cav-smart-editor-match">
+                    Assets matching
+                    <select id="smart-folder-match">
+                        <option value="all" ${this.editor.query.match !== 'any' ? 'selected' : ''}>all</option>
+                        <option value="any" ${this.editor.query.match === 'any' ? 'selected' : ''}>any</option>
+                    </select>
+                    of these rules
+                </div>
+                <div class="cav-smart-rules" id="smart-folder-rules"></div>
+                <div class="cav-smart-editor-foot">
+                    <button type="button" class="cav-smart-add">+ Rule</button>
+                    <span class="cav-smart-count" id="smart-folder-count"></span>
+                    <button type="button" class="cav-smart-cancel">Cancel</button>
+                    <button type="button" class="cav-smart-save">${folder ? 'Save' : 'Create'}</button>
+                </div>
+            `;
+
+            container.querySelector('#smart-folder-match').onchange = (e) => {
+                this.editor.query.match = e.target.value;
+                this.updateSmartCount(container);
+            };
+            container.querySelector('.cav-smart-add').onclick = () => {
+                this.readSmartRules(container);
+                this.editor.query.rules.push(this.defaultRule('type'));
+                this.renderSmartRules(container);
+            };
+            container.querySelector('.cav-smart-cancel').onclick = () => {
+                container.hidden = true;
+                container.innerHTML = '';
+                this.editor = null;
+            };
+            container.querySelector('.cav-smart-save').onclick = () => this.saveSmartFolder(modal, container);
+
+            this.renderSmartRules(container);
+            this.editor.assets = await this.getLibraryAssets();
+            this.updateSmartCount(container);
+        },
+
+        defaultRule(field) {
+            const spec = window.CAVSmartFolders.FIELDS[field];
+            const rule = { field, op: spec.ops[0], value: '' };
+            if (spec.input === 'enum') rule.value = Object.keys(spec.options)[0];
+            if (spec.input === 'channel') rule.value = (window.CAVChannelSpecs?.getChannelNames() || [])[0] || '';
+            if (spec.metrics) rule.metric = 'overall';
+            return rule;
+        },
+
+        renderRuleValue(rule, spec) {
+            const input = (value, type = 'text', extra = '') =>
+                `<input type="${type}" class="cav-smart-value" value="${escapeHtml(value ?? '')}" ${extra}>`;
+
+            if (rule.op === 'missing') return '';
+            if (spec.input === 'enum') {
+                return `<select class="cav-smart-value">${Object.entries(spec.options).map(([value, label]) =>
+                    `<option value="${escapeHtml(value)}" ${rule.value === value ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}</select>`;
+            }
+            if (spec.input === 'channel') {
+                const channels = (window.CAVChannelSpecs?.getChannelNames() || []).slice().sort();
+                return `<select class="cav-smart-value">${channels.map(ch =>
+                    `<option value="${escapeHtml(ch)}" ${rule.value === ch ? 'selected' : ''}>${escapeHtml(ch)}</option>`).join('')}</select>`;
+            }
+            if (rule.op === 'between') {
+                const [min, max] = Array.isArray(rule.value) ? rule.value : ['', ''];
+                return `${input(min, 'number', 'placeholder="min"')}${input(max, 'number', 'placeholder="max"')}`;
+            }
+            if (['withinDays', 'olderThanDays'].includes(rule.op)) return input(rule.value, 'number', 'min="0" placeholder="days"');
+            if (spec.input === 'date') return input(rule.value, 'date');
+            return input(rule.value, spec.input === 'number' ? 'number' : 'text');
+        },
+
+        renderSmartRules(container) {
+            const smart = window.CAVSmartFolders;
+            const rulesEl = container.querySelector('#smart-folder-rules');
+
+            rulesEl.innerHTML = this.editor.query.rules.map((rule, index) => {
+                const spec = smart.FIELDS[rule.field];
+                return `
+                    <div class="cav-smart-rule" data-index="${index}">
+                        <select class="cav-smart-field">
+                            ${Object.entries(smart.FIELDS).map(([field, f]) =>
+                                `<option value="${field}" ${rule.field === field ? 'selected' : ''}>${escapeHtml(f.label)}</option>`).join('')}
+                        </select>
+                        ${spec.metrics ? `<select class="cav-smart-metric">${Object.entries(spec.metrics).map(([metric, label]) =>
+                            `<option value="${metric}" ${(rule.metric || 'overall') === metric ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}</select>` : ''}
+                        <select class="cav-smart-op">
+                            ${spec.ops.map(op => `<option value="${op}" ${rule.op === op ? 'selected' : ''}>${escapeHtml(smart.OPERATORS[op])}</option>`).join('')}
+                        </select>
+                        ${this.renderRuleValue(rule, spec)}
+                        <button type="button" class="cav-smart-remove" title="Remove rule">✕</button>
+                    </div>
+                `;
+            }).join('');
+
+            rulesEl.querySelectorAll('.cav-smart-rule').forEach(row => {
+                const index = Number(row.dataset.index);
+                row.querySelector('.cav-smart-field').onchange = (e) => {
+                    this.readSmartRules(container);
+                    this.editor.query.rules[index] = this.defaultRule(e.target.value);
+                    this.renderSmartRules(container);
+                };
+                row.querySelector('.cav-smart-op').onchange = (e) => {
+                    this.readSmartRules(container);
+                    const rule = this.editor.query.rules[index];
+                    // Ranges and plain numbers do not convert into each other
+                    if ((rule.op === 'between') !== (e.target.value === 'between')) {
+                        rule.value = e.target.value === 'between' ? ['', ''] : '';
+                    }
+                    rule.op = e.target.value;
+                    this.renderSmartRules(container);
+                };
+                row.querySelector('.cav-smart-remove').onclick = () => {
+                    this.readSmartRules(container);
+                    this.editor.query.rules.splice(index, 1);
+                    this.renderSmartRules(container);
+                };
+                row.querySelectorAll('.cav-smart-value, .cav-smart-metric').forEach(el => {
+                    el.addEventListener(el.tagName === 'SELECT' ? 'change' : 'input', () => this.updateSmartCount(container));
+                });
+            });
+
+            this.updateSmartCount(container);
+        },
+
+        // Copy the values typed into the rule rows back into the query
+        readSmartRules(container) {
+            container.querySelectorAll('.cav-smart-rule').forEach(row => {
+                const rule = this.editor.query.rules[Number(row.dataset.index)];
+                const values = [...row.querySelectorAll('.cav-smart-value')].map(el => el.value);
+                const metric = row.querySelector('.cav-smart-metric');
+                if (metric) rule.metric = metric.value;
+                if (rule.op === 'missing') rule.value = '';
+                else rule.value = rule.op === 'between' ? values : values[0] ?? '';
+            });
+            this.editor.query.match = container.querySelector('#smart-folder-match').value;
+            return this.editor.query;
+        },
+
+        updateSmartCount(container) {
+            const countEl = container.querySelector('#smart-folder-count');
+            if (!this.editor || !countEl) return;
+            if (!this.editor.assets) {
+                countEl.textContent = 'Counting…';
+                return;
+            }
+            const query = this.readSmartRules(container);
+            const errors = window.CAVSmartFolders.validateQuery(query);
+            countEl.textContent = errors.length > 0
+                ? errors[0]
+                : `${window.CAVSmartFolders.filterAssets(this.editor.assets, query).length} of ${this.editor.assets.length} assets match`;
+        },
+
+        saveSmartFolder(modal, container) {
+            const name = container.querySelector('#smart-folder-name').value.trim();
+            const color = container.querySelector('#smart-folder-color').value;
+            const query = this.readSmartRules(container);
+            if (!name) {
+                container.querySelector('#smart-folder-name').focus();
+                return;
+            }
 
-        loadVersions() {
             try {
-                const saved = localStorage.getItem(this.STORAGE_KEY);
-                this.versions = saved ? JSON.parse(saved) : {};
+                if (this.editor.folderId) {
+                    this.updateSmartFolder(this.editor.folderId, { name, color, query });
+                } else {
+                    this.createSmartFolder(name, query, color);
+                }
             } catch (e) {
-                this.versions = {};
+                alert(e.message);
+                return;
             }
+
+            container.hidden = true;
+            container.innerHTML = '';
+            this.editor = null;
+            this.renderFoldersList(modal);
+            // The library's folder filter may be showing this folder
+            if (window.cavValidatorApp?.state?.filterFolder) window.cavValidatorApp.refresh();
+        }
+    };
+
+    // ============================================
+    // 5. DOWNLOAD DERIVATIVES
+    // ============================================
+    const DownloadManager = {
+        downloadAsset(asset) {
+            const link = document.createElement('a');
+            link.href = asset.file_url || asset.thumbnail_url || asset.dataUrl;
+            link.download = asset.filename || 'asset';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+        },
+
+        downloadMultiple(assets) {
+            // Download each with a small delay
+            assets.forEach((asset, index) => {
+                setTimeout(() => {
+                    this.downloadAsset(asset);
+                }, index * 500);
+            });
+        },
+
+        async downloadAsZip(assets, zipName = 'assets.zip') {
+            // Note: Requires JSZip library for actual implementation
+            alert(`Downloading ${assets.length} assets as ${zipName}...\n(ZIP functionality requires JSZip library)`);
+        }
+    };
+
+    // ============================================
+    // 6. ASSET VERSIONING
+    // ============================================
+    // UI over CAVAssetVersions (asset-versions.js), which keeps each
+    // version's file in IndexedDB and Supabase Storage
+    const VersionHistory = {
+        LEGACY_KEY: 'cav_versions',
+
+        get store() {
+            return window.CAVAssetVersions || null;
+        },
+
+        init() {
+            this.migrateLegacy();
         },
 
-        saveVersions() {
+        // Versions used to be whole asset objects in one localStorage key;
+        // the ones that still carry their file become real versions
+        async migrateLegacy() {
+            const saved = localStorage.getItem(this.LEGACY_KEY);
+            if (!saved || !this.store) return;
+
             try {
-                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.versions));
+                const legacy = JSON.parse(saved);
+                for (const [assetId, versions] of Object.entries(legacy)) {
+                    for (const version of versions) {
+                        const data = { ...(version.data || {}), id: assetId };
+                        if (!String(data.video_url || data.thumbnail_url || data.dataUrl || '').startsWith('data:')) continue;
+                        await this.store.captureVersion(data, { note: version.note || 'Imported', reason: 'legacy', force: true });
+                    }
+                }
             } catch (e) {
-                console.warn('Failed to save versions:', e);
+                console.warn('Failed to migrate versions:', e);
             }
+            localStorage.removeItem(this.LEGACY_KEY);
+        },
+
+        addVersion(asset, note = '') {
+            return this.store.captureVersion(asset, { note, reason: 'manual' });
+        },
+
+        getVersions(asset) {
+            return this.store ? this.store.getVersions(asset) : Promise.resolve([]);
         },
 
-        addVersion(assetId, versionData) {
-            if (!this.versions[assetId]) {
-                this.versions[assetId] = [];
+        async revertToVersion(asset, versionId) {
+            const { asset: updated } = await this.store.revertToVersion(asset, versionId);
+            await window.cavValidatorApp?.refresh?.();
+            return updated;
+        },
+
+        describeVersion(version) {
+            const parts = [`${version.width}×${version.height}`];
+            if (version.validation) {
+                parts.push(version.validation.isOffSize
+                    ? 'off-size'
+                    : `${(version.validation.compatible || []).length} channels`);
             }
-            
-            const version = {
-                id: `v_${Date.now()}`,
-                version: this.versions[assetId].length + 1,
-                data: versionData,
-                createdAt: new Date().toISOString(),
-                note: versionData.note || ''
-            };
-            
-            this.versions[assetId].push(version);
-            this.saveVersions();
-            return version;
+            if (version.aiScores?.overall != null) parts.push(`score ${version.aiScores.overall}`);
+            return parts.join(' · ');
         },
 
-        getVersions(assetId) {
-            return this.versions[assetId] || [];
+        async compareWithCurrent(asset, version) {
+            const previewUrl = await this.store.getPreviewUrl(version);
+            ComparisonView.openDiff(
+                { ...version, previewUrl },
+                { ...this.store.toVersionShape(asset), previewUrl: asset.thumbnail_url },
+                {
+                    title: `🔍 ${escapeHtml(asset.filename)}: v${version.version} vs current`,
+                    labels: [`v${version.version}`, 'Current'],
+                    actions: [{
+                        label: `Revert to v${version.version}`,
+                        className: 'cav-comparison-use-mod',
+                        onClick: async (modal) => {
+                            if (await this.confirmRevert(asset, version)) modal.remove();
+                        },
+                    }],
+                }
+            );
         },
 
-        revertToVersion(assetId, versionId) {
-            const versions = this.versions[assetId];
-            if (!versions) return null;
-            
-            const version = versions.find(v => v.id === versionId);
-            return version ? version.data : null;
+        async confirmRevert(asset, version) {
+            if (!confirm(`Revert "${asset.filename}" to v${version.version}? The current file is kept as a new version.`)) {
+                return false;
+            }
+            try {
+                const updated = await this.revertToVersion(asset, version.id);
+                document.querySelector('.cav-versions-overlay')?.remove();
+                this.showVersionHistory(updated || asset);
+                return true;
+            } catch (e) {
+                console.error('[Versions] Revert failed:', e);
+                alert(`Revert failed: ${e.message}`);
+                return false;
+            }
         },
 
-        showVersionHistory(asset) {
-            const versions = this.getVersions(asset.id);
-            
+        async showVersionHistory(asset) {
+            if (!this.store) {
+                alert('Version history is not available');
+                return;
+            }
+
             const modal = document.createElement('div');
             modal.className = 'cav-versions-overlay';
             modal.innerHTML = `
                 <div class="cav-versions-modal">
                     <div class="cav-versions-header">
-                        <h3>📚 Version History: ${asset.filename}</h3>
+                        <h3>📚 Version History: ${escapeHtml(asset.filename)}</h3>
                         <button class="cav-versions-close">✕</button>
                     </div>
                     <div class="cav-versions-body">
-                        ${versions.length === 0 ? `
-                            <div class="cav-versions-empty">No version history available</div>
-                        ` : versions.map(v => `
-                            <div class="cav-version-item" data-id="${v.id}">
-                                <div class="cav-version-number">v${v.version}</div>
-                                <div class="cav-version-info">
-                                    <span class="cav-version-date">${new Date(v.createdAt).toLocaleString()}</span>
-                                    ${v.note ? `<span class="cav-version-note">${v.note}</span>` : ''}
-                                </div>
-                                <button class="cav-version-revert">Revert</button>
-                            </div>
-                        `).reverse().join('')}
+                        <div class="cav-versions-save">
+                            <input type="text" id="version-note" placeholder="Note (optional)">
+                            <button id="save-version-btn">Save current version</button>
+                        </div>
+                        <div class="cav-versions-list"><div class="cav-versions-empty">Loading...</div></div>
                     </div>
                 </div>
             `;
 
             document.body.appendChild(modal);
             modal.querySelector('.cav-versions-close').onclick = () => modal.remove();
+            modal.querySelector('#save-version-btn').onclick = async (e) => {
+                e.target.disabled = true;
+                try {
+                    await this.addVersion(asset, modal.querySelector('#version-note').value.trim());
+                    modal.querySelector('#version-note').value = '';
+                    await this.renderVersionList(modal, asset);
+                } catch (err) {
+                    alert(`Could not save version: ${err.message}`);
+                }
+                e.target.disabled = false;
+            };
+
+            await this.renderVersionList(modal, asset);
+        },
+
+        async renderVersionList(modal, asset) {
+            const list = modal.querySelector('.cav-versions-list');
+            const versions = await this.getVersions(asset);
+            const cloudIcons = { synced: '☁️', failed: '⚠️', too_large: '💾', local: '💾' };
+
+            list.innerHTML = versions.length === 0
+                ? '<div class="cav-versions-empty">No version history available</div>'
+                : versions.map(v => `
+                    <div class="cav-version-item" data-id="${v.id}">
+                        <div class="cav-version-number">v${v.version}</div>
+                        <div class="cav-version-info">
+                            <span class="cav-version-date">${new Date(v.createdAt).toLocaleString()} <span title="${v.cloudStatus === 'synced' ? 'Stored in the cloud' : 'Stored on this device'}">${cloudIcons[v.cloudStatus] || ''}</span></span>
+                            <span class="cav-version-meta">${escapeHtml(this.describeVersion(v))}</span>
+                            ${v.note ? `<span class="cav-version-note">${escapeHtml(v.note)}</span>` : ''}
+                        </div>
+                        <button class="cav-version-compare" title="Compare with current">🔍</button>
+                        <button class="cav-version-revert" title="Revert to this version">↩️</button>
+                    </div>
+                `).join('');
+
+            list.querySelectorAll('.cav-version-item').forEach(item => {
+                const version = versions.find(v => v.id === item.dataset.id);
+                item.querySelector('.cav-version-compare').onclick = () => this.compareWithCurrent(asset, version);
+                item.querySelector('.cav-version-revert').onclick = () => this.confirmRevert(asset, version);
+            });
         }
     };
 
     // ============================================
     // 7. PDF REPORTS
     // ============================================
+    // Real PDF / XLSX files built by report-export.js: brand cover from the
+    // brand profile, compatibility matrices per channel category, auto-fix
+    // recommendations, AI scores and charts
     const PDFReports = {
+        THUMBNAIL_SIDE: 160,
+        LOGO_SIDE: 480,
+
+        /**
+         * @param {Object[]} assets - Library assets
+         * @param {Object} [options] - { title, format: 'pdf'|'xlsx', brandId, packageName, includeImages,
+         *   download (default true) }
+         * @returns {Promise<Object>} - { report, blob, filename }
+         */
         async generateReport(assets, options = {}) {
-            const reportTitle = options.title || 'Creative Asset Validation Report';
-            const includeImages = options.includeImages !== false;
-            
-            // Create HTML report (can be printed to PDF)
-            const report = document.createElement('div');
-            report.className = 'cav-pdf-report';
-            report.innerHTML = `
-                <style>
-                    @media print {
-                        .cav-pdf-report { padding: 20px; }
-                        .cav-report-header { text-align: center; margin-bottom: 30px; }
-                        .cav-report-asset { page-break-inside: avoid; margin-bottom: 20px; padding: 15px; border: 1px solid #ddd; }
-                        .cav-report-thumb { max-width: 200px; max-height: 150px; }
-                        .cav-compatible { color: green; }
-                        .cav-incompatible { color: red; }
-                    }
-                </style>
-                <div class="cav-report-header">
-                    <h1>${reportTitle}</h1>
-                    <p>Generated: ${new Date().toLocaleString()}</p>
-                    <p>Total Assets: ${assets.length}</p>
-                </div>
-                <div class="cav-report-summary">
-                    <h2>Summary</h2>
-                    <p>✅ Compatible: ${assets.filter(a => !a.validation?.isOffSize).length}</p>
-                    <p>⚠️ Off-Size: ${assets.filter(a => a.validation?.isOffSize).length}</p>
-                </div>
-                <div class="cav-report-assets">
-                    <h2>Asset Details</h2>
-                    ${assets.map(asset => `
-                        <div class="cav-report-asset">
-                            ${includeImages ? `<img class="cav-report-thumb" src="${asset.thumbnail_url || ''}" alt="${asset.filename}">` : ''}
-                            <h3>${asset.filename}</h3>
-                            <p><strong>Dimensions:</strong> ${asset.width}×${asset.height}</p>
-                            <p><strong>Aspect Ratio:</strong> ${asset.validation?.aspectRatio || 'N/A'}</p>
-                            <p><strong>Status:</strong> ${asset.validation?.isOffSize ? '<span class="cav-incompatible">Off-Size</span>' : '<span class="cav-compatible">Compatible</span>'}</p>
-                            ${asset.validation?.compatible?.length > 0 ? `
-                                <p><strong>Compatible Channels:</strong> ${asset.validation.compatible.join(', ')}</p>
-                            ` : ''}
-                        </div>
-                    `).join('')}
-                </div>
-            `;
+            const exporter = window.CAVReportExport;
+            if (!exporter) throw new Error('Report export (report-export.js) is not loaded');
+            const format = options.format === 'xlsx' ? 'xlsx' : 'pdf';
+            const includeImages = format === 'pdf' && options.includeImages !== false;
+            const channels = options.packageName
+                ? window.CAVChannelSpecs.getPlatformPackages()[options.packageName] || null
+                : null;
+
+            const profile = this.getBrandProfile(options.brandId);
+            const brand = profile ? { ...profile, logo: includeImages ? await this.loadLogo(profile) : null } : null;
+
+            const thumbnails = new Map();
+            if (includeImages) {
+                for (const asset of assets) {
+                    thumbnails.set(asset.id, await this.toJpeg(asset.thumbnail_url, this.THUMBNAIL_SIDE));
+                }
+            }
 
-            // Open print dialog
-            const printWindow = window.open('', '_blank');
-            printWindow.document.write(`
-                <!DOCTYPE html>
-                <html>
-                <head><title>${reportTitle}</title></head>
-                <body>${report.innerHTML}</body>
-                </html>
-            `);
-            printWindow.document.close();
-            printWindow.print();
+            const autoFix = window.cavAutoFix;
+            const report = exporter.buildReport(assets, {
+                title: options.title || (options.packageName ? `${options.packageName} Validation Report` : undefined),
+                brand,
+                channels,
+                // Same plan the auto-fix queue would run
+                recommend: autoFix
+                    ? specAsset => autoFix.buildFixPlan(autoFix.analyzeAsset(specAsset, channels))
+                    : undefined,
+                getScores: asset => exporter.scoresFromAnalysis(
+                    window.CAVAnalyze?.module?.getAnalysisForAsset?.(asset.id) || asset.analysis
+                ),
+                getThumbnail: asset => thumbnails.get(asset.id) || null,
+            });
+
+            const bytes = format === 'xlsx' ? exporter.toXlsx(report) : exporter.toPdf(report);
+            const blob = new Blob([bytes], { type: exporter.MIME_TYPES[format] });
+            const filename = exporter.reportFileName(report, format);
+            if (options.download !== false) this.download(blob, filename);
+            return { report, blob, filename };
+        },
+
+        getBrandProfile(brandId) {
+            const manager = window.CAVSettings?.manager;
+            if (!manager) return null;
+            if (brandId === 'none') return null;
+            return (brandId && manager.settings.brandProfiles.find(b => b.id === brandId))
+                || manager.getDefaultBrandProfile();
+        },
+
+        // Logos are stored as data URLs / URLs, or { url | dataUrl | src }
+        async loadLogo(profile) {
+            for (const logo of profile.logos || []) {
+                const src = typeof logo === 'string' ? logo : logo?.dataUrl || logo?.url || logo?.src;
+                const image = src ? await this.toJpeg(src, this.LOGO_SIDE) : null;
+                if (image) return image;
+            }
+            return null;
+        },
+
+        /**
+         * Re-encode any image the browser can draw as a JPEG for the PDF,
+         * on white (transparent logos would otherwise turn black).
+         * @returns {Promise<Object|null>} - CAVReportExport.jpegImage result
+         */
+        async toJpeg(src, maxSide) {
+            if (!src) return null;
+            try {
+                const img = await ComparisonView.loadImage(src);
+                const scale = Math.min(1, maxSide / Math.max(img.naturalWidth, img.naturalHeight));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+                canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = '#ffffff';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+                const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+                return blob ? window.CAVReportExport.jpegImage(new Uint8Array(await blob.arrayBuffer())) : null;
+            } catch (e) {
+                // Cross-origin or broken images are left out of the report
+                return null;
+            }
+        },
+
+        download(blob, filename) {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
         },
 
-        showReportOptions(assets) {
+        /**
+         * @param {Object[]} assets
+         * @param {Object} [options] - { title } to prefill
+         */
+        showReportOptions(assets, options = {}) {
+            const manager = window.CAVSettings?.manager;
+            const brands = manager?.settings.brandProfiles || [];
+            const defaultBrand = manager?.getDefaultBrandProfile();
+            const packages = Object.keys(window.CAVChannelSpecs?.getPlatformPackages() || {});
+
             const modal = document.createElement('div');
             modal.className = 'cav-report-overlay';
             modal.innerHTML = `
                 <div class="cav-report-modal">
                     <div class="cav-report-header">
-                        <h3>📊 Generate PDF Report</h3>
+                        <h3>📊 Generate Report</h3>
                         <button class="cav-report-close">✕</button>
                     </div>
                     <div class="cav-report-body">
                         <div class="cav-report-option">
                             <label>Report Title</label>
-                            <input type="text" id="report-title" value="Creative Asset Validation Report">
+                            <input type="text" id="report-title" value="${escapeHtml(options.title || 'Creative Asset Validation Report')}">
+                        </div>
+                        <div class="cav-report-option">
+                            <label>Format</label>
+                            <select id="report-format">
+                                <option value="pdf">PDF (cover, charts, matrices)</option>
+                                <option value="xlsx">Excel workbook (XLSX)</option>
+                            </select>
+                        </div>
+                        <div class="cav-report-option">
+                            <label>Brand</label>
+                            <select id="report-brand">
+                                ${brands.map(b => `<option value="${escapeHtml(b.id)}" ${b === defaultBrand ? 'selected' : ''}>${escapeHtml(b.name)}</option>`).join('')}
+                                <option value="none" ${defaultBrand ? '' : 'selected'}>No brand cover</option>
+                            </select>
+                        </div>
+                        <div class="cav-report-option">
+                            <label>Channels</label>
+                            <select id="report-package">
+                                <option value="">All channels</option>
+                                ${packages.map(p => `<option value="${escapeHtml(p)}">${escapeHtml(p)}</option>`).join('')}
+                            </select>
                         </div>
                         <div class="cav-report-option">
                             <label>
                                 <input type="checkbox" id="report-images" checked>
-                                Include thumbnails
+                                Include thumbnails and logo (PDF)
                             </label>
                         </div>
                         <div class="cav-report-preview">
@@ -952,7 +1999,7 @@
                     </div>
                     <div class="cav-report-footer">
                         <button class="cav-report-cancel">Cancel</button>
-                        <button class="cav-report-generate">📄 Generate PDF</button>
+                        <button class="cav-report-generate">📄 Generate</button>
                     </div>
                 </div>
             `;
@@ -960,11 +2007,25 @@
             document.body.appendChild(modal);
             modal.querySelector('.cav-report-close').onclick = () => modal.remove();
             modal.querySelector('.cav-report-cancel').onclick = () => modal.remove();
-            modal.querySelector('.cav-report-generate').onclick = () => {
-                const title = modal.querySelector('#report-title').value;
-                const includeImages = modal.querySelector('#report-images').checked;
-                modal.remove();
-                this.generateReport(assets, { title, includeImages });
+            modal.querySelector('.cav-report-generate').onclick = async (e) => {
+                const button = e.currentTarget;
+                button.disabled = true;
+                button.textContent = 'Generating…';
+                try {
+                    await this.generateReport(assets, {
+                        title: modal.querySelector('#report-title').value,
+                        format: modal.querySelector('#report-format').value,
+                        brandId: modal.querySelector('#report-brand').value,
+                        packageName: modal.querySelector('#report-package').value || null,
+                        includeImages: modal.querySelector('#report-images').checked,
+                    });
+                    modal.remove();
+                } catch (err) {
+                    console.error('[Reports] Generation failed:', err);
+                    alert(`Could not generate the report: ${err.message}`);
+                    button.disabled = false;
+                    button.textContent = '📄 Generate';
+                }
             };
         }
     };
@@ -1073,85 +2134,318 @@
     // ============================================
     const ScheduledScans = {
         schedules: [],
-        STORAGE_KEY: 'cav_schedules',
-        timers: {},
+        runs: [],
+        LEGACY_STORAGE_KEY: 'cav_schedules',
+        CHECK_INTERVAL_MS: 60000,
+        WORKER_SCOPE: './scheduled-scans/',
+        owner: `page_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        timer: null,
+        running: false,
+        background: 'unsupported', // 'periodic' | 'sync' | 'unsupported'
+        registration: null,
+
+        get store() {
+            return window.CAVScheduledScans;
+        },
 
-        init() {
-            this.loadSchedules();
-            this.startSchedules();
+        async init() {
+            if (!this.store) {
+                console.warn('[ScheduledScans] scheduled-scans.js not loaded');
+                return;
+            }
+
+            await this.migrateLegacySchedules();
+            await this.loadSchedules();
+
+            // While the page is open it checks every minute; the service
+            // worker covers the time it is closed
+            this.timer = setInterval(() => this.runDueSchedules(), this.CHECK_INTERVAL_MS);
+            this.listenToServiceWorker();
+            await this.registerBackgroundSync();
+
+            // Catch up on runs missed while closed and on digests the
+            // service worker recorded but could not send
+            await this.runDueSchedules();
         },
 
-        loadSchedules() {
+        // Schedules used to live in localStorage and only ran on page timers
+        async migrateLegacySchedules() {
             try {
-                const saved = localStorage.getItem(this.STORAGE_KEY);
-                this.schedules = saved ? JSON.parse(saved) : [];
+                const saved = JSON.parse(localStorage.getItem(this.LEGACY_STORAGE_KEY) || '[]');
+                const imported = await this.store.importLegacy(saved);
+                localStorage.removeItem(this.LEGACY_STORAGE_KEY);
+                if (imported) console.log(`[ScheduledScans] Moved ${imported} schedule(s) to IndexedDB`);
             } catch (e) {
-                this.schedules = [];
+                console.warn('[ScheduledScans] Could not migrate saved schedules:', e);
             }
         },
 
-        saveSchedules() {
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.schedules));
+        async loadSchedules() {
+            this.schedules = await this.store.getSchedules();
+            this.runs = await this.store.getRuns({ limit: 200 });
+        },
+
+        // Token and folder the service worker needs to scan without the page
+        captureAccess(integrationId) {
+            const connection = window.cavIntegrations?.connections?.[integrationId];
+            if (!connection?.accessToken) return null;
+            return {
+                accessToken: connection.accessToken,
+                folder: connection.settings?.selectedFolder || null,
+                capturedAt: new Date().toISOString(),
+            };
         },
 
-        createSchedule(options) {
-            const schedule = {
-                id: `sched_${Date.now()}`,
+        /**
+         * @param {Object} options - { name, integration, interval (minutes),
+         *   report: { folderId, format } for smart folder report schedules }
+         */
+        async createSchedule(options) {
+            const integration = this.store.normalizeIntegration(options.integration);
+            const isReport = integration === this.store.REPORT_INTEGRATION;
+            const schedule = await this.store.createSchedule({
                 name: options.name,
-                integration: options.integration, // 'google-drive', 'dropbox', etc.
+                integration,
                 interval: options.interval, // in minutes
-                enabled: true,
-                lastRun: null,
-                nextRun: new Date(Date.now() + options.interval * 60000).toISOString(),
-                createdAt: new Date().toISOString(),
-            };
-            
-            this.schedules.push(schedule);
-            this.saveSchedules();
-            this.startSchedule(schedule);
+                access: isReport ? null : this.captureAccess(integration),
+                report: isReport ? { folderId: options.report.folderId, format: options.report.format || 'pdf' } : null,
+            });
+
+            await this.loadSchedules();
+            await this.registerBackgroundSync();
             return schedule;
         },
 
-        deleteSchedule(scheduleId) {
-            if (this.timers[scheduleId]) {
-                clearInterval(this.timers[scheduleId]);
-                delete this.timers[scheduleId];
-            }
-            this.schedules = this.schedules.filter(s => s.id !== scheduleId);
-            this.saveSchedules();
+        async deleteSchedule(scheduleId) {
+            await this.store.deleteSchedule(scheduleId);
+            await this.loadSchedules();
+            await this.registerBackgroundSync();
         },
 
-        startSchedules() {
-            this.schedules.filter(s => s.enabled).forEach(s => this.startSchedule(s));
+        async runDueSchedules() {
+            if (this.running || !this.store) return;
+            this.running = true;
+            try {
+                for (const schedule of await this.store.getDueSchedules()) {
+                    await this.runScheduledScan(schedule);
+                }
+                await this.sendPendingDigests();
+            } catch (e) {
+                console.error('[ScheduledScans] Checking schedules failed:', e);
+            } finally {
+                this.running = false;
+                await this.loadSchedules();
+            }
         },
 
-        startSchedule(schedule) {
-            if (this.timers[schedule.id]) {
-                clearInterval(this.timers[schedule.id]);
+        async runScheduledScan(schedule, { force = false } = {}) {
+            const claimed = await this.store.claim(schedule.id, this.owner, { force });
+            if (!claimed) return null;
+
+            console.log(`🔄 Running scheduled scan: ${claimed.name}`);
+            const startedAt = new Date().toISOString();
+            let run = null;
+
+            try {
+                let results;
+                if (this.store.isReportSchedule(claimed)) {
+                    results = await this.runReport(claimed);
+                } else if (window.cavIntegrations?.connections?.[claimed.integration]) {
+                    // Refresh the worker's copy of the token while we have it
+                    const access = this.captureAccess(claimed.integration);
+                    if (access) await this.store.updateSchedule(claimed.id, { access });
+                    results = await window.cavIntegrations.scanService(claimed.integration, { notify: false });
+                } else {
+                    results = { error: `Not connected to ${this.store.integrationName(claimed.integration)}` };
+                }
+                run = await this.store.recordRun(claimed, results, { runner: 'page', startedAt });
+            } catch (e) {
+                console.error('Scheduled scan failed:', e);
+                run = await this.store.recordRun(claimed, { error: e.message }, { runner: 'page', startedAt });
+            } finally {
+                await this.store.release(claimed.id, run || { status: 'failed', finishedAt: new Date().toISOString() });
+            }
+
+            if (run.digestPending) {
+                await this.sendDigest(run);
             }
+            return run;
+        },
+
+        /**
+         * A folder report run: the folder's assets take the place of a
+         * cloud listing (so runs diff what entered, changed or left the
+         * folder) and the report file is kept on the run.
+         */
+        async runReport(schedule) {
+            const folder = FoldersCollections.getFolder(schedule.report?.folderId);
+            if (!folder) return { error: 'The folder for this report was deleted' };
+
+            const assets = FoldersCollections.getFolderAssets(folder, await FoldersCollections.getLibraryAssets());
+            const scanned = assets.map(asset => this.store.validateAsset({
+                id: asset.id,
+                name: asset.filename,
+                type: asset.file_type === 'video' ? 'video' : 'image',
+                width: asset.width,
+                height: asset.height,
+                size: asset.file_size,
+                duration: asset.duration,
+                modifiedAt: asset.updated_at || asset.created_at,
+            }));
+
+            const format = schedule.report.format || 'pdf';
+            const { blob, filename } = await PDFReports.generateReport(assets, {
+                title: `${folder.name} Validation Report`,
+                format,
+                download: false,
+            });
+
+            return {
+                integrationName: `${this.store.integrationName(schedule.integration)}: ${folder.name}`,
+                scannedAt: new Date().toISOString(),
+                totalFiles: scanned.length,
+                imagesFound: scanned.filter(a => a.type === 'image').length,
+                videosFound: scanned.filter(a => a.type === 'video').length,
+                issues: scanned.filter(a => a.validationIssues.length > 0),
+                assets: scanned,
+                report: { filename, format, size: blob.size, blob },
+            };
+        },
 
-            this.timers[schedule.id] = setInterval(() => {
-                this.runScheduledScan(schedule);
-            }, schedule.interval * 60000);
+        downloadRunReport(runId) {
+            const run = this.runs.find(r => r.id === runId);
+            if (run?.report?.blob) PDFReports.download(run.report.blob, run.report.filename);
         },
 
-        async runScheduledScan(schedule) {
-            console.log(`🔄 Running scheduled scan: ${schedule.name}`);
-            schedule.lastRun = new Date().toISOString();
-            schedule.nextRun = new Date(Date.now() + schedule.interval * 60000).toISOString();
-            this.saveSchedules();
+        async sendPendingDigests() {
+            for (const run of await this.store.getPendingDigests()) {
+                await this.sendDigest(run);
+            }
+        },
 
-            // Trigger integration scan
-            if (window.cavIntegrations) {
+        // Notify about assets that are new or newly off-spec since the last
+        // run, through the integration hub's email/Slack settings
+        async sendDigest(run) {
+            const hub = window.cavIntegrations;
+            if (!hub) return;
+
+            if (hub.settings?.notifyOnIssues) {
                 try {
-                    await window.cavIntegrations.scanService(schedule.integration);
+                    await hub.sendNotifications(this.store.buildDigest(run));
                 } catch (e) {
-                    console.error('Scheduled scan failed:', e);
+                    console.error('[ScheduledScans] Digest failed:', e);
+                    return;
+                }
+            }
+            await this.store.markDigestSent(run.id);
+        },
+
+        // ----------------------------------------
+        // SERVICE WORKER
+        // ----------------------------------------
+
+        /**
+         * Register sw.js for periodic background sync. It gets its own scope
+         * with no pages in it, so it wakes up for scans without taking over
+         * page loading.
+         */
+        async registerBackgroundSync() {
+            if (!('serviceWorker' in navigator)) return;
+
+            try {
+                const minInterval = await this.store.getMinInterval();
+                const registration = this.registration
+                    || await navigator.serviceWorker.register('./sw.js', { scope: this.WORKER_SCOPE });
+                this.registration = registration;
+                await this.waitForActive(registration);
+
+                if (!minInterval) {
+                    await registration.periodicSync?.unregister(this.store.SYNC_TAG);
+                    return;
+                }
+
+                if (registration.periodicSync) {
+                    const permission = await navigator.permissions
+                        ?.query({ name: 'periodic-background-sync' })
+                        .catch(() => null);
+                    if (!permission || permission.state === 'granted') {
+                        await registration.periodicSync.register(this.store.SYNC_TAG, {
+                            minInterval: minInterval * 60000,
+                        });
+                        this.background = 'periodic';
+                        return;
+                    }
+                }
+
+                // One-off sync still lets the worker catch up when the
+                // browser comes back online
+                if (registration.sync) {
+                    await registration.sync.register(this.store.SYNC_TAG);
+                    this.background = 'sync';
+                }
+            } catch (e) {
+                console.warn('[ScheduledScans] Background sync unavailable:', e.message);
+                this.background = 'unsupported';
+            }
+        },
+
+        waitForActive(registration) {
+            if (registration.active) return Promise.resolve(registration);
+            const worker = registration.installing || registration.waiting;
+            return new Promise((resolve, reject) => {
+                if (!worker) return reject(new Error('Service worker did not install'));
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'activated') resolve(registration);
+                    if (worker.state === 'redundant') reject(new Error('Service worker became redundant'));
+                });
+            });
+        },
+
+        // The worker hands due schedules to an open page, which has fresh
+        // tokens and the full scanners
+        listenToServiceWorker() {
+            if (!('serviceWorker' in navigator)) return;
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data?.type === 'RUN_SCHEDULED_SCANS') {
+                    this.runDueSchedules();
                 }
+            });
+        },
+
+        // ----------------------------------------
+        // UI
+        // ----------------------------------------
+
+        escape(text) {
+            return escapeHtml(text);
+        },
+
+        formatInterval(minutes) {
+            if (minutes % 1440 === 0) return minutes === 1440 ? 'Daily' : `Every ${minutes / 1440} days`;
+            if (minutes % 60 === 0) return minutes === 60 ? 'Every hour' : `Every ${minutes / 60} hours`;
+            return `Every ${minutes} mins`;
+        },
+
+        describeRun(run) {
+            if (run.status !== 'completed') {
+                return run.status === 'deferred'
+                    ? `Waiting for the app: ${run.error}`
+                    : `Failed: ${run.error}`;
             }
+            if (run.report) return `Report: ${run.totalFiles} assets${run.baseline ? '' : ` (+${run.counts.added} −${run.counts.removed})`}`;
+            if (run.baseline) return `Baseline: ${run.totalFiles} assets`;
+            const { added, changed, removed, newOffSpec } = run.counts;
+            const parts = [`+${added} new`, `${changed} changed`, `−${removed} removed`];
+            if (newOffSpec) parts.push(`⚠️ ${newOffSpec} new off-spec`);
+            return parts.join(' · ');
         },
 
-        showScheduleManager() {
+        /**
+         * @param {Object} [options] - { folderId } to start a smart folder report schedule
+         */
+        showScheduleManager(options = {}) {
+            const folders = FoldersCollections.folders;
+            const preset = options.folderId ? FoldersCollections.getFolder(options.folderId) : null;
             const modal = document.createElement('div');
             modal.className = 'cav-schedules-overlay';
             modal.innerHTML = `
@@ -1162,11 +2456,19 @@
                     </div>
                     <div class="cav-schedules-body">
                         <div class="cav-schedules-create">
-                            <input type="text" id="sched-name" placeholder="Schedule name">
+                            <input type="text" id="sched-name" placeholder="Schedule name" value="${preset ? this.escape(`${preset.name} report`) : ''}">
                             <select id="sched-integration">
-                                <option value="google-drive">Google Drive</option>
+                                <option value="google_drive">Google Drive</option>
                                 <option value="dropbox">Dropbox</option>
                                 <option value="onedrive">OneDrive</option>
+                                <option value="${this.store.REPORT_INTEGRATION}" ${preset ? 'selected' : ''}>Folder report</option>
+                            </select>
+                            <select id="sched-folder" ${preset ? '' : 'hidden'}>
+                                ${folders.map(f => `<option value="${this.escape(f.id)}" ${f === preset ? 'selected' : ''}>${this.escape(f.name)}</option>`).join('')}
+                            </select>
+                            <select id="sched-format" ${preset ? '' : 'hidden'}>
+                                <option value="pdf">PDF</option>
+                                <option value="xlsx">XLSX</option>
                             </select>
                             <select id="sched-interval">
                                 <option value="15">Every 15 mins</option>
@@ -1176,28 +2478,67 @@
                             </select>
                             <button id="create-sched-btn">+ Create</button>
                         </div>
+                        <div class="cav-schedules-mode">${this.background === 'periodic'
+                            ? 'Runs in the background, even with the app closed (browser permitting).'
+                            : 'Runs while the app is open; missed runs catch up when it is opened again.'}</div>
                         <div class="cav-schedules-list" id="schedules-list"></div>
                     </div>
                 </div>
             `;
 
             document.body.appendChild(modal);
-            this.renderSchedulesList(modal);
+            this.loadSchedules().then(() => this.renderSchedulesList(modal));
 
             modal.querySelector('.cav-schedules-close').onclick = () => modal.remove();
-            modal.querySelector('#create-sched-btn').onclick = () => {
+            modal.querySelector('#sched-integration').onchange = (e) => {
+                const isReport = e.target.value === this.store.REPORT_INTEGRATION;
+                modal.querySelector('#sched-folder').hidden = !isReport;
+                modal.querySelector('#sched-format').hidden = !isReport;
+            };
+            modal.querySelector('#create-sched-btn').onclick = async () => {
                 const name = modal.querySelector('#sched-name').value.trim();
                 const integration = modal.querySelector('#sched-integration').value;
                 const interval = parseInt(modal.querySelector('#sched-interval').value);
-                
+                const report = {
+                    folderId: modal.querySelector('#sched-folder').value,
+                    format: modal.querySelector('#sched-format').value,
+                };
+
+                if (integration === this.store.REPORT_INTEGRATION && !report.folderId) {
+                    alert('Create a folder to report on first');
+                    return;
+                }
                 if (name) {
-                    this.createSchedule({ name, integration, interval });
+                    await this.createSchedule({ name, integration, interval, report });
                     this.renderSchedulesList(modal);
                     modal.querySelector('#sched-name').value = '';
                 }
             };
         },
 
+        renderRunDetails(run) {
+            const section = (title, items, render) => items.length ? `
+                <div class="cav-schedule-run-section">
+                    <strong>${title}</strong>
+                    <ul>${items.map(item => `<li>${render(item)}</li>`).join('')}</ul>
+                </div>` : '';
+
+            const report = run.report ? `
+                <div class="cav-schedule-run-section">
+                    ${run.report.blob
+                        ? `<button class="cav-schedule-report" data-run="${this.escape(run.id)}">⬇️ ${this.escape(run.report.filename)}</button>`
+                        : `<span>${this.escape(run.report.filename)} (no longer kept)</span>`}
+                </div>` : '';
+
+            return `
+                ${report}
+                ${section('New off-spec', run.newOffSpec, a => `${this.escape(a.name)} <em>${this.escape(a.issues.join('; '))}</em>`)}
+                ${section('New', run.added, a => this.escape(a.name))}
+                ${section('Changed', run.changed, a => `${this.escape(a.name)} <em>(${a.fields.join(', ')})</em>`)}
+                ${section('Removed', run.removed, a => this.escape(a.name))}
+            `;
+        },
+
         renderSchedulesList(modal) {
             const list = modal.querySelector('#schedules-list');
             if (this.schedules.length === 0) {
@@ -1205,82 +2546,633 @@
                 return;
             }
 
-            list.innerHTML = this.schedules.map(s => `
+            list.innerHTML = this.schedules.map(s => {
+                const runs = this.runs.filter(r => r.scheduleId === s.id).slice(0, 10);
+                return `
                 <div class="cav-schedule-item">
                     <div class="cav-schedule-info">
-                        <strong>${s.name}</strong>
-                        <span>${s.integration} • Every ${s.interval} mins</span>
+                        <strong>${this.escape(s.name)}</strong>
+                        <span>${this.store.integrationName(s.integration)} • ${this.formatInterval(s.interval)}</span>
                         <span class="cav-schedule-next">Next: ${new Date(s.nextRun).toLocaleString()}</span>
+                        ${runs[0] ? `<span class="cav-schedule-last">Last: ${this.escape(this.describeRun(runs[0]))}</span>` : ''}
                     </div>
+                    <button class="cav-schedule-run" data-id="${s.id}" title="Run now">▶️</button>
+                    <button class="cav-schedule-history-toggle" data-id="${s.id}" title="Run history" ${runs.length ? '' : 'disabled'}>🕘</button>
                     <button class="cav-schedule-delete" data-id="${s.id}">🗑️</button>
                 </div>
-            `).join('');
+                <div class="cav-schedule-history" data-history="${s.id}" hidden>
+                    ${runs.map(run => `
+                        <details class="cav-schedule-run-entry ${run.status}">
+                            <summary>${new Date(run.finishedAt).toLocaleString()} — ${this.escape(this.describeRun(run))}</summary>
+                            ${this.renderRunDetails(run)}
+                        </details>
+                    `).join('')}
+                </div>
+            `;
+            }).join('');
 
             list.querySelectorAll('.cav-schedule-delete').forEach(btn => {
-                btn.onclick = () => {
+                btn.onclick = async () => {
                     if (confirm('Delete this schedule?')) {
-                        this.deleteSchedule(btn.dataset.id);
+                        await this.deleteSchedule(btn.dataset.id);
                         this.renderSchedulesList(modal);
                     }
                 };
             });
+
+            list.querySelectorAll('button.cav-schedule-run').forEach(btn => {
+                btn.onclick = async () => {
+                    btn.disabled = true;
+                    const schedule = this.schedules.find(s => s.id === btn.dataset.id);
+                    await this.runScheduledScan(schedule, { force: true });
+                    await this.loadSchedules();
+                    this.renderSchedulesList(modal);
+                };
+            });
+
+            list.querySelectorAll('.cav-schedule-report').forEach(btn => {
+                btn.onclick = () => this.downloadRunReport(btn.dataset.run);
+            });
+
+            list.querySelectorAll('.cav-schedule-history-toggle').forEach(btn => {
+                btn.onclick = () => {
+                    const history = list.querySelector(`[data-history="${btn.dataset.id}"]`);
+                    history.hidden = !history.hidden;
+                };
+            });
         }
     };
 
     // ============================================
-    // 10. UNDO/REVERT
+    // 10. UNDO/REDO
     // ============================================
+    // UI over the session's command history (undo-history.js). Library
+    // operations record themselves; this shows the toast after each one and
+    // the history panel. Undo and redo go through the library app so it
+    // refreshes and reports the result.
     const UndoRevert = {
-        history: [],
-        maxHistory: 50,
+        toast: null,
+        panel: null,
 
-        recordAction(action) {
-            this.history.unshift({
-                id: `action_${Date.now()}`,
-                type: action.type,
-                data: action.data,
-                timestamp: new Date().toISOString(),
-                description: action.description,
-            });
-            
-            // Keep only last N actions
-            if (this.history.length > this.maxHistory) {
-                this.history = this.history.slice(0, this.maxHistory);
-            }
+        get store() {
+            return window.CAVUndoHistory || null;
+        },
+
+        init() {
+            this.store?.addListener((event, command) => {
+                if (event === 'recorded') this.showUndoNotification(command);
+                if (this.panel) this.renderHistoryList();
+            });
+        },
+
+        // Kept for older callers; the command type needs registered handlers
+        recordAction(action) {
+            return this.store?.record(action);
         },
 
         canUndo() {
-            return this.history.length > 0;
+            return Boolean(this.store?.canUndo());
+        },
+
+        canRedo() {
+            return Boolean(this.store?.canRedo());
         },
 
         getLastAction() {
-            return this.history[0] || null;
+            return this.store?.peekUndo() || null;
         },
 
         undo() {
-            if (!this.canUndo()) return null;
-            return this.history.shift();
+            return window.cavApp ? window.cavApp.undo() : this.store?.undo();
+        },
+
+        redo() {
+            return window.cavApp ? window.cavApp.redo() : this.store?.redo();
         },
 
-        showUndoNotification(action) {
+        showUndoNotification(command) {
+            this.toast?.remove();
             const notif = document.createElement('div');
             notif.className = 'cav-undo-notification';
             notif.innerHTML = `
-                <span>${action.description}</span>
+                <span>${escapeHtml(command.description)}</span>
                 <button class="cav-undo-btn">Undo</button>
             `;
             document.body.appendChild(notif);
+            this.toast = notif;
 
             notif.querySelector('.cav-undo-btn').onclick = () => {
-                this.undo();
                 notif.remove();
-                // Trigger undo logic here
+                // Only while it is still the latest command
+                if (this.store?.peekUndo()?.id === command.id) this.undo();
             };
 
             setTimeout(() => {
                 notif.classList.add('fade-out');
                 setTimeout(() => notif.remove(), 300);
             }, 5000);
+        },
+
+        showHistoryPanel() {
+            this.panel?.remove();
+            const modal = document.createElement('div');
+            modal.className = 'cav-history-overlay';
+            modal.innerHTML = `
+                <div class="cav-history-modal">
+                    <div class="cav-history-header">
+                        <h3>↶ Undo History</h3>
+                        <button class="cav-history-close">✕</button>
+                    </div>
+                    <div class="cav-history-body">
+                        <div class="cav-history-toolbar">
+                            <button id="history-undo-btn">↶ Undo</button>
+                            <button id="history-redo-btn">↷ Redo</button>
+                            <button id="history-clear-btn">Clear</button>
+                        </div>
+                        <div class="cav-history-list" id="history-list"></div>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            this.panel = modal;
+            this.renderHistoryList();
+
+            const close = () => {
+                modal.remove();
+                this.panel = null;
+            };
+            modal.querySelector('.cav-history-close').onclick = close;
+            modal.onclick = (e) => {
+                if (e.target === modal) close();
+            };
+            modal.querySelector('#history-undo-btn').onclick = () => this.undo();
+            modal.querySelector('#history-redo-btn').onclick = () => this.redo();
+            modal.querySelector('#history-clear-btn').onclick = () => {
+                if (confirm('Clear the undo history? Nothing in the library changes.')) this.store?.clear();
+            };
+        },
+
+        renderHistoryList() {
+            const list = this.panel?.querySelector('#history-list');
+            if (!list) return;
+            const commands = this.store ? this.store.getHistory() : [];
+
+            this.panel.querySelector('#history-undo-btn').disabled = !this.canUndo();
+            this.panel.querySelector('#history-redo-btn').disabled = !this.canRedo();
+
+            if (commands.length === 0) {
+                list.innerHTML = '<p class="cav-empty">Nothing to undo yet</p>';
+                return;
+            }
+
+            list.innerHTML = commands.map(c => `
+                <div class="cav-history-item ${c.state}">
+                    <div class="cav-history-info">
+                        <span class="cav-history-description">${escapeHtml(c.description)}</span>
+                        <span class="cav-history-time">${new Date(c.timestamp).toLocaleTimeString()}${c.state === 'undone' ? ' · undone' : ''}</span>
+                    </div>
+                    ${c.state === 'done' ? `<button class="cav-history-undo-to" data-id="${escapeHtml(c.id)}">Undo to here</button>` : ''}
+                </div>
+            `).join('');
+
+            list.querySelectorAll('.cav-history-undo-to').forEach(btn => {
+                btn.onclick = async () => {
+                    try {
+                        const count = await this.store.undoTo(btn.dataset.id);
+                        await window.cavValidatorApp?.refresh?.();
+                        window.showNotification?.(`Undid ${count} action${count !== 1 ? 's' : ''}`, 'success');
+                    } catch (error) {
+                        console.error('[UndoRevert] Undo failed:', error);
+                        window.showNotification?.(error.message, 'error');
+                    }
+                };
+            });
+        }
+    };
+
+    // ============================================
+    // 11. SIMILAR ASSETS
+    // ============================================
+    // Near-duplicates and resize families found by perceptual hashing
+    // (perceptual-hash.js), with a merge that keeps one asset and turns the
+    // rest into its versions (asset-versions.js)
+    const SimilarAssets = {
+        entries: [],
+        selected: new Set(),
+        modal: null,
+
+        get perceptual() {
+            return window.CAVPerceptualHash || null;
+        },
+
+        RELATION_LABELS: {
+            duplicate: 'Exact copy',
+            near_duplicate: 'Near-duplicate',
+            resize: 'Resize',
+        },
+
+        showSimilarPanel() {
+            if (!this.perceptual) {
+                alert('Similar asset detection is not available');
+                return;
+            }
+            this.modal?.remove();
+            const threshold = Math.round(this.perceptual.getThreshold() * 100);
+            const modal = document.createElement('div');
+            modal.className = 'cav-similar-overlay';
+            modal.innerHTML = `
+                <div class="cav-similar-modal">
+                    <div class="cav-similar-header">
+                        <h3>🧬 Similar Assets</h3>
+                        <button class="cav-similar-close">✕</button>
+                    </div>
+                    <div class="cav-similar-body">
+                        <div class="cav-similar-controls">
+                            <label>Similarity <input type="range" id="similar-threshold" min="70" max="100" value="${threshold}"> <span id="similar-threshold-value">${threshold}%</span></label>
+                            <button id="similar-merge-selected" disabled>Merge selected</button>
+                        </div>
+                        <div class="cav-similar-status" id="similar-status">Scanning library...</div>
+                        <div class="cav-similar-list" id="similar-list"></div>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            this.modal = modal;
+            this.selected.clear();
+
+            const close = () => {
+                modal.remove();
+                this.modal = null;
+            };
+            modal.querySelector('.cav-similar-close').onclick = close;
+            modal.onclick = (e) => {
+                if (e.target === modal) close();
+            };
+            modal.querySelector('#similar-threshold').oninput = (e) => {
+                modal.querySelector('#similar-threshold-value').textContent = `${e.target.value}%`;
+            };
+            modal.querySelector('#similar-threshold').onchange = (e) => {
+                this.perceptual.setThreshold(e.target.value / 100);
+                this.selected.clear();
+                this.renderGroups();
+            };
+            modal.querySelector('#similar-merge-selected').onclick = () => this.mergeSelected();
+
+            this.scan();
+        },
+
+        async scan() {
+            const status = this.modal?.querySelector('#similar-status');
+            const assets = (await FoldersCollections.getLibraryAssets()).filter(a => !a.is_trashed);
+            this.entries = await this.perceptual.index.indexAssets(assets, {
+                resolveAsset: (asset) => window.cavApp?.snapshotAsset(asset) || asset,
+                onProgress: (done, total) => {
+                    if (status) status.textContent = `Hashing ${done} of ${total} assets...`;
+                },
+            });
+            this.renderGroups();
+        },
+
+        getGroups() {
+            return this.perceptual.groupSimilar(this.entries, { threshold: this.perceptual.getThreshold() });
+        },
+
+        renderGroups() {
+            const modal = this.modal;
+            if (!modal) return;
+            const groups = this.getGroups();
+            const list = modal.querySelector('#similar-list');
+            const near = groups.filter(g => g.kind === 'near_duplicate').length;
+
+            modal.querySelector('#similar-status').textContent = groups.length
+                ? `${groups.length} group${groups.length !== 1 ? 's' : ''} in ${this.entries.length} assets: ${near} of near-duplicates, ${groups.length - near} resize famil${groups.length - near !== 1 ? 'ies' : 'y'}`
+                : `No similar assets among ${this.entries.length} assets`;
+
+            list.innerHTML = groups.map(group => `
+                <div class="cav-similar-group" data-group="${escapeHtml(group.id)}">
+                    <div class="cav-similar-group-header">
+                        <label>
+                            <input type="checkbox" class="cav-similar-select" ${this.selected.has(group.id) ? 'checked' : ''}>
+                            ${group.kind === 'resize_family' ? '📐 Resize family' : '👯 Near-duplicates'} · ${group.members.length} assets
+                        </label>
+                        <button class="cav-similar-merge">Merge</button>
+                    </div>
+                    <div class="cav-similar-members">
+                        ${group.members.map(m => `
+                            <label class="cav-similar-member">
+                                <input type="radio" name="keep-${escapeHtml(group.id)}" value="${escapeHtml(m.asset.id)}" ${m.asset === group.primary ? 'checked' : ''}>
+                                ${m.asset.thumbnail_url ? `<img src="${m.asset.thumbnail_url}" alt="">` : '<div class="cav-similar-noimg"></div>'}
+                                <span class="cav-similar-name">${escapeHtml(m.asset.filename)}</span>
+                                <span class="cav-similar-meta">${m.asset.width}×${m.asset.height} · ${m.asset === group.primary ? 'Suggested keep' : `${this.RELATION_LABELS[m.relation]} ${Math.round(m.similarity * 100)}%`}</span>
+                                ${m.asset === group.primary ? '' : `<button type="button" class="cav-similar-compare" data-id="${escapeHtml(m.asset.id)}">Compare</button>`}
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+            `).join('');
+
+            list.querySelectorAll('.cav-similar-group').forEach(el => {
+                const group = groups.find(g => g.id === el.dataset.group);
+                el.querySelector('.cav-similar-select').onchange = (e) => {
+                    if (e.target.checked) this.selected.add(group.id);
+                    else this.selected.delete(group.id);
+                    this.updateMergeButton();
+                };
+                el.querySelector('.cav-similar-merge').onclick = () => this.mergeGroups([group]);
+                el.querySelectorAll('.cav-similar-compare').forEach(btn => {
+                    btn.onclick = (e) => {
+                        e.preventDefault();
+                        const other = group.members.find(m => m.asset.id === btn.dataset.id);
+                        this.compare(group.primary, other.asset);
+                    };
+                });
+            });
+            this.updateMergeButton();
+        },
+
+        updateMergeButton() {
+            const button = this.modal?.querySelector('#similar-merge-selected');
+            if (!button) return;
+            button.disabled = this.selected.size === 0;
+            button.textContent = this.selected.size ? `Merge selected (${this.selected.size})` : 'Merge selected';
+        },
+
+        compare(a, b) {
+            const describe = (asset) => ({
+                ...(window.CAVAssetVersions?.toVersionShape(asset) || { width: asset.width, height: asset.height }),
+                filename: asset.filename,
+                previewUrl: asset.thumbnail_url || asset.dataUrl,
+            });
+            ComparisonView.openDiff(describe(a), describe(b), {
+                title: '🔍 Compare Similar Assets',
+                labels: ['Suggested keep', 'Similar'],
+            });
+        },
+
+        // The asset ticked to keep in each group's card
+        keptAsset(group) {
+            const checked = this.modal?.querySelector(`[data-group="${CSS.escape(group.id)}"] input[type="radio"]:checked`);
+            return group.members.find(m => m.asset.id === checked?.value)?.asset || group.primary;
+        },
+
+        async mergeSelected() {
+            await this.mergeGroups(this.getGroups().filter(g => this.selected.has(g.id)));
+        },
+
+        async mergeGroups(groups) {
+            const count = groups.reduce((sum, g) => sum + g.members.length - 1, 0);
+            if (count === 0) return;
+            if (!confirm(`Merge ${count} asset${count !== 1 ? 's' : ''} into ${groups.length} asset${groups.length !== 1 ? 's' : ''}? Their files are kept as versions.`)) return;
+
+            const status = this.modal?.querySelector('#similar-status');
+            let merged = 0;
+            for (const group of groups) {
+                const keep = this.keptAsset(group);
+                if (status) status.textContent = `Merging into ${keep.filename}...`;
+                try {
+                    merged += await this.merge(keep, group.members.map(m => m.asset).filter(a => a.id !== keep.id));
+                } catch (error) {
+                    console.error('[SimilarAssets] Merge failed:', error);
+                    alert(`Could not merge into ${keep.filename}: ${error.message}`);
+                }
+            }
+
+            this.selected.clear();
+            await window.cavValidatorApp?.refresh?.();
+            window.showNotification?.(`Merged ${merged} asset${merged !== 1 ? 's' : ''}`, 'success');
+            if (this.modal) this.scan();
+        },
+
+        /**
+         * Keep one asset: the others' files become its versions, it joins
+         * their folders, and they are deleted (undoable through the library's
+         * undo history).
+         * @returns {Promise<number>} - How many assets were merged in
+         */
+        async merge(keep, others) {
+            const app = window.cavApp;
+            const versions = window.CAVAssetVersions;
+            if (!app || !versions) throw new Error('The library is not ready');
+
+            await versions.captureVersion(await app.snapshotAsset(keep), { note: 'Before merge', reason: 'merge' });
+            for (const other of others) {
+                await versions.captureVersion(await app.snapshotAsset(other), {
+                    note: `Merged from ${other.filename}`,
+                    reason: 'merge',
+                    force: true,
+                    into: keep,
+                });
+            }
+
+            const otherIds = others.map(a => a.id);
+            const folderIds = FoldersCollections.folders
+                .filter(f => !FoldersCollections.isSmart(f) && f.assetIds.some(id => otherIds.includes(id)))
+                .map(f => f.id);
+            folderIds.forEach(id => FoldersCollections.addAssetToFolder(id, keep.id));
+
+            await app.deleteAssets(otherIds, 'Merge', `Merge ${others.length} similar asset${others.length !== 1 ? 's' : ''} into "${keep.filename}"`);
+            return others.length;
+        }
+    };
+
+    // ============================================
+    // 12. GLOBAL SEARCH
+    // ============================================
+    // One search box over assets, analyses, the swipe file and CRM records
+    // (search-index.js): Supabase full-text search when online, the local
+    // IndexedDB index otherwise
+    const GlobalSearch = {
+        modal: null,
+        query: '',
+        requestId: 0,
+        debounceTimer: null,
+        DEBOUNCE_MS: 250,
+        RESULT_LIMIT: 60,
+
+        get engine() {
+            return window.CAVSearch || null;
+        },
+
+        init() {
+            if (!this.engine) return;
+            // Index in the background once the app has loaded its data, and
+            // pull server changes whenever the connection comes back
+            setTimeout(() => this.engine.refresh().catch(e => console.warn('[GlobalSearch] Indexing failed:', e)), 5000);
+            window.addEventListener('online', () => this.engine.refresh().catch(() => {}));
+        },
+
+        open(query = this.query) {
+            if (!this.engine) {
+                alert('Search is not available');
+                return;
+            }
+            this.modal?.remove();
+            this.query = query;
+
+            const modal = document.createElement('div');
+            modal.className = 'cav-search-overlay';
+            modal.innerHTML = `
+                <div class="cav-search-modal">
+                    <div class="cav-search-header">
+                        <h3>🔎 Search</h3>
+                        <button class="cav-search-close">✕</button>
+                    </div>
+                    <div class="cav-search-body">
+                        <input type="text" id="global-search-input" value="${escapeHtml(query)}"
+                               placeholder="Search assets, analyses, swipe file, CRM…" autocomplete="off">
+                        <div class="cav-search-hint">Filters: <code>brand:acme</code> <code>ratio:9:16</code> <code>status:offsize</code> <code>type:video</code> <code>tag:</code> <code>channel:</code> <code>in:crm</code> · "exact phrase" · -exclude</div>
+                        <div class="cav-search-status" id="global-search-status"></div>
+                        <div class="cav-search-layout">
+                            <div class="cav-search-facets" id="global-search-facets"></div>
+                            <div class="cav-search-results" id="global-search-results"></div>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            this.modal = modal;
+
+            const input = modal.querySelector('#global-search-input');
+            modal.querySelector('.cav-search-close').onclick = () => this.close();
+            modal.onclick = (e) => {
+                if (e.target === modal) this.close();
+            };
+            input.oninput = () => {
+                this.query = input.value;
+                clearTimeout(this.debounceTimer);
+                this.debounceTimer = setTimeout(() => this.run(), this.DEBOUNCE_MS);
+            };
+            input.onkeydown = (e) => {
+                if (e.key === 'Enter') {
+                    clearTimeout(this.debounceTimer);
+                    this.run();
+                } else if (e.key === 'Escape') {
+                    this.close();
+                }
+            };
+            input.focus();
+            input.setSelectionRange(input.value.length, input.value.length);
+
+            this.run();
+        },
+
+        close() {
+            clearTimeout(this.debounceTimer);
+            this.modal?.remove();
+            this.modal = null;
+        },
+
+        // Replace the query, e.g. after a facet click
+        setQuery(query) {
+            this.query = query;
+            const input = this.modal?.querySelector('#global-search-input');
+            if (input) input.value = query;
+            this.run();
+        },
+
+        async run() {
+            const requestId = ++this.requestId;
+            const status = this.modal?.querySelector('#global-search-status');
+            if (status) status.textContent = 'Searching...';
+            try {
+                const result = await this.engine.search(this.query, { limit: this.RESULT_LIMIT });
+                if (requestId !== this.requestId || !this.modal) return;
+                this.render(result);
+            } catch (error) {
+                console.error('[GlobalSearch] Search failed:', error);
+                if (status && requestId === this.requestId) status.textContent = `Search failed: ${error.message}`;
+            }
+        },
+
+        // Snippets mark matches with MARK_START/MARK_END
+        highlight(text) {
+            const { MARK_START, MARK_END } = this.engine;
+            return escapeHtml(text).replace(new RegExp(`${MARK_START}([^${MARK_END}]*)${MARK_END}`, 'g'), '<mark>$1</mark>');
+        },
+
+        facetLabel(key, value) {
+            return key === 'kind' ? (this.engine.KINDS[value] || value) : value;
+        },
+
+        render(result) {
+            const modal = this.modal;
+            const engine = this.engine;
+            const shown = result.results.length;
+
+            modal.querySelector('#global-search-status').textContent =
+                `${result.total} result${result.total !== 1 ? 's' : ''}${result.total > shown ? ` (showing ${shown})` : ''} · ${result.source === 'server' ? 'Supabase index' : 'offline index'}`;
+
+            modal.querySelector('#global-search-facets').innerHTML = Object.entries(engine.FACETS)
+                .filter(([key]) => result.facets[key]?.length)
+                .map(([key, label]) => `
+                    <div class="cav-search-facet">
+                        <h4>${escapeHtml(label)}</h4>
+                        ${result.facets[key].map(({ value, count }) => `
+                            <button class="cav-search-facet-value ${engine.hasFilter(this.query, key, value) ? 'active' : ''}"
+                                    data-key="${escapeHtml(key)}" data-value="${escapeHtml(value)}">
+                                <span>${escapeHtml(this.facetLabel(key, value))}</span><span class="cav-search-count">${count}</span>
+                            </button>
+                        `).join('')}
+                    </div>
+                `).join('');
+
+            const groups = Object.keys(engine.KINDS)
+                .map(kind => ({ kind, results: result.results.filter(r => r.kind === kind) }))
+                .filter(group => group.results.length);
+            const hasAssets = groups.some(group => group.kind === 'asset');
+
+            modal.querySelector('#global-search-results').innerHTML = groups.length ? `
+                ${hasAssets && window.cavValidatorApp?.setSearchTerm ? '<button class="cav-search-library" id="global-search-library">Show matching assets in the library</button>' : ''}
+                ${groups.map(group => `
+                    <div class="cav-search-group">
+                        <h4>${escapeHtml(engine.KINDS[group.kind])} <span class="cav-search-count">${group.results.length}</span></h4>
+                        ${group.results.map(r => `
+                            <div class="cav-search-result ${this.canOpen(r) ? 'openable' : ''}" data-id="${escapeHtml(r.id)}">
+                                <div class="cav-search-title">${escapeHtml(r.title)}</div>
+                                ${r.subtitle ? `<div class="cav-search-subtitle">${escapeHtml(r.subtitle)}</div>` : ''}
+                                ${r.snippet ? `<div class="cav-search-snippet">${this.highlight(r.snippet)}</div>` : ''}
+                                <div class="cav-search-chips">
+                                    ${['brand', 'ratio', 'status', 'channel'].flatMap(key => (r.facets?.[key] || []).slice(0, 3).map(value =>
+                                        `<span class="cav-search-chip">${escapeHtml(value)}</span>`)).join('')}
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            ` : `<div class="cav-search-empty">${this.query.trim() ? 'Nothing matches this search' : 'Type to search'}</div>`;
+
+            modal.querySelectorAll('.cav-search-facet-value').forEach(btn => {
+                btn.onclick = () => this.setQuery(engine.toggleFilter(this.query, btn.dataset.key, btn.dataset.value));
+            });
+            modal.querySelectorAll('.cav-search-result.openable').forEach(el => {
+                el.onclick = () => this.openResult(result.results.find(r => r.id === el.dataset.id));
+            });
+            const libraryButton = modal.querySelector('#global-search-library');
+            if (libraryButton) {
+                libraryButton.onclick = () => {
+                    window.cavValidatorApp.setSearchTerm(this.query);
+                    this.close();
+                };
+            }
+        },
+
+        canOpen(result) {
+            return (result.kind === 'asset' && Boolean(window.cavValidatorApp?.showAssetPreview)) ||
+                (result.kind === 'company' && Boolean(window.cavCRM?.showCompanyDetail));
+        },
+
+        async openResult(result) {
+            if (!result) return;
+            if (result.kind === 'asset') {
+                if (await window.cavValidatorApp.showAssetPreview(result.sourceId)) this.close();
+                else window.showNotification?.('That asset is no longer in the library', 'error');
+            } else if (result.kind === 'company') {
+                this.close();
+                window.cavCRM.showCompanyDetail(window.cavCRM, result.sourceId, document.body);
+            }
         }
     };
 
@@ -1329,6 +3221,29 @@
             padding: 0.25rem;
         }
 
+        .cav-queue-filters {
+            display: flex;
+            gap: 0.5rem;
+            padding: 0.5rem 1rem;
+            border-bottom: 1px solid rgba(255, 255, 255, 0.05);
+        }
+
+        .cav-queue-filters select,
+        .cav-queue-filters input {
+            min-width: 0;
+            flex: 1;
+            background: rgba(0, 0, 0, 0.3);
+            border: 1px solid rgba(255, 255, 255, 0.1);
+            border-radius: 6px;
+            color: #ddd;
+            font-size: 0.75rem;
+            padding: 0.25rem 0.4rem;
+        }
+
+        #cav-queue-panel.minimized .cav-queue-filters {
+            display: none;
+        }
+
         .cav-queue-body {
             max-height: 300px;
             overflow-y: auto;
@@ -1344,6 +3259,7 @@
 
         .cav-queue-job.completed { opacity: 0.6; }
         .cav-queue-job.failed { background: rgba(239, 68, 68, 0.1); }
+        .cav-queue-job.cancelled { opacity: 0.5; }
 
         .cav-queue-job-icon { font-size: 1.25rem; }
 
@@ -1362,6 +3278,25 @@
             text-transform: capitalize;
         }
 
+        .cav-queue-job-error {
+            color: #f87171;
+            font-size: 0.7rem;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            max-width: 200px;
+        }
+
+        .cav-queue-job-action {
+            background: none;
+            border: none;
+            color: #888;
+            cursor: pointer;
+            padding: 0 0.25rem;
+        }
+
+        .cav-queue-job-action:hover { color: #fff; }
+
         .cav-queue-job-status {
             display: flex;
             align-items: center;
@@ -1517,6 +3452,60 @@
             color: #fff;
         }
 
+        .cav-batch-package-table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-bottom: 1rem;
+            font-size: 0.8rem;
+        }
+
+        .cav-batch-package-table th,
+        .cav-batch-package-table td {
+            padding: 0.35rem 0.5rem;
+            text-align: left;
+            color: #ccc;
+            border-bottom: 1px solid rgba(255, 255, 255, 0.06);
+        }
+
+        .cav-batch-package-table th {
+            color: #888;
+            font-weight: 500;
+        }
+
+        .cav-batch-package-table select,
+        .cav-batch-package-table input,
+        .cav-batch-package-save input {
+            width: 100%;
+            padding: 0.35rem;
+            background: rgba(0, 0, 0, 0.3);
+            border: 1px solid rgba(255, 255, 255, 0.1);
+            border-radius: 6px;
+            color: #fff;
+        }
+
+        .cav-batch-package-save {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+        }
+
+        .cav-batch-package-save label {
+            width: 100%;
+        }
+
+        .cav-batch-package-save input {
+            flex: 1;
+        }
+
+        .cav-batch-package-save button {
+            padding: 0.35rem 0.75rem;
+            background: #8b5cf6;
+            border: none;
+            border-radius: 6px;
+            color: #fff;
+            cursor: pointer;
+        }
+
         .cav-batch-footer {
             display: flex;
             justify-content: flex-end;
@@ -1596,7 +3585,7 @@
             width: 900px;
             max-width: 95vw;
             max-height: 90vh;
-            overflow: hidden;
+            overflow-y: auto;
         }
 
         .cav-comparison-header {
@@ -1688,35 +3677,174 @@
             color: #fff;
         }
 
-        /* Pagination */
-        .cav-pagination {
+        .cav-comparison-use-mod:disabled {
+            opacity: 0.6;
+            cursor: wait;
+        }
+
+        .cav-comparison-modes {
             display: flex;
-            align-items: center;
-            justify-content: center;
-            gap: 0.5rem;
-            padding: 1.5rem;
-            background: rgba(0, 0, 0, 0.2);
-            border-radius: 12px;
-            margin-top: 1rem;
+            gap: 0.25rem;
         }
 
-        .cav-page-nav {
-            padding: 0.5rem 1rem;
-            background: rgba(255, 255, 255, 0.1);
-            border: 1px solid rgba(255, 255, 255, 0.1);
+        .cav-comparison-modes button {
+            padding: 0.35rem 0.75rem;
+            background: rgba(255, 255, 255, 0.08);
+            border: 1px solid rgba(255, 255, 255, 0.15);
             border-radius: 6px;
-            color: #c4b5fd;
+            color: #ccc;
             cursor: pointer;
         }
 
-        .cav-page-nav:disabled {
-            opacity: 0.4;
-            cursor: not-allowed;
+        .cav-comparison-modes button.active {
+            background: rgba(139, 92, 246, 0.35);
+            color: #fff;
         }
 
-        .cav-page-numbers {
-            display: flex;
-            gap: 0.25rem;
+        .cav-comparison-close {
+            background: none;
+            border: none;
+            color: #888;
+            font-size: 1.5rem;
+            cursor: pointer;
+        }
+
+        .cav-comparison-missing {
+            padding: 3rem 1rem;
+            color: #666;
+        }
+
+        .cav-comparison-view {
+            padding: 1.5rem;
+            text-align: center;
+        }
+
+        .cav-comparison-stage {
+            position: relative;
+            height: 400px;
+            max-width: 100%;
+            margin: 0 auto;
+            overflow: hidden;
+            border-radius: 8px;
+            cursor: ew-resize;
+            touch-action: none;
+            user-select: none;
+        }
+
+        .cav-comparison-stage img,
+        .cav-comparison-after {
+            position: absolute;
+            inset: 0;
+            width: 100%;
+            height: 100%;
+            object-fit: contain;
+        }
+
+        .cav-comparison-stage img {
+            pointer-events: none;
+        }
+
+        .cav-comparison-slider-handle {
+            position: absolute;
+            top: 0;
+            bottom: 0;
+            width: 2px;
+            margin-left: -1px;
+            background: #fff;
+            box-shadow: 0 0 6px rgba(0, 0, 0, 0.6);
+        }
+
+        .cav-comparison-range {
+            width: 100%;
+            margin-top: 0.75rem;
+        }
+
+        .cav-comparison-stage-labels {
+            display: flex;
+            justify-content: space-between;
+            color: #888;
+            font-size: 0.8rem;
+        }
+
+        .cav-comparison-pixels {
+            max-width: 100%;
+            max-height: 400px;
+            border-radius: 8px;
+        }
+
+        .cav-comparison-pixel-summary {
+            color: #c4b5fd;
+            margin: 0.75rem 0 0;
+        }
+
+        .cav-comparison-metrics {
+            padding: 0 1.5rem 1rem;
+        }
+
+        .cav-comparison-metrics table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.85rem;
+            color: #ddd;
+        }
+
+        .cav-comparison-metrics th,
+        .cav-comparison-metrics td {
+            padding: 0.4rem 0.5rem;
+            border-bottom: 1px solid rgba(255, 255, 255, 0.06);
+            text-align: left;
+        }
+
+        .cav-comparison-metrics th {
+            color: #888;
+            font-weight: 500;
+        }
+
+        .cav-diff-up {
+            color: #4ade80;
+        }
+
+        .cav-diff-down {
+            color: #f87171;
+        }
+
+        .cav-diff-changed {
+            color: #fbbf24;
+        }
+
+        .cav-diff-same {
+            color: #666;
+        }
+
+        /* Pagination */
+        .cav-pagination {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            gap: 0.5rem;
+            padding: 1.5rem;
+            background: rgba(0, 0, 0, 0.2);
+            border-radius: 12px;
+            margin-top: 1rem;
+        }
+
+        .cav-page-nav {
+            padding: 0.5rem 1rem;
+            background: rgba(255, 255, 255, 0.1);
+            border: 1px solid rgba(255, 255, 255, 0.1);
+            border-radius: 6px;
+            color: #c4b5fd;
+            cursor: pointer;
+        }
+
+        .cav-page-nav:disabled {
+            opacity: 0.4;
+            cursor: not-allowed;
+        }
+
+        .cav-page-numbers {
+            display: flex;
+            gap: 0.25rem;
         }
 
         .cav-page-btn {
@@ -1750,7 +3878,10 @@
         .cav-folders-overlay,
         .cav-versions-overlay,
         .cav-schedules-overlay,
-        .cav-report-overlay {
+        .cav-report-overlay,
+        .cav-history-overlay,
+        .cav-similar-overlay,
+        .cav-search-overlay {
             position: fixed;
             inset: 0;
             background: rgba(0, 0, 0, 0.9);
@@ -1763,7 +3894,10 @@
         .cav-folders-modal,
         .cav-versions-modal,
         .cav-schedules-modal,
-        .cav-report-modal {
+        .cav-report-modal,
+        .cav-history-modal,
+        .cav-similar-modal,
+        .cav-search-modal {
             background: linear-gradient(135deg, #1a1a2e 0%, #2d1f4e 100%);
             border-radius: 16px;
             width: 500px;
@@ -1776,7 +3910,10 @@
         .cav-folders-header,
         .cav-versions-header,
         .cav-schedules-header,
-        .cav-report-header {
+        .cav-report-header,
+        .cav-history-header,
+        .cav-similar-header,
+        .cav-search-header {
             display: flex;
             justify-content: space-between;
             align-items: center;
@@ -1787,7 +3924,10 @@
         .cav-folders-header h3,
         .cav-versions-header h3,
         .cav-schedules-header h3,
-        .cav-report-header h3 {
+        .cav-report-header h3,
+        .cav-history-header h3,
+        .cav-similar-header h3,
+        .cav-search-header h3 {
             color: #fff;
             margin: 0;
         }
@@ -1795,7 +3935,10 @@
         .cav-folders-close,
         .cav-versions-close,
         .cav-schedules-close,
-        .cav-report-close {
+        .cav-report-close,
+        .cav-history-close,
+        .cav-similar-close,
+        .cav-search-close {
             background: none;
             border: none;
             color: #888;
@@ -1806,7 +3949,10 @@
         .cav-folders-body,
         .cav-versions-body,
         .cav-schedules-body,
-        .cav-report-body {
+        .cav-report-body,
+        .cav-history-body,
+        .cav-similar-body,
+        .cav-search-body {
             padding: 1.5rem;
             max-height: 400px;
             overflow-y: auto;
@@ -1837,6 +3983,7 @@
         }
 
         #create-folder-btn,
+        #create-smart-folder-btn,
         #create-sched-btn {
             padding: 0.5rem 1rem;
             background: linear-gradient(135deg, #8b5cf6 0%, #6366f1 100%);
@@ -1864,6 +4011,91 @@
             border-radius: 50%;
         }
 
+        .cav-folder-smart {
+            margin-left: 0.4rem;
+            padding: 0.1rem 0.4rem;
+            background: rgba(14, 165, 233, 0.2);
+            color: #7dd3fc;
+            border-radius: 4px;
+            font-size: 0.7rem;
+            font-style: normal;
+        }
+
+        .cav-folder-info .cav-folder-query {
+            display: block;
+            color: #7dd3fc;
+        }
+
+        .cav-smart-editor {
+            padding: 0.75rem;
+            margin-bottom: 1rem;
+            background: rgba(14, 165, 233, 0.08);
+            border: 1px solid rgba(14, 165, 233, 0.3);
+            border-radius: 8px;
+            color: #ccc;
+            font-size: 0.85rem;
+        }
+
+        .cav-smart-editor-head,
+        .cav-smart-rule,
+        .cav-smart-editor-foot {
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+            margin-bottom: 0.5rem;
+        }
+
+        .cav-smart-editor-match {
+            margin-bottom: 0.5rem;
+        }
+
+        .cav-smart-editor input,
+        .cav-smart-editor select {
+            min-width: 0;
+            padding: 0.35rem 0.5rem;
+            background: rgba(0, 0, 0, 0.3);
+            border: 1px solid rgba(255, 255, 255, 0.1);
+            border-radius: 6px;
+            color: #fff;
+        }
+
+        .cav-smart-editor-head input[type="text"],
+        .cav-smart-rule .cav-smart-value {
+            flex: 1;
+        }
+
+        .cav-smart-editor input[type="color"] {
+            width: 40px;
+            padding: 0;
+            border: none;
+        }
+
+        .cav-smart-count {
+            flex: 1;
+            color: #7dd3fc;
+        }
+
+        .cav-smart-editor button {
+            padding: 0.35rem 0.75rem;
+            background: rgba(255, 255, 255, 0.08);
+            border: none;
+            border-radius: 6px;
+            color: #fff;
+            cursor: pointer;
+        }
+
+        .cav-smart-editor .cav-smart-save {
+            background: linear-gradient(135deg, #8b5cf6 0%, #6366f1 100%);
+        }
+
+        .cav-schedule-report {
+            background: none;
+            border: none;
+            color: #c4b5fd;
+            cursor: pointer;
+            padding: 0;
+        }
+
         .cav-folder-info,
         .cav-schedule-info {
             flex: 1;
@@ -1881,8 +4113,56 @@
             font-size: 0.8rem;
         }
 
+        .cav-schedule-info .cav-schedule-last {
+            display: block;
+            color: #c4b5fd;
+        }
+
+        .cav-schedules-mode {
+            color: #888;
+            font-size: 0.8rem;
+            margin-bottom: 0.75rem;
+        }
+
+        .cav-schedule-history {
+            margin: -0.25rem 0 0.75rem 0.75rem;
+            font-size: 0.8rem;
+            color: #ccc;
+        }
+
+        .cav-schedule-run-entry {
+            padding: 0.35rem 0;
+            border-bottom: 1px solid rgba(255, 255, 255, 0.06);
+        }
+
+        .cav-schedule-run-entry summary {
+            cursor: pointer;
+        }
+
+        .cav-schedule-run-entry.failed summary,
+        .cav-schedule-run-entry.deferred summary {
+            color: #fbbf24;
+        }
+
+        .cav-schedule-run-section {
+            margin: 0.35rem 0 0 1rem;
+        }
+
+        .cav-schedule-run-section ul {
+            margin: 0.25rem 0 0;
+            padding-left: 1rem;
+        }
+
+        .cav-schedule-run-section em {
+            color: #f87171;
+            font-style: normal;
+        }
+
         .cav-folder-actions button,
+        .cav-schedule-run,
+        .cav-schedule-history-toggle,
         .cav-schedule-delete,
+        .cav-version-compare,
         .cav-version-revert {
             background: none;
             border: none;
@@ -1908,6 +4188,41 @@
             font-size: 0.8rem;
         }
 
+        .cav-version-meta,
+        .cav-version-note {
+            display: block;
+            color: #ccc;
+            font-size: 0.8rem;
+        }
+
+        .cav-version-note {
+            color: #c4b5fd;
+        }
+
+        .cav-versions-save {
+            display: flex;
+            gap: 0.5rem;
+            margin-bottom: 1rem;
+        }
+
+        .cav-versions-save input {
+            flex: 1;
+            padding: 0.5rem;
+            background: rgba(0, 0, 0, 0.3);
+            border: 1px solid rgba(255, 255, 255, 0.1);
+            border-radius: 6px;
+            color: #fff;
+        }
+
+        #save-version-btn {
+            padding: 0.5rem 1rem;
+            background: linear-gradient(135deg, #8b5cf6 0%, #6366f1 100%);
+            border: none;
+            border-radius: 6px;
+            color: #fff;
+            cursor: pointer;
+        }
+
         .cav-report-option {
             margin-bottom: 1rem;
         }
@@ -1918,7 +4233,8 @@
             margin-bottom: 0.5rem;
         }
 
-        .cav-report-option input[type="text"] {
+        .cav-report-option input[type="text"],
+        .cav-report-option select {
             width: 100%;
             padding: 0.5rem;
             background: rgba(0, 0, 0, 0.3);
@@ -1980,6 +4296,298 @@
             cursor: pointer;
         }
 
+        .cav-history-toolbar {
+            display: flex;
+            gap: 0.5rem;
+            margin-bottom: 1rem;
+        }
+
+        .cav-history-toolbar button,
+        .cav-history-undo-to {
+            padding: 0.4rem 0.75rem;
+            background: rgba(255, 255, 255, 0.1);
+            border: 1px solid rgba(255, 255, 255, 0.2);
+            border-radius: 6px;
+            color: #c4b5fd;
+            cursor: pointer;
+        }
+
+        .cav-history-toolbar button:disabled {
+            opacity: 0.4;
+            cursor: default;
+        }
+
+        .cav-history-item {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 1rem;
+            padding: 0.6rem 0;
+            border-bottom: 1px solid rgba(255, 255, 255, 0.05);
+        }
+
+        .cav-history-item.undone {
+            opacity: 0.5;
+        }
+
+        .cav-history-info {
+            display: flex;
+            flex-direction: column;
+            min-width: 0;
+        }
+
+        .cav-history-description {
+            color: #fff;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+
+        .cav-history-time {
+            color: #888;
+            font-size: 0.75rem;
+        }
+
+        .cav-similar-modal {
+            width: 720px;
+        }
+
+        .cav-similar-body {
+            max-height: 60vh;
+        }
+
+        .cav-similar-controls {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 1rem;
+            color: #ccc;
+            margin-bottom: 0.75rem;
+        }
+
+        .cav-similar-controls button,
+        .cav-similar-merge,
+        .cav-similar-compare {
+            padding: 0.4rem 0.75rem;
+            background: rgba(255, 255, 255, 0.1);
+            border: 1px solid rgba(255, 255, 255, 0.2);
+            border-radius: 6px;
+            color: #c4b5fd;
+            cursor: pointer;
+        }
+
+        .cav-similar-controls button:disabled {
+            opacity: 0.4;
+            cursor: default;
+        }
+
+        .cav-similar-status {
+            color: #888;
+            font-size: 0.85rem;
+            margin-bottom: 1rem;
+        }
+
+        .cav-similar-group {
+            background: rgba(255, 255, 255, 0.05);
+            border-radius: 8px;
+            padding: 0.75rem;
+            margin-bottom: 0.75rem;
+        }
+
+        .cav-similar-group-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            color: #fff;
+            margin-bottom: 0.5rem;
+        }
+
+        .cav-similar-members {
+            display: flex;
+            gap: 0.75rem;
+            overflow-x: auto;
+        }
+
+        .cav-similar-member {
+            display: flex;
+            flex-direction: column;
+            gap: 0.25rem;
+            width: 140px;
+            flex-shrink: 0;
+            color: #ccc;
+            font-size: 0.75rem;
+            cursor: pointer;
+        }
+
+        .cav-similar-member img,
+        .cav-similar-noimg {
+            width: 140px;
+            height: 100px;
+            object-fit: contain;
+            background: rgba(0, 0, 0, 0.3);
+            border-radius: 6px;
+        }
+
+        .cav-similar-name {
+            color: #fff;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+
+        .cav-similar-meta {
+            color: #888;
+        }
+
+        .cav-search-modal {
+            width: 860px;
+        }
+
+        .cav-search-body {
+            max-height: 70vh;
+        }
+
+        #global-search-input {
+            width: 100%;
+            box-sizing: border-box;
+            padding: 0.75rem 1rem;
+            background: rgba(0, 0, 0, 0.3);
+            border: 1px solid rgba(255, 255, 255, 0.2);
+            border-radius: 8px;
+            color: #fff;
+            font-size: 1rem;
+        }
+
+        .cav-search-hint {
+            color: #888;
+            font-size: 0.75rem;
+            margin: 0.5rem 0;
+        }
+
+        .cav-search-hint code {
+            color: #c4b5fd;
+        }
+
+        .cav-search-status {
+            color: #888;
+            font-size: 0.85rem;
+            margin-bottom: 0.75rem;
+        }
+
+        .cav-search-layout {
+            display: grid;
+            grid-template-columns: 200px 1fr;
+            gap: 1rem;
+        }
+
+        .cav-search-facet h4,
+        .cav-search-group h4 {
+            color: #ccc;
+            font-size: 0.8rem;
+            margin: 0 0 0.4rem;
+            text-transform: uppercase;
+        }
+
+        .cav-search-facet {
+            margin-bottom: 1rem;
+        }
+
+        .cav-search-facet-value {
+            display: flex;
+            justify-content: space-between;
+            width: 100%;
+            padding: 0.25rem 0.5rem;
+            background: none;
+            border: 1px solid transparent;
+            border-radius: 6px;
+            color: #ccc;
+            font-size: 0.8rem;
+            text-align: left;
+            cursor: pointer;
+        }
+
+        .cav-search-facet-value:hover,
+        .cav-search-facet-value.active {
+            background: rgba(139, 92, 246, 0.2);
+            border-color: rgba(139, 92, 246, 0.5);
+            color: #fff;
+        }
+
+        .cav-search-count {
+            color: #888;
+            margin-left: 0.5rem;
+        }
+
+        .cav-search-library {
+            padding: 0.4rem 0.75rem;
+            margin-bottom: 0.75rem;
+            background: rgba(255, 255, 255, 0.1);
+            border: 1px solid rgba(255, 255, 255, 0.2);
+            border-radius: 6px;
+            color: #c4b5fd;
+            cursor: pointer;
+        }
+
+        .cav-search-group {
+            margin-bottom: 1rem;
+        }
+
+        .cav-search-result {
+            background: rgba(255, 255, 255, 0.05);
+            border-radius: 8px;
+            padding: 0.6rem 0.75rem;
+            margin-bottom: 0.5rem;
+        }
+
+        .cav-search-result.openable {
+            cursor: pointer;
+        }
+
+        .cav-search-result.openable:hover {
+            background: rgba(255, 255, 255, 0.1);
+        }
+
+        .cav-search-title {
+            color: #fff;
+        }
+
+        .cav-search-subtitle {
+            color: #888;
+            font-size: 0.75rem;
+        }
+
+        .cav-search-snippet {
+            color: #bbb;
+            font-size: 0.8rem;
+            margin-top: 0.25rem;
+        }
+
+        .cav-search-snippet mark {
+            background: rgba(250, 204, 21, 0.3);
+            color: #fff;
+        }
+
+        .cav-search-chips {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.25rem;
+            margin-top: 0.35rem;
+        }
+
+        .cav-search-chip {
+            padding: 0.1rem 0.4rem;
+            background: rgba(139, 92, 246, 0.2);
+            border-radius: 4px;
+            color: #c4b5fd;
+            font-size: 0.7rem;
+        }
+
+        .cav-search-empty {
+            color: #888;
+            padding: 2rem 0;
+            text-align: center;
+        }
+
         /* Spinner */
         .cav-spinner {
             display: inline-block;
@@ -2005,13 +4613,15 @@
     // INITIALIZATION
     // ============================================
     function init() {
-        ProcessingQueue.loadJobs();
+        ProcessingQueue.init();
         FoldersCollections.init();
         VersionHistory.init();
         ScheduledScans.init();
+        UndoRevert.init();
+        GlobalSearch.init();
         
-        console.log('🚀 Advanced Features loaded - Version 2.2.0');
-        console.log('   Features: Queue, Batch Ops, Comparison, Folders, Downloads, Versions, PDF Reports, Pagination, Schedules, Undo');
+        console.log('🚀 Advanced Features loaded - Version 2.11.0');
+        console.log('   Features: Queue, Batch Ops, Comparison, Folders, Downloads, Versions, PDF Reports, Pagination, Schedules, Undo, Similar, Search');
     }
 
     // Initialize when DOM is ready
@@ -2035,6 +4645,8 @@
         TruePagination,
         ScheduledScans,
         UndoRevert,
+        SimilarAssets,
+        GlobalSearch,
     };
 
 })();
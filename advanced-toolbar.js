@@ -1,13 +1,17 @@
 /**
  * Advanced Features Toolbar
  * =========================
- * Version 2.2.0
+ * Version 2.7.0
  * 
  * Provides quick access to all advanced features:
  * - Batch Operations
+ * - Version History
  * - Folders/Collections  
- * - PDF Reports
+ * - Reports (PDF / XLSX)
  * - Scheduled Scans
+ * - Similar Assets
+ * - Search (assets, analyses, swipe file, CRM)
+ * - Undo / Redo and the undo history
  * - Selection Mode
  */
 
@@ -59,8 +63,16 @@
                             </svg>
                             <span class="cav-toolbar-label">Batch AI</span>
                         </button>
+                        <button class="cav-toolbar-btn" id="tb-versions" title="Version History (select one asset)" disabled>
+                            <svg class="cav-toolbar-icon" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                <polyline points="1 4 1 10 7 10"></polyline>
+                                <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+                                <polyline points="12 7 12 12 15 15"></polyline>
+                            </svg>
+                            <span class="cav-toolbar-label">Versions</span>
+                        </button>
                         <div class="cav-toolbar-divider"></div>
-                        <button class="cav-toolbar-btn" id="tb-report" title="Generate PDF Report">
+                        <button class="cav-toolbar-btn" id="tb-report" title="Generate PDF / XLSX Report">
                             <svg class="cav-toolbar-icon" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                                 <line x1="18" y1="20" x2="18" y2="10"></line>
                                 <line x1="12" y1="20" x2="12" y2="4"></line>
@@ -84,6 +96,46 @@
                             <span class="cav-toolbar-label">Queue</span>
                             <span class="cav-toolbar-badge" id="queue-badge" style="display:none">0</span>
                         </button>
+                        <button class="cav-toolbar-btn" id="tb-similar" title="Similar Assets (near-duplicates and resize families)">
+                            <svg class="cav-toolbar-icon" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                                <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+                            </svg>
+                            <span class="cav-toolbar-label">Similar</span>
+                        </button>
+                        <button class="cav-toolbar-btn" id="tb-search" title="Search everything (Ctrl/Cmd+K)">
+                            <svg class="cav-toolbar-icon" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                <circle cx="11" cy="11" r="8"></circle>
+                                <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+                            </svg>
+                            <span class="cav-toolbar-label">Search</span>
+                        </button>
+                        <div class="cav-toolbar-divider"></div>
+                        <button class="cav-toolbar-btn" id="tb-undo" title="Nothing to undo" disabled>
+                            <svg class="cav-toolbar-icon" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                <polyline points="9 14 4 9 9 4"></polyline>
+                                <path d="M20 20v-7a4 4 0 0 0-4-4H4"></path>
+                            </svg>
+                            <span class="cav-toolbar-label">Undo</span>
+                        </button>
+                        <button class="cav-toolbar-btn" id="tb-redo" title="Nothing to redo" disabled>
+                            <svg class="cav-toolbar-icon" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                <polyline points="15 14 20 9 15 4"></polyline>
+                                <path d="M4 20v-7a4 4 0 0 1 4-4h12"></path>
+                            </svg>
+                            <span class="cav-toolbar-label">Redo</span>
+                        </button>
+                        <button class="cav-toolbar-btn" id="tb-history" title="Undo History">
+                            <svg class="cav-toolbar-icon" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                <line x1="8" y1="6" x2="21" y2="6"></line>
+                                <line x1="8" y1="12" x2="21" y2="12"></line>
+                                <line x1="8" y1="18" x2="21" y2="18"></line>
+                                <line x1="3" y1="6" x2="3.01" y2="6"></line>
+                                <line x1="3" y1="12" x2="3.01" y2="12"></line>
+                                <line x1="3" y1="18" x2="3.01" y2="18"></line>
+                            </svg>
+                            <span class="cav-toolbar-label">History</span>
+                        </button>
                     </div>
                     <div class="cav-toolbar-right">
                         <div class="cav-toolbar-selection" id="selection-info" style="display:none">
@@ -123,6 +175,13 @@
                 }
             });
 
+            // Version history of the single selected asset
+            document.getElementById('tb-versions')?.addEventListener('click', () => {
+                if (this.selectedAssets.length === 1 && window.cavAdvanced?.VersionHistory) {
+                    window.cavAdvanced.VersionHistory.showVersionHistory(this.selectedAssets[0]);
+                }
+            });
+
             // PDF Report
             document.getElementById('tb-report')?.addEventListener('click', () => {
                 this.showReportDialog();
@@ -142,6 +201,27 @@
                 }
             });
 
+            // Similar assets
+            document.getElementById('tb-similar')?.addEventListener('click', () => {
+                window.cavAdvanced?.SimilarAssets?.showSimilarPanel();
+            });
+
+            // Global search
+            document.getElementById('tb-search')?.addEventListener('click', () => {
+                window.cavAdvanced?.GlobalSearch?.open();
+            });
+
+            // Undo / redo
+            document.getElementById('tb-undo')?.addEventListener('click', () => {
+                window.cavAdvanced?.UndoRevert?.undo();
+            });
+            document.getElementById('tb-redo')?.addEventListener('click', () => {
+                window.cavAdvanced?.UndoRevert?.redo();
+            });
+            document.getElementById('tb-history')?.addEventListener('click', () => {
+                window.cavAdvanced?.UndoRevert?.showHistoryPanel();
+            });
+
             // Clear selection
             document.getElementById('tb-clear-selection')?.addEventListener('click', () => {
                 this.clearSelection();
@@ -153,6 +233,12 @@
                     this.updateQueueBadge();
                 });
             }
+
+            // Listen for undo history changes
+            if (window.CAVUndoHistory) {
+                window.CAVUndoHistory.addListener(() => this.updateUndoButtons());
+                this.updateUndoButtons();
+            }
         },
 
         toggleSelectionMode() {
@@ -239,6 +325,7 @@
             const info = document.getElementById('selection-info');
             const count = document.getElementById('selection-count');
             const batchBtn = document.getElementById('tb-batch');
+            const versionsBtn = document.getElementById('tb-versions');
 
             if (this.selectedAssets.length > 0) {
                 info.style.display = 'flex';
@@ -248,6 +335,7 @@
                 info.style.display = 'none';
                 batchBtn.disabled = true;
             }
+            versionsBtn.disabled = this.selectedAssets.length !== 1;
         },
 
         clearSelection() {
@@ -258,6 +346,20 @@
             this.updateSelectionUI();
         },
 
+        updateUndoButtons() {
+            const history = window.CAVUndoHistory;
+            const undoBtn = document.getElementById('tb-undo');
+            const redoBtn = document.getElementById('tb-redo');
+            if (!history || !undoBtn || !redoBtn) return;
+
+            const nextUndo = history.peekUndo();
+            const nextRedo = history.peekRedo();
+            undoBtn.disabled = !nextUndo;
+            undoBtn.title = nextUndo ? `Undo: ${nextUndo.description} (Ctrl+Z)` : 'Nothing to undo';
+            redoBtn.disabled = !nextRedo;
+            redoBtn.title = nextRedo ? `Redo: ${nextRedo.description} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        },
+
         updateQueueBadge() {
             const badge = document.getElementById('queue-badge');
             if (!badge || !window.cavAdvanced?.ProcessingQueue) return;
@@ -1,7 +1,7 @@
 /**
  * Enhanced AI Analysis Module
  * ===========================
- * Version 1.0.0 - January 17, 2026
+ * Version 1.1.0 - October 19, 2026
  * 
  * Integrates multiple AI services for comprehensive creative analysis:
  * - Google Cloud Vision API (object detection, face detection, text extraction)
@@ -14,12 +14,13 @@
  * - Multi-model consensus scoring
  * - Cross-validation of results
  * - Comprehensive creative intelligence
+ * - Safe-zone checks for text and logos on vertical placements
  */
 
 (function() {
     'use strict';
 
-    const ENHANCED_VERSION = '1.0.0';
+    const ENHANCED_VERSION = '1.1.0';
 
     // ============================================
     // GOOGLE CLOUD VISION INTEGRATION
@@ -147,11 +148,111 @@
                 safeSearch: response.safeSearchAnnotation || {},
                 logos: (response.logoAnnotations || []).map(l => ({
                     name: l.description,
-                    confidence: Math.round(l.score * 100)
-                }))
+                    confidence: Math.round(l.score * 100),
+                    bounds: l.boundingPoly
+                })),
+                textBlocks: this.extractTextBlocks(response.fullTextAnnotation)
             };
         }
 
+        // One entry per paragraph-level block with its text and bounding poly
+        extractTextBlocks(fullTextAnnotation) {
+            const blocks = [];
+            (fullTextAnnotation?.pages || []).forEach(page => {
+                (page.blocks || []).forEach(block => {
+                    const text = (block.paragraphs || [])
+                        .flatMap(p => (p.words || []).map(w => (w.symbols || []).map(s => s.text).join('')))
+                        .join(' ');
+                    if (text) blocks.push({ text, bounds: block.boundingBox });
+                });
+            });
+            return blocks;
+        }
+
+        /**
+         * Detect text and logos only (cheaper than the full analyze call) and
+         * return their boxes as fractions of the frame.
+         * @param {string} image - Data URL / base64, or an http(s) URL
+         * @param {Object} size - { width, height } of the image that is sent
+         * @returns {Object} - { elements: [{ kind, label, box }], error?, skipped? }
+         */
+        async detectLayoutElements(image, size) {
+            const apiKey = this.getApiKey();
+            if (!apiKey) {
+                return { elements: [], error: 'No API key configured', skipped: true };
+            }
+            if (!image || typeof image !== 'string' || !size?.width || !size?.height) {
+                return { elements: [], error: 'No image data', skipped: true };
+            }
+
+            const imagePayload = /^https?:/.test(image)
+                ? { source: { imageUri: image } }
+                : { content: image.replace(/^data:image\/[a-z]+;base64,/, '') };
+
+            try {
+                const response = await fetch(`${this.baseUrl}?key=${apiKey}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        requests: [{
+                            image: imagePayload,
+                            features: [
+                                { type: 'TEXT_DETECTION' },
+                                { type: 'LOGO_DETECTION', maxResults: 5 },
+                            ]
+                        }]
+                    })
+                });
+                if (!response.ok) {
+                    throw new Error(`Vision API error: ${response.status}`);
+                }
+
+                const data = await response.json();
+                const result = data.responses[0] || {};
+                const toBox = poly => this.polyToBox(poly, size);
+
+                const elements = [
+                    ...this.extractTextBlocks(result.fullTextAnnotation).map(b => ({ kind: 'text', label: b.text, box: toBox(b.bounds) })),
+                    ...(result.logoAnnotations || []).map(l => ({ kind: 'logo', label: l.description, box: toBox(l.boundingPoly) })),
+                ].filter(e => e.box);
+
+                return { elements };
+            } catch (error) {
+                console.error('[GoogleVision] Layout detection error:', error);
+                return { elements: [], error: error.message, skipped: true };
+            }
+        }
+
+        // Bounding poly (pixel or normalized vertices) -> { x, y, width, height } in 0-1
+        polyToBox(poly, size) {
+            const normalized = poly?.normalizedVertices?.length > 0;
+            const vertices = normalized ? poly.normalizedVertices : poly?.vertices;
+            if (!vertices || vertices.length === 0) return null;
+
+            const xs = vertices.map(v => (v.x || 0) / (normalized ? 1 : size.width));
+            const ys = vertices.map(v => (v.y || 0) / (normalized ? 1 : size.height));
+            const clamp = v => Math.min(1, Math.max(0, v));
+            const x = clamp(Math.min(...xs));
+            const y = clamp(Math.min(...ys));
+            return { x, y, width: clamp(Math.max(...xs)) - x, height: clamp(Math.max(...ys)) - y };
+        }
+
+        /**
+         * Flag text and logos that sit under platform UI on the given
+         * channels (safe zones come from the channel spec registry).
+         * @returns {Object} - { elements, channels: { [name]: { safeZone, issues } }, error?, skipped? }
+         */
+        async checkSafeZones(image, size, channels) {
+            const detection = await this.detectLayoutElements(image, size);
+            const registry = window.CAVChannelSpecs;
+            const results = {};
+            (channels || []).forEach(channel => {
+                const { safeZone, issues } = registry.checkSafeZone(detection.elements, channel);
+                if (safeZone) results[channel] = { safeZone, issues };
+            });
+            return { ...detection, channels: results, checkedAt: new Date().toISOString() };
+        }
+
         extractDominantColors(imageProps) {
             if (!imageProps?.dominantColors?.colors) return [];
             
@@ -776,6 +877,10 @@ Return as structured JSON with all scores and insights.`;
         async quickAnalyze(imageBase64) {
             return enhancedAnalyzer.analyzeCreative({ id: 'quick-' + Date.now() }, imageBase64);
         },
+
+        async checkSafeZones(image, size, channels) {
+            return enhancedAnalyzer.googleVision.checkSafeZones(image, size, channels);
+        },
         
         clearCache() {
             enhancedAnalyzer.analysisCache.clear();
@@ -558,6 +558,22 @@
     // Export for use in AI Fix panel
     window.DISPLAY_AD_PACKAGES = DISPLAY_AD_PACKAGES;
 
+    // Built-in display packages plus the workspace's custom packages
+    function getDisplayAdPackages() {
+        const custom = window.CAVChannelSpecs?.getCustomPackages?.() || {};
+        const packages = { ...DISPLAY_AD_PACKAGES };
+        Object.entries(custom).forEach(([key, pkg]) => {
+            packages[key] = {
+                name: `${key} Package`,
+                description: pkg.description || `Custom package v${pkg.version}`,
+                sizes: pkg.channels.map(entry => entry.channel),
+                icon: '📦',
+                category: 'custom'
+            };
+        });
+        return packages;
+    }
+
     // ============================================
     // ASSET ANALYSIS
     // ============================================
@@ -3254,7 +3270,7 @@ Generate the modified image directly.`
                             <h4>📦 Display Ad Packages</h4>
                             <p style="color: #94a3b8; font-size: 0.8rem; margin-bottom: 1rem;">Quick select all sizes for a platform</p>
                             <div class="ai-package-grid">
-                                ${Object.entries(DISPLAY_AD_PACKAGES).map(([key, pkg]) => `
+                                ${Object.entries(getDisplayAdPackages()).map(([key, pkg]) => `
                                     <button class="ai-package-btn" data-package="${key}" title="${pkg.description}">
                                         ${pkg.icon} ${pkg.name.replace(' Package', '')}
                                     </button>
@@ -3350,7 +3366,7 @@ Generate the modified image directly.`
         modal.querySelectorAll('.ai-package-btn').forEach(btn => {
             btn.onclick = () => {
                 const packageKey = btn.dataset.package;
-                const pkg = DISPLAY_AD_PACKAGES[packageKey];
+                const pkg = getDisplayAdPackages()[packageKey];
                 if (pkg) {
                     // First deselect all display
                     modal.querySelectorAll('.ai-fix-item[data-category="gdn"], .ai-fix-item[data-category="ttd"], .ai-fix-item[data-category="dv360"]').forEach(item => {
@@ -5395,6 +5411,7 @@ Generate the modified image directly.`
         BackgroundQueue,
         queueResize,
         queueAnimation,
+        addDerivativeToLibrary,
     };
 
     // Setup event handlers
@@ -139,6 +139,13 @@ class Request {
         
         if (strpos($contentType, 'application/json') !== false) {
             $raw = file_get_contents('php://input');
+            // Large sync pushes arrive gzipped
+            if (stripos($_SERVER['HTTP_CONTENT_ENCODING'] ?? '', 'gzip') !== false) {
+                $raw = gzdecode($raw);
+                if ($raw === false) {
+                    return [];
+                }
+            }
             return json_decode($raw, true) ?? [];
         }
         
@@ -244,6 +251,8 @@ class Request {
 // ========================================================
 
 class Response {
+    private const GZIP_MIN_BYTES = 1024;
+    
     private int $status;
     private array $headers;
     private $body;
@@ -305,9 +314,24 @@ class Response {
             header("{$name}: {$value}");
         }
         
-        if ($this->body !== null) {
-            echo json_encode($this->body, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
+        if ($this->body === null) {
+            return;
         }
+        
+        $json = json_encode($this->body, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
+        
+        // Compress large payloads (sync pulls) unless PHP or the web server already does
+        if (strlen($json) >= self::GZIP_MIN_BYTES
+            && stripos($_SERVER['HTTP_ACCEPT_ENCODING'] ?? '', 'gzip') !== false
+            && !ini_get('zlib.output_compression')
+            && function_exists('gzencode')) {
+            header('Content-Encoding: gzip');
+            header('Vary: Accept-Encoding');
+            echo gzencode($json, 6);
+            return;
+        }
+        
+        echo $json;
     }
 }
 
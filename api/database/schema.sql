@@ -117,6 +117,8 @@ CREATE TABLE IF NOT EXISTS `companies` (
     `sync_version` INT UNSIGNED DEFAULT 1,
     `last_synced_at` TIMESTAMP NULL,
     `needs_sync` TINYINT(1) DEFAULT 0,
+    `field_versions` JSON DEFAULT NULL,
+    `updated_by_device` VARCHAR(64) DEFAULT NULL,
     `deleted_at` TIMESTAMP NULL,
     
     -- Timestamps
@@ -126,7 +128,8 @@ CREATE TABLE IF NOT EXISTS `companies` (
     FOREIGN KEY (`owner_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
     FOREIGN KEY (`team_id`) REFERENCES `teams`(`id`) ON DELETE SET NULL,
     INDEX `idx_owner` (`owner_id`),
-    INDEX `idx_sync` (`needs_sync`, `sync_version`)
+    INDEX `idx_sync` (`needs_sync`, `sync_version`),
+    INDEX `idx_pull` (`owner_id`, `updated_at`, `uuid`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 CREATE TABLE IF NOT EXISTS `projects` (
@@ -150,6 +153,8 @@ CREATE TABLE IF NOT EXISTS `projects` (
     `sync_version` INT UNSIGNED DEFAULT 1,
     `last_synced_at` TIMESTAMP NULL,
     `needs_sync` TINYINT(1) DEFAULT 0,
+    `field_versions` JSON DEFAULT NULL,
+    `updated_by_device` VARCHAR(64) DEFAULT NULL,
     `deleted_at` TIMESTAMP NULL,
     
     -- Timestamps
@@ -160,7 +165,8 @@ CREATE TABLE IF NOT EXISTS `projects` (
     FOREIGN KEY (`owner_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
     INDEX `idx_company` (`company_id`),
     INDEX `idx_owner` (`owner_id`),
-    INDEX `idx_sync` (`needs_sync`, `sync_version`)
+    INDEX `idx_sync` (`needs_sync`, `sync_version`),
+    INDEX `idx_pull` (`owner_id`, `updated_at`, `uuid`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ============================================================
@@ -191,6 +197,8 @@ CREATE TABLE IF NOT EXISTS `contacts` (
     -- Sync tracking
     `sync_version` INT UNSIGNED DEFAULT 1,
     `needs_sync` TINYINT(1) DEFAULT 0,
+    `field_versions` JSON DEFAULT NULL,
+    `updated_by_device` VARCHAR(64) DEFAULT NULL,
     `deleted_at` TIMESTAMP NULL,
     
     -- Timestamps
@@ -201,7 +209,8 @@ CREATE TABLE IF NOT EXISTS `contacts` (
     FOREIGN KEY (`company_id`) REFERENCES `companies`(`id`) ON DELETE SET NULL,
     INDEX `idx_owner` (`owner_id`),
     INDEX `idx_company` (`company_id`),
-    INDEX `idx_sync` (`needs_sync`, `sync_version`)
+    INDEX `idx_sync` (`needs_sync`, `sync_version`),
+    INDEX `idx_pull` (`owner_id`, `updated_at`, `uuid`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ============================================================
@@ -235,6 +244,8 @@ CREATE TABLE IF NOT EXISTS `deals` (
     -- Sync tracking
     `sync_version` INT UNSIGNED DEFAULT 1,
     `needs_sync` TINYINT(1) DEFAULT 0,
+    `field_versions` JSON DEFAULT NULL,
+    `updated_by_device` VARCHAR(64) DEFAULT NULL,
     `deleted_at` TIMESTAMP NULL,
     
     -- Timestamps
@@ -246,7 +257,8 @@ CREATE TABLE IF NOT EXISTS `deals` (
     FOREIGN KEY (`contact_id`) REFERENCES `contacts`(`id`) ON DELETE SET NULL,
     INDEX `idx_owner` (`owner_id`),
     INDEX `idx_stage` (`stage`),
-    INDEX `idx_sync` (`needs_sync`, `sync_version`)
+    INDEX `idx_sync` (`needs_sync`, `sync_version`),
+    INDEX `idx_pull` (`owner_id`, `updated_at`, `uuid`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ============================================================
@@ -269,6 +281,8 @@ CREATE TABLE IF NOT EXISTS `crm_activities` (
     -- Sync tracking
     `sync_version` INT UNSIGNED DEFAULT 1,
     `needs_sync` TINYINT(1) DEFAULT 0,
+    `field_versions` JSON DEFAULT NULL,
+    `updated_by_device` VARCHAR(64) DEFAULT NULL,
     `deleted_at` TIMESTAMP NULL,
     
     -- Timestamps
@@ -281,7 +295,8 @@ CREATE TABLE IF NOT EXISTS `crm_activities` (
     FOREIGN KEY (`deal_id`) REFERENCES `deals`(`id`) ON DELETE SET NULL,
     INDEX `idx_owner` (`owner_id`),
     INDEX `idx_type` (`activity_type`),
-    INDEX `idx_sync` (`needs_sync`, `sync_version`)
+    INDEX `idx_sync` (`needs_sync`, `sync_version`),
+    INDEX `idx_pull` (`owner_id`, `updated_at`, `uuid`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ============================================================
@@ -301,6 +316,8 @@ CREATE TABLE IF NOT EXISTS `crm_tags` (
     -- Sync tracking
     `sync_version` INT UNSIGNED DEFAULT 1,
     `needs_sync` TINYINT(1) DEFAULT 0,
+    `field_versions` JSON DEFAULT NULL,
+    `updated_by_device` VARCHAR(64) DEFAULT NULL,
     `deleted_at` TIMESTAMP NULL,
     
     -- Timestamps
@@ -309,7 +326,8 @@ CREATE TABLE IF NOT EXISTS `crm_tags` (
     
     FOREIGN KEY (`owner_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
     INDEX `idx_owner` (`owner_id`),
-    UNIQUE KEY `unique_user_tag` (`owner_id`, `name`)
+    UNIQUE KEY `unique_user_tag` (`owner_id`, `name`),
+    INDEX `idx_pull` (`owner_id`, `updated_at`, `uuid`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ============================================================
@@ -337,6 +355,8 @@ CREATE TABLE IF NOT EXISTS `competitors` (
     -- Sync tracking
     `sync_version` INT UNSIGNED DEFAULT 1,
     `needs_sync` TINYINT(1) DEFAULT 0,
+    `field_versions` JSON DEFAULT NULL,
+    `updated_by_device` VARCHAR(64) DEFAULT NULL,
     `deleted_at` TIMESTAMP NULL,
     
     -- Timestamps
@@ -346,7 +366,8 @@ CREATE TABLE IF NOT EXISTS `competitors` (
     FOREIGN KEY (`owner_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
     FOREIGN KEY (`company_id`) REFERENCES `companies`(`id`) ON DELETE SET NULL,
     INDEX `idx_owner` (`owner_id`),
-    INDEX `idx_sync` (`needs_sync`, `sync_version`)
+    INDEX `idx_sync` (`needs_sync`, `sync_version`),
+    INDEX `idx_pull` (`owner_id`, `updated_at`, `uuid`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ============================================================
@@ -369,6 +390,8 @@ CREATE TABLE IF NOT EXISTS `crm_custom_fields` (
     -- Sync tracking
     `sync_version` INT UNSIGNED DEFAULT 1,
     `needs_sync` TINYINT(1) DEFAULT 0,
+    `field_versions` JSON DEFAULT NULL,
+    `updated_by_device` VARCHAR(64) DEFAULT NULL,
     `deleted_at` TIMESTAMP NULL,
     
     -- Timestamps
@@ -377,7 +400,8 @@ CREATE TABLE IF NOT EXISTS `crm_custom_fields` (
     
     FOREIGN KEY (`owner_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
     INDEX `idx_owner` (`owner_id`),
-    UNIQUE KEY `unique_user_entity_field` (`owner_id`, `entity_type`, `field_name`)
+    UNIQUE KEY `unique_user_entity_field` (`owner_id`, `entity_type`, `field_name`),
+    INDEX `idx_pull` (`owner_id`, `updated_at`, `uuid`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ============================================================
@@ -422,6 +446,8 @@ CREATE TABLE IF NOT EXISTS `assets` (
     `sync_version` INT UNSIGNED DEFAULT 1,
     `last_synced_at` TIMESTAMP NULL,
     `needs_sync` TINYINT(1) DEFAULT 0,
+    `field_versions` JSON DEFAULT NULL,
+    `updated_by_device` VARCHAR(64) DEFAULT NULL,
     `deleted_at` TIMESTAMP NULL,
     
     -- Timestamps
@@ -434,7 +460,8 @@ CREATE TABLE IF NOT EXISTS `assets` (
     INDEX `idx_owner` (`owner_id`),
     INDEX `idx_cloudinary` (`cloudinary_id`),
     INDEX `idx_sync` (`needs_sync`, `sync_version`),
-    INDEX `idx_type` (`type`)
+    INDEX `idx_type` (`type`),
+    INDEX `idx_pull` (`owner_id`, `updated_at`, `uuid`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 CREATE TABLE IF NOT EXISTS `asset_shares` (
@@ -511,6 +538,8 @@ CREATE TABLE IF NOT EXISTS `brand_kits` (
     -- Sync tracking
     `sync_version` INT UNSIGNED DEFAULT 1,
     `needs_sync` TINYINT(1) DEFAULT 0,
+    `field_versions` JSON DEFAULT NULL,
+    `updated_by_device` VARCHAR(64) DEFAULT NULL,
     `deleted_at` TIMESTAMP NULL,
     
     -- Timestamps
@@ -519,7 +548,8 @@ CREATE TABLE IF NOT EXISTS `brand_kits` (
     
     FOREIGN KEY (`company_id`) REFERENCES `companies`(`id`) ON DELETE CASCADE,
     FOREIGN KEY (`owner_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
-    INDEX `idx_company` (`company_id`)
+    INDEX `idx_company` (`company_id`),
+    INDEX `idx_pull` (`owner_id`, `updated_at`, `uuid`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ============================================================
@@ -637,13 +667,16 @@ CREATE TABLE IF NOT EXISTS `swipe_files` (
     -- Sync
     `sync_version` INT UNSIGNED DEFAULT 1,
     `needs_sync` TINYINT(1) DEFAULT 0,
+    `field_versions` JSON DEFAULT NULL,
+    `updated_by_device` VARCHAR(64) DEFAULT NULL,
     `deleted_at` TIMESTAMP NULL,
     
     `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     FOREIGN KEY (`owner_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
-    FOREIGN KEY (`company_id`) REFERENCES `companies`(`id`) ON DELETE SET NULL
+    FOREIGN KEY (`company_id`) REFERENCES `companies`(`id`) ON DELETE SET NULL,
+    INDEX `idx_pull` (`owner_id`, `updated_at`, `uuid`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ============================================================
@@ -214,8 +214,10 @@ $router->get('/sync/pull', function(Request $req) use ($auth, $sync) {
     
     $since = $req->get('since');
     $types = $req->get('types') ? explode(',', $req->get('types')) : null;
+    // Per-type high-water marks: {"assets": {"at": "...", "uuid": "..."}}
+    $cursor = $req->get('cursor') ? json_decode($req->get('cursor'), true) : null;
     
-    return $sync->pull($user, $since, $types);
+    return $sync->pull($user, $since, $types, is_array($cursor) ? $cursor : null, (bool) $req->get('count'));
 });
 
 $router->post('/sync/push', function(Request $req) use ($auth, $sync) {
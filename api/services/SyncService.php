@@ -11,6 +11,7 @@ use CAV\Core\{Database, ApiException, Logger};
 class SyncService {
     private Database $db;
     private array $config;
+    private array $columnCache = [];
     
     // Entity types that can be synced (includes all CRM entities)
     private const SYNC_ENTITIES = [
@@ -28,6 +29,9 @@ class SyncService {
         'custom_fields' => 'crm_custom_fields'
     ];
     
+    // Rows per entity type in one pull
+    private const PULL_LIMIT = 1000;
+    
     public function __construct(Database $db, array $config) {
         $this->db = $db;
         $this->config = $config;
@@ -85,7 +89,17 @@ class SyncService {
     // PULL (Server → Client)
     // ========================================================
     
-    public function pull(array $user, ?string $since = null, ?array $entityTypes = null): array {
+    /**
+     * Changes the client has not seen yet.
+     *
+     * $cursor holds, per entity type, the updated_at and uuid of the last row
+     * the client received. Rows are read in (updated_at, uuid) order, so rows
+     * sharing a timestamp are not skipped when a page ends between them.
+     * $since is the older single-timestamp form, used for types without a cursor.
+     * With $countRemaining, types with more than a page also COUNT what is left
+     * (for progress); clients ask for it on the first page of a pull only.
+     */
+    public function pull(array $user, ?string $since = null, ?array $entityTypes = null, ?array $cursor = null, bool $countRemaining = false): array {
         $userId = $user['id'];
         $teamId = $user['team_id'] ?? null;
         
@@ -93,6 +107,9 @@ class SyncService {
         $sinceTime = $since ? date('Y-m-d H:i:s', strtotime($since)) : '1970-01-01 00:00:00';
         
         $changes = [];
+        $nextCursor = [];
+        $hasMore = false;
+        $remaining = $countRemaining ? 0 : null;
         $entities = $entityTypes ?? array_keys(self::SYNC_ENTITIES);
         
         foreach ($entities as $entityType) {
@@ -101,24 +118,46 @@ class SyncService {
             }
             
             $table = self::SYNC_ENTITIES[$entityType];
+            $mark = $cursor[$entityType] ?? null;
             
-            // Get all changes since timestamp
-            // Include: owned, team-shared, and explicitly shared
-            $sql = "SELECT * FROM `{$table}` 
-                    WHERE updated_at > ?
-                    AND (
-                        owner_id = ?
-                        " . ($teamId ? "OR (team_id = ? AND share_level IN ('team', 'public'))" : "") . "
-                    )
-                    ORDER BY updated_at ASC
-                    LIMIT 1000";
+            if (is_array($mark) && !empty($mark['at'])) {
+                $markTime = date('Y-m-d H:i:s', strtotime($mark['at']));
+                $after = "(updated_at > ? OR (updated_at = ? AND uuid > ?))";
+                $params = [$markTime, $markTime, (string) ($mark['uuid'] ?? '')];
+                $nextCursor[$entityType] = ['at' => $mark['at'], 'uuid' => (string) ($mark['uuid'] ?? '')];
+            } else {
+                $after = "updated_at > ?";
+                $params = [$sinceTime];
+                if ($since) {
+                    $nextCursor[$entityType] = ['at' => $sinceTime, 'uuid' => ''];
+                }
+            }
             
-            $params = [$sinceTime, $userId];
+            // Include: owned, team-shared, and explicitly shared
+            $scope = "(owner_id = ?" . ($teamId ? " OR (team_id = ? AND share_level IN ('team', 'public'))" : "") . ")";
+            $params[] = $userId;
             if ($teamId) {
                 $params[] = $teamId;
             }
             
-            $rows = $this->db->fetchAll($sql, $params);
+            // One row past the page tells whether there is more
+            $rows = $this->db->fetchAll(
+                "SELECT * FROM `{$table}` WHERE {$after} AND {$scope}
+                 ORDER BY updated_at ASC, uuid ASC
+                 LIMIT " . (self::PULL_LIMIT + 1),
+                $params
+            );
+            
+            if (count($rows) > self::PULL_LIMIT) {
+                $rows = array_slice($rows, 0, self::PULL_LIMIT);
+                $hasMore = true;
+                if ($countRemaining) {
+                    $remaining += (int) $this->db->fetchColumn(
+                        "SELECT COUNT(*) FROM `{$table}` WHERE {$after} AND {$scope}",
+                        $params
+                    ) - count($rows);
+                }
+            }
             
             foreach ($rows as $row) {
                 $changes[] = [
@@ -130,6 +169,11 @@ class SyncService {
                     'updated_at' => $row['updated_at']
                 ];
             }
+            
+            $last = end($rows);
+            if ($last) {
+                $nextCursor[$entityType] = ['at' => $last['updated_at'], 'uuid' => $last['uuid']];
+            }
         }
         
         // Sort all changes by updated_at
@@ -137,8 +181,10 @@ class SyncService {
         
         return [
             'changes' => $changes,
+            'cursor' => $nextCursor,
             'server_time' => date('Y-m-d\TH:i:s\Z'),
-            'has_more' => count($changes) >= 1000
+            'has_more' => $hasMore,
+            'remaining' => $remaining
         ];
     }
     
@@ -152,7 +198,8 @@ class SyncService {
                        'brand_colors', 'brand_fonts', 'shared_with', 'target_platforms', 'generated_sizes',
                        'design_patterns', 'color_palette',
                        // CRM JSON fields
-                       'custom_fields', 'strengths', 'weaknesses', 'options', 'details'];
+                       'custom_fields', 'strengths', 'weaknesses', 'options', 'details',
+                       'field_versions'];
         
         foreach ($jsonFields as $field) {
             if (isset($row[$field]) && is_string($row[$field])) {
@@ -191,7 +238,7 @@ class SyncService {
                 
                 // Check for conflicts
                 $existing = $this->db->fetch(
-                    "SELECT id, sync_version, owner_id FROM `{$table}` WHERE uuid = ?",
+                    "SELECT * FROM `{$table}` WHERE uuid = ?",
                     [$uuid]
                 );
                 
@@ -208,9 +255,11 @@ class SyncService {
                         $conflicts[] = [
                             'uuid' => $uuid,
                             'entity_type' => $entityType,
-                            'server_version' => $existing['sync_version'],
+                            'server_version' => (int) $existing['sync_version'],
                             'client_version' => $clientVersion,
-                            'resolution' => $resolution['strategy']
+                            'resolution' => $resolution['strategy'],
+                            // The client merges against this (sync-merge.js)
+                            'server_data' => $this->sanitizeForClient($existing)
                         ];
                         
                         if ($resolution['strategy'] === 'server_wins') {
@@ -225,13 +274,13 @@ class SyncService {
                         $results[] = ['uuid' => $uuid, 'status' => 'deleted'];
                     } else {
                         $this->updateEntity($table, $uuid, $data, $userId);
-                        $results[] = ['uuid' => $uuid, 'status' => 'updated'];
+                        $results[] = ['uuid' => $uuid, 'status' => 'updated', 'version' => (int) $existing['sync_version'] + 1];
                     }
                 } else {
                     // Create new
                     if ($action !== 'delete') {
                         $this->createEntity($table, $uuid, $data, $userId, $user['team_id'] ?? null);
-                        $results[] = ['uuid' => $uuid, 'status' => 'created'];
+                        $results[] = ['uuid' => $uuid, 'status' => 'created', 'version' => 1];
                     }
                 }
                 
@@ -309,6 +358,13 @@ class SyncService {
     private function getAllowedFields(string $table): array {
         $common = ['name', 'description', 'share_level', 'shared_with'];
         
+        // Per-field version stamps, on databases that have the columns
+        foreach (['field_versions', 'updated_by_device'] as $column) {
+            if ($this->hasColumn($table, $column)) {
+                $common[] = $column;
+            }
+        }
+        
         $specific = [
             'assets' => ['type', 'mime_type', 'file_size', 'width', 'height', 'duration',
                         'storage_type', 'cloudinary_id', 'cloudinary_url', 'thumbnail_url', 'original_url',
@@ -338,7 +394,8 @@ class SyncService {
                        'brand_colors', 'brand_fonts', 'shared_with', 'target_platforms', 'generated_sizes',
                        'design_patterns', 'color_palette',
                        // CRM JSON fields
-                       'custom_fields', 'strengths', 'weaknesses', 'options', 'details'];
+                       'custom_fields', 'strengths', 'weaknesses', 'options', 'details',
+                       'field_versions'];
         
         foreach ($jsonFields as $field) {
             if (isset($data[$field]) && is_array($data[$field])) {
@@ -365,6 +422,18 @@ class SyncService {
     // HELPERS
     // ========================================================
     
+    private function hasColumn(string $table, string $column): bool {
+        $key = "{$table}.{$column}";
+        if (!isset($this->columnCache[$key])) {
+            $this->columnCache[$key] = (bool) $this->db->fetchColumn(
+                'SELECT COUNT(*) FROM information_schema.COLUMNS
+                 WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+                [$table, $column]
+            );
+        }
+        return $this->columnCache[$key];
+    }
+    
     public function markForSync(string $table, string $uuid): void {
         $this->db->update($table, [
             'needs_sync' => 1,
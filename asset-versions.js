@@ -0,0 +1,626 @@
+/**
+ * Creative Asset Validator - Asset Versions
+ * Version 1.1.0
+ *
+ * Version history for library assets. Each version keeps the file itself
+ * plus what was known about it at the time: dimensions, file size, the
+ * validation result and the AI analysis scores.
+ *
+ * - Files and metadata live in IndexedDB (cav_asset_versions); only the
+ *   newest MAX_LOCAL_FILES files per asset stay local.
+ * - When Supabase is configured each version is mirrored: a row in
+ *   asset_versions and the file in the asset-versions Storage bucket, so
+ *   history follows the asset across devices and pruned files can be
+ *   fetched back.
+ * - revertToVersion writes the version's file and metadata back to the
+ *   library asset, saving the replaced state as a new version first.
+ * - Merging near-duplicates saves the merged assets' files as versions of
+ *   the one kept (captureVersion's `into` option).
+ *
+ * compareVersions and pixelDiff are pure and back the diff view in
+ * advanced-features.js (ComparisonView.openDiff).
+ */
+
+(function() {
+    'use strict';
+
+    const VERSION = '1.1.0';
+    const DB_NAME = 'cav_asset_versions';
+    const DB_VERSION = 1;
+    const STORES = {
+        VERSIONS: 'versions',
+        FILES: 'files',
+    };
+
+    const MAX_LOCAL_FILES = 20;
+    // Matches the Supabase free-tier upload limit
+    const CLOUD_MAX_BYTES = 50 * 1024 * 1024;
+    // Per-channel difference below which two pixels count as the same
+    // (absorbs JPEG re-encoding noise)
+    const PIXEL_THRESHOLD = 24;
+
+    // ============================================
+    // STORAGE
+    // ============================================
+
+    class IdbVersionStore {
+        constructor() {
+            this.dbReady = this.open();
+        }
+
+        open() {
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = event.target.result;
+                    if (!db.objectStoreNames.contains(STORES.VERSIONS)) {
+                        db.createObjectStore(STORES.VERSIONS, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(STORES.FILES)) {
+                        db.createObjectStore(STORES.FILES, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        async request(storeName, mode, fn) {
+            const db = await this.dbReady;
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(storeName, mode);
+                const request = fn(tx.objectStore(storeName));
+                let result;
+                if (request) request.onsuccess = () => { result = request.result; };
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+
+        all(storeName) {
+            return this.request(storeName, 'readonly', store => store.getAll());
+        }
+
+        get(storeName, id) {
+            return this.request(storeName, 'readonly', store => store.get(id));
+        }
+
+        put(storeName, record) {
+            return this.request(storeName, 'readwrite', store => store.put(record));
+        }
+
+        delete(storeName, id) {
+            return this.request(storeName, 'readwrite', store => store.delete(id));
+        }
+    }
+
+    // Same interface without IndexedDB; history then only lasts for the page
+    class MemoryVersionStore {
+        constructor() {
+            this.stores = new Map(Object.values(STORES).map(name => [name, new Map()]));
+        }
+
+        async all(storeName) {
+            return [...this.stores.get(storeName).values()];
+        }
+
+        async get(storeName, id) {
+            return this.stores.get(storeName).get(id);
+        }
+
+        async put(storeName, record) {
+            this.stores.get(storeName).set(record.id, record);
+        }
+
+        async delete(storeName, id) {
+            this.stores.get(storeName).delete(id);
+        }
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    function createId(prefix) {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    function dataUrlToBlob(dataUrl) {
+        const [header, data] = dataUrl.split(',');
+        const mime = (header.match(/data:([^;]+)/) || [])[1] || 'application/octet-stream';
+        const isBase64 = header.includes(';base64');
+        const text = isBase64 ? atob(data) : decodeURIComponent(data);
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i);
+        return new Blob([bytes], { type: mime });
+    }
+
+    function blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // Same digest as the library's file_hash (validator-app calculateFileHash)
+    async function hashBlob(blob) {
+        if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function extensionFor(mime, filename) {
+        const fromName = (filename || '').split('.').pop();
+        if (fromName && fromName !== filename && fromName.length <= 5) return fromName.toLowerCase();
+        return (mime || '').split('/')[1]?.replace('jpeg', 'jpg').replace('quicktime', 'mov') || 'bin';
+    }
+
+    function isVideo(asset) {
+        return asset.file_type === 'video' || asset.type === 'video';
+    }
+
+    // The asset's current file: an in-memory Blob, or the data URL the
+    // library stores (video_url for videos, thumbnail_url for images)
+    function assetFile(asset) {
+        if (asset.blob instanceof Blob) return asset.blob;
+        const source = isVideo(asset)
+            ? asset.video_url
+            : (asset.dataUrl || asset.thumbnail_url);
+        return source && source.startsWith('data:') ? dataUrlToBlob(source) : null;
+    }
+
+    function readNumber(...values) {
+        const value = values.find(v => typeof v === 'number' && !isNaN(v));
+        return value === undefined ? null : Math.round(value);
+    }
+
+    // Scores from the latest Analyze run for this asset (analyze-module.js)
+    function readAiScores(asset) {
+        const analysis = window.CAVAnalyze?.module?.getAnalysisForAsset?.(asset.id) || asset.analysis || null;
+        if (!analysis) return null;
+
+        const scores = {
+            overall: readNumber(analysis.overallScore, analysis.overall_score),
+            hook: readNumber(analysis.hookAnalysis?.overallScore, analysis.hook_analysis?.score),
+            cta: readNumber(analysis.ctaAnalysis?.overallEffectiveness, analysis.ctaAnalysis?.overallScore, analysis.cta_analysis?.score),
+            thumbStop: readNumber(analysis.thumbStopScore?.overallScore, analysis.thumb_stop_score),
+            brand: readNumber(analysis.brandCompliance?.overallCompliance, analysis.brandCompliance?.overallScore),
+        };
+        return Object.values(scores).some(v => v !== null)
+            ? { ...scores, analyzedAt: analysis.analyzedAt || analysis.analyzed_at || null }
+            : null;
+    }
+
+    // Library validation results (validator-app validateAgainstSpecs) keep
+    // compatible channels as a list and failing ones as a reasons map
+    function validationChannels(validation) {
+        if (!validation) return null;
+        return {
+            compatible: [...(validation.compatible || [])].sort(),
+            failing: Object.keys(validation.incompatible || {}).sort(),
+            isOffSize: !!validation.isOffSize,
+        };
+    }
+
+    // ============================================
+    // DIFF
+    // ============================================
+
+    /**
+     * What changed between two versions (or a version and the live asset,
+     * passed through toVersionShape). b is the newer side.
+     */
+    function compareVersions(a, b) {
+        const before = validationChannels(a.validation);
+        const after = validationChannels(b.validation);
+        const scoreKeys = ['overall', 'hook', 'cta', 'thumbStop', 'brand'];
+
+        return {
+            dimensions: {
+                before: { width: a.width, height: a.height },
+                after: { width: b.width, height: b.height },
+                changed: a.width !== b.width || a.height !== b.height,
+            },
+            fileSize: {
+                before: a.file_size || 0,
+                after: b.file_size || 0,
+                delta: (b.file_size || 0) - (a.file_size || 0),
+            },
+            duration: a.duration || b.duration
+                ? { before: a.duration || null, after: b.duration || null, changed: a.duration !== b.duration }
+                : null,
+            validation: before && after ? {
+                before: before.isOffSize ? 'off-size' : 'compatible',
+                after: after.isOffSize ? 'off-size' : 'compatible',
+                gained: after.compatible.filter(c => !before.compatible.includes(c)),
+                lost: before.compatible.filter(c => !after.compatible.includes(c)),
+                compatibleBefore: before.compatible.length,
+                compatibleAfter: after.compatible.length,
+            } : null,
+            aiScores: scoreKeys
+                .map(key => {
+                    const from = a.aiScores?.[key] ?? null;
+                    const to = b.aiScores?.[key] ?? null;
+                    return { key, before: from, after: to, delta: from !== null && to !== null ? to - from : null };
+                })
+                .filter(s => s.before !== null || s.after !== null),
+            sameFile: !!a.hash && a.hash === b.hash,
+        };
+    }
+
+    /**
+     * Per-pixel difference of two same-sized RGBA buffers (ImageData).
+     * Returns the share of pixels that differ and an overlay buffer with
+     * changed pixels in red over a dimmed copy of `a`.
+     */
+    function pixelDiff(a, b, { threshold = PIXEL_THRESHOLD } = {}) {
+        if (a.width !== b.width || a.height !== b.height) {
+            throw new Error('pixelDiff needs images of the same size');
+        }
+        const total = a.width * a.height;
+        const overlay = new Uint8ClampedArray(total * 4);
+        let changed = 0;
+
+        for (let i = 0; i < total * 4; i += 4) {
+            const delta = Math.max(
+                Math.abs(a.data[i] - b.data[i]),
+                Math.abs(a.data[i + 1] - b.data[i + 1]),
+                Math.abs(a.data[i + 2] - b.data[i + 2]),
+                Math.abs(a.data[i + 3] - b.data[i + 3])
+            );
+            if (delta > threshold) {
+                changed++;
+                overlay[i] = 255;
+                overlay[i + 1] = 40;
+                overlay[i + 2] = 80;
+                overlay[i + 3] = 255;
+            } else {
+                const grey = (a.data[i] + a.data[i + 1] + a.data[i + 2]) / 3;
+                overlay[i] = overlay[i + 1] = overlay[i + 2] = grey * 0.35;
+                overlay[i + 3] = 255;
+            }
+        }
+
+        return { width: a.width, height: a.height, changed, total, ratio: total ? changed / total : 0, overlay };
+    }
+
+    // ============================================
+    // ASSET VERSION STORE
+    // ============================================
+
+    class AssetVersionStore {
+        constructor() {
+            this.store = typeof indexedDB !== 'undefined' ? new IdbVersionStore() : new MemoryVersionStore();
+            this.VERSION = VERSION;
+        }
+
+        get cloud() {
+            const supabase = window.CAVSupabase;
+            return supabase?.isConfigured?.() && supabase.uploadAssetVersionFile ? supabase : null;
+        }
+
+        assetKey(asset) {
+            return asset.uuid || asset.id;
+        }
+
+        // Current state of a library asset in the same shape as a version,
+        // for comparing "now" against history
+        toVersionShape(asset) {
+            return {
+                id: 'current',
+                assetId: this.assetKey(asset),
+                version: null,
+                filename: asset.filename,
+                file_type: asset.file_type || asset.type,
+                mime_type: asset.mime_type || null,
+                file_size: asset.file_size || asset.fileSize || 0,
+                width: asset.width,
+                height: asset.height,
+                duration: asset.duration || null,
+                hash: asset.file_hash || null,
+                validation: asset.validation || null,
+                aiScores: readAiScores(asset),
+            };
+        }
+
+        async hashAsset(asset) {
+            const file = assetFile(asset);
+            return file ? hashBlob(file) : null;
+        }
+
+        // ----------------------------------------
+        // READ
+        // ----------------------------------------
+
+        async getLocalVersions(assetId) {
+            return (await this.store.all(STORES.VERSIONS))
+                .filter(v => v.assetId === assetId)
+                .sort((a, b) => b.version - a.version);
+        }
+
+        /**
+         * Versions of an asset, newest first. Versions saved on another
+         * device are merged in from Supabase (their files download on use).
+         */
+        async getVersions(asset) {
+            const assetId = this.assetKey(asset);
+            const local = await this.getLocalVersions(assetId);
+            const cloud = this.cloud;
+            if (!cloud) return local;
+
+            try {
+                const known = new Set(local.map(v => v.id));
+                const remote = (await cloud.getAssetVersions(assetId))
+                    .filter(row => !known.has(row.uuid))
+                    .map(row => this.fromCloudRow(row));
+                for (const version of remote) {
+                    await this.store.put(STORES.VERSIONS, version);
+                }
+                return [...local, ...remote].sort((a, b) => b.version - a.version);
+            } catch (e) {
+                console.warn('[AssetVersions] Could not load cloud versions:', e);
+                return local;
+            }
+        }
+
+        async getVersion(versionId) {
+            return (await this.store.get(STORES.VERSIONS, versionId)) || null;
+        }
+
+        async getVersionFile(version) {
+            const local = await this.store.get(STORES.FILES, version.id);
+            if (local) return local.blob;
+
+            if (version.storagePath && this.cloud) {
+                const blob = await this.cloud.downloadAssetVersionFile(version.storagePath);
+                if (blob) {
+                    await this.store.put(STORES.FILES, { id: version.id, assetId: version.assetId, blob });
+                    await this.pruneLocalFiles(version.assetId);
+                    return blob;
+                }
+            }
+            return null;
+        }
+
+        // Something an <img> can show: the file for images, the saved
+        // poster frame for videos
+        async getPreviewUrl(version) {
+            if (version.file_type === 'video') return version.thumbnail || null;
+            const blob = await this.getVersionFile(version);
+            return blob ? blobToDataUrl(blob) : null;
+        }
+
+        // ----------------------------------------
+        // WRITE
+        // ----------------------------------------
+
+        /**
+         * Save the asset's current file and metadata as a new version.
+         * Returns the latest version unchanged when the file and validation
+         * are identical to it, unless force is set. With `into`, the file is
+         * saved as a version of that asset instead (merging near-duplicates).
+         */
+        async captureVersion(asset, { note = '', reason = 'manual', force = false, into = null } = {}) {
+            const file = assetFile(asset);
+            if (!file) {
+                throw new Error(`No file data to version for ${asset.filename || asset.id}`);
+            }
+
+            const owner = into || asset;
+            const assetId = this.assetKey(owner);
+            const hash = await hashBlob(file);
+            const existing = await this.getVersions(owner);
+            const latest = existing[0];
+            const validation = asset.validation || null;
+
+            if (!force && latest && hash && latest.hash === hash
+                && JSON.stringify(latest.validation) === JSON.stringify(validation)) {
+                return latest;
+            }
+
+            const version = {
+                id: createId('ver'),
+                assetId,
+                version: (latest?.version || 0) + 1,
+                filename: asset.filename || asset.name,
+                file_type: asset.file_type || asset.type || (file.type.startsWith('video/') ? 'video' : 'image'),
+                mime_type: asset.mime_type || file.type || null,
+                file_size: file.size,
+                width: asset.width || null,
+                height: asset.height || null,
+                duration: asset.duration || null,
+                hash,
+                validation,
+                aiScores: readAiScores(asset),
+                thumbnail: isVideo(asset) ? (asset.thumbnail_url || null) : null,
+                note,
+                reason,
+                createdBy: window.cavUserSession?.email || null,
+                createdAt: new Date().toISOString(),
+                storagePath: null,
+                cloudStatus: 'local',
+            };
+
+            await this.store.put(STORES.FILES, { id: version.id, assetId, blob: file });
+            await this.store.put(STORES.VERSIONS, version);
+            await this.pruneLocalFiles(assetId);
+
+            // Mirroring is best effort: the local copy is already safe
+            await this.syncToCloud(version, file);
+            return version;
+        }
+
+        async syncToCloud(version, file) {
+            const cloud = this.cloud;
+            if (!cloud) return version;
+
+            if (file.size > CLOUD_MAX_BYTES) {
+                version.cloudStatus = 'too_large';
+                await this.store.put(STORES.VERSIONS, version);
+                return version;
+            }
+
+            try {
+                const owner = (window.CAVSupabase.getCurrentUserEmail?.() || 'anonymous').toLowerCase();
+                const path = `${owner}/${version.assetId}/${version.id}.${extensionFor(version.mime_type, version.filename)}`;
+                const upload = await cloud.uploadAssetVersionFile(path, file, version.mime_type || file.type);
+                if (!upload.success) throw new Error(upload.error);
+
+                const row = await cloud.saveAssetVersion(this.toCloudRow({ ...version, storagePath: path }));
+                if (!row.success) throw new Error(row.error);
+
+                version.storagePath = path;
+                version.cloudStatus = 'synced';
+            } catch (e) {
+                console.warn('[AssetVersions] Cloud mirror failed:', e.message);
+                version.cloudStatus = 'failed';
+            }
+            await this.store.put(STORES.VERSIONS, version);
+            return version;
+        }
+
+        toCloudRow(version) {
+            return {
+                uuid: version.id,
+                asset_uuid: version.assetId,
+                version: version.version,
+                filename: version.filename,
+                file_type: version.file_type,
+                mime_type: version.mime_type,
+                file_size: version.file_size,
+                width: version.width,
+                height: version.height,
+                duration: version.duration,
+                file_hash: version.hash,
+                storage_path: version.storagePath,
+                validation: version.validation,
+                ai_scores: version.aiScores,
+                note: version.note,
+                reason: version.reason,
+                created_at: version.createdAt,
+                metadata: { thumbnail: version.thumbnail },
+            };
+        }
+
+        fromCloudRow(row) {
+            let metadata = row.metadata || {};
+            if (typeof metadata === 'string') {
+                try { metadata = JSON.parse(metadata); } catch (e) { metadata = {}; }
+            }
+            return {
+                id: row.uuid,
+                assetId: row.asset_uuid,
+                version: row.version,
+                filename: row.filename,
+                file_type: row.file_type,
+                mime_type: row.mime_type,
+                file_size: row.file_size,
+                width: row.width,
+                height: row.height,
+                duration: row.duration,
+                hash: row.file_hash,
+                validation: row.validation,
+                aiScores: row.ai_scores,
+                thumbnail: metadata.thumbnail || null,
+                note: row.note || '',
+                reason: row.reason || 'manual',
+                createdBy: row.owner_email || null,
+                createdAt: row.created_at,
+                storagePath: row.storage_path,
+                cloudStatus: 'synced',
+            };
+        }
+
+        // Drop local files beyond the newest MAX_LOCAL_FILES; versions whose
+        // file is in the cloud keep their metadata and download on demand
+        async pruneLocalFiles(assetId) {
+            const versions = await this.getLocalVersions(assetId);
+            const files = await this.store.all(STORES.FILES);
+            const local = new Set(files.filter(f => f.assetId === assetId).map(f => f.id));
+            const keep = versions.filter(v => local.has(v.id)).slice(0, MAX_LOCAL_FILES);
+            const keepIds = new Set(keep.map(v => v.id));
+
+            for (const version of versions) {
+                if (!local.has(version.id) || keepIds.has(version.id)) continue;
+                await this.store.delete(STORES.FILES, version.id);
+                if (!version.storagePath) {
+                    // Nowhere else to get the file from: the version is gone
+                    await this.store.delete(STORES.VERSIONS, version.id);
+                }
+            }
+        }
+
+        async deleteVersion(versionId) {
+            const version = await this.getVersion(versionId);
+            await this.store.delete(STORES.FILES, versionId);
+            await this.store.delete(STORES.VERSIONS, versionId);
+            if (version?.storagePath && this.cloud) {
+                await this.cloud.deleteAssetVersion(versionId);
+            }
+        }
+
+        /**
+         * Restore a version onto the library asset: its file, dimensions,
+         * size and validation result. The state being replaced is saved as a
+         * version first, so a revert can itself be reverted.
+         */
+        async revertToVersion(asset, versionId) {
+            const version = await this.getVersion(versionId);
+            if (!version || version.assetId !== this.assetKey(asset)) {
+                throw new Error('Version not found for this asset');
+            }
+
+            const file = await this.getVersionFile(version);
+            if (!file) {
+                throw new Error(`The file for v${version.version} is not available on this device`);
+            }
+
+            const storage = window.cavApp?.storage;
+            if (!storage) {
+                throw new Error('Library storage is not ready');
+            }
+
+            if (assetFile(asset)) {
+                await this.captureVersion(asset, { note: `Before revert to v${version.version}`, reason: 'revert' });
+            }
+
+            const dataUrl = await blobToDataUrl(file);
+            const updates = {
+                width: version.width,
+                height: version.height,
+                duration: version.duration,
+                file_size: version.file_size,
+                mime_type: version.mime_type,
+                file_hash: version.hash,
+                validation: version.validation,
+                restored_from_version: version.version,
+            };
+            if (version.file_type === 'video') {
+                updates.video_url = dataUrl;
+                if (version.thumbnail) updates.thumbnail_url = version.thumbnail;
+            } else {
+                updates.thumbnail_url = dataUrl;
+            }
+
+            const result = await storage.updateAsset(asset.id, updates);
+            if (!result?.success) {
+                throw new Error(result?.message || 'Failed to update asset');
+            }
+            return { asset: result.asset, version };
+        }
+    }
+
+    const assetVersions = new AssetVersionStore();
+    assetVersions.compareVersions = compareVersions;
+    assetVersions.pixelDiff = pixelDiff;
+    assetVersions.readAiScores = readAiScores;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = assetVersions;
+    }
+
+    window.CAVAssetVersions = assetVersions;
+})();
@@ -1,12 +1,17 @@
 /**
  * Auto-Fix Workflow - AI-Powered Asset Correction Pipeline
  * =========================================================
- * Version 2.0.0
+ * Version 2.4.2
  * 
  * Features:
  * - Automatic detection of off-size assets
  * - One-click AI fix for aspect ratio issues
- * - Batch processing for multiple assets
+ * - Cloudinary or local (canvas) resizing when no AI key is set
+ * - Batch processing for multiple assets, chaining every needed fix per
+ *   channel (trim → resize → compress) with re-validation and retries
+ * - Queue runs as durable jobs (job-queue.js) that survive reloads
+ * - Video trim, extend (loop or end card) and compress in the browser
+ *   (video-processor.js), saved as derivatives of the original
  * - Before/After comparison
  * - Integration with notifications
  * - Fix history and undo
@@ -15,6 +20,12 @@
 (function() {
     'use strict';
 
+    // Order fixes are chained in (trim/extend, resize, encoding, compress);
+    // see channel-specs.js
+    const FIX_ORDER = window.CAVChannelSpecs.FIX_ORDER;
+    const DEFAULT_MAX_RETRIES = 2;
+    const DEFAULT_RETRY_DELAY_MS = 1000;
+
     // ============================================
     // AUTO-FIX WORKFLOW CLASS
     // ============================================
@@ -24,6 +35,7 @@
             this.processing = false;
             this.history = this.loadHistory();
             this.settings = this.loadSettings();
+            this.registerJobHandler();
         }
 
         loadHistory() {
@@ -93,140 +105,22 @@
                         issues,
                     });
 
-                    // Generate fix suggestions
-                    issues.forEach(issue => {
-                        const fix = this.generateFixSuggestion(asset, spec, channel, issue);
-                        if (fix && !analysis.fixSuggestions.find(f => 
-                            f.channel === fix.channel && f.type === fix.type
-                        )) {
-                            analysis.fixSuggestions.push(fix);
-                        }
-                    });
+                    // Fix suggestions, merged and in FIX_ORDER (channel-specs.js)
+                    analysis.fixSuggestions.push(...window.CAVChannelSpecs.suggestFixes(channel, issues));
                 }
             });
 
-            // Check if can auto-fix (need AI adapter)
-            analysis.canAutoFix = window.cavAIAdapter?.hasApiKey() || false;
+            // Resizes need the AI adapter or a transform backend (Cloudinary or local)
+            analysis.canAutoFix = window.cavAIAdapter?.hasApiKey()
+                || !!window.CAVTransformBackends?.selectBackend(asset);
 
             return analysis;
         }
 
         checkChannelCompatibility(asset, spec, channel) {
-            const issues = [];
-            const ratio = asset.width / asset.height;
-
-            // Check aspect ratio
-            const specRatios = spec.aspectRatios.map(r => {
-                const [w, h] = r.split(':').map(Number);
-                return { ratio: w / h, label: r };
-            });
-
-            const matchesRatio = specRatios.some(sr => Math.abs(ratio - sr.ratio) < 0.05);
-
-            if (!matchesRatio) {
-                const closestRatio = specRatios.reduce((closest, sr) => 
-                    Math.abs(sr.ratio - ratio) < Math.abs(closest.ratio - ratio) ? sr : closest
-                );
-                
-                issues.push({
-                    type: 'aspect_ratio',
-                    message: `Wrong aspect ratio for ${channel}`,
-                    current: this.calculateAspectRatio(asset.width, asset.height),
-                    required: closestRatio.label,
-                    requiredRatio: closestRatio.ratio,
-                });
-            }
-
-            // Check duration for videos
-            if (asset.type === 'video' && asset.duration) {
-                if (spec.minDuration && asset.duration < spec.minDuration) {
-                    issues.push({
-                        type: 'duration_short',
-                        message: `Video too short for ${channel}`,
-                        current: asset.duration,
-                        required: spec.minDuration,
-                    });
-                }
-                if (spec.maxDuration && asset.duration > spec.maxDuration) {
-                    issues.push({
-                        type: 'duration_long',
-                        message: `Video too long for ${channel}`,
-                        current: asset.duration,
-                        required: spec.maxDuration,
-                    });
-                }
-            }
-
-            // Check file size
-            if (spec.maxFileSizeMB && asset.fileSize) {
-                const sizeMB = asset.fileSize / (1024 * 1024);
-                if (sizeMB > spec.maxFileSizeMB) {
-                    issues.push({
-                        type: 'file_size',
-                        message: `File too large for ${channel}`,
-                        current: sizeMB.toFixed(1) + 'MB',
-                        required: spec.maxFileSizeMB + 'MB',
-                    });
-                }
-            }
-
-            return issues;
-        }
-
-        generateFixSuggestion(asset, spec, channel, issue) {
-            switch (issue.type) {
-                case 'aspect_ratio':
-                    return {
-                        channel,
-                        type: 'resize',
-                        action: 'AI Outpainting',
-                        description: `Extend image to ${issue.required} for ${channel}`,
-                        targetRatio: issue.requiredRatio,
-                        targetAspect: issue.required,
-                        method: 'outpaint', // outpaint, crop, smart_resize
-                        estimatedTime: '15-30 seconds',
-                        aiModel: 'Gemini 3 Pro',
-                    };
-
-                case 'duration_short':
-                    return {
-                        channel,
-                        type: 'extend_video',
-                        action: 'Extend Video',
-                        description: `Extend video to ${issue.required}s minimum`,
-                        targetDuration: issue.required,
-                        method: 'loop_or_slow',
-                        estimatedTime: '30-60 seconds',
-                        aiModel: 'Manual or Veo4',
-                    };
-
-                case 'duration_long':
-                    return {
-                        channel,
-                        type: 'trim_video',
-                        action: 'Trim Video',
-                        description: `Trim video to ${issue.required}s maximum`,
-                        targetDuration: issue.required,
-                        method: 'smart_trim',
-                        estimatedTime: '10-20 seconds',
-                        aiModel: 'Manual',
-                    };
-
-                case 'file_size':
-                    return {
-                        channel,
-                        type: 'compress',
-                        action: 'Compress',
-                        description: `Reduce file size to under ${issue.required}`,
-                        targetSize: issue.required,
-                        method: 'quality_reduce',
-                        estimatedTime: '5-15 seconds',
-                        aiModel: 'Local',
-                    };
-
-                default:
-                    return null;
-            }
+            // Same checks as the validator and MCP server (channel-specs.js)
+            const result = window.CAVChannelSpecs.checkChannelCompatibility(asset, channel);
+            return result.issues || [];
         }
 
         // ----------------------------------------
@@ -269,6 +163,12 @@
                         result.derivative = await this.executeCompressFix(asset, fixSuggestion, options);
                         break;
 
+                    case 'transcode':
+                    case 'add_audio':
+                    case 'normalize_audio':
+                        result.derivative = await this.executeEncodingFix(asset, fixSuggestion, options);
+                        break;
+
                     default:
                         throw new Error(`Unknown fix type: ${fixSuggestion.type}`);
                 }
@@ -291,6 +191,7 @@
 
             } catch (error) {
                 result.error = error.message;
+                result.retryable = error.retryable !== false;
                 result.endTime = new Date().toISOString();
                 console.error(`❌ Fix failed:`, error);
             }
@@ -299,100 +200,221 @@
         }
 
         async executeResizeFix(asset, fix, options) {
-            if (!window.cavAIAdapter) {
-                throw new Error('AI Adapter not available');
+            // AI outpainting keeps the whole image, so use it for images when a key is set
+            if (asset.type !== 'video' && window.cavAIAdapter?.hasApiKey() && options.backend !== 'transform') {
+                return window.cavAIAdapter.adaptImageToAspectRatio(asset, {
+                    aspectRatio: fix.targetAspect,
+                    channel: fix.channel,
+                });
             }
 
-            // Calculate target dimensions
-            const targetRatio = fix.targetRatio;
-            const currentRatio = asset.width / asset.height;
-            
-            let targetWidth, targetHeight;
-            
-            if (currentRatio < targetRatio) {
-                // Need to extend width
-                targetHeight = asset.height;
-                targetWidth = Math.round(asset.height * targetRatio);
-            } else {
-                // Need to extend height
-                targetWidth = asset.width;
-                targetHeight = Math.round(asset.width / targetRatio);
+            if (!window.CAVTransformBackends) {
+                throw new Error('No AI key or transform backend available');
             }
 
-            // Use AI Adapter to perform outpainting
-            const derivative = await window.cavAIAdapter.adaptImageToAspectRatio(asset, {
-                aspectRatio: fix.targetAspect,
-                channel: fix.channel,
+            // Exact sizes are filled and cropped; ratio fixes extend the short
+            // side and pad it, the closest local equivalent of outpainting
+            let targetWidth = fix.targetWidth;
+            let targetHeight = fix.targetHeight;
+            let crop = 'fill';
+
+            if (!targetWidth || !targetHeight) {
+                const targetRatio = fix.targetRatio;
+                const currentRatio = asset.width / asset.height;
+                crop = 'pad';
+
+                if (currentRatio < targetRatio) {
+                    // Need to extend width
+                    targetHeight = asset.height;
+                    targetWidth = Math.round(asset.height * targetRatio);
+                } else {
+                    // Need to extend height
+                    targetWidth = asset.width;
+                    targetHeight = Math.round(asset.width / targetRatio);
+                }
+            }
+
+            const result = await window.CAVTransformBackends.transformAsset(asset, {
+                width: targetWidth,
+                height: targetHeight,
+                crop,
+                gravity: options.gravity || 'auto',
+                background: crop === 'pad' ? 'blurred' : undefined,
             });
 
-            return derivative;
+            const baseName = (asset.filename || asset.name || 'asset').replace(/\.[^/.]+$/, '');
+            return {
+                id: `resized_${Date.now()}`,
+                filename: `${baseName}_${targetWidth}x${targetHeight}.${result.format || 'png'}`,
+                dataUrl: result.dataUrl,
+                url: result.url,
+                blob: result.blob,
+                width: result.width,
+                height: result.height,
+                type: asset.type,
+                channel: fix.channel,
+                backend: result.backend,
+                transformations: result.transformations,
+                ...(result.note ? { note: result.note } : {}),
+            };
         }
 
         async executeExtendVideoFix(asset, fix, options) {
-            // For video extension, we can:
-            // 1. Loop the video
-            // 2. Slow it down
-            // 3. Use AI to generate additional frames
-            
-            console.log(`⏱️ Video extension not yet implemented via AI`);
-            console.log(`   Suggested: Loop or slow down the video to reach ${fix.targetDuration}s`);
-            
+            const processor = window.CAVVideoProcessor;
+            if (!processor?.isAvailable()) {
+                return this.manualVideoFix(asset, `extend to ${fix.targetDuration}s`);
+            }
+
+            // Loops by default; a configured end card (image) is held instead
+            const endCard = options.endCard ?? this.settings.endCard ?? null;
+            const result = await processor.extend(asset, {
+                minDuration: fix.targetDuration,
+                mode: options.extendMode || this.settings.extendMode,
+                endCard,
+                signal: options.signal,
+            });
+            return this.saveVideoDerivative(asset, fix, result, `extended_${fix.targetDuration}s`, options);
+        }
+
+        async executeTrimVideoFix(asset, fix, options) {
+            const processor = window.CAVVideoProcessor;
+            if (!processor?.isAvailable()) {
+                return this.manualVideoFix(asset, `trim to ${fix.targetDuration}s`);
+            }
+
+            const result = await processor.trim(asset, {
+                maxDuration: fix.targetDuration,
+                signal: options.signal,
+            });
+            return this.saveVideoDerivative(asset, fix, result, `trimmed_${fix.targetDuration}s`, options);
+        }
+
+        manualVideoFix(asset, edit) {
+            console.log(`🎬 In-browser video processing unavailable - manual edit required: ${edit}`);
             return {
                 id: `manual_fix_${Date.now()}`,
                 filename: asset.filename || asset.name,
-                note: `Manual edit required: extend to ${fix.targetDuration}s`,
+                note: `Manual edit required: ${edit}`,
                 requiresManualEdit: true,
             };
         }
 
-        async executeTrimVideoFix(asset, fix, options) {
-            console.log(`✂️ Video trimming not yet implemented via AI`);
-            console.log(`   Suggested: Trim video to ${fix.targetDuration}s maximum`);
-            
+        /**
+         * Build the derivative for a processed video and add it to the
+         * library, linked to the original asset (the source of the whole fix
+         * chain, not an intermediate step)
+         */
+        async saveVideoDerivative(asset, fix, result, suffix, options = {}) {
+            const baseName = (asset.sourceFilename || asset.filename || asset.name || 'video').replace(/\.[^/.]+$/, '');
+            const derivative = {
+                id: `deriv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                filename: `${baseName}_${suffix}.mp4`,
+                blob: result.blob,
+                url: result.url,
+                video_url: result.url,
+                width: result.width,
+                height: result.height,
+                duration: result.duration,
+                type: 'video',
+                file_type: 'video',
+                mime_type: result.mime_type,
+                fileSize: result.fileSize,
+                channel: fix.channel,
+                targetChannel: fix.channel,
+                backend: result.backend,
+                operation: result.operation,
+                originalSize: asset.fileSize,
+                newSize: result.fileSize,
+                createdBy: `Auto-Fix (${fix.action})`,
+            };
+
+            const library = window.aiLibraryIntegration;
+            if (options.saveDerivatives !== false && library?.addDerivativeToLibrary) {
+                const original = {
+                    ...asset,
+                    id: asset.sourceAssetId || asset.id,
+                    filename: asset.sourceFilename || asset.filename,
+                };
+                try {
+                    // The library keeps videos as data URLs; object URLs end with the page
+                    const { blob, url, ...fields } = derivative;
+                    await library.addDerivativeToLibrary(original, { ...fields, video_url: await blobToDataUrl(blob) });
+                    derivative.savedToLibrary = true;
+                } catch (error) {
+                    console.warn('[AutoFix] Could not save derivative to the library:', error);
+                }
+            }
+            return derivative;
+        }
+
+        async executeEncodingFix(asset, fix, options) {
+            // No in-browser encoder yet - hand off the exact encode settings
+            console.log(`🎚️ ${fix.action} not yet available in the browser`);
+            console.log(`   Suggested: ${fix.description}`);
+
             return {
                 id: `manual_fix_${Date.now()}`,
                 filename: asset.filename || asset.name,
-                note: `Manual edit required: trim to ${fix.targetDuration}s`,
+                note: `Manual edit required: ${fix.description}`,
                 requiresManualEdit: true,
             };
         }
 
         async executeCompressFix(asset, fix, options) {
-            // Use canvas to recompress image at lower quality
+            // Images: re-encode as JPEG through a canvas, lowering quality
+            // until the file fits the channel's limit. Videos: ffmpeg.wasm
+            // at a bitrate computed from the limit
             console.log(`📦 Compressing asset...`);
-            
-            if (asset.type === 'image' && asset.dataUrl) {
-                return new Promise((resolve, reject) => {
-                    const img = new Image();
-                    img.onload = () => {
-                        const canvas = document.createElement('canvas');
-                        canvas.width = img.width;
-                        canvas.height = img.height;
-                        
-                        const ctx = canvas.getContext('2d');
-                        ctx.drawImage(img, 0, 0);
-                        
-                        // Compress at 70% quality
-                        const compressedDataUrl = canvas.toDataURL('image/jpeg', 0.7);
-                        
-                        resolve({
-                            id: `compressed_${Date.now()}`,
-                            filename: asset.filename?.replace(/\.[^/.]+$/, '_compressed.jpg'),
-                            dataUrl: compressedDataUrl,
-                            width: img.width,
-                            height: img.height,
-                            type: 'image',
-                            compressed: true,
-                            originalSize: asset.fileSize,
-                            newSize: Math.round(compressedDataUrl.length * 0.75),
-                        });
-                    };
-                    img.onerror = reject;
-                    img.src = asset.dataUrl;
+
+            if (asset.type === 'video') {
+                const processor = window.CAVVideoProcessor;
+                if (!processor?.isAvailable()) throw new Error('In-browser video compression is not available');
+                const result = await processor.compress(asset, {
+                    maxFileSizeMB: fix.targetSize,
+                    signal: options.signal,
                 });
+                return this.saveVideoDerivative(asset, fix, result, 'compressed', options);
+            }
+
+            const source = asset.dataUrl || asset.url;
+            if (asset.type !== 'image' || !source) {
+                throw new Error('Cannot compress this asset type');
+            }
+
+            const img = await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.crossOrigin = 'anonymous';
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error('Could not load image for compression'));
+                image.src = source;
+            });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = img.naturalWidth || img.width;
+            canvas.height = img.naturalHeight || img.height;
+            canvas.getContext('2d').drawImage(img, 0, 0);
+
+            const targetBytes = fix.targetSize ? fix.targetSize * 1024 * 1024 : null;
+            let compressedDataUrl;
+            let quality;
+            for (quality of [0.85, 0.7, 0.55, 0.4]) {
+                compressedDataUrl = canvas.toDataURL('image/jpeg', quality);
+                if (!targetBytes || dataUrlBytes(compressedDataUrl) <= targetBytes) break;
             }
 
-            throw new Error('Cannot compress this asset type');
+            return {
+                id: `compressed_${Date.now()}`,
+                filename: (asset.filename || asset.name || 'asset').replace(/\.[^/.]+$/, '') + '_compressed.jpg',
+                dataUrl: compressedDataUrl,
+                width: canvas.width,
+                height: canvas.height,
+                type: 'image',
+                channel: fix.channel,
+                compressed: true,
+                quality,
+                originalSize: asset.fileSize,
+                newSize: dataUrlBytes(compressedDataUrl),
+            };
         }
 
         // ----------------------------------------
@@ -401,16 +423,20 @@
 
         /**
          * Add assets to the fix queue
+         * @param {Array} assets
+         * @param {string|string[]} [targetChannels] - Channels to fix for; all failing channels when omitted
          */
-        addToQueue(assets, targetChannel = null) {
+        addToQueue(assets, targetChannels = null) {
+            const channels = targetChannels && !Array.isArray(targetChannels) ? [targetChannels] : targetChannels;
             assets.forEach(asset => {
-                const analysis = this.analyzeAsset(asset, targetChannel ? [targetChannel] : null);
+                const analysis = this.analyzeAsset(asset, channels);
                 
                 if (analysis.fixSuggestions.length > 0) {
                     this.queue.push({
                         asset,
                         analysis,
                         fixSuggestions: analysis.fixSuggestions,
+                        plan: this.buildFixPlan(analysis),
                         status: 'pending',
                         addedAt: new Date().toISOString(),
                     });
@@ -421,7 +447,121 @@
         }
 
         /**
-         * Process the entire queue
+         * Group an analysis' fix suggestions into ordered steps per channel.
+         * The plan is a preview: applyFixPlan re-validates after every step
+         * and picks the next fix from what is still wrong.
+         */
+        buildFixPlan(analysis) {
+            return window.CAVChannelSpecs.groupFixPlan(analysis.fixSuggestions);
+        }
+
+        /**
+         * Chain fixes for one channel until the asset passes: validate, apply
+         * the next fix in FIX_ORDER, re-validate the derivative, repeat.
+         * Stops when a step needs a manual edit, fails after its retries, or
+         * does not resolve the issue it was meant to fix.
+         * @returns {Promise<Object>} Channel report: { channel, status, steps, derivative, remainingIssues }
+         *   status is passed (nothing to do), fixed, needs_manual, failed or incompatible
+         */
+        async applyFixPlan(asset, channel, options = {}) {
+            const report = { channel, status: 'failed', steps: [], derivative: null, remainingIssues: [] };
+            let current = asset;
+
+            for (let n = 0; n <= FIX_ORDER.length; n++) {
+                const result = window.CAVChannelSpecs.checkChannelCompatibility(current, channel);
+                if (result.reason) {
+                    report.status = 'incompatible';
+                    report.remainingIssues = [result.reason];
+                    return report;
+                }
+                report.remainingIssues = result.issues.map(i => i.message);
+                if (report.steps.length > 0) {
+                    report.steps[report.steps.length - 1].issuesAfter = report.remainingIssues;
+                }
+                if (result.issues.length === 0) {
+                    report.status = report.steps.length > 0 ? 'fixed' : 'passed';
+                    return report;
+                }
+
+                // The issue → fix mapping lives in channel-specs.js so validation
+                // reports (app and MCP server) recommend the same fixes
+                const fix = window.CAVChannelSpecs.suggestFixes(channel, result.issues)[0];
+                if (!fix) return report;
+
+                // A fix that already ran without clearing its issue would loop
+                if (report.steps.some(step => step.type === fix.type)) {
+                    report.error = `${fix.action} did not resolve: ${report.remainingIssues.join('; ')}`;
+                    return report;
+                }
+
+                const step = await this.runFixStep(current, fix, options);
+                report.steps.push(step);
+                if (step.status === 'manual') {
+                    report.status = 'needs_manual';
+                    return report;
+                }
+                if (step.status !== 'done') return report;
+
+                current = this.derivativeAsAsset(current, step.derivative);
+                report.derivative = step.derivative;
+            }
+            return report;
+        }
+
+        /**
+         * Run one fix, retrying failures with a growing delay
+         */
+        async runFixStep(asset, fix, options = {}) {
+            const maxRetries = options.maxRetries ?? this.settings.maxRetries ?? DEFAULT_MAX_RETRIES;
+            const retryDelay = options.retryDelayMs ?? this.settings.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
+            const step = { type: fix.type, action: fix.action, description: fix.description, attempts: 0, status: 'failed' };
+
+            while (step.attempts <= maxRetries) {
+                if (step.attempts > 0) {
+                    await new Promise(resolve => setTimeout(resolve, retryDelay * step.attempts));
+                }
+                step.attempts++;
+                const result = await this.executeFix(asset, fix, options);
+                if (result.success) {
+                    step.derivative = result.derivative;
+                    step.status = result.derivative?.requiresManualEdit ? 'manual' : 'done';
+                    if (result.derivative?.note) step.note = result.derivative.note;
+                    delete step.error;
+                    return step;
+                }
+                step.error = result.error;
+                // Cancelled, or an error another attempt cannot fix
+                if (options.signal?.aborted || result.retryable === false) break;
+            }
+            return step;
+        }
+
+        /**
+         * The asset as re-validation should see it after a fix: the
+         * derivative's dimensions, duration and size over the source's
+         */
+        derivativeAsAsset(previous, derivative) {
+            return {
+                ...previous,
+                ...derivative,
+                type: derivative.type || previous.type,
+                width: derivative.width ?? previous.width,
+                height: derivative.height ?? previous.height,
+                duration: derivative.duration ?? previous.duration,
+                fileSize: derivative.newSize ?? derivative.fileSize ?? derivative.blob?.size ?? dataUrlBytes(derivative.dataUrl),
+                fileSizeMB: null,
+                sourceAssetId: previous.sourceAssetId || previous.id,
+                sourceFilename: previous.sourceFilename || previous.filename || previous.name,
+            };
+        }
+
+        /**
+         * Process the entire queue, applying every needed fix per target channel.
+         * With job-queue.js loaded each asset runs as a durable "autofix" job,
+         * so a reload mid-run resumes it and only one tab works on it.
+         * @param {Object} [options] - { onProgress, maxRetries, retryDelayMs, ...executeFix options }
+         * @returns {Promise<Array>} One entry per asset: { assetId, filename, status, channels: [channel reports] }
+         *   status is completed, partial, failed or cancelled
          */
         async processQueue(options = {}) {
             if (this.processing) {
@@ -430,64 +570,145 @@
             }
 
             this.processing = true;
+            const { onProgress, ...fixOptions } = options;
+            const items = this.queue.filter(item => item.status === 'pending');
             const results = [];
 
-            console.log(`🚀 Processing ${this.queue.length} assets in queue`);
+            console.log(`🚀 Processing ${items.length} assets in queue`);
 
-            for (let i = 0; i < this.queue.length; i++) {
-                const item = this.queue[i];
-                
-                if (item.status !== 'pending') continue;
+            try {
+                for (const item of items) {
+                    item.status = 'processing';
+                    try {
+                        item.channels = (item.plan || this.buildFixPlan(item.analysis)).map(p => p.channel);
+                        item.jobId = await this.enqueueFixJob(item, fixOptions);
+                    } catch (error) {
+                        item.error = error.message;
+                    }
+                }
 
-                item.status = 'processing';
-                
-                // Process first fix suggestion (or all if specified)
-                const fixToApply = item.fixSuggestions[0];
-                
-                if (fixToApply && fixToApply.type === 'resize') {
+                for (let i = 0; i < items.length; i++) {
+                    const item = items[i];
+                    // One item that throws fails on its own; the rest of the queue still runs
                     try {
-                        const result = await this.executeFix(item.asset, fixToApply, options);
-                        results.push(result);
-                        item.status = result.success ? 'completed' : 'failed';
-                        item.result = result;
+                        if (item.error) throw new Error(item.error);
+                        const outcome = item.jobId
+                            ? await this.waitForFixJob(item)
+                            : { report: await this.fixChannels(item.asset, item.channels, fixOptions) };
+                        item.report = outcome.report;
+
+                        const succeeded = item.report.filter(r => r.status === 'fixed' || r.status === 'passed').length;
+                        item.status = outcome.cancelled ? 'cancelled'
+                            : succeeded === item.report.length ? 'completed'
+                            : succeeded > 0 ? 'partial'
+                            : 'failed';
                     } catch (error) {
+                        console.error(`[AutoFix] ${item.asset.filename || item.asset.name} failed:`, error);
                         item.status = 'failed';
                         item.error = error.message;
+                        item.report = this.failedChannels(item.channels || [], error.message);
                     }
-                } else {
-                    item.status = 'skipped';
-                    item.note = 'Fix type not supported for auto-fix';
-                }
 
-                // Emit progress event
-                if (options.onProgress) {
-                    options.onProgress({
-                        current: i + 1,
-                        total: this.queue.length,
-                        item,
+                    results.push({
+                        assetId: item.asset.id,
+                        filename: item.asset.filename || item.asset.name,
+                        status: item.status,
+                        channels: item.report,
                     });
+
+                    // Emit progress event
+                    if (onProgress) {
+                        onProgress({
+                            current: i + 1,
+                            total: items.length,
+                            item,
+                        });
+                    }
                 }
-            }
 
-            this.processing = false;
-            
-            // Clear completed items from queue
-            this.queue = this.queue.filter(item => 
-                item.status === 'pending' || item.status === 'failed'
-            );
+                this.lastRun = { finishedAt: new Date().toISOString(), results };
+
+                // Clear completed items from queue; partial and failed ones keep their report
+                this.queue = this.queue.filter(item => item.status !== 'completed');
+            } finally {
+                this.processing = false;
+            }
 
-            console.log(`✅ Queue processing complete: ${results.filter(r => r.success).length}/${results.length} successful`);
+            console.log(`✅ Queue processing complete: ${results.filter(r => r.status === 'completed').length}/${results.length} assets fully fixed`);
 
             return results;
         }
 
+        /**
+         * Apply the fix chain for each channel of one asset
+         */
+        async fixChannels(asset, channels, options = {}, signal = null, onChannel = null) {
+            const report = [];
+            for (const channel of channels) {
+                if (signal?.aborted) break;
+                try {
+                    report.push(await this.applyFixPlan(asset, channel, options));
+                } catch (error) {
+                    report.push({ channel, status: 'failed', steps: [], error: error.message });
+                }
+                if (onChannel) onChannel(report.length, channels.length);
+            }
+            return report;
+        }
+
+        // Handler for "autofix" jobs, run by whichever tab holds the queue
+        registerJobHandler() {
+            if (!window.CAVJobQueue) return;
+            window.CAVJobQueue.registerHandler('autofix', async ({ asset, channels, options }, { signal, progress }) => ({
+                report: await this.fixChannels(asset, channels, { ...options, signal }, signal,
+                    (done, total) => progress((done / total) * 100)),
+            }));
+        }
+
+        /**
+         * @returns {Promise<string|null>} Job id, or null to run the item in this tab
+         */
+        async enqueueFixJob(item, options) {
+            if (!window.CAVJobQueue) return null;
+            try {
+                return await window.CAVJobQueue.enqueue('autofix', {
+                    asset: item.asset,
+                    channels: item.channels,
+                    options,
+                }, {
+                    label: item.asset.filename || item.asset.name,
+                    assetId: item.asset.id,
+                    dedupeKey: `autofix:${item.asset.id}:${item.channels.join('|')}`,
+                });
+            } catch (error) {
+                // e.g. an asset field IndexedDB cannot store
+                console.warn('[AutoFix] Could not queue durable job, fixing in this tab:', error);
+                return null;
+            }
+        }
+
+        async waitForFixJob(item) {
+            const job = await window.CAVJobQueue.waitFor(item.jobId);
+            if (job.status === 'completed') return { report: job.result?.report || [] };
+            return {
+                cancelled: job.status === 'cancelled',
+                report: this.failedChannels(item.channels, job.status === 'cancelled' ? 'Cancelled' : job.error),
+            };
+        }
+
+        failedChannels(channels, error) {
+            return channels.map(channel => ({ channel, status: 'failed', steps: [], error }));
+        }
+
         getQueueStatus() {
             return {
                 total: this.queue.length,
                 pending: this.queue.filter(i => i.status === 'pending').length,
                 processing: this.queue.filter(i => i.status === 'processing').length,
                 completed: this.queue.filter(i => i.status === 'completed').length,
+                partial: this.queue.filter(i => i.status === 'partial').length,
                 failed: this.queue.filter(i => i.status === 'failed').length,
+                cancelled: this.queue.filter(i => i.status === 'cancelled').length,
             };
         }
 
@@ -506,31 +727,11 @@
         }
 
         getVideoSpecs() {
-            return {
-                'YouTube Standard': { aspectRatios: ['16:9'], minDuration: 6, maxDuration: null },
-                'YouTube Shorts': { aspectRatios: ['9:16'], minDuration: null, maxDuration: 60 },
-                'Meta Feed': { aspectRatios: ['1:1', '4:5', '16:9'], minDuration: 1, maxDuration: 241 },
-                'Meta Stories': { aspectRatios: ['9:16'], minDuration: 1, maxDuration: 120 },
-                'Meta Reels': { aspectRatios: ['9:16'], minDuration: 3, maxDuration: 90 },
-                'TikTok': { aspectRatios: ['9:16'], minDuration: 5, maxDuration: 60 },
-                'Instagram Feed': { aspectRatios: ['1:1', '4:5'], minDuration: 3, maxDuration: 60 },
-                'Instagram Reels': { aspectRatios: ['9:16'], minDuration: 3, maxDuration: 90 },
-                'LinkedIn': { aspectRatios: ['1.91:1', '1:1', '4:5'], minDuration: 3, maxDuration: 600 },
-                'X (Twitter)': { aspectRatios: ['16:9', '1:1', '9:16'], minDuration: null, maxDuration: 140 },
-            };
+            return window.CAVChannelSpecs.getVideoSpecs();
         }
 
         getImageSpecs() {
-            return {
-                'Instagram Feed': { aspectRatios: ['1:1', '4:5', '1.91:1'] },
-                'Instagram Stories': { aspectRatios: ['9:16'] },
-                'Facebook Feed': { aspectRatios: ['1.91:1', '1:1', '4:5'] },
-                'Facebook Stories': { aspectRatios: ['9:16'] },
-                'LinkedIn Feed': { aspectRatios: ['1.91:1', '1:1', '4:5'] },
-                'Twitter Feed': { aspectRatios: ['16:9', '1:1'] },
-                'Pinterest': { aspectRatios: ['2:3', '1:1'] },
-                'Google Ads': { aspectRatios: ['1.91:1', '1:1'] },
-            };
+            return window.CAVChannelSpecs.getImageSpecs();
         }
 
         getHistory() {
@@ -543,6 +744,22 @@
         }
     }
 
+    // Decoded size of a base64 data URL
+    function dataUrlBytes(dataUrl) {
+        if (!dataUrl) return undefined;
+        const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+        return Math.floor(base64.length * 3 / 4) - (base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0);
+    }
+
+    function blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
     // ============================================
     // AUTO-FIX UI COMPONENTS
     // ============================================
@@ -644,7 +861,7 @@
                             <span class="stat-label">Completed</span>
                         </div>
                         <div class="stat">
-                            <span class="stat-value">${queueStatus.failed}</span>
+                            <span class="stat-value">${queueStatus.failed + queueStatus.partial}</span>
                             <span class="stat-label">Failed</span>
                         </div>
                     </div>
@@ -661,8 +878,15 @@
                             <div class="queue-item status-${item.status}">
                                 <span class="queue-name">${item.asset.filename || item.asset.name}</span>
                                 <span class="queue-issues">${item.fixSuggestions.length} fixes</span>
-                                <span class="queue-status">${item.status}</span>
+                                <span class="queue-status">${item.status.replace('_', ' ')}</span>
                             </div>
+                            ${(item.report || []).map(r => `
+                                <div class="queue-channel status-${r.status}">
+                                    <span class="queue-channel-name">${r.channel}</span>
+                                    <span class="queue-channel-steps">${r.steps.map(step => `${step.action}${step.attempts > 1 ? ` ×${step.attempts}` : ''}`).join(' → ') || '—'}</span>
+                                    <span class="queue-status" title="${(r.error || r.remainingIssues?.join('; ') || '').replace(/"/g, '&quot;')}">${r.status.replace('_', ' ')}</span>
+                                </div>
+                            `).join('')}
                         `).join('')}
                     </div>
                 </div>
@@ -943,10 +1167,43 @@
             border-left: 3px solid #ef4444;
         }
         
-        .queue-item.status-processing {
+        .queue-item.status-processing,
+        .queue-item.status-partial {
             border-left: 3px solid #f59e0b;
         }
         
+        .queue-channel {
+            display: flex;
+            align-items: center;
+            gap: 0.75rem;
+            padding: 0.35rem 0.75rem 0.35rem 1.5rem;
+            margin: -0.25rem 0 0.5rem;
+            font-size: 0.8rem;
+        }
+        
+        .queue-channel-name {
+            color: #e9d5ff;
+            flex: 1;
+        }
+        
+        .queue-channel-steps {
+            color: #c4b5fd;
+        }
+        
+        .queue-channel.status-fixed .queue-status,
+        .queue-channel.status-passed .queue-status {
+            color: #22c55e;
+        }
+        
+        .queue-channel.status-failed .queue-status,
+        .queue-channel.status-incompatible .queue-status {
+            color: #ef4444;
+        }
+        
+        .queue-channel.status-needs_manual .queue-status {
+            color: #f59e0b;
+        }
+        
         .queue-name {
             color: #fff;
             flex: 1;
@@ -977,7 +1234,7 @@
     window.cavAutoFix = new AutoFixWorkflow();
     window.cavAutoFix.createPanel = createAutoFixPanel;
 
-    console.log('🔧 Auto-Fix Workflow loaded - Version 2.0.0');
+    console.log('🔧 Auto-Fix Workflow loaded - Version 2.4.2');
 
 })();
 
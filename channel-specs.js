@@ -0,0 +1,1951 @@
+/**
+ * Creative Asset Validator - Channel Spec Registry
+ * Version 1.7.0
+ *
+ * Single source of truth for channel/placement specs. Loaded as a plain
+ * script in the browser (window.CAVChannelSpecs) and via require/import in
+ * Node (mcp-server). Every validator in the app, auto-fix, integrations,
+ * the Cloudinary client and the MCP server reads specs from here, so a
+ * validation result does not depend on which entry point produced it.
+ *
+ * Spec schema: see SPEC_SCHEMA below. Every spec carries an `effectiveFrom`
+ * date; older values of a changed spec live in SUPERSEDED_SPECS so results
+ * can be reproduced "as of" an earlier date. Record every data change in
+ * CHANGELOG and bump REGISTRY_VERSION.
+ *
+ * Workspaces can add their own placements (retail media, direct-sold
+ * takeovers) with registerCustomSpecs(). Custom specs are looked up next to
+ * the built-in ones by every function below; they are never written into
+ * CHANNEL_SPECS and cannot shadow a built-in channel. Custom packages
+ * (registerCustomPackages) bundle channels with per-channel crop, gravity
+ * and background overrides, and keep their earlier versions.
+ */
+
+(function() {
+    'use strict';
+
+    const REGISTRY_VERSION = '1.7.0';
+
+    // Default effective date for specs carried over from the pre-registry tables
+    const BASELINE = '2026-01-16';
+
+    // Relative tolerance used for aspect ratio matching everywhere
+    const ASPECT_RATIO_TOLERANCE = 0.05;
+
+    // Frame rates within this many fps count as a match (29.97 vs 29.970029)
+    const FRAME_RATE_TOLERANCE = 0.01;
+
+    // Integrated loudness within this many LU of the target passes (ATSC A/85 uses +/-2)
+    const LOUDNESS_TOLERANCE_LU = 2;
+
+    // Common broadcast frame rates, used by several video specs
+    const BROADCAST_FRAME_RATES = [23.976, 24, 25, 29.97, 30];
+
+    // Text/logo boxes may cross the safe-zone edge by this fraction of the frame
+    const SAFE_ZONE_TOLERANCE = 0.005;
+
+    // Frame area left clear of platform UI (captions, buttons, profile bar) on
+    // full-screen vertical placements, as insets from each edge in fractions
+    // of the frame
+    const SAFE_ZONES = {
+        metaStories: { top: 0.14, bottom: 0.14, left: 0.06, right: 0.06 },
+        metaReels: { top: 0.14, bottom: 0.35, left: 0.06, right: 0.06 },
+        youtubeShorts: { top: 0.15, bottom: 0.25, left: 0.06, right: 0.12 },
+        tiktok: { top: 0.08, bottom: 0.25, left: 0.06, right: 0.13 }
+    };
+
+    // ============================================
+    // SCHEMA
+    // ============================================
+    const SPEC_SCHEMA = {
+        type: { type: 'string', enum: ['image', 'video', 'both'], required: true, description: 'Media type the placement accepts' },
+        aspectRatios: { type: 'array', items: 'string', required: true, description: 'Accepted ratios as "W:H" strings' },
+        exactSize: { type: 'object', description: 'Pixel-exact size { width, height } (display placements)' },
+        recommendedSize: { type: 'string', description: 'Recommended size as "WxH"' },
+        minDuration: { type: 'number', nullable: true, description: 'Minimum video duration in seconds' },
+        maxDuration: { type: 'number', nullable: true, description: 'Maximum video duration in seconds' },
+        maxFileSizeMB: { type: ['number', 'object'], nullable: true, description: 'Max file size in MB, or { image, video } for mixed placements' },
+        codecs: { type: 'array', items: 'string', description: 'Accepted video codecs (h264, hevc, prores, vp8, vp9, av1)' },
+        frameRates: { type: 'array', items: 'number', description: 'Accepted frame rates in fps' },
+        minBitrateKbps: { type: 'number', nullable: true, description: 'Minimum overall bitrate in kbps (mezzanine quality)' },
+        maxBitrateKbps: { type: 'number', nullable: true, description: 'Maximum overall bitrate in kbps' },
+        audioRequired: { type: 'boolean', description: 'Video must carry an audio track' },
+        loudnessLUFS: { type: 'number', nullable: true, description: 'Target integrated loudness in LUFS (+/- LOUDNESS_TOLERANCE_LU)' },
+        icon: { type: 'string', required: true, description: 'Platform icon key' },
+        category: { type: 'string', enum: ['social', 'gdn', 'ttd', 'dv360', 'ctv', 'custom'], required: true, description: 'Platform category' },
+        platform: { type: 'string', description: 'Buying platform label (GDN, TTD, DV360, CTV)' },
+        popular: { type: 'boolean', description: 'Shown first in pickers' },
+        mobile: { type: 'boolean', description: 'Mobile-only placement' },
+        notes: { type: 'string', description: 'Free-form guidance' },
+        safeZone: { type: 'object', description: 'Area clear of platform UI as { top, bottom, left, right } insets (fractions of the frame)' },
+        packages: { type: 'array', items: 'string', description: 'Custom specs only: platform packages the channel joins' },
+        custom: { type: 'boolean', description: 'Set on workspace-defined specs' },
+        workspace: { type: 'string', description: 'Workspace that owns a custom spec' },
+        effectiveFrom: { type: 'string', format: 'date', required: true, description: 'Date (YYYY-MM-DD) these values took effect' }
+    };
+
+    // ============================================
+    // CHANNEL SPECIFICATIONS
+    // ============================================
+    const CHANNEL_SPECS = {
+        // === FACEBOOK / META ===
+        'Facebook Profile Picture': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '180x180', icon: 'meta', category: 'social' },
+        'Facebook Cover Desktop': { type: 'image', aspectRatios: ['3:2'], recommendedSize: '851x315', icon: 'meta', category: 'social' },
+        'Facebook Cover Mobile': { type: 'image', aspectRatios: ['16:9'], recommendedSize: '640x360', icon: 'meta', category: 'social' },
+        'Facebook Feed Square': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '1080x1080', maxFileSizeMB: 30, icon: 'meta', category: 'social' },
+        'Facebook Feed Landscape': { type: 'image', aspectRatios: ['16:9', '1.91:1'], recommendedSize: '1200x630', maxFileSizeMB: 30, icon: 'meta', category: 'social' },
+        'Facebook Feed Portrait': { type: 'image', aspectRatios: ['4:5'], recommendedSize: '1080x1350', maxFileSizeMB: 30, icon: 'meta', category: 'social' },
+        'Facebook Feed Video': { type: 'video', aspectRatios: ['1:1', '4:5', '16:9'], recommendedSize: '1080x1350', minDuration: 1, maxDuration: 241, maxFileSizeMB: 4096, icon: 'meta', category: 'social' },
+        'Facebook Stories': { type: 'both', aspectRatios: ['9:16'], recommendedSize: '1080x1920', minDuration: 1, maxDuration: 120, maxFileSizeMB: { image: 30, video: 4096 }, safeZone: SAFE_ZONES.metaStories, icon: 'meta', category: 'social' },
+        'Facebook Reels': { type: 'video', aspectRatios: ['9:16'], recommendedSize: '1080x1920', minDuration: 3, maxDuration: 90, maxFileSizeMB: 4096, safeZone: SAFE_ZONES.metaReels, icon: 'meta', category: 'social' },
+        'Facebook Carousel': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '1080x1080', icon: 'meta', category: 'social' },
+        'Facebook Event Cover': { type: 'image', aspectRatios: ['16:9'], recommendedSize: '1920x1005', icon: 'meta', category: 'social' },
+        'Facebook Ad Feed': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '1080x1080', icon: 'meta', category: 'social' },
+        'Facebook Ad Stories': { type: 'image', aspectRatios: ['9:16'], recommendedSize: '1080x1920', safeZone: SAFE_ZONES.metaStories, icon: 'meta', category: 'social' },
+
+        // === INSTAGRAM ===
+        'Instagram Profile Picture': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '320x320', icon: 'instagram', category: 'social' },
+        'Instagram Feed Square': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '1080x1080', icon: 'instagram', category: 'social' },
+        'Instagram Feed Portrait': { type: 'image', aspectRatios: ['4:5'], recommendedSize: '1080x1350', icon: 'instagram', category: 'social' },
+        'Instagram Feed Tall': { type: 'image', aspectRatios: ['3:4'], recommendedSize: '1080x1440', icon: 'instagram', category: 'social' },
+        'Instagram Feed Landscape': { type: 'image', aspectRatios: ['16:9', '1.91:1'], recommendedSize: '1080x566', icon: 'instagram', category: 'social' },
+        'Instagram Feed Video': { type: 'video', aspectRatios: ['1:1', '4:5', '1.91:1'], recommendedSize: '1080x1350', minDuration: 3, maxDuration: 60, icon: 'instagram', category: 'social' },
+        'Instagram Stories': { type: 'both', aspectRatios: ['9:16'], recommendedSize: '1080x1920', minDuration: 3, maxDuration: 60, safeZone: SAFE_ZONES.metaStories, icon: 'instagram', category: 'social' },
+        'Instagram Reels Cover': { type: 'image', aspectRatios: ['9:16'], recommendedSize: '1080x1920', icon: 'instagram', category: 'social' },
+        'Instagram Carousel': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '1080x1080', icon: 'instagram', category: 'social' },
+        'Instagram Reels': { type: 'video', aspectRatios: ['9:16'], recommendedSize: '1080x1920', minDuration: 3, maxDuration: 90, safeZone: SAFE_ZONES.metaReels, icon: 'instagram', category: 'social' },
+        'Instagram Ad Feed': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '1080x1080', icon: 'instagram', category: 'social' },
+        'Instagram Ad Stories': { type: 'image', aspectRatios: ['9:16'], recommendedSize: '1080x1920', safeZone: SAFE_ZONES.metaStories, icon: 'instagram', category: 'social' },
+
+        // === THREADS ===
+        'Threads Post Square': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '1080x1080', icon: 'threads', category: 'social' },
+        'Threads Post Portrait': { type: 'image', aspectRatios: ['4:5'], recommendedSize: '1080x1350', icon: 'threads', category: 'social' },
+        'Threads Post Landscape': { type: 'image', aspectRatios: ['16:9'], recommendedSize: '1200x627', icon: 'threads', category: 'social' },
+        'Threads Post Vertical': { type: 'image', aspectRatios: ['9:16'], recommendedSize: '1080x1920', icon: 'threads', category: 'social' },
+
+        // === X (TWITTER) ===
+        'X Profile Picture': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '400x400', icon: 'twitter', category: 'social' },
+        'X Header Banner': { type: 'image', aspectRatios: ['3:1'], recommendedSize: '1500x500', icon: 'twitter', category: 'social' },
+        'X In-Stream Image': { type: 'image', aspectRatios: ['16:9', '1:1', '9:16'], recommendedSize: '1600x900', maxFileSizeMB: 5, icon: 'twitter', category: 'social' },
+        'X Card Image': { type: 'image', aspectRatios: ['16:9'], recommendedSize: '1200x628', icon: 'twitter', category: 'social' },
+        'X Ad Landscape': { type: 'image', aspectRatios: ['16:9'], recommendedSize: '800x418', icon: 'twitter', category: 'social' },
+        'X Ad Square': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '800x800', icon: 'twitter', category: 'social' },
+        'X Video': { type: 'video', aspectRatios: ['16:9', '1:1', '9:16'], recommendedSize: '1280x720', maxDuration: 140, maxFileSizeMB: 512, icon: 'twitter', category: 'social' },
+
+        // === LINKEDIN ===
+        'LinkedIn Profile': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '400x400', icon: 'linkedin', category: 'social' },
+        'LinkedIn Personal Cover': { type: 'image', aspectRatios: ['4:1'], recommendedSize: '1584x396', icon: 'linkedin', category: 'social' },
+        'LinkedIn Company Logo': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '300x300', icon: 'linkedin', category: 'social' },
+        'LinkedIn Company Cover': { type: 'image', aspectRatios: ['6:1'], recommendedSize: '1128x191', icon: 'linkedin', category: 'social' },
+        'LinkedIn Post/Link': { type: 'image', aspectRatios: ['1.91:1', '16:9'], recommendedSize: '1200x627', maxFileSizeMB: 5, icon: 'linkedin', category: 'social' },
+        'LinkedIn Post Square': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '1200x1200', maxFileSizeMB: 5, icon: 'linkedin', category: 'social' },
+        'LinkedIn Ad Horizontal': { type: 'image', aspectRatios: ['1.91:1', '16:9'], recommendedSize: '1200x628', icon: 'linkedin', category: 'social' },
+        'LinkedIn Ad Square': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '1200x1200', icon: 'linkedin', category: 'social' },
+        'LinkedIn Ad Vertical': { type: 'image', aspectRatios: ['9:16', '4:5'], recommendedSize: '628x1200', icon: 'linkedin', category: 'social' },
+        'LinkedIn Video': { type: 'video', aspectRatios: ['1.91:1', '1:1', '4:5'], recommendedSize: '1200x627', minDuration: 3, maxDuration: 600, icon: 'linkedin', category: 'social' },
+
+        // === YOUTUBE ===
+        'YouTube Profile Picture': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '800x800', icon: 'youtube', category: 'social' },
+        'YouTube Channel Banner': { type: 'image', aspectRatios: ['16:9'], recommendedSize: '2560x1440', icon: 'youtube', category: 'social' },
+        'YouTube Video Thumbnail': { type: 'image', aspectRatios: ['16:9'], recommendedSize: '1280x720', icon: 'youtube', category: 'social' },
+        'YouTube Shorts Thumbnail': { type: 'image', aspectRatios: ['9:16'], recommendedSize: '1080x1920', icon: 'youtube', category: 'social' },
+        'YouTube Standard': { type: 'video', aspectRatios: ['16:9'], recommendedSize: '1920x1080', minDuration: 6, maxDuration: null, icon: 'youtube', category: 'social' },
+        'YouTube Shorts': { type: 'video', aspectRatios: ['9:16'], recommendedSize: '1080x1920', minDuration: null, maxDuration: 180, safeZone: SAFE_ZONES.youtubeShorts, icon: 'youtube', category: 'social', effectiveFrom: '2024-10-15' },
+
+        // === TIKTOK ===
+        'TikTok Profile Picture': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '200x200', icon: 'tiktok', category: 'social' },
+        'TikTok Video/Stories': { type: 'video', aspectRatios: ['9:16'], recommendedSize: '1080x1920', minDuration: 5, maxDuration: 60, maxFileSizeMB: 287, codecs: ['h264', 'hevc'], safeZone: SAFE_ZONES.tiktok, icon: 'tiktok', category: 'social' },
+        'TikTok Carousel': { type: 'image', aspectRatios: ['9:16'], recommendedSize: '1080x1920', safeZone: SAFE_ZONES.tiktok, icon: 'tiktok', category: 'social' },
+        'TikTok Ad': { type: 'video', aspectRatios: ['9:16'], recommendedSize: '1080x1920', minDuration: 5, maxDuration: 60, maxFileSizeMB: 500, codecs: ['h264', 'hevc'], maxBitrateKbps: 20000, safeZone: SAFE_ZONES.tiktok, icon: 'tiktok', category: 'social', effectiveFrom: '2026-10-19' },
+
+        // === PINTEREST ===
+        'Pinterest Standard Pin': { type: 'image', aspectRatios: ['2:3'], recommendedSize: '1000x1500', maxFileSizeMB: 20, icon: 'pinterest', category: 'social' },
+        'Pinterest Square Pin': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '1000x1000', maxFileSizeMB: 20, icon: 'pinterest', category: 'social' },
+        'Pinterest Story Pin': { type: 'image', aspectRatios: ['9:16'], recommendedSize: '1080x1920', maxFileSizeMB: 20, icon: 'pinterest', category: 'social' },
+        'Pinterest Ad': { type: 'image', aspectRatios: ['2:3'], recommendedSize: '1000x1500', maxFileSizeMB: 20, icon: 'pinterest', category: 'social' },
+
+        // === SNAPCHAT ===
+        'Snapchat Snap/Story': { type: 'both', aspectRatios: ['9:16'], recommendedSize: '1080x1920', maxDuration: 60, icon: 'snapchat', category: 'social' },
+        'Snapchat Snap Ad': { type: 'image', aspectRatios: ['9:16'], recommendedSize: '1080x1920', icon: 'snapchat', category: 'social' },
+
+        // === BLUESKY ===
+        'Bluesky Post Square': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '1080x1080', icon: 'bluesky', category: 'social' },
+        'Bluesky Post Portrait': { type: 'image', aspectRatios: ['4:5'], recommendedSize: '1080x1350', icon: 'bluesky', category: 'social' },
+        'Bluesky Post Landscape': { type: 'image', aspectRatios: ['16:9'], recommendedSize: '1200x627', icon: 'bluesky', category: 'social' },
+        'Bluesky Banner/Header': { type: 'image', aspectRatios: ['3:1'], recommendedSize: '1500x500', icon: 'bluesky', category: 'social' },
+
+        // === REDDIT ===
+        'Reddit Post Image': { type: 'image', aspectRatios: ['4:3'], recommendedSize: '1200x900', icon: 'reddit', category: 'social' },
+        'Reddit Profile Banner': { type: 'image', aspectRatios: ['5:1'], recommendedSize: '1920x384', icon: 'reddit', category: 'social' },
+
+        // === WHATSAPP ===
+        'WhatsApp Status Image': { type: 'image', aspectRatios: ['9:16'], recommendedSize: '1080x1920', icon: 'whatsapp', category: 'social' },
+        'WhatsApp Profile Picture': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '500x500', icon: 'whatsapp', category: 'social' },
+
+        // === GOOGLE BUSINESS ===
+        'Google Business Logo': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '720x720', icon: 'google', category: 'social' },
+        'Google Business Post': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '720x720', icon: 'google', category: 'social' },
+
+        // === GDN (GOOGLE DISPLAY NETWORK) ===
+        'GDN Leaderboard': { type: 'image', exactSize: { width: 728, height: 90 }, aspectRatios: ['728:90'], icon: 'google', category: 'gdn', platform: 'GDN', popular: true },
+        'GDN Large Leaderboard': { type: 'image', exactSize: { width: 970, height: 90 }, aspectRatios: ['97:9'], icon: 'google', category: 'gdn', platform: 'GDN' },
+        'GDN Banner': { type: 'image', exactSize: { width: 468, height: 60 }, aspectRatios: ['39:5'], icon: 'google', category: 'gdn', platform: 'GDN' },
+        'GDN Billboard': { type: 'image', exactSize: { width: 970, height: 250 }, aspectRatios: ['97:25'], icon: 'google', category: 'gdn', platform: 'GDN' },
+        'GDN Medium Rectangle': { type: 'image', exactSize: { width: 300, height: 250 }, aspectRatios: ['6:5'], icon: 'google', category: 'gdn', platform: 'GDN', popular: true },
+        'GDN Large Rectangle': { type: 'image', exactSize: { width: 336, height: 280 }, aspectRatios: ['6:5'], icon: 'google', category: 'gdn', platform: 'GDN' },
+        'GDN Square': { type: 'image', exactSize: { width: 250, height: 250 }, aspectRatios: ['1:1'], icon: 'google', category: 'gdn', platform: 'GDN' },
+        'GDN Small Square': { type: 'image', exactSize: { width: 200, height: 200 }, aspectRatios: ['1:1'], icon: 'google', category: 'gdn', platform: 'GDN' },
+        'GDN Wide Skyscraper': { type: 'image', exactSize: { width: 160, height: 600 }, aspectRatios: ['4:15'], icon: 'google', category: 'gdn', platform: 'GDN' },
+        'GDN Skyscraper': { type: 'image', exactSize: { width: 120, height: 600 }, aspectRatios: ['1:5'], icon: 'google', category: 'gdn', platform: 'GDN' },
+        'GDN Half-Page': { type: 'image', exactSize: { width: 300, height: 600 }, aspectRatios: ['1:2'], icon: 'google', category: 'gdn', platform: 'GDN' },
+        'GDN Portrait': { type: 'image', exactSize: { width: 300, height: 1050 }, aspectRatios: ['2:7'], icon: 'google', category: 'gdn', platform: 'GDN' },
+        'GDN Mobile Leaderboard': { type: 'image', exactSize: { width: 320, height: 50 }, aspectRatios: ['32:5'], icon: 'google', category: 'gdn', platform: 'GDN', mobile: true, popular: true },
+        'GDN Large Mobile Banner': { type: 'image', exactSize: { width: 320, height: 100 }, aspectRatios: ['16:5'], icon: 'google', category: 'gdn', platform: 'GDN', mobile: true },
+        'GDN Mobile Rectangle': { type: 'image', exactSize: { width: 320, height: 250 }, aspectRatios: ['32:25'], icon: 'google', category: 'gdn', platform: 'GDN', mobile: true },
+        'GDN Mobile Interstitial': { type: 'image', exactSize: { width: 320, height: 480 }, aspectRatios: ['2:3'], icon: 'google', category: 'gdn', platform: 'GDN', mobile: true },
+
+        // === TTD (THE TRADE DESK) ===
+        'TTD Leaderboard': { type: 'image', exactSize: { width: 728, height: 90 }, aspectRatios: ['728:90'], icon: 'ttd', category: 'ttd', platform: 'TTD', popular: true },
+        'TTD Super Leaderboard': { type: 'image', exactSize: { width: 970, height: 90 }, aspectRatios: ['97:9'], icon: 'ttd', category: 'ttd', platform: 'TTD' },
+        'TTD Billboard': { type: 'image', exactSize: { width: 970, height: 250 }, aspectRatios: ['97:25'], icon: 'ttd', category: 'ttd', platform: 'TTD' },
+        'TTD Medium Rectangle': { type: 'image', exactSize: { width: 300, height: 250 }, aspectRatios: ['6:5'], icon: 'ttd', category: 'ttd', platform: 'TTD', popular: true },
+        'TTD Large Rectangle': { type: 'image', exactSize: { width: 336, height: 280 }, aspectRatios: ['6:5'], icon: 'ttd', category: 'ttd', platform: 'TTD' },
+        'TTD Wide Skyscraper': { type: 'image', exactSize: { width: 160, height: 600 }, aspectRatios: ['4:15'], icon: 'ttd', category: 'ttd', platform: 'TTD' },
+        'TTD Half-Page': { type: 'image', exactSize: { width: 300, height: 600 }, aspectRatios: ['1:2'], icon: 'ttd', category: 'ttd', platform: 'TTD' },
+        'TTD Portrait': { type: 'image', exactSize: { width: 300, height: 1050 }, aspectRatios: ['2:7'], icon: 'ttd', category: 'ttd', platform: 'TTD' },
+        'TTD Mobile Leaderboard': { type: 'image', exactSize: { width: 320, height: 50 }, aspectRatios: ['32:5'], icon: 'ttd', category: 'ttd', platform: 'TTD', mobile: true },
+        'TTD Large Mobile Banner': { type: 'image', exactSize: { width: 320, height: 100 }, aspectRatios: ['16:5'], icon: 'ttd', category: 'ttd', platform: 'TTD', mobile: true },
+        'TTD Mobile Interstitial': { type: 'image', exactSize: { width: 320, height: 480 }, aspectRatios: ['2:3'], icon: 'ttd', category: 'ttd', platform: 'TTD', mobile: true },
+
+        // === DV360 ===
+        'DV360 Leaderboard': { type: 'image', exactSize: { width: 728, height: 90 }, aspectRatios: ['728:90'], icon: 'dv360', category: 'dv360', platform: 'DV360', popular: true },
+        'DV360 Super Leaderboard': { type: 'image', exactSize: { width: 970, height: 90 }, aspectRatios: ['97:9'], icon: 'dv360', category: 'dv360', platform: 'DV360' },
+        'DV360 Billboard': { type: 'image', exactSize: { width: 970, height: 250 }, aspectRatios: ['97:25'], icon: 'dv360', category: 'dv360', platform: 'DV360' },
+        'DV360 Medium Rectangle': { type: 'image', exactSize: { width: 300, height: 250 }, aspectRatios: ['6:5'], icon: 'dv360', category: 'dv360', platform: 'DV360', popular: true },
+        'DV360 Large Rectangle': { type: 'image', exactSize: { width: 336, height: 280 }, aspectRatios: ['6:5'], icon: 'dv360', category: 'dv360', platform: 'DV360' },
+        'DV360 Wide Skyscraper': { type: 'image', exactSize: { width: 160, height: 600 }, aspectRatios: ['4:15'], icon: 'dv360', category: 'dv360', platform: 'DV360' },
+        'DV360 Half-Page': { type: 'image', exactSize: { width: 300, height: 600 }, aspectRatios: ['1:2'], icon: 'dv360', category: 'dv360', platform: 'DV360' },
+        'DV360 Portrait': { type: 'image', exactSize: { width: 300, height: 1050 }, aspectRatios: ['2:7'], icon: 'dv360', category: 'dv360', platform: 'DV360' },
+        'DV360 Mobile Leaderboard': { type: 'image', exactSize: { width: 320, height: 50 }, aspectRatios: ['32:5'], icon: 'dv360', category: 'dv360', platform: 'DV360', mobile: true },
+        'DV360 Large Mobile Banner': { type: 'image', exactSize: { width: 320, height: 100 }, aspectRatios: ['16:5'], icon: 'dv360', category: 'dv360', platform: 'DV360', mobile: true },
+        'DV360 Native Landscape': { type: 'image', aspectRatios: ['1.91:1'], recommendedSize: '1200x628', icon: 'dv360', category: 'dv360', platform: 'DV360' },
+        'DV360 Native Square': { type: 'image', aspectRatios: ['1:1'], recommendedSize: '1200x1200', icon: 'dv360', category: 'dv360', platform: 'DV360' },
+        'DV360 Video 16:9': { type: 'video', aspectRatios: ['16:9'], recommendedSize: '1920x1080', minDuration: 6, maxDuration: 120, codecs: ['h264', 'vp9'], frameRates: BROADCAST_FRAME_RATES, maxBitrateKbps: 20000, icon: 'dv360', category: 'dv360', platform: 'DV360', effectiveFrom: '2026-10-19' },
+        'DV360 Video Vertical': { type: 'video', aspectRatios: ['9:16'], recommendedSize: '1080x1920', minDuration: 6, maxDuration: 60, codecs: ['h264', 'vp9'], frameRates: BROADCAST_FRAME_RATES, maxBitrateKbps: 20000, icon: 'dv360', category: 'dv360', platform: 'DV360', effectiveFrom: '2026-10-19' },
+
+        // === CTV ===
+        'CTV Standard': { type: 'video', aspectRatios: ['16:9'], recommendedSize: '1920x1080', minDuration: 15, maxDuration: 120, codecs: ['h264', 'prores'], frameRates: BROADCAST_FRAME_RATES, minBitrateKbps: 15000, maxBitrateKbps: 40000, audioRequired: true, loudnessLUFS: -24, icon: 'ctv', category: 'ctv', platform: 'CTV', effectiveFrom: '2026-10-19' },
+
+        // === GOOGLE ADS (GENERIC) ===
+        'Google Ads Display': { type: 'image', aspectRatios: ['1.91:1', '1:1', '4:5'], recommendedSize: '1200x628', maxFileSizeMB: 5, icon: 'google', category: 'gdn', platform: 'GDN' },
+        'Google Ads Video': { type: 'video', aspectRatios: ['16:9', '1:1', '9:16'], recommendedSize: '1920x1080', minDuration: 10, icon: 'google', category: 'gdn', platform: 'GDN' }
+    };
+
+    // Fill in the baseline effective date for specs that don't set their own
+    Object.values(CHANNEL_SPECS).forEach(spec => {
+        if (!spec.effectiveFrom) spec.effectiveFrom = BASELINE;
+    });
+
+    // Workspace-defined specs, keyed by channel name (see registerCustomSpecs)
+    const CUSTOM_SPECS = {};
+
+    // Workspace-defined packages, keyed by package name (see registerCustomPackages)
+    const CUSTOM_PACKAGES = {};
+
+    // Previous values of changed specs, newest first. Each entry overrides the
+    // current spec for dates on or after its own effectiveFrom.
+    const SUPERSEDED_SPECS = {
+        'YouTube Shorts': [
+            { effectiveFrom: '2021-07-12', maxDuration: 60 }
+        ],
+        'TikTok Ad': [
+            { effectiveFrom: BASELINE, codecs: undefined, maxBitrateKbps: undefined }
+        ],
+        'DV360 Video 16:9': [
+            { effectiveFrom: BASELINE, codecs: undefined, frameRates: undefined, maxBitrateKbps: undefined }
+        ],
+        'DV360 Video Vertical': [
+            { effectiveFrom: BASELINE, codecs: undefined, frameRates: undefined, maxBitrateKbps: undefined }
+        ],
+        'CTV Standard': [
+            {
+                effectiveFrom: BASELINE,
+                codecs: undefined,
+                frameRates: undefined,
+                minBitrateKbps: undefined,
+                maxBitrateKbps: undefined,
+                audioRequired: undefined,
+                loudnessLUFS: undefined
+            }
+        ]
+    };
+
+    const PLATFORM_PACKAGES = {
+        'GDN Essential': [
+            'GDN Medium Rectangle', 'GDN Leaderboard', 'GDN Wide Skyscraper',
+            'GDN Large Rectangle', 'GDN Half-Page', 'GDN Mobile Leaderboard',
+            'GDN Large Mobile Banner', 'GDN Billboard'
+        ],
+        'TTD Complete': [
+            'TTD Medium Rectangle', 'TTD Leaderboard', 'TTD Super Leaderboard',
+            'TTD Billboard', 'TTD Large Rectangle', 'TTD Wide Skyscraper',
+            'TTD Half-Page', 'TTD Portrait', 'TTD Mobile Leaderboard',
+            'TTD Large Mobile Banner', 'TTD Mobile Interstitial'
+        ],
+        'DV360 Complete': [
+            'DV360 Medium Rectangle', 'DV360 Leaderboard', 'DV360 Super Leaderboard',
+            'DV360 Billboard', 'DV360 Large Rectangle', 'DV360 Wide Skyscraper',
+            'DV360 Half-Page', 'DV360 Portrait', 'DV360 Mobile Leaderboard',
+            'DV360 Large Mobile Banner', 'DV360 Native Landscape', 'DV360 Native Square'
+        ],
+        'Meta Complete': [
+            'Facebook Feed Square', 'Facebook Feed Portrait', 'Facebook Feed Landscape',
+            'Facebook Stories', 'Facebook Carousel', 'Facebook Ad Feed', 'Facebook Ad Stories',
+            'Instagram Feed Square', 'Instagram Feed Portrait', 'Instagram Stories',
+            'Instagram Reels Cover', 'Instagram Carousel', 'Instagram Ad Feed', 'Instagram Ad Stories'
+        ],
+        'Universal Display': [
+            'GDN Medium Rectangle', 'GDN Leaderboard', 'GDN Large Leaderboard',
+            'GDN Billboard', 'GDN Wide Skyscraper', 'GDN Skyscraper',
+            'GDN Half-Page', 'GDN Portrait', 'GDN Square', 'GDN Small Square',
+            'GDN Banner', 'GDN Mobile Leaderboard', 'GDN Large Mobile Banner',
+            'GDN Mobile Rectangle', 'GDN Mobile Interstitial'
+        ]
+    };
+
+    // ============================================
+    // AD COPY SPECS
+    // ============================================
+
+    // Text limits, CTAs and copy policies per platform and ad type, for the
+    // social media builder. `channels` names the CHANNEL_SPECS placements an
+    // ad type runs in (none where the registry has no spec for its creative).
+    const COPY_SPECS = {
+        meta: {
+            name: 'Meta (Facebook/Instagram)',
+            icon: 'meta',
+            color: '#1877F2',
+            adTypes: {
+                feed: {
+                    name: 'Feed Ad',
+                    channels: ['Facebook Feed Square', 'Facebook Feed Landscape', 'Facebook Feed Portrait', 'Facebook Feed Video', 'Instagram Feed Square', 'Instagram Feed Portrait'],
+                    fields: {
+                        primaryText: { label: 'Primary Text', max: 600, optimal: 125, mobileSafe: 90 },
+                        headline: { label: 'Headline', max: 255, optimal: 40 },
+                        description: { label: 'Link Description', max: 30, optimal: 27 }
+                    }
+                },
+                carousel: {
+                    name: 'Carousel Ad',
+                    channels: ['Facebook Carousel', 'Instagram Carousel'],
+                    fields: {
+                        primaryText: { label: 'Primary Text', max: 600, optimal: 125 },
+                        cardHeadline: { label: 'Card Headline', max: 45, optimal: 32, count: 10 },
+                        cardDescription: { label: 'Card Description', max: 30, optimal: 18, count: 10 }
+                    }
+                },
+                stories: {
+                    name: 'Stories/Reels Ad',
+                    channels: ['Facebook Stories', 'Facebook Reels', 'Instagram Stories', 'Instagram Reels'],
+                    fields: {
+                        primaryText: { label: 'Text Overlay', max: 125, optimal: 72 },
+                        headline: { label: 'CTA Text', max: 40, optimal: 20 }
+                    }
+                },
+                instagram: {
+                    name: 'Instagram Post',
+                    channels: ['Instagram Feed Square', 'Instagram Feed Portrait', 'Instagram Feed Video'],
+                    fields: {
+                        caption: { label: 'Caption', max: 2200, optimal: 125 },
+                        hashtags: { label: 'Hashtags', max: 30, optimal: 10, isHashtags: true }
+                    }
+                }
+            },
+            ctas: ['Shop Now', 'Learn More', 'Sign Up', 'Download', 'Get Offer', 'Book Now', 'Contact Us', 'Subscribe', 'Apply Now', 'Get Quote'],
+            policies: {
+                superlatives: 'warning',
+                beforeAfter: 'restricted',
+                youLanguage: 'restricted',
+                excessiveCaps: 'restricted',
+                emojis: 'allowed'
+            }
+        },
+        linkedin: {
+            name: 'LinkedIn',
+            icon: 'linkedin',
+            color: '#0A66C2',
+            adTypes: {
+                singleImage: {
+                    name: 'Single Image Ad',
+                    channels: ['LinkedIn Ad Horizontal', 'LinkedIn Ad Square', 'LinkedIn Ad Vertical'],
+                    fields: {
+                        introText: { label: 'Intro Text', max: 600, optimal: 150 },
+                        headline: { label: 'Headline', max: 200, optimal: 70 }
+                    }
+                },
+                video: {
+                    name: 'Video Ad',
+                    channels: ['LinkedIn Video'],
+                    fields: {
+                        introText: { label: 'Intro Text', max: 600, optimal: 150 },
+                        headline: { label: 'Headline', max: 200, optimal: 70 }
+                    }
+                },
+                carousel: {
+                    name: 'Carousel Ad',
+                    channels: ['LinkedIn Ad Square'],
+                    fields: {
+                        introText: { label: 'Intro Text', max: 255, optimal: 150 },
+                        cardHeadline: { label: 'Card Headline', max: 45, optimal: 30, count: 10 }
+                    }
+                },
+                textAd: {
+                    name: 'Text Ad',
+                    channels: [],
+                    fields: {
+                        headline: { label: 'Headline', max: 25 },
+                        description: { label: 'Description', max: 75 }
+                    }
+                },
+                messageAd: {
+                    name: 'Message Ad (InMail)',
+                    channels: [],
+                    fields: {
+                        subject: { label: 'Subject Line', max: 60 },
+                        body: { label: 'Message Body', max: 1000, optimal: 500 }
+                    }
+                },
+                spotlight: {
+                    name: 'Spotlight Ad',
+                    channels: [],
+                    fields: {
+                        headline: { label: 'Headline', max: 50 },
+                        description: { label: 'Description', max: 70 }
+                    }
+                }
+            },
+            ctas: ['Learn More', 'Sign Up', 'Download', 'Register', 'Apply', 'Request Demo', 'Get Quote', 'Subscribe', 'Contact Us'],
+            policies: {
+                superlatives: 'warning',
+                beforeAfter: 'warning',
+                youLanguage: 'allowed',
+                excessiveCaps: 'restricted',
+                emojis: 'warning'
+            }
+        },
+        twitter: {
+            name: 'X (Twitter)',
+            icon: 'twitter',
+            color: '#000000',
+            adTypes: {
+                promotedTweet: {
+                    name: 'Promoted Tweet',
+                    channels: ['X In-Stream Image', 'X Ad Landscape', 'X Ad Square'],
+                    fields: {
+                        tweetCopy: { label: 'Tweet Copy', max: 280, optimal: 100 },
+                        headline: { label: 'Card Headline', max: 23 }
+                    }
+                },
+                websiteCard: {
+                    name: 'Website Card',
+                    channels: ['X Card Image'],
+                    fields: {
+                        tweetCopy: { label: 'Tweet Copy', max: 280, optimal: 100 },
+                        headline: { label: 'Card Title', max: 70 },
+                        description: { label: 'Card Description', max: 200 }
+                    }
+                },
+                videoAd: {
+                    name: 'Video Ad',
+                    channels: ['X Video'],
+                    fields: {
+                        tweetCopy: { label: 'Tweet Copy', max: 280, optimal: 100 },
+                        headline: { label: 'Headline', max: 70 }
+                    }
+                }
+            },
+            ctas: ['Learn More', 'Shop Now', 'Sign Up', 'Install', 'Book Now'],
+            policies: {
+                superlatives: 'warning',
+                beforeAfter: 'warning',
+                youLanguage: 'allowed',
+                excessiveCaps: 'restricted',
+                emojis: 'allowed'
+            }
+        },
+        youtube: {
+            name: 'YouTube',
+            icon: 'youtube',
+            color: '#FF0000',
+            adTypes: {
+                inStream: {
+                    name: 'In-Stream Ad (Skippable)',
+                    channels: ['YouTube Standard'],
+                    fields: {
+                        headline: { label: 'Headline', max: 40 },
+                        description1: { label: 'Description Line 1', max: 35 },
+                        description2: { label: 'Description Line 2', max: 35 },
+                        displayUrl: { label: 'Display URL', max: 35 }
+                    }
+                },
+                bumper: {
+                    name: 'Bumper Ad (6 sec)',
+                    channels: [],
+                    fields: {
+                        companionHeadline: { label: 'Companion Headline', max: 25 },
+                        companionDescription: { label: 'Companion Description', max: 35 }
+                    }
+                },
+                discovery: {
+                    name: 'Discovery Ad',
+                    channels: [],
+                    fields: {
+                        headline: { label: 'Headline', max: 100, optimal: 70 },
+                        description1: { label: 'Description Line 1', max: 35 },
+                        description2: { label: 'Description Line 2', max: 35 }
+                    }
+                },
+                shorts: {
+                    name: 'Shorts Ad',
+                    channels: ['YouTube Shorts'],
+                    fields: {
+                        headline: { label: 'Headline', max: 100, optimal: 70 },
+                        description: { label: 'Description', max: 90 }
+                    }
+                }
+            },
+            ctas: ['Visit Site', 'Shop Now', 'Learn More', 'Sign Up', 'Get Offer'],
+            policies: {
+                superlatives: 'warning',
+                beforeAfter: 'warning',
+                youLanguage: 'allowed',
+                excessiveCaps: 'restricted',
+                emojis: 'restricted'
+            }
+        },
+        tiktok: {
+            name: 'TikTok',
+            icon: 'tiktok',
+            color: '#000000',
+            adTypes: {
+                inFeed: {
+                    name: 'In-Feed Ad',
+                    channels: ['TikTok Ad'],
+                    fields: {
+                        adText: { label: 'Ad Text', max: 100, optimal: 80 },
+                        displayName: { label: 'Display Name', max: 20 }
+                    },
+                    notes: '68% watch on mute - use text overlays'
+                },
+                topView: {
+                    name: 'TopView Ad',
+                    channels: ['TikTok Ad'],
+                    fields: {
+                        adText: { label: 'Ad Text', max: 100 },
+                        displayName: { label: 'Display Name', max: 20 }
+                    }
+                },
+                spark: {
+                    name: 'Spark Ad (Boosted Post)',
+                    channels: ['TikTok Video/Stories'],
+                    fields: {
+                        caption: { label: 'Caption', max: 4000, optimal: 150 }
+                    }
+                }
+            },
+            ctas: ['Shop Now', 'Learn More', 'Sign Up', 'Download', 'Contact Us', 'Apply Now'],
+            policies: {
+                superlatives: 'warning',
+                beforeAfter: 'restricted',
+                youLanguage: 'warning',
+                excessiveCaps: 'restricted',
+                emojis: 'restricted'
+            }
+        },
+        pinterest: {
+            name: 'Pinterest',
+            icon: 'pinterest',
+            color: '#E60023',
+            adTypes: {
+                standardPin: {
+                    name: 'Standard Pin Ad',
+                    channels: ['Pinterest Ad', 'Pinterest Standard Pin', 'Pinterest Square Pin'],
+                    fields: {
+                        title: { label: 'Pin Title', max: 100, optimal: 40 },
+                        description: { label: 'Pin Description', max: 500, optimal: 200 }
+                    }
+                },
+                videoPin: {
+                    name: 'Video Pin Ad',
+                    channels: [],
+                    fields: {
+                        title: { label: 'Pin Title', max: 100, optimal: 40 },
+                        description: { label: 'Pin Description', max: 500, optimal: 200 }
+                    }
+                },
+                carousel: {
+                    name: 'Carousel Pin',
+                    channels: ['Pinterest Square Pin', 'Pinterest Standard Pin'],
+                    fields: {
+                        title: { label: 'Pin Title', max: 100, optimal: 40 },
+                        cardTitle: { label: 'Card Title', max: 100, count: 5 },
+                        description: { label: 'Description', max: 500 }
+                    }
+                },
+                idea: {
+                    name: 'Idea Pin Ad',
+                    channels: ['Pinterest Story Pin'],
+                    fields: {
+                        title: { label: 'Pin Title', max: 100 },
+                        pageTitle: { label: 'Page Titles', max: 250, count: 20 }
+                    }
+                }
+            },
+            ctas: ['Learn More', 'Shop', 'Install', 'Sign Up'],
+            policies: {
+                superlatives: 'allowed',
+                beforeAfter: 'allowed',
+                youLanguage: 'allowed',
+                excessiveCaps: 'warning',
+                emojis: 'allowed'
+            }
+        },
+        snapchat: {
+            name: 'Snapchat',
+            icon: 'snapchat',
+            color: '#FFFC00',
+            adTypes: {
+                singleImage: {
+                    name: 'Single Image/Video Ad',
+                    channels: ['Snapchat Snap Ad', 'Snapchat Snap/Story'],
+                    fields: {
+                        headline: { label: 'Headline', max: 34 },
+                        brandName: { label: 'Brand Name', max: 25 }
+                    }
+                },
+                story: {
+                    name: 'Story Ad',
+                    channels: ['Snapchat Snap/Story'],
+                    fields: {
+                        headline: { label: 'Tile Headline', max: 34 },
+                        brandName: { label: 'Brand Name', max: 25 }
+                    }
+                },
+                collection: {
+                    name: 'Collection Ad',
+                    channels: ['Snapchat Snap Ad'],
+                    fields: {
+                        headline: { label: 'Headline', max: 34 },
+                        tileHeadline: { label: 'Tile Headlines', max: 34, count: 4 }
+                    }
+                }
+            },
+            ctas: ['Shop Now', 'View', 'Install', 'Sign Up', 'Watch'],
+            policies: {
+                superlatives: 'warning',
+                beforeAfter: 'warning',
+                youLanguage: 'allowed',
+                excessiveCaps: 'restricted',
+                emojis: 'allowed'
+            }
+        },
+        threads: {
+            name: 'Threads',
+            icon: 'threads',
+            color: '#000000',
+            adTypes: {
+                organic: {
+                    name: 'Organic Post',
+                    channels: ['Threads Post Square', 'Threads Post Portrait', 'Threads Post Landscape', 'Threads Post Vertical'],
+                    fields: {
+                        postText: { label: 'Post Text', max: 500, optimal: 250 }
+                    }
+                }
+            },
+            ctas: [],
+            policies: {
+                superlatives: 'allowed',
+                beforeAfter: 'allowed',
+                youLanguage: 'allowed',
+                excessiveCaps: 'warning',
+                emojis: 'allowed'
+            }
+        }
+    };
+
+    // ============================================
+    // CHANGELOG
+    // ============================================
+    const CHANGELOG = [
+        {
+            version: '1.7.0',
+            date: '2026-10-19',
+            changes: [
+                'Ad copy specs (text limits, CTAs, copy policies) moved from social-media-builder.js into COPY_SPECS, each ad type linked to its placements',
+                'getCopySpecs() resolves those placements from the channel specs, so the builder and the validator use the same creative specs',
+                'No channel spec changes'
+            ]
+        },
+        {
+            version: '1.6.2',
+            date: '2026-10-19',
+            changes: [
+                'suggestFixes and groupFixPlan: the per-channel fix merge and ordering, used by planFixes and auto-fix alike',
+                'No spec data changes'
+            ]
+        },
+        {
+            version: '1.6.1',
+            date: '2026-10-19',
+            changes: [
+                'Compatibility results list requirements the asset has no value for under unchecked (loudness when it was not measured), so they are reported instead of passing silently',
+                'No spec data changes'
+            ]
+        },
+        {
+            version: '1.6.0',
+            date: '2026-10-19',
+            changes: [
+                'Fix suggestions per issue type (suggestFix, planFixes), moved from auto-fix.js so validation reports recommend the same fixes in the app and the MCP server',
+                'No spec data changes'
+            ]
+        },
+        {
+            version: '1.5.0',
+            date: '2026-10-19',
+            changes: [
+                'Custom workspace packages: registerCustomPackages, getPackage, JSON import and export',
+                'Package channels may override crop, gravity and background; earlier versions are kept in history',
+                'getPlatformPackages() includes custom packages'
+            ]
+        },
+        {
+            version: '1.4.0',
+            date: '2026-10-19',
+            changes: [
+                'Custom workspace specs: registerCustomSpecs, JSON/CSV import and export',
+                'Schema: added category "custom" and packages/custom/workspace fields',
+                'getPlatformPackages() merges custom specs into their packages'
+            ]
+        },
+        {
+            version: '1.3.0',
+            date: '2026-10-19',
+            changes: [
+                'Schema: added safeZone (insets clear of platform UI)',
+                'Safe zones for Facebook/Instagram Stories and Reels, YouTube Shorts and TikTok placements',
+                'Safe zones are guidance checked by checkSafeZone, not part of checkChannelCompatibility'
+            ]
+        },
+        {
+            version: '1.2.0',
+            date: '2026-10-19',
+            changes: [
+                'Schema: added minBitrateKbps, audioRequired and loudnessLUFS',
+                'CTV Standard: 15000-40000 kbps, audio track required, -24 LUFS',
+                'New issue types: bitrate_low, audio_missing, loudness'
+            ]
+        },
+        {
+            version: '1.1.0',
+            date: '2026-10-19',
+            changes: [
+                'Schema: added codecs, frameRates and maxBitrateKbps for video specs',
+                'CTV Standard: codecs h264/prores, broadcast frame rates',
+                'DV360 Video 16:9 / Vertical: codecs h264/vp9, broadcast frame rates, max 20000 kbps',
+                'TikTok Video/Stories: codecs h264/hevc; TikTok Ad: codecs h264/hevc, max 20000 kbps',
+                'New issue types: codec, frame_rate, bitrate_high'
+            ]
+        },
+        {
+            version: '1.0.0',
+            date: '2026-10-19',
+            changes: [
+                'Merged the spec tables from validator-app.js, auto-fix.js, integrations.js, cloudinary-client.js and mcp-server/src/specs.js into this registry',
+                'YouTube Shorts: maxDuration 60s -> 180s (effective 2024-10-15)',
+                'Added Facebook Feed Video, Facebook Reels, Instagram Feed Video, LinkedIn Video and X Video (previously only in the app validator as "Meta Feed (Video)", "Meta Reels", "Instagram Feed", "LinkedIn Feed" and "X (Twitter) Feed")',
+                'TikTok Video/Stories: maxFileSizeMB 287; Facebook Stories: maxFileSizeMB 30 (image) / 4096 (video)',
+                'Aspect ratio tolerance unified to 0.05 for every validator'
+            ]
+        }
+    ];
+
+    // ============================================
+    // SCHEMA VALIDATION
+    // ============================================
+
+    /**
+     * Check a spec object against SPEC_SCHEMA.
+     * @returns {string[]} - List of problems, empty when valid
+     */
+    function validateSpec(spec) {
+        const errors = [];
+        if (!spec || typeof spec !== 'object') return ['Spec must be an object'];
+
+        for (const [field, rule] of Object.entries(SPEC_SCHEMA)) {
+            const value = spec[field];
+            if (value === undefined || (value === null && rule.nullable)) {
+                if (rule.required) errors.push(`Missing required field: ${field}`);
+                continue;
+            }
+            const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+            const actual = Array.isArray(value) ? 'array' : typeof value;
+            if (!types.includes(actual) || (actual === 'number' && Number.isNaN(value))) {
+                errors.push(`${field} must be ${types.join(' or ')}, got ${Number.isNaN(value) ? 'NaN' : actual}`);
+                continue;
+            }
+            if (rule.enum && !rule.enum.includes(value)) {
+                errors.push(`${field} must be one of ${rule.enum.join(', ')}`);
+            }
+            if (rule.format === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                errors.push(`${field} must be a YYYY-MM-DD date`);
+            }
+        }
+
+        (spec.aspectRatios || []).forEach(r => {
+            if (!parseAspectRatio(r)) errors.push(`Invalid aspect ratio: ${r}`);
+        });
+
+        if (spec.safeZone) {
+            const { top, bottom, left, right } = spec.safeZone;
+            const insets = [top, bottom, left, right];
+            if (insets.some(v => typeof v !== 'number' || v < 0 || v >= 1) || top + bottom >= 1 || left + right >= 1) {
+                errors.push('safeZone insets must be fractions that leave a non-empty area');
+            }
+        }
+
+        return errors;
+    }
+
+    // ============================================
+    // LOOKUP
+    // ============================================
+
+    function toDateString(asOf) {
+        if (!asOf) return new Date().toISOString().split('T')[0];
+        return asOf instanceof Date ? asOf.toISOString().split('T')[0] : String(asOf).split('T')[0];
+    }
+
+    /**
+     * Get a channel spec as it was effective on a given date.
+     * @param {string} channelName
+     * @param {Object} [options]
+     * @param {string|Date} [options.asOf] - Date to resolve against (default: today)
+     * @returns {Object|null}
+     */
+    function getSpec(channelName, options = {}) {
+        const current = CHANNEL_SPECS[channelName] || CUSTOM_SPECS[channelName];
+        if (!current) return null;
+
+        const asOf = toDateString(options.asOf);
+        if (current.effectiveFrom <= asOf) return current;
+
+        const previous = (SUPERSEDED_SPECS[channelName] || []).find(rev => rev.effectiveFrom <= asOf);
+        return previous ? { ...current, ...previous } : null;
+    }
+
+    /**
+     * Get all specs matching a filter, keyed by channel name.
+     * @param {Object} [filter]
+     * @param {string} [filter.type] - 'image' or 'video'; 'both' specs match either
+     * @param {string} [filter.category] - social, gdn, ttd, dv360, ctv
+     * @param {string|Date} [filter.asOf] - Resolve specs as of this date
+     */
+    function getSpecs(filter = {}) {
+        const result = {};
+        for (const name of getChannelNames()) {
+            const spec = getSpec(name, filter);
+            if (!spec) continue;
+            if (filter.type && spec.type !== 'both' && spec.type !== filter.type) continue;
+            if (filter.category && filter.category !== 'all' && spec.category !== filter.category) continue;
+            result[name] = spec;
+        }
+        return result;
+    }
+
+    function getVideoSpecs(options = {}) {
+        return getSpecs({ ...options, type: 'video' });
+    }
+
+    function getImageSpecs(options = {}) {
+        return getSpecs({ ...options, type: 'image' });
+    }
+
+    /**
+     * Target pixel size for a spec: exactSize, else recommendedSize.
+     * @returns {{width: number, height: number}|null}
+     */
+    function getTargetSize(spec) {
+        if (!spec) return null;
+        if (spec.exactSize) return { width: spec.exactSize.width, height: spec.exactSize.height };
+        if (spec.recommendedSize) {
+            const [width, height] = spec.recommendedSize.split('x').map(Number);
+            return { width, height };
+        }
+        return null;
+    }
+
+    /**
+     * Max file size in MB for an asset type (handles { image, video } limits)
+     */
+    function getMaxFileSizeMB(spec, type) {
+        const limit = spec.maxFileSizeMB;
+        if (limit && typeof limit === 'object') return limit[type] || null;
+        return limit || null;
+    }
+
+    /**
+     * Flat placement list ({ platform, placement, recommended_width, ... })
+     * in the shape used by the Cloudinary client.
+     */
+    function listPlacements(filter = {}) {
+        return Object.entries(getSpecs(filter))
+            .map(([channel, spec]) => {
+                const size = getTargetSize(spec);
+                if (!size) return null;
+                return {
+                    channel,
+                    platform: spec.icon,
+                    placement: channel.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''),
+                    recommended_width: size.width,
+                    recommended_height: size.height,
+                    aspect_ratio: spec.aspectRatios[0],
+                    type: spec.type
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Ad copy specs with each ad type's placements resolved.
+     * @param {Object} [options] - { asOf }
+     * @returns {Object} - COPY_SPECS, where every ad type also has
+     *   placements: [{ channel, spec }] for the channels effective asOf
+     */
+    function getCopySpecs(options = {}) {
+        const platforms = {};
+        Object.entries(COPY_SPECS).forEach(([key, platform]) => {
+            const adTypes = {};
+            Object.entries(platform.adTypes).forEach(([type, adType]) => {
+                const placements = adType.channels
+                    .map(channel => ({ channel, spec: getSpec(channel, options) }))
+                    .filter(placement => placement.spec);
+                adTypes[type] = { ...adType, placements };
+            });
+            platforms[key] = { ...platform, adTypes };
+        });
+        return platforms;
+    }
+
+    // ============================================
+    // CUSTOM SPECS
+    // ============================================
+
+    function getChannelNames() {
+        return [...Object.keys(CHANNEL_SPECS), ...Object.keys(CUSTOM_SPECS)];
+    }
+
+    function isCustomChannel(channelName) {
+        return Object.prototype.hasOwnProperty.call(CUSTOM_SPECS, channelName);
+    }
+
+    function getCustomSpecs() {
+        return { ...CUSTOM_SPECS };
+    }
+
+    // Fill the fields a publisher spec sheet usually leaves out
+    function normalizeCustomSpec(spec, workspace) {
+        const normalized = { ...spec };
+        delete normalized.name;
+
+        if (!normalized.aspectRatios || normalized.aspectRatios.length === 0) {
+            const size = getTargetSize(normalized);
+            if (size && size.width && size.height) normalized.aspectRatios = [formatAspectRatio(size.width, size.height)];
+        }
+        if (normalized.exactSize && !normalized.recommendedSize) {
+            normalized.recommendedSize = `${normalized.exactSize.width}x${normalized.exactSize.height}`;
+        }
+
+        normalized.category = normalized.category || 'custom';
+        normalized.icon = normalized.icon || 'custom';
+        normalized.effectiveFrom = normalized.effectiveFrom || toDateString();
+        normalized.custom = true;
+        if (workspace) normalized.workspace = workspace;
+        return normalized;
+    }
+
+    /**
+     * Add workspace-defined specs to the registry.
+     *
+     * @param {Object|Array} specs - { name: spec } or [{ name, ...spec }]
+     * @param {Object} [options]
+     * @param {string} [options.workspace] - Owning workspace, stored on each spec
+     * @param {boolean} [options.replace] - Drop previously registered custom specs first
+     * @returns {Object} - { registered: [names], errors: [{ name, errors }] }
+     */
+    function registerCustomSpecs(specs, options = {}) {
+        if (options.replace) clearCustomSpecs();
+
+        const entries = Array.isArray(specs)
+            ? specs.map(spec => [spec && spec.name, spec])
+            : Object.entries(specs || {});
+        const registered = [];
+        const errors = [];
+
+        entries.forEach(([name, spec]) => {
+            if (!name || typeof name !== 'string') {
+                errors.push({ name: name || null, errors: ['Missing channel name'] });
+                return;
+            }
+            if (CHANNEL_SPECS[name]) {
+                errors.push({ name, errors: [`"${name}" is a built-in channel`] });
+                return;
+            }
+            const normalized = normalizeCustomSpec(spec, options.workspace);
+            const specErrors = validateSpec(normalized);
+            if (specErrors.length > 0) {
+                errors.push({ name, errors: specErrors });
+                return;
+            }
+            CUSTOM_SPECS[name] = normalized;
+            registered.push(name);
+        });
+
+        return { registered, errors };
+    }
+
+    function removeCustomSpec(channelName) {
+        if (!isCustomChannel(channelName)) return false;
+        delete CUSTOM_SPECS[channelName];
+        return true;
+    }
+
+    function clearCustomSpecs() {
+        Object.keys(CUSTOM_SPECS).forEach(name => delete CUSTOM_SPECS[name]);
+    }
+
+    /**
+     * Built-in and custom packages as { name: [channel names] }, plus custom
+     * channels that list a package in `packages`. A custom spec may also name
+     * a package that does not exist yet.
+     */
+    function getPlatformPackages() {
+        const packages = {};
+        Object.entries(PLATFORM_PACKAGES).forEach(([name, channels]) => {
+            packages[name] = [...channels];
+        });
+        Object.entries(CUSTOM_PACKAGES).forEach(([name, pkg]) => {
+            packages[name] = pkg.channels.map(entry => entry.channel);
+        });
+        Object.entries(CUSTOM_SPECS).forEach(([channel, spec]) => {
+            (spec.packages || []).forEach(pkg => {
+                if (!packages[pkg]) packages[pkg] = [];
+                if (!packages[pkg].includes(channel)) packages[pkg].push(channel);
+            });
+        });
+        return packages;
+    }
+
+    // CSV columns accepted on import, mapped to spec fields. Headers are
+    // matched case-insensitively, ignoring spaces, dashes and underscores.
+    const CSV_FIELDS = {
+        name: 'name', channel: 'name',
+        type: 'type',
+        aspectratios: 'aspectRatios', aspectratio: 'aspectRatios',
+        exactsize: 'exactSize',
+        recommendedsize: 'recommendedSize', size: 'recommendedSize',
+        minduration: 'minDuration', maxduration: 'maxDuration',
+        maxfilesizemb: 'maxFileSizeMB',
+        codecs: 'codecs', framerates: 'frameRates',
+        minbitratekbps: 'minBitrateKbps', maxbitratekbps: 'maxBitrateKbps',
+        audiorequired: 'audioRequired', loudnesslufs: 'loudnessLUFS',
+        category: 'category', platform: 'platform', icon: 'icon',
+        notes: 'notes', packages: 'packages', effectivefrom: 'effectiveFrom'
+    };
+
+    const CSV_COLUMNS = ['name', 'type', 'aspectRatios', 'exactSize', 'recommendedSize', 'minDuration', 'maxDuration',
+        'maxFileSizeMB', 'codecs', 'frameRates', 'minBitrateKbps', 'maxBitrateKbps', 'audioRequired', 'loudnessLUFS',
+        'category', 'platform', 'notes', 'packages', 'effectiveFrom'];
+
+    function splitCsvLine(line) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quoted) {
+                if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else cell += ch;
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    function csvValue(field, raw) {
+        const rule = SPEC_SCHEMA[field];
+        const types = rule ? [].concat(rule.type) : ['string'];
+        if (field === 'exactSize') {
+            const match = /^(\d+)\s*x\s*(\d+)$/i.exec(raw);
+            return match ? { width: Number(match[1]), height: Number(match[2]) } : raw;
+        }
+        if (types.includes('array')) {
+            const items = raw.split(/[;|]/).map(v => v.trim()).filter(Boolean);
+            return rule.items === 'number' ? items.map(Number) : items;
+        }
+        if (types.includes('object') && raw.startsWith('{')) return JSON.parse(raw);
+        if (types.includes('boolean')) return /^(true|yes|1)$/i.test(raw);
+        if (types.includes('number')) return Number(raw);
+        return raw;
+    }
+
+    function parseCustomSpecsCsv(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+        if (lines.length === 0) return [];
+        const header = splitCsvLine(lines[0]).map(h => CSV_FIELDS[h.toLowerCase().replace(/[\s_-]/g, '')] || null);
+        if (!header.includes('name')) throw new Error('CSV needs a "name" column');
+
+        return lines.slice(1).map(line => {
+            const spec = {};
+            splitCsvLine(line).forEach((raw, i) => {
+                const field = header[i];
+                if (field && raw !== '') spec[field] = field === 'name' ? raw : csvValue(field, raw);
+            });
+            return spec;
+        });
+    }
+
+    /**
+     * Parse a custom spec file exported by the app or written by hand.
+     * JSON: { name: spec }, [{ name, ...spec }] or { specs: ... }. CSV: one
+     * row per channel, multi-value cells separated by ";" or "|".
+     *
+     * @param {string} text
+     * @param {string} [format] - 'json' or 'csv' (detected when omitted)
+     * @returns {Array} - [{ name, ...spec }]
+     */
+    function parseCustomSpecs(text, format) {
+        const trimmed = String(text || '').trim();
+        const detected = format || (/^[[{]/.test(trimmed) ? 'json' : 'csv');
+        if (detected === 'csv') return parseCustomSpecsCsv(trimmed);
+
+        const parsed = JSON.parse(trimmed);
+        const specs = parsed && !Array.isArray(parsed) && parsed.specs ? parsed.specs : parsed;
+        return Array.isArray(specs)
+            ? specs
+            : Object.entries(specs || {}).map(([name, spec]) => ({ name, ...spec }));
+    }
+
+    /**
+     * Serialize custom specs for sharing. JSON keeps every field; CSV
+     * covers CSV_COLUMNS.
+     * @param {string} [format] - 'json' (default) or 'csv'
+     * @param {Object} [specs] - { name: spec }, defaults to the registered custom specs
+     */
+    function exportCustomSpecs(format = 'json', specs = CUSTOM_SPECS) {
+        const strip = spec => {
+            const copy = { ...spec };
+            delete copy.custom;
+            delete copy.workspace;
+            return copy;
+        };
+
+        if (format !== 'csv') {
+            const out = {};
+            Object.entries(specs).forEach(([name, spec]) => { out[name] = strip(spec); });
+            return JSON.stringify({ registryVersion: REGISTRY_VERSION, specs: out }, null, 2);
+        }
+
+        const cell = value => {
+            if (value == null) return '';
+            if (Array.isArray(value)) value = value.join(';');
+            else if (typeof value === 'object') value = value.width ? `${value.width}x${value.height}` : JSON.stringify(value);
+            value = String(value);
+            return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        };
+        const rows = Object.entries(specs).map(([name, spec]) =>
+            CSV_COLUMNS.map(col => cell(col === 'name' ? name : spec[col])).join(',')
+        );
+        return [CSV_COLUMNS.join(','), ...rows].join('\n');
+    }
+
+    // ============================================
+    // CUSTOM PACKAGES
+    // ============================================
+
+    // Per-channel transform overrides a package may set (Cloudinary names)
+    const PACKAGE_CROP_MODES = ['fill', 'fill_pad', 'fit', 'pad', 'lpad', 'limit', 'scale', 'crop', 'thumb'];
+    const PACKAGE_GRAVITIES = ['auto', 'center', 'face', 'faces', 'north', 'north_east', 'east', 'south_east',
+        'south', 'south_west', 'west', 'north_west'];
+    const PACKAGE_OVERRIDES = ['crop', 'gravity', 'background'];
+
+    // Keep this many earlier versions on each custom package
+    const PACKAGE_HISTORY_LIMIT = 20;
+
+    // "Channel" or { channel, crop, gravity, background }
+    function normalizePackageChannel(entry) {
+        if (typeof entry === 'string') return { channel: entry };
+        const normalized = { channel: entry && entry.channel };
+        PACKAGE_OVERRIDES.forEach(key => {
+            if (entry && entry[key] != null && entry[key] !== '') normalized[key] = entry[key];
+        });
+        return normalized;
+    }
+
+    /**
+     * Validate a package definition.
+     * @param {Object} pkg - { channels: [channel | { channel, crop, gravity, background }], ... }
+     * @returns {string[]} - Error messages (empty if valid)
+     */
+    function validatePackage(pkg) {
+        const errors = [];
+        const channels = Array.isArray(pkg) ? pkg : pkg && pkg.channels;
+        if (!Array.isArray(channels) || channels.length === 0) {
+            return ['Package needs at least one channel'];
+        }
+
+        channels.map(normalizePackageChannel).forEach((entry, i) => {
+            if (!entry.channel || !getSpec(entry.channel)) {
+                errors.push(`channels[${i}]: unknown channel "${entry.channel}"`);
+            }
+            if (entry.crop && !PACKAGE_CROP_MODES.includes(entry.crop)) {
+                errors.push(`${entry.channel}: crop must be one of ${PACKAGE_CROP_MODES.join(', ')}`);
+            }
+            if (entry.gravity && !PACKAGE_GRAVITIES.includes(entry.gravity) && !/^auto:[a-z_]+$/.test(entry.gravity)) {
+                errors.push(`${entry.channel}: unknown gravity "${entry.gravity}"`);
+            }
+            if (entry.background && !/^[a-z0-9_:]+$/i.test(entry.background)) {
+                errors.push(`${entry.channel}: background must be a color, rgb:hex, blurred or gen_fill`);
+            }
+        });
+        if (pkg && pkg.version != null && (!Number.isInteger(pkg.version) || pkg.version < 1)) {
+            errors.push('version must be a positive integer');
+        }
+        return errors;
+    }
+
+    function normalizePackage(name, pkg, workspace) {
+        const source = Array.isArray(pkg) ? { channels: pkg } : pkg;
+        const normalized = {
+            name,
+            version: source.version || 1,
+            description: source.description || '',
+            channels: source.channels.map(normalizePackageChannel),
+            updatedAt: source.updatedAt || new Date().toISOString(),
+            history: (source.history || []).slice(0, PACKAGE_HISTORY_LIMIT),
+            custom: true
+        };
+        if (source.updatedBy) normalized.updatedBy = source.updatedBy;
+        if (workspace || source.workspace) normalized.workspace = workspace || source.workspace;
+        return normalized;
+    }
+
+    /**
+     * Add workspace-defined packages to the registry.
+     *
+     * @param {Object|Array} packages - { name: package } or [{ name, ...package }].
+     *   A package is { channels, description?, version? } or a plain array of channel names.
+     * @param {Object} [options]
+     * @param {string} [options.workspace] - Owning workspace, stored on each package
+     * @param {boolean} [options.replace] - Drop previously registered custom packages first
+     * @returns {Object} - { registered: [names], errors: [{ name, errors }] }
+     */
+    function registerCustomPackages(packages, options = {}) {
+        if (options.replace) clearCustomPackages();
+
+        const entries = Array.isArray(packages)
+            ? packages.map(pkg => [pkg && pkg.name, pkg])
+            : Object.entries(packages || {});
+        const registered = [];
+        const errors = [];
+
+        entries.forEach(([name, pkg]) => {
+            if (!name || typeof name !== 'string') {
+                errors.push({ name: name || null, errors: ['Missing package name'] });
+                return;
+            }
+            if (PLATFORM_PACKAGES[name]) {
+                errors.push({ name, errors: [`"${name}" is a built-in package`] });
+                return;
+            }
+            const packageErrors = validatePackage(pkg);
+            if (packageErrors.length > 0) {
+                errors.push({ name, errors: packageErrors });
+                return;
+            }
+            CUSTOM_PACKAGES[name] = normalizePackage(name, pkg, options.workspace);
+            registered.push(name);
+        });
+
+        return { registered, errors };
+    }
+
+    /**
+     * Next version of a custom package: bumps the version and moves the
+     * previous definition into history.
+     * @param {Object|null} previous - Current definition (null for a new package)
+     * @param {Object} changes - { channels, description }
+     */
+    function createPackageRevision(previous, changes) {
+        if (!previous) return { ...changes, version: 1, history: [] };
+        const { history = [], ...snapshot } = previous;
+        delete snapshot.custom;
+        delete snapshot.workspace;
+        return {
+            ...changes,
+            version: (previous.version || 1) + 1,
+            history: [snapshot, ...history].slice(0, PACKAGE_HISTORY_LIMIT)
+        };
+    }
+
+    function removeCustomPackage(name) {
+        if (!Object.prototype.hasOwnProperty.call(CUSTOM_PACKAGES, name)) return false;
+        delete CUSTOM_PACKAGES[name];
+        return true;
+    }
+
+    function clearCustomPackages() {
+        Object.keys(CUSTOM_PACKAGES).forEach(name => delete CUSTOM_PACKAGES[name]);
+    }
+
+    function getCustomPackages() {
+        return { ...CUSTOM_PACKAGES };
+    }
+
+    /**
+     * Resolve a package by name with its per-channel overrides.
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {number} [options.version] - Earlier version of a custom package
+     * @returns {Object|null} - { name, version, description, custom, channels: [{ channel, crop?, gravity?, background? }] }
+     */
+    function getPackage(name, options = {}) {
+        const custom = CUSTOM_PACKAGES[name];
+        if (custom) {
+            const revision = options.version && options.version !== custom.version
+                ? custom.history.find(rev => rev.version === options.version)
+                : custom;
+            if (!revision) return null;
+            return {
+                name,
+                version: revision.version,
+                description: revision.description || '',
+                custom: true,
+                channels: revision.channels.map(normalizePackageChannel)
+            };
+        }
+
+        const channels = getPlatformPackages()[name];
+        if (!channels || options.version) return null;
+        return { name, version: null, description: '', custom: false, channels: channels.map(channel => ({ channel })) };
+    }
+
+    // Parse a package file exported by exportCustomPackages (or written by hand)
+    function parseCustomPackages(text) {
+        const parsed = JSON.parse(String(text || '').trim());
+        const packages = parsed && !Array.isArray(parsed) && parsed.packages ? parsed.packages : parsed;
+        return Array.isArray(packages)
+            ? packages
+            : Object.entries(packages || {}).map(([name, pkg]) => (Array.isArray(pkg) ? { name, channels: pkg } : { name, ...pkg }));
+    }
+
+    function exportCustomPackages(packages = CUSTOM_PACKAGES) {
+        const out = {};
+        Object.entries(packages).forEach(([name, pkg]) => {
+            const copy = { ...pkg };
+            delete copy.name;
+            delete copy.custom;
+            delete copy.workspace;
+            out[name] = copy;
+        });
+        return JSON.stringify({ registryVersion: REGISTRY_VERSION, packages: out }, null, 2);
+    }
+
+    // ============================================
+    // VALIDATION
+    // ============================================
+
+    function parseAspectRatio(ratioStr) {
+        const parts = String(ratioStr).split(':').map(Number);
+        if (parts.length === 2 && parts[0] > 0 && parts[1] > 0) {
+            return parts[0] / parts[1];
+        }
+        return null;
+    }
+
+    function getAssetAspectRatio(width, height) {
+        return width / height;
+    }
+
+    function formatAspectRatio(width, height) {
+        const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+        const divisor = gcd(width, height) || 1;
+        return `${width / divisor}:${height / divisor}`;
+    }
+
+    /**
+     * Codec, frame rate, bitrate and audio checks. Only run when the asset
+     * carries the probed value (videoCodec, frameRate, bitrateKbps, hasAudio,
+     * loudnessLUFS) - unknown values are not reported as issues.
+     */
+    function checkVideoEncoding(asset, spec) {
+        const issues = [];
+        const { videoCodec, frameRate, bitrateKbps, hasAudio, loudnessLUFS } = asset;
+
+        if (spec.codecs && videoCodec && !spec.codecs.includes(String(videoCodec).toLowerCase())) {
+            issues.push({
+                type: 'codec',
+                message: `Needs ${spec.codecs.join(' or ')} video, asset is ${videoCodec}`,
+                current: videoCodec,
+                required: spec.codecs[0],
+                allowed: spec.codecs
+            });
+        }
+
+        if (spec.frameRates && frameRate && !spec.frameRates.some(fps => Math.abs(fps - frameRate) <= FRAME_RATE_TOLERANCE)) {
+            const closest = spec.frameRates.reduce((best, fps) =>
+                Math.abs(fps - frameRate) < Math.abs(best - frameRate) ? fps : best
+            );
+            issues.push({
+                type: 'frame_rate',
+                message: `Needs ${spec.frameRates.join('/')} fps, asset is ${frameRate} fps`,
+                current: frameRate,
+                required: closest,
+                allowed: spec.frameRates
+            });
+        }
+
+        if (spec.maxBitrateKbps && bitrateKbps && bitrateKbps > spec.maxBitrateKbps) {
+            issues.push({
+                type: 'bitrate_high',
+                message: `Max bitrate ${spec.maxBitrateKbps} kbps, asset is ${bitrateKbps} kbps`,
+                current: bitrateKbps,
+                required: spec.maxBitrateKbps
+            });
+        }
+
+        if (spec.minBitrateKbps && bitrateKbps && bitrateKbps < spec.minBitrateKbps) {
+            issues.push({
+                type: 'bitrate_low',
+                message: `Min bitrate ${spec.minBitrateKbps} kbps, asset is ${bitrateKbps} kbps`,
+                current: bitrateKbps,
+                required: spec.minBitrateKbps
+            });
+        }
+
+        if (spec.audioRequired && hasAudio === false) {
+            issues.push({
+                type: 'audio_missing',
+                message: 'Needs an audio track, asset has none',
+                current: false,
+                required: true
+            });
+        }
+
+        if (spec.loudnessLUFS != null && loudnessLUFS != null && hasAudio !== false &&
+            Math.abs(loudnessLUFS - spec.loudnessLUFS) > LOUDNESS_TOLERANCE_LU) {
+            issues.push({
+                type: 'loudness',
+                message: `Needs ${spec.loudnessLUFS} LUFS (+/-${LOUDNESS_TOLERANCE_LU}), asset is ${loudnessLUFS} LUFS`,
+                current: loudnessLUFS,
+                required: spec.loudnessLUFS
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Requirements of the spec the asset carries no value for, so they could
+     * not be checked. They do not make the asset incompatible, but callers
+     * should show them rather than let the asset pass silently.
+     */
+    function checkUnmeasured(asset, spec) {
+        const unchecked = [];
+        if (asset.type === 'video' && spec.loudnessLUFS != null && asset.loudnessLUFS == null && asset.hasAudio !== false) {
+            unchecked.push({
+                type: 'loudness',
+                message: `Loudness not measured (needs ${spec.loudnessLUFS} LUFS +/-${LOUDNESS_TOLERANCE_LU})`,
+                required: spec.loudnessLUFS
+            });
+        }
+        return unchecked;
+    }
+
+    /**
+     * Check one asset against one channel.
+     *
+     * @param {Object} asset - { width, height, type, duration, fileSizeMB | fileSize (bytes),
+     *                           videoCodec, frameRate, bitrateKbps, hasAudio, loudnessLUFS }
+     * @param {string} channelName
+     * @param {Object} [options] - { asOf }
+     * @returns {Object} - { compatible, issues, unchecked, spec, channelName } or
+     *                     { compatible: false, reason } when the channel can never accept the asset
+     */
+    function checkChannelCompatibility(asset, channelName, options = {}) {
+        const spec = getSpec(channelName, options);
+        if (!spec) return { compatible: false, reason: `Unknown channel: ${channelName}` };
+
+        const { width, height, type, duration } = asset;
+        const fileSizeMB = asset.fileSizeMB != null
+            ? asset.fileSizeMB
+            : (asset.fileSize ? asset.fileSize / (1024 * 1024) : null);
+        const assetRatio = getAssetAspectRatio(width, height);
+        const issues = [];
+
+        if (spec.type !== 'both' && spec.type !== type) {
+            return { compatible: false, reason: `Channel requires ${spec.type}, asset is ${type}` };
+        }
+
+        if (spec.exactSize) {
+            if (width !== spec.exactSize.width || height !== spec.exactSize.height) {
+                issues.push({
+                    type: 'exact_size',
+                    message: `Needs ${spec.exactSize.width}x${spec.exactSize.height}, asset is ${width}x${height}`,
+                    current: `${width}x${height}`,
+                    required: `${spec.exactSize.width}x${spec.exactSize.height}`,
+                    requiredRatio: spec.exactSize.width / spec.exactSize.height,
+                    targetWidth: spec.exactSize.width,
+                    targetHeight: spec.exactSize.height
+                });
+            }
+        } else if (spec.aspectRatios) {
+            const specRatios = spec.aspectRatios
+                .map(label => ({ label, ratio: parseAspectRatio(label) }))
+                .filter(r => r.ratio);
+            const ratioMatch = specRatios.some(r => Math.abs(assetRatio - r.ratio) <= ASPECT_RATIO_TOLERANCE);
+            if (!ratioMatch && specRatios.length > 0) {
+                const closest = specRatios.reduce((best, r) =>
+                    Math.abs(r.ratio - assetRatio) < Math.abs(best.ratio - assetRatio) ? r : best
+                );
+                issues.push({
+                    type: 'aspect_ratio',
+                    message: `Needs ${spec.aspectRatios.join(' or ')}, asset is ${width}:${height} (${assetRatio.toFixed(2)})`,
+                    current: formatAspectRatio(width, height),
+                    required: closest.label,
+                    requiredRatio: closest.ratio,
+                    targetRatios: spec.aspectRatios
+                });
+            }
+        }
+
+        if (type === 'video' && duration != null) {
+            if (spec.minDuration && duration < spec.minDuration) {
+                issues.push({ type: 'duration_short', message: `Min duration ${spec.minDuration}s, asset is ${duration}s`, current: duration, required: spec.minDuration });
+            }
+            if (spec.maxDuration && duration > spec.maxDuration) {
+                issues.push({ type: 'duration_long', message: `Max duration ${spec.maxDuration}s, asset is ${duration}s`, current: duration, required: spec.maxDuration });
+            }
+        }
+
+        if (type === 'video') {
+            issues.push(...checkVideoEncoding(asset, spec));
+        }
+
+        const maxFileSizeMB = getMaxFileSizeMB(spec, type);
+        if (maxFileSizeMB && fileSizeMB && fileSizeMB > maxFileSizeMB) {
+            issues.push({
+                type: 'file_size',
+                message: `Max ${maxFileSizeMB}MB, asset is ${Number(fileSizeMB.toFixed(2))}MB`,
+                current: Number(fileSizeMB.toFixed(2)),
+                required: maxFileSizeMB
+            });
+        }
+
+        return {
+            compatible: issues.length === 0,
+            issues,
+            unchecked: checkUnmeasured(asset, spec),
+            spec,
+            channelName
+        };
+    }
+
+    /**
+     * Check an asset against every channel (or a subset).
+     * @param {Object} asset
+     * @param {Object} [options] - { channels, category, asOf }
+     * @returns {{compatible: Object[], offSize: Object[], incompatible: Object[]}}
+     */
+    function validateAsset(asset, options = {}) {
+        const results = {
+            compatible: [],
+            offSize: [],
+            incompatible: []
+        };
+
+        const channels = options.channels || Object.keys(getSpecs(options));
+        for (const name of channels) {
+            const result = checkChannelCompatibility(asset, name, options);
+            if (result.compatible) {
+                results.compatible.push({ channel: name, ...result });
+            } else if (result.reason) {
+                results.incompatible.push({ channel: name, ...result });
+            } else {
+                results.offSize.push({ channel: name, ...result });
+            }
+        }
+
+        return results;
+    }
+
+    // ============================================
+    // SAFE ZONES
+    // ============================================
+
+    /**
+     * Safe rectangle for a channel in frame fractions, or null when the
+     * placement has no UI overlay.
+     * @returns {Object|null} - { x, y, width, height, insets }
+     */
+    function getSafeZone(channelName, options = {}) {
+        const spec = getSpec(channelName, options);
+        if (!spec || !spec.safeZone) return null;
+        const { top, bottom, left, right } = spec.safeZone;
+        const round = value => Number(value.toFixed(4));
+        return { x: left, y: top, width: round(1 - left - right), height: round(1 - top - bottom), insets: spec.safeZone };
+    }
+
+    /**
+     * Channels that define a safe zone, optionally limited to those whose
+     * media type and aspect ratio fit the asset.
+     * @param {Object} [asset] - { width, height, type }
+     */
+    function getSafeZoneChannels(asset = null, options = {}) {
+        return Object.entries(getSpecs({ ...options, type: asset?.type }))
+            .filter(([, spec]) => spec.safeZone)
+            .filter(([name]) => {
+                if (!asset || !asset.width || !asset.height) return true;
+                const issues = checkChannelCompatibility({ width: asset.width, height: asset.height, type: asset.type }, name, options).issues || [];
+                return !issues.some(i => i.type === 'aspect_ratio' || i.type === 'exact_size');
+            })
+            .map(([name]) => name);
+    }
+
+    /**
+     * Check detected text/logo boxes against a channel's safe zone.
+     *
+     * @param {Array} elements - [{ kind: 'text' | 'logo', label, box: { x, y, width, height } }]
+     *                           with box in fractions of the frame (0-1)
+     * @param {string} channelName
+     * @param {Object} [options] - { asOf }
+     * @returns {Object} - { channel, safeZone, issues } - issues typed 'safe_zone'
+     */
+    function checkSafeZone(elements, channelName, options = {}) {
+        const safeZone = getSafeZone(channelName, options);
+        if (!safeZone) return { channel: channelName, safeZone: null, issues: [] };
+
+        const issues = [];
+        (elements || []).forEach(element => {
+            const { x, y, width, height } = element.box;
+            const edges = [];
+            if (y < safeZone.y - SAFE_ZONE_TOLERANCE) edges.push('top');
+            if (y + height > safeZone.y + safeZone.height + SAFE_ZONE_TOLERANCE) edges.push('bottom');
+            if (x < safeZone.x - SAFE_ZONE_TOLERANCE) edges.push('left');
+            if (x + width > safeZone.x + safeZone.width + SAFE_ZONE_TOLERANCE) edges.push('right');
+            if (edges.length === 0) return;
+
+            const name = element.kind === 'logo' ? 'Logo' : 'Text';
+            const label = element.label ? ` "${String(element.label).slice(0, 40)}"` : '';
+            issues.push({
+                type: 'safe_zone',
+                message: `${name}${label} is under the ${edges.join('/')} UI area`,
+                element: element.kind,
+                label: element.label || null,
+                edges,
+                current: element.box,
+                required: { x: safeZone.x, y: safeZone.y, width: safeZone.width, height: safeZone.height }
+            });
+        });
+
+        return { channel: channelName, safeZone, issues };
+    }
+
+    // ============================================
+    // FIX SUGGESTIONS
+    // ============================================
+
+    // Order fixes are chained in: duration first, since trimming or extending
+    // changes what gets resized, then dimensions and encoding, and file size
+    // last because every earlier step changes it
+    const FIX_ORDER = ['trim_video', 'extend_video', 'resize', 'transcode', 'add_audio', 'normalize_audio', 'compress'];
+
+    /**
+     * The fix for one issue from checkChannelCompatibility. Shared by
+     * auto-fix (which executes them) and validation reports (which list them).
+     * @returns {Object|null} - { channel, type, action, description, method, ...targets }, null when nothing can fix it
+     */
+    function suggestFix(channelName, issue, options = {}) {
+        const spec = getSpec(channelName, options) || {};
+        const channel = channelName;
+
+        switch (issue.type) {
+            case 'aspect_ratio':
+                return {
+                    channel,
+                    type: 'resize',
+                    action: 'AI Outpainting',
+                    description: `Extend image to ${issue.required} for ${channel}`,
+                    targetRatio: issue.requiredRatio,
+                    targetAspect: issue.required,
+                    method: 'outpaint', // outpaint, crop, smart_resize
+                    estimatedTime: '15-30 seconds',
+                    aiModel: 'Gemini 3 Pro',
+                };
+
+            case 'exact_size':
+                return {
+                    channel,
+                    type: 'resize',
+                    action: 'AI Outpainting',
+                    description: `Resize to ${issue.required} for ${channel}`,
+                    targetRatio: issue.requiredRatio,
+                    targetAspect: spec.aspectRatios?.[0],
+                    targetWidth: issue.targetWidth,
+                    targetHeight: issue.targetHeight,
+                    method: 'outpaint',
+                    estimatedTime: '15-30 seconds',
+                    aiModel: 'Gemini 3 Pro',
+                };
+
+            case 'duration_short':
+                return {
+                    channel,
+                    type: 'extend_video',
+                    action: 'Extend Video',
+                    description: `Extend video to ${issue.required}s minimum`,
+                    targetDuration: issue.required,
+                    method: 'loop_or_slow',
+                    estimatedTime: '30-60 seconds',
+                    aiModel: 'Manual or Veo4',
+                };
+
+            case 'duration_long':
+                return {
+                    channel,
+                    type: 'trim_video',
+                    action: 'Trim Video',
+                    description: `Trim video to ${issue.required}s maximum`,
+                    targetDuration: issue.required,
+                    method: 'smart_trim',
+                    estimatedTime: '10-20 seconds',
+                    aiModel: 'Manual',
+                };
+
+            case 'file_size':
+                return {
+                    channel,
+                    type: 'compress',
+                    action: 'Compress',
+                    description: `Reduce file size to under ${issue.required}MB`,
+                    targetSize: issue.required,
+                    method: 'quality_reduce',
+                    estimatedTime: '5-15 seconds',
+                    aiModel: 'Local',
+                };
+
+            case 'codec':
+                return {
+                    channel,
+                    type: 'transcode',
+                    action: 'Transcode',
+                    description: `Re-encode as ${issue.required}`,
+                    targetCodec: issue.required,
+                    method: 'reencode',
+                    estimatedTime: '30-90 seconds',
+                    aiModel: 'Local',
+                };
+
+            case 'frame_rate':
+                return {
+                    channel,
+                    type: 'transcode',
+                    action: 'Transcode',
+                    description: `Re-encode at ${issue.required}fps`,
+                    targetFrameRate: issue.required,
+                    method: 'reencode',
+                    estimatedTime: '30-90 seconds',
+                    aiModel: 'Local',
+                };
+
+            case 'bitrate_high':
+            case 'bitrate_low':
+                return {
+                    channel,
+                    type: 'transcode',
+                    action: 'Transcode',
+                    description: `Re-encode at ${issue.required}kbps`,
+                    targetBitrateKbps: issue.required,
+                    method: 'reencode',
+                    estimatedTime: '30-90 seconds',
+                    aiModel: 'Local',
+                };
+
+            case 'audio_missing':
+                return {
+                    channel,
+                    type: 'add_audio',
+                    action: 'Add Audio',
+                    description: 'Add an audio track (music bed or silence)',
+                    method: 'mux_audio',
+                    estimatedTime: '5-10 minutes',
+                    aiModel: 'Manual',
+                };
+
+            case 'loudness':
+                return {
+                    channel,
+                    type: 'normalize_audio',
+                    action: 'Normalize Audio',
+                    description: `Normalize loudness to ${issue.required} LUFS`,
+                    targetLoudness: issue.required,
+                    method: 'loudnorm',
+                    estimatedTime: '10-30 seconds',
+                    aiModel: 'Local',
+                };
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Add a fix to a channel's list: one per fix type, except that transcode
+     * fixes merge, since one re-encode covers codec, frame rate and bitrate.
+     */
+    function mergeFix(fixes, fix) {
+        const existing = fixes.find(f => f.channel === fix.channel && f.type === fix.type);
+        if (!existing) {
+            fixes.push(fix);
+        } else if (fix.type === 'transcode') {
+            Object.assign(existing, {
+                ...fix,
+                ...existing,
+                description: `${existing.description}, ${fix.description.replace(/^Re-encode /, '')}`,
+            });
+        }
+        return fixes;
+    }
+
+    function byFixOrder(a, b) {
+        return FIX_ORDER.indexOf(a.type) - FIX_ORDER.indexOf(b.type);
+    }
+
+    /**
+     * The fixes for one channel's issues, merged with mergeFix and in FIX_ORDER.
+     * @returns {Object[]} - suggestFix results; empty when nothing can fix the issues
+     */
+    function suggestFixes(channelName, issues, options = {}) {
+        return issues
+            .map(issue => suggestFix(channelName, issue, options))
+            .filter(Boolean)
+            .reduce(mergeFix, [])
+            .sort(byFixOrder);
+    }
+
+    /**
+     * Group fixes into ordered steps per channel.
+     * @param {Object[]} fixes - suggestFix results for any number of channels
+     * @returns {Object[]} - [{ channel, steps: [{ type, action, description }] }]
+     */
+    function groupFixPlan(fixes) {
+        const channels = [...new Set(fixes.map(f => f.channel))];
+        return channels.map(channel => ({
+            channel,
+            steps: fixes
+                .filter(f => f.channel === channel)
+                .sort(byFixOrder)
+                .map(f => ({ type: f.type, action: f.action, description: f.description })),
+        }));
+    }
+
+    /**
+     * Fix steps per off-size channel, in FIX_ORDER.
+     * @param {Object} asset
+     * @param {Object} [options] - validateAsset options ({ channels, category, asOf })
+     * @returns {Object[]} - [{ channel, steps: [{ type, action, description }] }]
+     */
+    function planFixes(asset, options = {}) {
+        return groupFixPlan(validateAsset(asset, options).offSize
+            .flatMap(result => suggestFixes(result.channel, result.issues, options)));
+    }
+
+    // ============================================
+    // EXPORT
+    // ============================================
+    const ChannelSpecRegistry = {
+        REGISTRY_VERSION,
+        ASPECT_RATIO_TOLERANCE,
+        FRAME_RATE_TOLERANCE,
+        LOUDNESS_TOLERANCE_LU,
+        SAFE_ZONE_TOLERANCE,
+        SPEC_SCHEMA,
+        CHANNEL_SPECS,
+        SUPERSEDED_SPECS,
+        PLATFORM_PACKAGES,
+        COPY_SPECS,
+        PACKAGE_CROP_MODES,
+        PACKAGE_GRAVITIES,
+        CHANGELOG,
+        validateSpec,
+        getChannelNames,
+        isCustomChannel,
+        getCustomSpecs,
+        registerCustomSpecs,
+        removeCustomSpec,
+        clearCustomSpecs,
+        getPlatformPackages,
+        parseCustomSpecs,
+        exportCustomSpecs,
+        validatePackage,
+        registerCustomPackages,
+        createPackageRevision,
+        removeCustomPackage,
+        clearCustomPackages,
+        getCustomPackages,
+        getPackage,
+        parseCustomPackages,
+        exportCustomPackages,
+        getSpec,
+        getSpecs,
+        getVideoSpecs,
+        getImageSpecs,
+        getTargetSize,
+        getMaxFileSizeMB,
+        listPlacements,
+        getCopySpecs,
+        parseAspectRatio,
+        getAssetAspectRatio,
+        formatAspectRatio,
+        checkChannelCompatibility,
+        validateAsset,
+        getSafeZone,
+        getSafeZoneChannels,
+        checkSafeZone,
+        FIX_ORDER,
+        suggestFix,
+        mergeFix,
+        suggestFixes,
+        groupFixPlan,
+        planFixes
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ChannelSpecRegistry;
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CAVChannelSpecs = ChannelSpecRegistry;
+    } else if (typeof self !== 'undefined') {
+        // Service worker (scheduled scans validate without the page)
+        self.CAVChannelSpecs = ChannelSpecRegistry;
+    }
+})();
@@ -1,7 +1,11 @@
 /**
  * Creative Asset Validator - Cloudinary Client
  * Video/Image upload, transform, resize with quota management
- * Version 5.3.0 - Enhanced Video Resizing
+ * Version 5.4.0 - Local rendering fallback
+ * 
+ * Without Cloudinary credentials (or with Settings → Resize backend set to
+ * Local), resize, resizeVideo and resizeImageWithGenFill render through the
+ * local backend in transform-backend.js with the same crop/gravity options.
  * 
  * Video Resizing Capabilities (from Cloudinary docs):
  * - c_fill: Fill specified dimensions, may crop
@@ -301,6 +305,7 @@ class CloudinaryClient {
         if (options.height) transformations.push(`h_${options.height}`);
         transformations.push(`c_${options.crop || 'fill'}`);
         transformations.push(`g_${options.gravity || 'auto'}`);
+        if (options.background) transformations.push(`b_${options.background}`);
         if (options.format) transformations.push(`f_${options.format}`);
         transformations.push('q_auto'); // Auto quality
         
@@ -323,6 +328,17 @@ class CloudinaryClient {
     async resize(asset, targetSpec) {
         console.log('[CloudinaryClient] Resizing asset:', asset.name, 'to', targetSpec);
         
+        if (this.shouldResizeLocally(asset)) {
+            return this.resizeLocally(asset, {
+                width: targetSpec.width || targetSpec.recommended_width,
+                height: targetSpec.height || targetSpec.recommended_height,
+                crop: targetSpec.crop,
+                gravity: targetSpec.gravity,
+                background: targetSpec.background,
+                format: targetSpec.format
+            });
+        }
+        
         if (!this.hasCredentials()) {
             this.showCloudinaryRequiredModal();
             throw new Error('Please add your Cloudinary credentials in Settings to resize assets');
@@ -362,6 +378,22 @@ class CloudinaryClient {
     async resizeImageWithGenFill(asset, options = {}) {
         console.log('[CloudinaryClient] AI Generative Fill resize:', asset.filename || asset.name, options);
         
+        // Local rendering has no generative fill - pad with a blurred copy instead
+        if (!this.hasCredentials() && this.shouldResizeLocally(asset)) {
+            const result = await this.resizeLocally(asset, {
+                width: options.width,
+                height: options.height,
+                crop: 'pad',
+                gravity: options.gravity || 'center',
+                background: options.fillMethod === 'auto' ? 'auto' : 'blurred'
+            });
+            return {
+                ...result,
+                method: 'local_blur_fill',
+                note: 'AI Generative Fill needs Cloudinary, padded with a blurred background locally'
+            };
+        }
+        
         if (!this.hasCredentials()) {
             this.showCloudinaryRequiredModal();
             throw new Error('Please add your Cloudinary credentials in Settings to use AI image resize');
@@ -567,7 +599,7 @@ class CloudinaryClient {
     async resizeForPlatform(asset, platform, placement) {
         // Get platform spec
         const specs = await this.getPlatformSpecs();
-        const spec = specs.find(s => s.platform === platform && s.placement === placement);
+        const spec = specs.find(s => s.platform === platform && (s.placement === placement || s.channel === placement));
         
         if (!spec) {
             throw new Error(`No spec found for ${platform} ${placement}`);
@@ -597,6 +629,10 @@ class CloudinaryClient {
     async resizeVideo(asset, options = {}) {
         console.log('[CloudinaryClient] Enhanced video resize:', asset.name, options);
         
+        if (options.backend !== 'cloudinary' && this.shouldResizeLocally(asset)) {
+            return this.resizeLocally(asset, options);
+        }
+        
         if (!this.hasCredentials()) {
             this.showCloudinaryRequiredModal();
             throw new Error('Please add your Cloudinary credentials in Settings to resize videos');
@@ -667,6 +703,62 @@ class CloudinaryClient {
         };
     }
     
+    // ========================================================
+    // LOCAL RENDERING FALLBACK
+    // ========================================================
+    
+    /**
+     * Whether a resize should run on the local backend: when Settings ask
+     * for it, or in auto mode when Cloudinary cannot handle the asset.
+     */
+    shouldResizeLocally(asset) {
+        const backends = window.CAVTransformBackends;
+        const local = backends?.getBackend('local');
+        if (!local || !local.isAvailable(asset)) return false;
+        
+        const preferred = window.CAVSettings?.manager?.getTransformBackend?.() || 'auto';
+        if (preferred === 'cloudinary') return false;
+        if (preferred === 'local') return true;
+        return !this.hasCredentials() || !(asset.cloudinary_id || asset.cloudinary_url);
+    }
+    
+    /**
+     * Resize on the local backend. Accepts the same options as resizeVideo;
+     * an aspect_ratio without both sides is applied to the asset's own size.
+     */
+    async resizeLocally(asset, options = {}) {
+        if (options.start_offset || options.end_offset || options.duration || options.effect) {
+            throw new Error('Trimming and video effects need Cloudinary - add your credentials in Settings');
+        }
+        
+        let { width, height } = options;
+        if (options.aspect_ratio && !(width && height)) {
+            const ratio = window.CAVChannelSpecs.parseAspectRatio(options.aspect_ratio);
+            if (width) {
+                height = Math.round(width / ratio);
+            } else if (height) {
+                width = Math.round(height * ratio);
+            } else if (asset.width && asset.height) {
+                const fitsWidth = asset.width / asset.height > ratio;
+                width = fitsWidth ? Math.round(asset.height * ratio) : asset.width;
+                height = fitsWidth ? asset.height : Math.round(asset.width / ratio);
+            } else {
+                throw new Error('Local resizing needs a width or height with the aspect ratio');
+            }
+        }
+        
+        console.log('[CloudinaryClient] Rendering locally:', asset.name || asset.filename, width, height, options.crop);
+        return window.CAVTransformBackends.transformAsset(asset, {
+            width,
+            height,
+            crop: options.crop || 'fill',
+            gravity: options.gravity,
+            background: options.background,
+            format: options.format,
+            quality: options.quality
+        }, { backend: 'local' });
+    }
+    
     /**
      * Get available video crop modes with descriptions
      */
@@ -757,19 +849,8 @@ class CloudinaryClient {
     }
     
     getDefaultPlatformSpecs() {
-        // Fallback specs if API fails
-        return [
-            { platform: 'instagram', placement: 'feed_square', recommended_width: 1080, recommended_height: 1080, aspect_ratio: '1:1' },
-            { platform: 'instagram', placement: 'story', recommended_width: 1080, recommended_height: 1920, aspect_ratio: '9:16' },
-            { platform: 'instagram', placement: 'reels', recommended_width: 1080, recommended_height: 1920, aspect_ratio: '9:16' },
-            { platform: 'facebook', placement: 'feed', recommended_width: 1080, recommended_height: 1080, aspect_ratio: '1:1' },
-            { platform: 'facebook', placement: 'story', recommended_width: 1080, recommended_height: 1920, aspect_ratio: '9:16' },
-            { platform: 'tiktok', placement: 'feed', recommended_width: 1080, recommended_height: 1920, aspect_ratio: '9:16' },
-            { platform: 'youtube', placement: 'shorts', recommended_width: 1080, recommended_height: 1920, aspect_ratio: '9:16' },
-            { platform: 'youtube', placement: 'thumbnail', recommended_width: 1280, recommended_height: 720, aspect_ratio: '16:9' },
-            { platform: 'linkedin', placement: 'feed', recommended_width: 1200, recommended_height: 628, aspect_ratio: '1.91:1' },
-            { platform: 'twitter', placement: 'feed', recommended_width: 1200, recommended_height: 675, aspect_ratio: '16:9' }
-        ];
+        // Fallback specs if API fails - derived from the shared registry (channel-specs.js)
+        return window.CAVChannelSpecs.listPlacements();
     }
     
     async getSpecsForPlatform(platform) {
@@ -1,7 +1,7 @@
 /**
  * Internal CRM Module - HubSpot-Style Contact & Project Management
  * ================================================================
- * Version 5.11.1 - January 17, 2026
+ * Version 5.13.1 - October 19, 2026
  * 
  * Features:
  * - Contact Management (clients, team members, vendors)
@@ -14,6 +14,9 @@
  * - Tags & Categories
  * - Search & Filters
  * - Import/Export
+ *
+ * Collections are cached in localStorage and persisted through CAVRepository,
+ * which syncs them; custom fields and settings stay local.
  */
 
 (function() {
@@ -71,6 +74,26 @@
         get COMPETITORS() { return `${getUserStoragePrefix()}competitors`; },
     };
 
+    // Collections persisted through CAVRepository: CRM property, CRM_STORAGE key, entity type.
+    // The activity log is trimmed locally, so dropped entries are not deleted remotely.
+    const SYNCED_COLLECTIONS = [
+        { prop: 'contacts', storage: 'CONTACTS', type: 'contacts' },
+        { prop: 'companies', storage: 'COMPANIES', type: 'companies' },
+        { prop: 'projects', storage: 'PROJECTS', type: 'projects' },
+        { prop: 'deals', storage: 'DEALS', type: 'deals' },
+        { prop: 'activities', storage: 'ACTIVITIES', type: 'activities', appendOnly: true },
+        { prop: 'tags', storage: 'TAGS', type: 'tags' },
+        { prop: 'competitors', storage: 'COMPETITORS', type: 'competitors' },
+    ];
+
+    function collectionItems(data) {
+        return Array.isArray(data) ? data : Object.values(data || {});
+    }
+
+    function identityOf(item) {
+        return String(item.uuid || item.id);
+    }
+
     // ============================================
     // CRM CLASS
     // ============================================
@@ -79,147 +102,52 @@
             this._loadUserData();
             console.log('[CRM] Initialized with user prefix:', getUserStoragePrefix());
             
-            // Auto-load from IndexedDB when available (async)
+            // Pick up records saved on other devices or before the repository existed
             this._autoLoadFromBackend();
         }
         
-        // Auto-load from backend/IndexedDB AND Supabase on initialization
+        // Seed the repository with local records, then load from it and follow its changes
         async _autoLoadFromBackend() {
-            // Wait a bit for syncEngine to be ready
-            await new Promise(resolve => setTimeout(resolve, 500));
-            
-            if (window.syncEngine?.isAuthenticated?.()) {
-                console.log('[CRM] Auto-loading from IndexedDB...');
-                await this.loadFromIndexedDB();
-            } else {
-                console.log('[CRM] SyncEngine not authenticated yet, will load on sync_complete');
-            }
-            
-            // Also try to load from Supabase (most reliable for cross-device)
-            await this.loadFromSupabase();
-        }
-        
-        // Load CRM data directly from Supabase
-        async loadFromSupabase() {
-            if (!window.CAVSupabase?.getClient) {
-                // Retry after a delay
-                setTimeout(() => this.loadFromSupabase(), 2000);
+            if (!window.CAVRepository) {
+                console.log('[CRM] Repository not available, using localStorage only');
                 return;
             }
             
             try {
-                const supabase = window.CAVSupabase.getClient();
-                if (!supabase) return;
-                
-                // Get user info - support both Supabase Auth and Google Sign-In
-                const supabaseUser = await supabase.auth.getUser();
-                const userId = supabaseUser?.data?.user?.id;
-                const userEmail = supabaseUser?.data?.user?.email || window.cavUserSession?.email;
-                
-                // Must have at least user_email to load data
-                if (!userEmail) {
-                    console.warn('[CRM] No user email, skipping Supabase load');
-                    return;
-                }
-                
-                console.log('[CRM] Loading data from Supabase for:', userEmail);
-                
-                // Load companies - filter by user_email (works for Google Sign-In)
-                let query = supabase.from('companies').select('*').is('deleted_at', null);
-                
-                // Use user_id if available, otherwise user_email
-                if (userId) {
-                    query = query.eq('user_id', userId);
-                } else {
-                    query = query.eq('user_email', userEmail);
-                }
-                
-                const { data: companies, error: compError } = await query;
-                
-                if (!compError && companies?.length > 0) {
-                    console.log(`[CRM] ☁️ Loaded ${companies.length} companies from Supabase`);
-                    
-                    for (const c of companies) {
-                        // Parse JSON fields
-                        const company = {
-                            id: c.uuid || c.id,
-                            uuid: c.uuid || c.id,
-                            name: c.name,
-                            industry: c.industry,
-                            website: c.website,
-                            type: c.type,
-                            description: c.description,
-                            tags: c.tags || [],
-                            metadata: this._parseJSON(c.metadata),
-                            enrichedData: this._parseJSON(c.enriched_data),
-                            strategyInsights: this._parseJSON(c.strategy_insights),
-                            chatHistory: this._parseJSON(c.chat_history) || [],
-                            benchmarks: this._parseJSON(c.benchmarks) || [],
-                            bestPractices: this._parseJSON(c.best_practices) || [],
-                            competitors: this._parseJSON(c.competitors) || [],
-                            sharing: { isShared: c.is_shared },
-                            createdAt: c.created_at,
-                            updatedAt: c.updated_at
-                        };
-                        
-                        // Only add if not already present (local takes precedence)
-                        if (!this.companies[company.id]) {
-                            this.companies[company.id] = company;
-                        }
-                    }
-                    
-                    // Save merged data to localStorage
-                    this.saveData(CRM_STORAGE.COMPANIES, this.companies);
-                }
+                await window.CAVRepository.ready;
                 
-                // Load contacts - filter by user_email (works for Google Sign-In)
-                let contactQuery = supabase.from('contacts').select('*').is('deleted_at', null);
-                if (userId) {
-                    contactQuery = contactQuery.eq('user_id', userId);
-                } else {
-                    contactQuery = contactQuery.eq('user_email', userEmail);
-                }
-                const { data: contacts, error: contError } = await contactQuery;
-                
-                if (!contError && contacts?.length > 0) {
-                    console.log(`[CRM] ☁️ Loaded ${contacts.length} contacts from Supabase`);
-                    for (const c of contacts) {
-                        if (!this.contacts[c.uuid || c.id]) {
-                            this.contacts[c.uuid || c.id] = {
-                                id: c.uuid || c.id,
-                                firstName: c.first_name,
-                                lastName: c.last_name,
-                                email: c.email,
-                                phone: c.phone,
-                                company: c.company_id,
-                                companyName: c.company_name,
-                                title: c.title,
-                                tags: c.tags || [],
-                                metadata: this._parseJSON(c.metadata),
-                                createdAt: c.created_at,
-                                updatedAt: c.updated_at
-                            };
-                        }
-                    }
-                    this.saveData(CRM_STORAGE.CONTACTS, this.contacts);
+                // Adds local records the repository has never seen; ones deleted elsewhere stay deleted
+                for (const collection of SYNCED_COLLECTIONS) {
+                    await window.CAVRepository.saveMany(collection.type, collectionItems(this[collection.prop]), { onlyMissing: true });
                 }
                 
-                console.log('[CRM] ☁️ Supabase data load complete');
-                
-            } catch (e) {
-                console.warn('[CRM] Supabase load error:', e);
+                await this.loadFromRepository();
+                this._watchRepository();
+            } catch (error) {
+                console.error('[CRM] Failed to load from repository:', error);
             }
         }
         
-        // Helper to safely parse JSON
-        _parseJSON(value) {
-            if (!value) return {};
-            if (typeof value === 'object') return value;
-            try {
-                return JSON.parse(value);
-            } catch (e) {
-                return {};
-            }
+        // Reload when another device or tab changes a CRM record
+        _watchRepository() {
+            if (this._unsubscribeRepository) return;
+            
+            const reload = () => {
+                clearTimeout(this._reloadTimer);
+                this._reloadTimer = setTimeout(async () => {
+                    await this.loadFromRepository();
+                    if (window.location.hash === '#crm' && typeof window.renderCRMDashboard === 'function') {
+                        window.renderCRMDashboard();
+                    }
+                }, 300);
+            };
+            
+            this._unsubscribeRepository = window.CAVRepository.subscribe(change => {
+                if (change.origin !== 'local') reload();
+            }, { types: SYNCED_COLLECTIONS.map(c => c.type) });
+            
+            // Resolving a conflict rewrites the local copy
+            window.CAVRepository.on('conflict_resolved', reload);
         }
         
         // Load user-specific data - called on init and when user changes
@@ -233,84 +161,58 @@
             this.customFields = this.loadData(CRM_STORAGE.CUSTOM_FIELDS, {});
             this.settings = this.loadData(CRM_STORAGE.SETTINGS, this.defaultSettings());
             this.competitors = this.loadData(CRM_STORAGE.COMPETITORS, {});
+            
+            // Identities already in the repository, so records dropped from a collection can be removed there
+            this._persisted = {};
+            SYNCED_COLLECTIONS.forEach(collection => {
+                this._persisted[collection.type] = new Set(collectionItems(this[collection.prop]).map(identityOf));
+            });
         }
         
         // Reload CRM data for current user (call this after login)
         reloadForCurrentUser() {
             console.log('[CRM] Reloading data for user prefix:', getUserStoragePrefix());
             this._loadUserData();
+            this._autoLoadFromBackend();
             return this;
         }
         
-        // Load data from IndexedDB (via sync-engine) and merge with localStorage
-        async loadFromIndexedDB() {
-            if (!window.syncEngine) {
-                console.log('[CRM] SyncEngine not available, using localStorage only');
-                return;
-            }
-            
-            try {
-                console.log('[CRM] Loading data from IndexedDB...');
-                
-                // Load companies from IndexedDB
-                const idbCompanies = await window.syncEngine.getAllCompanies();
-                if (idbCompanies && idbCompanies.length > 0) {
-                    console.log(`[CRM] Loaded ${idbCompanies.length} companies from IndexedDB`);
-                    // Convert array to object with uuid as key
-                    const companiesObj = {};
-                    idbCompanies.forEach(company => {
-                        // Ensure id is set for UI compatibility
-                        company.id = company.uuid || company.id;
-                        companiesObj[company.id] = company;
-                    });
-                    this.companies = companiesObj;
-                    // Save to localStorage for faster subsequent loads
-                    this.saveData(CRM_STORAGE.COMPANIES, this.companies);
-                }
-                
-                // Load contacts from IndexedDB
-                const idbContacts = await window.syncEngine.getAllContacts();
-                if (idbContacts && idbContacts.length > 0) {
-                    console.log(`[CRM] Loaded ${idbContacts.length} contacts from IndexedDB`);
-                    const contactsObj = {};
-                    idbContacts.forEach(contact => {
-                        contact.id = contact.uuid || contact.id;
-                        contactsObj[contact.id] = contact;
-                    });
-                    this.contacts = contactsObj;
-                    this.saveData(CRM_STORAGE.CONTACTS, this.contacts);
-                }
-                
-                // Load projects from IndexedDB
-                const idbProjects = await window.syncEngine.getAllProjects();
-                if (idbProjects && idbProjects.length > 0) {
-                    console.log(`[CRM] Loaded ${idbProjects.length} projects from IndexedDB`);
-                    const projectsObj = {};
-                    idbProjects.forEach(project => {
-                        project.id = project.uuid || project.id;
-                        projectsObj[project.id] = project;
-                    });
-                    this.projects = projectsObj;
-                    this.saveData(CRM_STORAGE.PROJECTS, this.projects);
-                }
+        /**
+         * Replace the CRM collections with the repository's records.
+         * Local records the repository does not know (e.g. ones it rejected) are kept.
+         */
+        async loadFromRepository() {
+            if (!window.CAVRepository) return;
+            
+            for (const collection of SYNCED_COLLECTIONS) {
+                const records = await window.CAVRepository.list(collection.type, { includeDeleted: true });
+                const known = new Set(records.map(identityOf));
+                const unknown = collectionItems(this[collection.prop]).filter(item => !known.has(identityOf(item)));
+                const live = records.filter(record => !record.deleted_at).concat(unknown);
                 
-                // Load deals from IndexedDB
-                const idbDeals = await window.syncEngine.getAllDeals();
-                if (idbDeals && idbDeals.length > 0) {
-                    console.log(`[CRM] Loaded ${idbDeals.length} deals from IndexedDB`);
-                    const dealsObj = {};
-                    idbDeals.forEach(deal => {
-                        deal.id = deal.uuid || deal.id;
-                        dealsObj[deal.id] = deal;
+                if (collection.prop === 'activities') {
+                    this.activities = live.sort((a, b) => String(b.timestamp || '').localeCompare(String(a.timestamp || '')));
+                } else if (collection.prop === 'tags') {
+                    this.tags = live;
+                } else {
+                    const map = {};
+                    live.forEach(record => {
+                        record.id = record.id ?? record.uuid;
+                        map[record.id] = record;
                     });
-                    this.deals = dealsObj;
-                    this.saveData(CRM_STORAGE.DEALS, this.deals);
+                    this[collection.prop] = map;
                 }
                 
-                console.log('[CRM] Successfully loaded data from IndexedDB');
-            } catch (error) {
-                console.error('[CRM] Failed to load from IndexedDB:', error);
+                localStorage.setItem(CRM_STORAGE[collection.storage], JSON.stringify(this[collection.prop]));
+                this._persisted[collection.type] = new Set(live.map(identityOf));
             }
+            
+            console.log('[CRM] Loaded data from repository');
+        }
+        
+        // Older name, still called by pages that predate the repository
+        loadFromIndexedDB() {
+            return this.loadFromRepository();
         }
         
         // Get current user's storage prefix (for debugging)
@@ -349,9 +251,7 @@
             this.competitors[id] = competitor;
             this.saveData(CRM_STORAGE.COMPETITORS, this.competitors);
             this.logActivity('competitor_created', { competitorId: id, name: competitor.name });
-            
-            // Sync to Supabase
-            this.saveCompetitorToSupabase(competitor);
+
             
             return competitor;
         }
@@ -367,9 +267,7 @@
             
             this.saveData(CRM_STORAGE.COMPETITORS, this.competitors);
             this.logActivity('competitor_updated', { competitorId: id });
-            
-            // Sync to Supabase
-            this.saveCompetitorToSupabase(this.competitors[id]);
+
             
             return this.competitors[id];
         }
@@ -381,13 +279,7 @@
             delete this.competitors[id];
             this.saveData(CRM_STORAGE.COMPETITORS, this.competitors);
             this.logActivity('competitor_deleted', { competitorId: id, name: competitor.name });
-            
-            // Delete from Supabase
-            if (window.CAVSupabase?.deleteCompetitor) {
-                window.CAVSupabase.deleteCompetitor(competitor.uuid || id).catch(e => 
-                    console.warn('[CRM] Failed to delete competitor from Supabase:', e)
-                );
-            }
+
             
             return true;
         }
@@ -456,6 +348,31 @@
 
         saveData(key, data) {
             localStorage.setItem(key, JSON.stringify(data));
+            
+            const collection = SYNCED_COLLECTIONS.find(c => CRM_STORAGE[c.storage] === key);
+            if (collection) this.persistCollection(collection, data);
+        }
+
+        // Save new and changed records of a collection to the repository and remove dropped ones
+        persistCollection(collection, data) {
+            if (!window.CAVRepository) return;
+            
+            const items = collectionItems(data);
+            const previous = this._persisted[collection.type] || new Set();
+            const current = new Set(items.map(identityOf));
+            this._persisted[collection.type] = current;
+            
+            window.CAVRepository.saveMany(collection.type, items).catch(e =>
+                console.warn(`[CRM] Failed to save ${collection.type} to repository:`, e)
+            );
+            if (collection.appendOnly) return;
+            
+            previous.forEach(id => {
+                if (current.has(id)) return;
+                window.CAVRepository.remove(collection.type, id).catch(e =>
+                    console.warn(`[CRM] Failed to remove ${collection.type} ${id} from repository:`, e)
+                );
+            });
         }
 
         generateId() {
@@ -497,14 +414,7 @@
             this.contacts[id] = contact;
             this.saveData(CRM_STORAGE.CONTACTS, this.contacts);
             this.logActivity('contact_created', { contactId: id, name: `${contact.firstName} ${contact.lastName}` });
-            
-            // Also save to sync-engine/IndexedDB for persistence
-            if (window.syncEngine) {
-                contact.uuid = contact.id; // Ensure uuid is set
-                window.syncEngine.saveContact(contact).catch(e => 
-                    console.warn('[CRM] Failed to save contact to sync-engine:', e)
-                );
-            }
+
             
             return contact;
         }
@@ -520,15 +430,7 @@
             
             this.saveData(CRM_STORAGE.CONTACTS, this.contacts);
             this.logActivity('contact_updated', { contactId: id });
-            
-            // Also save to sync-engine/IndexedDB for persistence
-            if (window.syncEngine) {
-                const contact = this.contacts[id];
-                contact.uuid = contact.id; // Ensure uuid is set
-                window.syncEngine.saveContact(contact).catch(e => 
-                    console.warn('[CRM] Failed to update contact in sync-engine:', e)
-                );
-            }
+
             
             return this.contacts[id];
         }
@@ -540,13 +442,7 @@
             delete this.contacts[id];
             this.saveData(CRM_STORAGE.CONTACTS, this.contacts);
             this.logActivity('contact_deleted', { contactId: id, name: `${contact.firstName} ${contact.lastName}` });
-            
-            // Also delete from sync-engine/IndexedDB
-            if (window.syncEngine && contact.uuid) {
-                window.syncEngine.deleteContact(contact.uuid).catch(e => 
-                    console.warn('[CRM] Failed to delete contact from sync-engine:', e)
-                );
-            }
+
             
             return true;
         }
@@ -648,17 +544,8 @@
             this.companies[id] = company;
             this.saveData(CRM_STORAGE.COMPANIES, this.companies);
             this.logActivity('company_created', { companyId: id, name: company.name });
-            
-            // Also save to sync-engine/IndexedDB for persistence
-            if (window.syncEngine) {
-                company.uuid = company.id; // Ensure uuid is set
-                window.syncEngine.saveCompany(company).catch(e => 
-                    console.warn('[CRM] Failed to save company to sync-engine:', e)
-                );
-            }
-            
-            // ALSO save directly to Supabase for cross-device sync
-            this.saveCompanyToSupabase(company);
+
+
             
             return company;
         }
@@ -674,158 +561,12 @@
             
             this.saveData(CRM_STORAGE.COMPANIES, this.companies);
             this.logActivity('company_updated', { companyId: id });
-            
-            // Also save to sync-engine/IndexedDB for persistence
-            if (window.syncEngine) {
-                const company = this.companies[id];
-                company.uuid = company.id; // Ensure uuid is set
-                window.syncEngine.saveCompany(company).catch(e => 
-                    console.warn('[CRM] Failed to update company in sync-engine:', e)
-                );
-            }
-            
-            // ALSO save directly to Supabase for cross-device sync
-            this.saveCompanyToSupabase(this.companies[id]);
-            
-            return this.companies[id];
-        }
-        
-        // Save company directly to Supabase for reliable cross-device sync
-        async saveCompanyToSupabase(company) {
-            if (!window.CAVSupabase?.getClient) return;
-            
-            try {
-                const supabase = window.CAVSupabase.getClient();
-                if (!supabase) return;
-                
-                // Get user info - support both Supabase Auth and Google Sign-In
-                const supabaseUser = await supabase.auth.getUser();
-                const userId = supabaseUser?.data?.user?.id || null;
-                const userEmail = supabaseUser?.data?.user?.email || window.cavUserSession?.email;
-                
-                // Must have at least user_email to save
-                if (!userEmail) {
-                    console.warn('[CRM] No user email available, skipping Supabase save');
-                    return;
-                }
-                
-                const companyData = {
-                    uuid: company.id || company.uuid,
-                    user_email: userEmail,
-                    owner_email: userEmail,
-                    name: company.name,
-                    industry: company.industry || null,
-                    website: company.website || null,
-                    type: company.type || 'client',
-                    description: company.description || null,
-                    tags: company.tags || [],
-                    metadata: company.metadata || {},
-                    enriched_data: company.enrichedData || {},
-                    strategy_insights: company.strategyInsights || {},
-                    chat_history: company.chatHistory || [],
-                    benchmarks: company.benchmarks || [],
-                    best_practices: company.bestPractices || [],
-                    competitors: company.competitors || [],
-                    is_shared: company.sharing?.isShared || false,
-                    updated_at: new Date().toISOString()
-                };
-                
-                // Add user_id only if available (from Supabase Auth)
-                if (userId) {
-                    companyData.user_id = userId;
-                }
-                
-                console.log('[CRM] Saving company to Supabase:', companyData.name, 'uuid:', companyData.uuid);
-                
-                const { error } = await supabase
-                    .from('companies')
-                    .upsert(companyData, { onConflict: 'uuid' });
-                
-                if (error) {
-                    console.error('[CRM] Supabase save error:', error.message, error);
-                } else {
-                    console.log('[CRM] ☁️ Company saved to Supabase:', company.name);
-                }
-            } catch (e) {
-                console.warn('[CRM] Supabase sync error:', e);
-            }
-        }
-
-        // Save competitor directly to Supabase
-        async saveCompetitorToSupabase(competitor) {
-            if (!window.CAVSupabase?.saveCompetitor) return;
-            
-            try {
-                const userEmail = window.cavUserSession?.email;
-                if (!userEmail) return;
-                
-                const competitorData = {
-                    uuid: competitor.id || competitor.uuid,
-                    name: competitor.name,
-                    domain: competitor.domain || null,
-                    website: competitor.website || competitor.url || null,
-                    industry: competitor.industry || null,
-                    company_id: competitor.linkedCompanyId || null,
-                    ad_library_urls: competitor.adLibraryUrl ? [competitor.adLibraryUrl] : [],
-                    monitoring_frequency: competitor.monitoringFrequency || 'weekly',
-                    notes: competitor.notes || null,
-                    tags: competitor.tags || [],
-                    metadata: competitor.metadata || {},
-                    is_shared: false
-                };
-                
-                await window.CAVSupabase.saveCompetitor(competitorData);
-                console.log('[CRM] ☁️ Competitor saved to Supabase:', competitor.name);
-            } catch (e) {
-                console.warn('[CRM] Competitor Supabase sync error:', e);
-            }
-        }
 
-        // Save activity directly to Supabase
-        async saveActivityToSupabase(activity) {
-            if (!window.CAVSupabase?.saveActivity) return;
-            
-            try {
-                const userEmail = window.cavUserSession?.email;
-                if (!userEmail) return;
-                
-                const activityData = {
-                    uuid: activity.id || activity.uuid,
-                    action: activity.type || activity.action,
-                    entity_type: activity.entity_type || 'general',
-                    entity_id: activity.entity_id || null,
-                    metadata: activity.data || activity.metadata || {}
-                };
-                
-                await window.CAVSupabase.saveActivity(activityData);
-            } catch (e) {
-                // Don't spam console for activity sync errors
-            }
-        }
 
-        // Save tag directly to Supabase
-        async saveTagToSupabase(tag) {
-            if (!window.CAVSupabase?.saveTag) return;
             
-            try {
-                const userEmail = window.cavUserSession?.email;
-                if (!userEmail) return;
-                
-                const tagData = {
-                    uuid: tag.id || tag.uuid,
-                    name: tag.name,
-                    color: tag.color || '#ec4899',
-                    category: tag.category || null,
-                    usage_count: tag.usage_count || 0
-                };
-                
-                await window.CAVSupabase.saveTag(tagData);
-                console.log('[CRM] ☁️ Tag saved to Supabase:', tag.name);
-            } catch (e) {
-                console.warn('[CRM] Tag Supabase sync error:', e);
-            }
+            return this.companies[id];
         }
-
+        
         deleteCompany(id) {
             if (!this.companies[id]) return false;
             
@@ -833,13 +574,7 @@
             delete this.companies[id];
             this.saveData(CRM_STORAGE.COMPANIES, this.companies);
             this.logActivity('company_deleted', { companyId: id, name: company.name });
-            
-            // Also delete from sync-engine/IndexedDB
-            if (window.syncEngine && company.uuid) {
-                window.syncEngine.deleteCompany(company.uuid).catch(e => 
-                    console.warn('[CRM] Failed to delete company from sync-engine:', e)
-                );
-            }
+
             
             return true;
         }
@@ -1353,14 +1088,7 @@
             this.projects[id] = project;
             this.saveData(CRM_STORAGE.PROJECTS, this.projects);
             this.logActivity('project_created', { projectId: id, name: project.name });
-            
-            // Also save to sync-engine/IndexedDB for persistence
-            if (window.syncEngine) {
-                project.uuid = project.id; // Ensure uuid is set
-                window.syncEngine.saveProject(project).catch(e => 
-                    console.warn('[CRM] Failed to save project to sync-engine:', e)
-                );
-            }
+
             
             return project;
         }
@@ -1477,15 +1205,7 @@
             
             this.saveData(CRM_STORAGE.PROJECTS, this.projects);
             this.logActivity('project_updated', { projectId: id });
-            
-            // Also save to sync-engine/IndexedDB for persistence
-            if (window.syncEngine) {
-                const project = this.projects[id];
-                project.uuid = project.id; // Ensure uuid is set
-                window.syncEngine.saveProject(project).catch(e => 
-                    console.warn('[CRM] Failed to update project in sync-engine:', e)
-                );
-            }
+
             
             return this.projects[id];
         }
@@ -1497,13 +1217,7 @@
             delete this.projects[id];
             this.saveData(CRM_STORAGE.PROJECTS, this.projects);
             this.logActivity('project_deleted', { projectId: id, name: project.name });
-            
-            // Also delete from sync-engine/IndexedDB
-            if (window.syncEngine && project.uuid) {
-                window.syncEngine.deleteProject(project.uuid).catch(e => 
-                    console.warn('[CRM] Failed to delete project from sync-engine:', e)
-                );
-            }
+
             
             return true;
         }
@@ -1645,6 +1359,20 @@
                 console.log('[CRM] ✅ Created new project:', project.name);
             }
             
+            // What undo has to put back
+            const uncategorized = this.getUncategorizedProject();
+            const libraryAsset = await window.cavApp?.findAsset?.(assetId);
+            const before = {
+                companyLinked: (company.linkedAssets || []).includes(assetId),
+                projectLinked: Boolean(project?.linkedAssets?.includes(assetId)),
+                uncategorized: Boolean(uncategorized?.linkedAssets?.includes(assetId)),
+                asset: {
+                    crmStatus: libraryAsset?.crmStatus || null,
+                    crmCompanyId: libraryAsset?.crmCompanyId || null,
+                    crmProjectId: libraryAsset?.crmProjectId || null,
+                },
+            };
+            
             // Step 3: Link asset to company
             this.linkAssetToCompany(company.id, assetId);
             
@@ -1654,7 +1382,6 @@
             }
             
             // Step 5: Remove asset from Uncategorized project
-            const uncategorized = this.getUncategorizedProject();
             if (uncategorized) {
                 const assetIndex = uncategorized.linkedAssets?.indexOf(assetId);
                 if (assetIndex > -1) {
@@ -1666,11 +1393,12 @@
             }
             
             // Step 6: Update the asset's CRM status in library
-            await this.updateAssetCRMStatus(assetId, {
+            const after = {
                 crmStatus: 'categorized',
                 crmCompanyId: company.id,
                 crmProjectId: project?.id || null,
-            });
+            };
+            await this.updateAssetCRMStatus(assetId, after);
             
             this.logActivity('asset_categorized', {
                 assetId,
@@ -1679,9 +1407,53 @@
                 projectId: project?.id,
             });
             
+            // Step 7: Make it undoable. A company or project created above stays.
+            window.CAVUndoHistory?.record({
+                type: 'crm.assign',
+                description: `Assign "${libraryAsset?.filename || assetId}" to ${company.name}`,
+                data: {
+                    assetId,
+                    companyId: company.id,
+                    projectId: project?.id || null,
+                    uncategorizedId: uncategorized?.id || null,
+                    before,
+                    after,
+                },
+            });
+            
             return { company, project, assetId };
         }
         
+        /**
+         * Undo / redo of assignAssetToBrand (the 'crm.assign' undo command)
+         * @param {object} data - The command data recorded by assignAssetToBrand
+         * @param {boolean} assigned - true to re-apply the assignment, false to revert it
+         */
+        async applyBrandAssignment(data, assigned) {
+            const { assetId, before } = data;
+            const setLink = (records, storageKey, id, linked) => {
+                const record = id && records[id];
+                if (!record) return;
+                const linkedAssets = (record.linkedAssets || []).filter(a => a !== assetId);
+                if (linked) linkedAssets.push(assetId);
+                record.linkedAssets = linkedAssets;
+                if (records === this.projects) record.totalAssets = linkedAssets.length;
+                record.updatedAt = new Date().toISOString();
+                this.saveData(storageKey, records);
+            };
+            
+            setLink(this.companies, CRM_STORAGE.COMPANIES, data.companyId, assigned || before.companyLinked);
+            setLink(this.projects, CRM_STORAGE.PROJECTS, data.projectId, assigned || before.projectLinked);
+            setLink(this.projects, CRM_STORAGE.PROJECTS, data.uncategorizedId, !assigned && before.uncategorized);
+            
+            await this.updateAssetCRMStatus(assetId, assigned ? data.after : before.asset);
+            this.logActivity(assigned ? 'asset_categorized' : 'asset_uncategorized', {
+                assetId,
+                companyId: data.companyId,
+                projectId: data.projectId,
+            });
+        }
+        
         /**
          * Update asset's CRM status in the library storage
          */
@@ -1698,26 +1470,22 @@
             
             // Try direct IndexedDB
             try {
-                const dbRequest = indexedDB.open('CAVStorage', 4);
+                const db = await window.CAVMigrations.openDatabase('CAV_SecureDB_v4');
                 await new Promise((resolve, reject) => {
-                    dbRequest.onerror = reject;
-                    dbRequest.onsuccess = () => {
-                        const db = dbRequest.result;
-                        const tx = db.transaction('assets', 'readwrite');
-                        const store = tx.objectStore('assets');
-                        
-                        const getRequest = store.get(assetId);
-                        getRequest.onsuccess = () => {
-                            const asset = getRequest.result;
-                            if (asset) {
-                                Object.assign(asset, updates, { updated_at: new Date().toISOString() });
-                                store.put(asset);
-                            }
-                        };
-                        
-                        tx.oncomplete = resolve;
-                        tx.onerror = reject;
+                    const tx = db.transaction('assets', 'readwrite');
+                    const store = tx.objectStore('assets');
+                    
+                    const getRequest = store.get(assetId);
+                    getRequest.onsuccess = () => {
+                        const asset = getRequest.result;
+                        if (asset) {
+                            Object.assign(asset, updates, { updated_at: new Date().toISOString() });
+                            store.put(asset);
+                        }
                     };
+                    
+                    tx.oncomplete = resolve;
+                    tx.onerror = reject;
                 });
                 return true;
             } catch (e) {
@@ -1956,12 +1724,7 @@
             this.deals[id] = brief;
             this.saveData(CRM_STORAGE.DEALS, this.deals);
             this.logActivity('brief_created', { briefId: id, name: brief.name, fileCount: brief.files.length });
-            
-            // Sync to backend
-            if (window.syncEngine) {
-                const syncData = { ...brief, uuid, entity_type: 'deals' };
-                window.syncEngine.saveDeal(syncData).catch(e => console.error('[CRM] Brief sync error:', e));
-            }
+
             
             return brief;
         }
@@ -2048,9 +1811,7 @@
             }
             
             this.saveData(CRM_STORAGE.ACTIVITIES, this.activities);
-            
-            // Sync to Supabase
-            this.saveActivityToSupabase(activity);
+
         }
 
         getActivities(filters = {}) {
@@ -2090,9 +1851,7 @@
             };
             this.tags.push(tag);
             this.saveData(CRM_STORAGE.TAGS, this.tags);
-            
-            // Sync to Supabase
-            this.saveTagToSupabase(tag);
+
             
             return tag;
         }
@@ -2105,13 +1864,7 @@
             const tag = this.tags.find(t => t.id === id);
             this.tags = this.tags.filter(t => t.id !== id);
             this.saveData(CRM_STORAGE.TAGS, this.tags);
-            
-            // Delete from Supabase
-            if (tag && window.CAVSupabase?.deleteTag) {
-                window.CAVSupabase.deleteTag(tag.uuid || id).catch(e => 
-                    console.warn('[CRM] Failed to delete tag from Supabase:', e)
-                );
-            }
+
         }
 
         // ----------------------------------------
@@ -4845,6 +4598,10 @@ Respond ONLY with the JSON object, no additional text.`;
     // ============================================
     window.InternalCRM = InternalCRM;
     window.cavCRM = new InternalCRM();
+    window.CAVUndoHistory?.registerType('crm.assign', {
+        undo: (data) => window.cavCRM.applyBrandAssignment(data, false),
+        redo: (data) => window.cavCRM.applyBrandAssignment(data, true),
+    });
     window.cavCRM.createDashboard = createCRMDashboard;
     window.cavCRM.createContactForm = createContactForm;
     window.cavCRM.createCompanyForm = createCompanyForm;
@@ -4855,7 +4612,7 @@ Respond ONLY with the JSON object, no additional text.`;
     window.cavCRM.showCompanyDetail = showCompanyDetail;
     window.cavCRM.getCompanyAssets = getCompanyAssets;
 
-    console.log('Internal CRM Module loaded - Version 5.11.1 (January 17, 2026)');
+    console.log('Internal CRM Module loaded - Version 5.12.0 (October 19, 2026)');
     console.log('   ✅ Full sync with MySQL backend, Briefs with document upload, AI analysis');
 
 })();
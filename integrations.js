@@ -1746,8 +1746,9 @@
                 }
                 this.saveData(INTEGRATION_STORAGE.SCAN_HISTORY, this.scanHistory);
 
-                // Send notifications if issues found
-                if (results.issues.length > 0 && this.settings.notifyOnIssues) {
+                // Send notifications if issues found (scheduled scans send
+                // their own digest of new off-spec assets instead)
+                if (results.issues.length > 0 && this.settings.notifyOnIssues && options.notify !== false) {
                     await this.sendNotifications(results);
                 }
 
@@ -3442,87 +3443,29 @@
         // ----------------------------------------
         
         validateAsset(asset) {
-            // Get channel specs (use same specs as main validator)
-            const CHANNEL_SPECS = window.CHANNEL_SPECS || this.getDefaultSpecs();
-            const IMAGE_SPECS = window.IMAGE_SPECS || this.getDefaultImageSpecs();
-            
-            const specs = asset.type === 'video' ? CHANNEL_SPECS : IMAGE_SPECS;
+            // Same registry and checks as the main validator (channel-specs.js)
+            const results = window.CAVChannelSpecs.validateAsset(asset, { type: asset.type });
             const issues = [];
-            const compatible = [];
-            const offSize = [];
-
-            Object.entries(specs).forEach(([channel, spec]) => {
-                const ratio = asset.width / asset.height;
-                const specRatios = spec.aspectRatios.map(r => {
-                    const [w, h] = r.split(':').map(Number);
-                    return w / h;
-                });
-
-                const matchesRatio = specRatios.some(sr => Math.abs(ratio - sr) < 0.1);
 
-                if (matchesRatio) {
-                    // Check duration for videos
-                    if (asset.type === 'video') {
-                        if (spec.minDuration && asset.duration < spec.minDuration) {
-                            issues.push({
-                                channel,
-                                issue: 'duration_too_short',
-                                message: `Video too short for ${channel} (min ${spec.minDuration}s)`,
-                            });
-                            offSize.push(channel);
-                        } else if (spec.maxDuration && asset.duration > spec.maxDuration) {
-                            issues.push({
-                                channel,
-                                issue: 'duration_too_long',
-                                message: `Video too long for ${channel} (max ${spec.maxDuration}s)`,
-                            });
-                            offSize.push(channel);
-                        } else {
-                            compatible.push(channel);
-                        }
-                    } else {
-                        compatible.push(channel);
-                    }
-                } else {
-                    offSize.push(channel);
-                }
+            results.offSize.forEach(r => {
+                r.issues.forEach(issue => {
+                    issues.push({
+                        channel: r.channel,
+                        issue: issue.type,
+                        message: `${issue.message} (${r.channel})`,
+                    });
+                });
             });
 
             return {
                 ...asset,
                 validationIssues: issues,
-                compatibleChannels: compatible,
-                offSizeChannels: offSize,
+                compatibleChannels: results.compatible.map(r => r.channel),
+                offSizeChannels: results.offSize.map(r => r.channel),
                 validatedAt: new Date().toISOString(),
             };
         }
 
-        getDefaultSpecs() {
-            return {
-                'YouTube Standard': { aspectRatios: ['16:9'], minDuration: 6, maxDuration: null },
-                'YouTube Shorts': { aspectRatios: ['9:16'], minDuration: null, maxDuration: 60 },
-                'Meta Feed': { aspectRatios: ['1:1', '4:5', '16:9'], minDuration: 1, maxDuration: 241 },
-                'Meta Stories': { aspectRatios: ['9:16'], minDuration: 1, maxDuration: 120 },
-                'Meta Reels': { aspectRatios: ['9:16'], minDuration: 3, maxDuration: 90 },
-                'TikTok': { aspectRatios: ['9:16'], minDuration: 5, maxDuration: 60 },
-                'Instagram Feed': { aspectRatios: ['1:1', '4:5'], minDuration: 3, maxDuration: 60 },
-                'Instagram Reels': { aspectRatios: ['9:16'], minDuration: 3, maxDuration: 90 },
-                'LinkedIn': { aspectRatios: ['1.91:1', '1:1', '4:5'], minDuration: 3, maxDuration: 600 },
-            };
-        }
-
-        getDefaultImageSpecs() {
-            return {
-                'Instagram Feed': { aspectRatios: ['1:1', '4:5', '1.91:1'] },
-                'Instagram Stories': { aspectRatios: ['9:16'] },
-                'Facebook Feed': { aspectRatios: ['1.91:1', '1:1', '4:5'] },
-                'Facebook Stories': { aspectRatios: ['9:16'] },
-                'LinkedIn Feed': { aspectRatios: ['1.91:1', '1:1', '4:5'] },
-                'Twitter Feed': { aspectRatios: ['16:9', '1:1'] },
-                'Pinterest': { aspectRatios: ['2:3', '1:1'] },
-            };
-        }
-
         // ----------------------------------------
         // CRM LOGGING - ELIGIBILITY ANALYSIS
         // ----------------------------------------
@@ -4043,21 +3986,17 @@ This folder contains all assets imported from external integrations (Google Driv
             // Method 3: Direct IndexedDB access
             if (!savedToLibrary) {
                 try {
-                    const dbRequest = indexedDB.open('CAVStorage', 4);
+                    const db = await window.CAVMigrations.openDatabase('CAV_SecureDB_v4');
                     await new Promise((resolve, reject) => {
-                        dbRequest.onerror = reject;
-                        dbRequest.onsuccess = () => {
-                            const db = dbRequest.result;
-                            const tx = db.transaction('assets', 'readwrite');
-                            const store = tx.objectStore('assets');
-                            store.put(importedAsset);
-                            tx.oncomplete = () => {
-                                console.log('[Integration] ✅ Asset saved directly to IndexedDB');
-                                savedToLibrary = true;
-                                resolve();
-                            };
-                            tx.onerror = reject;
+                        const tx = db.transaction('assets', 'readwrite');
+                        const store = tx.objectStore('assets');
+                        store.put(importedAsset);
+                        tx.oncomplete = () => {
+                            console.log('[Integration] ✅ Asset saved directly to IndexedDB');
+                            savedToLibrary = true;
+                            resolve();
                         };
+                        tx.onerror = reject;
                     });
                 } catch (e) {
                     console.warn('[Integration] Direct IndexedDB save failed:', e);
@@ -0,0 +1,803 @@
+/**
+ * Creative Asset Validator - Job Queue
+ * Version 1.0.1
+ *
+ * Durable background job queue shared by every open tab. Jobs are stored in
+ * IndexedDB, so a reload or crash mid-run resumes the work instead of
+ * losing it, and finished jobs stay as a filterable history.
+ *
+ * - One tab runs jobs at a time: tabs take the "cav-job-queue-runner" Web
+ *   Lock, and the next tab takes over when the runner closes. Without Web
+ *   Locks every tab runs, and claims stay exclusive because each claim is a
+ *   single IndexedDB readwrite transaction.
+ * - A claimed job carries a lease that the runner renews while the job
+ *   runs. A job whose lease lapsed (crashed tab) is picked up again.
+ * - Failures are retried with exponential backoff up to maxAttempts.
+ * - Cancelling aborts the job's AbortSignal in whichever tab runs it.
+ * - Tabs tell each other about changes over a BroadcastChannel.
+ *
+ * Job types are registered with handlers:
+ *   CAVJobQueue.registerHandler('resize', async (payload, { signal, progress, job }) => result)
+ *   const id = await CAVJobQueue.enqueue('resize', payload, { label, assetId })
+ * Payloads and results must be structured-cloneable (plain data, Blobs).
+ * Finished jobs keep a compact result (no Blobs or data URLs), and a
+ * completed job drops its payload.
+ */
+
+(function() {
+    'use strict';
+
+    const VERSION = '1.0.1';
+    const DB_NAME = 'cav_job_queue';
+    const DB_VERSION = 2;
+    const STORE = 'jobs';
+    const RUNNER_LOCK = 'cav-job-queue-runner';
+    const CHANNEL_NAME = 'cav-job-queue';
+
+    const LEASE_MS = 30000;
+    const HEARTBEAT_MS = 10000;
+    const DEFAULT_MAX_ATTEMPTS = 3;
+    const BACKOFF_BASE_MS = 2000;
+    const BACKOFF_MAX_MS = 5 * 60 * 1000;
+    const HISTORY_LIMIT = 500;
+    const RESULT_STRING_LIMIT = 2048;
+
+    const ACTIVE_STATUSES = ['queued', 'processing'];
+    const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+    // ============================================
+    // STORAGE
+    // ============================================
+
+    // Jobs are read and written by key; only claiming looks at more than one
+    // job, and it reads the active ones through the status index. Each call
+    // is one readwrite transaction, so a claim in one tab cannot interleave
+    // with a claim in another. Finished jobs are indexed by finishedAt for
+    // pruning (unfinished ones have none and stay out of that index).
+    class IdbJobStore {
+        constructor() {
+            this.dbReady = this.open();
+        }
+
+        open() {
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    const store = db.objectStoreNames.contains(STORE)
+                        ? request.transaction.objectStore(STORE)
+                        : db.createObjectStore(STORE, { keyPath: 'id' });
+                    if (!store.indexNames.contains('status')) store.createIndex('status', 'status');
+                    if (!store.indexNames.contains('finishedAt')) store.createIndex('finishedAt', 'finishedAt');
+
+                    // Jobs finished under version 1 kept their payload and full result
+                    if (event.oldVersion === 1) {
+                        store.openCursor().onsuccess = (e) => {
+                            const cursor = e.target.result;
+                            if (!cursor) return;
+                            if (FINISHED_STATUSES.includes(cursor.value.status)) cursor.update(toFinishedRecord(cursor.value));
+                            cursor.continue();
+                        };
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        // Runs fn(store, setResult) in one transaction and resolves with the
+        // result once the transaction has committed
+        async transaction(mode, fn) {
+            const db = await this.dbReady;
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(STORE, mode);
+                let outcome;
+                fn(tx.objectStore(STORE), result => { outcome = result; });
+                tx.oncomplete = () => resolve(outcome);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+
+        // Every job; only used to load the snapshot when the page opens
+        all() {
+            return this.transaction('readonly', (store, setResult) => {
+                store.getAll().onsuccess = (e) => setResult(e.target.result);
+            });
+        }
+
+        // The jobs with these ids that still exist
+        get(ids) {
+            return this.transaction('readonly', (store, setResult) => {
+                const found = [];
+                setResult(found);
+                ids.forEach(id => {
+                    store.get(id).onsuccess = (e) => { if (e.target.result) found.push(e.target.result); };
+                });
+            });
+        }
+
+        // fn(job or undefined) returns the job to write, or null to leave it;
+        // resolves with the written job or null
+        update(id, fn) {
+            return this.transaction('readwrite', (store, setResult) => {
+                setResult(null);
+                store.get(id).onsuccess = (e) => {
+                    const next = fn(e.target.result);
+                    if (!next) return;
+                    store.put(next);
+                    setResult(next);
+                };
+            });
+        }
+
+        // fn(queued and processing jobs) returns { put, result }
+        mutateActive(fn) {
+            return this.transaction('readwrite', (store, setResult) => {
+                const index = store.index('status');
+                const active = [];
+                let pending = ACTIVE_STATUSES.length;
+                ACTIVE_STATUSES.forEach(status => {
+                    index.getAll(IDBKeyRange.only(status)).onsuccess = (e) => {
+                        active.push(...e.target.result);
+                        if (--pending > 0) return;
+                        const { put = [], result } = fn(active) || {};
+                        put.forEach(job => store.put(job));
+                        setResult(result);
+                    };
+                });
+            });
+        }
+
+        // Delete finished jobs with one of these statuses; resolves with their ids
+        removeFinished(statuses) {
+            return this.transaction('readwrite', (store, setResult) => {
+                const removed = [];
+                setResult(removed);
+                statuses.forEach(status => {
+                    store.index('status').getAllKeys(IDBKeyRange.only(status)).onsuccess = (e) => {
+                        e.target.result.forEach(id => store.delete(id));
+                        removed.push(...e.target.result);
+                    };
+                });
+            });
+        }
+
+        // Delete the oldest finished jobs beyond limit; resolves with their ids
+        prune(limit) {
+            return this.transaction('readwrite', (store, setResult) => {
+                const removed = [];
+                setResult(removed);
+                const index = store.index('finishedAt');
+                index.count().onsuccess = (e) => {
+                    let excess = e.target.result - limit;
+                    if (excess <= 0) return;
+                    index.openKeyCursor().onsuccess = (event) => {
+                        const cursor = event.target.result;
+                        if (!cursor || excess-- <= 0) return;
+                        store.delete(cursor.primaryKey);
+                        removed.push(cursor.primaryKey);
+                        cursor.continue();
+                    };
+                };
+            });
+        }
+    }
+
+    // Same interface for browsers without IndexedDB (private modes); jobs
+    // then only last for the page's lifetime
+    class MemoryJobStore {
+        constructor() {
+            this.jobs = new Map();
+        }
+
+        async all() {
+            return [...this.jobs.values()].map(job => structuredClone(job));
+        }
+
+        async get(ids) {
+            return ids.filter(id => this.jobs.has(id)).map(id => structuredClone(this.jobs.get(id)));
+        }
+
+        async update(id, fn) {
+            const current = this.jobs.get(id);
+            const next = fn(current && structuredClone(current));
+            if (!next) return null;
+            this.jobs.set(id, structuredClone(next));
+            return next;
+        }
+
+        async mutateActive(fn) {
+            const active = [...this.jobs.values()]
+                .filter(job => ACTIVE_STATUSES.includes(job.status))
+                .map(job => structuredClone(job));
+            const { put = [], result } = fn(active) || {};
+            put.forEach(job => this.jobs.set(job.id, structuredClone(job)));
+            return result;
+        }
+
+        async removeFinished(statuses) {
+            const removed = [...this.jobs.values()].filter(job => statuses.includes(job.status)).map(job => job.id);
+            removed.forEach(id => this.jobs.delete(id));
+            return removed;
+        }
+
+        async prune(limit) {
+            const finished = [...this.jobs.values()]
+                .filter(job => job.finishedAt)
+                .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt));
+            const removed = finished.slice(0, Math.max(0, finished.length - limit)).map(job => job.id);
+            removed.forEach(id => this.jobs.delete(id));
+            return removed;
+        }
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    function createId(prefix) {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    function backoffDelay(attempts) {
+        const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+        // ±20% jitter so jobs that failed together do not retry together
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    // Handler results may hold things IndexedDB cannot store (functions,
+    // DOM nodes); keep what survives a JSON round trip instead
+    function toStorable(value) {
+        if (value === undefined) return null;
+        try {
+            return structuredClone(value);
+        } catch (e) {
+            try {
+                return JSON.parse(JSON.stringify(value));
+            } catch (err) {
+                return null;
+            }
+        }
+    }
+
+    // What a finished job keeps of its result: binary data and long strings
+    // (data URLs) are dropped, the rest (reports, URLs, ids) stays
+    function compactResult(value, depth = 0) {
+        if (typeof value === 'string') return value.length > RESULT_STRING_LIMIT ? null : value;
+        if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+        if (depth > 8 || ArrayBuffer.isView(value) || value instanceof ArrayBuffer
+            || (typeof Blob !== 'undefined' && value instanceof Blob)) return null;
+        if (Array.isArray(value)) return value.map(item => compactResult(item, depth + 1));
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, compactResult(item, depth + 1)]));
+    }
+
+    // A completed job no longer needs its input, which can hold a whole
+    // asset; failed and cancelled jobs keep theirs so they can be retried
+    function toFinishedRecord(job) {
+        const record = { ...job, result: compactResult(job.result) };
+        if (record.status === 'completed') record.payload = null;
+        return record;
+    }
+
+    function sortJobs(jobs) {
+        return jobs.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    }
+
+    // ============================================
+    // JOB QUEUE
+    // ============================================
+
+    class JobQueue {
+        constructor(options = {}) {
+            this.maxConcurrent = options.maxConcurrent || 3;
+            this.tabId = createId('tab');
+            this.store = typeof indexedDB !== 'undefined' ? new IdbJobStore() : new MemoryJobStore();
+            this.handlers = new Map();
+            this.listeners = [];
+            this.running = new Map();
+            this.jobs = [];
+            this.isRunner = false;
+            this.started = false;
+            this.scheduling = false;
+            this.rescheduleRequested = false;
+            this.wakeTimer = null;
+
+            this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+            if (this.channel) {
+                this.channel.onmessage = (event) => this.handleMessage(event.data);
+            }
+
+            this.ready = this.refresh().catch(error => {
+                // A broken or blocked database should not take the page down
+                console.warn('[JobQueue] IndexedDB unavailable, keeping jobs in memory:', error);
+                this.store = new MemoryJobStore();
+                this.jobs = [];
+            });
+        }
+
+        // ----------------------------------------
+        // Registration and lifecycle
+        // ----------------------------------------
+
+        /**
+         * @param {string} type
+         * @param {Function} handler - async (payload, { job, signal, progress }) => result
+         * @param {Object} [defaults] - { maxAttempts } for jobs of this type
+         */
+        registerHandler(type, handler, defaults = {}) {
+            this.handlers.set(type, { handler, defaults });
+            this.schedule();
+        }
+
+        /**
+         * Start running jobs in this tab (or wait for the runner lock)
+         */
+        start() {
+            if (this.started) return;
+            this.started = true;
+
+            if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+                navigator.locks.request(RUNNER_LOCK, () => {
+                    // Held until the tab closes; the next tab in line takes over
+                    this.becomeRunner(true);
+                    return new Promise(() => {});
+                });
+            } else {
+                this.becomeRunner(false);
+            }
+        }
+
+        async becomeRunner(exclusive) {
+            await this.ready;
+            this.isRunner = true;
+            this.exclusive = exclusive;
+            console.log(`[JobQueue] Running jobs in this tab${exclusive ? '' : ' (no Web Locks, lease-only)'}`);
+            if (exclusive) await this.recoverInterrupted();
+            this.schedule();
+        }
+
+        // As the only runner, any job still marked processing belonged to a
+        // tab that closed or crashed mid-run
+        async recoverInterrupted() {
+            const now = Date.now();
+            const recovered = await this.store.mutateActive(jobs => {
+                const put = jobs
+                    .filter(job => job.status === 'processing' && !this.running.has(job.id))
+                    .map(job => this.interruptedJob(job, now));
+                return { put, result: put };
+            });
+            if (recovered.length > 0) {
+                console.log(`[JobQueue] Resuming ${recovered.length} interrupted job(s)`);
+                await this.changed(recovered, 'job_resumed');
+            }
+        }
+
+        interruptedJob(job, now) {
+            const exhausted = job.attempts >= job.maxAttempts;
+            return {
+                ...job,
+                status: exhausted ? 'failed' : 'queued',
+                lease: null,
+                error: exhausted ? 'Interrupted (page closed or reloaded) on the last attempt' : job.error,
+                runAt: now,
+                updatedAt: new Date(now).toISOString(),
+                ...(exhausted ? { finishedAt: new Date(now).toISOString() } : {}),
+            };
+        }
+
+        // ----------------------------------------
+        // Public API
+        // ----------------------------------------
+
+        /**
+         * Add a job.
+         * @param {string} type - Registered job type
+         * @param {Object} payload - Structured-cloneable input for the handler
+         * @param {Object} [options] - { label, assetId, maxAttempts, priority, delayMs, dedupeKey }
+         *   dedupeKey returns the existing job instead of adding a second one
+         *   while a job with the same key is queued or processing
+         * @returns {Promise<string>} Job id
+         */
+        async enqueue(type, payload = {}, options = {}) {
+            await this.ready;
+            const defaults = this.handlers.get(type)?.defaults || {};
+            const now = new Date();
+            const job = {
+                id: createId('job'),
+                type,
+                label: options.label || null,
+                assetId: options.assetId || null,
+                dedupeKey: options.dedupeKey || null,
+                payload,
+                status: 'queued',
+                priority: options.priority || 0,
+                attempts: 0,
+                maxAttempts: options.maxAttempts || defaults.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+                runAt: now.getTime() + (options.delayMs || 0),
+                lease: null,
+                progress: 0,
+                result: null,
+                error: null,
+                createdAt: now.toISOString(),
+                updatedAt: now.toISOString(),
+                startedAt: null,
+                finishedAt: null,
+            };
+
+            const id = await this.store.mutateActive(jobs => {
+                const duplicate = job.dedupeKey && jobs.find(j =>
+                    j.dedupeKey === job.dedupeKey && ACTIVE_STATUSES.includes(j.status)
+                );
+                return duplicate ? { result: duplicate.id } : { put: [job], result: job.id };
+            });
+
+            if (id === job.id) await this.changed([job], 'job_added');
+            this.schedule();
+            return id;
+        }
+
+        /**
+         * Cancel a queued or running job. A running job's signal is aborted
+         * in the tab that runs it; its result is discarded.
+         * @returns {Promise<boolean>} Whether the job was cancelled
+         */
+        async cancel(id) {
+            await this.ready;
+            const now = new Date().toISOString();
+            const cancelled = await this.store.update(id, job => {
+                if (!job || !ACTIVE_STATUSES.includes(job.status)) return null;
+                return toFinishedRecord({ ...job, status: 'cancelled', lease: null, updatedAt: now, finishedAt: now });
+            });
+            if (!cancelled) return false;
+
+            this.abortLocal(id);
+            this.post({ type: 'cancel', id });
+            const pruned = await this.pruneHistory();
+            await this.changed([cancelled], 'job_cancelled', pruned);
+            return true;
+        }
+
+        /**
+         * Queue a failed or cancelled job again with fresh attempts
+         */
+        async retry(id) {
+            await this.ready;
+            const now = Date.now();
+            const requeued = await this.store.update(id, job => {
+                if (!job || !['failed', 'cancelled'].includes(job.status)) return null;
+                return {
+                    ...job, status: 'queued', attempts: 0, runAt: now, progress: 0,
+                    error: null, result: null, finishedAt: null, updatedAt: new Date(now).toISOString(),
+                };
+            });
+            if (!requeued) return false;
+            await this.changed([requeued], 'job_added');
+            this.schedule();
+            return true;
+        }
+
+        getJob(id) {
+            return this.jobs.find(job => job.id === id) || null;
+        }
+
+        /**
+         * Jobs from the in-memory snapshot, newest first.
+         * @param {Object} [filter] - { status ('active', 'finished' or a job status), type, assetId, search, since, limit }
+         */
+        getJobs(filter = {}) {
+            let jobs = this.jobs;
+            if (filter.status === 'active') jobs = jobs.filter(j => ACTIVE_STATUSES.includes(j.status));
+            else if (filter.status === 'finished') jobs = jobs.filter(j => FINISHED_STATUSES.includes(j.status));
+            else if (filter.status) jobs = jobs.filter(j => j.status === filter.status);
+            if (filter.type) jobs = jobs.filter(j => j.type === filter.type);
+            if (filter.assetId) jobs = jobs.filter(j => j.assetId === filter.assetId);
+            if (filter.since) jobs = jobs.filter(j => j.createdAt >= filter.since);
+            if (filter.search) {
+                const term = filter.search.toLowerCase();
+                jobs = jobs.filter(j => `${j.label || ''} ${j.type} ${j.error || ''}`.toLowerCase().includes(term));
+            }
+            return filter.limit ? jobs.slice(0, filter.limit) : [...jobs];
+        }
+
+        /**
+         * Finished jobs (completed, failed, cancelled), newest first
+         */
+        getHistory(filter = {}) {
+            const status = filter.status && FINISHED_STATUSES.includes(filter.status) ? filter.status : 'finished';
+            return this.getJobs({ ...filter, status });
+        }
+
+        /**
+         * Delete finished jobs, optionally only those with one status
+         */
+        async clearHistory(status = null) {
+            await this.ready;
+            const removed = await this.store.removeFinished(FINISHED_STATUSES.filter(s => !status || s === status));
+            await this.changed([], 'history_cleared', removed);
+            return removed.length;
+        }
+
+        /**
+         * Resolve with the job once it has finished (in any tab)
+         */
+        waitFor(id) {
+            return new Promise(resolve => {
+                const check = () => {
+                    const job = this.getJob(id);
+                    if (job && FINISHED_STATUSES.includes(job.status)) {
+                        this.removeListener(check);
+                        resolve(job);
+                        return true;
+                    }
+                    return false;
+                };
+                if (!check()) this.addListener(check);
+            });
+        }
+
+        getStatus() {
+            const count = status => this.jobs.filter(j => j.status === status).length;
+            return {
+                queued: count('queued'),
+                processing: count('processing'),
+                completed: count('completed'),
+                failed: count('failed'),
+                cancelled: count('cancelled'),
+                runner: this.isRunner,
+            };
+        }
+
+        addListener(callback) {
+            this.listeners.push(callback);
+        }
+
+        removeListener(callback) {
+            this.listeners = this.listeners.filter(cb => cb !== callback);
+        }
+
+        // ----------------------------------------
+        // Running jobs
+        // ----------------------------------------
+
+        /**
+         * Claim and start due jobs up to maxConcurrent, then wake up again
+         * when the next backed-off job is due
+         */
+        async schedule() {
+            if (!this.isRunner) return;
+            if (this.scheduling) {
+                this.rescheduleRequested = true;
+                return;
+            }
+            this.scheduling = true;
+
+            try {
+                do {
+                    this.rescheduleRequested = false;
+                    while (this.running.size < this.maxConcurrent) {
+                        const job = await this.claimNext();
+                        if (!job) break;
+                        this.run(job);
+                    }
+                } while (this.rescheduleRequested);
+                this.planWakeUp();
+            } catch (error) {
+                console.error('[JobQueue] Scheduling failed:', error);
+            } finally {
+                this.scheduling = false;
+            }
+        }
+
+        planWakeUp() {
+            clearTimeout(this.wakeTimer);
+            const now = Date.now();
+            const next = this.jobs
+                .filter(j => j.status === 'queued' && this.handlers.has(j.type))
+                .map(j => j.runAt)
+                .concat(this.exclusive ? [] : this.jobs
+                    .filter(j => j.status === 'processing' && j.lease)
+                    .map(j => j.lease.expiresAt))
+                .filter(t => t > now)
+                .sort((a, b) => a - b)[0];
+            if (next) this.wakeTimer = setTimeout(() => this.schedule(), next - now + 50);
+        }
+
+        async claimNext() {
+            const now = Date.now();
+            const claimed = await this.store.mutateActive(jobs => {
+                const candidate = jobs
+                    .filter(j => this.handlers.has(j.type) && !this.running.has(j.id))
+                    .filter(j => (j.status === 'queued' && j.runAt <= now)
+                        // Lease-only mode: another tab's runner stopped renewing
+                        || (j.status === 'processing' && j.lease && j.lease.expiresAt < now))
+                    .sort((a, b) => b.priority - a.priority || a.runAt - b.runAt)[0];
+                if (!candidate) return { result: null };
+
+                if (candidate.status === 'processing' && candidate.attempts >= candidate.maxAttempts) {
+                    return { put: [this.interruptedJob(candidate, now)], result: null };
+                }
+
+                const job = {
+                    ...candidate,
+                    status: 'processing',
+                    attempts: candidate.attempts + 1,
+                    lease: { owner: this.tabId, expiresAt: now + LEASE_MS },
+                    progress: 0,
+                    startedAt: new Date(now).toISOString(),
+                    updatedAt: new Date(now).toISOString(),
+                };
+                return { put: [job], result: job };
+            });
+            if (claimed) await this.changed([claimed], 'job_started');
+            return claimed;
+        }
+
+        async run(job) {
+            const controller = new AbortController();
+            const { handler } = this.handlers.get(job.type);
+            this.running.set(job.id, { controller, job });
+
+            const heartbeat = setInterval(() => this.renewLease(job.id), HEARTBEAT_MS);
+            const context = {
+                job,
+                signal: controller.signal,
+                progress: (value) => this.reportProgress(job.id, value),
+            };
+
+            try {
+                const result = await handler(job.payload, context);
+                if (controller.signal.aborted) return;
+                await this.finish(job.id, { status: 'completed', result: toStorable(result), progress: 100, error: null }, 'job_completed');
+            } catch (error) {
+                if (controller.signal.aborted) return;
+                const retryable = error.retryable !== false && job.attempts < job.maxAttempts;
+                const message = error.message || String(error);
+                if (retryable) {
+                    const delay = backoffDelay(job.attempts);
+                    console.warn(`[JobQueue] ${job.type} ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s:`, message);
+                    await this.finish(job.id, { status: 'queued', error: message, runAt: Date.now() + delay, progress: 0 }, 'job_retry');
+                } else {
+                    await this.finish(job.id, { status: 'failed', error: message }, 'job_failed');
+                }
+            } finally {
+                clearInterval(heartbeat);
+                this.running.delete(job.id);
+                this.schedule();
+            }
+        }
+
+        // Write the outcome only while this tab still holds the job, so a
+        // cancellation (or a takeover after a lapsed lease) wins
+        async finish(id, changes, event) {
+            const now = new Date().toISOString();
+            const finished = FINISHED_STATUSES.includes(changes.status);
+            const updated = await this.store.update(id, job => {
+                if (!job || job.status !== 'processing' || job.lease?.owner !== this.tabId) return null;
+                const next = { ...job, ...changes, lease: null, updatedAt: now };
+                return finished ? toFinishedRecord({ ...next, finishedAt: now }) : next;
+            });
+            if (!updated) return;
+            const pruned = finished ? await this.pruneHistory() : [];
+            await this.changed([updated], event, pruned);
+        }
+
+        async renewLease(id) {
+            try {
+                await this.store.update(id, job => {
+                    if (!job || job.status !== 'processing' || job.lease?.owner !== this.tabId) return null;
+                    return { ...job, lease: { owner: this.tabId, expiresAt: Date.now() + LEASE_MS } };
+                });
+            } catch (error) {
+                console.warn('[JobQueue] Lease renewal failed:', error);
+            }
+        }
+
+        // Progress is shared with other tabs but not stored: a resumed job
+        // starts again from zero anyway
+        reportProgress(id, value) {
+            const job = this.getJob(id);
+            if (!job) return;
+            job.progress = Math.max(0, Math.min(100, value));
+            this.post({ type: 'progress', id, progress: job.progress });
+            this.notifyListeners('job_progress', job);
+        }
+
+        abortLocal(id) {
+            const entry = this.running.get(id);
+            if (entry) entry.controller.abort();
+        }
+
+        // Resolves with the ids of the finished jobs it removed
+        pruneHistory() {
+            return this.store.prune(HISTORY_LIMIT);
+        }
+
+        // ----------------------------------------
+        // Snapshot and cross-tab updates
+        // ----------------------------------------
+
+        async refresh() {
+            this.jobs = sortJobs(await this.store.all());
+        }
+
+        // Put changed jobs into the snapshot and drop removed ones, without
+        // reading the rest of the store again
+        updateSnapshot(jobs, removed = []) {
+            const byId = new Map(this.jobs.map(job => [job.id, job]));
+            removed.forEach(id => byId.delete(id));
+            jobs.forEach(job => {
+                const current = byId.get(job.id);
+                // Keep live progress of jobs running here
+                const progress = this.running.has(job.id) && job.status === 'processing' && current
+                    ? current.progress : job.progress;
+                byId.set(job.id, { ...job, progress });
+            });
+            this.jobs = sortJobs([...byId.values()]);
+        }
+
+        async changed(jobs, event, removed = []) {
+            this.updateSnapshot(jobs, removed);
+            this.post({ type: 'changed', ids: jobs.map(j => j.id), removed, event });
+            jobs.forEach(job => this.notifyListeners(event, this.getJob(job.id) || job));
+            if (jobs.length === 0) this.notifyListeners(event, null);
+        }
+
+        post(message) {
+            if (!this.channel) return;
+            try {
+                this.channel.postMessage({ ...message, from: this.tabId });
+            } catch (e) {
+                // Channel closed during unload
+            }
+        }
+
+        async handleMessage(message) {
+            if (!message || message.from === this.tabId) return;
+            switch (message.type) {
+                case 'changed': {
+                    const ids = message.ids || [];
+                    const jobs = await this.store.get(ids);
+                    const gone = ids.filter(id => !jobs.some(job => job.id === id));
+                    this.updateSnapshot(jobs, [...(message.removed || []), ...gone]);
+                    (message.ids || []).forEach(id => this.notifyListeners(message.event, this.getJob(id)));
+                    if (!message.ids?.length) this.notifyListeners(message.event, null);
+                    this.schedule();
+                    break;
+                }
+                case 'progress': {
+                    const job = this.getJob(message.id);
+                    if (job) {
+                        job.progress = message.progress;
+                        this.notifyListeners('job_progress', job);
+                    }
+                    break;
+                }
+                case 'cancel':
+                    this.abortLocal(message.id);
+                    break;
+            }
+        }
+
+        notifyListeners(event, job) {
+            this.listeners.forEach(cb => {
+                try {
+                    cb(event, job);
+                } catch (e) {
+                    console.error('[JobQueue] Listener error:', e);
+                }
+            });
+        }
+    }
+
+    const jobQueue = new JobQueue();
+    jobQueue.VERSION = VERSION;
+    jobQueue.JobQueue = JobQueue;
+    jobQueue.ACTIVE_STATUSES = ACTIVE_STATUSES;
+    jobQueue.FINISHED_STATUSES = FINISHED_STATUSES;
+    jobQueue.start();
+
+    window.CAVJobQueue = jobQueue;
+
+    console.log(`[JobQueue] v${VERSION} loaded`);
+})();
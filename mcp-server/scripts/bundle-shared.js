@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+
+// Copies the modules this package shares with the web app (channel spec
+// registry, report writer, transform layout math) from the repository root
+// into src/shared/, so a packed or published package carries its own copy.
+// Runs on prepack; postpack runs it with --clean so a checkout keeps reading
+// the root files and the copy cannot go stale.
+//
+//   node scripts/bundle-shared.js          # copy
+//   node scripts/bundle-shared.js --clean  # remove the copy
+
+import { copyFile, mkdir, rm, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { SHARED_MODULES } from '../src/shared.js';
+
+const packageRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const repoRoot = path.resolve(packageRoot, '..');
+const target = path.join(packageRoot, 'src', 'shared');
+
+await rm(target, { recursive: true, force: true });
+
+if (!process.argv.includes('--clean')) {
+  await mkdir(target, { recursive: true });
+  for (const name of SHARED_MODULES) {
+    await copyFile(path.join(repoRoot, name), path.join(target, name));
+  }
+  // The root modules are CommonJS; this package is "type": "module"
+  await writeFile(path.join(target, 'package.json'), JSON.stringify({ type: 'commonjs' }, null, 2) + '\n');
+  console.log(`Bundled ${SHARED_MODULES.join(', ')} into src/shared/`);
+}
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+// Local stand-in for the Supabase REST (PostgREST) endpoints the MCP server's
+// library resources use, serving tables from a JSON fixture file:
+//
+//   node scripts/supabase-standin.js --port 8788 --fixtures scripts/fixtures/library.json
+//   SUPABASE_URL=http://127.0.0.1:8788 SUPABASE_ANON_KEY=local \
+//     CAV_MCP_TOKEN=demo-alex node src/index.js
+//
+// The fixture is { "<table>": [rows] }. Rows in mcp_access_tokens may carry a
+// plain "token", which is hashed into token_hash on load. Supports the
+// PostgREST subset the server sends: column filters (eq, neq, gt, gte, lt,
+// lte, like, ilike, is, in, and not.<op>), or=/and= logic trees, order, limit
+// and inserts with Prefer: return=representation.
+//
+// As on Supabase, the anon key (--anon-key) can only call the token-checked
+// functions of migration 033 (POST /rest/v1/rpc/mcp_token_access and
+// mcp_library_<table>); tables themselves need the service role key
+// (--service-key). --port 0 picks a free port, printed on stderr.
+
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { hashToken } from '../src/library.js';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8788' },
+    fixtures: { type: 'string', default: path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'library.json') },
+    'anon-key': { type: 'string', default: 'local' },
+    'service-key': { type: 'string', default: 'service-local' },
+  },
+});
+
+const tables = JSON.parse(await readFile(values.fixtures, 'utf8'));
+for (const row of tables.mcp_access_tokens || []) {
+  if (row.token) {
+    row.token_hash = hashToken(row.token);
+    delete row.token;
+  }
+}
+
+// ─── Filters ─────────────────────────────────────────────────────
+
+// Split on commas outside parentheses and double quotes
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\' && quoted) {
+      current += ch + text[++i];
+      continue;
+    }
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && ch === '(') depth++;
+    else if (!quoted && ch === ')') depth--;
+    if (ch === ',' && depth === 0 && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+function unquote(value) {
+  return value.startsWith('"') && value.endsWith('"')
+    ? value.slice(1, -1).replace(/\\(.)/g, '$1')
+    : value;
+}
+
+function likePattern(pattern, flags) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[*%]/g, '.*');
+  return new RegExp(`^${escaped}$`, flags);
+}
+
+function compare(value, op, operand) {
+  switch (op) {
+    case 'eq': return value != null && String(value) === operand;
+    case 'neq': return value != null && String(value) !== operand;
+    case 'gt': return value != null && value > operand;
+    case 'gte': return value != null && value >= operand;
+    case 'lt': return value != null && value < operand;
+    case 'lte': return value != null && value <= operand;
+    case 'like': return value != null && likePattern(operand, '').test(String(value));
+    case 'ilike': return value != null && likePattern(operand, 'i').test(String(value));
+    case 'is':
+      if (operand === 'null') return value == null;
+      return value === (operand === 'true');
+    case 'in': {
+      const list = splitTopLevel(operand.replace(/^\(|\)$/g, '')).map(unquote);
+      return value != null && list.includes(String(value));
+    }
+    default:
+      throw new Error(`Unsupported operator: ${op}`);
+  }
+}
+
+// "op.value" or "not.op.value" for a column
+function columnFilter(column, expression) {
+  const negate = expression.startsWith('not.');
+  const rest = negate ? expression.slice(4) : expression;
+  const dot = rest.indexOf('.');
+  const op = rest.slice(0, dot);
+  const operand = op === 'in' ? rest.slice(dot + 1) : unquote(rest.slice(dot + 1));
+  return row => compare(row[column], op, operand) !== negate;
+}
+
+// or(...)/and(...) trees and "column.op.value" leaves
+function logicFilter(kind, body) {
+  const conditions = splitTopLevel(body.replace(/^\(|\)$/g, '')).map(part => {
+    const tree = /^(not\.)?(or|and)(\(.*\))$/.exec(part);
+    if (tree) {
+      const inner = logicFilter(tree[2], tree[3]);
+      return tree[1] ? row => !inner(row) : inner;
+    }
+    const dot = part.indexOf('.');
+    return columnFilter(part.slice(0, dot), part.slice(dot + 1));
+  });
+  return kind === 'or'
+    ? row => conditions.some(c => c(row))
+    : row => conditions.every(c => c(row));
+}
+
+function sortRows(rows, order) {
+  const keys = order.split(',').map(part => {
+    const [column, ...modifiers] = part.split('.');
+    return { column, desc: modifiers.includes('desc'), nullsFirst: modifiers.includes('nullsfirst') };
+  });
+  return [...rows].sort((a, b) => {
+    for (const { column, desc, nullsFirst } of keys) {
+      const x = a[column];
+      const y = b[column];
+      if (x == null && y == null) continue;
+      if (x == null) return nullsFirst ? -1 : 1;
+      if (y == null) return nullsFirst ? 1 : -1;
+      if (x !== y) return (x < y ? -1 : 1) * (desc ? -1 : 1);
+    }
+    return 0;
+  });
+}
+
+function query(source, params) {
+  let rows = source;
+  for (const [key, value] of params) {
+    if (['select', 'order', 'limit', 'offset'].includes(key)) continue;
+    const filter = key === 'or' || key === 'and' ? logicFilter(key, value) : columnFilter(key, value);
+    rows = rows.filter(filter);
+  }
+  if (params.get('order')) rows = sortRows(rows, params.get('order'));
+  const offset = Number(params.get('offset')) || 0;
+  const limit = params.get('limit') ? Number(params.get('limit')) : rows.length;
+  return rows.slice(offset, offset + limit);
+}
+
+// ─── Migration 033 functions ─────────────────────────────────────
+
+// Public mail domains are never a team, as in same_organization() (migration 003)
+const PUBLIC_DOMAINS = ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com'];
+
+// Table -> [token scope, team-sharing column]
+const LIBRARY_TABLES = {
+  assets: ['assets', 'is_team'],
+  companies: ['crm', 'is_shared'],
+  brand_profiles: ['crm', null],
+  creative_analyses: ['analyses', 'is_shared'],
+  video_analyses: ['analyses', 'is_shared'],
+};
+
+class RpcError extends Error {
+  constructor(message, code, status) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// mcp_token_reader(p_token, p_scope)
+function tokenReader(token, scope) {
+  const hash = hashToken(String(token ?? ''));
+  const row = (tables.mcp_access_tokens || []).find(t => t.token_hash === hash
+    && t.revoked_at == null && (t.expires_at == null || new Date(t.expires_at) > new Date()));
+  if (!row) throw new RpcError('Invalid, revoked or expired MCP access token', '28000', 403);
+  const scopes = row.scopes?.length ? row.scopes : ['assets', 'crm', 'analyses'];
+  if (scope && !scopes.includes(scope)) {
+    throw new RpcError(`MCP access token does not include the "${scope}" scope`, '42501', 403);
+  }
+  const email = row.user_email.toLowerCase();
+  const domain = email.split('@')[1] || '';
+  const team = row.include_team !== false;
+  return { email, teamDomain: team && domain && !PUBLIC_DOMAINS.includes(domain) ? domain : null, scopes, team };
+}
+
+function callFunction(name, args) {
+  if (name === 'mcp_token_access') {
+    const { email, scopes, team } = tokenReader(args.p_token, null);
+    return [{ email, scopes, include_team: team }];
+  }
+  const table = name.replace(/^mcp_library_/, '');
+  if (!name.startsWith('mcp_library_') || !LIBRARY_TABLES[table]) {
+    throw new RpcError(`Could not find the function public.${name}`, 'PGRST202', 404);
+  }
+  const [scope, shared] = LIBRARY_TABLES[table];
+  const reader = tokenReader(args.p_token, scope);
+  return (tables[table] || []).filter(row => {
+    const owner = String(row.user_email || '').toLowerCase();
+    return owner === reader.email
+      || (shared && row[shared] === true && reader.teamDomain && owner.split('@')[1] === reader.teamDomain);
+  });
+}
+
+// ─── Server ──────────────────────────────────────────────────────
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const [, rest, version, table, fn] = url.pathname.split('/');
+
+  const apikey = req.headers.apikey;
+  if (apikey !== values['anon-key'] && apikey !== values['service-key']) {
+    return sendJson(res, 401, { message: 'Invalid API key' });
+  }
+  if (rest !== 'rest' || version !== 'v1' || !table) {
+    return sendJson(res, 404, { message: `Not found: ${req.method} ${url.pathname}` });
+  }
+
+  let body = '';
+  for await (const data of req) body += data;
+
+  try {
+    if (table === 'rpc' && req.method === 'POST') {
+      return sendJson(res, 200, query(callFunction(fn, body ? JSON.parse(body) : {}), url.searchParams));
+    }
+    // Row level security without policies for the anon key
+    if (apikey !== values['service-key']) {
+      return sendJson(res, 401, { code: '42501', message: `permission denied for table ${table}` });
+    }
+    if (req.method === 'GET') {
+      return sendJson(res, 200, query(tables[table] || [], url.searchParams));
+    }
+    if (req.method === 'POST') {
+      const input = JSON.parse(body);
+      const inserted = (Array.isArray(input) ? input : [input]).map(row => ({
+        id: randomUUID(),
+        created_at: new Date().toISOString(),
+        ...row,
+      }));
+      (tables[table] ||= []).push(...inserted);
+      const representation = /return=representation/.test(req.headers.prefer || '');
+      return representation ? sendJson(res, 201, inserted) : res.writeHead(201).end();
+    }
+    sendJson(res, 405, { message: `Unsupported method: ${req.method}` });
+  } catch (error) {
+    sendJson(res, error.status || 400, { code: error.code, message: error.message });
+  }
+});
+
+server.listen(Number(values.port), '127.0.0.1', () => {
+  const counts = Object.entries(tables).map(([name, rows]) => `${name}: ${rows.length}`).join(', ');
+  console.error(`Supabase stand-in on http://127.0.0.1:${server.address().port} (${counts})`);
+});
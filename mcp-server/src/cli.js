@@ -0,0 +1,434 @@
+#!/usr/bin/env node
+
+// Headless validator for build pipelines:
+//   cav validate ./exports --category gdn --format junit --output report.xml
+// Probes every image/video under the given paths, validates it against the
+// shared spec registry and exits 1 when an asset misses a required channel.
+
+import { readdir, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  REGISTRY_VERSION,
+  getSpec,
+  getPlatformPackages,
+  loadCustomSpecFiles,
+  loadCustomPackageFiles,
+  needsLoudness,
+  validateAsset,
+} from './specs.js';
+import { probeFile, isMediaFile, measureLoudness } from './probe.js';
+import { TOKEN_SCOPES, createLibraryFromEnv } from './library.js';
+
+const USAGE = `Usage: cav validate <file|dir>... [options]
+
+Options:
+  --category <name>   Only check channels in a category (social, gdn, ttd, dv360, ctv, custom)
+  --require <channel> Fail assets that are not compatible with this channel (repeatable)
+  --package <name>    Require every channel in a platform package (e.g. "GDN Essential")
+  --specs <file>      Load custom channel specs from a JSON/CSV file exported by
+                      the web app (repeatable; also read from CAV_CUSTOM_SPECS)
+  --packages <file>   Load workspace packages from a JSON file exported by the
+                      web app (repeatable; also read from CAV_CUSTOM_PACKAGES)
+  --coverage          Required channels must be covered by at least one asset in
+                      the set, instead of by every asset
+  --format <fmt>      table (default), json or junit
+  --output <file>     Write the report to a file instead of stdout
+  -h, --help          Show this help
+
+Without --require/--package an asset fails when it fits no channel in scope.
+Exit codes: 0 all assets pass, 1 at least one asset fails, 2 usage error.`;
+
+const TOKEN_USAGE = `Usage: cav token create <email> [options]
+
+Issues an MCP access token for a user's library resources and prompts. For
+admins: needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY, which users of the
+token never need. The token is printed once; only its hash is stored.
+
+Options:
+  --label <text>      Where the token is used, e.g. "Alex's laptop"
+  --scope <scope>     Limit access to ${TOKEN_SCOPES.join(', ')} (repeatable; default all)
+  --no-team           Only the user's own rows, not team-shared ones
+  --expires <days>    Expire the token after this many days`;
+
+// ─── Files ───────────────────────────────────────────────────────
+
+async function collectFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    const info = await stat(input);
+    if (info.isDirectory()) {
+      const entries = await readdir(input, { withFileTypes: true });
+      const children = entries
+        .filter(e => !e.name.startsWith('.'))
+        .map(e => path.join(input, e.name))
+        .sort();
+      files.push(...await collectFiles(children));
+    } else if (isMediaFile(input)) {
+      files.push(input);
+    }
+  }
+  return files;
+}
+
+// ─── Validation ──────────────────────────────────────────────────
+
+function resolveRequiredChannels(options) {
+  const required = [...(options.require || [])];
+  if (options.package) {
+    const packages = getPlatformPackages();
+    // --package always checks the latest version of a custom package
+    const channels = packages[options.package];
+    if (!channels) {
+      throw new UsageError(`Unknown package: ${options.package}. Available: ${Object.keys(packages).join(', ')}`);
+    }
+    required.push(...channels);
+  }
+  for (const channel of required) {
+    if (!getSpec(channel)) throw new UsageError(`Unknown channel: ${channel}`);
+  }
+  return [...new Set(required)];
+}
+
+async function validateFile(file, { category, required }) {
+  let asset;
+  try {
+    asset = await probeFile(file);
+  } catch (error) {
+    return { file, error: error.message, passed: false, compatible: [], offSize: [], missingRequired: required, unchecked: [], checks: [] };
+  }
+  // Required channels only apply to assets of a type the channel accepts
+  const applicable = required.filter(ch => {
+    const spec = getSpec(ch);
+    return spec.type === 'both' || spec.type === asset.type;
+  });
+  const loudnessTargets = needsLoudness(category) || applicable.some(ch => getSpec(ch).loudnessLUFS != null);
+  if (asset.type === 'video' && asset.hasAudio !== false && loudnessTargets) {
+    asset.loudnessLUFS = await measureLoudness(file);
+  }
+
+  const results = validateAsset(asset, { category, type: asset.type });
+  const compatible = results.compatible.map(r => r.channel);
+
+  // Required channels are checked by name, whether or not --category covers them
+  const requiredResults = validateAsset(asset, { channels: applicable });
+  const fits = requiredResults.compatible.map(r => r.channel);
+  const missingRequired = applicable.filter(ch => !fits.includes(ch));
+  const passed = required.length > 0 ? missingRequired.length === 0 : compatible.length > 0;
+
+  // Per-channel outcomes for the JUnit reporter. Without required channels an
+  // asset only has to fit one channel, so the ones it misses are skipped, not
+  // failed, and "any channel" carries the verdict.
+  let checks;
+  if (required.length > 0) {
+    checks = required.map(channel => {
+      if (!applicable.includes(channel)) return { channel, status: 'skipped', reason: 'Channel does not accept this media type' };
+      if (fits.includes(channel)) return { channel, status: 'passed' };
+      const miss = [...requiredResults.offSize, ...requiredResults.incompatible].find(r => r.channel === channel);
+      return { channel, status: 'failed', issues: miss.issues || [{ type: 'incompatible', message: miss.reason }] };
+    });
+  } else {
+    checks = [
+      ...compatible.map(channel => ({ channel, status: 'passed' })),
+      ...results.offSize.map(r => ({ channel: r.channel, status: 'skipped', reason: `Not required: ${r.issues.map(i => i.message).join('; ')}` })),
+      compatible.length > 0
+        ? { channel: 'any channel', status: 'passed' }
+        : { channel: 'any channel', status: 'failed', issues: [{ type: 'no_compatible_channel', message: 'Asset fits no channel in scope' }] },
+    ];
+  }
+
+  // Requirements of the checked channels the probe has no value for (loudness
+  // without ffmpeg), reported as skipped so the asset does not pass unchecked
+  const checked = required.length > 0 ? requiredResults : results;
+  const unchecked = checked.compatible.concat(checked.offSize)
+    .filter(r => r.unchecked.length > 0 && checks.some(c => c.channel === r.channel && c.status !== 'skipped'))
+    .map(r => ({ channel: r.channel, requirements: r.unchecked.map(u => ({ type: u.type, message: u.message })) }));
+
+  return {
+    file,
+    asset: {
+      type: asset.type,
+      format: asset.format,
+      width: asset.width,
+      height: asset.height,
+      ...(asset.type === 'video' ? {
+        duration: asset.duration,
+        videoCodec: asset.videoCodec,
+        frameRate: asset.frameRate,
+        bitrateKbps: asset.bitrateKbps,
+        hasAudio: asset.hasAudio,
+        loudnessLUFS: asset.loudnessLUFS ?? null,
+      } : {}),
+      fileSizeMB: asset.fileSizeMB,
+    },
+    passed,
+    compatible,
+    offSize: results.offSize.map(r => ({ channel: r.channel, issues: r.issues.map(i => ({ type: i.type, message: i.message })) })),
+    missingRequired,
+    unchecked,
+    checks,
+  };
+}
+
+// ─── Reporters ───────────────────────────────────────────────────
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+function formatTestcase(name, classname, body = '') {
+  return body
+    ? `    <testcase name="${escapeXml(name)}" classname="${escapeXml(classname)}">\n      ${body}\n    </testcase>`
+    : `    <testcase name="${escapeXml(name)}" classname="${escapeXml(classname)}"/>`;
+}
+
+// One <testsuite> per asset, one <testcase> per checked channel
+function formatJunit(report) {
+  const totals = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+  const suites = report.results.map(r => {
+    const cases = [];
+    let failures = 0;
+    let errors = 0;
+    let skipped = 0;
+
+    if (r.error) {
+      errors++;
+      cases.push(formatTestcase('probe', r.file, `<error message="${escapeXml(r.error)}"/>`));
+    }
+    for (const check of r.checks) {
+      if (check.status === 'failed') {
+        failures++;
+        const message = check.issues.map(i => i.message).join('; ');
+        cases.push(formatTestcase(check.channel, r.file, `<failure type="${escapeXml(check.issues[0].type)}" message="${escapeXml(message)}"/>`));
+      } else if (check.status === 'skipped') {
+        skipped++;
+        cases.push(formatTestcase(check.channel, r.file, `<skipped message="${escapeXml(check.reason)}"/>`));
+      } else {
+        cases.push(formatTestcase(check.channel, r.file));
+      }
+    }
+    for (const { channel, requirements } of r.unchecked) {
+      for (const requirement of requirements) {
+        skipped++;
+        cases.push(formatTestcase(`${channel} ${requirement.type}`, r.file, `<skipped message="${escapeXml(requirement.message)}"/>`));
+      }
+    }
+    totals.tests += cases.length;
+    totals.failures += failures;
+    totals.errors += errors;
+    totals.skipped += skipped;
+    return `  <testsuite name="${escapeXml(r.file)}" tests="${cases.length}" failures="${failures}" errors="${errors}" skipped="${skipped}">\n${cases.join('\n')}\n  </testsuite>`;
+  });
+
+  if (report.coverage) {
+    const cases = report.required.map(channel => report.coverage.uncovered.includes(channel)
+      ? formatTestcase(channel, 'coverage', '<failure type="uncovered_channel" message="No asset in the set fits this channel"/>')
+      : formatTestcase(channel, 'coverage'));
+    totals.tests += cases.length;
+    totals.failures += report.coverage.uncovered.length;
+    suites.push(`  <testsuite name="coverage" tests="${cases.length}" failures="${report.coverage.uncovered.length}" errors="0" skipped="0">\n${cases.join('\n')}\n  </testsuite>`);
+  }
+
+  // Root counts are the sums of the suites', as CI servers expect
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="cav validate" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}" skipped="${totals.skipped}">`,
+    ...suites,
+    '</testsuites>',
+  ].join('\n');
+}
+
+function formatTable(report) {
+  const rows = report.results.map(r => [
+    r.file,
+    r.asset ? r.asset.type : '-',
+    r.asset ? `${r.asset.width}x${r.asset.height}` : '-',
+    r.asset?.duration != null ? `${r.asset.duration}s` : '-',
+    r.asset ? `${r.asset.fileSizeMB}MB` : '-',
+    String(r.compatible.length),
+    r.error ? r.error : [
+      r.missingRequired.length > 0 ? `missing: ${r.missingRequired.join(', ')}` : '',
+      r.unchecked.length > 0 ? `not measured: ${[...new Set(r.unchecked.flatMap(u => u.requirements.map(q => q.type)))].join(', ')}` : '',
+    ].filter(Boolean).join('; '),
+    r.passed ? 'PASS' : 'FAIL',
+  ]);
+  const header = ['File', 'Type', 'Size', 'Duration', 'Weight', 'Compatible', 'Notes', 'Result'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => row[i].length)));
+  const line = cells => cells.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    line(header),
+    line(widths.map(w => '-'.repeat(w))),
+    ...rows.map(line),
+    '',
+    ...(report.coverage?.uncovered.length ? [`Uncovered channels: ${report.coverage.uncovered.join(', ')}`] : []),
+    `${report.summary.passed}/${report.summary.total} passed (spec registry ${report.registryVersion})`,
+  ].join('\n');
+}
+
+const REPORTERS = { json: formatJson, junit: formatJunit, table: formatTable };
+
+// ─── Main ────────────────────────────────────────────────────────
+
+class UsageError extends Error {}
+
+async function runValidate(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      category: { type: 'string' },
+      require: { type: 'string', multiple: true },
+      package: { type: 'string' },
+      specs: { type: 'string', multiple: true },
+      packages: { type: 'string', multiple: true },
+      format: { type: 'string', default: 'table' },
+      output: { type: 'string' },
+      coverage: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help) return { output: USAGE, exitCode: 0 };
+  if (positionals.length === 0) throw new UsageError('No files or directories given');
+  if (!REPORTERS[values.format]) throw new UsageError(`Unknown format: ${values.format}`);
+
+  const specFiles = [
+    ...(process.env.CAV_CUSTOM_SPECS || '').split(',').map(f => f.trim()).filter(Boolean),
+    ...(values.specs || []),
+  ];
+  if (specFiles.length > 0) {
+    const { errors } = await loadCustomSpecFiles(specFiles);
+    for (const e of errors) console.error(`Skipped custom spec ${e.name} (${e.file}): ${e.errors.join('; ')}`);
+  }
+
+  const packageFiles = [
+    ...(process.env.CAV_CUSTOM_PACKAGES || '').split(',').map(f => f.trim()).filter(Boolean),
+    ...(values.packages || []),
+  ];
+  if (packageFiles.length > 0) {
+    const { errors } = await loadCustomPackageFiles(packageFiles);
+    for (const e of errors) console.error(`Skipped package ${e.name} (${e.file}): ${e.errors.join('; ')}`);
+  }
+
+  const required = resolveRequiredChannels(values);
+  const files = await collectFiles(positionals);
+  const results = [];
+  for (const file of files) {
+    results.push(await validateFile(file, { category: values.category, required: values.coverage ? [] : required }));
+  }
+
+  const uncovered = values.coverage
+    ? required.filter(ch => !results.some(r => r.compatible.includes(ch)))
+    : [];
+
+  const report = {
+    registryVersion: REGISTRY_VERSION,
+    category: values.category || 'all',
+    required,
+    coverage: values.coverage ? { uncovered } : null,
+    summary: {
+      total: results.length,
+      passed: results.filter(r => r.passed).length,
+      failed: results.filter(r => !r.passed).length,
+    },
+    results,
+  };
+
+  const output = REPORTERS[values.format](report);
+  if (values.output) {
+    await writeFile(values.output, output + '\n');
+  }
+
+  return {
+    output: values.output ? formatTable(report) : output,
+    exitCode: report.summary.failed > 0 || uncovered.length > 0 ? 1 : 0,
+  };
+}
+
+async function runToken(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      label: { type: 'string' },
+      scope: { type: 'string', multiple: true },
+      'no-team': { type: 'boolean' },
+      expires: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help) return { output: TOKEN_USAGE, exitCode: 0 };
+  const [action, email] = positionals;
+  if (action !== 'create') throw new UsageError(`Unknown token action: ${action || '(none)'}`);
+  if (!email || !email.includes('@')) throw new UsageError('Give the email of the user the token is for');
+  const days = values.expires ? Number(values.expires) : null;
+  if (days !== null && !(days > 0)) throw new UsageError(`Invalid --expires: ${values.expires}`);
+
+  const library = createLibraryFromEnv(process.env, { admin: true });
+  if (!library) throw new UsageError('Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+
+  const created = await library.createToken({
+    email,
+    label: values.label,
+    scopes: values.scope || TOKEN_SCOPES,
+    team: !values['no-team'],
+    expiresAt: days ? new Date(Date.now() + days * 86400000).toISOString() : null,
+  });
+  return {
+    output: [
+      `Token for ${created.email} (scopes: ${created.scopes.join(', ')}${created.team ? ', team' : ''}`
+        + `${created.expiresAt ? `, expires ${created.expiresAt.slice(0, 10)}` : ''}):`,
+      '',
+      `  CAV_MCP_TOKEN=${created.token}`,
+      '',
+      'Store it now; it cannot be shown again.',
+    ].join('\n'),
+    exitCode: 0,
+  };
+}
+
+const COMMANDS = {
+  validate: { run: runValidate, usage: USAGE },
+  token: { run: runToken, usage: TOKEN_USAGE },
+};
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+  if (!command || command === '-h' || command === '--help') {
+    console.log(`${USAGE}\n\n${TOKEN_USAGE}`);
+    return 0;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command: ${command}\n\n${USAGE}\n\n${TOKEN_USAGE}`);
+    return 2;
+  }
+
+  const { run, usage } = COMMANDS[command];
+  try {
+    const { output, exitCode } = await run(rest);
+    console.log(output);
+    return exitCode;
+  } catch (error) {
+    if (error instanceof UsageError || error.code === 'ENOENT' || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      console.error(`${error.message}\n\n${usage}`);
+      return 2;
+    }
+    if (error.name === 'LibraryError') {
+      console.error(error.message);
+      return 2;
+    }
+    throw error;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
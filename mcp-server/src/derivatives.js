@@ -0,0 +1,174 @@
+// Eager derivative rendering for resize_for_platform/batch_resize.
+// Asks Cloudinary to generate every derivative up front (explicit + eager),
+// or renders them from a local file with the local transform backend,
+// re-validates each result's real dimensions and weight against the channel
+// spec and returns a manifest. Point CLOUDINARY_URL at a local stand-in
+// (?upload_prefix=http://127.0.0.1:<port>) to run without an account.
+
+import { createHash } from 'node:crypto';
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { v2 as cloudinary } from 'cloudinary';
+import { checkChannelCompatibility } from './specs.js';
+import { probeBuffer } from './probe.js';
+import { renderLocal, parseTransformation } from './transform.js';
+
+// f_auto depends on the requesting browser, so stored derivatives keep the
+// source format instead
+function eagerTransformation(transformation) {
+  return transformation.split(',').filter(t => t !== 'f_auto').join(',');
+}
+
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+async function download(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Compare a rendered derivative with the size it was rendered for and the spec
+function validateDerivative(asset, plan) {
+  const issues = [];
+  if (asset.width !== plan.width || asset.height !== plan.height) {
+    issues.push({
+      type: 'render_size',
+      message: `Requested ${plan.width}x${plan.height}, rendered ${asset.width}x${asset.height}`,
+    });
+  }
+  const result = checkChannelCompatibility(asset, plan.channel);
+  if (result.reason) issues.push({ type: 'incompatible', message: result.reason });
+  for (const issue of result.issues || []) {
+    if (!issues.some(i => i.message === issue.message)) issues.push({ type: issue.type, message: issue.message });
+  }
+  return issues;
+}
+
+// Probe, validate and optionally store one rendered derivative
+async function inspectDerivative(entry, buffer, plan, { source, format, outputDir }) {
+  const asset = await probeBuffer(buffer, `${path.basename(source)}.${format}`);
+  const issues = validateDerivative(asset, plan);
+
+  Object.assign(entry, {
+    format: asset.format,
+    width: asset.width,
+    height: asset.height,
+    bytes: buffer.length,
+    checksum: `sha256:${createHash('sha256').update(buffer).digest('hex')}`,
+    status: issues.length === 0 ? 'passed' : 'failed',
+    ...(issues.length > 0 ? { issues } : {}),
+  });
+
+  if (outputDir) {
+    const name = path.basename(source).replace(/\.[^.]+$/, '');
+    entry.file = path.join(outputDir, `${slugify(name)}_${slugify(plan.channel)}_${plan.width}x${plan.height}.${format || asset.format}`);
+    await writeFile(entry.file, buffer);
+  }
+  return entry;
+}
+
+async function writeManifest({ derivatives, ...details }, outputDir) {
+  const manifest = {
+    ...details,
+    summary: {
+      total: derivatives.length,
+      passed: derivatives.filter(d => d.status === 'passed').length,
+      failed: derivatives.filter(d => d.status === 'failed').length,
+      errors: derivatives.filter(d => d.status === 'error').length,
+    },
+    derivatives,
+  };
+  if (outputDir) {
+    await writeFile(path.join(outputDir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+  }
+  return manifest;
+}
+
+/**
+ * Render derivatives eagerly on Cloudinary and re-validate them.
+ * @param {string} publicId - Source asset
+ * @param {Array<{channel, width, height, transformation}>} plans
+ * @param {Object} [options] - { outputDir, resourceType }
+ * @returns {Promise<{publicId, outputDir, summary, derivatives}>}
+ */
+export async function renderDerivatives(publicId, plans, { outputDir, resourceType = 'image' } = {}) {
+  const eager = plans.map(plan => ({ raw_transformation: eagerTransformation(plan.transformation) }));
+  const response = await cloudinary.uploader.explicit(publicId, {
+    type: 'upload',
+    resource_type: resourceType,
+    eager,
+    eager_async: false,
+  });
+
+  if (outputDir) await mkdir(outputDir, { recursive: true });
+
+  const derivatives = [];
+  for (const [index, plan] of plans.entries()) {
+    // Cloudinary answers eager transformations in request order
+    const rendered = response.eager?.[index];
+    const entry = {
+      channel: plan.channel,
+      size: `${plan.width}x${plan.height}`,
+      transformation: eager[index].raw_transformation,
+      url: rendered?.secure_url || null,
+    };
+
+    try {
+      if (!rendered) throw new Error('Cloudinary returned no derivative');
+      const buffer = await download(rendered.secure_url);
+      await inspectDerivative(entry, buffer, plan, { source: publicId, format: rendered.format, outputDir });
+    } catch (error) {
+      Object.assign(entry, { status: 'error', error: error.message });
+    }
+
+    derivatives.push(entry);
+  }
+
+  return writeManifest({
+    publicId,
+    backend: 'cloudinary',
+    generatedAt: new Date().toISOString(),
+    ...(outputDir ? { outputDir } : {}),
+    derivatives,
+  }, outputDir);
+}
+
+/**
+ * Render derivatives from a local file with the local backend (sharp/ffmpeg)
+ * and re-validate them. Same manifest as renderDerivatives, without URLs.
+ * @param {string} sourcePath - Local image or video
+ * @param {Array<{channel, width, height, transformation}>} plans
+ * @param {Object} [options] - { outputDir }
+ */
+export async function renderLocalDerivatives(sourcePath, plans, { outputDir } = {}) {
+  if (outputDir) await mkdir(outputDir, { recursive: true });
+
+  const derivatives = [];
+  for (const plan of plans) {
+    const entry = {
+      channel: plan.channel,
+      size: `${plan.width}x${plan.height}`,
+      transformation: eagerTransformation(plan.transformation),
+    };
+
+    try {
+      const rendered = await renderLocal(sourcePath, parseTransformation(entry.transformation));
+      entry.transformation = rendered.transformation;
+      await inspectDerivative(entry, rendered.buffer, plan, { source: sourcePath, format: rendered.format, outputDir });
+    } catch (error) {
+      Object.assign(entry, { status: 'error', error: error.message });
+    }
+
+    derivatives.push(entry);
+  }
+
+  return writeManifest({
+    source: sourcePath,
+    backend: 'local',
+    generatedAt: new Date().toISOString(),
+    ...(outputDir ? { outputDir } : {}),
+    derivatives,
+  }, outputDir);
+}
@@ -6,27 +6,156 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
   ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import { v2 as cloudinary } from 'cloudinary';
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
 import {
-  CHANNEL_SPECS,
-  PLATFORM_PACKAGES,
+  getSpec,
+  getSpecs,
+  getPlatformPackages,
+  getPackage,
+  isCustomChannel,
+  loadCustomSpecFiles,
+  loadCustomPackageFiles,
+  needsLoudness,
   validateAsset,
   checkChannelCompatibility,
   parseAspectRatio,
 } from './specs.js';
+import { probeFile, probeUrl, measureLoudness } from './probe.js';
+import { renderDerivatives, renderLocalDerivatives } from './derivatives.js';
+import { renderLocal, TRANSFORM_CROP_MODES } from './transform.js';
+import { createLibraryFromEnv } from './library.js';
+import { REPORT_FORMATS, scoresForAssets, writeReport } from './report.js';
 
 const server = new Server(
   { name: 'ad-creative-mcp', version: '1.0.0' },
-  { capabilities: { tools: {}, resources: {} } }
+  { capabilities: { tools: {}, resources: {}, prompts: {} } }
 );
 
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// The separate variables, or CLOUDINARY_URL, which the SDK reads itself (and
+// which can point upload_prefix at scripts/cloudinary-standin.js); unset
+// variables must not clear what CLOUDINARY_URL configured
+if (process.env.CLOUDINARY_CLOUD_NAME) {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  });
+}
+
+// Workspace custom specs: comma-separated JSON/CSV files exported from the
+// web app's Custom Channels settings
+if (process.env.CAV_CUSTOM_SPECS) {
+  const files = process.env.CAV_CUSTOM_SPECS.split(',').map(f => f.trim()).filter(Boolean);
+  const { registered, errors } = await loadCustomSpecFiles(files, { workspace: process.env.CAV_WORKSPACE });
+  console.error(`Loaded ${registered.length} custom channel specs`);
+  for (const e of errors) console.error(`Skipped custom spec ${e.name} (${e.file}): ${e.errors.join('; ')}`);
+}
+
+// Workspace packages: comma-separated JSON files exported from the web app
+if (process.env.CAV_CUSTOM_PACKAGES) {
+  const files = process.env.CAV_CUSTOM_PACKAGES.split(',').map(f => f.trim()).filter(Boolean);
+  const { registered, errors } = await loadCustomPackageFiles(files, { workspace: process.env.CAV_WORKSPACE });
+  console.error(`Loaded ${registered.length} custom packages`);
+  for (const e of errors) console.error(`Skipped package ${e.name} (${e.file}): ${e.errors.join('; ')}`);
+}
+
+// Workspace library (assets, folders, CRM, analyses) from Supabase, scoped by
+// the user's CAV_MCP_TOKEN. Null when SUPABASE_URL is not configured.
+const library = createLibraryFromEnv();
+
+// ─── Helpers ─────────────────────────────────────────────────────
+
+// Shared result shape for validate_asset and validate_file
+function formatValidation(asset, filterCategory) {
+  const results = validateAsset(asset);
+
+  if (filterCategory && filterCategory !== 'all') {
+    const filter = (arr) => arr.filter(r => {
+      const spec = getSpec(r.channel);
+      return spec && spec.category === filterCategory;
+    });
+    results.compatible = filter(results.compatible);
+    results.offSize = filter(results.offSize);
+    results.incompatible = filter(results.incompatible);
+  }
+
+  return {
+    summary: {
+      compatible: results.compatible.length,
+      offSize: results.offSize.length,
+      incompatible: results.incompatible.length,
+      total: results.compatible.length + results.offSize.length + results.incompatible.length,
+    },
+    asset: { width: asset.width, height: asset.height, type: asset.type, aspectRatio: (asset.width / asset.height).toFixed(2) },
+    compatible: results.compatible.map(r => r.channel),
+    offSize: results.offSize.map(r => ({
+      channel: r.channel,
+      issues: r.issues,
+    })),
+    incompatible: results.incompatible.map(r => ({
+      channel: r.channel,
+      reason: r.reason,
+    })),
+    // Requirements of compatible channels with no value to check (e.g.
+    // loudness when it was not measured): compatible, but not verified
+    unchecked: results.compatible.filter(r => r.unchecked.length > 0).map(r => ({
+      channel: r.channel,
+      requirements: r.unchecked,
+    })),
+  };
+}
+
+// Look up a Cloudinary asset and probe its original through HTTP range
+// requests, so only the container headers are downloaded.
+async function probeCloudinaryAsset(publicId, resourceType) {
+  const types = resourceType ? [resourceType] : ['image', 'video'];
+  let lastError;
+  for (const type of types) {
+    try {
+      const resource = await cloudinary.api.resource(publicId, { resource_type: type });
+      return await probeUrl(resource.secure_url, `${publicId}.${resource.format}`);
+    } catch (error) {
+      lastError = error.error || error;
+    }
+  }
+  throw lastError;
+}
+
+// Execution mode of resize_for_platform/batch_resize. A local path renders
+// with the local backend instead of Cloudinary.
+async function executeResize(args, plans) {
+  try {
+    const manifest = args.path
+      ? await renderLocalDerivatives(args.path, plans, { outputDir: args.outputDir })
+      : await renderDerivatives(args.publicId, plans, { outputDir: args.outputDir });
+    return { manifest };
+  } catch (error) {
+    const cause = error.error || error;
+    return { error: `Could not render derivatives for ${args.path || args.publicId}: ${cause.message}` };
+  }
+}
+
+function defaultOutputPath(sourcePath, width, height, format) {
+  const parsed = path.parse(sourcePath);
+  return path.join(parsed.dir, `${parsed.name}_${width}x${height}.${format === 'jpeg' ? 'jpg' : format}`);
+}
+
+const SOURCE_PATH_PROPERTY = {
+  path: { type: 'string', description: 'Local source file to render with the local backend (sharp for images, ffmpeg for video) instead of a Cloudinary publicId. No Cloudinary account needed.' },
+};
+
+const EXECUTE_PROPERTIES = {
+  ...SOURCE_PATH_PROPERTY,
+  execute: { type: 'boolean', description: 'Render the derivatives now, download them and re-validate their dimensions and weight against the spec. Returns a manifest with URL, bytes, checksum and status per channel.' },
+  outputDir: { type: 'string', description: 'With execute: also write the files and a manifest.json to this local directory' },
+};
 
 // ─── Tools ───────────────────────────────────────────────────────
 
@@ -43,38 +172,59 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
           type: { type: 'string', enum: ['image', 'video'], description: 'Asset type' },
           duration: { type: 'number', description: 'Video duration in seconds (video only)' },
           fileSizeMB: { type: 'number', description: 'File size in MB' },
+          videoCodec: { type: 'string', description: 'Video codec (h264, hevc, prores, vp9, av1) - video only' },
+          frameRate: { type: 'number', description: 'Frame rate in fps - video only' },
+          bitrateKbps: { type: 'number', description: 'Overall bitrate in kbps - video only' },
+          hasAudio: { type: 'boolean', description: 'Whether the video has an audio track - video only' },
+          loudnessLUFS: { type: 'number', description: 'Integrated loudness in LUFS - video only' },
           filterCategory: { type: 'string', enum: ['social', 'gdn', 'ttd', 'dv360', 'ctv', 'all'], description: 'Filter results by platform category' },
         },
         required: ['width', 'height', 'type'],
       },
     },
+    {
+      name: 'validate_file',
+      description: 'Probe a real media file (local path or Cloudinary public_id) for dimensions, duration, file size, codec, frame rate, bitrate and (with ffmpeg installed) loudness, then validate it against every platform spec. Same result shape as validate_asset plus the probed metadata. Requirements that could not be measured are listed under unchecked.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Local file path readable by the MCP server' },
+          publicId: { type: 'string', description: 'Cloudinary public_id (used when path is not given)' },
+          resourceType: { type: 'string', enum: ['image', 'video'], description: 'Cloudinary resource type (default: try image, then video)' },
+          filterCategory: { type: 'string', enum: ['social', 'gdn', 'ttd', 'dv360', 'ctv', 'all'], description: 'Filter results by platform category' },
+        },
+      },
+    },
     {
       name: 'resize_for_platform',
-      description: 'Generate a Cloudinary transformation URL to resize an asset for a specific advertising platform/channel. Uses AI generative fill for aspect ratios that differ significantly from the source.',
+      description: 'Generate a Cloudinary transformation URL to resize an asset for a specific advertising platform/channel. Uses AI generative fill for aspect ratios that differ significantly from the source. With execute, the derivative is rendered and re-validated.',
       inputSchema: {
         type: 'object',
         properties: {
-          publicId: { type: 'string', description: 'Cloudinary public_id of the source asset' },
+          publicId: { type: 'string', description: 'Cloudinary public_id of the source asset (or give a local path)' },
           channel: { type: 'string', description: 'Target channel name (e.g., "GDN Medium Rectangle", "Facebook Stories")' },
           sourceWidth: { type: 'number', description: 'Source asset width' },
           sourceHeight: { type: 'number', description: 'Source asset height' },
           useGenFill: { type: 'boolean', description: 'Force AI generative fill (default: auto-detect based on aspect ratio difference)' },
+          ...EXECUTE_PROPERTIES,
         },
-        required: ['publicId', 'channel'],
+        required: ['channel'],
       },
     },
     {
       name: 'batch_resize',
-      description: 'Generate Cloudinary transformation URLs for an entire platform package (e.g., "GDN Essential", "Meta Complete", "TTD Complete"). Returns all URLs at once.',
+      description: 'Generate Cloudinary transformation URLs for an entire platform package (e.g., "GDN Essential", "Meta Complete", "TTD Complete", or a workspace package from list_packages). Per-channel crop, gravity and background overrides of custom packages are applied. Returns all URLs at once, or with execute renders every derivative and returns a validated manifest.',
       inputSchema: {
         type: 'object',
         properties: {
-          publicId: { type: 'string', description: 'Cloudinary public_id of the source asset' },
-          package: { type: 'string', enum: Object.keys(PLATFORM_PACKAGES), description: 'Platform package name' },
+          publicId: { type: 'string', description: 'Cloudinary public_id of the source asset (or give a local path)' },
+          package: { type: 'string', enum: Object.keys(getPlatformPackages()), description: 'Platform package name' },
+          version: { type: 'number', description: 'Earlier version of a custom package (default: latest)' },
           sourceWidth: { type: 'number', description: 'Source asset width' },
           sourceHeight: { type: 'number', description: 'Source asset height' },
+          ...EXECUTE_PROPERTIES,
         },
-        required: ['publicId', 'package'],
+        required: ['package'],
       },
     },
     {
@@ -83,27 +233,29 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
       inputSchema: {
         type: 'object',
         properties: {
-          channel: { type: 'string', description: 'Channel name (e.g., "Facebook Feed Square") or platform category (e.g., "gdn", "social", "ttd")' },
+          channel: { type: 'string', description: 'Channel name (e.g., "Facebook Feed Square") or platform category (e.g., "gdn", "social", "ttd", "custom")' },
         },
         required: ['channel'],
       },
     },
     {
       name: 'generate_transform_url',
-      description: 'Generate a Cloudinary transformation URL with specific parameters. Use this for custom transforms not covered by resize_for_platform.',
+      description: 'Generate a Cloudinary transformation URL with specific parameters. Use this for custom transforms not covered by resize_for_platform. With path, renders a local file with the same parameters instead (no Cloudinary account needed).',
       inputSchema: {
         type: 'object',
         properties: {
           publicId: { type: 'string', description: 'Cloudinary public_id' },
           width: { type: 'number', description: 'Target width' },
           height: { type: 'number', description: 'Target height' },
-          crop: { type: 'string', enum: ['fill', 'fit', 'limit', 'pad', 'scale', 'crop'], description: 'Crop mode' },
+          crop: { type: 'string', enum: TRANSFORM_CROP_MODES, description: 'Crop mode' },
           gravity: { type: 'string', description: 'Gravity (auto, auto:faces, center, north, south, etc.)' },
           background: { type: 'string', description: 'Background (gen_fill, blurred, auto, or hex color)' },
           format: { type: 'string', description: 'Output format (auto, jpg, png, webp)' },
           quality: { type: 'string', description: 'Quality (auto, auto:best, auto:good, auto:eco, or 1-100)' },
+          ...SOURCE_PATH_PROPERTY,
+          outputPath: { type: 'string', description: 'With path: where to write the result (default: next to the source, named <name>_<width>x<height>)' },
         },
-        required: ['publicId', 'width', 'height'],
+        required: ['width', 'height'],
       },
     },
     {
@@ -111,6 +263,39 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
       description: 'List all available platform packages with the channels included in each package.',
       inputSchema: { type: 'object', properties: {} },
     },
+    {
+      name: 'generate_report',
+      description: 'Write a validation report as a PDF or XLSX file, the same report the web app exports: brand cover, compatibility matrix per channel category, fix recommendations per off-size channel, AI scores from past analyses, and charts. Assets come from the library (folder, brand, assetIds) or are passed inline.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          format: { type: 'string', enum: REPORT_FORMATS, description: 'File format (default: pdf)' },
+          outputPath: { type: 'string', description: 'Where to write the file (default: <title>-<date>.<format> in the working directory)' },
+          title: { type: 'string', description: 'Report title' },
+          folder: { type: 'string', description: 'Library folder id (see cav://folders)' },
+          brand: { type: 'string', description: 'CRM company or brand profile name: its assets, brand profile for the cover and its analyses for AI scores' },
+          assetIds: { type: 'array', items: { type: 'string' }, description: 'Library asset ids' },
+          assets: {
+            type: 'array',
+            description: 'Assets to report on without the library',
+            items: {
+              type: 'object',
+              properties: {
+                filename: { type: 'string' },
+                width: { type: 'number' },
+                height: { type: 'number' },
+                type: { type: 'string', enum: ['image', 'video'] },
+                duration: { type: 'number' },
+                fileSize: { type: 'number', description: 'Bytes' },
+              },
+              required: ['width', 'height', 'type'],
+            },
+          },
+          platform: { type: 'string', description: 'Limit the report to a package, platform or channel, e.g. "Meta", "GDN Essential", "TikTok" (default: every channel)' },
+          includeImages: { type: 'boolean', description: 'PDF: embed the brand logo and asset thumbnails when they are JPEGs' },
+        },
+      },
+    },
   ],
 }));
 
@@ -119,45 +304,48 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
   switch (name) {
     case 'validate_asset': {
-      const results = validateAsset(args);
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(formatValidation(args, args.filterCategory), null, 2),
+        }],
+      };
+    }
 
-      if (args.filterCategory && args.filterCategory !== 'all') {
-        const filter = (arr) => arr.filter(r => {
-          const spec = CHANNEL_SPECS[r.channel];
-          return spec && spec.category === args.filterCategory;
-        });
-        results.compatible = filter(results.compatible);
-        results.offSize = filter(results.offSize);
-        results.incompatible = filter(results.incompatible);
+    case 'validate_file': {
+      if (!args.path && !args.publicId) {
+        return { content: [{ type: 'text', text: 'Provide either path or publicId' }], isError: true };
+      }
+
+      let probed;
+      try {
+        probed = args.path ? await probeFile(args.path) : await probeCloudinaryAsset(args.publicId, args.resourceType);
+      } catch (error) {
+        return { content: [{ type: 'text', text: `Could not probe ${args.path || args.publicId}: ${error.message}` }], isError: true };
+      }
+      if (probed.type === 'video' && probed.hasAudio !== false && needsLoudness(args.filterCategory)) {
+        // null when ffmpeg is not installed; formatValidation lists it as unchecked
+        probed.loudnessLUFS = await measureLoudness(args.path || probed.url);
       }
 
+      const { path: _path, url: _url, ...metadata } = probed;
       return {
         content: [{
           type: 'text',
           text: JSON.stringify({
-            summary: {
-              compatible: results.compatible.length,
-              offSize: results.offSize.length,
-              incompatible: results.incompatible.length,
-              total: results.compatible.length + results.offSize.length + results.incompatible.length,
-            },
-            asset: { width: args.width, height: args.height, type: args.type, aspectRatio: (args.width / args.height).toFixed(2) },
-            compatible: results.compatible.map(r => r.channel),
-            offSize: results.offSize.map(r => ({
-              channel: r.channel,
-              issues: r.issues,
-            })),
-            incompatible: results.incompatible.map(r => ({
-              channel: r.channel,
-              reason: r.reason,
-            })),
+            source: args.path ? { path: args.path } : { publicId: args.publicId, url: probed.url },
+            metadata,
+            ...formatValidation(probed, args.filterCategory),
           }, null, 2),
         }],
       };
     }
 
     case 'resize_for_platform': {
-      const spec = CHANNEL_SPECS[args.channel];
+      if (!args.path && !args.publicId) {
+        return { content: [{ type: 'text', text: 'Provide either path or publicId' }], isError: true };
+      }
+      const spec = getSpec(args.channel);
       if (!spec) {
         return { content: [{ type: 'text', text: `Unknown channel: ${args.channel}. Use get_platform_specs to see available channels.` }] };
       }
@@ -192,8 +380,18 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       transformations.push('f_auto');
       transformations.push('q_auto:best');
 
-      const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
-      const url = `https://res.cloudinary.com/${cloudName}/image/upload/${transformations.join(',')}/${args.publicId}`;
+      const cloudName = cloudinary.config().cloud_name;
+      const url = args.publicId
+        ? `https://res.cloudinary.com/${cloudName}/image/upload/${transformations.join(',')}/${args.publicId}`
+        : null;
+
+      let manifest;
+      if (args.execute || args.path) {
+        const plan = { channel: args.channel, width: targetWidth, height: targetHeight, transformation: transformations.join(',') };
+        const executed = await executeResize(args, [plan]);
+        if (executed.error) return { content: [{ type: 'text', text: executed.error }], isError: true };
+        manifest = executed.manifest;
+      }
 
       return {
         content: [{
@@ -202,23 +400,30 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             channel: args.channel,
             targetSize: `${targetWidth}x${targetHeight}`,
             method: shouldGenFill ? 'AI Generative Fill (c_pad,b_gen_fill)' : 'Smart Crop (c_fill,g_auto)',
-            transformationUrl: url,
+            ...(url ? { transformationUrl: url } : {}),
             transformation: transformations.join(','),
             spec,
+            ...(manifest ? { manifest } : {}),
           }, null, 2),
         }],
       };
     }
 
     case 'batch_resize': {
-      const channels = PLATFORM_PACKAGES[args.package];
-      if (!channels) {
-        return { content: [{ type: 'text', text: `Unknown package: ${args.package}. Available: ${Object.keys(PLATFORM_PACKAGES).join(', ')}` }] };
+      if (!args.path && !args.publicId) {
+        return { content: [{ type: 'text', text: 'Provide either path or publicId' }], isError: true };
+      }
+      const pkg = getPackage(args.package, { version: args.version });
+      if (!pkg) {
+        const available = Object.keys(getPlatformPackages()).join(', ');
+        return { content: [{ type: 'text', text: args.version && getPackage(args.package)
+          ? `Package ${args.package} has no version ${args.version}`
+          : `Unknown package: ${args.package}. Available: ${available}` }] };
       }
 
-      const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
-      const results = channels.map(channelName => {
-        const spec = CHANNEL_SPECS[channelName];
+      const cloudName = cloudinary.config().cloud_name;
+      const results = pkg.channels.map(({ channel: channelName, crop, gravity, background }) => {
+        const spec = getSpec(channelName);
         if (!spec) return { channel: channelName, error: 'Spec not found' };
 
         let targetWidth, targetHeight;
@@ -240,29 +445,43 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           shouldGenFill = Math.abs(sourceRatio - targetRatio) > 0.3;
         }
 
+        // Package overrides win over the automatic choice
+        const cropMode = crop || (shouldGenFill ? 'pad' : 'fill');
+        const fill = background || (shouldGenFill && !crop ? 'gen_fill' : null);
         const transforms = [
           `w_${targetWidth}`, `h_${targetHeight}`,
-          shouldGenFill ? 'c_pad' : 'c_fill',
-          'g_auto',
-          ...(shouldGenFill ? ['b_gen_fill'] : []),
+          `c_${cropMode}`,
+          `g_${gravity || 'auto'}`,
+          ...(fill ? [`b_${fill}`] : []),
           'f_auto', 'q_auto:best'
         ];
 
         return {
           channel: channelName,
           size: `${targetWidth}x${targetHeight}`,
-          method: shouldGenFill ? 'gen_fill' : 'smart_crop',
-          url: `https://res.cloudinary.com/${cloudName}/image/upload/${transforms.join(',')}/${args.publicId}`,
+          method: crop || background || gravity ? 'package_override' : shouldGenFill ? 'gen_fill' : 'smart_crop',
+          ...(args.publicId ? { url: `https://res.cloudinary.com/${cloudName}/image/upload/${transforms.join(',')}/${args.publicId}` } : {}),
+          plan: { channel: channelName, width: targetWidth, height: targetHeight, transformation: transforms.join(',') },
         };
       });
 
+      let manifest;
+      if (args.execute || args.path) {
+        const plans = results.filter(r => r.plan).map(r => r.plan);
+        const executed = await executeResize(args, plans);
+        if (executed.error) return { content: [{ type: 'text', text: executed.error }], isError: true };
+        manifest = { package: args.package, version: pkg.version, ...executed.manifest };
+      }
+
       return {
         content: [{
           type: 'text',
           text: JSON.stringify({
             package: args.package,
+            version: pkg.version,
             channelCount: results.length,
-            results,
+            results: results.map(({ plan, ...result }) => result),
+            ...(manifest ? { manifest } : {}),
           }, null, 2),
         }],
       };
@@ -270,18 +489,19 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     case 'get_platform_specs': {
       const { channel } = args;
+      const specs = getSpecs();
 
-      if (CHANNEL_SPECS[channel]) {
+      if (specs[channel]) {
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify({ [channel]: CHANNEL_SPECS[channel] }, null, 2),
+            text: JSON.stringify({ [channel]: specs[channel] }, null, 2),
           }],
         };
       }
 
       const categoryResults = {};
-      for (const [name, spec] of Object.entries(CHANNEL_SPECS)) {
+      for (const [name, spec] of Object.entries(specs)) {
         if (spec.category === channel || spec.platform === channel) {
           categoryResults[name] = spec;
         }
@@ -300,7 +520,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      const fuzzy = Object.keys(CHANNEL_SPECS).filter(n =>
+      const fuzzy = Object.keys(specs).filter(n =>
         n.toLowerCase().includes(channel.toLowerCase())
       );
       return {
@@ -308,12 +528,41 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           type: 'text',
           text: fuzzy.length > 0
             ? `Did you mean one of these? ${fuzzy.join(', ')}`
-            : `Channel "${channel}" not found. Categories: social, gdn, ttd, dv360, ctv`,
+            : `Channel "${channel}" not found. Categories: social, gdn, ttd, dv360, ctv, custom`,
         }],
       };
     }
 
     case 'generate_transform_url': {
+      if (args.path) {
+        let rendered;
+        try {
+          rendered = await renderLocal(args.path, args);
+        } catch (error) {
+          return { content: [{ type: 'text', text: `Could not render ${args.path}: ${error.message}` }], isError: true };
+        }
+        const outputPath = args.outputPath || defaultOutputPath(args.path, rendered.layout.width, rendered.layout.height, rendered.format);
+        await writeFile(outputPath, rendered.buffer);
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              backend: 'local',
+              path: outputPath,
+              width: rendered.layout.width,
+              height: rendered.layout.height,
+              format: rendered.format,
+              bytes: rendered.buffer.length,
+              transformation: rendered.transformation,
+              ...(rendered.layout.gravityFallback ? { note: `Gravity ${rendered.layout.gravityFallback} needs Cloudinary; used center` } : {}),
+            }, null, 2),
+          }],
+        };
+      }
+      if (!args.publicId) {
+        return { content: [{ type: 'text', text: 'Provide either path or publicId' }], isError: true };
+      }
+
       const transforms = [];
       transforms.push(`w_${args.width}`);
       transforms.push(`h_${args.height}`);
@@ -323,7 +572,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       transforms.push(`f_${args.format || 'auto'}`);
       transforms.push(`q_${args.quality || 'auto'}`);
 
-      const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+      const cloudName = cloudinary.config().cloud_name;
       const url = `https://res.cloudinary.com/${cloudName}/image/upload/${transforms.join(',')}/${args.publicId}`;
 
       return {
@@ -336,16 +585,20 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     case 'list_packages': {
       const packagesInfo = {};
-      for (const [name, channels] of Object.entries(PLATFORM_PACKAGES)) {
+      for (const name of Object.keys(getPlatformPackages())) {
+        const pkg = getPackage(name);
         packagesInfo[name] = {
-          channelCount: channels.length,
-          channels: channels.map(ch => {
-            const spec = CHANNEL_SPECS[ch];
+          ...(pkg.custom ? { custom: true, version: pkg.version, description: pkg.description } : {}),
+          channelCount: pkg.channels.length,
+          channels: pkg.channels.map(({ channel: ch, ...overrides }) => {
+            const spec = getSpec(ch);
             return {
               name: ch,
               size: spec?.exactSize
                 ? `${spec.exactSize.width}x${spec.exactSize.height}`
                 : spec?.recommendedSize || 'varies',
+              ...(isCustomChannel(ch) ? { custom: true } : {}),
+              ...(Object.keys(overrides).length > 0 ? { overrides } : {}),
             };
           }),
         };
@@ -358,6 +611,25 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       };
     }
 
+    case 'generate_report': {
+      try {
+        const inputs = await collectReportInputs(args);
+        const result = await writeReport(inputs.assets, {
+          format: args.format,
+          outputPath: args.outputPath,
+          title: args.title,
+          brandProfile: inputs.brandProfile,
+          channels: inputs.target?.channels,
+          scores: inputs.scores,
+          includeImages: args.includeImages,
+        });
+        if (inputs.target) result.platform = inputs.target.label;
+        return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+      } catch (error) {
+        return { content: [{ type: 'text', text: `Could not generate report: ${error.message}` }], isError: true };
+      }
+    }
+
     default:
       return { content: [{ type: 'text', text: `Unknown tool: ${name}` }] };
   }
@@ -365,64 +637,324 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
 // ─── Resources ───────────────────────────────────────────────────
 
+const SPEC_RESOURCES = [
+  {
+    uri: 'ad-creative://specs/all',
+    name: 'All Platform Specs',
+    description: 'Complete database of 50+ advertising platform specifications',
+    mimeType: 'application/json',
+  },
+  {
+    uri: 'ad-creative://specs/social',
+    name: 'Social Platform Specs',
+    description: 'Facebook, Instagram, TikTok, YouTube, LinkedIn, X, Pinterest, etc.',
+    mimeType: 'application/json',
+  },
+  {
+    uri: 'ad-creative://specs/display',
+    name: 'Display Ad Specs',
+    description: 'GDN, TTD, DV360 standard display sizes',
+    mimeType: 'application/json',
+  },
+  {
+    uri: 'ad-creative://packages',
+    name: 'Platform Packages',
+    description: 'Pre-built packages: GDN Essential, Meta Complete, TTD Complete, etc.',
+    mimeType: 'application/json',
+  },
+];
+
+const LIBRARY_RESOURCES = [
+  { uri: 'cav://assets', name: 'Library Assets', description: 'Most recently updated images and videos in your library and your team\'s shared assets' },
+  { uri: 'cav://folders', name: 'Library Folders', description: 'Folders with their asset counts' },
+  { uri: 'cav://companies', name: 'CRM Companies', description: 'Clients and brands in the CRM, with linked assets' },
+  { uri: 'cav://brands', name: 'Brand Profiles', description: 'Brand colors, fonts, logos and guidelines' },
+  { uri: 'cav://analyses', name: 'Past Analyses', description: 'Creative and video analyses, newest first' },
+];
+
+const LIBRARY_TEMPLATES = [
+  { uriTemplate: 'cav://assets{?folder,company,type,limit}', name: 'Filtered Assets', description: 'Assets in a folder, linked to a CRM company, or of a type (image, video)' },
+  { uriTemplate: 'cav://assets/{id}', name: 'Asset', description: 'One asset with metadata and stored validation results' },
+  { uriTemplate: 'cav://folders/{id}', name: 'Folder', description: 'Assets in a folder' },
+  { uriTemplate: 'cav://companies/{id}', name: 'CRM Company', description: 'Company profile, insights, competitors and linked assets' },
+  { uriTemplate: 'cav://brands/{id}', name: 'Brand Profile', description: 'Brand colors, fonts, logos and guidelines' },
+  { uriTemplate: 'cav://analyses{?company,limit}', name: 'Filtered Analyses', description: 'Analyses linked to a CRM company' },
+  { uriTemplate: 'cav://analyses/{id}', name: 'Analysis', description: 'Full creative or video analysis' },
+];
+
+function jsonContents(uri, data) {
+  return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }] };
+}
+
+function requireLibrary() {
+  if (!library) {
+    throw new Error('Library resources need SUPABASE_URL, SUPABASE_ANON_KEY and a CAV_MCP_TOKEN');
+  }
+  return library;
+}
+
+// cav://<kind>[/<id>][?query]
+async function readLibraryResource(uri) {
+  const lib = requireLibrary();
+  const url = new URL(uri);
+  const kind = url.host;
+  const id = url.pathname.length > 1 ? decodeURIComponent(url.pathname.slice(1)) : null;
+  const query = Object.fromEntries(url.searchParams);
+
+  let data;
+  switch (kind) {
+    case 'assets':
+      data = id ? await lib.getAsset(id) : await lib.listAssets(query);
+      break;
+    case 'folders':
+      data = id ? await lib.getFolder(id, query) : await lib.listFolders();
+      break;
+    case 'companies':
+      data = id ? await lib.getCompany(id) : await lib.listCompanies(query);
+      break;
+    case 'brands':
+      data = id ? await lib.getBrandProfile(id) : await lib.listBrandProfiles(query);
+      break;
+    case 'analyses':
+      data = id ? await lib.getAnalysis(id) : await lib.listAnalyses(query);
+      break;
+    default:
+      throw new Error(`Unknown resource: ${uri}`);
+  }
+  if (data == null) throw new Error(`Resource not found: ${uri}`);
+  return jsonContents(uri, data);
+}
+
 server.setRequestHandler(ListResourcesRequestSchema, async () => ({
   resources: [
-    {
-      uri: 'ad-creative://specs/all',
-      name: 'All Platform Specs',
-      description: 'Complete database of 50+ advertising platform specifications',
-      mimeType: 'application/json',
-    },
-    {
-      uri: 'ad-creative://specs/social',
-      name: 'Social Platform Specs',
-      description: 'Facebook, Instagram, TikTok, YouTube, LinkedIn, X, Pinterest, etc.',
-      mimeType: 'application/json',
-    },
-    {
-      uri: 'ad-creative://specs/display',
-      name: 'Display Ad Specs',
-      description: 'GDN, TTD, DV360 standard display sizes',
-      mimeType: 'application/json',
-    },
-    {
-      uri: 'ad-creative://packages',
-      name: 'Platform Packages',
-      description: 'Pre-built packages: GDN Essential, Meta Complete, TTD Complete, etc.',
-      mimeType: 'application/json',
-    },
+    ...SPEC_RESOURCES,
+    ...(library ? LIBRARY_RESOURCES.map(r => ({ ...r, mimeType: 'application/json' })) : []),
   ],
 }));
 
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+  resourceTemplates: library ? LIBRARY_TEMPLATES.map(t => ({ ...t, mimeType: 'application/json' })) : [],
+}));
+
 server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
   const { uri } = request.params;
 
+  if (uri.startsWith('cav://')) return readLibraryResource(uri);
+
   switch (uri) {
     case 'ad-creative://specs/all':
-      return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(CHANNEL_SPECS, null, 2) }] };
+      return jsonContents(uri, getSpecs());
 
-    case 'ad-creative://specs/social': {
-      const social = Object.fromEntries(
-        Object.entries(CHANNEL_SPECS).filter(([, s]) => s.category === 'social')
-      );
-      return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(social, null, 2) }] };
-    }
+    case 'ad-creative://specs/social':
+      return jsonContents(uri, getSpecs({ category: 'social' }));
 
     case 'ad-creative://specs/display': {
       const display = Object.fromEntries(
-        Object.entries(CHANNEL_SPECS).filter(([, s]) => ['gdn', 'ttd', 'dv360'].includes(s.category))
+        Object.entries(getSpecs()).filter(([, s]) => ['gdn', 'ttd', 'dv360'].includes(s.category))
       );
-      return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(display, null, 2) }] };
+      return jsonContents(uri, display);
     }
 
     case 'ad-creative://packages':
-      return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(PLATFORM_PACKAGES, null, 2) }] };
+      return jsonContents(uri, getPlatformPackages());
 
     default:
       throw new Error(`Unknown resource: ${uri}`);
   }
 });
 
+// ─── Prompts ─────────────────────────────────────────────────────
+
+const PLATFORM_ARGUMENT = {
+  name: 'platform',
+  description: 'Package or platform to audit against, e.g. "Meta", "GDN Essential", "TikTok", "Instagram Stories"',
+};
+
+const MAX_PROMPT_ANALYSES = 10;
+
+const PROMPTS = [
+  {
+    name: 'audit_brand_assets',
+    description: 'Audit a brand\'s assets for a platform: spec fit per channel, missing sizes, brand guideline compliance and lessons from past analyses',
+    arguments: [
+      { name: 'brand', description: 'CRM company or brand profile name, e.g. "Northwind Coffee"', required: true },
+      { ...PLATFORM_ARGUMENT, required: true },
+    ],
+  },
+  {
+    name: 'review_folder',
+    description: 'Review a library folder for launch readiness: which assets fit which channels and what to fix or produce next',
+    arguments: [
+      { name: 'folder', description: 'Folder id (see the cav://folders resource)', required: true },
+      { ...PLATFORM_ARGUMENT, required: false },
+    ],
+  },
+];
+
+// Channels for a package name, a platform (icon or channel-name prefix) or
+// a single channel
+function resolvePlatformChannels(platform) {
+  const wanted = platform.trim().toLowerCase();
+  const packages = getPlatformPackages();
+  const packageName = Object.keys(packages).find(n => n.toLowerCase() === wanted)
+    || Object.keys(packages).find(n => n.toLowerCase().split(' ').includes(wanted));
+  if (packageName) return { label: packageName, channels: packages[packageName] };
+
+  const channels = Object.entries(getSpecs())
+    .filter(([name, spec]) => name.toLowerCase() === wanted
+      || name.toLowerCase().startsWith(`${wanted} `)
+      || spec.icon === wanted
+      || spec.category === wanted)
+    .map(([name]) => name);
+  if (channels.length === 0) {
+    throw new Error(`Unknown platform: ${platform}. Use a package (${Object.keys(packages).join(', ')}), a platform such as TikTok, or a channel name.`);
+  }
+  return { label: platform, channels };
+}
+
+// Fit of each library asset against each channel, plus channels no asset covers
+function checkAssets(assets, channels) {
+  const results = assets.map(asset => {
+    const specAsset = { width: asset.width, height: asset.height, type: asset.type, duration: asset.duration, fileSize: asset.fileSize };
+    const fits = [];
+    const fixable = [];
+    for (const channel of channels) {
+      const result = checkChannelCompatibility(specAsset, channel);
+      if (result.reason) continue;
+      if (result.issues.length === 0) fits.push(channel);
+      else fixable.push({ channel, issues: result.issues.map(i => i.message) });
+    }
+    return { id: asset.id, uri: asset.uri, filename: asset.filename, size: `${asset.width}x${asset.height}`, type: asset.type, fits, fixable };
+  });
+  const uncovered = channels.filter(c => !results.some(r => r.fits.includes(c)));
+  return { channels, assets: results, uncovered };
+}
+
+// Assets, brand and AI scores for generate_report. Library lookups need
+// Supabase; inline assets do not.
+async function collectReportInputs(args) {
+  const target = args.platform ? resolvePlatformChannels(args.platform) : null;
+  const assets = [...(args.assets || [])];
+  let brandProfile = null;
+  let scores = null;
+
+  if (args.folder || args.brand || args.assetIds?.length) {
+    const lib = requireLibrary();
+    let scope = {};
+    if (args.brand) {
+      const { company, brandProfile: profile } = await lib.findBrand(args.brand);
+      if (!company && !profile) throw new Error(`No CRM company or brand profile matches "${args.brand}"`);
+      brandProfile = profile || { name: company.name };
+      if (company) assets.push(...await lib.getCompanyAssets(company));
+      scope = company ? { company: company.id } : { brand: args.brand };
+    }
+    if (args.folder) {
+      const contents = await lib.getFolder(args.folder);
+      if (!contents) throw new Error(`Folder not found or empty: ${args.folder}`);
+      assets.push(...contents.assets);
+    }
+    if (args.assetIds?.length) assets.push(...await lib.getAssetsByIds(args.assetIds));
+    scores = await scoresForAssets(lib, assets, scope);
+  }
+
+  // The same library asset can come from the brand and the folder
+  const unique = assets.filter((a, i) => !a.id || assets.findIndex(b => b.id === a.id) === i);
+  if (unique.length === 0) throw new Error('No assets to report on: give a folder, brand, assetIds or assets');
+  return { assets: unique, brandProfile, scores, target };
+}
+
+function resourceMessage(uri, data) {
+  return {
+    role: 'user',
+    content: { type: 'resource', resource: { uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) } },
+  };
+}
+
+function textMessage(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+// Spec checks are computed for the prompt, so they are sent as text rather
+// than as a resource the client could re-read
+function checksMessage(label, checks) {
+  return textMessage(`Spec check for ${label}:\n\n${JSON.stringify(checks, null, 2)}`);
+}
+
+async function auditBrandPrompt({ brand, platform }) {
+  const lib = requireLibrary();
+  const target = resolvePlatformChannels(platform);
+  const { company, brandProfile } = await lib.findBrand(brand);
+  if (!company && !brandProfile) throw new Error(`No CRM company or brand profile matches "${brand}"`);
+
+  const assets = company ? await lib.getCompanyAssets(company) : [];
+  const analyses = await lib.listAnalyses(company ? { company: company.id } : { brand });
+  const checks = checkAssets(assets, target.channels);
+
+  const messages = [
+    textMessage([
+      `Audit ${company?.name || brandProfile.name}'s creative assets for ${target.label} (${target.channels.length} channels).`,
+      '',
+      'Using the resources below:',
+      '1. For each channel, say which assets are ready, which can be fixed by resizing/cropping, and which channels have no usable asset.',
+      '2. Check each asset against the brand profile (colors, fonts, logo use, guidelines) where the metadata or analyses allow.',
+      '3. Pull recurring weaknesses from the past analyses and say how new creative should address them.',
+      '4. Finish with a prioritised production list: asset, target channel, size, and what to change.',
+      '',
+      'The spec check was run by the validator against the current channel registry; treat it as authoritative for sizes and durations.',
+    ].join('\n')),
+  ];
+  if (brandProfile) messages.push(resourceMessage(brandProfile.uri, brandProfile));
+  if (company) messages.push(resourceMessage(company.uri, company));
+  messages.push(checksMessage(target.label, checks));
+  // Full text of the most recent analyses; older ones stay readable by URI
+  const recent = await Promise.all(analyses.slice(0, MAX_PROMPT_ANALYSES).map(a => lib.getAnalysis(a.id)));
+  for (const analysis of recent.filter(Boolean)) messages.push(resourceMessage(analysis.uri, analysis));
+
+  return { description: `Audit ${company?.name || brandProfile.name} for ${target.label}`, messages };
+}
+
+async function reviewFolderPrompt({ folder, platform }) {
+  const lib = requireLibrary();
+  const contents = await lib.getFolder(folder);
+  if (!contents) throw new Error(`Folder not found or empty: ${folder}`);
+
+  const target = platform
+    ? resolvePlatformChannels(platform)
+    : { label: 'all channels', channels: Object.keys(getSpecs()) };
+  const checks = checkAssets(contents.assets, target.channels);
+  // Without a platform, the full uncovered list is noise
+  if (!platform) delete checks.uncovered;
+  delete checks.channels;
+
+  return {
+    description: `Review folder ${folder}${platform ? ` for ${target.label}` : ''}`,
+    messages: [
+      textMessage([
+        `Review the ${contents.assetCount} assets in folder "${folder}" for launch readiness on ${target.label}.`,
+        '',
+        'Group the assets by what they are ready for, list the fixes needed for the rest (resize, crop, trim, compress)'
+          + `${platform ? ', name the channels no asset covers yet' : ''} and flag duplicates or drafts that should not ship.`,
+      ].join('\n')),
+      resourceMessage(contents.uri, contents),
+      checksMessage(target.label, checks),
+    ],
+  };
+}
+
+server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+  prompts: library ? PROMPTS : [],
+}));
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  const { name, arguments: args = {} } = request.params;
+  const prompt = PROMPTS.find(p => p.name === name);
+  if (!prompt) throw new Error(`Unknown prompt: ${name}`);
+  const missing = prompt.arguments.filter(a => a.required && !args[a.name]).map(a => a.name);
+  if (missing.length > 0) throw new Error(`Missing argument: ${missing.join(', ')}`);
+
+  return name === 'audit_brand_assets' ? auditBrandPrompt(args) : reviewFolderPrompt(args);
+});
+
 // ─── Start ───────────────────────────────────────────────────────
 
 const transport = new StdioServerTransport();
@@ -0,0 +1,462 @@
+// Read-only view of a workspace library in Supabase (assets, folders, CRM
+// companies, brand profiles and past analyses) for MCP resources and prompts.
+// Rows are read with the anon key through the mcp_library_<table> functions
+// of migration 033, which check the per-user MCP access token in the
+// database: a token sees its owner's rows plus rows their team shared (same
+// email domain, never a public mail domain), limited to the token's scopes.
+// Only issuing tokens needs the service role key. Point SUPABASE_URL at
+// scripts/supabase-standin.js to run against fixtures.
+
+import { createHash, randomBytes } from 'node:crypto';
+
+export const TOKEN_SCOPES = ['assets', 'crm', 'analyses'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+// Folders only exist as metadata.folderId on assets, so they are grouped
+// from this many recent assets
+const FOLDER_SCAN_LIMIT = 1000;
+// How long a token lookup is trusted before it is checked again, so a
+// revoked token stops working without restarting the server
+const TOKEN_RECHECK_MS = 5 * 60 * 1000;
+
+// Scope and soft-delete filter per table. Which rows a token may read is
+// decided by the table's mcp_library_<table> function.
+const TABLES = {
+  assets: { scope: 'assets', filters: { deleted_at: 'is.null', is_trashed: 'not.is.true' } },
+  companies: { scope: 'crm', filters: { deleted_at: 'is.null' } },
+  brand_profiles: { scope: 'crm', filters: {} },
+  creative_analyses: { scope: 'analyses', filters: { deleted_at: 'is.null' } },
+  video_analyses: { scope: 'analyses', filters: { deleted_at: 'is.null' } },
+};
+
+// Errors the migration 033 functions raise, by SQLSTATE
+const TOKEN_ERRORS = { 28000: 'unauthenticated', 42501: 'forbidden' };
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export class LibraryError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'LibraryError';
+    this.code = code;
+  }
+}
+
+export function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+// PostgREST values inside or=(...) are quoted so dots, commas and
+// parentheses in emails or names do not split the expression
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function parseJson(value, fallback) {
+  if (value == null) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function clampLimit(limit, max = MAX_LIMIT) {
+  const n = Number(limit) || DEFAULT_LIMIT;
+  return Math.max(1, Math.min(max, n));
+}
+
+function rowId(row) {
+  return row.uuid || row.id;
+}
+
+// ─── Record shapes ───────────────────────────────────────────────
+
+function assetType(row) {
+  const mime = row.mime_type || row.file_type || '';
+  return mime.startsWith('video') || row.file_type === 'video' ? 'video' : 'image';
+}
+
+function toAsset(row) {
+  const metadata = parseJson(row.metadata, {});
+  return {
+    id: rowId(row),
+    uri: `cav://assets/${encodeURIComponent(rowId(row))}`,
+    filename: row.filename || row.name,
+    type: assetType(row),
+    mimeType: row.mime_type || null,
+    width: row.width,
+    height: row.height,
+    duration: row.duration ?? null,
+    fileSize: row.file_size ?? null,
+    tags: parseJson(row.tags, []),
+    channels: row.channels || [],
+    status: row.status || null,
+    folderId: metadata.folderId || null,
+    companyId: metadata.companyId || null,
+    url: row.cloudinary_url || row.external_url || null,
+    thumbnailUrl: row.thumbnail_url || null,
+    cloudinaryId: row.cloudinary_id || null,
+    owner: row.owner_email || row.user_email,
+    team: Boolean(row.is_team),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function toAssetDetail(row) {
+  return {
+    ...toAsset(row),
+    metadata: parseJson(row.metadata, {}),
+    validationResults: parseJson(row.validation_results, null),
+  };
+}
+
+function toCompany(row) {
+  return {
+    id: rowId(row),
+    uri: `cav://companies/${encodeURIComponent(rowId(row))}`,
+    name: row.name,
+    type: row.type || null,
+    industry: row.industry || null,
+    website: row.website || null,
+    description: row.description || null,
+    tags: parseJson(row.tags, []),
+    linkedAssets: parseJson(row.linked_assets, []),
+    owner: row.user_email,
+    shared: Boolean(row.is_shared),
+    updatedAt: row.updated_at,
+  };
+}
+
+function toCompanyDetail(row) {
+  return {
+    ...toCompany(row),
+    enrichedData: parseJson(row.enriched_data, {}),
+    strategyInsights: parseJson(row.strategy_insights, {}),
+    competitors: parseJson(row.competitors, []),
+    benchmarks: parseJson(row.benchmarks, []),
+    bestPractices: parseJson(row.best_practices, []),
+  };
+}
+
+function toBrandProfile(row) {
+  return {
+    id: rowId(row),
+    uri: `cav://brands/${encodeURIComponent(rowId(row))}`,
+    name: row.name,
+    colors: parseJson(row.colors, {}),
+    fonts: parseJson(row.fonts, {}),
+    logos: parseJson(row.logos, {}),
+    guidelines: row.guidelines || null,
+    isDefault: Boolean(row.is_default),
+    owner: row.user_email,
+    updatedAt: row.updated_at,
+  };
+}
+
+function toAnalysis(row, kind) {
+  return {
+    id: rowId(row),
+    uri: `cav://analyses/${encodeURIComponent(rowId(row))}`,
+    kind,
+    filename: kind === 'video' ? row.filename : row.asset_filename,
+    assetId: row.asset_id || null,
+    companyId: row.linked_company_id || null,
+    detectedBrand: row.detected_brand || null,
+    overallScore: row.overall_score == null ? null : Number(row.overall_score),
+    owner: row.user_email,
+    analyzedAt: row.analyzed_at || row.created_at,
+  };
+}
+
+function toAnalysisDetail(row, kind) {
+  const detail = { ...toAnalysis(row, kind), analysis: parseJson(row.analysis, {}) };
+  if (kind === 'video') {
+    Object.assign(detail, {
+      duration: row.duration ?? null,
+      scenes: parseJson(row.scenes, []),
+      transcription: row.transcription || null,
+    });
+  } else {
+    Object.assign(detail, {
+      hookAnalysis: parseJson(row.hook_analysis, {}),
+      ctaAnalysis: parseJson(row.cta_analysis, {}),
+      brandCompliance: parseJson(row.brand_compliance, {}),
+      thumbStopScore: row.thumb_stop_score == null ? null : Number(row.thumb_stop_score),
+      performancePrediction: parseJson(row.performance_prediction, {}),
+    });
+  }
+  return detail;
+}
+
+// ─── Library ─────────────────────────────────────────────────────
+
+export class Library {
+  /**
+   * @param {Object} options - { url, key, token }: Supabase project URL, anon
+   *   key (the service role key only for createToken) and the user's MCP
+   *   access token
+   */
+  constructor({ url, key, token }) {
+    this.url = url.replace(/\/+$/, '');
+    this.key = key;
+    this.token = token;
+    this.access = null;
+    this.checkedAt = 0;
+  }
+
+  async request(table, params, { method = 'GET', body } = {}) {
+    const query = new URLSearchParams(params).toString();
+    const response = await fetch(`${this.url}/rest/v1/${table}${query ? `?${query}` : ''}`, {
+      method,
+      headers: {
+        apikey: this.key,
+        Authorization: `Bearer ${this.key}`,
+        'Content-Type': 'application/json',
+        ...(body && !table.startsWith('rpc/') ? { Prefer: 'return=representation' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!response.ok) {
+      const detail = await response.text();
+      const code = TOKEN_ERRORS[parseJson(detail, {}).code];
+      if (code) throw new LibraryError(parseJson(detail, {}).message, code);
+      throw new LibraryError(`Supabase ${method} ${table} failed (HTTP ${response.status}): ${detail}`, 'request_failed');
+    }
+    return response.json();
+  }
+
+  // Functions of migration 033 take the token as their argument
+  rpc(name, params = {}) {
+    return this.request(`rpc/${name}`, params, { method: 'POST', body: { p_token: this.token } });
+  }
+
+  /**
+   * Resolve the access token to { email, scopes, team }. The database checks
+   * it again on every read; this is for early errors and hasScope().
+   */
+  async authenticate() {
+    if (this.access && Date.now() - this.checkedAt < TOKEN_RECHECK_MS) return this.access;
+    this.access = null;
+    if (!this.token) throw new LibraryError('No MCP access token configured (CAV_MCP_TOKEN)', 'unauthenticated');
+
+    const [row] = await this.rpc('mcp_token_access');
+    if (!row) throw new LibraryError('Invalid, revoked or expired MCP access token', 'unauthenticated');
+    this.access = {
+      email: row.email,
+      scopes: row.scopes?.length ? row.scopes : TOKEN_SCOPES,
+      team: row.include_team !== false,
+    };
+    this.checkedAt = Date.now();
+    return this.access;
+  }
+
+  hasScope(scope) {
+    return Boolean(this.access?.scopes.includes(scope));
+  }
+
+  /**
+   * Scoped select. filters are PostgREST column filters (e.g. { id: 'eq.x' });
+   * or is an or=(...) expression.
+   */
+  async select(table, { filters = {}, or, order = 'updated_at.desc.nullslast', limit = DEFAULT_LIMIT } = {}) {
+    await this.authenticate();
+    const config = TABLES[table];
+    if (!this.hasScope(config.scope)) {
+      throw new LibraryError(`Access token does not include the "${config.scope}" scope`, 'forbidden');
+    }
+
+    const params = { select: '*', ...config.filters, ...filters, order, limit: String(clampLimit(limit, FOLDER_SCAN_LIMIT)) };
+    if (or) params.or = or;
+    return this.rpc(`mcp_library_${table}`, params);
+  }
+
+  async selectById(table, id) {
+    const or = UUID_PATTERN.test(id) ? `(id.eq.${quote(id)},uuid.eq.${quote(id)})` : `(uuid.eq.${quote(id)})`;
+    const [row] = await this.select(table, { or, limit: 1 });
+    return row || null;
+  }
+
+  // ─── Assets and folders ────────────────────────────────────────
+
+  /**
+   * @param {Object} [options] - { folder, company, type, limit }
+   */
+  async listAssets({ folder, company, type, limit } = {}) {
+    const filters = {};
+    if (type) filters.file_type = `ilike.${type}*`;
+    // Folder and company links live in the metadata JSON, which older
+    // clients stored as a string, so those are filtered here
+    if (folder || company) {
+      const rows = await this.select('assets', { filters, limit: FOLDER_SCAN_LIMIT });
+      return rows.map(toAsset)
+        .filter(a => (!folder || a.folderId === folder) && (!company || a.companyId === company))
+        .slice(0, clampLimit(limit));
+    }
+    return (await this.select('assets', { filters, limit })).map(toAsset);
+  }
+
+  async getAsset(id) {
+    const row = await this.selectById('assets', id);
+    return row ? toAssetDetail(row) : null;
+  }
+
+  async getAssetsByIds(ids) {
+    const wanted = ids.filter(Boolean).map(String);
+    if (wanted.length === 0) return [];
+    const list = wanted.map(quote).join(',');
+    const uuids = wanted.filter(id => UUID_PATTERN.test(id)).map(quote).join(',');
+    const or = uuids ? `(uuid.in.(${list}),id.in.(${uuids}))` : `(uuid.in.(${list}))`;
+    return (await this.select('assets', { or, limit: wanted.length })).map(toAsset);
+  }
+
+  async listFolders() {
+    const assets = (await this.select('assets', { limit: FOLDER_SCAN_LIMIT })).map(toAsset);
+    const folders = new Map();
+    for (const asset of assets) {
+      if (!asset.folderId) continue;
+      const folder = folders.get(asset.folderId) || {
+        id: asset.folderId,
+        uri: `cav://folders/${encodeURIComponent(asset.folderId)}`,
+        assetCount: 0,
+        lastUpdated: null,
+      };
+      folder.assetCount++;
+      if (!folder.lastUpdated || asset.updatedAt > folder.lastUpdated) folder.lastUpdated = asset.updatedAt;
+      folders.set(asset.folderId, folder);
+    }
+    return [...folders.values()].sort((a, b) => b.assetCount - a.assetCount);
+  }
+
+  async getFolder(id, { limit } = {}) {
+    const assets = await this.listAssets({ folder: id, limit });
+    if (assets.length === 0) return null;
+    return { id, uri: `cav://folders/${encodeURIComponent(id)}`, assetCount: assets.length, assets };
+  }
+
+  // ─── CRM ───────────────────────────────────────────────────────
+
+  async listCompanies({ limit } = {}) {
+    return (await this.select('companies', { limit })).map(toCompany);
+  }
+
+  async getCompany(id) {
+    const row = await this.selectById('companies', id);
+    return row ? toCompanyDetail(row) : null;
+  }
+
+  async listBrandProfiles({ limit } = {}) {
+    return (await this.select('brand_profiles', { limit })).map(toBrandProfile);
+  }
+
+  async getBrandProfile(id) {
+    const row = await this.selectById('brand_profiles', id);
+    return row ? toBrandProfile(row) : null;
+  }
+
+  /**
+   * Find a brand by name across CRM companies and brand profiles.
+   * @returns {Promise<{company: Object|null, brandProfile: Object|null}>}
+   */
+  async findBrand(name) {
+    const filters = { name: `ilike.*${name.replace(/[*,()]/g, ' ').trim()}*` };
+    const [companies, profiles] = await Promise.all([
+      this.select('companies', { filters, limit: 10 }),
+      this.select('brand_profiles', { filters, limit: 10 }),
+    ]);
+    // Prefer an exact (case-insensitive) name match over a partial one
+    const pick = rows => rows.find(r => r.name?.toLowerCase() === name.toLowerCase()) || rows[0] || null;
+    const company = pick(companies);
+    const brandProfile = pick(profiles);
+    return {
+      company: company ? toCompanyDetail(company) : null,
+      brandProfile: brandProfile ? toBrandProfile(brandProfile) : null,
+    };
+  }
+
+  // Assets linked in the CRM plus assets tagged with the company in metadata
+  async getCompanyAssets(company, { limit } = {}) {
+    const [linked, tagged] = await Promise.all([
+      this.getAssetsByIds(company.linkedAssets.map(a => (typeof a === 'object' ? a.id : a))),
+      this.listAssets({ company: company.id, limit }),
+    ]);
+    const assets = new Map([...linked, ...tagged].map(a => [a.id, a]));
+    return [...assets.values()].slice(0, clampLimit(limit));
+  }
+
+  // ─── Analyses ──────────────────────────────────────────────────
+
+  /**
+   * Creative and video analyses, newest first. brand matches the brand the
+   * creative analysis detected, for brands without a CRM company; video
+   * analyses only link to companies.
+   * @param {Object} [options] - { company, brand, limit }
+   */
+  async listAnalyses({ company, brand, limit } = {}) {
+    const filters = {};
+    if (company) filters.linked_company_id = `eq.${company}`;
+    const creativeFilters = { ...filters };
+    if (brand && !company) creativeFilters.detected_brand = `ilike.*${brand}*`;
+
+    const [creative, video] = await Promise.all([
+      this.select('creative_analyses', { filters: creativeFilters, limit }),
+      brand && !company ? [] : this.select('video_analyses', { filters, limit }),
+    ]);
+    return [
+      ...creative.map(row => toAnalysis(row, 'creative')),
+      ...video.map(row => toAnalysis(row, 'video')),
+    ]
+      .sort((a, b) => String(b.analyzedAt).localeCompare(String(a.analyzedAt)))
+      .slice(0, clampLimit(limit));
+  }
+
+  async getAnalysis(id) {
+    const creative = await this.selectById('creative_analyses', id);
+    if (creative) return toAnalysisDetail(creative, 'creative');
+    const video = await this.selectById('video_analyses', id);
+    return video ? toAnalysisDetail(video, 'video') : null;
+  }
+
+  // ─── Tokens ────────────────────────────────────────────────────
+
+  /**
+   * Issue a token for a user. Only the hash is stored; the token itself is
+   * returned once. Needs the service role key (createLibraryFromEnv with
+   * admin), as tokens are not readable or writable with the anon key.
+   * @param {Object} options - { email, label, scopes, team, expiresAt }
+   */
+  async createToken({ email, label, scopes = TOKEN_SCOPES, team = true, expiresAt = null }) {
+    const unknown = scopes.filter(s => !TOKEN_SCOPES.includes(s));
+    if (unknown.length > 0) {
+      throw new LibraryError(`Unknown scope: ${unknown.join(', ')}. Available: ${TOKEN_SCOPES.join(', ')}`, 'invalid_scope');
+    }
+    const token = `cav_${randomBytes(24).toString('base64url')}`;
+    const [row] = await this.request('mcp_access_tokens', {}, {
+      method: 'POST',
+      body: {
+        token_hash: hashToken(token),
+        user_email: email.toLowerCase(),
+        label: label || null,
+        scopes,
+        include_team: team,
+        expires_at: expiresAt,
+      },
+    });
+    return { token, id: row?.id, email: email.toLowerCase(), scopes, team, expiresAt };
+  }
+}
+
+/**
+ * Library for the environment, or null when Supabase is not configured.
+ * SUPABASE_URL, SUPABASE_ANON_KEY and CAV_MCP_TOKEN; with admin (issuing
+ * tokens), SUPABASE_SERVICE_ROLE_KEY instead of the anon key.
+ */
+export function createLibraryFromEnv(env = process.env, { admin = false } = {}) {
+  const url = env.SUPABASE_URL;
+  const key = admin ? env.SUPABASE_SERVICE_ROLE_KEY : env.SUPABASE_ANON_KEY;
+  if (!url || !key) return null;
+  return new Library({ url, key, token: env.CAV_MCP_TOKEN });
+}
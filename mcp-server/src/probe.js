@@ -0,0 +1,577 @@
+// Media metadata probing without native dependencies.
+// Reads image headers (PNG, JPEG, GIF, WebP, BMP) and MP4/MOV or WebM/MKV
+// containers to get dimensions, duration, codecs, frame rate, bitrate and
+// audio track info. Sources can be local files, buffers or HTTP URLs.
+// Loudness needs the audio decoded and is measured separately with ffmpeg
+// when it is installed (measureLoudness).
+
+import { execFile } from 'node:child_process';
+import { open, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+
+const execFileAsync = promisify(execFile);
+
+export const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp'];
+export const VIDEO_EXTENSIONS = ['.mp4', '.m4v', '.mov', '.webm', '.mkv'];
+
+// ─── Sources ─────────────────────────────────────────────────────
+
+// Random-access reader over a file handle, so large videos are never read whole.
+class FileSource {
+  constructor(handle, size) {
+    this.handle = handle;
+    this.size = size;
+  }
+
+  async read(offset, length) {
+    const len = Math.max(0, Math.min(length, this.size - offset));
+    const buffer = Buffer.alloc(len);
+    if (len > 0) await this.handle.read(buffer, 0, len, offset);
+    return buffer;
+  }
+}
+
+class BufferSource {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.size = buffer.length;
+  }
+
+  async read(offset, length) {
+    return this.buffer.subarray(offset, Math.min(offset + length, this.size));
+  }
+}
+
+// Reads byte ranges over HTTP (Cloudinary delivery URLs support Range requests)
+class HttpSource {
+  constructor(url, size) {
+    this.url = url;
+    this.size = size;
+  }
+
+  static async open(url) {
+    const response = await fetch(url, { method: 'HEAD' });
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    const size = Number(response.headers.get('content-length'));
+    if (!size) throw new Error(`Server did not report a size for ${url}`);
+    return new HttpSource(url, size);
+  }
+
+  async read(offset, length) {
+    const end = Math.min(offset + length, this.size) - 1;
+    if (end < offset) return Buffer.alloc(0);
+    const response = await fetch(this.url, { headers: { Range: `bytes=${offset}-${end}` } });
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${this.url}`);
+    const buffer = Buffer.from(await response.arrayBuffer());
+    // Servers that ignore Range send the whole body
+    return response.status === 206 ? buffer : buffer.subarray(offset, end + 1);
+  }
+}
+
+// ─── Format Detection ────────────────────────────────────────────
+
+function detectFormat(head) {
+  if (head.length >= 8 && head.readUInt32BE(0) === 0x89504e47) return 'png';
+  if (head.length >= 3 && head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'jpeg';
+  if (head.length >= 6 && head.toString('ascii', 0, 3) === 'GIF') return 'gif';
+  if (head.length >= 12 && head.toString('ascii', 0, 4) === 'RIFF' && head.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  if (head.length >= 2 && head.toString('ascii', 0, 2) === 'BM') return 'bmp';
+  if (head.length >= 4 && head.readUInt32BE(0) === 0x1a45dfa3) return 'webm';
+  if (head.length >= 8 && ['ftyp', 'moov', 'mdat', 'free', 'wide', 'skip'].includes(head.toString('ascii', 4, 8))) return 'mp4';
+  return null;
+}
+
+// ─── Images ──────────────────────────────────────────────────────
+
+async function probeJpeg(source) {
+  let offset = 2;
+  while (offset < source.size) {
+    const marker = await source.read(offset, 4);
+    if (marker.length < 4 || marker[0] !== 0xff) break;
+    const code = marker[1];
+    // Standalone markers carry no length
+    if (code === 0xd8 || code === 0x01 || (code >= 0xd0 && code <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    const length = marker.readUInt16BE(2);
+    const isSOF = code >= 0xc0 && code <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(code);
+    if (isSOF) {
+      const sof = await source.read(offset + 5, 4);
+      return { height: sof.readUInt16BE(0), width: sof.readUInt16BE(2) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+function probeWebp(head) {
+  const chunk = head.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { width: head.readUInt16LE(26) & 0x3fff, height: head.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = head.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: head.readUIntLE(24, 3) + 1, height: head.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+async function probeImage(format, head, source) {
+  switch (format) {
+    case 'png':
+      return { width: head.readUInt32BE(16), height: head.readUInt32BE(20) };
+    case 'gif':
+      return { width: head.readUInt16LE(6), height: head.readUInt16LE(8) };
+    case 'bmp':
+      return { width: head.readInt32LE(18), height: Math.abs(head.readInt32LE(22)) };
+    case 'webp':
+      return probeWebp(head);
+    case 'jpeg':
+      return probeJpeg(source);
+    default:
+      return null;
+  }
+}
+
+// ─── MP4 / MOV ───────────────────────────────────────────────────
+
+function readBoxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) break;
+    boxes.push({ type, start: offset + headerSize, end: Math.min(offset + size, end) });
+    offset += size;
+  }
+  return boxes;
+}
+
+function findBox(buffer, parent, type) {
+  return readBoxes(buffer, parent.start, parent.end).find(b => b.type === type) || null;
+}
+
+function findPath(buffer, parent, types) {
+  let box = parent;
+  for (const type of types) {
+    box = box && findBox(buffer, box, type);
+  }
+  return box;
+}
+
+// Version 0 boxes use 32-bit times, version 1 use 64-bit
+function readTimeFields(buffer, box) {
+  const version = buffer[box.start];
+  if (version === 1) {
+    return {
+      timescale: buffer.readUInt32BE(box.start + 20),
+      duration: Number(buffer.readBigUInt64BE(box.start + 24)),
+      next: box.start + 32,
+    };
+  }
+  return {
+    timescale: buffer.readUInt32BE(box.start + 12),
+    duration: buffer.readUInt32BE(box.start + 16),
+    next: box.start + 20,
+  };
+}
+
+// Sample entry fourcc -> codec name
+const MP4_CODECS = {
+  avc1: 'h264', avc3: 'h264',
+  hvc1: 'hevc', hev1: 'hevc',
+  apch: 'prores', apcn: 'prores', apcs: 'prores', apco: 'prores', ap4h: 'prores', ap4x: 'prores',
+  vp08: 'vp8', vp09: 'vp9', av01: 'av1', mp4v: 'mpeg4',
+  mp4a: 'aac', Opus: 'opus', 'ac-3': 'ac3', 'ec-3': 'eac3', '.mp3': 'mp3', lpcm: 'pcm', sowt: 'pcm', twos: 'pcm',
+};
+
+function parseSampleTables(buffer, trak, track) {
+  const stbl = findPath(buffer, trak, ['mdia', 'minf', 'stbl']);
+  if (!stbl) return;
+
+  const stsd = findBox(buffer, stbl, 'stsd');
+  if (stsd) {
+    // version/flags(4) + entry_count(4), then the first sample entry box
+    const entry = readBoxes(buffer, stsd.start + 8, stsd.end)[0];
+    if (entry) {
+      track.codecTag = entry.type;
+      track.codec = MP4_CODECS[entry.type] || entry.type.trim();
+      if (track.handler === 'soun') {
+        track.channels = buffer.readUInt16BE(entry.start + 16);
+        track.sampleRate = buffer.readUInt32BE(entry.start + 24) / 65536;
+      }
+    }
+  }
+
+  const stts = findBox(buffer, stbl, 'stts');
+  if (stts) {
+    const count = buffer.readUInt32BE(stts.start + 4);
+    let samples = 0;
+    for (let i = 0; i < count; i++) samples += buffer.readUInt32BE(stts.start + 8 + i * 8);
+    track.sampleCount = samples;
+  }
+
+  const stsz = findBox(buffer, stbl, 'stsz');
+  if (stsz) {
+    const sampleSize = buffer.readUInt32BE(stsz.start + 4);
+    const count = buffer.readUInt32BE(stsz.start + 8);
+    let bytes = sampleSize * count;
+    if (sampleSize === 0) {
+      for (let i = 0; i < count; i++) bytes += buffer.readUInt32BE(stsz.start + 12 + i * 4);
+    }
+    track.bytes = bytes;
+  }
+}
+
+function parseTrack(buffer, trak) {
+  const hdlr = findPath(buffer, trak, ['mdia', 'hdlr']);
+  const handler = hdlr ? buffer.toString('ascii', hdlr.start + 8, hdlr.start + 12) : null;
+  const track = { handler };
+
+  const tkhd = findBox(buffer, trak, 'tkhd');
+  if (tkhd) {
+    const version = buffer[tkhd.start];
+    const matrixStart = tkhd.start + (version === 1 ? 52 : 40);
+    const widthOffset = matrixStart + 36;
+    track.width = buffer.readUInt32BE(widthOffset) / 65536;
+    track.height = buffer.readUInt32BE(widthOffset + 4) / 65536;
+    // A 90/270 degree rotation matrix means the display size is swapped
+    const a = buffer.readInt32BE(matrixStart);
+    const b = buffer.readInt32BE(matrixStart + 4);
+    track.rotated = a === 0 && Math.abs(b) === 65536;
+  }
+
+  const mdhd = findPath(buffer, trak, ['mdia', 'mdhd']);
+  if (mdhd) {
+    const { timescale, duration } = readTimeFields(buffer, mdhd);
+    track.timescale = timescale;
+    track.duration = timescale ? duration / timescale : null;
+  }
+
+  parseSampleTables(buffer, trak, track);
+  if (track.duration && track.sampleCount && handler === 'vide') {
+    track.frameRate = track.sampleCount / track.duration;
+  }
+  if (track.duration && track.bytes) {
+    track.bitrateKbps = (track.bytes * 8) / track.duration / 1000;
+  }
+
+  return track;
+}
+
+async function probeMp4(source) {
+  const top = [];
+  let offset = 0;
+  while (offset + 8 <= source.size) {
+    const header = await source.read(offset, 16);
+    let size = header.readUInt32BE(0);
+    const type = header.toString('ascii', 4, 8);
+    if (size === 1) size = Number(header.readBigUInt64BE(8));
+    if (size === 0) size = source.size - offset;
+    if (size < 8) break;
+    top.push({ type, offset, size });
+    if (type === 'moov') break;
+    offset += size;
+  }
+
+  const moovInfo = top.find(b => b.type === 'moov');
+  if (!moovInfo) return null;
+
+  const buffer = await source.read(moovInfo.offset, moovInfo.size);
+  const moov = readBoxes(buffer, 0, buffer.length)[0];
+  const result = {};
+
+  const mvhd = findBox(buffer, moov, 'mvhd');
+  if (mvhd) {
+    const { timescale, duration } = readTimeFields(buffer, mvhd);
+    if (timescale) result.duration = duration / timescale;
+  }
+
+  const tracks = readBoxes(buffer, moov.start, moov.end)
+    .filter(b => b.type === 'trak')
+    .map(trak => parseTrack(buffer, trak));
+
+  const video = tracks.find(t => t.handler === 'vide');
+  if (video) {
+    result.width = Math.round(video.rotated ? video.height : video.width);
+    result.height = Math.round(video.rotated ? video.width : video.height);
+    if (result.duration == null) result.duration = video.duration;
+    result.videoCodec = video.codec || null;
+    result.frameRate = video.frameRate || null;
+    result.videoBitrateKbps = video.bitrateKbps || null;
+  }
+
+  const audio = tracks.find(t => t.handler === 'soun');
+  result.hasAudio = Boolean(audio);
+  if (audio) {
+    result.audioCodec = audio.codec || null;
+    result.audioChannels = audio.channels || null;
+    result.audioSampleRate = audio.sampleRate || null;
+  }
+
+  return result;
+}
+
+// ─── WebM / Matroska ─────────────────────────────────────────────
+
+const EBML = {
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  DefaultDuration: 0x23e383,
+  Video: 0xe0,
+  Audio: 0xe1,
+  SamplingFrequency: 0xb5,
+  Channels: 0x9f,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  DisplayWidth: 0x54b0,
+  DisplayHeight: 0x54ba,
+  Cluster: 0x1f43b675,
+};
+
+const EBML_MASTERS = new Set([EBML.Segment, EBML.Info, EBML.Tracks, EBML.TrackEntry, EBML.Video, EBML.Audio]);
+
+// Matroska CodecID -> codec name
+const WEBM_CODECS = {
+  V_VP8: 'vp8', V_VP9: 'vp9', V_AV1: 'av1', 'V_MPEG4/ISO/AVC': 'h264', 'V_MPEGH/ISO/HEVC': 'hevc', V_PRORES: 'prores',
+  A_OPUS: 'opus', A_VORBIS: 'vorbis', A_AAC: 'aac', A_AC3: 'ac3', A_EAC3: 'eac3', 'A_MPEG/L3': 'mp3',
+};
+
+function readVint(buffer, offset, keepMarker) {
+  const first = buffer[offset];
+  if (first === undefined) return null;
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || offset + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    if (buffer[offset + i] !== 0xff) allOnes = false;
+  }
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+function readUInt(buffer, start, size) {
+  let value = 0;
+  for (let i = 0; i < size; i++) value = value * 256 + buffer[start + i];
+  return value;
+}
+
+function walkEbml(buffer, start, end, visit) {
+  let offset = start;
+  while (offset < end) {
+    const id = readVint(buffer, offset, true);
+    if (!id) return;
+    const size = readVint(buffer, offset + id.length, false);
+    if (!size) return;
+    const dataStart = offset + id.length + size.length;
+    const dataEnd = size.unknown ? end : Math.min(dataStart + size.value, end);
+    if (id.value === EBML.Cluster) return;
+    if (visit(id.value, dataStart, dataEnd) !== false && EBML_MASTERS.has(id.value)) {
+      walkEbml(buffer, dataStart, dataEnd, visit);
+    }
+    offset = dataEnd;
+  }
+}
+
+// Info and Tracks precede the first Cluster, so the file head is enough
+const WEBM_HEAD_BYTES = 4 * 1024 * 1024;
+
+async function probeWebm(source) {
+  const buffer = await source.read(0, WEBM_HEAD_BYTES);
+  const result = {};
+  let timecodeScale = 1000000;
+  let rawDuration = null;
+  let track = null;
+  const tracks = [];
+
+  walkEbml(buffer, 0, buffer.length, (id, start, end) => {
+    switch (id) {
+      case EBML.TimecodeScale:
+        timecodeScale = readUInt(buffer, start, end - start);
+        break;
+      case EBML.Duration:
+        rawDuration = end - start === 4 ? buffer.readFloatBE(start) : buffer.readDoubleBE(start);
+        break;
+      case EBML.TrackEntry:
+        track = {};
+        tracks.push(track);
+        break;
+      case EBML.TrackType:
+        if (track) track.type = readUInt(buffer, start, end - start);
+        break;
+      case EBML.PixelWidth:
+        if (track) track.width = readUInt(buffer, start, end - start);
+        break;
+      case EBML.PixelHeight:
+        if (track) track.height = readUInt(buffer, start, end - start);
+        break;
+      case EBML.CodecID:
+        if (track) track.codecId = buffer.toString('ascii', start, end).replace(/\0+$/, '');
+        break;
+      case EBML.DefaultDuration:
+        if (track) track.frameDurationNs = readUInt(buffer, start, end - start);
+        break;
+      case EBML.SamplingFrequency:
+        if (track) track.sampleRate = end - start === 4 ? buffer.readFloatBE(start) : buffer.readDoubleBE(start);
+        break;
+      case EBML.Channels:
+        if (track) track.channels = readUInt(buffer, start, end - start);
+        break;
+    }
+  });
+
+  if (rawDuration != null) result.duration = (rawDuration * timecodeScale) / 1e9;
+  const video = tracks.find(t => t.type === 1);
+  if (video) {
+    result.width = video.width;
+    result.height = video.height;
+    result.videoCodec = WEBM_CODECS[video.codecId] || video.codecId || null;
+    result.frameRate = video.frameDurationNs ? 1e9 / video.frameDurationNs : null;
+  }
+
+  const audio = tracks.find(t => t.type === 2);
+  result.hasAudio = Boolean(audio);
+  if (audio) {
+    result.audioCodec = WEBM_CODECS[audio.codecId] || audio.codecId || null;
+    result.audioChannels = audio.channels || null;
+    result.audioSampleRate = audio.sampleRate || null;
+  }
+  return result;
+}
+
+// ─── Public API ──────────────────────────────────────────────────
+
+const IMAGE_FORMATS = ['png', 'jpeg', 'gif', 'webp', 'bmp'];
+
+async function probeSource(source, name) {
+  const head = await source.read(0, 64);
+  const format = detectFormat(head);
+  if (!format) {
+    throw new Error(`Unsupported or unrecognized media file: ${name}`);
+  }
+
+  const type = IMAGE_FORMATS.includes(format) ? 'image' : 'video';
+  const info = type === 'image'
+    ? await probeImage(format, head, source)
+    : format === 'webm' ? await probeWebm(source) : await probeMp4(source);
+
+  if (!info || !info.width || !info.height) {
+    throw new Error(`Could not read dimensions from ${name}`);
+  }
+
+  const fileSizeMB = Number((source.size / (1024 * 1024)).toFixed(3));
+  const result = {
+    name,
+    type,
+    format,
+    width: info.width,
+    height: info.height,
+    fileSize: source.size,
+    fileSizeMB,
+  };
+
+  if (type === 'video') {
+    const round = (value, digits) => value != null ? Number(value.toFixed(digits)) : null;
+    Object.assign(result, {
+      duration: round(info.duration, 3),
+      videoCodec: info.videoCodec || null,
+      frameRate: round(info.frameRate, 3),
+      // Overall bitrate includes audio and container overhead
+      bitrateKbps: info.duration ? Math.round((source.size * 8) / info.duration / 1000) : null,
+      videoBitrateKbps: info.videoBitrateKbps ? Math.round(info.videoBitrateKbps) : null,
+      hasAudio: info.hasAudio,
+      audioCodec: info.audioCodec || null,
+      audioChannels: info.audioChannels || null,
+      audioSampleRate: info.audioSampleRate || null,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Probe a local media file.
+ * @param {string} filePath
+ * @returns {Promise<{name, path, type, format, width, height, duration?, fileSize, fileSizeMB}>}
+ */
+export async function probeFile(filePath) {
+  const { size } = await stat(filePath);
+  const handle = await open(filePath, 'r');
+  try {
+    const result = await probeSource(new FileSource(handle, size), path.basename(filePath));
+    return { ...result, path: filePath };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Probe media already held in memory (e.g. downloaded from Cloudinary).
+ */
+export async function probeBuffer(buffer, name = 'buffer') {
+  return probeSource(new BufferSource(buffer), name);
+}
+
+/**
+ * Probe media over HTTP using Range requests, without downloading it whole.
+ */
+export async function probeUrl(url, name = url.split('/').pop()) {
+  const source = await HttpSource.open(url);
+  return { ...await probeSource(source, name), url };
+}
+
+// Set once ffmpeg turns out to be missing, so a folder of videos does not
+// try to spawn it for every file
+let ffmpegMissing = false;
+
+/**
+ * Integrated loudness (EBU R128 / ITU-R BS.1770) of the first audio track,
+ * measured with ffmpeg's ebur128 filter (CAV_FFMPEG_PATH or ffmpeg on PATH).
+ * Decodes the whole audio track, so only call it when a spec needs loudness.
+ * @param {string} input - Local path or URL
+ * @returns {Promise<number|null>} - LUFS, or null when ffmpeg is not available
+ *                                  or could not measure the file
+ */
+export async function measureLoudness(input) {
+  if (ffmpegMissing) return null;
+  try {
+    const { stderr } = await execFileAsync(process.env.CAV_FFMPEG_PATH || 'ffmpeg', [
+      '-hide_banner', '-nostats',
+      '-i', input,
+      '-map', '0:a:0', '-af', 'ebur128', '-f', 'null', '-',
+    ], { maxBuffer: 64 * 1024 * 1024 });
+    // The summary at the end repeats "I: <value> LUFS" after the per-frame log
+    const values = [...stderr.matchAll(/I:\s+(-?\d+(?:\.\d+)?) LUFS/g)];
+    return values.length > 0 ? Number(values[values.length - 1][1]) : null;
+  } catch (error) {
+    if (error.code === 'ENOENT') ffmpegMissing = true;
+    return null;
+  }
+}
+
+export function isMediaFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return IMAGE_EXTENSIONS.includes(ext) || VIDEO_EXTENSIONS.includes(ext);
+}
@@ -0,0 +1,113 @@
+// Validation reports (PDF / XLSX) from the shared report writer at the repo
+// root, so generate_report produces the same file as the web app's export.
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { loadShared } from './shared.js';
+
+const reportExport = loadShared('report-export.js');
+
+export const REPORT_FORMATS = ['pdf', 'xlsx'];
+
+// Analyses fetched in full for AI scores; the rest of the report does not
+// depend on them
+const MAX_REPORT_ANALYSES = 50;
+
+/**
+ * A logo or thumbnail for the PDF: http(s) or data URL, JPEG only (there is
+ * no image decoder here). Anything else is left out of the report.
+ */
+export async function loadReportImage(src) {
+  if (typeof src !== 'string' || !src) return null;
+  try {
+    if (src.startsWith('data:')) {
+      const [, meta, data] = src.match(/^data:([^,]*),(.*)$/s) || [];
+      if (!meta?.includes(';base64')) return null;
+      return reportExport.jpegImage(Buffer.from(data, 'base64'));
+    }
+    if (!/^https?:\/\//.test(src)) return null;
+    const response = await fetch(src);
+    if (!response.ok) return null;
+    return reportExport.jpegImage(new Uint8Array(await response.arrayBuffer()));
+  } catch {
+    return null;
+  }
+}
+
+// Library brand profiles keep logos as { role: url } or a list
+async function loadBrandLogo(brandProfile) {
+  const logos = brandProfile.logos || {};
+  for (const logo of Array.isArray(logos) ? logos : Object.values(logos)) {
+    const image = await loadReportImage(typeof logo === 'string' ? logo : logo?.url);
+    if (image) return image;
+  }
+  return null;
+}
+
+/**
+ * AI scores per asset id from the newest analysis linked to each asset.
+ * @param {Library} lib
+ * @param {Object[]} assets
+ * @param {Object} [scope] - listAnalyses filter ({ company, brand })
+ * @returns {Promise<Map<string, Object>>}
+ */
+export async function scoresForAssets(lib, assets, scope = {}) {
+  const ids = new Set(assets.map(a => a.id));
+  const latest = new Map();
+  for (const analysis of await lib.listAnalyses({ ...scope, limit: 500 })) {
+    if (analysis.assetId && ids.has(analysis.assetId) && !latest.has(analysis.assetId)) {
+      latest.set(analysis.assetId, analysis);
+    }
+  }
+
+  const scores = new Map();
+  for (const [assetId, analysis] of [...latest].slice(0, MAX_REPORT_ANALYSES)) {
+    const detail = await lib.getAnalysis(analysis.id);
+    const value = reportExport.scoresFromAnalysis(detail || analysis);
+    if (value) scores.set(assetId, value);
+  }
+  return scores;
+}
+
+/**
+ * Build the report and write it to disk.
+ * @param {Object[]} assets - Library assets or { filename, width, height, type, duration, fileSize }
+ * @param {Object} options - { format, outputPath, title, brandProfile, channels, scores (Map), includeImages }
+ * @returns {Promise<Object>} - { path, format, bytes, summary, matrices }
+ */
+export async function writeReport(assets, options = {}) {
+  const format = options.format || 'pdf';
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown report format: ${format}. Use ${REPORT_FORMATS.join(' or ')}.`);
+  }
+  const includeImages = format === 'pdf' && Boolean(options.includeImages);
+
+  const brand = options.brandProfile
+    ? { ...options.brandProfile, logo: includeImages ? await loadBrandLogo(options.brandProfile) : null }
+    : null;
+  const thumbnails = new Map();
+  if (includeImages) {
+    for (const asset of assets) thumbnails.set(asset, await loadReportImage(asset.thumbnailUrl));
+  }
+
+  const report = reportExport.buildReport(assets, {
+    title: options.title,
+    brand,
+    channels: options.channels || null,
+    getScores: asset => options.scores?.get(asset.id) || null,
+    getThumbnail: asset => thumbnails.get(asset) || null,
+  });
+
+  const bytes = format === 'xlsx' ? reportExport.toXlsx(report) : reportExport.toPdf(report);
+  const outputPath = path.resolve(options.outputPath || reportExport.reportFileName(report, format));
+  await writeFile(outputPath, bytes);
+
+  return {
+    path: outputPath,
+    format,
+    bytes: bytes.length,
+    summary: report.summary,
+    matrices: report.matrices.map(m => ({ category: m.label, channels: m.channels.length, passRate: Number(m.passRate.toFixed(3)) })),
+    recommendations: report.recommendations.length,
+    scoredAssets: report.assets.filter(a => a.scores).length,
+  };
+}
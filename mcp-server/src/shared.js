@@ -0,0 +1,16 @@
+// Modules shared with the web app live at the repository root. A packed
+// package carries a copy in src/shared/ (scripts/bundle-shared.js, run on
+// prepack); a checkout has no copy and reads the root files directly.
+import { existsSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+
+const require = createRequire(import.meta.url);
+
+export const SHARED_MODULES = ['channel-specs.js', 'report-export.js', 'transform-backend.js'];
+
+export function loadShared(name) {
+  if (!SHARED_MODULES.includes(name)) throw new Error(`Not a shared module: ${name}`);
+  const bundled = fileURLToPath(new URL(`./shared/${name}`, import.meta.url));
+  return require(existsSync(bundled) ? bundled : `../../${name}`);
+}
@@ -0,0 +1,144 @@
+// Local transform backend: renders the same crop/gravity/background layouts
+// as Cloudinary without an account. Images go through sharp (optional
+// dependency), videos through the ffmpeg binary (CAV_FFMPEG_PATH or ffmpeg
+// on PATH). The layout math is shared with the browser backend.
+
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { probeFile } from './probe.js';
+import { loadShared } from './shared.js';
+
+const backends = loadShared('transform-backend.js');
+
+const execFileAsync = promisify(execFile);
+
+export const {
+  TRANSFORM_CROP_MODES,
+  computeLayout,
+  parseBackground,
+  parseTransformation,
+  describeLayout,
+} = backends;
+
+const BLUR_SIGMA = 20;
+const IMAGE_FORMATS = ['png', 'jpeg', 'webp', 'avif'];
+
+async function loadSharp() {
+  try {
+    return (await import('sharp')).default;
+  } catch {
+    throw new Error('Local image rendering needs the optional "sharp" package: npm install sharp');
+  }
+}
+
+function outputFormat(requested, sourceFormat) {
+  const format = requested === 'jpg' ? 'jpeg' : requested;
+  if (IMAGE_FORMATS.includes(format)) return format;
+  return IMAGE_FORMATS.includes(sourceFormat) ? sourceFormat : 'png';
+}
+
+// ─── Images ──────────────────────────────────────────────────────
+
+async function renderImage(input, options) {
+  const sharp = await loadSharp();
+  // Apply EXIF orientation first so the layout sees the displayed size
+  const { data: oriented, info } = await sharp(input).rotate().toBuffer({ resolveWithObject: true });
+  const { format: sourceFormat } = await sharp(input).metadata();
+  const layout = computeLayout({ width: info.width, height: info.height }, options);
+  const { source: s, target: t } = layout;
+
+  const foreground = await sharp(oriented)
+    .extract({ left: s.x, top: s.y, width: s.width, height: s.height })
+    .resize(t.width, t.height, { fit: 'fill' })
+    .toBuffer();
+
+  let image = sharp(foreground);
+  if (layout.padded) {
+    const background = parseBackground(options.background);
+    let base;
+    if (background.type === 'blurred') {
+      base = sharp(oriented).resize(layout.width, layout.height, { fit: 'cover' }).blur(BLUR_SIGMA);
+    } else {
+      const color = background.type === 'auto'
+        ? (await sharp(oriented).stats()).dominant
+        : background.color;
+      base = sharp({ create: { width: layout.width, height: layout.height, channels: 4, background: color } });
+    }
+    image = base.composite([{ input: foreground, left: t.x, top: t.y }]);
+  }
+
+  const format = outputFormat(options.format, sourceFormat);
+  const quality = Number(options.quality) || undefined;
+  const buffer = await image.toFormat(format, quality ? { quality } : {}).toBuffer();
+  return { buffer, format, layout };
+}
+
+// ─── Video ───────────────────────────────────────────────────────
+
+function ffmpegColor(color) {
+  return color.startsWith('#') ? `0x${color.slice(1)}` : color;
+}
+
+// filter_complex graph for a layout; [v] is the output
+function buildFilterGraph(layout, background) {
+  const { source: s, target: t } = layout;
+  const foreground = `crop=${s.width}:${s.height}:${s.x}:${s.y},scale=${t.width}:${t.height}`;
+  if (!layout.padded) return `[0:v]${foreground},setsar=1[v]`;
+
+  if (background.type === 'color') {
+    return `[0:v]${foreground}[fg];color=c=${ffmpegColor(background.color)}:s=${layout.width}x${layout.height}[bg];`
+      + `[bg][fg]overlay=${t.x}:${t.y}:shortest=1,setsar=1[v]`;
+  }
+  // Blurred (also used for auto and gen_fill): cover, blur, overlay
+  return `[0:v]split[a][b];[a]scale=${layout.width}:${layout.height}:force_original_aspect_ratio=increase,`
+    + `crop=${layout.width}:${layout.height},boxblur=${BLUR_SIGMA}[bg];[b]${foreground}[fg];`
+    + `[bg][fg]overlay=${t.x}:${t.y},setsar=1[v]`;
+}
+
+async function renderVideo(inputPath, options, probed) {
+  const layout = computeLayout({ width: probed.width, height: probed.height }, options);
+  const background = parseBackground(options.background);
+  const graph = buildFilterGraph(layout, background.type === 'auto' ? { type: 'blurred' } : background);
+
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'cav-transform-'));
+  const output = path.join(dir, 'output.mp4');
+  try {
+    await execFileAsync(process.env.CAV_FFMPEG_PATH || 'ffmpeg', [
+      '-y', '-v', 'error',
+      '-i', inputPath,
+      '-filter_complex', graph,
+      '-map', '[v]', '-map', '0:a?',
+      '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-crf', '20', '-preset', 'medium',
+      '-c:a', 'aac',
+      '-movflags', '+faststart',
+      output,
+    ], { maxBuffer: 10 * 1024 * 1024 });
+    return { buffer: await readFile(output), format: 'mp4', layout };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('Local video rendering needs ffmpeg on PATH (or set CAV_FFMPEG_PATH)');
+    }
+    throw new Error(`ffmpeg failed: ${(error.stderr || error.message).trim().split('\n').pop()}`);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+// ─── Public API ──────────────────────────────────────────────────
+
+/**
+ * Render a local image or video file.
+ * @param {string} inputPath
+ * @param {Object} options - { width, height, crop, gravity, background, format, quality }
+ * @returns {Promise<{buffer: Buffer, format: string, type: string, layout: Object, transformation: string}>}
+ */
+export async function renderLocal(inputPath, options = {}) {
+  const probed = await probeFile(inputPath);
+  const result = probed.type === 'video'
+    ? await renderVideo(inputPath, options, probed)
+    : await renderImage(inputPath, options);
+  return { ...result, type: probed.type, transformation: describeLayout(options, result.layout) };
+}
@@ -0,0 +1,110 @@
+// cav validate --format junit: an asset that fits a channel must not report
+// failures for the channels it does not fit.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { deflateSync } from 'node:zlib';
+
+const execFileAsync = promisify(execFile);
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function chunk(type, data) {
+  let crc = 0xffffffff;
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  for (const byte of body) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  const frame = Buffer.alloc(8 + data.length + 4);
+  frame.writeUInt32BE(data.length, 0);
+  body.copy(frame, 4);
+  frame.writeUInt32BE((crc ^ 0xffffffff) >>> 0, 8 + data.length);
+  return frame;
+}
+
+function png(width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 2;
+  const row = Buffer.alloc(1 + width * 3, 0x80);
+  row[0] = 0;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(Buffer.concat(Array.from({ length: height }, () => row)))),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+async function runJunit(files, args = []) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'cav-cli-'));
+  try {
+    for (const [name, [width, height]] of Object.entries(files)) {
+      await writeFile(path.join(dir, name), png(width, height));
+    }
+    const { stdout } = await execFileAsync(process.execPath, [CLI, 'validate', dir, '--format', 'junit', ...args])
+      .catch(error => error);
+    return stdout.replaceAll(dir + path.sep, '');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+function suite(xml, name) {
+  const match = new RegExp(`<testsuite name="${name}" tests="(\\d+)" failures="(\\d+)" errors="(\\d+)" skipped="(\\d+)">([\\s\\S]*?)</testsuite>`).exec(xml);
+  assert.ok(match, `no suite for ${name}`);
+  const [, tests, failures, errors, skipped, body] = match;
+  return { tests: Number(tests), failures: Number(failures), errors: Number(errors), skipped: Number(skipped), body };
+}
+
+test('a passing asset reports no failures in its suite', async () => {
+  const xml = await runJunit({ 'lb.png': [728, 90], 'odd.png': [333, 17] });
+
+  const lb = suite(xml, 'lb.png');
+  assert.equal(lb.failures, 0);
+  assert.doesNotMatch(lb.body, /<failure/);
+  assert.match(lb.body, /<testcase name="GDN Leaderboard" classname="lb.png"\/>/);
+  assert.match(lb.body, /<testcase name="any channel" classname="lb.png"\/>/);
+  assert.ok(lb.skipped > 0, 'channels the asset does not fit are reported as skipped');
+
+  const odd = suite(xml, 'odd.png');
+  assert.equal(odd.failures, 1);
+  assert.match(odd.body, /<testcase name="any channel" classname="odd.png">\s*<failure type="no_compatible_channel"/);
+
+  const root = /<testsuites name="cav validate" tests="(\d+)" failures="(\d+)"/.exec(xml);
+  assert.equal(Number(root[1]), lb.tests + odd.tests);
+  assert.equal(Number(root[2]), 1);
+});
+
+test('required channels the asset misses fail', async () => {
+  const xml = await runJunit({ 'lb.png': [728, 90] }, ['--require', 'GDN Leaderboard', '--require', 'GDN Medium Rectangle']);
+
+  const lb = suite(xml, 'lb.png');
+  assert.equal(lb.tests, 2);
+  assert.equal(lb.failures, 1);
+  assert.match(lb.body, /<testcase name="GDN Medium Rectangle" classname="lb.png">\s*<failure/);
+});
+
+test('required channels outside --category are validated, not skipped', async () => {
+  const args = ['--category', 'gdn', '--require', 'Facebook Feed Square'];
+  const fits = suite(await runJunit({ 'square.png': [1080, 1080] }, args), 'square.png');
+  assert.equal(fits.tests, 1);
+  assert.equal(fits.failures, 0);
+  assert.equal(fits.skipped, 0);
+  assert.match(fits.body, /<testcase name="Facebook Feed Square" classname="square.png"\/>/);
+
+  const misses = suite(await runJunit({ 'lb.png': [728, 90] }, args), 'lb.png');
+  assert.equal(misses.failures, 1);
+  assert.equal(misses.skipped, 0);
+  assert.match(misses.body, /<testcase name="Facebook Feed Square" classname="lb.png">\s*<failure/);
+});
@@ -0,0 +1,70 @@
+// Library scoping against scripts/supabase-standin.js: the token is checked
+// by the database functions, and a token never reads another team's rows,
+// unshared rows of its own team, or rows of strangers on a public domain.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { Library, LibraryError } from '../src/library.js';
+
+const STANDIN = fileURLToPath(new URL('../scripts/supabase-standin.js', import.meta.url));
+
+let standin;
+let url;
+
+before(async () => {
+  standin = spawn(process.execPath, [STANDIN, '--port', '0'], { stdio: ['ignore', 'ignore', 'pipe'] });
+  url = await new Promise((resolve, reject) => {
+    let output = '';
+    standin.stderr.on('data', data => {
+      output += data;
+      const match = /on (http:\/\/\S+)/.exec(output);
+      if (match) resolve(match[1]);
+    });
+    standin.on('exit', code => reject(new Error(`Stand-in exited (${code}): ${output}`)));
+  });
+});
+
+after(() => standin.kill());
+
+const library = token => new Library({ url, key: 'local', token });
+const ids = rows => rows.map(row => row.id).sort();
+
+test('unknown and revoked tokens are rejected', async () => {
+  for (const token of ['not-a-token', 'demo-revoked']) {
+    await assert.rejects(library(token).listAssets(), error => {
+      assert.ok(error instanceof LibraryError);
+      assert.equal(error.code, 'unauthenticated');
+      return true;
+    });
+  }
+});
+
+test('another team\'s rows and unshared rows of the same domain are not returned', async () => {
+  const alex = library('demo-alex');
+  assert.deepEqual(ids(await alex.listAssets()), ['asset_nw_landscape', 'asset_nw_square', 'asset_nw_story']);
+  assert.equal(await alex.getAsset('asset_sam_draft'), null);
+  assert.equal(await alex.getAsset('asset_globex_team'), null);
+  assert.deepEqual(ids(await alex.listCompanies()), ['company_northwind']);
+});
+
+test('a public mail domain is not a team', async () => {
+  const pat = library('demo-pat');
+  assert.deepEqual(ids(await pat.listAssets()), ['asset_pat_banner']);
+  assert.equal(await pat.getAsset('asset_lee_team'), null);
+});
+
+test('scopes and team sharing are enforced by the token', async () => {
+  const sam = library('demo-sam');
+  assert.deepEqual(ids(await sam.listAssets()), ['asset_nw_story', 'asset_sam_draft']);
+  await assert.rejects(sam.listCompanies(), { code: 'forbidden' });
+  // Also when the client skips its own check
+  await sam.authenticate();
+  sam.access.scopes.push('crm');
+  await assert.rejects(sam.listCompanies(), { code: 'forbidden' });
+});
+
+test('the anon key cannot read tables directly', async () => {
+  await assert.rejects(library('demo-alex').request('mcp_access_tokens', {}), { code: 'forbidden' });
+  await assert.rejects(library('demo-alex').request('assets', {}), { code: 'forbidden' });
+});
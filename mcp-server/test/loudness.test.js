@@ -0,0 +1,56 @@
+// Loudness targets: measured with ffmpeg when it is there, and reported as
+// unchecked (never silently passed) when it is not.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmod, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { validateAsset, needsLoudness } from '../src/specs.js';
+
+const CTV_VIDEO = {
+  type: 'video', width: 1920, height: 1080, duration: 30, fileSizeMB: 100,
+  videoCodec: 'h264', frameRate: 29.97, bitrateKbps: 20000, hasAudio: true,
+};
+
+function ctvResult(asset) {
+  const results = validateAsset(asset, { channels: ['CTV Standard'] });
+  return results.compatible[0] || results.offSize[0];
+}
+
+test('an unmeasured loudness target is listed as unchecked', () => {
+  const result = ctvResult(CTV_VIDEO);
+  assert.equal(result.compatible, true);
+  assert.deepEqual(result.unchecked.map(u => u.type), ['loudness']);
+  assert.equal(needsLoudness('ctv'), true);
+  assert.equal(needsLoudness('gdn'), false);
+});
+
+test('a measured loudness is checked instead', () => {
+  assert.deepEqual(ctvResult({ ...CTV_VIDEO, loudnessLUFS: -23.5 }).unchecked, []);
+  const loud = ctvResult({ ...CTV_VIDEO, loudnessLUFS: -14 });
+  assert.equal(loud.compatible, false);
+  assert.deepEqual(loud.issues.map(i => i.type), ['loudness']);
+});
+
+test('measureLoudness reads the ebur128 summary and returns null without ffmpeg', async (t) => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'cav-ffmpeg-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const fake = path.join(dir, 'ffmpeg');
+  await writeFile(fake, [
+    '#!/bin/sh',
+    'echo "[Parsed_ebur128_0 @ 0x1] t: 0.4 TARGET:-23 LUFS M: -30.1 S:-120.7 I: -30.1 LUFS LRA: 0.0 LU" >&2',
+    'echo "  Integrated loudness:" >&2',
+    'echo "    I:         -23.4 LUFS" >&2',
+  ].join('\n'));
+  await chmod(fake, 0o755);
+
+  // Fresh module instance per environment: the missing-ffmpeg flag is module state
+  process.env.CAV_FFMPEG_PATH = fake;
+  const { measureLoudness } = await import(`../src/probe.js?found`);
+  assert.equal(await measureLoudness('clip.mp4'), -23.4);
+
+  process.env.CAV_FFMPEG_PATH = path.join(dir, 'missing-ffmpeg');
+  const missing = await import(`../src/probe.js?missing`);
+  assert.equal(await missing.measureLoudness('clip.mp4'), null);
+  delete process.env.CAV_FFMPEG_PATH;
+});
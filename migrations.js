@@ -0,0 +1,919 @@
+/**
+ * Creative Asset Validator - Data Migrations
+ * Version 1.1.1
+ *
+ * Versioned migrations for the data this app keeps in the browser. Every
+ * IndexedDB database and localStorage namespace the app owns is registered
+ * here as a target, so reports and snapshots cover all of it.
+ *
+ * Two kinds of change:
+ *
+ *   Schema - the object stores and indexes of a database. Databases with a
+ *   `stores` spec are opened through openDatabase(), which creates whatever
+ *   is missing and never deletes a store. Bump the database's `version`
+ *   when its spec changes.
+ *
+ *   Data - ordered steps that transform records between schema versions:
+ *
+ *     CAVMigrations.register({
+ *         id: 'crm-rename-stage', target: 'crm', version: 2,
+ *         description: 'Rename the "won" deal stage to "closed_won"',
+ *         touches: [],                       // databases the step writes, for the snapshot
+ *         requiresUser: false,               // wait for the signed-in user (see userReady)
+ *         up: async (ctx) => { ... ctx.local.set(key, value) ... }
+ *     });
+ *
+ *   Steps that write records for the signed-in user wait, with the later
+ *   steps of their target, until index.html calls userReady() for a
+ *   signed-in session; the run at page load leaves them pending.
+ *
+ *   The applied version of each target is kept in cav_schema_versions, so
+ *   keys no longer need _v2-style suffixes. Steps write through `ctx`: in a
+ *   dry run the writes are only listed in the report. Before a real run,
+ *   every owned localStorage key and the databases the pending steps touch
+ *   are copied to a snapshot (IndexedDB cav_migrations); a failing step
+ *   restores it, and rollback() restores the last one on request.
+ *   IndexedDB versions only go up, so a rollback restores stores and
+ *   records but not the version number.
+ */
+
+(function() {
+    'use strict';
+
+    const VERSION = '1.1.1';
+    const VERSIONS_KEY = 'cav_schema_versions';
+    const HISTORY_KEY = 'cav_migration_history';
+    const SNAPSHOT_DB = 'cav_migrations';
+    const SNAPSHOT_DB_VERSION = 1;
+    const SNAPSHOT_STORE = 'snapshots';
+    const SNAPSHOT_ID = 'latest';
+    const LOCK_NAME = 'cav-migrations';
+    const MAX_HISTORY = 50;
+
+    // ============================================
+    // TARGETS
+    // ============================================
+
+    // Databases without `stores` are opened by their own module and listed for reports and snapshots
+    const DATABASES = {
+        CAV_SecureDB_v4: {
+            owner: 'security-core.js, validator-app.js',
+            version: 5,
+            stores: {
+                assets: {
+                    keyPath: 'id',
+                    indexes: { user_key: 'user_key', team_key: 'team_key', is_team: 'is_team', file_hash: 'file_hash', created_at: 'created_at', status: 'status' }
+                },
+                video_blobs: { keyPath: 'asset_id', indexes: { user_key: 'user_key' } },
+                preferences: { keyPath: 'user_key' },
+                api_keys: { keyPath: 'user_key', indexes: { updated_at: 'updated_at' } }
+            },
+            // Video files can run to hundreds of megabytes
+            skipSnapshot: ['video_blobs']
+        },
+        cav_repository: { owner: 'repository.js' },
+        cav_search_index: { owner: 'search-index.js' },
+        cav_job_queue: { owner: 'job-queue.js' },
+        cav_scheduled_scans: { owner: 'scheduled-scans.js' },
+        cav_asset_versions: { owner: 'asset-versions.js' },
+        cav_undo_history: { owner: 'undo-history.js' },
+        cav_perceptual_hashes: { owner: 'perceptual-hash.js' },
+        // Re-downloadable copies of offloaded files
+        cav_blob_cache: { owner: 'storage-quota.js', skipSnapshot: ['blobs'] },
+        [SNAPSHOT_DB]: { owner: 'migrations.js', skipSnapshot: [SNAPSHOT_STORE] },
+        CreativeAssetValidator: { owner: 'sync-engine.js before 6.0 (imported by the repository)', legacy: true },
+        CAVUnifiedStorage: { owner: 'unified-storage.js before 2.0 (imported by the repository)', legacy: true },
+        CAVStorage: { owner: 'asset fallbacks in crm.js and integrations.js, which opened the wrong name', legacy: true }
+    };
+
+    // History lists older modules kept in localStorage, with the repository type they belong to
+    const HISTORY_KEYS = {
+        cav_advanced_video_analyses: 'video_analyses',
+        cav_video_analyses: 'video_analyses',
+        cav_creative_analyses: 'creative_analyses',
+        cav_strategies: 'strategies',
+        cav_url_analyses: 'url_analyses',
+        cav_swipe_file: 'swipe_files',
+        cav_benchmarks: 'benchmarks',
+        cav_ai_studio_history: 'ai_studio_history',
+        cav_autofix_history: 'auto_fix_history',
+        // Reserved by unified-storage.js 1.x, never read
+        cav_video_analyses_v2: 'video_analyses',
+        cav_creative_analyses_v2: 'creative_analyses',
+        cav_strategies_v2: 'strategies',
+        cav_url_analyses_v2: 'url_analyses',
+        cav_swipe_files_v2: 'swipe_files',
+        cav_benchmarks_v2: 'benchmarks',
+        cav_google_ads_v2: 'google_ads_builds',
+        cav_social_media_v2: 'social_media_builds',
+        cav_keyword_research_v2: 'keyword_research',
+        cav_ai_studio_v2: 'ai_studio_history',
+        cav_activity_log_v2: 'activity_log',
+        cav_auto_fix_v2: 'auto_fix_history'
+    };
+
+    // Matched in order: the first namespace whose keys or prefixes fit a key owns it
+    const NAMESPACES = {
+        migrations: { owner: 'migrations.js', keys: [VERSIONS_KEY, HISTORY_KEY] },
+        session: {
+            owner: 'security-core.js',
+            keys: ['cav_user_session', 'cav_session', 'cav_auth_session', 'cav_session_token', 'cav_last_user_email'],
+            prefixes: ['cav_secure_session_v', 'cav_session_sig_v', 'cav_device_fp_v', 'cav_enc_salt_v', 'cav_managed_users_v', 'cav_activity_log_v', 'cav_admin_settings_v', 'cav_whitelist_requests_v']
+        },
+        history: {
+            owner: 'learn-module.js, unified-storage.js before 2.0',
+            keys: Object.keys(HISTORY_KEYS).flatMap(key => [key, `${key}_migrated`])
+        },
+        crm: { owner: 'crm.js', prefixes: ['cav_crm_'] },
+        learn: { owner: 'learn-module.js', prefixes: ['cav_learn_'] },
+        analyze: { owner: 'analyze-module.js', prefixes: ['cav_analyze_'] },
+        strategy: { owner: 'strategy-module.js', prefixes: ['cav_strategy_'] },
+        ai_engine: { owner: 'ai-intelligence-engine.js', prefixes: ['cav_ai_engine_'] },
+        builders: { owner: 'Google Ads, social media and keyword builders', prefixes: ['gads_', 'smb_', 'kwa_'] },
+        app: { owner: 'other modules', prefixes: ['cav_'] }
+    };
+
+    function namespaceOf(key) {
+        return Object.keys(NAMESPACES).find(name => {
+            const ns = NAMESPACES[name];
+            return (ns.keys || []).includes(key) || (ns.prefixes || []).some(prefix => key.startsWith(prefix));
+        }) || null;
+    }
+
+    function currentUser() {
+        return (typeof window !== 'undefined' && window.cavUserSession?.email) || null;
+    }
+
+    function isDatabase(target) {
+        return Object.prototype.hasOwnProperty.call(DATABASES, target);
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    function readJSON(key, fallback) {
+        try {
+            const value = localStorage.getItem(key);
+            return value ? JSON.parse(value) : fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    function ownedKeys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key !== null && namespaceOf(key)) keys.push(key);
+        }
+        return keys;
+    }
+
+    // Rough size of a stored value: string length, Blob and buffer sizes, 8 per other primitive
+    function approxBytes(value) {
+        if (value === null || value === undefined) return 0;
+        if (typeof value === 'string') return value.length;
+        if (typeof value !== 'object') return 8;
+        if (typeof Blob !== 'undefined' && value instanceof Blob) return value.size;
+        if (value instanceof ArrayBuffer) return value.byteLength;
+        if (ArrayBuffer.isView(value)) return value.byteLength;
+        if (Array.isArray(value)) return value.reduce((sum, item) => sum + approxBytes(item), 0);
+        return Object.keys(value).reduce((sum, key) => sum + key.length + approxBytes(value[key]), 0);
+    }
+
+    // Records are read one at a time, so large stores are measured without loading them whole
+    function measureStore(db, storeName) {
+        return new Promise((resolve, reject) => {
+            let bytes = 0;
+            const request = db.transaction(storeName, 'readonly').objectStore(storeName).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(bytes);
+                    return;
+                }
+                bytes += approxBytes(cursor.value);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function hasIndexedDB() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    function requestResult(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // Open a database if it exists, without creating it
+    function openExisting(name) {
+        return new Promise(resolve => {
+            let request;
+            try {
+                request = indexedDB.open(name);
+            } catch (e) {
+                resolve(null);
+                return;
+            }
+            request.onupgradeneeded = () => request.transaction.abort();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null);
+        });
+    }
+
+    function deleteDatabase(name) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(name);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            // Another tab still has it open; the delete completes once it closes
+            request.onblocked = () => resolve();
+        });
+    }
+
+    function indexKeyPath(spec) {
+        return typeof spec === 'string' || Array.isArray(spec) ? spec : spec.keyPath;
+    }
+
+    // Create the stores and indexes of `stores` that the database lacks
+    function ensureStores(db, tx, stores) {
+        Object.entries(stores).forEach(([storeName, spec]) => {
+            const store = db.objectStoreNames.contains(storeName)
+                ? tx.objectStore(storeName)
+                : db.createObjectStore(storeName, { keyPath: spec.keyPath, autoIncrement: !!spec.autoIncrement });
+            Object.entries(spec.indexes || {}).forEach(([indexName, index]) => {
+                if (store.indexNames.contains(indexName)) return;
+                store.createIndex(indexName, indexKeyPath(index), { unique: !!index.unique, multiEntry: !!index.multiEntry });
+            });
+        });
+    }
+
+    function missingStores(db, stores) {
+        return Object.entries(stores).filter(([storeName, spec]) => {
+            if (!db.objectStoreNames.contains(storeName)) return true;
+            const indexes = Object.keys(spec.indexes || {});
+            if (indexes.length === 0) return false;
+            const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+            return indexes.some(indexName => !store.indexNames.contains(indexName));
+        }).map(([storeName]) => storeName);
+    }
+
+    function openVersion(name, version, stores) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, version);
+            request.onupgradeneeded = (event) => {
+                console.log(`[Migrations] Upgrading ${name} from v${event.oldVersion} to v${version}`);
+                ensureStores(request.result, request.transaction, stores);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn(`[Migrations] Upgrade of ${name} is waiting for other tabs to close it`);
+        });
+    }
+
+    // One connection per database, shared by the modules that use it
+    const openings = new Map();
+
+    /**
+     * Open a database registered with a `stores` spec at its current schema.
+     * Opens at the registered version or higher, so a database that was
+     * repaired once keeps opening; stores that still turn out to be missing
+     * are added with one more version.
+     */
+    function openDatabase(name) {
+        if (!openings.has(name)) {
+            openings.set(name, openSchema(name).catch(error => {
+                openings.delete(name);
+                throw error;
+            }));
+        }
+        return openings.get(name);
+    }
+
+    async function openSchema(name) {
+        const spec = DATABASES[name];
+        if (!spec?.stores) throw new Error(`${name} has no registered schema`);
+
+        let db = await openVersion(name, spec.version, spec.stores).catch(error => {
+            if (error?.name !== 'VersionError') throw error;
+            return requestResult(indexedDB.open(name));
+        });
+
+        const missing = missingStores(db, spec.stores);
+        if (missing.length > 0) {
+            console.warn(`[Migrations] ${name} is missing ${missing.join(', ')}, adding them`);
+            const version = db.version + 1;
+            db.close();
+            db = await openVersion(name, version, spec.stores);
+        }
+
+        return db;
+    }
+
+    async function databaseNames() {
+        if (!hasIndexedDB()) return [];
+        if (typeof indexedDB.databases === 'function') {
+            try {
+                return (await indexedDB.databases()).map(info => info.name);
+            } catch (e) {
+                // Fall through to probing each name
+            }
+        }
+        const names = [];
+        for (const name of Object.keys(DATABASES)) {
+            const db = await openExisting(name);
+            if (db) {
+                names.push(name);
+                db.close();
+            }
+        }
+        return names;
+    }
+
+    // ============================================
+    // SNAPSHOTS
+    // ============================================
+
+    function openSnapshots() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(SNAPSHOT_DB, SNAPSHOT_DB_VERSION);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(SNAPSHOT_STORE)) {
+                    request.result.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function snapshotStore(action, value) {
+        const db = await openSnapshots();
+        try {
+            const tx = db.transaction(SNAPSHOT_STORE, action === 'get' ? 'readonly' : 'readwrite');
+            const store = tx.objectStore(SNAPSHOT_STORE);
+            const request = action === 'get' ? store.get(SNAPSHOT_ID) : action === 'put' ? store.put(value) : store.delete(SNAPSHOT_ID);
+            const result = await requestResult(request);
+            await transactionDone(tx);
+            return result;
+        } finally {
+            db.close();
+        }
+    }
+
+    async function captureDatabase(name) {
+        const db = await openExisting(name);
+        if (!db) return { missing: true };
+
+        const skip = DATABASES[name]?.skipSnapshot || [];
+        const saved = { version: db.version, stores: {} };
+        try {
+            for (const storeName of Array.from(db.objectStoreNames)) {
+                const tx = db.transaction(storeName, 'readonly');
+                const store = tx.objectStore(storeName);
+                const indexes = {};
+                Array.from(store.indexNames).forEach(indexName => {
+                    const index = store.index(indexName);
+                    indexes[indexName] = { keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+                });
+                const entry = { keyPath: store.keyPath, autoIncrement: store.autoIncrement, indexes };
+                if (skip.includes(storeName)) {
+                    entry.skipped = true;
+                } else {
+                    entry.records = await requestResult(store.getAll());
+                    // Out-of-line keys are not part of the record
+                    if (store.keyPath === null) entry.keys = await requestResult(store.getAllKeys());
+                }
+                saved.stores[storeName] = entry;
+            }
+        } finally {
+            db.close();
+        }
+        return saved;
+    }
+
+    async function restoreDatabase(name, saved) {
+        if (saved.missing) {
+            await deleteDatabase(name);
+            return;
+        }
+
+        const existing = await openExisting(name);
+        const currentVersion = existing ? existing.version : 0;
+        const missing = existing ? Object.keys(saved.stores).filter(s => !existing.objectStoreNames.contains(s)) : Object.keys(saved.stores);
+        if (existing) existing.close();
+
+        const version = missing.length > 0 || !existing ? Math.max(saved.version, currentVersion + 1) : currentVersion;
+        const db = await openVersion(name, version, saved.stores);
+        try {
+            const storeNames = Object.keys(saved.stores).filter(s => !saved.stores[s].skipped);
+            if (storeNames.length === 0) return;
+            const tx = db.transaction(storeNames, 'readwrite');
+            storeNames.forEach(storeName => {
+                const store = tx.objectStore(storeName);
+                const entry = saved.stores[storeName];
+                store.clear();
+                entry.records.forEach((record, i) => {
+                    if (entry.keys) {
+                        store.put(record, entry.keys[i]);
+                    } else {
+                        store.put(record);
+                    }
+                });
+            });
+            await transactionDone(tx);
+        } finally {
+            db.close();
+        }
+    }
+
+    // ============================================
+    // STEP CONTEXT
+    // ============================================
+
+    /**
+     * What a step reads and writes through. In a dry run, writes are recorded
+     * and localStorage reads see the earlier writes of the same run;
+     * IndexedDB reads see the stored data.
+     */
+    function createContext(step, dryRun, overlay) {
+        const changes = [];
+        const record = (action, target, key, detail) => changes.push({ action, target, key, detail: detail || null });
+
+        const local = {
+            get(key) {
+                if (overlay.has(key)) return overlay.get(key);
+                return localStorage.getItem(key);
+            },
+            getJSON(key, fallback) {
+                try {
+                    const value = local.get(key);
+                    return value ? JSON.parse(value) : fallback;
+                } catch (e) {
+                    return fallback;
+                }
+            },
+            set(key, value, detail) {
+                const text = typeof value === 'string' ? value : JSON.stringify(value);
+                record('set', namespaceOf(key) || 'unowned', key, detail);
+                if (dryRun) overlay.set(key, text);
+                else localStorage.setItem(key, text);
+            },
+            remove(key, detail) {
+                if (local.get(key) === null) return;
+                record('remove', namespaceOf(key) || 'unowned', key, detail);
+                if (dryRun) overlay.set(key, null);
+                else localStorage.removeItem(key);
+            },
+            // Keys owned by a namespace, including ones this run has set
+            keys(namespace) {
+                const keys = new Set(ownedKeys());
+                overlay.forEach((value, key) => {
+                    if (value === null) keys.delete(key);
+                    else keys.add(key);
+                });
+                return [...keys].filter(key => !namespace || namespaceOf(key) === namespace);
+            }
+        };
+
+        const idb = {
+            open: (name) => openExisting(name),
+            async getAll(name, storeName) {
+                const db = await openExisting(name);
+                if (!db || !db.objectStoreNames.contains(storeName)) {
+                    if (db) db.close();
+                    return [];
+                }
+                try {
+                    return await requestResult(db.transaction(storeName, 'readonly').objectStore(storeName).getAll());
+                } finally {
+                    db.close();
+                }
+            },
+            async put(name, storeName, value, detail) {
+                record('put', name, storeName, detail);
+                if (!dryRun) await write(name, storeName, store => store.put(value));
+            },
+            async remove(name, storeName, key, detail) {
+                record('delete', name, `${storeName}/${key}`, detail);
+                if (!dryRun) await write(name, storeName, store => store.delete(key));
+            },
+            async deleteDatabase(name, detail) {
+                record('delete_database', name, name, detail);
+                if (!dryRun) await deleteDatabase(name);
+            }
+        };
+
+        async function write(name, storeName, fn) {
+            const db = await openExisting(name);
+            if (!db) throw new Error(`${name} does not exist`);
+            try {
+                const tx = db.transaction(storeName, 'readwrite');
+                fn(tx.objectStore(storeName));
+                await transactionDone(tx);
+            } finally {
+                db.close();
+            }
+        }
+
+        return {
+            dryRun,
+            step: { id: step.id, target: step.target, version: step.version },
+            local,
+            idb,
+            // Changes made outside local/idb (e.g. through the repository)
+            note: (action, key, detail) => record(action, step.target, key, detail),
+            changes
+        };
+    }
+
+    // ============================================
+    // MIGRATIONS
+    // ============================================
+
+    class Migrations {
+        constructor() {
+            this.steps = [];
+            this.lastReport = null;
+            this.running = null;
+        }
+
+        /**
+         * Add a data step. Steps of one target must be registered in version order.
+         * @param {Object} step - { id, target, version, description, touches, requiresUser, up(ctx) }
+         */
+        register(step) {
+            if (!step?.id || typeof step.up !== 'function') throw new Error('A migration needs an id and an up() function');
+            if (!isDatabase(step.target) && !NAMESPACES[step.target]) throw new Error(`Unknown migration target: ${step.target}`);
+            if (!Number.isInteger(step.version) || step.version < 1) throw new Error(`Migration ${step.id} needs a positive integer version`);
+            if (this.steps.some(s => s.id === step.id)) throw new Error(`Migration ${step.id} is already registered`);
+            const last = this.steps.filter(s => s.target === step.target).pop();
+            if (last && last.version >= step.version) {
+                throw new Error(`Migration ${step.id} (v${step.version}) must come after ${last.id} (v${last.version})`);
+            }
+            this.steps.push({ touches: [], description: '', requiresUser: false, ...step });
+        }
+
+        versions() {
+            return readJSON(VERSIONS_KEY, {});
+        }
+
+        // Steps to apply now; those waiting for the user are left out
+        pending() {
+            const waiting = new Set(this.waiting().map(step => step.id));
+            return this.unapplied().filter(step => !waiting.has(step.id));
+        }
+
+        // Steps that need a signed-in user, and the later steps of their targets
+        waiting() {
+            if (currentUser()) return [];
+            const held = new Set();
+            return this.unapplied().filter(step => {
+                if (step.requiresUser) held.add(step.target);
+                return held.has(step.target);
+            });
+        }
+
+        unapplied() {
+            const versions = this.versions();
+            return this.steps.filter(step => step.version > (versions[step.target] || 0));
+        }
+
+        history() {
+            return readJSON(HISTORY_KEY, []);
+        }
+
+        // Only one tab migrates at a time
+        withLock(fn) {
+            if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+                return navigator.locks.request(LOCK_NAME, fn);
+            }
+            return fn();
+        }
+
+        // What run() would change, without changing anything
+        dryRun() {
+            return this.run({ dryRun: true });
+        }
+
+        /**
+         * Apply the pending steps in order. Stops at the first failing step
+         * and restores the snapshot taken before the run.
+         * @returns {Promise<Object>} - Report: { status, dryRun, steps: [{ id, target, from, to, status, changes, error }], rolledBack, inventory }
+         */
+        async run({ dryRun = false } = {}) {
+            if (!dryRun && this.running) return this.running;
+
+            const task = this.withLock(async () => {
+                const steps = this.pending();
+                const versions = this.versions();
+                const report = {
+                    dryRun,
+                    started_at: new Date().toISOString(),
+                    versions: { ...versions },
+                    steps: [],
+                    status: steps.length === 0 ? 'up_to_date' : 'ok',
+                    rolledBack: false,
+                    waiting: this.waiting().map(step => step.id)
+                };
+                if (dryRun) report.inventory = await this.inventory();
+
+                let snapshot = null;
+                if (steps.length > 0 && !dryRun && hasIndexedDB()) {
+                    snapshot = await this.takeSnapshot(steps);
+                    report.snapshot_at = snapshot.taken_at;
+                }
+
+                const overlay = new Map();
+                for (const step of steps) {
+                    const ctx = createContext(step, dryRun, overlay);
+                    const entry = { id: step.id, target: step.target, from: versions[step.target] || 0, to: step.version, description: step.description, status: 'ok', changes: ctx.changes };
+                    report.steps.push(entry);
+                    try {
+                        await step.up(ctx);
+                        versions[step.target] = step.version;
+                        if (!dryRun) localStorage.setItem(VERSIONS_KEY, JSON.stringify(versions));
+                    } catch (error) {
+                        console.error(`[Migrations] ${step.id} failed:`, error);
+                        entry.status = 'failed';
+                        entry.error = error.message;
+                        report.status = 'failed';
+                        if (snapshot) {
+                            await this.restore(snapshot);
+                            report.rolledBack = true;
+                        }
+                        break;
+                    }
+                }
+
+                report.finished_at = new Date().toISOString();
+                if (!dryRun && steps.length > 0) {
+                    this.addHistory({
+                        at: report.finished_at,
+                        action: 'run',
+                        status: report.status,
+                        rolledBack: report.rolledBack,
+                        steps: report.steps.map(s => ({ id: s.id, target: s.target, to: s.to, status: s.status, changes: s.changes.length, error: s.error }))
+                    });
+                }
+                this.lastReport = report;
+                return report;
+            });
+
+            if (dryRun) return task;
+            this.running = task.finally(() => { this.running = null; });
+            return this.running;
+        }
+
+        // Copy of every owned localStorage key and of the databases the steps touch
+        async takeSnapshot(steps) {
+            const local = {};
+            ownedKeys().forEach(key => { local[key] = localStorage.getItem(key); });
+
+            const names = new Set();
+            steps.forEach(step => {
+                if (isDatabase(step.target)) names.add(step.target);
+                (step.touches || []).forEach(name => names.add(name));
+            });
+            const databases = {};
+            for (const name of names) {
+                databases[name] = await captureDatabase(name);
+            }
+
+            const snapshot = { id: SNAPSHOT_ID, taken_at: new Date().toISOString(), steps: steps.map(s => s.id), local, databases };
+            await snapshotStore('put', snapshot);
+            return snapshot;
+        }
+
+        async restore(snapshot) {
+            ownedKeys().forEach(key => {
+                if (key !== HISTORY_KEY && !Object.prototype.hasOwnProperty.call(snapshot.local, key)) localStorage.removeItem(key);
+            });
+            Object.entries(snapshot.local).forEach(([key, value]) => {
+                if (key !== HISTORY_KEY) localStorage.setItem(key, value);
+            });
+            for (const [name, saved] of Object.entries(snapshot.databases)) {
+                await restoreDatabase(name, saved);
+            }
+            console.log(`[Migrations] Restored the snapshot from ${snapshot.taken_at}`);
+        }
+
+        /**
+         * Put back the data as it was before the last run. The page should be
+         * reloaded afterwards, as modules keep copies of what they loaded.
+         */
+        async rollback() {
+            return this.withLock(async () => {
+                const snapshot = await snapshotStore('get');
+                if (!snapshot) throw new Error('There is no migration snapshot to roll back to');
+                await this.restore(snapshot);
+                await snapshotStore('delete');
+                const result = { at: new Date().toISOString(), action: 'rollback', snapshot_at: snapshot.taken_at, steps: snapshot.steps };
+                this.addHistory({ ...result, status: 'ok' });
+                return result;
+            });
+        }
+
+        async getSnapshotInfo() {
+            if (!hasIndexedDB()) return null;
+            const snapshot = await snapshotStore('get');
+            if (!snapshot) return null;
+            return { taken_at: snapshot.taken_at, steps: snapshot.steps, keys: Object.keys(snapshot.local).length, databases: Object.keys(snapshot.databases) };
+        }
+
+        addHistory(entry) {
+            const history = this.history();
+            history.unshift(entry);
+            localStorage.setItem(HISTORY_KEY, JSON.stringify(history.slice(0, MAX_HISTORY)));
+        }
+
+        /**
+         * Every database and namespace the app owns, with what is in it.
+         * @param {Object} options - measure: also add up the bytes in each store (reads every record)
+         * @returns {Promise<Object>} - { databases: [{ name, owner, exists, version, stores, bytes? }], namespaces: [{ name, owner, keys, bytes }] }
+         */
+        async inventory({ measure = false } = {}) {
+            const existing = new Set(await databaseNames());
+            const databases = [];
+            for (const [name, spec] of Object.entries(DATABASES)) {
+                const entry = { name, owner: spec.owner, legacy: !!spec.legacy, exists: existing.has(name), version: null, stores: {} };
+                if (entry.exists) {
+                    const db = await openExisting(name);
+                    if (db) {
+                        entry.version = db.version;
+                        if (measure) entry.bytes = {};
+                        for (const storeName of Array.from(db.objectStoreNames)) {
+                            entry.stores[storeName] = await requestResult(db.transaction(storeName, 'readonly').objectStore(storeName).count());
+                            if (measure) entry.bytes[storeName] = await measureStore(db, storeName);
+                        }
+                        db.close();
+                    }
+                }
+                databases.push(entry);
+            }
+
+            const namespaces = Object.entries(NAMESPACES).map(([name, ns]) => ({ name, owner: ns.owner, keys: 0, bytes: 0 }));
+            ownedKeys().forEach(key => {
+                const entry = namespaces.find(ns => ns.name === namespaceOf(key));
+                entry.keys++;
+                entry.bytes += (key.length + (localStorage.getItem(key) || '').length) * 2;
+            });
+            return { databases, namespaces };
+        }
+    }
+
+    // Plain-text report, for diagnostics panels and the console
+    function formatReport(report) {
+        const lines = [];
+        const title = report.dryRun ? 'Dry run' : 'Run';
+        lines.push(`${title}: ${report.status === 'up_to_date' ? 'nothing pending' : report.status}${report.rolledBack ? ' (rolled back)' : ''}`);
+        report.steps.forEach(step => {
+            lines.push(`${step.status === 'ok' ? '✓' : '✗'} ${step.id} [${step.target} v${step.from} → v${step.to}] ${step.description}`);
+            step.changes.forEach(change => {
+                lines.push(`    ${change.action} ${change.key}${change.detail ? ` (${change.detail})` : ''}`);
+            });
+            if (step.changes.length === 0) lines.push('    no changes');
+            if (step.error) lines.push(`    error: ${step.error}`);
+        });
+        if (report.waiting?.length) lines.push(`Waiting for sign-in: ${report.waiting.join(', ')}`);
+        if (report.inventory) {
+            lines.push('Databases:');
+            report.inventory.databases.forEach(db => {
+                const stores = Object.entries(db.stores).map(([s, n]) => `${s} ${n}`).join(', ');
+                lines.push(`    ${db.name}${db.legacy ? ' (legacy)' : ''}: ${db.exists ? `v${db.version}${stores ? ` - ${stores}` : ' - empty'}` : 'not created'}`);
+            });
+            lines.push('localStorage:');
+            report.inventory.namespaces.forEach(ns => {
+                lines.push(`    ${ns.name}: ${ns.keys} keys, ${(ns.bytes / 1024).toFixed(1)} KB`);
+            });
+        }
+        return lines.join('\n');
+    }
+
+    // ============================================
+    // STEPS
+    // ============================================
+
+    const migrations = new Migrations();
+
+    // UnifiedStorage 1.x imported these once and flagged them with <key>_migrated.
+    // The records are stamped with the signed-in user and kept local: they were
+    // never synced before, and a rollback cannot take back what was pushed.
+    migrations.register({
+        id: 'history-import-repository',
+        target: 'history',
+        version: 1,
+        description: 'Import history lists into the repository and drop the _migrated flags and unused _v2 keys',
+        touches: ['cav_repository'],
+        requiresUser: true,
+        up: async (ctx) => {
+            const repository = typeof window !== 'undefined' ? window.CAVRepository : null;
+            for (const [key, type] of Object.entries(HISTORY_KEYS)) {
+                const flag = `${key}_migrated`;
+                const items = ctx.local.getJSON(key, []);
+                if (!ctx.local.get(flag) && Array.isArray(items) && items.length > 0) {
+                    if (!repository) throw new Error('CAVRepository is not loaded');
+                    items.forEach(item => {
+                        if (item && typeof item === 'object' && !item.id) {
+                            item.id = `migrated_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+                        }
+                    });
+                    ctx.note('import', key, `${items.length} into ${type}`);
+                    // onlyMissing makes this safe to repeat after a rollback
+                    if (!ctx.dryRun) await repository.saveMany(type, items, { sync: false, onlyMissing: true });
+                }
+                ctx.local.remove(flag, 'replaced by cav_schema_versions');
+                // Other modules still read the unsuffixed keys; nothing reads the _v2 ones
+                if (key.endsWith('_v2')) ctx.local.remove(key, 'unused');
+            }
+        }
+    });
+
+    // Fallbacks in crm.js and integrations.js opened this name, which never had stores
+    migrations.register({
+        id: 'cavstorage-remove-empty',
+        target: 'CAVStorage',
+        version: 1,
+        description: 'Delete the empty CAVStorage database',
+        up: async (ctx) => {
+            const db = await ctx.idb.open('CAVStorage');
+            if (!db) return;
+            const storeCount = db.objectStoreNames.length;
+            db.close();
+            if (storeCount === 0) await ctx.idb.deleteDatabase('CAVStorage', 'no object stores');
+        }
+    });
+
+    // ============================================
+    // EXPORT
+    // ============================================
+    const CAVMigrations = {
+        VERSION,
+        DATABASES,
+        NAMESPACES,
+        Migrations,
+        namespaceOf,
+        approxBytes,
+        formatReport,
+        openDatabase,
+        migrations,
+        register: (step) => migrations.register(step),
+        versions: () => migrations.versions(),
+        pending: () => migrations.pending(),
+        history: () => migrations.history(),
+        dryRun: () => migrations.dryRun(),
+        run: (options) => migrations.run(options),
+        rollback: () => migrations.rollback(),
+        inventory: (options) => migrations.inventory(options),
+        getSnapshotInfo: () => migrations.getSnapshotInfo(),
+        // Called by index.html once a user is signed in: runs the steps that waited for one
+        userReady: () => CAVMigrations.ready.then(() => migrations.pending().length > 0 ? runLogged() : null),
+        ready: Promise.resolve(null)
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CAVMigrations;
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CAVMigrations = CAVMigrations;
+    }
+
+    function runLogged() {
+        return migrations.run()
+            .then(report => {
+                if (report.status !== 'up_to_date') console.log('[Migrations]\n' + formatReport(report));
+                return report;
+            })
+            .catch(error => {
+                console.error('[Migrations] Run failed:', error);
+                return null;
+            });
+    }
+
+    // Run once the page's modules are set up; steps that need the user wait for userReady()
+    if (typeof document !== 'undefined') {
+        CAVMigrations.ready = new Promise(resolve => {
+            const start = () => runLogged().then(resolve);
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', start);
+            } else {
+                start();
+            }
+        });
+    }
+})();
@@ -0,0 +1,522 @@
+/**
+ * Creative Asset Validator - Perceptual Hashing
+ * Version 1.0.0
+ *
+ * Finds near-duplicates that file_hash (SHA-256 of the bytes) cannot: a
+ * re-exported JPEG, a resized copy, a version with a new CTA.
+ *
+ * - Images get a pHash (DCT of a 32x32 greyscale copy) and a dHash
+ *   (neighbour gradients of a 9x8 copy), both 64 bits, plus a pHash of the
+ *   centre square so a 1:1 crop of a 16:9 master still matches.
+ * - Videos get pHash/dHash pairs of a few keyframes, extracted with
+ *   video-frame-extractor.js (the poster frame when it is not loaded).
+ * - Similarity is 1 - Hamming distance / bits, from 0 to 1.
+ *
+ * Hashes are cached in IndexedDB (cav_perceptual_hashes) per asset and
+ * recomputed when the asset's file changes. The hashing and grouping
+ * functions are pure and take RGBA pixels, so they also run outside the
+ * browser.
+ */
+
+(function() {
+    'use strict';
+
+    const VERSION = '1.0.0';
+    // Bumped when the hash recipe changes, so cached hashes are recomputed
+    const HASH_VERSION = 1;
+    const DB_NAME = 'cav_perceptual_hashes';
+    const DB_VERSION = 1;
+    const STORE = 'hashes';
+
+    const DEFAULT_THRESHOLD = 0.85;
+    const THRESHOLD_KEY = 'cav_similarity_threshold';
+    // Seconds into a video to hash; the extractor adds the last second
+    const KEYFRAME_TIMES = [0.5, 2, 4, 7];
+    // Long side images are drawn at before hashing
+    const SAMPLE_SIZE = 256;
+
+    // ============================================
+    // STORAGE
+    // ============================================
+
+    class IdbHashStore {
+        constructor() {
+            this.dbReady = this.open();
+        }
+
+        open() {
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = event.target.result;
+                    if (!db.objectStoreNames.contains(STORE)) {
+                        db.createObjectStore(STORE, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        async request(mode, fn) {
+            const db = await this.dbReady;
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(STORE, mode);
+                const request = fn(tx.objectStore(STORE));
+                let result;
+                if (request) request.onsuccess = () => { result = request.result; };
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+
+        all() {
+            return this.request('readonly', store => store.getAll());
+        }
+
+        put(record) {
+            return this.request('readwrite', store => store.put(record));
+        }
+
+        async remove(ids) {
+            if (ids.length === 0) return;
+            await this.request('readwrite', store => {
+                ids.forEach(id => store.delete(id));
+            });
+        }
+    }
+
+    // Same interface without IndexedDB; hashes then only last for the page
+    class MemoryHashStore {
+        constructor() {
+            this.records = new Map();
+        }
+
+        async all() {
+            return [...this.records.values()];
+        }
+
+        async put(record) {
+            this.records.set(record.id, record);
+        }
+
+        async remove(ids) {
+            ids.forEach(id => this.records.delete(id));
+        }
+    }
+
+    // ============================================
+    // HASHING (pure)
+    // ============================================
+
+    function toGrayscale(rgba, width, height) {
+        const gray = new Float64Array(width * height);
+        for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+            // Transparent pixels count as white, as on a light page
+            const alpha = rgba[p + 3] / 255;
+            const luma = 0.299 * rgba[p] + 0.587 * rgba[p + 1] + 0.114 * rgba[p + 2];
+            gray[i] = luma * alpha + 255 * (1 - alpha);
+        }
+        return gray;
+    }
+
+    // Area-average resample, so small targets do not alias
+    function resample(gray, width, height, targetWidth, targetHeight) {
+        const out = new Float64Array(targetWidth * targetHeight);
+        for (let ty = 0; ty < targetHeight; ty++) {
+            const y0 = Math.floor(ty * height / targetHeight);
+            const y1 = Math.max(y0 + 1, Math.floor((ty + 1) * height / targetHeight));
+            for (let tx = 0; tx < targetWidth; tx++) {
+                const x0 = Math.floor(tx * width / targetWidth);
+                const x1 = Math.max(x0 + 1, Math.floor((tx + 1) * width / targetWidth));
+                let sum = 0;
+                for (let y = y0; y < y1; y++) {
+                    for (let x = x0; x < x1; x++) sum += gray[y * width + x];
+                }
+                out[ty * targetWidth + tx] = sum / ((y1 - y0) * (x1 - x0));
+            }
+        }
+        return out;
+    }
+
+    function cropCenterSquare(gray, width, height) {
+        const size = Math.min(width, height);
+        const left = Math.floor((width - size) / 2);
+        const top = Math.floor((height - size) / 2);
+        const out = new Float64Array(size * size);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) out[y * size + x] = gray[(top + y) * width + left + x];
+        }
+        return { gray: out, width: size, height: size };
+    }
+
+    function bitsToHex(bits) {
+        let hex = '';
+        for (let i = 0; i < bits.length; i += 4) {
+            hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+        }
+        return hex;
+    }
+
+    const DCT_SIZE = 32;
+    const DCT_KEEP = 8;
+    const DCT_COS = (() => {
+        const table = new Float64Array(DCT_SIZE * DCT_SIZE);
+        for (let u = 0; u < DCT_SIZE; u++) {
+            for (let x = 0; x < DCT_SIZE; x++) {
+                table[u * DCT_SIZE + x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * DCT_SIZE));
+            }
+        }
+        return table;
+    })();
+
+    // Low 8x8 DCT frequencies of a 32x32 copy, each bit set when the
+    // coefficient is above the median (the DC term is left out of the median)
+    function pHash(gray, width, height) {
+        const small = resample(gray, width, height, DCT_SIZE, DCT_SIZE);
+        const rows = new Float64Array(DCT_KEEP * DCT_SIZE);
+        for (let u = 0; u < DCT_KEEP; u++) {
+            for (let y = 0; y < DCT_SIZE; y++) {
+                let sum = 0;
+                for (let x = 0; x < DCT_SIZE; x++) sum += small[y * DCT_SIZE + x] * DCT_COS[u * DCT_SIZE + x];
+                rows[u * DCT_SIZE + y] = sum;
+            }
+        }
+        const coefficients = [];
+        for (let v = 0; v < DCT_KEEP; v++) {
+            for (let u = 0; u < DCT_KEEP; u++) {
+                let sum = 0;
+                for (let y = 0; y < DCT_SIZE; y++) sum += rows[u * DCT_SIZE + y] * DCT_COS[v * DCT_SIZE + y];
+                coefficients.push(sum);
+            }
+        }
+        const sorted = coefficients.slice(1).sort((a, b) => a - b);
+        const median = sorted[31];
+        return bitsToHex(coefficients.map(c => (c > median ? 1 : 0)));
+    }
+
+    // Whether each pixel of a 9x8 copy is brighter than its right neighbour
+    function dHash(gray, width, height) {
+        const small = resample(gray, width, height, 9, 8);
+        const bits = [];
+        for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) bits.push(small[y * 9 + x] > small[y * 9 + x + 1] ? 1 : 0);
+        }
+        return bitsToHex(bits);
+    }
+
+    /**
+     * @param {Uint8ClampedArray|number[]} rgba - ImageData.data
+     * @returns {Object} - { phash, dhash, square } as 16-digit hex strings
+     */
+    function hashPixels(rgba, width, height) {
+        const gray = toGrayscale(rgba, width, height);
+        const square = cropCenterSquare(gray, width, height);
+        return {
+            phash: pHash(gray, width, height),
+            dhash: dHash(gray, width, height),
+            square: pHash(square.gray, square.width, square.height),
+        };
+    }
+
+    const POPCOUNT = Array.from({ length: 16 }, (_, n) => (n & 1) + ((n >> 1) & 1) + ((n >> 2) & 1) + ((n >> 3) & 1));
+
+    function hammingDistance(a, b) {
+        let distance = 0;
+        for (let i = 0; i < a.length; i++) distance += POPCOUNT[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+        return distance;
+    }
+
+    function hashSimilarity(a, b) {
+        return a && b && a.length === b.length ? 1 - hammingDistance(a, b) / (a.length * 4) : 0;
+    }
+
+    // Whole-frame match (pHash and dHash agreeing), or the centre squares
+    // matching for crops to another aspect ratio
+    function frameSimilarity(a, b) {
+        const whole = (hashSimilarity(a.phash, b.phash) + hashSimilarity(a.dhash, b.dhash)) / 2;
+        const square = a.square && b.square ? hashSimilarity(a.square, b.square) : 0;
+        return Math.max(whole, square);
+    }
+
+    // Each keyframe against its best match on the other side, both ways,
+    // so trimmed or extended cuts still score high
+    function framesSimilarity(a, b) {
+        const bestMatches = (from, to) => from.map(f => Math.max(...to.map(g => frameSimilarity(f, g))));
+        const scores = [...bestMatches(a, b), ...bestMatches(b, a)];
+        return scores.reduce((sum, s) => sum + s, 0) / scores.length;
+    }
+
+    /**
+     * Similarity of two hashes from hashAsset, 0 to 1. Images are only
+     * compared with images and videos with videos.
+     */
+    function similarity(a, b) {
+        if (!a || !b || a.kind !== b.kind) return 0;
+        if (a.kind === 'video') {
+            return a.frames?.length && b.frames?.length ? framesSimilarity(a.frames, b.frames) : 0;
+        }
+        return frameSimilarity(a, b);
+    }
+
+    // ============================================
+    // GROUPING (pure)
+    // ============================================
+
+    // 'duplicate' (same bytes), 'resize' (other dimensions) or 'near_duplicate'
+    function relationOf(a, b) {
+        if (a.file_hash && a.file_hash === b.file_hash) return 'duplicate';
+        if (a.width && b.width && (a.width !== b.width || a.height !== b.height)) return 'resize';
+        return 'near_duplicate';
+    }
+
+    // Largest file first, then the oldest: the one to keep when merging
+    function comparePrimary(a, b) {
+        const area = asset => (asset.width || 0) * (asset.height || 0);
+        return area(b) - area(a)
+            || new Date(a.created_at || 0) - new Date(b.created_at || 0);
+    }
+
+    /**
+     * Assets similar to one asset.
+     * @param {Object} entry - { asset, hash }
+     * @param {Array<{asset, hash}>} entries
+     * @returns {Array<{asset, similarity, relation}>} - Most similar first
+     */
+    function findSimilar(entry, entries, { threshold = DEFAULT_THRESHOLD } = {}) {
+        return entries
+            .filter(other => other.asset.id !== entry.asset.id)
+            .map(other => ({
+                asset: other.asset,
+                similarity: similarity(entry.hash, other.hash),
+                relation: relationOf(entry.asset, other.asset),
+            }))
+            .filter(match => match.similarity >= threshold)
+            .sort((a, b) => b.similarity - a.similarity);
+    }
+
+    /**
+     * Group near-duplicates: assets are in one group when a chain of pairs
+     * at or above the threshold connects them.
+     * @param {Array<{asset, hash}>} entries
+     * @returns {Array<Object>} - { id, kind: 'near_duplicate'|'resize_family', primary,
+     *   members: [{ asset, similarity (to primary), relation (to primary) }] }, largest groups first
+     */
+    function groupSimilar(entries, { threshold = DEFAULT_THRESHOLD } = {}) {
+        const hashed = entries.filter(e => e.hash);
+        const parent = hashed.map((_, i) => i);
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+        for (let i = 0; i < hashed.length; i++) {
+            for (let j = i + 1; j < hashed.length; j++) {
+                if (find(i) !== find(j) && similarity(hashed[i].hash, hashed[j].hash) >= threshold) {
+                    parent[find(j)] = find(i);
+                }
+            }
+        }
+
+        const clusters = new Map();
+        hashed.forEach((entry, i) => {
+            const root = find(i);
+            if (!clusters.has(root)) clusters.set(root, []);
+            clusters.get(root).push(entry);
+        });
+
+        return [...clusters.values()]
+            .filter(cluster => cluster.length > 1)
+            .map(cluster => {
+                cluster.sort((a, b) => comparePrimary(a.asset, b.asset));
+                const [primary] = cluster;
+                const sizes = new Set(cluster.map(e => `${e.asset.width}x${e.asset.height}`));
+                return {
+                    id: primary.asset.id,
+                    kind: sizes.size > 1 ? 'resize_family' : 'near_duplicate',
+                    primary: primary.asset,
+                    members: cluster.map(e => ({
+                        asset: e.asset,
+                        similarity: e === primary ? 1 : similarity(primary.hash, e.hash),
+                        relation: e === primary ? 'primary' : relationOf(primary.asset, e.asset),
+                    })),
+                };
+            })
+            .sort((a, b) => b.members.length - a.members.length);
+    }
+
+    // ============================================
+    // BROWSER
+    // ============================================
+
+    function loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Could not load image'));
+            img.src = src;
+        });
+    }
+
+    // Throws for cross-origin images the server does not allow (tainted canvas)
+    async function hashImage(src) {
+        const img = await loadImage(src);
+        const scale = Math.min(1, SAMPLE_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        return hashPixels(data, canvas.width, canvas.height);
+    }
+
+    async function dataUrlToFile(dataUrl, filename) {
+        const blob = await (await fetch(dataUrl)).blob();
+        return new File([blob], filename || 'video', { type: blob.type });
+    }
+
+    /**
+     * Hash an asset's file.
+     * @param {Object} asset - Library asset; videos need video_url (data URL)
+     *   for keyframes, otherwise only the poster frame is hashed
+     * @returns {Promise<Object|null>} - { version, kind: 'image', phash, dhash, square }
+     *   or { version, kind: 'video', frames: [{ timestamp, phash, dhash, square }] }
+     */
+    async function hashAsset(asset) {
+        const isVideo = asset.file_type === 'video' || asset.type === 'video';
+        if (!isVideo) {
+            const src = asset.thumbnail_url || asset.dataUrl;
+            return src ? { version: HASH_VERSION, kind: 'image', ...(await hashImage(src)) } : null;
+        }
+
+        const extractor = typeof window !== 'undefined' ? window.VideoFrameExtractor : null;
+        if (extractor && asset.video_url?.startsWith('data:')) {
+            const file = await dataUrlToFile(asset.video_url, asset.filename);
+            const result = await extractor.extractFrames(file, { timestamps: KEYFRAME_TIMES, maxFrames: KEYFRAME_TIMES.length });
+            const frames = [];
+            for (const frame of result.frames || []) {
+                frames.push({ timestamp: frame.timestamp, ...(await hashImage(frame.dataUrl)) });
+            }
+            if (frames.length > 0) return { version: HASH_VERSION, kind: 'video', frames };
+        }
+
+        if (!asset.thumbnail_url) return null;
+        return { version: HASH_VERSION, kind: 'video', frames: [{ timestamp: null, ...(await hashImage(asset.thumbnail_url)) }] };
+    }
+
+    // ============================================
+    // HASH INDEX
+    // ============================================
+
+    class PerceptualIndex {
+        constructor() {
+            this.store = typeof indexedDB !== 'undefined' ? new IdbHashStore() : new MemoryHashStore();
+            this.records = null;
+        }
+
+        async load() {
+            if (this.records) return this.records;
+            let records = [];
+            try {
+                records = await this.store.all();
+            } catch (e) {
+                console.warn('[PerceptualHash] IndexedDB unavailable, keeping hashes in memory:', e);
+                this.store = new MemoryHashStore();
+            }
+            this.records = new Map(records.map(r => [r.id, r]));
+            return this.records;
+        }
+
+        // Changes whenever the file does
+        fileKey(asset) {
+            return asset.file_hash || `${asset.filename}:${asset.file_size || 0}:${asset.updated_at || asset.created_at || ''}`;
+        }
+
+        async getHash(asset) {
+            const record = (await this.load()).get(asset.id);
+            return record && record.fileKey === this.fileKey(asset) && record.hash?.version === HASH_VERSION
+                ? record.hash
+                : null;
+        }
+
+        async setHash(asset, hash) {
+            const record = { id: asset.id, fileKey: this.fileKey(asset), hash, hashedAt: new Date().toISOString() };
+            (await this.load()).set(asset.id, record);
+            await this.store.put(record);
+        }
+
+        /**
+         * Hashes for the assets, computing the missing ones. Assets that
+         * cannot be hashed (no file data, cross-origin images) are left out.
+         * @param {Object[]} assets
+         * @param {Object} [options] - { resolveAsset: async asset => asset with file data,
+         *   onProgress: (done, total) => void }
+         * @returns {Promise<Array<{asset, hash}>>}
+         */
+        async indexAssets(assets, { resolveAsset = async a => a, onProgress = null } = {}) {
+            const entries = [];
+            let done = 0;
+            for (const asset of assets) {
+                let hash = await this.getHash(asset);
+                if (!hash) {
+                    try {
+                        hash = await hashAsset(await resolveAsset(asset));
+                        if (hash) await this.setHash(asset, hash);
+                    } catch (e) {
+                        console.warn(`[PerceptualHash] Could not hash ${asset.filename || asset.id}:`, e.message);
+                    }
+                }
+                if (hash) entries.push({ asset, hash });
+                onProgress?.(++done, assets.length);
+            }
+            return entries;
+        }
+
+        async forget(ids) {
+            const records = await this.load();
+            ids.forEach(id => records.delete(id));
+            await this.store.remove(ids);
+        }
+    }
+
+    function getThreshold() {
+        try {
+            const saved = parseFloat(localStorage.getItem(THRESHOLD_KEY));
+            return saved >= 0.5 && saved <= 1 ? saved : DEFAULT_THRESHOLD;
+        } catch (e) {
+            return DEFAULT_THRESHOLD;
+        }
+    }
+
+    function setThreshold(value) {
+        localStorage.setItem(THRESHOLD_KEY, String(value));
+    }
+
+    // ============================================
+    // EXPORT
+    // ============================================
+    const perceptualHash = {
+        VERSION,
+        HASH_VERSION,
+        DEFAULT_THRESHOLD,
+        hashPixels,
+        hammingDistance,
+        similarity,
+        relationOf,
+        findSimilar,
+        groupSimilar,
+        hashImage,
+        hashAsset,
+        getThreshold,
+        setThreshold,
+        index: new PerceptualIndex(),
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = perceptualHash;
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CAVPerceptualHash = perceptualHash;
+    }
+})();
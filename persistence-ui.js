@@ -1,7 +1,7 @@
 /**
  * Persistence UI - Unified Save/Delete System
  * Creative Innovate Tool
- * Version: 1.0.0 - January 18, 2026
+ * Version: 1.3.0 - October 19, 2026
  * 
  * Provides consistent Save/Delete buttons and feedback across all modules:
  * - Profile Settings
@@ -13,12 +13,17 @@
  * - Social Media Builder
  * - Keyword Analyzer
  * - Video Analyses
+ *
+ * Also hosts the sync conflict inbox: edits the server rejected that the
+ * per-type merge strategy (sync-merge.js) could not settle, shown side by
+ * side so the user can keep either version, keep both, or pick per field,
+ * and the progress indicator for syncs that take more than one page.
  */
 
 (function() {
     'use strict';
 
-    const VERSION = '1.0.0';
+    const VERSION = '1.3.0';
 
     // ============================================
     // ICONS
@@ -32,6 +37,7 @@
         cloud: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 10h-1.26A8 8 0 1 0 9 20h9a5 5 0 0 0 0-10z"/></svg>',
         cloudCheck: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 10h-1.26A8 8 0 1 0 9 20h9a5 5 0 0 0 0-10z"/><polyline points="9 15 11 17 15 13"/></svg>',
         edit: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>',
+        conflict: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="18" cy="18" r="3"/><circle cx="6" cy="6" r="3"/><path d="M6 21V9a9 9 0 0 0 9 9"/></svg>',
         plus: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>',
     };
 
@@ -379,8 +385,294 @@
             0%, 100% { opacity: 1; }
             50% { opacity: 0.5; }
         }
+        
+        /* Sync conflict inbox */
+        .persist-conflict-badge {
+            position: fixed;
+            bottom: 24px;
+            left: 24px;
+            z-index: 99999;
+            display: none;
+            align-items: center;
+            gap: 8px;
+            padding: 10px 16px;
+            border-radius: 20px;
+            border: 1px solid rgba(245, 158, 11, 0.4);
+            background: #1a1a1a;
+            color: #f59e0b;
+            font-size: 0.8125rem;
+            font-weight: 600;
+            cursor: pointer;
+            box-shadow: 0 10px 40px rgba(0, 0, 0, 0.5);
+            font-family: var(--cav-font-sans, Inter, system-ui, sans-serif);
+        }
+        
+        .persist-conflict-badge.visible {
+            display: inline-flex;
+        }
+        
+        /* Sync progress, while a push or pull has more pages to go */
+        .persist-sync-progress {
+            position: fixed;
+            bottom: 24px;
+            left: 24px;
+            z-index: 99999;
+            display: none;
+            flex-direction: column;
+            gap: 6px;
+            min-width: 220px;
+            padding: 10px 16px;
+            border-radius: 12px;
+            border: 1px solid rgba(59, 130, 246, 0.4);
+            background: #1a1a1a;
+            color: #3b82f6;
+            font-size: 0.8125rem;
+            font-weight: 500;
+            box-shadow: 0 10px 40px rgba(0, 0, 0, 0.5);
+            font-family: var(--cav-font-sans, Inter, system-ui, sans-serif);
+        }
+        
+        .persist-sync-progress.visible {
+            display: flex;
+        }
+        
+        .persist-conflict-badge.visible ~ .persist-sync-progress {
+            bottom: 72px;
+        }
+        
+        .persist-sync-progress-label {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+        }
+        
+        .persist-sync-progress-bar {
+            height: 4px;
+            border-radius: 2px;
+            background: rgba(59, 130, 246, 0.15);
+            overflow: hidden;
+        }
+        
+        .persist-sync-progress-bar span {
+            display: block;
+            height: 100%;
+            background: #3b82f6;
+            transition: width 0.3s ease;
+        }
+        
+        .persist-sync-progress-bar.indeterminate span {
+            width: 30%;
+            animation: persist-sync-sweep 1.2s ease-in-out infinite;
+        }
+        
+        @keyframes persist-sync-sweep {
+            from { transform: translateX(-100%); }
+            to { transform: translateX(340%); }
+        }
+        
+        .persist-conflict-dialog {
+            background: #1a1a1a;
+            border-radius: 16px;
+            width: 95%;
+            max-width: 1040px;
+            max-height: 88vh;
+            display: flex;
+            flex-direction: column;
+            border: 1px solid rgba(255, 255, 255, 0.1);
+            box-shadow: 0 25px 50px rgba(0, 0, 0, 0.5);
+            animation: persist-scale-in 0.2s ease;
+            color: #fff;
+            font-family: var(--cav-font-sans, Inter, system-ui, sans-serif);
+        }
+        
+        .persist-conflict-header {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            padding: 16px 20px;
+            border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+        }
+        
+        .persist-conflict-header h3 {
+            margin: 0;
+            font-size: 1.1rem;
+            display: flex;
+            align-items: center;
+            gap: 8px;
+        }
+        
+        .persist-conflict-body {
+            display: grid;
+            grid-template-columns: 280px 1fr;
+            min-height: 0;
+            flex: 1;
+            overflow: hidden;
+        }
+        
+        .persist-conflict-sidebar {
+            border-right: 1px solid rgba(255, 255, 255, 0.1);
+            overflow-y: auto;
+            padding: 12px;
+        }
+        
+        .persist-conflict-sidebar h4 {
+            margin: 16px 4px 8px;
+            font-size: 0.75rem;
+            text-transform: uppercase;
+            letter-spacing: 0.05em;
+            color: #71717a;
+        }
+        
+        .persist-conflict-item {
+            display: block;
+            width: 100%;
+            text-align: left;
+            padding: 10px 12px;
+            margin-bottom: 6px;
+            border-radius: 10px;
+            border: 1px solid rgba(255, 255, 255, 0.08);
+            background: rgba(255, 255, 255, 0.03);
+            color: #e4e4e7;
+            cursor: pointer;
+            font: inherit;
+        }
+        
+        .persist-conflict-item.active {
+            border-color: #a855f7;
+            background: rgba(168, 85, 247, 0.1);
+        }
+        
+        .persist-conflict-item small,
+        .persist-conflict-resolved small {
+            display: block;
+            color: #a1a1aa;
+            font-size: 0.75rem;
+            margin-top: 2px;
+        }
+        
+        .persist-conflict-resolved {
+            padding: 6px 4px;
+            font-size: 0.8rem;
+            color: #d4d4d8;
+        }
+        
+        .persist-conflict-strategy {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 8px;
+            padding: 4px;
+            font-size: 0.8rem;
+            color: #d4d4d8;
+        }
+        
+        .persist-conflict-strategy select {
+            background: #0f0f0f;
+            color: #fff;
+            border: 1px solid rgba(255, 255, 255, 0.15);
+            border-radius: 6px;
+            padding: 4px 6px;
+            font-size: 0.75rem;
+            max-width: 150px;
+        }
+        
+        .persist-conflict-detail {
+            overflow-y: auto;
+            padding: 16px 20px;
+        }
+        
+        .persist-conflict-detail-meta {
+            color: #a1a1aa;
+            font-size: 0.85rem;
+            margin-bottom: 16px;
+        }
+        
+        .persist-conflict-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.85rem;
+            margin-bottom: 16px;
+        }
+        
+        .persist-conflict-table th {
+            text-align: left;
+            color: #a1a1aa;
+            font-weight: 600;
+            padding: 8px;
+            border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+        }
+        
+        .persist-conflict-table td {
+            vertical-align: top;
+            padding: 8px;
+            border-bottom: 1px solid rgba(255, 255, 255, 0.05);
+        }
+        
+        .persist-conflict-table tr.contested td:first-child {
+            color: #f59e0b;
+        }
+        
+        .persist-conflict-table label {
+            display: flex;
+            gap: 8px;
+            align-items: flex-start;
+            cursor: pointer;
+        }
+        
+        .persist-conflict-table pre {
+            margin: 0;
+            white-space: pre-wrap;
+            word-break: break-word;
+            font-size: 0.75rem;
+            max-height: 160px;
+            overflow: auto;
+        }
+        
+        .persist-conflict-tag {
+            display: inline-block;
+            margin-left: 6px;
+            padding: 1px 6px;
+            border-radius: 6px;
+            font-size: 0.6875rem;
+            background: rgba(245, 158, 11, 0.15);
+            color: #f59e0b;
+        }
+        
+        .persist-conflict-empty {
+            color: #71717a;
+            text-align: center;
+            padding: 48px 16px;
+        }
+        
+        .persist-conflict-actions {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            justify-content: flex-end;
+        }
     `;
 
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function formatFieldValue(value) {
+        if (value === undefined || value === null || value === '') return '<em>empty</em>';
+        if (typeof value !== 'object') return escapeHtml(value);
+        const json = JSON.stringify(value, null, 2);
+        return `<pre>${escapeHtml(json.length > 1200 ? `${json.slice(0, 1200)}…` : json)}</pre>`;
+    }
+
+    function formatFieldName(field) {
+        const name = field.replace(/_/g, ' ');
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
     // ============================================
     // PERSISTENCE MANAGER CLASS
     // ============================================
@@ -389,6 +681,12 @@
             this.toastContainer = null;
             this.pendingChanges = new Map();
             this.syncStatus = 'synced';
+            this.repository = null;
+            this.conflictBadge = null;
+            this.conflictOverlay = null;
+            this.selectedConflictId = null;
+            this.syncProgress = null;
+            this.syncProgressEntries = new Map();
             
             this.injectStyles();
             this.createToastContainer();
@@ -742,41 +1040,16 @@
                     data.id = `${entityType}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
                 }
 
-                // Add timestamps
-                data.updated_at = new Date().toISOString();
-                data.created_at = data.created_at || data.updated_at;
-
-                // Get user email
-                const userEmail = this.getUserEmail();
-                if (userEmail) {
-                    data.user_email = userEmail;
-                }
-
-                // Save to UnifiedStorage if available
-                if (window.UnifiedStorage) {
-                    await window.UnifiedStorage.save(entityType, data);
-                    console.log(`[PersistenceUI] Saved ${entityType}:`, data.id);
-                } else {
-                    // Fallback to localStorage
-                    const key = `cav_${entityType}`;
-                    const existing = JSON.parse(localStorage.getItem(key) || '[]');
-                    const index = existing.findIndex(item => item.id === data.id);
-                    
-                    if (index >= 0) {
-                        existing[index] = data;
-                    } else {
-                        existing.unshift(data);
-                    }
-                    
-                    localStorage.setItem(key, JSON.stringify(existing.slice(0, 100)));
-                }
+                // The repository stamps timestamps and the user, and syncs the record
+                const saved = await window.CAVRepository.save(entityType, data);
+                console.log(`[PersistenceUI] Saved ${entityType}:`, data.id);
 
                 // Show toast
                 if (showToast) {
                     this.showSuccess('Saved', toastMessage || `${this.formatEntityType(entityType)} saved successfully`);
                 }
 
-                return data;
+                return saved;
 
             } catch (error) {
                 console.error(`[PersistenceUI] Error saving ${entityType}:`, error);
@@ -791,17 +1064,12 @@
             const { showToast = true, softDelete = true } = options;
 
             try {
-                // Delete from UnifiedStorage if available
-                if (window.UnifiedStorage) {
-                    await window.UnifiedStorage.delete(entityType, id, softDelete);
-                    console.log(`[PersistenceUI] Deleted ${entityType}:`, id);
+                if (softDelete) {
+                    await window.CAVRepository.remove(entityType, id);
                 } else {
-                    // Fallback to localStorage
-                    const key = `cav_${entityType}`;
-                    const existing = JSON.parse(localStorage.getItem(key) || '[]');
-                    const filtered = existing.filter(item => item.id !== id);
-                    localStorage.setItem(key, JSON.stringify(filtered));
+                    await window.CAVRepository.purge(entityType, id);
                 }
+                console.log(`[PersistenceUI] Deleted ${entityType}:`, id);
 
                 if (showToast) {
                     this.showSuccess('Deleted', `${this.formatEntityType(entityType)} deleted`);
@@ -820,12 +1088,7 @@
 
         async getAll(entityType, options = {}) {
             try {
-                if (window.UnifiedStorage) {
-                    return await window.UnifiedStorage.getAll(entityType, options);
-                } else {
-                    const key = `cav_${entityType}`;
-                    return JSON.parse(localStorage.getItem(key) || '[]');
-                }
+                return await window.CAVRepository.list(entityType, options);
             } catch (error) {
                 console.error(`[PersistenceUI] Error getting ${entityType}:`, error);
                 return [];
@@ -882,12 +1145,289 @@
         flushPendingChanges() {
             console.log(`[PersistenceUI] Flushing ${this.pendingChanges.size} pending changes`);
             // Trigger sync
-            if (window.UnifiedStorage?.syncToCloud) {
-                window.UnifiedStorage.syncToCloud();
-            }
+            window.CAVRepository?.flush().catch(() => {});
             this.pendingChanges.clear();
         }
 
+        // ============================================
+        // SYNC CONFLICT INBOX
+        // ============================================
+
+        // Called once at startup with CAVRepository (index.html)
+        attachRepository(repository) {
+            if (!repository || this.repository === repository) return;
+            this.repository = repository;
+
+            this.conflictBadge = document.createElement('button');
+            this.conflictBadge.className = 'persist-conflict-badge';
+            this.conflictBadge.addEventListener('click', () => this.openConflictInbox());
+            document.body.appendChild(this.conflictBadge);
+
+            this.syncProgress = document.createElement('div');
+            this.syncProgress.className = 'persist-sync-progress';
+            this.syncProgress.setAttribute('role', 'status');
+            document.body.appendChild(this.syncProgress);
+
+            repository.on('sync_progress', (progress) => this.updateSyncProgress('repository', progress));
+            repository.on('sync_complete', () => this.updateSyncProgress('repository', null));
+            repository.on('sync_error', () => this.updateSyncProgress('repository', null));
+            // The asset library pulls its cloud copies on its own (validator-app.js)
+            window.addEventListener('cav:sync-progress', (e) => this.updateSyncProgress(e.detail?.source || 'cloud', e.detail));
+
+            repository.on('conflicts_changed', () => {
+                this.updateConflictBadge();
+                if (this.conflictOverlay) this.renderConflictInbox();
+            });
+            repository.on('conflict_added', (conflict) => {
+                const toast = this.showToast('info', 'Sync conflict',
+                    `${escapeHtml(this.formatEntityType(conflict.entity_type))} "${escapeHtml(conflict.title)}" was changed elsewhere too. Click to review.`, 8000);
+                toast.style.cursor = 'pointer';
+                toast.addEventListener('click', (e) => {
+                    if (e.target.closest('.persist-toast-close')) return;
+                    this.removeToast(toast);
+                    this.openConflictInbox(conflict.id);
+                });
+            });
+            repository.on('conflict_resolved', (resolved) => {
+                if (resolved.resolved_by === 'auto' && resolved.resolution === 'keep_both') {
+                    this.showInfo('Kept both versions', `Your edit of "${escapeHtml(resolved.title)}" was saved as a copy`);
+                }
+            });
+
+            this.updateConflictBadge();
+        }
+
+        // ============================================
+        // SYNC PROGRESS
+        // ============================================
+
+        /**
+         * Track one source's progress ({ phase: 'push' | 'pull', done, total }, total
+         * null when unknown); null or a finished count clears it. The indicator
+         * only shows while there is more to come, so small syncs never flash it.
+         */
+        updateSyncProgress(source, progress) {
+            if (!this.syncProgress) return;
+            if (!progress || (progress.total !== null && progress.total !== undefined && progress.done >= progress.total)) {
+                this.syncProgressEntries.delete(source);
+            } else {
+                this.syncProgressEntries.set(source, progress);
+            }
+
+            const entries = [...this.syncProgressEntries.values()];
+            this.syncProgress.classList.toggle('visible', entries.length > 0);
+            if (entries.length === 0) return;
+
+            const done = entries.reduce((sum, e) => sum + e.done, 0);
+            const known = entries.every(e => Number.isInteger(e.total));
+            const total = known ? entries.reduce((sum, e) => sum + e.total, 0) : null;
+            const verb = entries.some(e => e.phase === 'pull') ? 'Downloading' : 'Uploading';
+            const count = known ? `${done.toLocaleString()} of ${total.toLocaleString()}` : done.toLocaleString();
+
+            this.syncProgress.innerHTML = `
+                <span class="persist-sync-progress-label">${ICONS.loader} ${verb} changes · ${count}</span>
+                <div class="persist-sync-progress-bar ${known ? '' : 'indeterminate'}">
+                    <span style="${known ? `width: ${Math.round(done / Math.max(total, 1) * 100)}%` : ''}"></span>
+                </div>
+            `;
+        }
+
+        updateConflictBadge() {
+            if (!this.conflictBadge || !this.repository) return;
+            const count = this.repository.getConflicts({ status: 'open' }).length;
+            this.conflictBadge.classList.toggle('visible', count > 0);
+            this.conflictBadge.innerHTML = `${ICONS.conflict} <span>${count} sync conflict${count === 1 ? '' : 's'}</span>`;
+        }
+
+        openConflictInbox(conflictId = null) {
+            if (!this.repository) {
+                this.showError('Sync not available', 'Sign in to sync before reviewing conflicts');
+                return;
+            }
+            this.selectedConflictId = conflictId;
+            if (!this.conflictOverlay) {
+                this.conflictOverlay = document.createElement('div');
+                this.conflictOverlay.className = 'persist-confirm-overlay';
+                this.conflictOverlay.addEventListener('click', (e) => this.handleConflictClick(e));
+                this.conflictOverlay.addEventListener('change', (e) => {
+                    if (e.target.matches('[data-strategy-for]')) {
+                        this.repository.setMergeStrategy(e.target.dataset.strategyFor, e.target.value);
+                    }
+                });
+                this.conflictEscHandler = (e) => {
+                    if (e.key === 'Escape') this.closeConflictInbox();
+                };
+                document.addEventListener('keydown', this.conflictEscHandler);
+                document.body.appendChild(this.conflictOverlay);
+            }
+            this.renderConflictInbox();
+        }
+
+        closeConflictInbox() {
+            if (!this.conflictOverlay) return;
+            document.removeEventListener('keydown', this.conflictEscHandler);
+            this.conflictOverlay.remove();
+            this.conflictOverlay = null;
+        }
+
+        renderConflictInbox() {
+            const open = this.repository.getConflicts({ status: 'open' });
+            const resolved = this.repository.getConflicts({ status: 'resolved' }).slice(0, 10);
+            if (!open.some(c => c.id === this.selectedConflictId)) {
+                this.selectedConflictId = open[0]?.id || null;
+            }
+            const selected = open.find(c => c.id === this.selectedConflictId);
+            const merge = window.CAVSyncMerge;
+            const outcomes = {
+                push: 'kept this device',
+                delete: 'deleted',
+                accept_remote: 'kept server',
+                keep_both: 'kept both'
+            };
+
+            this.conflictOverlay.innerHTML = `
+                <div class="persist-conflict-dialog">
+                    <div class="persist-conflict-header">
+                        <h3>${ICONS.conflict} Sync conflicts</h3>
+                        <button class="persist-btn persist-btn-secondary persist-btn-icon" data-action="close" title="Close">${ICONS.x}</button>
+                    </div>
+                    <div class="persist-conflict-body">
+                        <div class="persist-conflict-sidebar">
+                            ${open.length ? '' : '<div class="persist-conflict-empty">No conflicts to review</div>'}
+                            ${open.map(c => `
+                                <button class="persist-conflict-item ${c.id === this.selectedConflictId ? 'active' : ''}" data-action="select" data-id="${escapeHtml(c.id)}">
+                                    ${escapeHtml(c.title)}
+                                    <small>${escapeHtml(this.formatEntityType(c.entity_type))} · ${escapeHtml(new Date(c.detected_at).toLocaleString())}</small>
+                                </button>
+                            `).join('')}
+                            <h4>Merge strategies</h4>
+                            ${Object.keys(merge.DEFAULT_STRATEGIES).map(type => `
+                                <label class="persist-conflict-strategy">
+                                    <span>${escapeHtml(this.formatEntityType(type))}</span>
+                                    <select data-strategy-for="${escapeHtml(type)}">
+                                        ${Object.entries(merge.STRATEGIES).map(([key, label]) => `
+                                            <option value="${key}" ${this.repository.getMergeStrategy(type) === key ? 'selected' : ''}>${escapeHtml(label)}</option>
+                                        `).join('')}
+                                    </select>
+                                </label>
+                            `).join('')}
+                            ${resolved.length ? `<h4>Recently resolved</h4>` : ''}
+                            ${resolved.map(c => `
+                                <div class="persist-conflict-resolved">
+                                    ${escapeHtml(c.title)}
+                                    <small>${escapeHtml(outcomes[c.resolution] || c.resolution)} · ${c.resolved_by === 'auto' ? escapeHtml(merge.STRATEGIES[c.strategy] || 'automatic') : 'by you'}</small>
+                                </div>
+                            `).join('')}
+                        </div>
+                        <div class="persist-conflict-detail">
+                            ${selected ? this.renderConflictDetail(selected) : '<div class="persist-conflict-empty">Select a conflict to compare both versions</div>'}
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+
+        renderConflictDetail(conflict) {
+            const merge = window.CAVSyncMerge;
+            const { local, remote } = conflict;
+            const localDeleted = conflict.action === 'delete';
+            const remoteDeleted = !!remote?.deleted_at;
+            const meta = `
+                <div class="persist-conflict-detail-meta">
+                    ${escapeHtml(this.formatEntityType(conflict.entity_type))} · ${escapeHtml(conflict.reason || 'Changed on this device and on the server')}
+                </div>
+            `;
+            const button = (choice, label, style = 'secondary') =>
+                `<button class="persist-btn persist-btn-${style} persist-btn-small" data-action="resolve" data-choice="${choice}">${escapeHtml(label)}</button>`;
+
+            if (!remote || localDeleted || remoteDeleted) {
+                const message = !remote
+                    ? 'The server did not send its version of this item.'
+                    : localDeleted
+                        ? 'You deleted this item on this device, but it was edited elsewhere.'
+                        : 'You edited this item, but it was deleted elsewhere.';
+                return `
+                    <h3>${escapeHtml(conflict.title)}</h3>
+                    ${meta}
+                    <p>${escapeHtml(message)}</p>
+                    <div class="persist-conflict-actions">
+                        ${button('remote', !remote ? 'Discard my edit' : remoteDeleted ? 'Accept deletion' : 'Keep server version')}
+                        ${button('local', localDeleted ? 'Delete it' : remoteDeleted ? 'Restore my version' : 'Push my version', 'primary')}
+                    </div>
+                `;
+            }
+
+            const { merged, contested, differing } = merge.mergeRecords(local, remote, conflict.base_fields || {});
+            const contestedFields = new Set(contested.map(c => c.field));
+            const rows = differing.map(field => {
+                const picked = merge.isEqual(merged[field], local[field]) ? 'local' : 'remote';
+                const cell = (side, value) => `
+                    <td>
+                        <label>
+                            <input type="radio" name="field-${escapeHtml(field)}" value="${side}" data-field="${escapeHtml(field)}" ${picked === side ? 'checked' : ''}>
+                            <span>${formatFieldValue(value)}</span>
+                        </label>
+                    </td>
+                `;
+                return `
+                    <tr class="${contestedFields.has(field) ? 'contested' : ''}">
+                        <td>${escapeHtml(formatFieldName(field))}${contestedFields.has(field) ? '<span class="persist-conflict-tag">changed on both</span>' : ''}</td>
+                        ${cell('local', local[field])}
+                        ${cell('remote', remote[field])}
+                    </tr>
+                `;
+            }).join('');
+
+            return `
+                <h3>${escapeHtml(conflict.title)}</h3>
+                ${meta}
+                ${differing.length ? `
+                    <table class="persist-conflict-table">
+                        <thead>
+                            <tr><th>Field</th><th>This device</th><th>Server</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                ` : '<p>Both versions now hold the same values.</p>'}
+                <div class="persist-conflict-actions">
+                    ${button('remote', 'Keep server version')}
+                    ${button('local', 'Keep my version')}
+                    ${button('both', 'Keep both')}
+                    ${button('merged', 'Apply selected fields', 'primary')}
+                </div>
+            `;
+        }
+
+        async handleConflictClick(e) {
+            if (e.target === this.conflictOverlay) {
+                this.closeConflictInbox();
+                return;
+            }
+            const target = e.target.closest('[data-action]');
+            if (!target) return;
+
+            if (target.dataset.action === 'close') {
+                this.closeConflictInbox();
+            } else if (target.dataset.action === 'select') {
+                this.selectedConflictId = target.dataset.id;
+                this.renderConflictInbox();
+            } else if (target.dataset.action === 'resolve') {
+                const choices = {};
+                this.conflictOverlay.querySelectorAll('input[data-field]:checked').forEach(input => {
+                    choices[input.dataset.field] = input.value;
+                });
+                target.disabled = true;
+                try {
+                    const conflict = await this.repository.resolveConflict(this.selectedConflictId, { choice: target.dataset.choice, choices });
+                    this.showSuccess('Conflict resolved', escapeHtml(conflict.title));
+                } catch (error) {
+                    console.error('[PersistenceUI] Conflict resolution error:', error);
+                    target.disabled = false;
+                    this.showError('Could not resolve conflict', escapeHtml(error.message));
+                }
+            }
+        }
+
         // ============================================
         // QUICK ACTIONS FOR COMMON PATTERNS
         // ============================================
@@ -956,5 +1496,6 @@
     console.log('   ✅ Toast notifications');
     console.log('   ✅ Confirm dialogs');
     console.log('   ✅ Sync status indicators');
+    console.log('   ✅ Sync conflict inbox');
 
 })();
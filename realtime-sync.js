@@ -1,19 +1,22 @@
 /**
  * Real-Time Cross-Device Sync Module
- * Creative Innovate Tool v1.0.0
+ * Creative Innovate Tool v2.0.0
  * 
- * Provides TRUE real-time synchronization across all devices:
+ * Connection status and change notifications for:
  * - Desktop browsers
  * - Mobile browsers
  * - Multiple tabs
  * 
- * Uses Supabase Realtime for instant updates.
+ * CAVRepository (repository.js) subscribes to Supabase Realtime, applies
+ * the changes and shares them with other tabs. This module watches the
+ * connection and turns the repository's change feed into onDataChange
+ * callbacks and `cav:data-changed` events.
  */
 
 (function() {
     'use strict';
 
-    const VERSION = '1.0.0';
+    const VERSION = '2.0.0';
     console.log(`[RealtimeSync] Loading v${VERSION}...`);
 
     // ============================================
@@ -21,25 +24,6 @@
     // ============================================
 
     const SYNC_CONFIG = {
-        // Tables to subscribe to for real-time updates
-        REALTIME_TABLES: [
-            'companies',
-            'contacts', 
-            'projects',
-            'deals',
-            'creative_analyses',
-            'strategies',
-            'video_analyses',
-            'url_analyses',
-            'swipe_files',
-            'benchmarks',
-            'google_ads_builds',
-            'social_media_builds',
-            'keyword_research',
-            'user_settings',
-            'brand_profiles'
-        ],
-        
         // How often to check sync status (ms)
         HEARTBEAT_INTERVAL: 30000,
         
@@ -56,11 +40,9 @@
 
     let supabase = null;
     let userEmail = null;
-    let channels = {};
     let isConnected = false;
     let reconnectAttempts = 0;
     let lastSyncTime = null;
-    let pendingChanges = [];
     let syncStatusCallbacks = [];
 
     // ============================================
@@ -70,8 +52,14 @@
     class RealtimeSync {
         constructor() {
             this.initialized = false;
-            this.subscriptions = new Map();
             this.localChangeListeners = [];
+            this.repository = window.CAVRepository;
+
+            // Changes that did not start in this tab, wherever they came from
+            this.repository.subscribe((change) => {
+                if (change.origin === 'local') return;
+                this.handleChange(change);
+            });
         }
 
         async init() {
@@ -97,9 +85,9 @@
             console.log(`[RealtimeSync] Initializing for user: ${userEmail}`);
 
             // Set up real-time subscriptions
-            await this.subscribeToAllTables();
+            this.subscribe();
 
-            // Set up broadcast channel for cross-tab sync
+            // Set up broadcast channel for cross-tab status
             this.setupBroadcastChannel();
 
             // Set up sync status UI
@@ -132,102 +120,28 @@
         // REAL-TIME SUBSCRIPTIONS
         // ============================================
 
-        async subscribeToAllTables() {
-            console.log('[RealtimeSync] Setting up real-time subscriptions...');
-
-            for (const table of SYNC_CONFIG.REALTIME_TABLES) {
-                await this.subscribeToTable(table);
+        // The repository subscribes through its active adapter
+        subscribe() {
+            if (this.repository.repository.startLive()) {
+                console.log(`[RealtimeSync] Subscribed to ${this.subscribedTables().length} tables`);
+            } else {
+                console.warn('[RealtimeSync] Live updates unavailable for the active adapter');
             }
-
-            console.log(`[RealtimeSync] Subscribed to ${SYNC_CONFIG.REALTIME_TABLES.length} tables`);
         }
 
-        async subscribeToTable(tableName) {
-            try {
-                const channel = supabase
-                    .channel(`realtime_${tableName}`)
-                    .on('postgres_changes', {
-                        event: '*', // INSERT, UPDATE, DELETE
-                        schema: 'public',
-                        table: tableName,
-                        filter: `user_email=eq.${userEmail}`
-                    }, (payload) => {
-                        this.handleRealtimeChange(tableName, payload);
-                    })
-                    .subscribe((status) => {
-                        if (status === 'SUBSCRIBED') {
-                            console.log(`[RealtimeSync] ✓ Subscribed to ${tableName}`);
-                            channels[tableName] = channel;
-                        } else if (status === 'CHANNEL_ERROR') {
-                            console.warn(`[RealtimeSync] ✗ Failed to subscribe to ${tableName}`);
-                        }
-                    });
-
-                this.subscriptions.set(tableName, channel);
-
-            } catch (error) {
-                console.warn(`[RealtimeSync] Error subscribing to ${tableName}:`, error);
-            }
+        subscribedTables() {
+            return this.repository.getStatus().liveTypes;
         }
 
-        handleRealtimeChange(tableName, payload) {
-            console.log(`[RealtimeSync] Change in ${tableName}:`, payload.eventType);
-
-            const { eventType, new: newRecord, old: oldRecord } = payload;
-
-            // Update local storage
-            this.updateLocalStorage(tableName, eventType, newRecord, oldRecord);
+        handleChange(change) {
+            const eventType = change.action === 'delete' ? 'DELETE' : 'UPDATE';
+            console.log(`[RealtimeSync] Change in ${change.entity_type}:`, eventType);
 
-            // Notify listeners
-            this.notifyChangeListeners(tableName, eventType, newRecord, oldRecord);
+            this.notifyChangeListeners(change.entity_type, eventType, change.data, null);
 
-            // Update sync status
-            lastSyncTime = new Date();
-            this.updateSyncStatus('synced');
-
-            // Broadcast to other tabs
-            this.broadcastChange(tableName, eventType, newRecord);
-        }
-
-        // ============================================
-        // LOCAL STORAGE SYNC
-        // ============================================
-
-        async updateLocalStorage(tableName, eventType, newRecord, oldRecord) {
-            // Update IndexedDB via UnifiedStorage
-            if (window.UnifiedStorage) {
-                try {
-                    const storeName = this.tableToStoreName(tableName);
-                    
-                    // Check if this store exists in IndexedDB (might not if DB version is old)
-                    const supportedStores = [
-                        'video_analyses', 'creative_analyses', 'strategies', 'url_analyses',
-                        'swipe_files', 'benchmarks', 'google_ads_builds', 'social_media_builds',
-                        'keyword_research', 'ai_studio_history', 'activity_log', 'auto_fix_history',
-                        'api_keys', 'user_api_keys', 'user_settings', 'companies', 'contacts', 'projects'
-                    ];
-                    
-                    if (!supportedStores.includes(storeName)) {
-                        // Skip tables we don't sync to IndexedDB
-                        console.log(`[RealtimeSync] Skipping IndexedDB update for ${tableName}`);
-                        return;
-                    }
-                    
-                    if (eventType === 'DELETE') {
-                        await window.UnifiedStorage.delete(storeName, oldRecord?.id, false);
-                    } else {
-                        // Don't trigger cloud sync since this came from cloud
-                        const data = { ...newRecord, needs_sync: false };
-                        await window.UnifiedStorage.save(storeName, data, false);
-                    }
-                } catch (e) {
-                    // Gracefully handle missing stores (can happen if DB hasn't upgraded yet)
-                    if (e.name === 'NotFoundError' || e.message?.includes('not found')) {
-                        console.log(`[RealtimeSync] Store ${tableName} not in IndexedDB yet, skipping local update`);
-                    } else {
-                        console.warn('[RealtimeSync] Local update failed:', e);
-                    }
-                }
+            if (change.origin === 'remote') {
+                lastSyncTime = new Date();
+                this.updateSyncStatus('synced');
             }
         }
 
@@ -242,30 +156,8 @@
             return superAdmins.includes(currentEmail);
         }
 
-        tableToStoreName(tableName) {
-            // Map table names to IndexedDB store names
-            const map = {
-                'creative_analyses': 'creative_analyses',
-                'video_analyses': 'video_analyses',
-                'strategies': 'strategies',
-                'url_analyses': 'url_analyses',
-                'swipe_files': 'swipe_files',
-                'benchmarks': 'benchmarks',
-                'google_ads_builds': 'google_ads_builds',
-                'social_media_builds': 'social_media_builds',
-                'keyword_research': 'keyword_research',
-                'companies': 'companies',
-                'contacts': 'contacts',
-                'projects': 'projects',
-                'deals': 'deals',
-                'user_settings': 'user_settings',
-                'brand_profiles': 'brand_profiles'
-            };
-            return map[tableName] || tableName;
-        }
-
         // ============================================
-        // CROSS-TAB SYNC (BroadcastChannel)
+        // CROSS-TAB STATUS (BroadcastChannel)
         // ============================================
 
         setupBroadcastChannel() {
@@ -277,31 +169,13 @@
             this.broadcastChannel = new BroadcastChannel('cav_realtime_sync');
             
             this.broadcastChannel.onmessage = (event) => {
-                const { type, tableName, eventType, data } = event.data;
-                
-                if (type === 'SYNC_CHANGE') {
-                    console.log(`[RealtimeSync] Cross-tab update: ${tableName}`);
-                    this.updateLocalStorage(tableName, eventType, data, null);
-                    this.notifyChangeListeners(tableName, eventType, data, null);
-                } else if (type === 'SYNC_STATUS') {
+                if (event.data.type === 'SYNC_STATUS') {
                     // Another tab updated sync status
                     this.updateSyncStatus(event.data.status, false);
                 }
             };
         }
 
-        broadcastChange(tableName, eventType, data) {
-            if (this.broadcastChannel) {
-                this.broadcastChannel.postMessage({
-                    type: 'SYNC_CHANGE',
-                    tableName,
-                    eventType,
-                    data,
-                    timestamp: Date.now()
-                });
-            }
-        }
-
         // ============================================
         // CHANGE LISTENERS
         // ============================================
@@ -467,77 +341,16 @@
         async reconnect() {
             this.updateSyncStatus('reconnecting');
 
-            // Unsubscribe from all channels
-            for (const [table, channel] of this.subscriptions) {
-                try {
-                    await supabase.removeChannel(channel);
-                } catch (e) {}
-            }
-            this.subscriptions.clear();
-            channels = {};
-
             // Re-subscribe
-            await this.subscribeToAllTables();
+            this.subscribe();
 
             // Sync any pending changes
-            await this.syncPendingChanges();
+            await this.repository.sync().catch(e => console.warn('[RealtimeSync] Reconnect sync failed:', e));
 
             this.updateSyncStatus('connected');
             reconnectAttempts = 0;
         }
 
-        // ============================================
-        // PENDING CHANGES (OFFLINE SUPPORT)
-        // ============================================
-
-        async syncPendingChanges() {
-            if (pendingChanges.length === 0) return;
-
-            console.log(`[RealtimeSync] Syncing ${pendingChanges.length} pending changes...`);
-            this.updateSyncStatus('syncing');
-
-            const toSync = [...pendingChanges];
-            pendingChanges = [];
-
-            for (const change of toSync) {
-                try {
-                    const { tableName, data, operation } = change;
-
-                    if (operation === 'delete') {
-                        await supabase
-                            .from(tableName)
-                            .update({ deleted_at: new Date().toISOString() })
-                            .eq('id', data.id);
-                    } else {
-                        await supabase
-                            .from(tableName)
-                            .upsert(data, { onConflict: 'id' });
-                    }
-                } catch (e) {
-                    console.warn('[RealtimeSync] Failed to sync pending change:', e);
-                    pendingChanges.push(change); // Re-queue
-                }
-            }
-
-            this.updateSyncStatus('synced');
-        }
-
-        queuePendingChange(tableName, data, operation = 'upsert') {
-            pendingChanges.push({ tableName, data, operation, timestamp: Date.now() });
-            
-            // Store in localStorage for persistence
-            localStorage.setItem('cav_pending_sync', JSON.stringify(pendingChanges));
-        }
-
-        loadPendingChanges() {
-            try {
-                const stored = localStorage.getItem('cav_pending_sync');
-                if (stored) {
-                    pendingChanges = JSON.parse(stored);
-                }
-            } catch (e) {}
-        }
-
         // ============================================
         // MANUAL SYNC TRIGGER
         // ============================================
@@ -547,17 +360,10 @@
             this.updateSyncStatus('syncing');
 
             try {
-                // Sync pending changes
-                await this.syncPendingChanges();
-
-                // Trigger UnifiedStorage sync
-                if (window.UnifiedStorage) {
-                    await window.UnifiedStorage.syncToCloud();
-                }
-
-                // Pull latest from cloud
-                await this.pullLatestFromCloud();
+                // Push pending changes, then pull the latest from the cloud
+                await this.repository.sync();
 
+                lastSyncTime = new Date();
                 this.updateSyncStatus('synced');
                 return { success: true };
 
@@ -568,19 +374,6 @@
             }
         }
 
-        async pullLatestFromCloud() {
-            if (!window.UnifiedStorage) return;
-
-            for (const table of SYNC_CONFIG.REALTIME_TABLES) {
-                try {
-                    const storeName = this.tableToStoreName(table);
-                    await window.UnifiedStorage.loadFromCloud(storeName);
-                } catch (e) {
-                    console.warn(`[RealtimeSync] Failed to pull ${table}:`, e);
-                }
-            }
-        }
-
         // ============================================
         // STATUS & DIAGNOSTICS
         // ============================================
@@ -590,32 +383,29 @@
                 initialized: this.initialized,
                 connected: isConnected,
                 userEmail,
-                subscribedTables: Array.from(this.subscriptions.keys()),
-                pendingChanges: pendingChanges.length,
+                subscribedTables: this.subscribedTables(),
+                pendingChanges: this.repository.getStatus().pendingCount,
                 lastSyncTime,
                 reconnectAttempts
             };
         }
 
         async runDiagnostics() {
+            const status = this.getStatus();
             console.log('============================================');
             console.log('[RealtimeSync] Diagnostics');
             console.log('============================================');
-            console.log('Initialized:', this.initialized);
-            console.log('Connected:', isConnected);
-            console.log('User:', userEmail);
-            console.log('Subscriptions:', Array.from(this.subscriptions.keys()));
-            console.log('Pending changes:', pendingChanges.length);
-            console.log('Last sync:', lastSyncTime);
-            console.log('Reconnect attempts:', reconnectAttempts);
+            console.log('Initialized:', status.initialized);
+            console.log('Connected:', status.connected);
+            console.log('User:', status.userEmail);
+            console.log('Subscriptions:', status.subscribedTables);
+            console.log('Pending changes:', status.pendingChanges);
+            console.log('Last sync:', status.lastSyncTime);
+            console.log('Reconnect attempts:', status.reconnectAttempts);
+            console.log('Adapter:', this.repository.getStatus().adapter);
             console.log('============================================');
 
-            // Test each subscription
-            for (const [table, channel] of this.subscriptions) {
-                console.log(`  ${table}: ${channel.state || 'unknown'}`);
-            }
-
-            return this.getStatus();
+            return status;
         }
     }
 
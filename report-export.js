@@ -0,0 +1,1298 @@
+/**
+ * Creative Asset Validator - Report Export
+ * Version 1.0.0
+ *
+ * Validation reports as real PDF and XLSX files. Nothing here depends on a
+ * library or the DOM, so the same code runs in the browser (PDFReports in
+ * advanced-features.js) and in Node (the MCP server's generate_report tool).
+ *
+ * buildReport() turns a list of assets into a report model:
+ * - validation of every asset against the channel registry
+ * - compatibility matrices per channel category (pass / fixable / n/a)
+ * - fix plans per off-size channel (channel-specs suggestFix, the same
+ *   fixes auto-fix applies; the app passes auto-fix's own plan)
+ * - AI scores from past analyses (analyze-module.js shape)
+ * - the brand profile for the cover (settings-module.js shape)
+ * toPdf() and toXlsx() render that model and return the file as a Uint8Array.
+ *
+ * PDF: A4 landscape, standard Helvetica (WinAnsi, so emoji are dropped),
+ * vector charts. Images must be JPEG (jpegImage()); the browser converts
+ * logos and thumbnails on a canvas before building the report.
+ * XLSX: stored (uncompressed) zip, inline strings, native bar charts that
+ * read their data from the Summary sheet.
+ */
+
+(function() {
+    'use strict';
+
+    const VERSION = '1.0.0';
+
+    // Channel categories in report order
+    const CATEGORY_LABELS = {
+        social: 'Social',
+        gdn: 'Google Display',
+        dv360: 'DV360',
+        ttd: 'The Trade Desk',
+        ctv: 'CTV',
+        custom: 'Custom',
+    };
+
+    const SCORE_FIELDS = [
+        ['overall', 'Overall'],
+        ['hook', 'Hook'],
+        ['cta', 'CTA'],
+        ['thumbStop', 'Thumb-stop'],
+        ['brand', 'Brand'],
+    ];
+
+    const STATUS_COLORS = {
+        pass: '#22c55e',
+        fix: '#f59e0b',
+        na: '#e5e7eb',
+    };
+
+    const DEFAULT_BRAND_COLORS = { primary: '#6366f1', secondary: '#1e1b4b', accent: '#8b5cf6' };
+
+    function specRegistry() {
+        if (typeof window !== 'undefined' && window.CAVChannelSpecs) return window.CAVChannelSpecs;
+        if (typeof require === 'function') return require('./channel-specs.js');
+        throw new Error('Channel spec registry (channel-specs.js) is not loaded');
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    function isHexColor(value) {
+        return typeof value === 'string' && /^#?[0-9a-f]{6}$/i.test(value.trim());
+    }
+
+    function hexToRgb(hex) {
+        const value = hex.replace('#', '');
+        return [0, 2, 4].map(i => parseInt(value.substr(i, 2), 16) / 255);
+    }
+
+    // Readable text color on a brand color background
+    function contrastText(hex) {
+        const [r, g, b] = hexToRgb(hex);
+        return 0.299 * r + 0.587 * g + 0.114 * b > 0.6 ? '#111827' : '#ffffff';
+    }
+
+    function formatBytes(bytes) {
+        if (!bytes) return '';
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    function formatDate(date) {
+        return new Date(date).toISOString().slice(0, 10);
+    }
+
+    function numberOrNull(...values) {
+        const value = values.find(v => typeof v === 'number' && !isNaN(v));
+        return value === undefined ? null : Math.round(value);
+    }
+
+    function average(values) {
+        const numbers = values.filter(v => typeof v === 'number');
+        return numbers.length ? Math.round(numbers.reduce((a, b) => a + b, 0) / numbers.length) : null;
+    }
+
+    /**
+     * Scores from a creative analysis, as stored by analyze-module.js in the
+     * browser or returned by the MCP library (cav://analyses/{id}).
+     * @returns {Object|null} - { overall, hook, cta, thumbStop, brand }
+     */
+    function scoresFromAnalysis(analysis) {
+        if (!analysis) return null;
+        const thumbStop = analysis.thumbStopScore;
+        const scores = {
+            overall: numberOrNull(analysis.overallScore, analysis.overall_score),
+            hook: numberOrNull(analysis.hookAnalysis?.overallScore, analysis.hookAnalysis?.score, analysis.hook_analysis?.score),
+            cta: numberOrNull(analysis.ctaAnalysis?.overallEffectiveness, analysis.ctaAnalysis?.overallScore, analysis.cta_analysis?.score),
+            thumbStop: numberOrNull(typeof thumbStop === 'object' ? thumbStop?.overallScore : thumbStop, analysis.thumb_stop_score),
+            brand: numberOrNull(analysis.brandCompliance?.overallCompliance, analysis.brandCompliance?.overallScore),
+        };
+        return Object.values(scores).some(v => v !== null) ? scores : null;
+    }
+
+    // ============================================
+    // REPORT MODEL
+    // ============================================
+
+    const VIDEO_FIELDS = ['videoCodec', 'frameRate', 'bitrateKbps', 'hasAudio', 'loudnessLUFS'];
+
+    function normalizeAsset(asset) {
+        const type = String(asset.file_type || asset.type || '').toLowerCase().startsWith('video') ? 'video' : 'image';
+        return {
+            id: asset.id || asset.uuid || null,
+            filename: asset.filename || asset.name || 'Untitled',
+            type,
+            width: Number(asset.width) || 0,
+            height: Number(asset.height) || 0,
+            duration: asset.duration != null ? Number(asset.duration) : null,
+            fileSize: asset.file_size ?? asset.fileSize ?? null,
+            // Encoding details, when probed, for the codec/frame rate/loudness checks
+            ...Object.fromEntries(VIDEO_FIELDS.filter(f => asset[f] != null).map(f => [f, asset[f]])),
+        };
+    }
+
+    /**
+     * Brand profile from settings-module.js or the MCP library. fonts may be
+     * a list or an object of roles; logo must already be a JPEG image.
+     */
+    function normalizeBrand(brand) {
+        if (!brand) return null;
+        const colors = {};
+        Object.keys(DEFAULT_BRAND_COLORS).forEach(key => {
+            const value = brand.colors?.[key];
+            colors[key] = isHexColor(value) ? `#${value.trim().replace('#', '')}` : null;
+        });
+        const fonts = Array.isArray(brand.fonts)
+            ? brand.fonts
+            : Object.values(brand.fonts || {}).filter(f => typeof f === 'string');
+
+        return {
+            name: brand.name || 'Brand',
+            colors,
+            fonts,
+            voiceKeywords: brand.voiceKeywords || [],
+            guidelines: brand.guidelines || brand.visualStyle || '',
+            logo: brand.logo || null,
+        };
+    }
+
+    /**
+     * Build the report model both renderers read.
+     * @param {Object[]} assets - Library assets (app or MCP shape)
+     * @param {Object} [options]
+     *   title, brand, channels (limit to these channels), generatedAt,
+     *   recommend(specAsset, asset) -> [{ channel, steps }] (default: planFixes),
+     *   getScores(asset) -> { overall, hook, cta, thumbStop, brand } | null,
+     *   getThumbnail(asset) -> JPEG image | null,
+     *   specs (registry override, for tests)
+     */
+    function buildReport(assets, options = {}) {
+        const specs = options.specs || specRegistry();
+        const recommend = options.recommend || (specAsset => specs.planFixes(specAsset, { channels: options.channels }));
+        const getScores = options.getScores || (asset => asset.aiScores || null);
+        const getThumbnail = options.getThumbnail || (asset => asset.thumbnailJpeg || null);
+        const brand = normalizeBrand(options.brand);
+
+        const rows = assets.map(asset => {
+            const specAsset = normalizeAsset(asset);
+            const results = specs.validateAsset(specAsset, options.channels ? { channels: options.channels } : {});
+            const status = {};
+            results.compatible.forEach(r => { status[r.channel] = 'pass'; });
+            results.offSize.forEach(r => { status[r.channel] = 'fix'; });
+            return {
+                ...specAsset,
+                status,
+                compatible: results.compatible.map(r => r.channel),
+                offSize: results.offSize.map(r => ({ channel: r.channel, issues: r.issues.map(i => i.message) })),
+                fixes: recommend(specAsset, asset) || [],
+                scores: getScores(asset),
+                thumbnail: getThumbnail(asset),
+            };
+        });
+
+        // Channels that accept at least one of the asset types in the report
+        const types = new Set(rows.map(r => r.type));
+        const allSpecs = specs.getSpecs();
+        const channelNames = (options.channels || Object.keys(allSpecs))
+            .filter(name => allSpecs[name] && (allSpecs[name].type === 'both' || types.has(allSpecs[name].type)));
+
+        const categories = Object.keys(CATEGORY_LABELS)
+            .concat([...new Set(channelNames.map(n => allSpecs[n].category))].filter(c => !CATEGORY_LABELS[c]));
+        const matrices = categories
+            .map(category => {
+                const channels = channelNames.filter(n => allSpecs[n].category === category);
+                if (channels.length === 0) return null;
+                const stats = channels.map(channel => ({
+                    channel,
+                    pass: rows.filter(r => r.status[channel] === 'pass').length,
+                    fix: rows.filter(r => r.status[channel] === 'fix').length,
+                    na: rows.filter(r => !r.status[channel]).length,
+                }));
+                const applicable = stats.reduce((n, s) => n + s.pass + s.fix, 0);
+                return {
+                    category,
+                    label: CATEGORY_LABELS[category] || category,
+                    channels,
+                    rows: rows.map(r => ({ filename: r.filename, cells: channels.map(c => r.status[c] || 'na') })),
+                    stats,
+                    passRate: applicable ? stats.reduce((n, s) => n + s.pass, 0) / applicable : 0,
+                    assetsReady: rows.filter(r => channels.some(c => r.status[c] === 'pass')).length,
+                };
+            })
+            .filter(Boolean);
+
+        // One recommendation per asset and distinct set of steps, listing
+        // every channel that needs exactly those steps ("Extend image to 1:1
+        // for Facebook Feed Square" is grouped as "Extend image to 1:1")
+        const recommendations = rows.flatMap(r => {
+            const groups = new Map();
+            r.fixes.forEach(plan => {
+                const steps = plan.steps.map(step => ({
+                    ...step,
+                    description: step.description.replace(` for ${plan.channel}`, ''),
+                }));
+                const key = steps.map(step => step.description).join('|');
+                if (!groups.has(key)) groups.set(key, { filename: r.filename, channels: [], steps });
+                groups.get(key).channels.push(plan.channel);
+            });
+            return [...groups.values()];
+        });
+
+        const fixCounts = {};
+        recommendations.forEach(rec => rec.steps.forEach(step => {
+            fixCounts[step.action] = (fixCounts[step.action] || 0) + 1;
+        }));
+
+        const scored = rows.filter(r => r.scores);
+        const averageScores = SCORE_FIELDS
+            .map(([key, label]) => ({ key, label, value: average(scored.map(r => r.scores[key])) }))
+            .filter(s => s.value !== null);
+
+        return {
+            title: options.title || 'Creative Asset Validation Report',
+            generatedAt: options.generatedAt || new Date().toISOString(),
+            registryVersion: specs.REGISTRY_VERSION,
+            brand,
+            summary: {
+                total: rows.length,
+                images: rows.filter(r => r.type === 'image').length,
+                videos: rows.filter(r => r.type === 'video').length,
+                ready: rows.filter(r => r.compatible.length > 0).length,
+                offSize: rows.filter(r => r.compatible.length === 0).length,
+                fixableChannels: rows.reduce((n, r) => n + r.fixes.length, 0),
+                averageScore: averageScores.find(s => s.key === 'overall')?.value ?? null,
+                channels: channelNames.length,
+            },
+            assets: rows,
+            matrices,
+            recommendations,
+            fixCounts: Object.entries(fixCounts)
+                .map(([action, count]) => ({ action, count }))
+                .sort((a, b) => b.count - a.count),
+            averageScores,
+        };
+    }
+
+    function reportFileName(report, extension) {
+        const base = report.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report';
+        return `${base}-${formatDate(report.generatedAt)}.${extension}`;
+    }
+
+    // ============================================
+    // PDF WRITER
+    // ============================================
+
+    // Helvetica / Helvetica-Bold advance widths (1/1000 em) for ASCII 32-126
+    const HELVETICA_WIDTHS = [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+    ];
+    const HELVETICA_BOLD_WIDTHS = [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+    ];
+
+    // Unicode characters outside Latin-1 that WinAnsiEncoding has a slot for
+    const WIN_ANSI_EXTRAS = {
+        0x20ac: 0x80, 0x2026: 0x85, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97,
+        0x2018: 0x91, 0x2019: 0x92, 0x201c: 0x93, 0x201d: 0x94, 0x2122: 0x99,
+    };
+
+    // Text as WinAnsi character codes; emoji and other unsupported
+    // characters are dropped rather than printed as boxes
+    function toWinAnsi(text) {
+        let out = '';
+        for (const ch of String(text ?? '')) {
+            const code = ch.codePointAt(0);
+            if (code === 0x2192) out += '->';
+            else if (code < 0x20) out += ' ';
+            else if (code < 0x7f || (code >= 0xa0 && code <= 0xff)) out += ch;
+            else if (WIN_ANSI_EXTRAS[code]) out += String.fromCharCode(WIN_ANSI_EXTRAS[code]);
+        }
+        return out.replace(/\s+/g, ' ');
+    }
+
+    function charWidth(code, bold) {
+        const table = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+        return code >= 32 && code <= 126 ? table[code - 32] : 556;
+    }
+
+    function latin1Bytes(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff;
+        return bytes;
+    }
+
+    /**
+     * JPEG bytes as a report image, with size and channels read from the
+     * frame header. CMYK and non-JPEG data return null.
+     * @returns {Object|null} - { data, width, height, components }
+     */
+    function jpegImage(bytes) {
+        const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        if (data[0] !== 0xff || data[1] !== 0xd8) return null;
+        let i = 2;
+        while (i + 9 < data.length) {
+            if (data[i] !== 0xff) return null;
+            const marker = data[i + 1];
+            const length = (data[i + 2] << 8) | data[i + 3];
+            // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                const components = data[i + 9];
+                if (components !== 1 && components !== 3) return null;
+                return {
+                    data,
+                    height: (data[i + 5] << 8) | data[i + 6],
+                    width: (data[i + 7] << 8) | data[i + 8],
+                    components,
+                };
+            }
+            i += 2 + length;
+        }
+        return null;
+    }
+
+    function pdfNumber(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+
+    function pdfColor(hex) {
+        return hexToRgb(hex).map(pdfNumber).join(' ');
+    }
+
+    /**
+     * Minimal PDF 1.4 writer. Coordinates are in points from the top-left
+     * corner of the page (y grows downwards) and converted on output.
+     */
+    class PdfWriter {
+        constructor({ width = 842, height = 595 } = {}) {
+            this.width = width;
+            this.height = height;
+            this.pages = [];
+            this.images = [];
+            this.page = null;
+        }
+
+        addPage() {
+            this.page = { ops: [] };
+            this.pages.push(this.page);
+            return this.page;
+        }
+
+        y(top) {
+            return pdfNumber(this.height - top);
+        }
+
+        rect(x, top, w, h, { fill = null, stroke = null, lineWidth = 0.5 } = {}) {
+            const ops = this.page.ops;
+            if (fill) ops.push(`${pdfColor(fill)} rg`);
+            if (stroke) ops.push(`${pdfColor(stroke)} RG ${pdfNumber(lineWidth)} w`);
+            ops.push(`${pdfNumber(x)} ${this.y(top + h)} ${pdfNumber(w)} ${pdfNumber(h)} re ${fill && stroke ? 'B' : fill ? 'f' : 'S'}`);
+        }
+
+        line(x1, top1, x2, top2, { color = '#d1d5db', width = 0.5 } = {}) {
+            this.page.ops.push(`${pdfColor(color)} RG ${pdfNumber(width)} w ${pdfNumber(x1)} ${this.y(top1)} m ${pdfNumber(x2)} ${this.y(top2)} l S`);
+        }
+
+        textWidth(text, size, bold = false) {
+            const encoded = toWinAnsi(text);
+            let width = 0;
+            for (let i = 0; i < encoded.length; i++) width += charWidth(encoded.charCodeAt(i), bold);
+            return (width * size) / 1000;
+        }
+
+        // Shorten to maxWidth with an ellipsis
+        fit(text, maxWidth, size, bold = false) {
+            let value = toWinAnsi(text);
+            if (this.textWidth(value, size, bold) <= maxWidth) return value;
+            while (value.length > 1 && this.textWidth(`${value}...`, size, bold) > maxWidth) {
+                value = value.slice(0, -1);
+            }
+            return `${value.trimEnd()}...`;
+        }
+
+        wrap(text, maxWidth, size, bold = false) {
+            const lines = [];
+            let line = '';
+            toWinAnsi(text).split(' ').forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && this.textWidth(candidate, size, bold) > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            if (line) lines.push(line);
+            return lines.map(l => this.fit(l, maxWidth, size, bold));
+        }
+
+        /**
+         * @param {number} top - Baseline, from the top of the page
+         * @param {Object} [options] - size, bold, color, align (left, center, right), maxWidth
+         */
+        text(text, x, top, { size = 10, bold = false, color = '#111827', align = 'left', maxWidth = null } = {}) {
+            const value = maxWidth ? this.fit(text, maxWidth, size, bold) : toWinAnsi(text);
+            if (!value) return;
+            const width = this.textWidth(value, size, bold);
+            const left = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+            const escaped = value.replace(/[\\()]/g, ch => `\\${ch}`);
+            this.page.ops.push(`BT /${bold ? 'F2' : 'F1'} ${pdfNumber(size)} Tf ${pdfColor(color)} rg ${pdfNumber(left)} ${this.y(top)} Td (${escaped}) Tj ET`);
+        }
+
+        // image: { data: Uint8Array (JPEG), width, height, components? }
+        image(image, x, top, w, h) {
+            let index = this.images.indexOf(image);
+            if (index === -1) {
+                this.images.push(image);
+                index = this.images.length - 1;
+            }
+            this.page.ops.push(`q ${pdfNumber(w)} 0 0 ${pdfNumber(h)} ${pdfNumber(x)} ${this.y(top + h)} cm /Im${index} Do Q`);
+        }
+
+        toBytes() {
+            const chunks = [];
+            const offsets = [];
+            let length = 0;
+            const push = (part) => {
+                const bytes = typeof part === 'string' ? latin1Bytes(part) : part;
+                chunks.push(bytes);
+                length += bytes.length;
+            };
+            const object = (id, body, stream = null) => {
+                offsets[id] = length;
+                push(`${id} 0 obj\n${body}\n`);
+                if (stream) {
+                    push('stream\n');
+                    push(stream);
+                    push('\nendstream\n');
+                }
+                push('endobj\n');
+            };
+
+            // 1 catalog, 2 page tree, 3-4 fonts, then images, then page + content pairs
+            const imageIds = this.images.map((_, i) => 5 + i);
+            const firstPageId = 5 + this.images.length;
+            const pageIds = this.pages.map((_, i) => firstPageId + i * 2);
+            const xObjects = imageIds.length
+                ? `/XObject << ${imageIds.map((id, i) => `/Im${i} ${id} 0 R`).join(' ')} >>`
+                : '';
+
+            push('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+            object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+            object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+            object(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+            object(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+            this.images.forEach((image, i) => {
+                object(imageIds[i], `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace ${image.components === 1 ? '/DeviceGray' : '/DeviceRGB'} /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>`, image.data);
+            });
+            this.pages.forEach((page, i) => {
+                const content = latin1Bytes(page.ops.join('\n'));
+                object(pageIds[i], `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.width} ${this.height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> ${xObjects} >> /Contents ${pageIds[i] + 1} 0 R >>`);
+                object(pageIds[i] + 1, `<< /Length ${content.length} >>`, content);
+            });
+
+            const xrefOffset = length;
+            const count = firstPageId + this.pages.length * 2;
+            let xref = `xref\n0 ${count}\n0000000000 65535 f \n`;
+            for (let id = 1; id < count; id++) {
+                xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+            }
+            push(xref);
+            push(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+            const out = new Uint8Array(length);
+            let position = 0;
+            chunks.forEach(chunk => {
+                out.set(chunk, position);
+                position += chunk.length;
+            });
+            return out;
+        }
+    }
+
+    // ============================================
+    // PDF LAYOUT
+    // ============================================
+
+    const PAGE = { width: 842, height: 595, margin: 36, headerHeight: 48, footerTop: 572 };
+    const MATRIX_MAX_COLUMNS = 16;
+    const TABLE_ROW_HEIGHT = 16;
+
+    function brandColors(report) {
+        const colors = report.brand?.colors || {};
+        return {
+            primary: colors.primary || DEFAULT_BRAND_COLORS.primary,
+            secondary: colors.secondary || DEFAULT_BRAND_COLORS.secondary,
+            accent: colors.accent || colors.primary || DEFAULT_BRAND_COLORS.accent,
+        };
+    }
+
+    function chunk(list, size) {
+        const out = [];
+        for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+        return out;
+    }
+
+    // Content page with the section title in a brand-colored band
+    function sectionPage(pdf, report, title) {
+        const colors = brandColors(report);
+        pdf.addPage();
+        pdf.rect(0, 0, PAGE.width, PAGE.headerHeight, { fill: colors.primary });
+        pdf.text(title, PAGE.margin, 30, { size: 16, bold: true, color: contrastText(colors.primary) });
+        if (report.brand) {
+            pdf.text(report.brand.name, PAGE.width - PAGE.margin, 30, { size: 10, color: contrastText(colors.primary), align: 'right' });
+        }
+        return PAGE.headerHeight + 28;
+    }
+
+    function drawFooters(pdf, report) {
+        const label = [report.brand?.name, report.title].filter(Boolean).join(' - ');
+        pdf.pages.forEach((page, i) => {
+            pdf.page = page;
+            pdf.line(PAGE.margin, PAGE.footerTop - 10, PAGE.width - PAGE.margin, PAGE.footerTop - 10);
+            pdf.text(label, PAGE.margin, PAGE.footerTop, { size: 8, color: '#6b7280', maxWidth: 500 });
+            pdf.text(`Page ${i + 1} of ${pdf.pages.length}`, PAGE.width - PAGE.margin, PAGE.footerTop, { size: 8, color: '#6b7280', align: 'right' });
+        });
+    }
+
+    function drawCover(pdf, report) {
+        const colors = brandColors(report);
+        const onPrimary = contrastText(colors.primary);
+        const { summary } = report;
+        pdf.addPage();
+
+        pdf.rect(0, 0, PAGE.width, 250, { fill: colors.primary });
+        pdf.rect(0, 250, PAGE.width, 6, { fill: colors.accent });
+        let textLeft = PAGE.margin + 12;
+        if (report.brand?.logo) {
+            const logo = report.brand.logo;
+            const scale = Math.min(120 / logo.width, 80 / logo.height);
+            pdf.rect(PAGE.margin, 40, logo.width * scale + 16, logo.height * scale + 16, { fill: '#ffffff' });
+            pdf.image(logo, PAGE.margin + 8, 48, logo.width * scale, logo.height * scale);
+            textLeft = PAGE.margin + logo.width * scale + 40;
+        }
+        pdf.wrap(report.title, PAGE.width - textLeft - PAGE.margin, 28, true).slice(0, 2).forEach((line, i) => {
+            pdf.text(line, textLeft, 90 + i * 34, { size: 28, bold: true, color: onPrimary });
+        });
+        if (report.brand) {
+            pdf.text(`Prepared for ${report.brand.name}`, textLeft, 175, { size: 14, color: onPrimary });
+        }
+        pdf.text(`Generated ${new Date(report.generatedAt).toUTCString().replace(' GMT', ' UTC')}`, textLeft, 200, { size: 10, color: onPrimary });
+        pdf.text(`Channel spec registry v${report.registryVersion}`, textLeft, 216, { size: 10, color: onPrimary });
+
+        // Headline numbers
+        const tiles = [
+            ['Assets', summary.total, `${summary.images} images, ${summary.videos} videos`],
+            ['Ready', summary.ready, 'fit at least one channel'],
+            ['Off-size', summary.offSize, 'fit no channel yet'],
+            ['Fixable', summary.fixableChannels, 'asset/channel pairs'],
+            ['AI score', summary.averageScore ?? '-', summary.averageScore == null ? 'no analyses yet' : 'average overall'],
+        ];
+        const tileWidth = (PAGE.width - PAGE.margin * 2 - 4 * 12) / tiles.length;
+        tiles.forEach(([label, value, note], i) => {
+            const x = PAGE.margin + i * (tileWidth + 12);
+            pdf.rect(x, 290, tileWidth, 86, { fill: '#f9fafb', stroke: '#e5e7eb' });
+            pdf.rect(x, 290, 4, 86, { fill: colors.accent });
+            pdf.text(label.toUpperCase(), x + 16, 312, { size: 9, bold: true, color: '#6b7280' });
+            pdf.text(String(value), x + 16, 345, { size: 26, bold: true });
+            pdf.text(note, x + 16, 364, { size: 8, color: '#6b7280', maxWidth: tileWidth - 24 });
+        });
+
+        // Brand profile
+        if (report.brand) {
+            const brand = report.brand;
+            pdf.text('Brand profile', PAGE.margin, 412, { size: 12, bold: true });
+            let x = PAGE.margin;
+            Object.entries(brand.colors).filter(([, hex]) => hex).forEach(([role, hex]) => {
+                pdf.rect(x, 424, 28, 28, { fill: hex, stroke: '#d1d5db' });
+                pdf.text(role, x + 36, 436, { size: 9, bold: true });
+                pdf.text(hex.toUpperCase(), x + 36, 449, { size: 9, color: '#6b7280' });
+                x += 130;
+            });
+            const details = [
+                brand.fonts.length ? `Fonts: ${brand.fonts.join(', ')}` : null,
+                brand.voiceKeywords.length ? `Voice: ${brand.voiceKeywords.join(', ')}` : null,
+                brand.guidelines ? `Guidelines: ${brand.guidelines}` : null,
+            ].filter(Boolean);
+            let top = 478;
+            details.forEach(detail => {
+                pdf.wrap(detail, PAGE.width - PAGE.margin * 2, 10).slice(0, 3).forEach(line => {
+                    pdf.text(line, PAGE.margin, top, { size: 10, color: '#374151' });
+                    top += 14;
+                });
+            });
+        }
+    }
+
+    /**
+     * Horizontal bar chart. bars: [{ label, value, color? }]; max defaults
+     * to the largest value; format renders the value label.
+     */
+    function drawBarChart(pdf, { x, top, width, height, title, bars, max = null, color, format = v => String(v) }) {
+        pdf.rect(x, top, width, height, { stroke: '#e5e7eb' });
+        pdf.text(title, x + 12, top + 20, { size: 11, bold: true });
+        if (bars.length === 0) {
+            pdf.text('No data', x + 12, top + 44, { size: 9, color: '#6b7280' });
+            return;
+        }
+        const scaleMax = max || Math.max(...bars.map(b => b.value), 1);
+        const labelWidth = 110;
+        const barLeft = x + 12 + labelWidth;
+        const barWidth = width - labelWidth - 70;
+        const rowHeight = Math.min(22, (height - 40) / bars.length);
+        bars.forEach((bar, i) => {
+            const rowTop = top + 34 + i * rowHeight;
+            pdf.text(bar.label, x + 12, rowTop + rowHeight * 0.65, { size: 8, color: '#374151', maxWidth: labelWidth - 8 });
+            pdf.rect(barLeft, rowTop + 3, barWidth, rowHeight - 6, { fill: '#f3f4f6' });
+            const filled = Math.max(0, Math.min(1, bar.value / scaleMax)) * barWidth;
+            if (filled > 0) pdf.rect(barLeft, rowTop + 3, filled, rowHeight - 6, { fill: bar.color || color });
+            pdf.text(format(bar.value), barLeft + barWidth + 6, rowTop + rowHeight * 0.65, { size: 8, bold: true });
+        });
+    }
+
+    // Share of assets that are ready vs off-size as one stacked bar
+    function drawStatusChart(pdf, report, { x, top, width, height }) {
+        const { ready, offSize, total } = report.summary;
+        pdf.rect(x, top, width, height, { stroke: '#e5e7eb' });
+        pdf.text('Asset status', x + 12, top + 20, { size: 11, bold: true });
+        const barWidth = width - 24;
+        const barTop = top + 40;
+        if (total > 0) {
+            const readyWidth = (ready / total) * barWidth;
+            if (readyWidth > 0) pdf.rect(x + 12, barTop, readyWidth, 28, { fill: STATUS_COLORS.pass });
+            if (barWidth - readyWidth > 0) pdf.rect(x + 12 + readyWidth, barTop, barWidth - readyWidth, 28, { fill: STATUS_COLORS.fix });
+        }
+        [[STATUS_COLORS.pass, `Ready: ${ready} (${total ? Math.round((ready / total) * 100) : 0}%)`],
+            [STATUS_COLORS.fix, `Off-size: ${offSize} (${total ? Math.round((offSize / total) * 100) : 0}%)`]]
+            .forEach(([fill, label], i) => {
+                const legendTop = barTop + 48 + i * 16;
+                pdf.rect(x + 12, legendTop - 8, 10, 10, { fill });
+                pdf.text(label, x + 28, legendTop, { size: 9 });
+            });
+        const assetsPerType = `${report.summary.images} images, ${report.summary.videos} videos, checked against ${report.summary.channels} channels`;
+        pdf.text(assetsPerType, x + 12, top + height - 14, { size: 8, color: '#6b7280', maxWidth: width - 24 });
+    }
+
+    function drawOverview(pdf, report) {
+        const colors = brandColors(report);
+        const top = sectionPage(pdf, report, 'Overview');
+        const gap = 16;
+        const width = (PAGE.width - PAGE.margin * 2 - gap) / 2;
+        const height = (PAGE.footerTop - 24 - top - gap) / 2;
+        const left = PAGE.margin;
+        const right = PAGE.margin + width + gap;
+
+        drawStatusChart(pdf, report, { x: left, top, width, height });
+        drawBarChart(pdf, {
+            x: right, top, width, height,
+            title: 'Channel pass rate by category',
+            bars: report.matrices.map(m => ({ label: m.label, value: Math.round(m.passRate * 100) })),
+            max: 100,
+            color: colors.primary,
+            format: v => `${v}%`,
+        });
+        drawBarChart(pdf, {
+            x: left, top: top + height + gap, width, height,
+            title: 'Average AI scores',
+            bars: report.averageScores.map(s => ({ label: s.label, value: s.value })),
+            max: 100,
+            color: colors.accent,
+        });
+        drawBarChart(pdf, {
+            x: right, top: top + height + gap, width, height,
+            title: 'Most needed fixes',
+            bars: report.fixCounts.slice(0, 7).map(f => ({ label: f.action, value: f.count })),
+            color: STATUS_COLORS.fix,
+        });
+    }
+
+    function drawMatrices(pdf, report) {
+        const nameWidth = 200;
+        const headerHeight = 44;
+        const rowHeight = 14;
+
+        report.matrices.forEach(matrix => {
+            chunk(matrix.channels.map((channel, i) => ({ channel, i })), MATRIX_MAX_COLUMNS).forEach((columns, part, parts) => {
+                const title = `Compatibility: ${matrix.label}${parts.length > 1 ? ` (${part + 1}/${parts.length})` : ''}`;
+                const cellWidth = Math.min(60, (PAGE.width - PAGE.margin * 2 - nameWidth) / columns.length);
+                const rowsPerPage = Math.floor((PAGE.footerTop - 60 - PAGE.headerHeight - 28 - headerHeight) / rowHeight);
+
+                chunk(matrix.rows, rowsPerPage).forEach(rows => {
+                    const top = sectionPage(pdf, report, title);
+                    // Legend
+                    [['pass', 'Compatible'], ['fix', 'Fixable'], ['na', 'Not applicable']].forEach(([status, label], i) => {
+                        const x = PAGE.margin + i * 110;
+                        pdf.rect(x, top - 16, 10, 10, { fill: STATUS_COLORS[status] });
+                        pdf.text(label, x + 14, top - 7, { size: 8, color: '#374151' });
+                    });
+
+                    const headerTop = top + 4;
+                    columns.forEach(({ channel }, c) => {
+                        const x = PAGE.margin + nameWidth + c * cellWidth;
+                        pdf.wrap(channel, cellWidth - 4, 6.5, true).slice(0, 4).forEach((line, l) => {
+                            pdf.text(line, x + cellWidth / 2, headerTop + 10 + l * 8, { size: 6.5, bold: true, align: 'center', color: '#374151' });
+                        });
+                    });
+                    pdf.text('Asset', PAGE.margin, headerTop + headerHeight - 6, { size: 8, bold: true });
+                    pdf.line(PAGE.margin, headerTop + headerHeight, PAGE.margin + nameWidth + columns.length * cellWidth, headerTop + headerHeight);
+
+                    rows.forEach((row, r) => {
+                        const rowTop = headerTop + headerHeight + r * rowHeight;
+                        if (r % 2 === 1) pdf.rect(PAGE.margin, rowTop, nameWidth, rowHeight, { fill: '#f9fafb' });
+                        pdf.text(row.filename, PAGE.margin + 4, rowTop + 10, { size: 8, maxWidth: nameWidth - 8 });
+                        columns.forEach(({ i }, c) => {
+                            const status = row.cells[i];
+                            const x = PAGE.margin + nameWidth + c * cellWidth;
+                            pdf.rect(x + 1, rowTop + 1, cellWidth - 2, rowHeight - 2, { fill: STATUS_COLORS[status] });
+                            if (status !== 'na') {
+                                pdf.text(status === 'pass' ? 'OK' : 'FIX', x + cellWidth / 2, rowTop + 10, { size: 6.5, bold: true, color: '#ffffff', align: 'center' });
+                            }
+                        });
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Paginated table. columns: [{ label, width, align? }]; rows are arrays
+     * of cell values, or { text, fill, color } per cell. Long text wraps.
+     */
+    function drawTable(pdf, report, title, columns, rows, { emptyText = 'Nothing to show', maxLines = 6 } = {}) {
+        const fontSize = 8;
+        const lineHeight = 10;
+        let top = sectionPage(pdf, report, title);
+        const header = () => {
+            let x = PAGE.margin;
+            columns.forEach(col => {
+                pdf.text(col.label, col.align === 'right' ? x + col.width - 6 : x + 4, top, { size: 8, bold: true, align: col.align || 'left' });
+                x += col.width;
+            });
+            pdf.line(PAGE.margin, top + 5, PAGE.margin + columns.reduce((n, c) => n + c.width, 0), top + 5);
+            top += 8;
+        };
+        header();
+
+        if (rows.length === 0) {
+            pdf.text(emptyText, PAGE.margin + 4, top + 14, { size: 9, color: '#6b7280' });
+            return;
+        }
+
+        rows.forEach((row, r) => {
+            const cells = row.map(cell => (cell && typeof cell === 'object' ? cell : { text: cell ?? '' }));
+            const wrapped = cells.map((cell, c) => pdf.wrap(String(cell.text), columns[c].width - 8, fontSize, cell.bold).slice(0, maxLines));
+            const height = Math.max(TABLE_ROW_HEIGHT, Math.max(...wrapped.map(l => l.length)) * lineHeight + 6);
+            if (top + height > PAGE.footerTop - 20) {
+                top = sectionPage(pdf, report, `${title} (continued)`);
+                header();
+            }
+            let x = PAGE.margin;
+            if (r % 2 === 1) pdf.rect(PAGE.margin, top, columns.reduce((n, c) => n + c.width, 0), height, { fill: '#f9fafb' });
+            cells.forEach((cell, c) => {
+                const col = columns[c];
+                if (cell.fill) pdf.rect(x + 1, top + 1, col.width - 2, height - 2, { fill: cell.fill });
+                if (cell.image) {
+                    const scale = Math.min((col.width - 8) / cell.image.width, (height - 4) / cell.image.height);
+                    pdf.image(cell.image, x + 4, top + 2, cell.image.width * scale, cell.image.height * scale);
+                }
+                wrapped[c].forEach((line, l) => {
+                    pdf.text(line, col.align === 'right' ? x + col.width - 6 : x + 4, top + 11 + l * lineHeight, {
+                        size: fontSize, bold: cell.bold, color: cell.color || '#111827', align: col.align || 'left',
+                    });
+                });
+                x += col.width;
+            });
+            top += height;
+        });
+    }
+
+    function scoreCell(value) {
+        if (value == null) return { text: '-', color: '#9ca3af' };
+        const fill = value >= 75 ? '#dcfce7' : value >= 50 ? '#fef3c7' : '#fee2e2';
+        return { text: String(value), fill, bold: true };
+    }
+
+    /**
+     * Render the report as a PDF.
+     * @returns {Uint8Array}
+     */
+    function toPdf(report) {
+        const pdf = new PdfWriter({ width: PAGE.width, height: PAGE.height });
+        drawCover(pdf, report);
+        drawOverview(pdf, report);
+        drawMatrices(pdf, report);
+
+        drawTable(pdf, report, 'Fix recommendations', [
+            { label: 'Asset', width: 220 },
+            { label: 'Channels', width: 300 },
+            { label: 'Fix steps (in order)', width: 250 },
+        ], report.recommendations.map(rec => [
+            rec.filename,
+            rec.channels.join(', '),
+            rec.steps.map((s, i) => `${i + 1}. ${s.description}`).join('   '),
+        ]), { emptyText: 'No fixes needed: every asset fits its channels', maxLines: 10 });
+
+        if (report.assets.some(a => a.scores)) {
+            drawTable(pdf, report, 'AI scores', [
+                { label: 'Asset', width: 320 },
+                ...SCORE_FIELDS.map(([, label]) => ({ label, width: 90, align: 'right' })),
+            ], report.assets.filter(a => a.scores).map(a => [
+                a.filename,
+                ...SCORE_FIELDS.map(([key]) => scoreCell(a.scores[key])),
+            ]));
+        }
+
+        const withThumbnails = report.assets.some(a => a.thumbnail);
+        drawTable(pdf, report, 'Asset details', [
+            ...(withThumbnails ? [{ label: '', width: 60 }] : []),
+            { label: 'Asset', width: withThumbnails ? 220 : 280 },
+            { label: 'Type', width: 50 },
+            { label: 'Size', width: 80 },
+            { label: 'Duration', width: 60, align: 'right' },
+            { label: 'File size', width: 70, align: 'right' },
+            { label: 'Compatible channels', width: 230 },
+        ], report.assets.map(a => [
+            ...(withThumbnails ? [{ text: ' \n \n ', image: a.thumbnail }] : []),
+            { text: a.filename, bold: true },
+            a.type,
+            `${a.width}x${a.height}`,
+            a.duration != null ? `${a.duration}s` : '',
+            formatBytes(a.fileSize),
+            a.compatible.length ? a.compatible.join(', ') : { text: 'None (off-size)', color: '#b45309' },
+        ]));
+
+        drawFooters(pdf, report);
+        return pdf.toBytes();
+    }
+
+    // ============================================
+    // ZIP (stored)
+    // ============================================
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Zip archive without compression (every reader supports method 0).
+     * @param {Array<{name: string, data: Uint8Array}>} files
+     */
+    function zipStored(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const crc = crc32(file.data);
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true); // UTF-8 names
+            header.setUint16(8, 0, true);
+            header.setUint16(10, dosTime, true);
+            header.setUint16(12, dosDate, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, file.data.length, true);
+            header.setUint32(22, file.data.length, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);
+            parts.push(new Uint8Array(header.buffer), name, file.data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, dosTime, true);
+            entry.setUint16(14, dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, file.data.length, true);
+            entry.setUint32(24, file.data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + file.data.length;
+        });
+
+        const centralSize = central.reduce((n, p) => n + p.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const all = [...parts, ...central, new Uint8Array(end.buffer)];
+        const out = new Uint8Array(all.reduce((n, p) => n + p.length, 0));
+        let position = 0;
+        all.forEach(p => {
+            out.set(p, position);
+            position += p.length;
+        });
+        return out;
+    }
+
+    // ============================================
+    // XLSX WRITER
+    // ============================================
+
+    // Cell style ids (cellXfs order in stylesXml)
+    const XF = { normal: 0, header: 1, pass: 2, fix: 3, na: 4, title: 5, percent: 6, bold: 7 };
+
+    function escapeXml(value) {
+        return String(value ?? '')
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+            .replace(/[<>&"]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[ch]);
+    }
+
+    function columnName(index) {
+        let name = '';
+        let n = index + 1;
+        while (n > 0) {
+            const rem = (n - 1) % 26;
+            name = String.fromCharCode(65 + rem) + name;
+            n = Math.floor((n - 1) / 26);
+        }
+        return name;
+    }
+
+    function sheetRef(sheet, col, row) {
+        return `'${sheet.replace(/'/g, "''")}'!$${columnName(col)}$${row}`;
+    }
+
+    function stylesXml(primary) {
+        const argb = `FF${primary.replace('#', '').toUpperCase()}`;
+        const headerFont = contrastText(primary) === '#ffffff' ? 'FFFFFFFF' : 'FF111827';
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="0%"/></numFmts>
+<fonts count="4"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><color rgb="${headerFont}"/><name val="Calibri"/></font><font><b/><sz val="16"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="6"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="${argb}"/></patternFill></fill><fill><patternFill patternType="solid"><fgColor rgb="FFC6EFCE"/></patternFill></fill><fill><patternFill patternType="solid"><fgColor rgb="FFFFEB9C"/></patternFill></fill><fill><patternFill patternType="solid"><fgColor rgb="FFF2F2F2"/></patternFill></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="8">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"><alignment wrapText="1" vertical="top"/></xf>
+<xf numFmtId="0" fontId="0" fillId="3" borderId="0" xfId="0" applyFill="1"><alignment horizontal="center"/></xf>
+<xf numFmtId="0" fontId="0" fillId="4" borderId="0" xfId="0" applyFill="1"><alignment horizontal="center"/></xf>
+<xf numFmtId="0" fontId="0" fillId="5" borderId="0" xfId="0" applyFill="1"><alignment horizontal="center"/></xf>
+<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="0" fontId="3" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+    }
+
+    // Cells are plain values or { v, s } with s one of XF
+    function cellXml(value, col, row) {
+        const cell = value !== null && typeof value === 'object' ? value : { v: value };
+        if (cell.v === null || cell.v === undefined || cell.v === '') {
+            return cell.s ? `<c r="${columnName(col)}${row}" s="${cell.s}"/>` : '';
+        }
+        const ref = `${columnName(col)}${row}`;
+        const style = cell.s ? ` s="${cell.s}"` : '';
+        if (typeof cell.v === 'number' && isFinite(cell.v)) {
+            return `<c r="${ref}"${style}><v>${cell.v}</v></c>`;
+        }
+        return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(cell.v)}</t></is></c>`;
+    }
+
+    function sheetXml(sheet) {
+        const cols = sheet.widths
+            ? `<cols>${sheet.widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('')}</cols>`
+            : '';
+        const pane = sheet.freeze
+            ? `<sheetViews><sheetView workbookViewId="0"><pane xSplit="${sheet.freeze.cols || 0}" ySplit="${sheet.freeze.rows || 0}" topLeftCell="${columnName(sheet.freeze.cols || 0)}${(sheet.freeze.rows || 0) + 1}" activePane="bottomRight" state="frozen"/></sheetView></sheetViews>`
+            : '<sheetViews><sheetView workbookViewId="0"/></sheetViews>';
+        const rows = sheet.rows.map((row, r) => {
+            const cells = row.map((value, c) => cellXml(value, c, r + 1)).join('');
+            return `<row r="${r + 1}"${sheet.rowHeights?.[r] ? ` ht="${sheet.rowHeights[r]}" customHeight="1"` : ''}>${cells}</row>`;
+        }).join('');
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">${pane}<sheetFormatPr defaultRowHeight="15"/>${cols}<sheetData>${rows}</sheetData>${sheet.charts?.length ? '<drawing r:id="rId1"/>' : ''}</worksheet>`;
+    }
+
+    // Clustered horizontal bar chart over one category/value column pair
+    function chartXml(chart) {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<c:chart>
+<c:title><c:tx><c:rich><a:bodyPr/><a:p><a:r><a:t>${escapeXml(chart.title)}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title>
+<c:autoTitleDeleted val="0"/>
+<c:plotArea><c:layout/>
+<c:barChart><c:barDir val="bar"/><c:grouping val="clustered"/><c:varyColors val="0"/>
+<c:ser><c:idx val="0"/><c:order val="0"/>
+<c:tx><c:strRef><c:f>${chart.seriesName}</c:f></c:strRef></c:tx>
+<c:spPr><a:solidFill><a:srgbClr val="${chart.color.replace('#', '').toUpperCase()}"/></a:solidFill></c:spPr>
+<c:invertIfNegative val="0"/>
+<c:cat><c:strRef><c:f>${chart.categories}</c:f></c:strRef></c:cat>
+<c:val><c:numRef><c:f>${chart.values}</c:f></c:numRef></c:val>
+</c:ser>
+<c:gapWidth val="60"/>
+<c:axId val="10"/><c:axId val="20"/>
+</c:barChart>
+<c:catAx><c:axId val="10"/><c:scaling><c:orientation val="maxMin"/></c:scaling><c:delete val="0"/><c:axPos val="l"/><c:numFmt formatCode="General" sourceLinked="0"/><c:tickLblPos val="nextTo"/><c:crossAx val="20"/><c:crosses val="autoZero"/><c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/></c:catAx>
+<c:valAx><c:axId val="20"/><c:scaling><c:orientation val="minMax"/>${chart.max != null ? `<c:max val="${chart.max}"/>` : ''}<c:min val="0"/></c:scaling><c:delete val="0"/><c:axPos val="b"/><c:majorGridlines/><c:numFmt formatCode="${chart.format || 'General'}" sourceLinked="0"/><c:tickLblPos val="nextTo"/><c:crossAx val="10"/><c:crosses val="autoZero"/><c:crossBetween val="between"/></c:valAx>
+</c:plotArea>
+<c:plotVisOnly val="1"/>
+</c:chart>
+</c:chartSpace>`;
+    }
+
+    function drawingXml(charts) {
+        const anchors = charts.map((chart, i) => `<xdr:twoCellAnchor>
+<xdr:from><xdr:col>${chart.anchor.col}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${chart.anchor.row}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:from>
+<xdr:to><xdr:col>${chart.anchor.col + 7}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${chart.anchor.row + 16}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:to>
+<xdr:graphicFrame macro=""><xdr:nvGraphicFramePr><xdr:cNvPr id="${i + 2}" name="Chart ${i + 1}"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr><xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm><a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/chart"><c:chart xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" r:id="rId${i + 1}"/></a:graphicData></a:graphic></xdr:graphicFrame>
+<xdr:clientData/>
+</xdr:twoCellAnchor>`).join('');
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">${anchors}</xdr:wsDr>`;
+    }
+
+    function relsXml(relations) {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${relations.map((rel, i) => `<Relationship Id="rId${i + 1}" Type="${rel.type}" Target="${rel.target}"/>`).join('')}</Relationships>`;
+    }
+
+    const REL = {
+        document: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument',
+        core: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties',
+        sheet: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet',
+        styles: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles',
+        drawing: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing',
+        chart: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart',
+    };
+
+    /**
+     * Write sheets ({ name, rows, widths, freeze, charts }) as an XLSX file.
+     * @returns {Uint8Array}
+     */
+    function writeWorkbook(sheets, { primary = DEFAULT_BRAND_COLORS.primary, title = '', generatedAt = new Date().toISOString() } = {}) {
+        const encoder = new TextEncoder();
+        const files = [];
+        const add = (name, text) => files.push({ name, data: encoder.encode(text) });
+
+        const overrides = [
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>',
+            '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>',
+        ];
+        let chartCount = 0;
+        let drawingCount = 0;
+
+        sheets.forEach((sheet, i) => {
+            add(`xl/worksheets/sheet${i + 1}.xml`, sheetXml(sheet));
+            overrides.push(`<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`);
+            if (!sheet.charts?.length) return;
+
+            drawingCount++;
+            add(`xl/worksheets/_rels/sheet${i + 1}.xml.rels`, relsXml([{ type: REL.drawing, target: `../drawings/drawing${drawingCount}.xml` }]));
+            add(`xl/drawings/drawing${drawingCount}.xml`, drawingXml(sheet.charts));
+            overrides.push(`<Override PartName="/xl/drawings/drawing${drawingCount}.xml" ContentType="application/vnd.openxmlformats-officedocument.drawing+xml"/>`);
+            const chartRels = sheet.charts.map(chart => {
+                chartCount++;
+                add(`xl/charts/chart${chartCount}.xml`, chartXml(chart));
+                overrides.push(`<Override PartName="/xl/charts/chart${chartCount}.xml" ContentType="application/vnd.openxmlformats-officedocument.drawingml.chart+xml"/>`);
+                return { type: REL.chart, target: `../charts/chart${chartCount}.xml` };
+            });
+            add(`xl/drawings/_rels/drawing${drawingCount}.xml.rels`, relsXml(chartRels));
+        });
+
+        add('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>${overrides.join('')}</Types>`);
+        add('_rels/.rels', relsXml([
+            { type: REL.document, target: 'xl/workbook.xml' },
+            { type: REL.core, target: 'docProps/core.xml' },
+        ]));
+        add('docProps/core.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${escapeXml(title)}</dc:title><dc:creator>Creative Asset Validator</dc:creator><dcterms:created xsi:type="dcterms:W3CDTF">${generatedAt.replace(/\.\d+Z$/, 'Z')}</dcterms:created></cp:coreProperties>`);
+        add('xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${sheets.map((s, i) => `<sheet name="${escapeXml(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets></workbook>`);
+        add('xl/_rels/workbook.xml.rels', relsXml([
+            ...sheets.map((_, i) => ({ type: REL.sheet, target: `worksheets/sheet${i + 1}.xml` })),
+            { type: REL.styles, target: 'styles.xml' },
+        ]));
+        add('xl/styles.xml', stylesXml(primary));
+
+        // [Content_Types].xml first, as Office expects
+        files.sort((a, b) => (a.name === '[Content_Types].xml' ? -1 : b.name === '[Content_Types].xml' ? 1 : 0));
+        return zipStored(files);
+    }
+
+    /**
+     * Render the report as an XLSX workbook: Summary (with charts),
+     * Compatibility, Fixes, AI Scores and Assets sheets.
+     * @returns {Uint8Array}
+     */
+    function toXlsx(report) {
+        const colors = brandColors(report);
+        const header = labels => labels.map(v => ({ v, s: XF.header }));
+        const { summary } = report;
+
+        // Summary: key figures, then the two tables the charts read
+        const summaryRows = [
+            [{ v: report.title, s: XF.title }],
+            ['Generated', formatDate(report.generatedAt)],
+            ['Brand', report.brand?.name || ''],
+            ['Spec registry', `v${report.registryVersion}`],
+            [],
+            header(['Metric', 'Value']),
+            ['Assets', summary.total],
+            ['Images', summary.images],
+            ['Videos', summary.videos],
+            ['Ready (fit a channel)', summary.ready],
+            ['Off-size (fit no channel)', summary.offSize],
+            ['Fixable asset/channel pairs', summary.fixableChannels],
+            ['Average AI score', summary.averageScore ?? ''],
+            [],
+        ];
+        if (report.brand) {
+            summaryRows.push(header(['Brand profile', '']));
+            Object.entries(report.brand.colors).filter(([, hex]) => hex).forEach(([role, hex]) => summaryRows.push([`${role} color`, hex]));
+            if (report.brand.fonts.length) summaryRows.push(['Fonts', report.brand.fonts.join(', ')]);
+            if (report.brand.voiceKeywords.length) summaryRows.push(['Voice', report.brand.voiceKeywords.join(', ')]);
+            summaryRows.push([]);
+        }
+
+        const charts = [];
+        const categoryHeaderRow = summaryRows.length + 1;
+        summaryRows.push(header(['Category', 'Pass rate', 'Assets ready']));
+        report.matrices.forEach(m => summaryRows.push([m.label, { v: Number(m.passRate.toFixed(4)), s: XF.percent }, m.assetsReady]));
+        if (report.matrices.length) {
+            charts.push({
+                title: 'Channel pass rate by category',
+                seriesName: sheetRef('Summary', 1, categoryHeaderRow),
+                categories: `${sheetRef('Summary', 0, categoryHeaderRow + 1)}:${sheetRef('Summary', 0, categoryHeaderRow + report.matrices.length).split('!')[1]}`,
+                values: `${sheetRef('Summary', 1, categoryHeaderRow + 1)}:${sheetRef('Summary', 1, categoryHeaderRow + report.matrices.length).split('!')[1]}`,
+                color: colors.primary,
+                max: 1,
+                format: '0%',
+                anchor: { col: 4, row: 1 },
+            });
+        }
+        summaryRows.push([]);
+
+        if (report.averageScores.length) {
+            const scoreHeaderRow = summaryRows.length + 1;
+            summaryRows.push(header(['AI score', 'Average']));
+            report.averageScores.forEach(s => summaryRows.push([s.label, s.value]));
+            charts.push({
+                title: 'Average AI scores',
+                seriesName: sheetRef('Summary', 1, scoreHeaderRow),
+                categories: `${sheetRef('Summary', 0, scoreHeaderRow + 1)}:${sheetRef('Summary', 0, scoreHeaderRow + report.averageScores.length).split('!')[1]}`,
+                values: `${sheetRef('Summary', 1, scoreHeaderRow + 1)}:${sheetRef('Summary', 1, scoreHeaderRow + report.averageScores.length).split('!')[1]}`,
+                color: colors.accent,
+                max: 100,
+                anchor: { col: 4, row: 19 },
+            });
+        }
+
+        const channels = report.matrices.flatMap(m => m.channels.map(channel => ({ channel, category: m.label })));
+        const compatibilityRows = [
+            header(['Asset', 'Type', 'Size', ...channels.map(c => `${c.category}: ${c.channel}`)]),
+            ...report.assets.map(a => [
+                a.filename,
+                a.type,
+                `${a.width}x${a.height}`,
+                ...channels.map(({ channel }) => {
+                    const status = a.status[channel];
+                    return status === 'pass' ? { v: 'OK', s: XF.pass } : status === 'fix' ? { v: 'Fix', s: XF.fix } : { v: '-', s: XF.na };
+                }),
+            ]),
+        ];
+
+        const fixRows = [
+            header(['Asset', 'Step', 'Action', 'Description', 'Channels']),
+            ...report.recommendations.flatMap(rec => rec.steps.map((step, i) => [rec.filename, i + 1, step.action, step.description, rec.channels.join(', ')])),
+        ];
+
+        const scoreRows = [
+            header(['Asset', ...SCORE_FIELDS.map(([, label]) => label)]),
+            ...report.assets.filter(a => a.scores).map(a => [a.filename, ...SCORE_FIELDS.map(([key]) => a.scores[key] ?? '')]),
+        ];
+
+        const assetRows = [
+            header(['Asset', 'Type', 'Width', 'Height', 'Duration (s)', 'File size (bytes)', 'Status', 'Compatible channels', 'Off-size channels']),
+            ...report.assets.map(a => [
+                a.filename, a.type, a.width, a.height, a.duration ?? '', a.fileSize ?? '',
+                a.compatible.length ? 'Ready' : 'Off-size',
+                a.compatible.join(', '),
+                a.offSize.map(o => `${o.channel} (${o.issues.join('; ')})`).join('\n'),
+            ]),
+        ];
+
+        return writeWorkbook([
+            { name: 'Summary', rows: summaryRows, widths: [30, 16, 14], charts },
+            { name: 'Compatibility', rows: compatibilityRows, widths: [36, 8, 12, ...channels.map(() => 14)], freeze: { rows: 1, cols: 1 }, rowHeights: { 0: 60 } },
+            { name: 'Fixes', rows: fixRows, widths: [36, 6, 18, 50, 80], freeze: { rows: 1 } },
+            { name: 'AI Scores', rows: scoreRows, widths: [36, 10, 10, 10, 12, 10], freeze: { rows: 1 } },
+            { name: 'Assets', rows: assetRows, widths: [36, 8, 8, 8, 12, 16, 10, 60, 80], freeze: { rows: 1 } },
+        ], { primary: colors.primary, title: report.title, generatedAt: report.generatedAt });
+    }
+
+    // ============================================
+    // EXPORT
+    // ============================================
+    const ReportExport = {
+        VERSION,
+        CATEGORY_LABELS,
+        SCORE_FIELDS,
+        buildReport,
+        scoresFromAnalysis,
+        jpegImage,
+        reportFileName,
+        toPdf,
+        toXlsx,
+        PdfWriter,
+        writeWorkbook,
+        zipStored,
+        crc32,
+        MIME_TYPES: {
+            pdf: 'application/pdf',
+            xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        },
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ReportExport;
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CAVReportExport = ReportExport;
+    }
+})();
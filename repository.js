@@ -0,0 +1,2417 @@
+/**
+ * Creative Asset Validator - Repository
+ * Version 1.1.3
+ *
+ * The one storage layer for synced data. Every module reads and writes
+ * records through it; SyncEngine, UnifiedStorage and RealtimeSync are thin
+ * facades over it.
+ *
+ *   - Records live in one IndexedDB database (cav_repository), keyed by
+ *     entity type and id, with an in-memory copy for fast reads.
+ *   - Typed entity schemas (ENTITY_SCHEMAS) name each type's key, declare
+ *     field types for validation and map the type to the PHP /api and to
+ *     its Supabase table and columns.
+ *   - One outbox holds at most one pending change per record. Saves stamp
+ *     the changed fields (field_versions, see sync-merge.js) and the change
+ *     remembers the server version it was based on, so a stale push turns
+ *     into a merge or a conflict inbox entry instead of lost data.
+ *   - One change feed: subscribe() hears every local, remote and other-tab
+ *     change, so views refresh from a single source.
+ *   - Remote adapters are pluggable and share one interface. Supabase and
+ *     the PHP /api ship here (the API adapter is registered by SyncEngine,
+ *     which owns the session); MockAdapter keeps a server in memory for
+ *     development and tests. Only the active adapter syncs.
+ *
+ * Adapter interface:
+ *
+ *   {
+ *     name, label,
+ *     auto,                     // false: only used when picked with useAdapter()
+ *     isAvailable(),
+ *     supports(schema),
+ *     push(ops, context)        // -> [{ status: 'ok' | 'conflict' | 'error' | 'rejected', version, remote, error }]
+ *     pull(types, cursor, context, { first })  // -> { changes: [{ entity_type, id, action, data, version }], cursor, hasMore, remaining }
+ *     subscribe(types, onChange, context)  // optional live updates -> unsubscribe
+ *   }
+ *
+ * Versions are whatever the active adapter uses to detect stale writes:
+ * the /api's sync_version counter, Supabase's updated_at.
+ *
+ * Pulls are incremental: the cursor is the adapter's high-water mark per
+ * type (the updated_at and uuid of the last row seen), deletes arrive as
+ * soft-deleted rows or tombstones, and each page is applied with one local
+ * write. Pushes and pulls report sync_progress ({ phase, done, total }).
+ * `remaining` (rows left after the page) is only needed on the first page
+ * of a pull, so adapters that count with a query count only then.
+ */
+
+(function() {
+    'use strict';
+
+    const VERSION = '1.1.3';
+    const DB_NAME = 'cav_repository';
+    const DB_VERSION = 1;
+    const RECORDS_STORE = 'records';
+    const OUTBOX_STORE = 'outbox';
+    const META_STORE = 'meta';
+
+    const ADAPTER_KEY = 'cav_repository_adapter';
+    const CONFLICTS_KEY = 'cav_sync_conflicts';
+    const STRATEGIES_KEY = 'cav_merge_strategies';
+    const DEVICE_KEY = 'cav_device_id';
+    const CHANNEL_NAME = 'cav_repository';
+    const FLUSH_LOCK = 'cav_repository_flush';
+
+    // Local writes are pushed together after a short pause
+    const FLUSH_DELAY_MS = 2000;
+    const SYNC_INTERVAL_MS = 60 * 1000;
+    const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+    const PUSH_BATCH_SIZE = 100;
+    const PULL_PAGE_SIZE = 500;
+    const MAX_PULL_PAGES = 20;
+    const TOMBSTONES_TABLE = 'sync_tombstones';
+    const TOMBSTONE_CURSOR = '__tombstones';
+    // updated_at is the writing transaction's start time (NOW() in migration
+    // 032), so a row can commit after rows stamped later. A pull re-reads
+    // this far behind its cursor; rows it already has are skipped.
+    const PULL_OVERLAP_MS = 60 * 1000;
+    const FEED_SIZE = 200;
+    const MAX_RESOLVED_CONFLICTS = 20;
+
+    function syncMerge() {
+        if (typeof window !== 'undefined' && window.CAVSyncMerge) return window.CAVSyncMerge;
+        if (typeof require === 'function') return require('./sync-merge.js');
+        throw new Error('Sync merge rules (sync-merge.js) are not loaded');
+    }
+
+    // Bookkeeping that never leaves this device
+    const LOCAL_FIELDS = new Set(['id', 'uuid', 'needs_sync', 'sync_version']);
+
+    // ============================================
+    // ENTITY SCHEMAS
+    // ============================================
+
+    const FIELD_TYPES = {
+        string: v => typeof v === 'string',
+        number: v => typeof v === 'number' && !Number.isNaN(v),
+        boolean: v => typeof v === 'boolean',
+        object: v => typeof v === 'object' && !Array.isArray(v),
+        array: v => Array.isArray(v),
+        date: v => typeof v === 'string' && !Number.isNaN(Date.parse(v)),
+        any: () => true
+    };
+
+    const COMMON_FIELDS = {
+        user_email: 'string',
+        owner_email: 'string',
+        created_at: 'date',
+        updated_at: 'date',
+        deleted_at: 'date'
+    };
+
+    /**
+     * Per type:
+     *   key      - field holding the record's identity ('uuid' or 'id'); the other is kept equal
+     *   fields   - { field: type } checked on save, null and missing values pass
+     *   required - fields a save must have
+     *   scope    - 'user' (the signed-in user's rows) or 'workspace' (shared by organization_id)
+     *   api      - entity type on the PHP /api, null when the /api does not store it
+     *   supabase - { table, columns, overflow, insertOnly, softDelete } or null
+     *              columns: fields stored in their own column, 'camelCase' maps to snake_case
+     *              or [field, column] names it; everything else travels in the overflow
+     *              JSON column under _fields, so records round-trip whole
+     *   remote   - false keeps the type on this device
+     */
+    const SCHEMA_SPECS = {
+        // Library and CRM, stored by the PHP /api as well
+        assets: {
+            key: 'uuid',
+            api: 'assets',
+            fields: { filename: 'string', tags: 'array' }
+        },
+        companies: {
+            key: 'uuid',
+            api: 'companies',
+            fields: {
+                name: 'string', industry: 'string', website: 'string', tags: 'array', address: 'object',
+                customFields: 'object', socialProfiles: 'object', sharing: 'object',
+                linkedContacts: 'array', linkedProjects: 'array', linkedDeals: 'array', linkedAssets: 'array'
+            },
+            supabase: {
+                table: 'companies',
+                columns: [
+                    'name', 'industry', 'website', 'type', 'description', 'status', 'size', 'phone', 'tags',
+                    'enrichedData', 'strategyInsights', 'chatHistory', 'benchmarks', 'bestPractices', 'competitors',
+                    'swipeFiles', 'urlAnalyses', 'analyses', 'aiAnalyses', 'linkedAssets', 'sharing', 'customFields'
+                ]
+            }
+        },
+        contacts: {
+            key: 'uuid',
+            api: 'contacts',
+            fields: {
+                firstName: 'string', lastName: 'string', email: 'string', tags: 'array', address: 'object',
+                customFields: 'object', linkedAssets: 'array', linkedProjects: 'array', linkedDeals: 'array'
+            },
+            supabase: {
+                table: 'contacts',
+                columns: [
+                    'firstName', 'lastName', 'email', 'phone', 'title', 'department', 'type', 'status', 'source',
+                    'notes', 'tags', 'companyName', ['company', 'company_id'], 'customFields'
+                ]
+            }
+        },
+        projects: {
+            key: 'uuid',
+            api: 'projects',
+            fields: { name: 'string', tags: 'array', customFields: 'object', sharing: 'object' },
+            // company_id is a uuid column there; the client's company id travels in metadata
+            supabase: { table: 'projects', columns: ['name', 'description', 'type', 'status', 'tags', 'customFields'] }
+        },
+        deals: {
+            key: 'uuid',
+            api: 'deals',
+            fields: { name: 'string', stage: 'string', tags: 'array', customFields: 'object' },
+            supabase: { table: 'deals', columns: ['name', 'stage', 'value', 'probability'] }
+        },
+        activities: {
+            key: 'uuid',
+            api: 'activities',
+            fields: { type: 'string', timestamp: 'date' }
+        },
+        tags: {
+            key: 'uuid',
+            api: 'tags',
+            fields: { name: 'string', color: 'string' },
+            required: ['name']
+        },
+        custom_fields: {
+            key: 'uuid',
+            api: 'custom_fields'
+        },
+        competitors: {
+            key: 'uuid',
+            api: 'competitors',
+            fields: { name: 'string', website: 'string', tags: 'array' },
+            supabase: { table: 'competitors', columns: ['name', 'website', 'industry', 'notes', 'monitoringFrequency'] }
+        },
+        brand_kits: {
+            key: 'uuid',
+            api: 'brand_kits'
+        },
+        swipe_files: {
+            key: 'uuid',
+            api: 'swipe_files',
+            fields: { title: 'string', url: 'string', tags: 'array' },
+            supabase: { table: 'swipe_files', columns: ['title', 'url', 'category', 'platform', 'notes', 'tags'], overflow: 'analysis' }
+        },
+
+        // Analyses and builders, Supabase only
+        creative_analyses: {
+            fields: { assetId: 'string', scores: 'object' },
+            supabase: {
+                table: 'creative_analyses',
+                columns: [
+                    'name', 'status', 'assetId', 'assetFilename', 'assetType', 'assetDimensions', 'overallScore',
+                    'hookAnalysis', 'ctaAnalysis', 'brandCompliance', 'thumbStopScore', 'performancePrediction',
+                    'enhancedAnalysis', 'confidenceLevel', 'processingTime', 'linkedCompanyId', 'detectedBrand',
+                    'audioStrategy', 'recommendations', 'scores'
+                ]
+            }
+        },
+        video_analyses: {
+            fields: { scores: 'object' },
+            supabase: { table: 'video_analyses', columns: ['title', 'filename', 'url', 'platform', 'duration', 'overallScore', 'scores', 'status'] }
+        },
+        strategies: {
+            supabase: {
+                table: 'strategies',
+                columns: [
+                    'name', 'type', 'status', 'strategyType', 'assetId', 'assetFilename', 'content', 'data', 'results',
+                    'recommendations', 'scores', 'abTestRecommendations', 'placementMatrix', 'derivativeIdeas', 'fatiguePrediction'
+                ]
+            }
+        },
+        url_analyses: {
+            fields: { url: 'string' },
+            supabase: { table: 'url_analyses', columns: ['url', 'urlType', 'title', 'analysis', 'insights', 'scores', 'colors', 'fonts', 'status'] }
+        },
+        benchmarks: {
+            supabase: { table: 'benchmarks', columns: ['name', 'industry', 'platform', 'metric', 'value'], overflow: 'data' }
+        },
+        best_practices: {
+            fields: { tags: 'array' },
+            supabase: { table: 'best_practices', columns: ['title', 'content', 'category', 'platform', 'tags'], overflow: null }
+        },
+        google_ads_builds: {
+            supabase: { table: 'google_ads_builds', columns: ['name', 'status', 'headlines', 'descriptions', 'keywords'], overflow: 'config' }
+        },
+        social_media_builds: {
+            supabase: { table: 'social_media_builds', columns: ['name', 'status', 'platform', 'content'], overflow: 'config' }
+        },
+        keyword_research: {
+            supabase: { table: 'keyword_research', columns: ['name', 'keyword', 'results'], overflow: 'analysis' }
+        },
+        activity_log: {
+            fields: { type: 'string', action: 'string' },
+            supabase: {
+                table: 'activity_log',
+                columns: ['type', 'action', 'provider', 'entity_type', 'entity_id', 'details', 'shared', 'logged_at'],
+                insertOnly: true
+            }
+        },
+        user_settings: {
+            key: 'uuid',
+            supabase: { table: 'user_settings', columns: ['settings'], overflow: 'data', softDelete: false }
+        },
+        workspace_channel_specs: {
+            scope: 'workspace',
+            fields: { name: 'string', spec: 'object' },
+            required: ['name'],
+            supabase: { table: 'workspace_channel_specs', columns: ['name', 'spec'] }
+        },
+        workspace_packages: {
+            scope: 'workspace',
+            fields: { name: 'string', definition: 'object' },
+            required: ['name'],
+            supabase: { table: 'workspace_packages', columns: ['name', 'definition'] }
+        },
+
+        // Kept on this device only
+        ai_studio_history: { remote: false },
+        auto_fix_history: { remote: false },
+        api_keys: { remote: false },
+        detected_competitors: { remote: false }
+    };
+
+    function snakeCase(field) {
+        return field.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+    }
+
+    function defineSchema(type, spec = {}) {
+        const scope = spec.scope || 'user';
+        const schema = {
+            type,
+            key: spec.key || 'id',
+            fields: { ...COMMON_FIELDS, ...(spec.fields || {}) },
+            required: spec.required || [],
+            scope,
+            api: spec.remote === false ? null : (spec.api || null),
+            supabase: null,
+            remote: spec.remote !== false && !!(spec.api || spec.supabase)
+        };
+
+        if (spec.supabase && spec.remote !== false) {
+            const columns = {};
+            spec.supabase.columns.forEach(entry => {
+                const [field, column] = Array.isArray(entry) ? entry : [entry, snakeCase(entry)];
+                columns[field] = column;
+            });
+            ['user_email', 'owner_email', 'created_at', 'updated_at'].forEach(f => { columns[f] = f; });
+            if (spec.supabase.softDelete !== false) columns.deleted_at = 'deleted_at';
+            if (scope === 'workspace') columns.organization_id = 'organization_id';
+
+            schema.supabase = {
+                table: spec.supabase.table,
+                columns,
+                overflow: spec.supabase.overflow === undefined ? 'metadata' : spec.supabase.overflow,
+                insertOnly: !!spec.supabase.insertOnly,
+                softDelete: spec.supabase.softDelete !== false
+            };
+        }
+
+        return Object.freeze(schema);
+    }
+
+    const ENTITY_SCHEMAS = {};
+    Object.entries(SCHEMA_SPECS).forEach(([type, spec]) => {
+        ENTITY_SCHEMAS[type] = defineSchema(type, spec);
+    });
+
+    // Types without a schema are stored on this device and never synced
+    function schemaFor(type) {
+        if (!ENTITY_SCHEMAS[type]) {
+            ENTITY_SCHEMAS[type] = defineSchema(type, { remote: false });
+        }
+        return ENTITY_SCHEMAS[type];
+    }
+
+    function typeForApi(entityType) {
+        return Object.values(ENTITY_SCHEMAS).find(s => s.api === entityType)?.type || null;
+    }
+
+    /**
+     * Problems with a record against its schema.
+     * @returns {string[]} - Empty when the record is valid
+     */
+    function validate(type, record) {
+        const schema = schemaFor(type);
+        const errors = [];
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return [`${type} record must be an object`];
+        }
+        schema.required.forEach(field => {
+            if (record[field] === undefined || record[field] === null || record[field] === '') {
+                errors.push(`${type}.${field} is required`);
+            }
+        });
+        Object.entries(schema.fields).forEach(([field, fieldType]) => {
+            const value = record[field];
+            if (value === undefined || value === null) return;
+            if (!FIELD_TYPES[fieldType](value)) {
+                errors.push(`${type}.${field} must be ${fieldType === 'array' || fieldType === 'object' ? 'an' : 'a'} ${fieldType}`);
+            }
+        });
+        return errors;
+    }
+
+    class ValidationError extends Error {
+        constructor(type, errors) {
+            super(errors.join('; '));
+            this.name = 'ValidationError';
+            this.entityType = type;
+            this.errors = errors;
+        }
+    }
+
+    // ============================================
+    // SUPABASE ROWS
+    // ============================================
+
+    function parseJson(value) {
+        if (typeof value !== 'string') return value;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value;
+        }
+    }
+
+    /**
+     * The Supabase row for a record. The identity goes in the text uuid
+     * column; the table's own uuid id is never sent.
+     */
+    function toRow(schema, record, context = {}) {
+        const { columns, overflow } = schema.supabase;
+        const row = {};
+        const extra = {};
+
+        Object.entries(record).forEach(([field, value]) => {
+            if (value === undefined || LOCAL_FIELDS.has(field)) return;
+            if (columns[field]) {
+                row[columns[field]] = value;
+            } else {
+                extra[field] = value;
+            }
+        });
+
+        row.uuid = identityOf(schema, record);
+        row.user_email = row.user_email || context.userEmail || null;
+        row.owner_email = row.owner_email || row.user_email;
+        if (schema.scope === 'workspace') {
+            row.organization_id = row.organization_id || context.workspaceId || null;
+        }
+
+        if (overflow && Object.keys(extra).length > 0) {
+            const own = row[overflow];
+            if (own === undefined || own === null) {
+                row[overflow] = { _fields: extra };
+            } else if (typeof own === 'object' && !Array.isArray(own)) {
+                row[overflow] = { ...own, _fields: extra };
+            } else {
+                row[overflow] = { _value: own, _fields: extra };
+            }
+        }
+        return row;
+    }
+
+    // The record for a Supabase row; columns this client does not map are dropped
+    function fromRow(schema, row) {
+        const { columns, overflow } = schema.supabase;
+        const fieldFor = {};
+        Object.entries(columns).forEach(([field, column]) => { fieldFor[column] = field; });
+
+        const record = {};
+        Object.entries(row).forEach(([column, value]) => {
+            if (column === overflow || !fieldFor[column]) return;
+            const field = fieldFor[column];
+            const type = schema.fields[field];
+            record[field] = type === 'object' || type === 'array' ? parseJson(value) : value;
+        });
+
+        if (overflow && row[overflow] !== undefined && row[overflow] !== null) {
+            const packed = parseJson(row[overflow]);
+            if (packed && typeof packed === 'object' && !Array.isArray(packed) && packed._fields) {
+                const { _fields, _value, ...rest } = packed;
+                Object.assign(record, _fields);
+                if (_value !== undefined) {
+                    record[overflow] = _value;
+                } else if (Object.keys(rest).length > 0 || fieldFor[overflow]) {
+                    record[overflow] = rest;
+                }
+            } else {
+                record[overflow] = packed;
+            }
+        }
+
+        record.uuid = row.uuid;
+        record.id = row.uuid;
+        return record;
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    function recordKey(type, id) {
+        return `${type}:${id}`;
+    }
+
+    function identityOf(schema, record) {
+        const value = record?.[schema.key] ?? record?.id ?? record?.uuid;
+        return value === undefined || value === null ? null : String(value);
+    }
+
+    function createId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+            const r = Math.random() * 16 | 0;
+            const v = c === 'x' ? r : (r & 0x3 | 0x8);
+            return v.toString(16);
+        });
+    }
+
+    // Give the caller's object an identity, so ids are known before any await
+    function assignIdentity(schema, data) {
+        let id = identityOf(schema, data);
+        if (!id) {
+            id = schema.key === 'uuid' ? createId() : `${schema.type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        }
+        if (data.id === undefined || data.id === null) data.id = id;
+        if (data.uuid === undefined || data.uuid === null) data.uuid = id;
+        return id;
+    }
+
+    function readLocal(key, fallback) {
+        try {
+            const value = localStorage.getItem(key);
+            return value ? JSON.parse(value) : fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    function writeLocal(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+            console.warn(`[Repository] Could not write ${key}:`, e);
+        }
+    }
+
+    function isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    // A pull cursor entry: { at, id }, or the bare updated_at older versions stored
+    function pullMark(entry) {
+        if (!entry) return null;
+        if (typeof entry === 'string') return { at: entry, id: '' };
+        return entry.at ? { at: entry.at, id: entry.id || '' } : null;
+    }
+
+    // A mark PULL_OVERLAP_MS before this one, for the first page of a pull
+    function overlapMark(mark) {
+        const at = Date.parse(mark.at);
+        return Number.isNaN(at) ? mark : { at: new Date(at - PULL_OVERLAP_MS).toISOString(), id: '' };
+    }
+
+    // The tombstone cursor: the last id seen and the latest deleted_at.
+    // Cursors saved before the overlap hold the id alone.
+    function tombstoneMark(entry) {
+        if (!entry) return null;
+        return typeof entry === 'object' ? { id: entry.id, at: entry.at || null } : { id: entry, at: null };
+    }
+
+    // Values in PostgREST filter strings are quoted when they hold reserved characters
+    function quoteFilter(value) {
+        return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+
+    // Rows after a cursor mark in (updated_at, uuid) order
+    function afterMark(mark) {
+        const at = quoteFilter(mark.at);
+        return `updated_at.gt.${at},and(updated_at.eq.${at},uuid.gt.${quoteFilter(mark.id)})`;
+    }
+
+    // Errors a retry will not fix, such as a column the table does not have
+    function isSchemaError(error) {
+        const message = String(error?.message || error || '');
+        return ['PGRST204', '42703', '42P01', '22P02'].includes(error?.code) ||
+            /column|schema cache|does not exist|invalid input syntax/i.test(message);
+    }
+
+    // ============================================
+    // STORAGE
+    // ============================================
+
+    class IdbRepositoryStore {
+        constructor() {
+            this.dbReady = this.open();
+        }
+
+        open() {
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = event.target.result;
+                    if (!db.objectStoreNames.contains(RECORDS_STORE)) {
+                        const records = db.createObjectStore(RECORDS_STORE, { keyPath: 'key' });
+                        records.createIndex('type', 'type', { unique: false });
+                    }
+                    if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                        db.createObjectStore(OUTBOX_STORE, { keyPath: 'key' });
+                    }
+                    if (!db.objectStoreNames.contains(META_STORE)) {
+                        db.createObjectStore(META_STORE, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        async request(storeNames, mode, fn) {
+            const db = await this.dbReady;
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(storeNames, mode);
+                const request = fn(tx);
+                let result;
+                if (request) request.onsuccess = () => { result = request.result; };
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+
+        records() {
+            return this.request(RECORDS_STORE, 'readonly', tx => tx.objectStore(RECORDS_STORE).getAll());
+        }
+
+        outbox() {
+            return this.request(OUTBOX_STORE, 'readonly', tx => tx.objectStore(OUTBOX_STORE).getAll());
+        }
+
+        getOp(key) {
+            return this.request(OUTBOX_STORE, 'readonly', tx => tx.objectStore(OUTBOX_STORE).get(key));
+        }
+
+        // Records and outbox entries change together or not at all
+        async write({ records = [], removeRecords = [], ops = [], removeOps = [] }) {
+            if (records.length + removeRecords.length + ops.length + removeOps.length === 0) return;
+            await this.request([RECORDS_STORE, OUTBOX_STORE], 'readwrite', tx => {
+                const recordStore = tx.objectStore(RECORDS_STORE);
+                const outboxStore = tx.objectStore(OUTBOX_STORE);
+                removeRecords.forEach(key => recordStore.delete(key));
+                records.forEach(envelope => recordStore.put(envelope));
+                removeOps.forEach(key => outboxStore.delete(key));
+                ops.forEach(op => outboxStore.put(op));
+            });
+        }
+
+        // Drop an outbox entry unless another tab replaced it meanwhile
+        removeOpIf(key, queuedAt) {
+            return this.request(OUTBOX_STORE, 'readwrite', tx => {
+                const store = tx.objectStore(OUTBOX_STORE);
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    if (request.result && request.result.queued_at === queuedAt) store.delete(key);
+                };
+            });
+        }
+
+        async getMeta(key) {
+            const record = await this.request(META_STORE, 'readonly', tx => tx.objectStore(META_STORE).get(key));
+            return record ? record.value : null;
+        }
+
+        setMeta(key, value) {
+            return this.request(META_STORE, 'readwrite', tx => tx.objectStore(META_STORE).put({ key, value }));
+        }
+    }
+
+    // Same interface without IndexedDB; data then only lasts for the page
+    class MemoryRepositoryStore {
+        constructor() {
+            this.recordMap = new Map();
+            this.outboxMap = new Map();
+            this.meta = new Map();
+        }
+
+        async records() {
+            return clone([...this.recordMap.values()]);
+        }
+
+        async outbox() {
+            return clone([...this.outboxMap.values()]);
+        }
+
+        async getOp(key) {
+            return clone(this.outboxMap.get(key));
+        }
+
+        async write({ records = [], removeRecords = [], ops = [], removeOps = [] }) {
+            removeRecords.forEach(key => this.recordMap.delete(key));
+            records.forEach(envelope => this.recordMap.set(envelope.key, clone(envelope)));
+            removeOps.forEach(key => this.outboxMap.delete(key));
+            ops.forEach(op => this.outboxMap.set(op.key, clone(op)));
+        }
+
+        async removeOpIf(key, queuedAt) {
+            if (this.outboxMap.get(key)?.queued_at === queuedAt) this.outboxMap.delete(key);
+        }
+
+        async getMeta(key) {
+            return this.meta.has(key) ? clone(this.meta.get(key)) : null;
+        }
+
+        async setMeta(key, value) {
+            this.meta.set(key, clone(value));
+        }
+    }
+
+    // Open a database an older version of the app created, without creating it
+    function openExisting(name) {
+        return new Promise(resolve => {
+            let request;
+            try {
+                request = indexedDB.open(name);
+            } catch (e) {
+                resolve(null);
+                return;
+            }
+            request.onupgradeneeded = () => request.transaction.abort();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null);
+        });
+    }
+
+    function readStore(db, storeName) {
+        return new Promise(resolve => {
+            try {
+                const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => resolve([]);
+            } catch (e) {
+                resolve([]);
+            }
+        });
+    }
+
+    // ============================================
+    // ADAPTERS
+    // ============================================
+
+    // The PHP /api through a SyncEngine, which holds the session
+    class ApiAdapter {
+        constructor(engine) {
+            this.name = 'api';
+            this.label = 'MySQL API';
+            this.auto = true;
+            this.engine = engine;
+        }
+
+        isAvailable() {
+            return !!this.engine?.sessionToken && isOnline();
+        }
+
+        supports(schema) {
+            return !!schema.api;
+        }
+
+        async push(ops) {
+            const changes = ops.map(op => ({
+                entity_type: op.schema.api,
+                uuid: op.id,
+                action: op.action,
+                data: op.data,
+                version: Number.isInteger(op.version) ? op.version : 0
+            }));
+            const result = await this.engine.request('POST', '/sync/push', { changes });
+
+            return ops.map(op => {
+                const pushed = (result.results || []).find(r => r.uuid === op.id);
+                if (!pushed) {
+                    // Deleting a record the server never had leaves nothing to report
+                    return op.action === 'delete' ? { status: 'ok', version: null } : { status: 'error', error: 'No result from server' };
+                }
+                if (pushed.status === 'conflict') {
+                    const info = (result.conflicts || []).find(c => c.uuid === op.id && c.entity_type === op.schema.api);
+                    return { status: 'conflict', remote: info?.server_data || null, version: info?.server_version ?? null };
+                }
+                if (pushed.status === 'error') {
+                    return { status: /invalid entity/i.test(pushed.message || '') ? 'rejected' : 'error', error: pushed.message };
+                }
+                const version = pushed.version ?? (pushed.status === 'created' ? 1 : (Number.isInteger(op.version) ? op.version + 1 : null));
+                return { status: 'ok', version };
+            });
+        }
+
+        // The cursor is the (updated_at, uuid) of the last row seen per type;
+        // a string is the single timestamp older versions kept
+        async pull(types, cursor, context, { first = true } = {}) {
+            const apiTypes = types.map(t => ENTITY_SCHEMAS[t].api);
+            const params = [`types=${encodeURIComponent(apiTypes.join(','))}`];
+            if (first) params.push('count=1');
+            if (typeof cursor === 'string') {
+                params.push(`since=${encodeURIComponent(cursor)}`);
+            } else if (cursor) {
+                params.push(`cursor=${encodeURIComponent(JSON.stringify(cursor))}`);
+            }
+            const result = await this.engine.request('GET', `/sync/pull?${params.join('&')}`);
+            const changes = (result.changes || []).map(change => ({
+                entity_type: typeForApi(change.entity_type),
+                id: change.uuid,
+                action: change.action,
+                data: change.data,
+                version: change.version ?? null
+            })).filter(change => change.entity_type);
+
+            if (result.cursor && typeof result.cursor === 'object') {
+                // Types left out of this pull keep their place
+                const next = { ...(cursor && typeof cursor === 'object' ? cursor : {}), ...result.cursor };
+                return { changes, cursor: next, hasMore: !!result.has_more, remaining: result.remaining ?? null };
+            }
+            // Servers without cursors: a full page continues from the last row instead of the server's clock
+            const last = result.changes?.[result.changes.length - 1];
+            return {
+                changes,
+                cursor: result.has_more && last ? last.updated_at : (result.server_time || cursor),
+                hasMore: !!result.has_more
+            };
+        }
+    }
+
+    class SupabaseAdapter {
+        constructor(getClient = null) {
+            this.name = 'supabase';
+            this.label = 'Supabase';
+            this.auto = true;
+            this.getClient = getClient || (() => typeof window !== 'undefined' && window.CAVSupabase?.isConfigured?.() ? window.CAVSupabase.getClient?.() : null);
+        }
+
+        isAvailable() {
+            return !!this.getClient() && isOnline();
+        }
+
+        supports(schema) {
+            return !!schema.supabase;
+        }
+
+        // One read and one write per table and kind of change, instead of two
+        // round trips per record; a stage that fails is retried record by record
+        async push(ops, context) {
+            const results = new Array(ops.length);
+            const byTable = new Map();
+            ops.forEach((op, i) => {
+                const table = op.schema.supabase.table;
+                if (!byTable.has(table)) byTable.set(table, []);
+                byTable.get(table).push(i);
+            });
+
+            for (const indexes of byTable.values()) {
+                let tableResults;
+                try {
+                    tableResults = await this.pushTable(indexes.map(i => ops[i]), context);
+                } catch (error) {
+                    tableResults = indexes.map(() => this.failure(error));
+                }
+                indexes.forEach((i, j) => { results[i] = tableResults[j]; });
+            }
+            return results;
+        }
+
+        async pushTable(ops, context) {
+            const client = this.getClient();
+            const { table, insertOnly, softDelete } = ops[0].schema.supabase;
+            const results = new Array(ops.length);
+            const now = new Date().toISOString();
+
+            if (insertOnly) {
+                // Log rows are written once and never removed from here
+                const inserts = [];
+                ops.forEach((op, i) => {
+                    if (op.action === 'delete') results[i] = { status: 'ok', version: null };
+                    else inserts.push(i);
+                });
+                if (inserts.length > 0) {
+                    const { error } = await client.from(table).insert(inserts.map(i => toRow(ops[i].schema, ops[i].data, context)));
+                    await this.settleStage(inserts, ops, results, error, context, () => ({ status: 'ok', version: null }));
+                }
+                return results;
+            }
+
+            // Supabase takes any write, so staleness is checked against updated_at first
+            const { data: currentRows, error: readError } = await client.from(table).select('*').in('uuid', ops.map(op => op.id));
+            if (readError) return this.pushEach(ops, context);
+            const current = new Map((currentRows || []).map(row => [row.uuid, row]));
+
+            const deletes = [];
+            const upserts = [];
+            ops.forEach((op, i) => {
+                const row = current.get(op.id);
+                const conflict = this.conflictWith(op, row);
+                if (conflict) {
+                    results[i] = conflict;
+                } else if (op.action === 'delete') {
+                    if (row) deletes.push(i);
+                    else results[i] = { status: 'ok', version: null };
+                } else {
+                    upserts.push(i);
+                }
+            });
+
+            if (deletes.length > 0) {
+                const ids = deletes.map(i => ops[i].id);
+                const { data, error } = softDelete
+                    ? await client.from(table).update({ deleted_at: now, updated_at: now }).in('uuid', ids).select('uuid, updated_at')
+                    : await client.from(table).delete().in('uuid', ids);
+                const stamps = new Map((data || []).map(row => [row.uuid, row.updated_at]));
+                await this.settleStage(deletes, ops, results, error, context, (op) => ({ status: 'ok', version: stamps.get(op.id) || now }));
+            }
+
+            // Rows of one upsert must share their columns: PostgREST sets the ones a row lacks to null
+            const groups = new Map();
+            upserts.forEach(i => {
+                const row = toRow(ops[i].schema, ops[i].data, context);
+                const columns = Object.keys(row).sort().join(',');
+                if (!groups.has(columns)) groups.set(columns, { indexes: [], rows: [] });
+                groups.get(columns).indexes.push(i);
+                groups.get(columns).rows.push(row);
+            });
+            for (const { indexes, rows } of groups.values()) {
+                const { data, error } = await client.from(table).upsert(rows, { onConflict: 'uuid' }).select('uuid, updated_at');
+                const stamps = new Map((data || []).map(row => [row.uuid, row.updated_at]));
+                await this.settleStage(indexes, ops, results, error, context, (op, j) => ({
+                    status: 'ok',
+                    version: stamps.get(op.id) || rows[j].updated_at || now
+                }));
+            }
+            return results;
+        }
+
+        // Fill in the results of one batched write, or push its records one at a time when it failed
+        async settleStage(indexes, ops, results, error, context, success) {
+            if (!error) {
+                indexes.forEach((i, j) => { results[i] = success(ops[i], j); });
+                return;
+            }
+            const retried = await this.pushEach(indexes.map(i => ops[i]), context);
+            indexes.forEach((i, j) => { results[i] = retried[j]; });
+        }
+
+        async pushEach(ops, context) {
+            const results = [];
+            for (const op of ops) {
+                try {
+                    results.push(await this.pushOne(op, context));
+                } catch (error) {
+                    results.push(this.failure(error));
+                }
+            }
+            return results;
+        }
+
+        async pushOne(op, context) {
+            const client = this.getClient();
+            const { table, insertOnly, softDelete } = op.schema.supabase;
+            const now = new Date().toISOString();
+
+            if (insertOnly) {
+                if (op.action === 'delete') return { status: 'ok', version: null };
+                const { error } = await client.from(table).insert(toRow(op.schema, op.data, context));
+                return error ? this.failure(error) : { status: 'ok', version: null };
+            }
+
+            const { data: current, error: readError } = await client.from(table).select('*').eq('uuid', op.id).maybeSingle();
+            if (readError) return this.failure(readError);
+            const conflict = this.conflictWith(op, current);
+            if (conflict) return conflict;
+
+            if (op.action === 'delete') {
+                if (!current) return { status: 'ok', version: null };
+                if (!softDelete) {
+                    const { error } = await client.from(table).delete().eq('uuid', op.id);
+                    return error ? this.failure(error) : { status: 'ok', version: now };
+                }
+                const { data, error } = await client.from(table)
+                    .update({ deleted_at: op.data?.deleted_at || now, updated_at: now })
+                    .eq('uuid', op.id).select('updated_at').maybeSingle();
+                return error ? this.failure(error) : { status: 'ok', version: data?.updated_at || now };
+            }
+
+            const row = toRow(op.schema, op.data, context);
+            const { data, error } = await client.from(table).upsert(row, { onConflict: 'uuid' }).select('updated_at').maybeSingle();
+            return error ? this.failure(error) : { status: 'ok', version: data?.updated_at || row.updated_at || now };
+        }
+
+        // The server moved on since the change was based on it
+        conflictWith(op, current) {
+            if (!current || typeof op.version !== 'string' || !current.updated_at ||
+                Date.parse(current.updated_at) <= Date.parse(op.version)) {
+                return null;
+            }
+            return {
+                status: 'conflict',
+                remote: current.deleted_at ? { ...fromRow(op.schema, current), deleted_at: current.deleted_at } : fromRow(op.schema, current),
+                version: current.updated_at
+            };
+        }
+
+        failure(error) {
+            return { status: isSchemaError(error) ? 'rejected' : 'error', error: error?.message || String(error) };
+        }
+
+        applyScope(query, schema, context) {
+            return schema.scope === 'workspace'
+                ? query.eq('organization_id', context.workspaceId)
+                : query.eq('user_email', context.userEmail);
+        }
+
+        /**
+         * The cursor holds, per type, the updated_at and uuid of the last row
+         * seen. Rows are read in that order, so rows sharing a timestamp (one
+         * batched upsert) are not skipped when a page ends between them.
+         * Rows deleted outright come from sync_tombstones (migration 032).
+         * The first page starts PULL_OVERLAP_MS before the cursor, for rows
+         * committed after the cursor passed their updated_at; prepareRemote
+         * skips the ones already applied. What is left is counted on the
+         * first page only, and only for tables with more than a page: a
+         * COUNT per table on every page would cost more than the pull.
+         */
+        async pull(types, cursor, context, { first = true } = {}) {
+            const client = this.getClient();
+            const next = { ...(cursor || {}) };
+            const changes = [];
+            let hasMore = false;
+            let remaining = first ? 0 : null;
+
+            for (const type of types) {
+                const schema = ENTITY_SCHEMAS[type];
+                if (schema.supabase.insertOnly) continue;
+                const cursorMark = pullMark(next[type]);
+                const mark = first && cursorMark ? overlapMark(cursorMark) : cursorMark;
+                let query = this.applyScope(client.from(schema.supabase.table).select('*'), schema, context);
+                if (mark) query = query.or(afterMark(mark));
+                const { data, error } = await query
+                    .order('updated_at', { ascending: true })
+                    .order('uuid', { ascending: true })
+                    .limit(PULL_PAGE_SIZE);
+                if (error) {
+                    console.warn(`[Repository] Pull of ${type} failed:`, error.message);
+                    continue;
+                }
+                const rows = data || [];
+                rows.forEach(row => {
+                    if (!row.uuid) return;
+                    changes.push(this.toChange(schema, row));
+                    if (row.updated_at) next[type] = { at: row.updated_at, id: row.uuid };
+                });
+                if (rows.length >= PULL_PAGE_SIZE) {
+                    hasMore = true;
+                    if (remaining !== null) {
+                        const count = await this.countAfter(schema, mark, context);
+                        remaining = count === null ? null : remaining + Math.max(0, count - rows.length);
+                    }
+                }
+            }
+
+            const tombstones = await this.pullTombstones(types, next[TOMBSTONE_CURSOR], context, first);
+            if (tombstones) {
+                changes.push(...tombstones.changes);
+                if (tombstones.last) next[TOMBSTONE_CURSOR] = tombstones.last;
+                if (tombstones.hasMore) hasMore = true;
+            }
+
+            return { changes, cursor: next, hasMore, remaining };
+        }
+
+        async countAfter(schema, mark, context) {
+            let query = this.applyScope(this.getClient().from(schema.supabase.table).select('uuid', { count: 'exact', head: true }), schema, context);
+            if (mark) query = query.or(afterMark(mark));
+            const { count, error } = await query;
+            return !error && Number.isInteger(count) ? count : null;
+        }
+
+        // Deletes of tables without a deleted_at column, logged by a trigger
+        async pullTombstones(types, cursor, context, first = false) {
+            if (this.tombstonesMissing) return null;
+            const tables = new Map();
+            types.forEach(type => {
+                const schema = ENTITY_SCHEMAS[type];
+                if (!schema.supabase.insertOnly) tables.set(schema.supabase.table, schema);
+            });
+            if (tables.size === 0) return null;
+
+            let query = this.getClient().from(TOMBSTONES_TABLE)
+                .select('id, table_name, uuid, deleted_at')
+                .in('table_name', [...tables.keys()]);
+            query = context.workspaceId
+                ? query.or(`user_email.eq.${quoteFilter(context.userEmail)},organization_id.eq.${quoteFilter(context.workspaceId)}`)
+                : query.eq('user_email', context.userEmail);
+            const after = tombstoneMark(cursor);
+            if (after) {
+                // Ids are handed out before commit, so the overlap applies here too
+                const since = first && after.at ? overlapMark({ at: after.at }).at : null;
+                query = since
+                    ? query.or(`id.gt.${after.id},deleted_at.gte.${quoteFilter(since)}`)
+                    : query.gt('id', after.id);
+            }
+            const { data, error } = await query.order('id', { ascending: true }).limit(PULL_PAGE_SIZE);
+            if (error) {
+                // Databases without migration 032 have no tombstones to pull
+                if (isSchemaError(error)) this.tombstonesMissing = true;
+                else console.warn('[Repository] Pull of deletes failed:', error.message);
+                return null;
+            }
+
+            const rows = data || [];
+            const latest = rows.reduce((at, row) => (!at || row.deleted_at > at ? row.deleted_at : at), after?.at || null);
+            return {
+                changes: rows.map(row => ({
+                    entity_type: tables.get(row.table_name).type,
+                    id: row.uuid,
+                    action: 'delete',
+                    data: { deleted_at: row.deleted_at },
+                    version: row.deleted_at
+                })),
+                last: rows.length > 0 ? { id: rows[rows.length - 1].id, at: latest } : null,
+                hasMore: rows.length >= PULL_PAGE_SIZE
+            };
+        }
+
+        toChange(schema, row) {
+            const data = fromRow(schema, row);
+            if (row.deleted_at) data.deleted_at = row.deleted_at;
+            return {
+                entity_type: schema.type,
+                id: row.uuid,
+                action: row.deleted_at ? 'delete' : 'upsert',
+                data,
+                version: row.updated_at || null
+            };
+        }
+
+        subscribe(types, onChange, context) {
+            const client = this.getClient();
+            const channels = [];
+            types.forEach(type => {
+                const schema = ENTITY_SCHEMAS[type];
+                if (schema.supabase.insertOnly) return;
+                const filter = schema.scope === 'workspace'
+                    ? `organization_id=eq.${context.workspaceId}`
+                    : `user_email=eq.${context.userEmail}`;
+                const channel = client
+                    .channel(`repository_${schema.supabase.table}`)
+                    .on('postgres_changes', { event: '*', schema: 'public', table: schema.supabase.table, filter }, (payload) => {
+                        const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+                        if (!row?.uuid) return;
+                        const change = this.toChange(schema, row);
+                        if (payload.eventType === 'DELETE') {
+                            change.action = 'delete';
+                            change.data.deleted_at = change.data.deleted_at || new Date().toISOString();
+                        }
+                        onChange(change);
+                    })
+                    .subscribe();
+                channels.push(channel);
+            });
+            return () => channels.forEach(channel => client.removeChannel?.(channel));
+        }
+    }
+
+    /**
+     * A server kept in memory, for development and tests. It versions rows
+     * like the /api (a counter per row) and rejects stale writes the same way.
+     * write() stands in for an edit made on another device, destroy() for a
+     * row deleted outright, which leaves a tombstone. Pulls come in pages of
+     * `pageSize` in the order rows changed.
+     */
+    class MockAdapter {
+        constructor({ name = 'mock', available = true, pageSize = PULL_PAGE_SIZE } = {}) {
+            this.name = name;
+            this.label = 'Local mock';
+            this.auto = false;
+            this.available = available;
+            this.pageSize = pageSize;
+            this.rows = new Map();
+            this.tombstones = new Map();
+            this.clock = 0;
+            this.requests = { push: 0, pull: 0 };
+            this.listeners = new Set();
+        }
+
+        isAvailable() {
+            return this.available;
+        }
+
+        supports(schema) {
+            return schema.remote;
+        }
+
+        async push(ops) {
+            this.requests.push++;
+            return ops.map(op => {
+                const key = recordKey(op.entity_type, op.id);
+                const row = this.rows.get(key);
+                if (row && row.version > (Number.isInteger(op.version) ? op.version : 0)) {
+                    return { status: 'conflict', remote: clone(row.data), version: row.version };
+                }
+                if (op.action === 'delete' && !row) return { status: 'ok', version: null };
+                const data = op.action === 'delete'
+                    ? { ...row.data, deleted_at: op.data?.deleted_at || new Date().toISOString() }
+                    : clone(op.data);
+                return { status: 'ok', version: this.store(op.entity_type, op.id, data).version };
+            });
+        }
+
+        // The cursor holds, per type, the change counter of the last row sent
+        async pull(types, cursor) {
+            this.requests.pull++;
+            const since = (type) => (Number.isInteger(cursor) ? cursor : cursor?.[type]) || 0;
+            const pending = [...this.rows.values(), ...this.tombstones.values()]
+                .filter(row => types.includes(row.entity_type) && row.seq > since(row.entity_type))
+                .sort((a, b) => a.seq - b.seq);
+            const page = pending.slice(0, this.pageSize);
+            const hasMore = pending.length > page.length;
+
+            const next = Number.isInteger(cursor) ? {} : { ...(cursor || {}) };
+            types.forEach(type => { next[type] = hasMore ? since(type) : this.clock; });
+            page.forEach(row => { next[row.entity_type] = Math.max(next[row.entity_type], row.seq); });
+            return {
+                changes: page.map(row => this.toChange(row)),
+                cursor: next,
+                hasMore,
+                remaining: pending.length - page.length
+            };
+        }
+
+        subscribe(types, onChange) {
+            const listener = (change) => {
+                if (types.includes(change.entity_type)) onChange(change);
+            };
+            this.listeners.add(listener);
+            return () => this.listeners.delete(listener);
+        }
+
+        // Change a row as another device would
+        write(type, id, changes) {
+            const row = this.rows.get(recordKey(type, id));
+            const data = { ...(row ? row.data : { id, uuid: id }), ...clone(changes), updated_at: new Date().toISOString(), updated_by_device: 'mock' };
+            const stored = this.store(type, id, data);
+            this.listeners.forEach(listener => listener(this.toChange(stored)));
+            return stored;
+        }
+
+        // Delete a row outright, as another device would on a table without deleted_at
+        destroy(type, id) {
+            const key = recordKey(type, id);
+            if (!this.rows.has(key)) return null;
+            this.rows.delete(key);
+            const tombstone = { entity_type: type, id, data: { id, uuid: id, deleted_at: new Date().toISOString() }, version: null, seq: ++this.clock };
+            this.tombstones.set(key, tombstone);
+            this.listeners.forEach(listener => listener(this.toChange(tombstone)));
+            return tombstone;
+        }
+
+        store(type, id, data) {
+            const key = recordKey(type, id);
+            const row = { entity_type: type, id, data, version: (this.rows.get(key)?.version || 0) + 1, seq: ++this.clock };
+            this.rows.set(key, row);
+            this.tombstones.delete(key);
+            return row;
+        }
+
+        toChange(row) {
+            return {
+                entity_type: row.entity_type,
+                id: row.id,
+                action: row.data.deleted_at ? 'delete' : 'upsert',
+                data: clone(row.data),
+                version: row.version
+            };
+        }
+    }
+
+    // ============================================
+    // REPOSITORY
+    // ============================================
+
+    class Repository {
+        constructor({ store = null } = {}) {
+            this.store = store || (typeof indexedDB !== 'undefined' ? new IdbRepositoryStore() : new MemoryRepositoryStore());
+            this.records = new Map();
+            this.outbox = new Map();
+            this.adapters = new Map();
+            this.preferredAdapter = readLocal(ADAPTER_KEY, null);
+            this.conflicts = readLocal(CONFLICTS_KEY, []);
+            this.mergeStrategies = readLocal(STRATEGIES_KEY, {});
+            this.deviceId = null;
+            this.listeners = {};
+            this.subscribers = new Set();
+            this.feed = [];
+            this.seq = 0;
+            this.flushTimer = null;
+            this.syncTimer = null;
+            this.syncing = null;
+            this.live = null;
+            this.status = { lastSync: null, error: null };
+            this.resolveContext = () => ({
+                userEmail: (typeof window !== 'undefined' && window.cavUserSession?.email) || readLocal('cav_last_user_email', null) || 'anonymous',
+                workspaceId: null
+            });
+
+            this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+            if (this.channel) {
+                this.channel.onmessage = (event) => this.handleTabMessage(event.data);
+                // Node (sync-replay, scripts): an open channel would keep the process from exiting
+                if (typeof this.channel.unref === 'function') this.channel.unref();
+            }
+
+            this.ready = this.load();
+        }
+
+        /**
+         * @param {Object} options
+         * @param {Function} options.context - () => ({ userEmail, workspaceId }) for stamping and scoping
+         */
+        configure({ context } = {}) {
+            if (context) this.resolveContext = context;
+        }
+
+        context() {
+            const context = this.resolveContext() || {};
+            return { userEmail: context.userEmail || 'anonymous', workspaceId: context.workspaceId || null };
+        }
+
+        async load() {
+            let envelopes = [];
+            let ops = [];
+            try {
+                [envelopes, ops] = await Promise.all([this.store.records(), this.store.outbox()]);
+            } catch (error) {
+                console.warn('[Repository] IndexedDB unavailable, keeping data in memory:', error);
+                this.store = new MemoryRepositoryStore();
+            }
+            envelopes.forEach(envelope => this.records.set(envelope.key, envelope));
+            ops.forEach(op => this.outbox.set(op.key, op));
+
+            try {
+                await this.importLegacy();
+            } catch (error) {
+                console.warn('[Repository] Import of older local data failed:', error);
+            }
+            console.log(`[Repository] v${VERSION} ready: ${this.records.size} records, ${this.outbox.size} pending`);
+        }
+
+        // ========================================================
+        // EVENTS
+        // ========================================================
+
+        on(event, callback) {
+            if (!this.listeners[event]) this.listeners[event] = [];
+            this.listeners[event].push(callback);
+            return () => this.off(event, callback);
+        }
+
+        off(event, callback) {
+            if (this.listeners[event]) {
+                this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+            }
+        }
+
+        emit(event, data) {
+            (this.listeners[event] || []).forEach(cb => {
+                try {
+                    cb(data);
+                } catch (e) {
+                    console.error('[Repository] Event handler error:', e);
+                }
+            });
+        }
+
+        // ========================================================
+        // CHANGE FEED
+        // ========================================================
+
+        /**
+         * Hear every change to stored records.
+         * @param {Function} listener - ({ seq, entity_type, id, action, data, origin }) where origin is
+         *   'local' (this tab), 'remote' (the server) or 'tab' (another tab)
+         * @param {Object} options - { types: [entity types] } to narrow it down
+         * @returns {Function} - Unsubscribe
+         */
+        subscribe(listener, { types = null } = {}) {
+            const entry = { listener, types: types ? new Set(types) : null };
+            this.subscribers.add(entry);
+            return () => this.subscribers.delete(entry);
+        }
+
+        // Feed entries after `seq`, for views that were not listening
+        changesSince(seq = 0) {
+            return this.feed.filter(change => change.seq > seq);
+        }
+
+        publish({ entity_type, id, action, data }, origin) {
+            const change = { seq: ++this.seq, entity_type, id, action, data: clone(data), origin, at: new Date().toISOString() };
+            this.feed.push(change);
+            if (this.feed.length > FEED_SIZE) this.feed.shift();
+
+            this.subscribers.forEach(({ listener, types }) => {
+                if (types && !types.has(entity_type)) return;
+                try {
+                    listener(change);
+                } catch (e) {
+                    console.error('[Repository] Subscriber error:', e);
+                }
+            });
+            this.emit('change', change);
+
+            if (origin !== 'tab' && this.channel) {
+                try {
+                    this.channel.postMessage({ kind: 'change', change, account: this.context().userEmail });
+                } catch (e) {
+                    // Another tab will catch up on its next load
+                }
+            }
+        }
+
+        // Other tabs share the database; only the in-memory copies need refreshing
+        async handleTabMessage(message) {
+            if (message?.kind === 'conflicts') {
+                this.conflicts = readLocal(CONFLICTS_KEY, []);
+                this.emit('conflicts_changed', this.getConflicts());
+                return;
+            }
+            if (message?.kind !== 'change') return;
+            await this.ready;
+            const { change } = message;
+            const key = recordKey(change.entity_type, change.id);
+            this.records.set(key, { key, type: change.entity_type, id: change.id, account: message.account || null, data: change.data });
+            const op = await this.store.getOp(key).catch(() => null);
+            if (op) {
+                this.outbox.set(key, op);
+            } else {
+                this.outbox.delete(key);
+            }
+            this.publish(change, 'tab');
+        }
+
+        // ========================================================
+        // READING
+        // ========================================================
+
+        visible(envelope, context) {
+            return !envelope.account || envelope.account === context.userEmail;
+        }
+
+        async get(type, id, { includeDeleted = false } = {}) {
+            await this.ready;
+            const envelope = this.records.get(recordKey(type, String(id)));
+            if (!envelope || !this.visible(envelope, this.context())) return null;
+            if (envelope.data.deleted_at && !includeDeleted) return null;
+            return clone(envelope.data);
+        }
+
+        /**
+         * Records of a type for the signed-in user (or workspace), newest first.
+         * @param {Object} options - { includeDeleted, limit, where: record => boolean }
+         */
+        async list(type, { includeDeleted = false, limit = null, where = null } = {}) {
+            await this.ready;
+            const schema = schemaFor(type);
+            const context = this.context();
+            let items = [];
+            this.records.forEach(envelope => {
+                if (envelope.type !== type || !this.visible(envelope, context)) return;
+                const data = envelope.data;
+                if (data.deleted_at && !includeDeleted) return;
+                if (schema.scope === 'workspace' && data.organization_id && data.organization_id !== context.workspaceId) return;
+                items.push(data);
+            });
+            if (where) items = items.filter(where);
+            items.sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
+            if (limit) items = items.slice(0, limit);
+            return clone(items);
+        }
+
+        // ========================================================
+        // WRITING
+        // ========================================================
+
+        /**
+         * Save a record. It is stored at once and queued for the remote.
+         * @param {Object} options - { sync: false } stores it without queueing
+         * @returns {Promise<Object>} - The stored record
+         * @throws {ValidationError} - When the record does not match its schema
+         */
+        async save(type, data, { sync = true } = {}) {
+            const schema = schemaFor(type);
+            const id = assignIdentity(schema, data);
+            const errors = validate(type, data);
+            if (errors.length > 0) throw new ValidationError(type, errors);
+
+            await this.ready;
+            const prepared = this.prepare(schema, id, data, { sync, restore: true });
+            if (!prepared) return clone(this.records.get(recordKey(type, id)).data);
+            await this.commit([prepared]);
+            return clone(prepared.envelope.data);
+        }
+
+        /**
+         * Save a whole collection, as modules that keep lists do. Unchanged
+         * records are skipped, and invalid ones are logged and skipped.
+         * @param {Object} options - { sync, onlyMissing: true } to only add records never stored
+         * @returns {Promise<number>} - How many records were written
+         */
+        async saveMany(type, items, { sync = true, onlyMissing = false } = {}) {
+            const schema = schemaFor(type);
+            const accepted = [];
+            (items || []).forEach(data => {
+                if (!data || typeof data !== 'object') return;
+                const id = assignIdentity(schema, data);
+                const errors = validate(type, data);
+                if (errors.length > 0) {
+                    console.warn(`[Repository] Skipped invalid ${type} ${id}:`, errors.join('; '));
+                    return;
+                }
+                accepted.push({ id, data });
+            });
+
+            await this.ready;
+            const prepared = accepted
+                .filter(({ id }) => !onlyMissing || !this.records.has(recordKey(type, id)))
+                .map(({ id, data }) => this.prepare(schema, id, data, { sync, restore: false }))
+                .filter(Boolean);
+            await this.commit(prepared);
+            return prepared.length;
+        }
+
+        /**
+         * Build the stored record and its outbox entry. Returns null when
+         * nothing changed. A deleted record is only brought back by save(),
+         * or by an actual edit through saveMany().
+         */
+        prepare(schema, id, data, { sync, restore }) {
+            const key = recordKey(schema.type, id);
+            const previousEnvelope = this.records.get(key);
+            const previous = previousEnvelope?.data || null;
+            const changed = syncMerge().diffFields(previous, data);
+            if (previous && changed.length === 0 && (!previous.deleted_at || !restore)) return null;
+
+            const context = this.context();
+            const now = new Date().toISOString();
+            const record = clone(data);
+            record.id = record.id ?? id;
+            record.uuid = record.uuid ?? id;
+            delete record.deleted_at;
+            record.created_at = previous?.created_at || record.created_at || now;
+            record.updated_at = now;
+            record.updated_by_device = this.getDeviceId();
+            record.field_versions = syncMerge().stampFields(previous?.field_versions, changed, this.getDeviceId(), now);
+            // sync_version is the remote's version this edit is based on
+            record.sync_version = previous ? (previous.sync_version ?? null) : (record.sync_version ?? null);
+            if (schema.scope === 'workspace') {
+                record.organization_id = record.organization_id || context.workspaceId;
+            }
+            record.user_email = record.user_email || context.userEmail;
+            record.owner_email = record.owner_email || record.user_email;
+            record.needs_sync = sync && schema.remote;
+
+            // Values the changed fields had before, for a three-way merge on conflict
+            const baseFields = {};
+            changed.forEach(f => { baseFields[f] = previous?.[f] ?? null; });
+
+            return {
+                envelope: { key, type: schema.type, id, account: context.userEmail, data: record },
+                change: record.needs_sync ? { entity_type: schema.type, id, action: 'upsert', version: record.sync_version, base_fields: baseFields } : null
+            };
+        }
+
+        /**
+         * Soft-delete a record: it stays as a tombstone until the remote has it.
+         * @param {Object} options - { sync: false } for a local-only delete
+         */
+        async remove(type, id, { sync = true } = {}) {
+            await this.ready;
+            const schema = schemaFor(type);
+            const key = recordKey(type, String(id));
+            const envelope = this.records.get(key);
+            if (!envelope || envelope.data.deleted_at) return false;
+
+            const now = new Date().toISOString();
+            const record = { ...clone(envelope.data), deleted_at: now, updated_at: now, updated_by_device: this.getDeviceId(), needs_sync: sync && schema.remote };
+            await this.commit([{
+                envelope: { ...envelope, data: record },
+                change: record.needs_sync ? { entity_type: type, id: String(id), action: 'delete', version: record.sync_version ?? null, base_fields: {} } : null
+            }], 'delete');
+            return true;
+        }
+
+        // Remove a record from this device without telling the remote
+        async purge(type, id) {
+            await this.ready;
+            const key = recordKey(type, String(id));
+            if (!this.records.has(key)) return false;
+            this.records.delete(key);
+            this.outbox.delete(key);
+            await this.store.write({ removeRecords: [key], removeOps: [key] });
+            this.publish({ entity_type: type, id: String(id), action: 'delete', data: null }, 'local');
+            return true;
+        }
+
+        async commit(prepared, action = 'upsert') {
+            if (prepared.length === 0) return;
+            const ops = [];
+            prepared.forEach(({ envelope, change }) => {
+                this.records.set(envelope.key, envelope);
+                if (!change) return;
+
+                // While a conflict is open the edit joins its local side instead of
+                // being pushed; resolving the conflict sends it
+                const conflict = this.findOpenConflict(change.entity_type, change.id);
+                if (conflict) {
+                    if (change.action === 'delete') {
+                        conflict.action = 'delete';
+                        conflict.queued_at = new Date().toISOString();
+                    } else {
+                        conflict.local = clone(envelope.data);
+                        conflict.action = 'upsert';
+                        conflict.base_fields = { ...change.base_fields, ...conflict.base_fields };
+                    }
+                    this.saveConflicts();
+                    return;
+                }
+                ops.push(this.queue(change));
+            });
+
+            await this.store.write({ records: prepared.map(p => p.envelope), ops });
+            prepared.forEach(({ envelope }) => this.publish({ entity_type: envelope.type, id: envelope.id, action, data: envelope.data }, 'local'));
+            if (ops.length > 0) this.scheduleFlush();
+        }
+
+        /**
+         * Put a change in the outbox, one per record. The replaced change still
+         * describes what the edit was based on: keep its version and the oldest
+         * base values, unless this change is a conflict resolution rebased on
+         * the server.
+         */
+        queue(change, { rebase = false } = {}) {
+            const key = recordKey(change.entity_type, change.id);
+            const replaced = this.outbox.get(key);
+            const op = {
+                key,
+                entity_type: change.entity_type,
+                id: change.id,
+                action: change.action,
+                version: change.version ?? null,
+                base_fields: change.base_fields || {},
+                account: this.context().userEmail,
+                queued_at: new Date().toISOString(),
+                attempts: 0,
+                next_attempt_at: null,
+                last_error: null
+            };
+            if (replaced && !rebase) {
+                op.version = replaced.version;
+                op.base_fields = { ...op.base_fields, ...replaced.base_fields };
+            }
+            // Two saves in the same millisecond must still tell apart
+            if (replaced && replaced.queued_at >= op.queued_at) {
+                op.queued_at = new Date(Date.parse(replaced.queued_at) + 1).toISOString();
+            }
+            this.outbox.set(key, op);
+            this.emit('pending_change', op);
+            return op;
+        }
+
+        // ========================================================
+        // ADAPTERS
+        // ========================================================
+
+        registerAdapter(adapter) {
+            this.adapters.set(adapter.name, adapter);
+            this.restartLive();
+            return adapter;
+        }
+
+        /**
+         * Pick the adapter to sync with; null goes back to the first available
+         * of the registered ones (Supabase, then the /api).
+         */
+        useAdapter(name) {
+            if (name && !this.adapters.has(name)) {
+                throw new Error(`Unknown adapter: ${name}`);
+            }
+            this.preferredAdapter = name || null;
+            if (name) {
+                writeLocal(ADAPTER_KEY, name);
+            } else {
+                try { localStorage.removeItem(ADAPTER_KEY); } catch (e) {}
+            }
+            this.restartLive();
+            this.emit('adapter_changed', this.activeAdapter()?.name || null);
+        }
+
+        activeAdapter() {
+            if (this.preferredAdapter) {
+                const preferred = this.adapters.get(this.preferredAdapter);
+                return preferred && preferred.isAvailable() ? preferred : null;
+            }
+            return [...this.adapters.values()].find(a => a.auto !== false && a.isAvailable()) || null;
+        }
+
+        syncedTypes(adapter) {
+            return Object.values(ENTITY_SCHEMAS).filter(s => s.remote && adapter.supports(s)).map(s => s.type);
+        }
+
+        // ========================================================
+        // SYNC
+        // ========================================================
+
+        scheduleFlush() {
+            if (this.flushTimer) clearTimeout(this.flushTimer);
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush().catch(e => console.log('[Repository] Background push failed:', e));
+            }, FLUSH_DELAY_MS);
+        }
+
+        /**
+         * Push the outbox to the active adapter.
+         * @returns {Promise<Object>} - { pushed, conflicts, failed }
+         */
+        async flush() {
+            await this.ready;
+            const adapter = this.activeAdapter();
+            const totals = { pushed: 0, conflicts: 0, failed: 0 };
+            if (!adapter) return totals;
+
+            // One tab pushes at a time
+            const run = async () => {
+                // Resolutions are queued against the server's version; push them straight away
+                for (let round = 0; round < 3; round++) {
+                    const result = await this.pushRound(adapter);
+                    totals.pushed += result.pushed;
+                    totals.conflicts += result.conflicts;
+                    totals.failed += result.failed;
+                    if (result.requeued === 0) break;
+                }
+            };
+            if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+                await navigator.locks.request(FLUSH_LOCK, run);
+            } else {
+                await run();
+            }
+            return totals;
+        }
+
+        async pushRound(adapter) {
+            const result = { pushed: 0, conflicts: 0, failed: 0, requeued: 0 };
+            // Another tab may have queued or pushed meanwhile
+            (await this.store.outbox().catch(() => [...this.outbox.values()])).forEach(op => this.outbox.set(op.key, op));
+
+            const context = this.context();
+            const now = Date.now();
+            const due = [...this.outbox.values()].filter(op => {
+                const schema = schemaFor(op.entity_type);
+                return schema.remote && adapter.supports(schema) &&
+                    (!op.account || op.account === context.userEmail) &&
+                    (!op.next_attempt_at || Date.parse(op.next_attempt_at) <= now);
+            });
+
+            for (let i = 0; i < due.length; i += PUSH_BATCH_SIZE) {
+                const batch = due.slice(i, i + PUSH_BATCH_SIZE).map(op => ({
+                    ...op,
+                    schema: schemaFor(op.entity_type),
+                    data: clone(this.records.get(op.key)?.data || { id: op.id, uuid: op.id, deleted_at: new Date().toISOString() })
+                }));
+
+                let results;
+                try {
+                    results = await adapter.push(batch, context);
+                } catch (error) {
+                    results = batch.map(() => ({ status: 'error', error: error.message }));
+                }
+
+                for (let j = 0; j < batch.length; j++) {
+                    const outcome = await this.settle(batch[j], results[j] || { status: 'error', error: 'No result' });
+                    result[outcome] = (result[outcome] || 0) + 1;
+                    if (outcome === 'conflicts') result.requeued += this.lastRequeued;
+                }
+                this.emit('sync_progress', { phase: 'push', adapter: adapter.name, done: i + batch.length, total: due.length });
+            }
+            return result;
+        }
+
+        // Act on one push result; returns the totals bucket it counts towards
+        async settle(op, outcome) {
+            this.lastRequeued = 0;
+            const current = this.outbox.get(op.key);
+            const isCurrent = current && current.queued_at === op.queued_at;
+
+            if (outcome.status === 'ok') {
+                if (isCurrent) {
+                    this.outbox.delete(op.key);
+                    await this.store.removeOpIf(op.key, op.queued_at);
+                }
+                await this.markSynced(op, outcome.version ?? null);
+                return 'pushed';
+            }
+
+            if (outcome.status === 'conflict') {
+                // A newer local edit is queued; it carries the same base and conflicts on the next push
+                if (!isCurrent) return 'conflicts';
+                this.outbox.delete(op.key);
+                await this.store.removeOpIf(op.key, op.queued_at);
+                this.emit('sync_conflict', [{ entity_type: op.entity_type, uuid: op.id, server_data: outcome.remote, server_version: outcome.version }]);
+                this.lastRequeued = await this.handleConflict(op, outcome);
+                return 'conflicts';
+            }
+
+            if (outcome.status === 'rejected') {
+                // The remote cannot store it as it stands; retrying will not help
+                console.warn(`[Repository] ${op.entity_type} ${op.id} rejected:`, outcome.error);
+                if (isCurrent) {
+                    this.outbox.delete(op.key);
+                    await this.store.removeOpIf(op.key, op.queued_at);
+                }
+                return 'failed';
+            }
+
+            if (isCurrent) {
+                current.attempts = (current.attempts || 0) + 1;
+                current.last_error = outcome.error || 'Push failed';
+                current.next_attempt_at = new Date(Date.now() + Math.min(MAX_RETRY_DELAY_MS, 1000 * 2 ** current.attempts)).toISOString();
+                await this.store.write({ ops: [current] });
+            }
+            return 'failed';
+        }
+
+        // Record the remote's version on the local copy after a successful push
+        async markSynced(op, version) {
+            const envelope = this.records.get(op.key);
+            if (!envelope) return;
+
+            // An edit queued while the push was in flight is now based on what was just written
+            const newer = this.outbox.get(op.key);
+            if (newer && newer.queued_at !== op.queued_at) {
+                newer.version = version;
+                Object.keys(newer.base_fields || {}).forEach(f => {
+                    if (op.data && f in op.data) newer.base_fields[f] = op.data[f] ?? null;
+                });
+                await this.store.write({ ops: [newer] });
+            }
+
+            const data = { ...envelope.data, sync_version: version, needs_sync: !!newer && newer.queued_at !== op.queued_at };
+            const updated = { ...envelope, data };
+            this.records.set(op.key, updated);
+            await this.store.write({ records: [updated] });
+        }
+
+        /**
+         * Pull remote changes since the adapter's cursor and apply them, a page
+         * at a time. Emits sync_progress ({ phase: 'pull', done, total }) per page.
+         * @param {string[]} types - Limit to these types
+         * @returns {Promise<number>} - How many changes were applied
+         */
+        async pull(types = null) {
+            await this.ready;
+            const adapter = this.activeAdapter();
+            if (!adapter) return 0;
+
+            const synced = this.syncedTypes(adapter).filter(t => !types || types.includes(t));
+            if (synced.length === 0) return 0;
+            const context = this.context();
+            const cursorKey = `cursor:${adapter.name}:${context.userEmail}`;
+            let cursor = await this.store.getMeta(cursorKey);
+            let applied = 0;
+            let received = 0;
+            let total = null;
+
+            for (let page = 0; page < MAX_PULL_PAGES; page++) {
+                const result = await adapter.pull(synced, cursor, context, { first: page === 0 });
+                const changes = result.changes || [];
+                applied += await this.applyRemoteBatch(changes);
+                received += changes.length;
+                cursor = result.cursor;
+                await this.store.setMeta(cursorKey, cursor);
+                // Later pages may not count again; the first page's total holds
+                if (!result.hasMore) {
+                    total = received;
+                } else if (result.remaining !== null && result.remaining !== undefined) {
+                    total = received + result.remaining;
+                } else if (total !== null) {
+                    total = Math.max(total, received);
+                }
+                if (received > 0) {
+                    this.emit('sync_progress', { phase: 'pull', adapter: adapter.name, done: received, total });
+                }
+                if (!result.hasMore) break;
+            }
+            return applied;
+        }
+
+        /**
+         * Apply one change from the remote.
+         * @returns {Promise<boolean>} - false when it was skipped
+         */
+        async applyRemote(change, origin = 'remote') {
+            return (await this.applyRemoteBatch([change], origin)) > 0;
+        }
+
+        // Apply a page of remote changes with one local write
+        async applyRemoteBatch(changes, origin = 'remote') {
+            const applied = changes.map(change => this.prepareRemote(change)).filter(Boolean);
+            if (applied.length === 0) return 0;
+            await this.store.write({ records: applied.map(({ envelope }) => envelope) });
+            applied.forEach(({ envelope, action }) => {
+                this.publish({ entity_type: envelope.type, id: envelope.id, action, data: envelope.data }, origin);
+            });
+            return applied.length;
+        }
+
+        // The local record a remote change leads to, or null when it is skipped
+        prepareRemote(change) {
+            const schema = schemaFor(change.entity_type);
+            const id = String(change.id);
+            const key = recordKey(schema.type, id);
+
+            // Local edits not yet accepted by the remote are not overwritten;
+            // an open conflict gets the newer server version to compare against
+            if (this.outbox.has(key)) return null;
+            const conflict = this.findOpenConflict(schema.type, id);
+            if (conflict) {
+                conflict.remote = change.action === 'delete'
+                    ? { ...(conflict.remote || change.data), deleted_at: change.data?.deleted_at || new Date().toISOString() }
+                    : change.data;
+                conflict.server_version = change.version ?? conflict.server_version;
+                this.saveConflicts();
+                return null;
+            }
+
+            const envelope = this.records.get(key);
+            // Our own write coming back
+            if (envelope && change.version !== null && change.version !== undefined &&
+                envelope.data.sync_version === change.version &&
+                !!envelope.data.deleted_at === (change.action === 'delete')) {
+                return null;
+            }
+
+            let data;
+            if (change.action === 'delete') {
+                if (!envelope || envelope.data.deleted_at) return null;
+                data = { ...envelope.data, deleted_at: change.data?.deleted_at || new Date().toISOString() };
+            } else {
+                data = clone(change.data) || {};
+                data.created_at = data.created_at || envelope?.data.created_at;
+            }
+            data.id = id;
+            data.uuid = id;
+            data.sync_version = change.version ?? null;
+            data.needs_sync = false;
+
+            const updated = { key, type: schema.type, id, account: this.context().userEmail, data };
+            this.records.set(key, updated);
+            return { envelope: updated, action: change.action };
+        }
+
+        /**
+         * Push the outbox, then pull. Skipped while another sync runs or no
+         * adapter is available.
+         * @returns {Promise<Object|null>} - { pushed, pulled, conflicts, failed, adapter }
+         */
+        async sync() {
+            if (this.syncing) return this.syncing;
+            const adapter = this.activeAdapter();
+            if (!adapter) return null;
+
+            this.syncing = (async () => {
+                this.emit('sync_start', { adapter: adapter.name });
+                try {
+                    const pushed = await this.flush();
+                    const pulled = await this.pull();
+                    this.status.lastSync = new Date().toISOString();
+                    this.status.error = null;
+                    const result = { ...pushed, pulled, adapter: adapter.name };
+                    // The adapter or the signed-in user may have changed since live updates started
+                    if (this.syncTimer && (this.live?.adapter !== adapter.name || this.live?.account !== this.context().userEmail)) {
+                        this.startLive();
+                    }
+                    this.emit('sync_complete', result);
+                    return result;
+                } catch (error) {
+                    console.error('[Repository] Sync failed:', error);
+                    this.status.error = error.message;
+                    this.emit('sync_error', error);
+                    throw error;
+                } finally {
+                    this.syncing = null;
+                }
+            })();
+            return this.syncing;
+        }
+
+        // Sync now and every `interval` ms, when coming back online and when the tab is shown again
+        start({ interval = SYNC_INTERVAL_MS } = {}) {
+            if (this.syncTimer) return;
+            const run = () => this.sync().catch(() => {});
+            this.syncTimer = setInterval(run, interval);
+            window.addEventListener('online', run);
+            document.addEventListener('visibilitychange', () => {
+                if (!document.hidden) run();
+            });
+            this.ready.then(run);
+            this.startLive();
+        }
+
+        // Live updates from adapters that offer them (Supabase realtime)
+        startLive() {
+            this.stopLive();
+            const adapter = this.activeAdapter();
+            if (!adapter?.subscribe) return false;
+            try {
+                const types = this.syncedTypes(adapter);
+                const unsubscribe = adapter.subscribe(types, (change) => {
+                    this.applyRemote(change).catch(e => console.warn('[Repository] Live change failed:', e));
+                }, this.context());
+                this.live = { adapter: adapter.name, account: this.context().userEmail, types, unsubscribe };
+                this.emit('live_changed', { adapter: adapter.name, types });
+                return true;
+            } catch (error) {
+                console.warn('[Repository] Live updates unavailable:', error);
+                return false;
+            }
+        }
+
+        stopLive() {
+            if (!this.live) return;
+            try {
+                this.live.unsubscribe?.();
+            } catch (e) {}
+            this.live = null;
+            this.emit('live_changed', null);
+        }
+
+        restartLive() {
+            if (this.live || this.syncTimer) this.startLive();
+        }
+
+        // ========================================================
+        // CONFLICTS
+        // ========================================================
+
+        /**
+         * Resolve a change the remote rejected as stale, or file it in the inbox.
+         * @returns {Promise<number>} - 1 when a resolution was queued for another push
+         */
+        async handleConflict(op, outcome) {
+            const local = op.action === 'delete' ? (this.records.get(op.key)?.data || null) : op.data;
+            const conflict = {
+                id: `conflict_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                entity_type: op.entity_type,
+                uuid: op.id,
+                title: syncMerge().entityTitle(local || outcome.remote),
+                action: op.action,
+                local: clone(local),
+                remote: clone(outcome.remote) || null,
+                base_fields: op.base_fields || {},
+                queued_at: op.queued_at,
+                client_version: op.version,
+                server_version: outcome.version,
+                detected_at: new Date().toISOString(),
+                status: 'open'
+            };
+
+            const strategy = this.getMergeStrategy(conflict.entity_type);
+            const decision = syncMerge().resolve(strategy, conflict);
+
+            try {
+                if (decision.outcome === 'inbox') {
+                    conflict.strategy = strategy;
+                    conflict.reason = decision.reason;
+                    this.addConflict(conflict);
+                    return 0;
+                }
+                const queued = await this.applyResolution(conflict, decision.outcome, decision.record);
+                this.markResolved(conflict, decision.outcome, 'auto', strategy);
+                return queued;
+            } catch (error) {
+                console.error('[Repository] Could not resolve conflict, keeping it for review:', error);
+                conflict.strategy = strategy;
+                conflict.reason = error.message;
+                this.addConflict(conflict);
+                return 0;
+            }
+        }
+
+        /**
+         * Apply a resolution locally and queue what the remote needs.
+         * @param {string} outcome - 'push' | 'delete' | 'accept_remote' | 'keep_both'
+         * @returns {Promise<number>} - 1 when a change was queued, else 0
+         */
+        async applyResolution(conflict, outcome, record = null) {
+            const { entity_type, uuid, remote } = conflict;
+            const key = recordKey(entity_type, uuid);
+            const envelope = this.records.get(key) || { key, type: entity_type, id: uuid, account: this.context().userEmail };
+            const now = new Date().toISOString();
+            const device = this.getDeviceId();
+
+            const store = async (data, change, origin = 'local') => {
+                const updated = { ...envelope, data };
+                this.records.set(key, updated);
+                const op = change ? this.queue({ entity_type, id: uuid, ...change }, { rebase: true }) : null;
+                await this.store.write({ records: [updated], ops: op ? [op] : [] });
+                this.publish({ entity_type, id: uuid, action: data.deleted_at ? 'delete' : 'upsert', data }, origin);
+            };
+
+            if (outcome === 'push') {
+                const data = { ...record, id: uuid, uuid, sync_version: conflict.server_version, updated_at: now, updated_by_device: device, needs_sync: true };
+                delete data.deleted_at;
+                await store(data, { action: 'upsert', version: conflict.server_version, base_fields: {} });
+                return 1;
+            }
+
+            if (outcome === 'delete') {
+                const data = { ...(envelope.data || conflict.local || { id: uuid, uuid }), deleted_at: now, sync_version: conflict.server_version, needs_sync: true };
+                await store(data, { action: 'delete', version: conflict.server_version, base_fields: {} });
+                return 1;
+            }
+
+            // accept_remote and keep_both both take the server's version
+            if (remote) {
+                const data = { ...clone(remote), id: uuid, uuid, sync_version: conflict.server_version, needs_sync: false };
+                await store(data, null, 'remote');
+            }
+
+            if (outcome === 'keep_both') {
+                if (conflict.action === 'delete' || !conflict.local) {
+                    throw new Error('A deletion cannot be kept as a copy');
+                }
+                const schema = schemaFor(entity_type);
+                const copyId = schema.key === 'uuid' ? createId() : `${entity_type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+                const copy = syncMerge().conflictCopy(conflict.local, copyId);
+                copy.id = copyId;
+                copy.created_at = now;
+                await this.save(entity_type, copy);
+                return 1;
+            }
+
+            return 0;
+        }
+
+        /**
+         * Resolve a conflict from the inbox.
+         * @param {string} id - Conflict id
+         * @param {Object} resolution - { choice: 'local' | 'remote' | 'both' | 'merged', choices?: { field: 'local' | 'remote' } }
+         * @returns {Promise<Object>} - The resolved conflict
+         */
+        async resolveConflict(id, { choice, choices = {} } = {}) {
+            const conflict = this.conflicts.find(c => c.id === id && c.status === 'open');
+            if (!conflict) {
+                throw new Error('Conflict not found or already resolved');
+            }
+
+            let outcome;
+            let record = null;
+            switch (choice) {
+                case 'local':
+                    outcome = conflict.action === 'delete' ? 'delete' : 'push';
+                    record = conflict.local;
+                    break;
+                case 'remote':
+                    outcome = 'accept_remote';
+                    break;
+                case 'both':
+                    outcome = 'keep_both';
+                    break;
+                case 'merged':
+                    if (!conflict.remote || conflict.action === 'delete') {
+                        throw new Error('Only two edited versions can be merged');
+                    }
+                    outcome = 'push';
+                    record = syncMerge().buildMerged(conflict, choices);
+                    break;
+                default:
+                    throw new Error(`Unknown conflict resolution: ${choice}`);
+            }
+
+            // The conflict leaves the inbox first, so the resolution is queued rather than folded back in
+            const queued = await this.applyResolution({ ...conflict, status: 'resolving' }, outcome, record);
+            this.markResolved(conflict, outcome, 'manual', conflict.strategy);
+
+            if (queued) this.scheduleFlush();
+            return conflict;
+        }
+
+        findOpenConflict(entityType, uuid) {
+            return this.conflicts.find(c => c.status === 'open' && c.entity_type === entityType && c.uuid === uuid) || null;
+        }
+
+        // Newest first; pass { status: 'open' } or { status: 'resolved' } to filter
+        getConflicts({ status = null } = {}) {
+            return this.conflicts
+                .filter(c => !status || c.status === status)
+                .sort((a, b) => (b.resolved_at || b.detected_at).localeCompare(a.resolved_at || a.detected_at));
+        }
+
+        addConflict(conflict) {
+            this.conflicts = this.conflicts.filter(c => !(c.status === 'open' && c.entity_type === conflict.entity_type && c.uuid === conflict.uuid));
+            this.conflicts.push(conflict);
+            this.saveConflicts();
+            this.emit('conflict_added', conflict);
+        }
+
+        // Resolved conflicts are kept as a short log without their record copies
+        markResolved(conflict, outcome, by, strategy) {
+            const resolved = {
+                id: conflict.id,
+                entity_type: conflict.entity_type,
+                uuid: conflict.uuid,
+                title: conflict.title,
+                action: conflict.action,
+                detected_at: conflict.detected_at,
+                status: 'resolved',
+                resolution: outcome,
+                resolved_by: by,
+                strategy: strategy || null,
+                resolved_at: new Date().toISOString()
+            };
+            const others = this.conflicts.filter(c => c.id !== conflict.id);
+            const log = [resolved, ...others.filter(c => c.status === 'resolved')].slice(0, MAX_RESOLVED_CONFLICTS);
+            this.conflicts = [...others.filter(c => c.status === 'open'), ...log];
+            Object.keys(conflict).forEach(k => { if (!(k in resolved)) delete conflict[k]; });
+            Object.assign(conflict, resolved);
+            this.saveConflicts();
+            this.emit('conflict_resolved', resolved);
+        }
+
+        saveConflicts() {
+            writeLocal(CONFLICTS_KEY, this.conflicts);
+            this.emit('conflicts_changed', this.getConflicts());
+            if (this.channel) {
+                try {
+                    this.channel.postMessage({ kind: 'conflicts' });
+                } catch (e) {}
+            }
+        }
+
+        // ========================================================
+        // MERGE STRATEGIES
+        // ========================================================
+
+        getMergeStrategy(entityType) {
+            return this.mergeStrategies[entityType] || syncMerge().DEFAULT_STRATEGIES[entityType] || 'field_merge';
+        }
+
+        setMergeStrategy(entityType, strategy) {
+            if (!syncMerge().STRATEGIES[strategy]) {
+                throw new Error(`Unknown merge strategy: ${strategy}`);
+            }
+            this.mergeStrategies[entityType] = strategy;
+            writeLocal(STRATEGIES_KEY, this.mergeStrategies);
+            this.emit('merge_strategy_changed', { entityType, strategy });
+        }
+
+        // ========================================================
+        // OLDER LOCAL DATA
+        // ========================================================
+
+        /**
+         * Bring in what the storage layers before this one kept on the device,
+         * once: SyncEngine's and UnifiedStorage's IndexedDB databases and the
+         * queues of unsent changes. Those databases are left in place.
+         */
+        async importLegacy() {
+            if (await this.store.getMeta('legacy_imported')) return;
+            const envelopes = new Map();
+            const pending = new Map();
+
+            const take = (type, row, { account = null, queued = false } = {}) => {
+                const schema = schemaFor(type);
+                const id = identityOf(schema, row);
+                if (!id) return;
+                const key = recordKey(type, id);
+                if (this.records.has(key)) return;
+                const seen = envelopes.get(key);
+                if (seen && String(seen.data.updated_at || '') >= String(row.updated_at || '')) return;
+                const data = clone(row);
+                data.id = data.id ?? id;
+                data.uuid = data.uuid ?? id;
+                envelopes.set(key, { key, type, id, account: account || data.user_email || null, data });
+                if (queued && schema.remote) pending.set(key, { entity_type: type, id, action: data.deleted_at ? 'delete' : 'upsert', version: data.sync_version ?? null, base_fields: {} });
+            };
+
+            if (typeof indexedDB !== 'undefined') {
+                for (const name of ['CreativeAssetValidator', 'CAVUnifiedStorage']) {
+                    const db = await openExisting(name);
+                    if (!db) continue;
+                    for (const storeName of Array.from(db.objectStoreNames)) {
+                        if (storeName === 'pending_changes') continue;
+                        const rows = await readStore(db, storeName);
+                        rows.forEach(row => take(storeName, row, { queued: !!row.needs_sync }));
+                    }
+                    db.close();
+                }
+            }
+
+            // SyncEngine's queue knew the server version and base values of each edit
+            readLocal('cav_pending_changes', []).forEach(change => {
+                if (!change?.entity_type || !change.uuid) return;
+                if (change.data) take(change.entity_type, change.data);
+                pending.set(recordKey(change.entity_type, change.uuid), {
+                    entity_type: change.entity_type,
+                    id: change.uuid,
+                    action: change.action || 'upsert',
+                    version: change.version ?? null,
+                    base_fields: change.base_fields || {}
+                });
+            });
+            readLocal('cav_pending_sync', []).forEach(change => {
+                const data = change?.data;
+                if (!change?.tableName || !data) return;
+                take(change.tableName, data, { queued: true });
+            });
+
+            const ops = [];
+            pending.forEach((change, key) => {
+                if (envelopes.has(key) || this.records.has(key)) ops.push(this.queue(change));
+            });
+            envelopes.forEach((envelope, key) => this.records.set(key, envelope));
+            await this.store.write({ records: [...envelopes.values()], ops });
+            await this.store.setMeta('legacy_imported', new Date().toISOString());
+            try {
+                localStorage.removeItem('cav_pending_changes');
+                localStorage.removeItem('cav_pending_sync');
+            } catch (e) {}
+
+            if (envelopes.size > 0 || ops.length > 0) {
+                console.log(`[Repository] Imported ${envelopes.size} records and ${ops.length} unsent changes from older storage`);
+            }
+        }
+
+        // ========================================================
+        // UTILITIES
+        // ========================================================
+
+        getDeviceId() {
+            if (this.deviceId) return this.deviceId;
+            try {
+                this.deviceId = localStorage.getItem(DEVICE_KEY);
+                if (!this.deviceId) {
+                    this.deviceId = createId();
+                    localStorage.setItem(DEVICE_KEY, this.deviceId);
+                }
+            } catch (e) {
+                this.deviceId = this.deviceId || createId();
+            }
+            return this.deviceId;
+        }
+
+        getStatus() {
+            const adapter = this.activeAdapter();
+            return {
+                adapter: adapter?.name || null,
+                adapters: [...this.adapters.values()].map(a => ({ name: a.name, label: a.label, available: a.isAvailable() })),
+                online: isOnline(),
+                syncing: !!this.syncing,
+                live: !!this.live,
+                liveTypes: this.live?.types || [],
+                lastSync: this.status.lastSync,
+                error: this.status.error,
+                pendingCount: this.outbox.size,
+                openConflicts: this.conflicts.filter(c => c.status === 'open').length
+            };
+        }
+
+        // Counts per type, for diagnostics
+        async getStats() {
+            await this.ready;
+            const context = this.context();
+            const stats = {};
+            this.records.forEach(envelope => {
+                if (!this.visible(envelope, context)) return;
+                const entry = stats[envelope.type] || (stats[envelope.type] = { count: 0, deleted: 0, pending: 0 });
+                if (envelope.data.deleted_at) {
+                    entry.deleted++;
+                } else {
+                    entry.count++;
+                }
+                if (this.outbox.has(envelope.key)) entry.pending++;
+            });
+            return stats;
+        }
+    }
+
+    // ============================================
+    // EXPORT
+    // ============================================
+    const repository = new Repository();
+    repository.registerAdapter(new SupabaseAdapter());
+    repository.registerAdapter(new MockAdapter());
+
+    const CAVRepository = {
+        VERSION,
+        ENTITY_SCHEMAS,
+        schemaFor,
+        validate,
+        ValidationError,
+        toRow,
+        fromRow,
+        Repository,
+        MemoryRepositoryStore,
+        ApiAdapter,
+        SupabaseAdapter,
+        MockAdapter,
+        ready: repository.ready,
+        configure: (options) => repository.configure(options),
+        get: (type, id, options) => repository.get(type, id, options),
+        list: (type, options) => repository.list(type, options),
+        save: (type, data, options) => repository.save(type, data, options),
+        saveMany: (type, items, options) => repository.saveMany(type, items, options),
+        remove: (type, id, options) => repository.remove(type, id, options),
+        purge: (type, id) => repository.purge(type, id),
+        subscribe: (listener, options) => repository.subscribe(listener, options),
+        changesSince: (seq) => repository.changesSince(seq),
+        on: (event, callback) => repository.on(event, callback),
+        off: (event, callback) => repository.off(event, callback),
+        registerAdapter: (adapter) => repository.registerAdapter(adapter),
+        useAdapter: (name) => repository.useAdapter(name),
+        activeAdapter: () => repository.activeAdapter(),
+        sync: () => repository.sync(),
+        flush: () => repository.flush(),
+        pull: (types) => repository.pull(types),
+        start: (options) => repository.start(options),
+        getConflicts: (options) => repository.getConflicts(options),
+        resolveConflict: (id, resolution) => repository.resolveConflict(id, resolution),
+        getMergeStrategy: (type) => repository.getMergeStrategy(type),
+        setMergeStrategy: (type, strategy) => repository.setMergeStrategy(type, strategy),
+        getDeviceId: () => repository.getDeviceId(),
+        getStatus: () => repository.getStatus(),
+        getStats: () => repository.getStats(),
+        repository
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CAVRepository;
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CAVRepository = CAVRepository;
+        if (typeof document !== 'undefined') repository.start();
+    }
+})();
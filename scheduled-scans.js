@@ -0,0 +1,749 @@
+/**
+ * Creative Asset Validator - Scheduled Scans
+ * Version 1.1.0
+ *
+ * Storage and run logic for recurring integration scans, shared by the page
+ * (window.CAVScheduledScans) and the service worker (importScripts in sw.js,
+ * self.CAVScheduledScans). Everything lives in IndexedDB because the
+ * service worker cannot read localStorage.
+ *
+ * - schedules: what to scan and how often, plus a copy of the connection's
+ *   access token and folder so the service worker can scan on its own.
+ * - snapshots: the fingerprint of every asset seen by a schedule's last
+ *   successful run. Each run is diffed against it.
+ * - runs: history of new, changed and removed assets per run, and which of
+ *   them newly fail channel specs (the digest).
+ *
+ * Folder report schedules (REPORT_INTEGRATION) "scan" a library folder,
+ * usually a smart folder's saved query, instead of a cloud folder and attach
+ * a PDF/XLSX report to each run. They need the library and canvas, so
+ * only the page runs them.
+ *
+ * A schedule is claimed with a short lease before it runs, so the page and
+ * the service worker never scan the same schedule twice.
+ */
+
+(function(root) {
+    'use strict';
+
+    const VERSION = '1.1.0';
+    const DB_NAME = 'cav_scheduled_scans';
+    const DB_VERSION = 1;
+    const STORES = {
+        SCHEDULES: 'schedules',
+        SNAPSHOTS: 'snapshots',
+        RUNS: 'runs',
+    };
+
+    const SYNC_TAG = 'cav-scheduled-scans';
+    const RUN_LEASE_MS = 10 * 60 * 1000;
+    const RUNS_PER_SCHEDULE = 50;
+    const MAX_LISTED_PER_RUN = 100;
+    // Runs that keep their report file; older runs keep only its name
+    const REPORTS_KEPT = 5;
+
+    // Integrations whose listing is a plain bearer-token REST call, which
+    // the service worker can make without the page
+    const WORKER_SCANNABLE = ['google_drive', 'dropbox', 'onedrive'];
+
+    const REPORT_INTEGRATION = 'folder_report';
+
+    // Older schedules stored the integration with a dash
+    const LEGACY_INTEGRATION_IDS = {
+        'google-drive': 'google_drive',
+    };
+
+    const INTEGRATION_NAMES = {
+        google_drive: 'Google Drive',
+        dropbox: 'Dropbox',
+        onedrive: 'OneDrive',
+        [REPORT_INTEGRATION]: 'Folder report',
+    };
+
+    // ============================================
+    // STORAGE
+    // ============================================
+
+    class IdbScanStore {
+        constructor() {
+            this.dbReady = this.open();
+        }
+
+        open() {
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = event.target.result;
+                    if (!db.objectStoreNames.contains(STORES.SCHEDULES)) {
+                        db.createObjectStore(STORES.SCHEDULES, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(STORES.SNAPSHOTS)) {
+                        db.createObjectStore(STORES.SNAPSHOTS, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(STORES.RUNS)) {
+                        db.createObjectStore(STORES.RUNS, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        async all(storeName) {
+            const db = await this.dbReady;
+            return new Promise((resolve, reject) => {
+                const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        // fn(records) returns { put, remove, result }, applied in the same
+        // readwrite transaction so claims are atomic across contexts
+        async mutate(storeName, fn) {
+            const db = await this.dbReady;
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(storeName, 'readwrite');
+                const store = tx.objectStore(storeName);
+                let outcome;
+                const request = store.getAll();
+                request.onsuccess = () => {
+                    const { put = [], remove = [], result } = fn(request.result) || {};
+                    put.forEach(record => store.put(record));
+                    remove.forEach(id => store.delete(id));
+                    outcome = result;
+                };
+                tx.oncomplete = () => resolve(outcome);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+    }
+
+    // Same interface without IndexedDB (private modes, Node); data then only
+    // lasts for the context's lifetime
+    class MemoryScanStore {
+        constructor() {
+            this.stores = new Map(Object.values(STORES).map(name => [name, new Map()]));
+        }
+
+        async all(storeName) {
+            return [...this.stores.get(storeName).values()].map(record => structuredClone(record));
+        }
+
+        async mutate(storeName, fn) {
+            const records = this.stores.get(storeName);
+            const { put = [], remove = [], result } = fn(await this.all(storeName)) || {};
+            put.forEach(record => records.set(record.id, structuredClone(record)));
+            remove.forEach(id => records.delete(id));
+            return result;
+        }
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    function createId(prefix) {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    function normalizeIntegration(integrationId) {
+        return LEGACY_INTEGRATION_IDS[integrationId] || integrationId;
+    }
+
+    function integrationName(integrationId) {
+        return INTEGRATION_NAMES[integrationId] || integrationId;
+    }
+
+    // What counts as "the file changed": any of these differs between runs
+    function fingerprint(asset) {
+        return JSON.stringify([
+            asset.name || '',
+            Number(asset.size) || 0,
+            asset.width || 0,
+            asset.height || 0,
+            asset.duration || null,
+            asset.modifiedAt || asset.createdAt || null,
+        ]);
+    }
+
+    function issueKeys(asset) {
+        return (asset.validationIssues || [])
+            .map(issue => `${issue.channel || ''}:${issue.issue || issue.message}`)
+            .sort();
+    }
+
+    function summarizeAsset(asset) {
+        return {
+            id: asset.id,
+            name: asset.name,
+            type: asset.type,
+            issues: (asset.validationIssues || []).map(issue => issue.message),
+        };
+    }
+
+    /**
+     * Compare a scan with the previous snapshot.
+     * previous is { [assetId]: { name, fingerprint, issues } } or null for
+     * the first run, which only records a baseline.
+     */
+    function diffScan(previous, assets) {
+        const entries = {};
+        const added = [];
+        const changed = [];
+        const newOffSpec = [];
+
+        assets.forEach(asset => {
+            const entry = { name: asset.name, fingerprint: fingerprint(asset), issues: issueKeys(asset) };
+            entries[asset.id] = entry;
+            if (!previous) return;
+
+            const before = previous[asset.id];
+            if (!before) {
+                added.push(summarizeAsset(asset));
+                if (entry.issues.length > 0) newOffSpec.push(summarizeAsset(asset));
+                return;
+            }
+
+            const fields = [];
+            if (before.fingerprint !== entry.fingerprint) fields.push('file');
+            if (before.issues.join('|') !== entry.issues.join('|')) fields.push('validation');
+            if (fields.length === 0) return;
+
+            changed.push({ ...summarizeAsset(asset), fields, issuesBefore: before.issues.length });
+            // Off-spec now but compliant on the last run
+            if (entry.issues.length > 0 && before.issues.length === 0) {
+                newOffSpec.push(summarizeAsset(asset));
+            }
+        });
+
+        const removed = previous
+            ? Object.keys(previous)
+                .filter(id => !entries[id])
+                .map(id => ({ id, name: previous[id].name }))
+            : [];
+
+        return {
+            baseline: !previous,
+            entries,
+            added,
+            changed,
+            removed,
+            newOffSpec,
+            unchanged: previous ? assets.length - added.length - changed.length : 0,
+        };
+    }
+
+    // Same shape as IntegrationHub.validateAsset, for scans made without it
+    function validateAsset(asset) {
+        const specs = root.CAVChannelSpecs;
+        if (!specs) return { ...asset, validationIssues: [] };
+
+        const results = specs.validateAsset(asset, { type: asset.type });
+        const issues = [];
+        results.offSize.forEach(r => {
+            r.issues.forEach(issue => {
+                issues.push({
+                    channel: r.channel,
+                    issue: issue.type,
+                    message: `${issue.message} (${r.channel})`,
+                });
+            });
+        });
+
+        return {
+            ...asset,
+            validationIssues: issues,
+            compatibleChannels: results.compatible.map(r => r.channel),
+            offSizeChannels: results.offSize.map(r => r.channel),
+            validatedAt: new Date().toISOString(),
+        };
+    }
+
+    function scanError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // ============================================
+    // WORKER-SIDE LISTING
+    // ============================================
+    // Mirrors the listing calls in integrations.js closely enough that asset
+    // ids and fingerprint fields match, so page and worker runs diff cleanly.
+
+    async function fetchJson(url, init, service) {
+        const response = await fetch(url, init);
+        if (response.status === 401) {
+            throw scanError(`${service} access token expired`, 'auth');
+        }
+        if (!response.ok) {
+            throw scanError(`${service} API error: ${response.status}`, 'http');
+        }
+        return response.json();
+    }
+
+    const listers = {
+        async google_drive(access) {
+            const folderId = access.folder?.id || 'root';
+            const query = folderId === 'root'
+                ? `trashed=false and mimeType != 'application/vnd.google-apps.folder'`
+                : `'${folderId}' in parents and trashed=false and mimeType != 'application/vnd.google-apps.folder'`;
+            let files = [];
+            let pageToken = null;
+            let pages = 0;
+
+            do {
+                const url = new URL('https://www.googleapis.com/drive/v3/files');
+                url.searchParams.set('q', query);
+                url.searchParams.set('fields', 'nextPageToken,files(id,name,mimeType,size,imageMediaMetadata,videoMediaMetadata,createdTime,modifiedTime)');
+                url.searchParams.set('pageSize', '100');
+                url.searchParams.set('orderBy', 'modifiedTime desc');
+                if (pageToken) url.searchParams.set('pageToken', pageToken);
+
+                const data = await fetchJson(url.toString(), {
+                    headers: { Authorization: `Bearer ${access.accessToken}`, Accept: 'application/json' },
+                }, 'Google Drive');
+                files = files.concat(data.files || []);
+                pageToken = data.nextPageToken;
+                pages++;
+            } while (pageToken && pages < 10);
+
+            return files.map(f => {
+                const mime = f.mimeType || '';
+                return {
+                    id: `gdrive_${f.id}`,
+                    externalId: f.id,
+                    name: f.name,
+                    type: mime.startsWith('image/') ? 'image' : mime.startsWith('video/') ? 'video' : mime.includes('pdf') ? 'pdf' : 'file',
+                    mimeType: f.mimeType,
+                    width: f.imageMediaMetadata?.width || f.videoMediaMetadata?.width || 0,
+                    height: f.imageMediaMetadata?.height || f.videoMediaMetadata?.height || 0,
+                    duration: f.videoMediaMetadata?.durationMillis ? f.videoMediaMetadata.durationMillis / 1000 : null,
+                    size: parseInt(f.size) || 0,
+                    source: 'Google Drive',
+                    integrationId: 'google_drive',
+                    createdAt: f.createdTime,
+                    modifiedAt: f.modifiedTime,
+                };
+            });
+        },
+
+        async dropbox(access) {
+            const data = await fetchJson('https://api.dropboxapi.com/2/files/list_folder', {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${access.accessToken}`, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ path: access.folder?.path || '', recursive: false, include_media_info: true }),
+            }, 'Dropbox');
+            const imageExts = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp'];
+            const videoExts = ['mp4', 'mov', 'avi', 'webm', 'mkv'];
+
+            return (data.entries || [])
+                .filter(f => {
+                    if (f['.tag'] !== 'file') return false;
+                    const ext = f.name.split('.').pop()?.toLowerCase();
+                    return imageExts.includes(ext) || videoExts.includes(ext);
+                })
+                .map(f => {
+                    const isVideo = videoExts.includes(f.name.split('.').pop()?.toLowerCase());
+                    const mediaInfo = f.media_info?.metadata;
+                    return {
+                        id: `dropbox_${f.id}`,
+                        externalId: f.id,
+                        name: f.name,
+                        type: isVideo ? 'video' : 'image',
+                        width: mediaInfo?.dimensions?.width || 0,
+                        height: mediaInfo?.dimensions?.height || 0,
+                        duration: mediaInfo?.duration ? mediaInfo.duration / 1000 : null,
+                        size: f.size || 0,
+                        source: 'Dropbox',
+                        path: f.path_lower,
+                        integrationId: 'dropbox',
+                        createdAt: f.client_modified,
+                    };
+                });
+        },
+
+        async onedrive(access) {
+            const url = access.folder?.id
+                ? `https://graph.microsoft.com/v1.0/me/drive/items/${access.folder.id}/children?$filter=file ne null`
+                : 'https://graph.microsoft.com/v1.0/me/drive/root/children?$filter=file ne null';
+            const data = await fetchJson(url, {
+                headers: { Authorization: `Bearer ${access.accessToken}` },
+            }, 'OneDrive');
+
+            return (data.value || [])
+                .filter(f => {
+                    const mime = f.file?.mimeType || '';
+                    return mime.startsWith('image/') || mime.startsWith('video/');
+                })
+                .map(f => ({
+                    id: `onedrive_${f.id}`,
+                    externalId: f.id,
+                    name: f.name,
+                    type: f.file.mimeType.startsWith('video/') ? 'video' : 'image',
+                    mimeType: f.file.mimeType,
+                    width: f.image?.width || f.video?.width || 0,
+                    height: f.image?.height || f.video?.height || 0,
+                    duration: f.video?.duration ? f.video.duration / 1000 : null,
+                    size: f.size || 0,
+                    source: 'OneDrive',
+                    integrationId: 'onedrive',
+                    createdAt: f.createdDateTime,
+                }));
+        },
+    };
+
+    // ============================================
+    // SCHEDULED SCAN STORE
+    // ============================================
+
+    class ScheduledScanStore {
+        constructor() {
+            this.store = typeof indexedDB !== 'undefined' ? new IdbScanStore() : new MemoryScanStore();
+            this.VERSION = VERSION;
+            this.SYNC_TAG = SYNC_TAG;
+            this.WORKER_SCANNABLE = WORKER_SCANNABLE;
+            this.REPORT_INTEGRATION = REPORT_INTEGRATION;
+        }
+
+        // ----------------------------------------
+        // SCHEDULES
+        // ----------------------------------------
+
+        async getSchedules() {
+            const schedules = await this.store.all(STORES.SCHEDULES);
+            return schedules.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+        }
+
+        async getSchedule(id) {
+            return (await this.getSchedules()).find(s => s.id === id) || null;
+        }
+
+        /**
+         * @param {Object} options - { name, integration, interval (minutes), access,
+         *   report: { folderId, format } for REPORT_INTEGRATION schedules }
+         */
+        async createSchedule({ name, integration, interval, access = null, report = null }) {
+            const now = Date.now();
+            const schedule = {
+                id: createId('sched'),
+                name,
+                integration: normalizeIntegration(integration),
+                interval: Number(interval), // minutes
+                enabled: true,
+                access,
+                report,
+                lastRun: null,
+                lastStatus: null,
+                nextRun: new Date(now + Number(interval) * 60000).toISOString(),
+                runningBy: null,
+                leaseUntil: 0,
+                createdAt: new Date(now).toISOString(),
+            };
+            await this.store.mutate(STORES.SCHEDULES, () => ({ put: [schedule] }));
+            return schedule;
+        }
+
+        // Shallow-merge updates into a schedule; returns the updated record
+        updateSchedule(id, updates) {
+            return this.store.mutate(STORES.SCHEDULES, (schedules) => {
+                const schedule = schedules.find(s => s.id === id);
+                if (!schedule) return { result: null };
+                const next = { ...schedule, ...(typeof updates === 'function' ? updates(schedule) : updates) };
+                return { put: [next], result: next };
+            });
+        }
+
+        async deleteSchedule(id) {
+            await this.store.mutate(STORES.SCHEDULES, () => ({ remove: [id] }));
+            await this.store.mutate(STORES.SNAPSHOTS, () => ({ remove: [id] }));
+            await this.store.mutate(STORES.RUNS, (runs) => ({
+                remove: runs.filter(r => r.scheduleId === id).map(r => r.id),
+            }));
+        }
+
+        // Move schedules kept in localStorage by earlier versions
+        async importLegacy(schedules) {
+            if (!Array.isArray(schedules) || schedules.length === 0) return 0;
+            return this.store.mutate(STORES.SCHEDULES, (existing) => {
+                const known = new Set(existing.map(s => s.id));
+                const put = schedules
+                    .filter(s => s && s.id && !known.has(s.id))
+                    .map(s => ({
+                        access: null,
+                        lastStatus: null,
+                        runningBy: null,
+                        leaseUntil: 0,
+                        ...s,
+                        integration: normalizeIntegration(s.integration),
+                    }));
+                return { put, result: put.length };
+            });
+        }
+
+        isDue(schedule, now = Date.now()) {
+            return schedule.enabled !== false
+                && new Date(schedule.nextRun).getTime() <= now
+                && !(schedule.leaseUntil > now);
+        }
+
+        async getDueSchedules(now = Date.now()) {
+            return (await this.getSchedules()).filter(s => this.isDue(s, now));
+        }
+
+        // Smallest interval among enabled schedules, for periodic sync
+        async getMinInterval() {
+            const intervals = (await this.getSchedules())
+                .filter(s => s.enabled !== false)
+                .map(s => s.interval);
+            return intervals.length ? Math.min(...intervals) : null;
+        }
+
+        /**
+         * Take a schedule for one run. Returns the schedule, or null when it
+         * is not due or another context holds its lease.
+         */
+        claim(id, owner, { force = false } = {}) {
+            const now = Date.now();
+            return this.store.mutate(STORES.SCHEDULES, (schedules) => {
+                const schedule = schedules.find(s => s.id === id);
+                if (!schedule) return { result: null };
+                if (schedule.leaseUntil > now && schedule.runningBy !== owner) return { result: null };
+                if (!force && !this.isDue(schedule, now)) return { result: null };
+                const claimed = { ...schedule, runningBy: owner, leaseUntil: now + RUN_LEASE_MS };
+                return { put: [claimed], result: claimed };
+            });
+        }
+
+        /**
+         * Release a claimed schedule after a run. Deferred runs (the worker
+         * could not scan) stay due so the page picks them up when opened.
+         */
+        release(id, run) {
+            return this.updateSchedule(id, (schedule) => ({
+                runningBy: null,
+                leaseUntil: 0,
+                lastRun: run.finishedAt,
+                lastStatus: run.status,
+                nextRun: run.status === 'deferred'
+                    ? schedule.nextRun
+                    : new Date(Date.now() + schedule.interval * 60000).toISOString(),
+            }));
+        }
+
+        // ----------------------------------------
+        // RUNS
+        // ----------------------------------------
+
+        async getSnapshot(scheduleId) {
+            return (await this.store.all(STORES.SNAPSHOTS)).find(s => s.id === scheduleId) || null;
+        }
+
+        /**
+         * Record the result of a scan (scanService's result shape) as a run.
+         * Failed scans are recorded without touching the snapshot, so one
+         * outage does not report every asset as removed and then new again.
+         */
+        async recordRun(schedule, results, { runner = 'page', startedAt = null } = {}) {
+            const run = {
+                id: createId('run'),
+                scheduleId: schedule.id,
+                scheduleName: schedule.name,
+                integrationId: schedule.integration,
+                integrationName: results.integrationName || integrationName(schedule.integration),
+                runner,
+                startedAt: startedAt || results.scannedAt || new Date().toISOString(),
+                finishedAt: new Date().toISOString(),
+                status: 'completed',
+                error: null,
+                totalFiles: results.totalFiles || 0,
+                imagesFound: results.imagesFound || 0,
+                videosFound: results.videosFound || 0,
+                issueCount: (results.issues || []).length,
+                baseline: false,
+                counts: { added: 0, changed: 0, removed: 0, unchanged: 0, newOffSpec: 0 },
+                added: [],
+                changed: [],
+                removed: [],
+                newOffSpec: [],
+                digestPending: false,
+                digestSentAt: null,
+                report: null,
+            };
+
+            if (results.error) {
+                run.status = results.errorCode === 'auth' || results.deferred ? 'deferred' : 'failed';
+                run.error = results.error;
+            } else {
+                const snapshot = await this.getSnapshot(schedule.id);
+                const diff = diffScan(snapshot ? snapshot.assets : null, results.assets || []);
+
+                run.baseline = diff.baseline;
+                run.counts = {
+                    added: diff.added.length,
+                    changed: diff.changed.length,
+                    removed: diff.removed.length,
+                    unchanged: diff.unchanged,
+                    newOffSpec: diff.newOffSpec.length,
+                };
+                run.added = diff.added.slice(0, MAX_LISTED_PER_RUN);
+                run.changed = diff.changed.slice(0, MAX_LISTED_PER_RUN);
+                run.removed = diff.removed.slice(0, MAX_LISTED_PER_RUN);
+                run.newOffSpec = diff.newOffSpec.slice(0, MAX_LISTED_PER_RUN);
+                run.digestPending = diff.newOffSpec.length > 0;
+                // { filename, format, size, blob }
+                run.report = results.report || null;
+
+                await this.store.mutate(STORES.SNAPSHOTS, () => ({
+                    put: [{ id: schedule.id, takenAt: run.finishedAt, assets: diff.entries }],
+                }));
+            }
+
+            await this.store.mutate(STORES.RUNS, (runs) => {
+                const previous = runs
+                    .filter(r => r.scheduleId === schedule.id)
+                    .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+                const older = previous.slice(RUNS_PER_SCHEDULE - 1);
+                const trimmed = previous
+                    .slice(REPORTS_KEPT - 1, RUNS_PER_SCHEDULE - 1)
+                    .filter(r => r.report?.blob)
+                    .map(r => ({ ...r, report: { ...r.report, blob: null } }));
+                return { put: [run, ...trimmed], remove: older.map(r => r.id) };
+            });
+
+            return run;
+        }
+
+        async getRuns({ scheduleId = null, limit = 0 } = {}) {
+            let runs = (await this.store.all(STORES.RUNS))
+                .filter(r => !scheduleId || r.scheduleId === scheduleId)
+                .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+            if (limit > 0) runs = runs.slice(0, limit);
+            return runs;
+        }
+
+        async getPendingDigests() {
+            return (await this.getRuns()).filter(r => r.digestPending && !r.digestSentAt);
+        }
+
+        markDigestSent(runId) {
+            return this.store.mutate(STORES.RUNS, (runs) => {
+                const run = runs.find(r => r.id === runId);
+                if (!run) return {};
+                return { put: [{ ...run, digestPending: false, digestSentAt: new Date().toISOString() }] };
+            });
+        }
+
+        /**
+         * The run's new off-spec assets in the scan result shape that
+         * IntegrationHub.sendNotifications and its formatters read.
+         */
+        buildDigest(run) {
+            return {
+                integrationId: run.integrationId,
+                integrationName: `${run.integrationName} (${run.scheduleName})`,
+                scannedAt: run.finishedAt,
+                totalFiles: run.totalFiles,
+                imagesFound: run.imagesFound,
+                videosFound: run.videosFound,
+                issues: run.newOffSpec.map(asset => ({
+                    id: asset.id,
+                    name: asset.name,
+                    type: asset.type,
+                    validationIssues: asset.issues.map(message => ({ message })),
+                })),
+                assets: [],
+                changes: { ...run.counts },
+            };
+        }
+
+        // ----------------------------------------
+        // WORKER-SIDE SCANNING
+        // ----------------------------------------
+
+        isReportSchedule(schedule) {
+            return schedule.integration === REPORT_INTEGRATION;
+        }
+
+        canScanInWorker(schedule) {
+            return WORKER_SCANNABLE.includes(schedule.integration) && !!schedule.access?.accessToken;
+        }
+
+        /**
+         * Scan without the page. Returns the scanService result shape; an
+         * expired or missing token comes back as a deferred error for the
+         * page to retry with fresh credentials.
+         */
+        async scanInWorker(schedule) {
+            const results = {
+                integrationId: schedule.integration,
+                integrationName: integrationName(schedule.integration),
+                scannedAt: new Date().toISOString(),
+                totalFiles: 0,
+                imagesFound: 0,
+                videosFound: 0,
+                issues: [],
+                assets: [],
+            };
+
+            if (!this.canScanInWorker(schedule)) {
+                results.error = 'Needs the app open to scan this integration';
+                results.deferred = true;
+                return results;
+            }
+
+            try {
+                const assets = await listers[schedule.integration](schedule.access);
+                results.assets = assets.map(asset => validateAsset(asset));
+                results.totalFiles = results.assets.length;
+                results.imagesFound = results.assets.filter(a => a.type === 'image').length;
+                results.videosFound = results.assets.filter(a => a.type === 'video').length;
+                results.issues = results.assets.filter(a => a.validationIssues.length > 0);
+            } catch (error) {
+                results.error = error.message;
+                results.errorCode = error.code || null;
+            }
+            return results;
+        }
+
+        /**
+         * Run every due schedule in this context (the service worker when no
+         * window is open). Returns the recorded runs.
+         */
+        async runDueInWorker(owner = 'service-worker') {
+            const runs = [];
+            // Reports wait for the page without a deferred run per wake-up
+            for (const due of (await this.getDueSchedules()).filter(s => !this.isReportSchedule(s))) {
+                const schedule = await this.claim(due.id, owner);
+                if (!schedule) continue;
+
+                const startedAt = new Date().toISOString();
+                let run;
+                try {
+                    const results = await this.scanInWorker(schedule);
+                    run = await this.recordRun(schedule, results, { runner: owner, startedAt });
+                    runs.push(run);
+                } catch (error) {
+                    console.error('[ScheduledScans] Run failed:', schedule.name, error);
+                } finally {
+                    await this.release(schedule.id, run || { status: 'failed', finishedAt: new Date().toISOString() });
+                }
+            }
+            return runs;
+        }
+    }
+
+    const scheduledScans = new ScheduledScanStore();
+    scheduledScans.diffScan = diffScan;
+    scheduledScans.normalizeIntegration = normalizeIntegration;
+    scheduledScans.integrationName = integrationName;
+    scheduledScans.validateAsset = validateAsset;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = scheduledScans;
+    }
+
+    root.CAVScheduledScans = scheduledScans;
+})(typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : globalThis);
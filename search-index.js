@@ -0,0 +1,1061 @@
+/**
+ * Creative Asset Validator - Search
+ * Version 1.0.0
+ *
+ * Full-text and faceted search over library assets, creative/video/URL
+ * analyses, swipe-file entries and CRM companies, contacts and projects.
+ *
+ * Every searchable record becomes a search document: a title, a body (all
+ * text in the record, so analysis findings, transcripts, OCR text, notes
+ * and tags are searchable) and facets (kind, brand, ratio, status, type,
+ * tag, channel). Supabase keeps the same documents in search_documents,
+ * maintained by triggers and queried with Postgres full-text search
+ * (migration 030). Locally they live in an IndexedDB index that mirrors
+ * the server rows plus anything built from this browser's own data, so
+ * search keeps working offline.
+ *
+ * Query syntax: free words, "quoted phrases", key:value filters and a
+ * leading - to exclude either, e.g.
+ *
+ *   brand:acme ratio:9:16 status:offsize summer -draft
+ *   in:crm "spring launch"
+ *
+ * Filter values match the start of a facet value, ignoring case and
+ * punctuation (brand:acme matches "Acme Corp"); commas give alternatives
+ * (type:image,video). Words tolerate typos: one edit from 4 letters, two
+ * from 8, and the last word also matches as a prefix.
+ */
+
+(function() {
+    'use strict';
+
+    const VERSION = '1.0.0';
+    const DB_NAME = 'cav_search_index';
+    const DB_VERSION = 1;
+    const DOCS_STORE = 'documents';
+    const META_STORE = 'meta';
+
+    const KINDS = {
+        asset: 'Assets',
+        analysis: 'Analyses',
+        swipe: 'Swipe file',
+        company: 'Companies',
+        contact: 'Contacts',
+        project: 'Projects',
+    };
+
+    const FACETS = {
+        kind: 'Kind',
+        brand: 'Brand',
+        ratio: 'Ratio',
+        status: 'Status',
+        type: 'Type',
+        tag: 'Tag',
+        channel: 'Channel',
+    };
+
+    // Other names accepted before the colon
+    const KEY_ALIASES = {
+        in: 'kind',
+        is: 'kind',
+        client: 'brand',
+        company: 'brand',
+        aspect: 'ratio',
+        tags: 'tag',
+        platform: 'channel',
+    };
+
+    // kind: values that stand for several kinds
+    const KIND_GROUPS = {
+        crm: ['company', 'contact', 'project'],
+        assets: ['asset'],
+        analyses: ['analysis'],
+        swipes: ['swipe'],
+        companies: ['company'],
+        contacts: ['contact'],
+        projects: ['project'],
+    };
+
+    // Same snapping as validator-app calculateAspectRatio
+    const COMMON_RATIOS = {
+        '16:9': 16 / 9,
+        '9:16': 9 / 16,
+        '1:1': 1,
+        '4:5': 4 / 5,
+        '1.91:1': 1.91,
+        '2:3': 2 / 3,
+        '3:4': 3 / 4,
+    };
+    const RATIO_TOLERANCE = 0.05;
+
+    // Field weights for ranking
+    const WEIGHTS = { title: 3, keywords: 2, body: 1 };
+    const MAX_TERM_FREQUENCY = 3;
+    const MAX_BODY_LENGTH = 20000;
+
+    const DEFAULT_LIMIT = 50;
+    const FACET_VALUES_SHOWN = 12;
+    const SERVER_PAGE_SIZE = 500;
+    // Rebuilding from local data is cheap; do it at most this often
+    const LOCAL_REFRESH_MS = 60 * 1000;
+
+    // Snippet highlight markers (also used by the server's ts_headline)
+    const MARK_START = '«';
+    const MARK_END = '»';
+
+    // ============================================
+    // TEXT
+    // ============================================
+
+    function fold(text) {
+        return String(text ?? '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    function tokenize(text) {
+        return fold(text).split(/[^a-z0-9]+/).filter(t => t.length > 1 || /\d/.test(t));
+    }
+
+    // Facet values compare without case, spaces or punctuation
+    function facetKey(value) {
+        return fold(value).replace(/[^a-z0-9:.]+/g, '');
+    }
+
+    // Levenshtein distance, or max + 1 once it is certain to exceed max
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    function allowedEdits(term) {
+        if (/\d/.test(term)) return 0;
+        if (term.length >= 8) return 2;
+        if (term.length >= 4) return 1;
+        return 0;
+    }
+
+    // Ids, owners, timestamps and links are not search text
+    const SKIPPED_KEYS = /^(id|uuid)$|Id$|_id$|At$|_at$|^(createdBy|savedBy|user_email|owner_email|thumbnail_url|thumbnailData|url|originalUrl)$/;
+
+    /**
+     * All string values in a record, skipping data URLs and other blobs, so
+     * nested analysis results (transcripts, OCR text, findings) are
+     * searchable without knowing their shape.
+     */
+    function collectText(value, out = [], depth = 0) {
+        if (value == null || depth > 8) return out;
+        if (typeof value === 'string') {
+            const text = value.trim();
+            if (text && !text.startsWith('data:') && !(text.length > 500 && !/\s/.test(text))) out.push(text);
+        } else if (typeof value === 'number' || typeof value === 'boolean') {
+            // Scores and flags make poor search text
+        } else if (Array.isArray(value)) {
+            value.forEach(v => collectText(v, out, depth + 1));
+        } else if (typeof value === 'object') {
+            Object.entries(value).forEach(([key, v]) => {
+                if (!SKIPPED_KEYS.test(key)) collectText(v, out, depth + 1);
+            });
+        }
+        return out;
+    }
+
+    function bodyText(...values) {
+        const text = collectText(values).join(' \n');
+        return text.length > MAX_BODY_LENGTH ? text.slice(0, MAX_BODY_LENGTH) : text;
+    }
+
+    function list(...values) {
+        const seen = new Set();
+        return values.flat(2)
+            .filter(v => typeof v === 'string' && v.trim())
+            .map(v => v.trim())
+            .filter(v => {
+                const key = facetKey(v);
+                if (!key || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    function ratioLabel(width, height) {
+        if (!width || !height) return null;
+        const actual = width / height;
+        for (const [label, ratio] of Object.entries(COMMON_RATIOS)) {
+            if (Math.abs(ratio - actual) < RATIO_TOLERANCE) return label;
+        }
+        const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+        const divisor = gcd(Math.round(width), Math.round(height)) || 1;
+        return `${Math.round(width) / divisor}:${Math.round(height) / divisor}`;
+    }
+
+    // ============================================
+    // QUERY SYNTAX
+    // ============================================
+
+    // A value: quoted or bare items separated by commas
+    const VALUE = '(?:"[^"]*"?|[^\\s",]+)(?:,(?:"[^"]*"?|[^\\s",]+))*';
+
+    function splitValues(value) {
+        return [...value.matchAll(/"([^"]*)"?|([^,]+)/g)]
+            .map(m => (m[1] ?? m[2]).trim())
+            .filter(Boolean);
+    }
+
+    function quoteValue(value) {
+        return /[\s",]/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+    }
+
+    /**
+     * @param {string} input
+     * @returns {Object} - { terms, phrases, excludeTerms, filters: { key: [values] }, exclude: { key: [values] } }
+     */
+    function parseQuery(input) {
+        const query = { terms: [], phrases: [], excludeTerms: [], filters: {}, exclude: {} };
+        const pattern = new RegExp(`(-?)(?:([a-zA-Z]+):)?(${VALUE}|\\S+)`, 'g');
+        let match;
+        while ((match = pattern.exec(String(input || '')))) {
+            const [raw, minus, rawKey, value] = match;
+            const negated = minus === '-';
+            const key = rawKey ? (KEY_ALIASES[rawKey.toLowerCase()] || rawKey.toLowerCase()) : null;
+
+            if (key && FACETS[key]) {
+                const values = splitValues(value);
+                if (values.length === 0) continue;
+                const target = negated ? query.exclude : query.filters;
+                target[key] = [...(target[key] || []), ...values];
+                continue;
+            }
+
+            // Unknown keys (and URLs) are plain text
+            const text = rawKey ? raw.slice(minus.length) : value.replace(/"/g, ' ');
+            const words = tokenize(text);
+            if (negated) {
+                query.excludeTerms.push(...words);
+            } else if (!rawKey && value.startsWith('"') && words.length > 1) {
+                query.phrases.push(words.join(' '));
+            } else {
+                query.terms.push(...words);
+            }
+        }
+        // A phrase's words must appear too; that also ranks it
+        query.phrases.forEach(p => query.terms.push(...tokenize(p)));
+        return query;
+    }
+
+    /**
+     * Add or remove one key:value filter in a query string, keeping the rest
+     * as typed. Used by the facet list.
+     */
+    function toggleFilter(input, key, value) {
+        const wanted = facetKey(value);
+        const text = String(input || '');
+        const pattern = new RegExp(`(^|\\s)(-?)([a-zA-Z]+):(${VALUE})`, 'g');
+        let removed = false;
+        const rest = text.replace(pattern, (raw, space, minus, rawKey, rawValue) => {
+            const k = KEY_ALIASES[rawKey.toLowerCase()] || rawKey.toLowerCase();
+            if (k !== key || minus) return raw;
+            const values = splitValues(rawValue);
+            const kept = values.filter(v => facetKey(v) !== wanted);
+            if (kept.length === values.length) return raw;
+            removed = true;
+            return kept.length ? `${space}${rawKey}:${kept.map(quoteValue).join(',')}` : space;
+        });
+        if (removed) return rest.replace(/\s+/g, ' ').trim();
+        return `${text.trim()} ${key}:${quoteValue(value)}`.trim();
+    }
+
+    function hasFilter(input, key, value) {
+        const wanted = facetKey(value);
+        return (parseQuery(input).filters[key] || []).some(v => facetKey(v) === wanted);
+    }
+
+    function expandKinds(values) {
+        return values.flatMap(v => {
+            const key = facetKey(v);
+            return KIND_GROUPS[key] || [key];
+        });
+    }
+
+    // Whether a document passes the key:value filters
+    function matchesFilters(doc, query) {
+        const facetMatches = (key, value) => {
+            const values = (doc.facets?.[key] || []).map(facetKey);
+            const wanted = key === 'kind' ? expandKinds([value]) : [facetKey(value)];
+            return wanted.some(w => values.some(v => key === 'kind' ? v === w : v.startsWith(w)));
+        };
+        for (const [key, values] of Object.entries(query.filters)) {
+            if (!values.some(value => facetMatches(key, value))) return false;
+        }
+        for (const [key, values] of Object.entries(query.exclude)) {
+            if (values.some(value => facetMatches(key, value))) return false;
+        }
+        return true;
+    }
+
+    // ============================================
+    // DOCUMENTS
+    // ============================================
+
+    /**
+     * Search document ids are "<table>:<record id>", the same on the server,
+     * so a record indexed here and there is one document.
+     */
+    function makeDocument(table, sourceId, kind, fields) {
+        return {
+            id: `${table}:${sourceId}`,
+            kind,
+            sourceTable: table,
+            sourceId: String(sourceId),
+            title: fields.title || '(untitled)',
+            subtitle: fields.subtitle || '',
+            keywords: list(fields.keywords || []).join(' '),
+            body: bodyText(fields.body),
+            facets: Object.fromEntries(Object.entries({ kind: [kind], ...fields.facets })
+                .map(([key, values]) => [key, list(values || [])])
+                .filter(([, values]) => values.length)),
+            updatedAt: fields.updatedAt || new Date().toISOString(),
+            origin: 'local',
+        };
+    }
+
+    // Campaign/client/project tags are an object; free-form tags a list
+    function assetTags(asset) {
+        const tags = asset.tags;
+        if (!tags) return [];
+        if (Array.isArray(tags)) return list(tags);
+        return list(Object.entries(tags).filter(([key]) => key !== 'status').map(([, value]) => value));
+    }
+
+    function assetStatus(asset) {
+        const validation = asset.validation;
+        const status = [];
+        if (validation) status.push(validation.isOffSize ? 'offsize' : 'compatible');
+        else if (asset.metadata?.validation_status) status.push(asset.metadata.validation_status);
+        if (asset.tags && !Array.isArray(asset.tags) && asset.tags.status) status.push(asset.tags.status);
+        return status;
+    }
+
+    /**
+     * @param {Object} asset - Library asset
+     * @param {Object} [context] - { getBrands(asset) } as in SmartFolders.createContext
+     */
+    function assetDocument(asset, context = {}) {
+        const brands = context.getBrands ? context.getBrands(asset) : [];
+        const type = String(asset.file_type || asset.type || '').toLowerCase().startsWith('video') ? 'video' : 'image';
+        const validation = asset.validation || {};
+        const tags = assetTags(asset);
+        return makeDocument('assets', asset.uuid || asset.id, 'asset', {
+            title: asset.filename || asset.name,
+            subtitle: [type, asset.width && asset.height ? `${asset.width}×${asset.height}` : ''].filter(Boolean).join(' · '),
+            keywords: [brands, tags],
+            body: [asset.notes, asset.description, asset.comments?.map(c => c.text),
+                asset.extractedText, asset.extracted_text, asset.ocrResults, asset.transcript,
+                asset.aiDescription, asset.ai_analysis, asset.analysis, validation.compatible],
+            facets: {
+                brand: brands,
+                ratio: [asset.aspect_ratio || validation.aspectRatio || ratioLabel(asset.width, asset.height)],
+                status: assetStatus(asset),
+                type: [type],
+                tag: tags,
+                channel: validation.compatible || asset.channels || [],
+            },
+            updatedAt: asset.updated_at || asset.created_at,
+        });
+    }
+
+    /**
+     * Creative (analyze-module), video and URL analyses.
+     * @param {string} table - creative_analyses, video_analyses or url_analyses
+     */
+    function analysisDocument(analysis, table = 'creative_analyses') {
+        const dims = analysis.assetDimensions || {};
+        const brand = analysis.detectedBrand?.name || analysis.detectedBrand || analysis.detected_brand || analysis.brand;
+        const type = analysis.assetType || analysis.asset_type || (table === 'video_analyses' ? 'video' : table === 'url_analyses' ? (analysis.urlType || 'url') : null);
+        const channels = analysis.platformOptimization?.detectedChannels || analysis.platformOptimization?.bestPlatforms || [];
+        return makeDocument(table, analysis.uuid || analysis.id || analysis.assetId, 'analysis', {
+            title: analysis.assetFilename || analysis.title || analysis.filename || analysis.url || 'Analysis',
+            subtitle: { creative_analyses: 'Creative analysis', video_analyses: 'Video analysis', url_analyses: 'URL analysis' }[table],
+            keywords: [brand, analysis.detectedIndustry],
+            body: analysis,
+            facets: {
+                brand: [brand],
+                ratio: [ratioLabel(dims.width || analysis.width, dims.height || analysis.height)],
+                type: [type],
+                tag: analysis.tags || [],
+                channel: channels,
+            },
+            updatedAt: analysis.analyzedAt || analysis.updated_at || analysis.created_at,
+        });
+    }
+
+    function swipeDocument(entry) {
+        const brand = entry.analysis?.detectedBrand?.name || entry.brand;
+        return makeDocument('swipe_files', entry.uuid || entry.id, 'swipe', {
+            title: entry.title || entry.name || entry.sourceUrl || 'Swipe file entry',
+            subtitle: entry.sourceUrl && !entry.sourceUrl.startsWith('Data URL') ? entry.sourceUrl : (entry.source || ''),
+            keywords: [brand, entry.tags || [], entry.collections || []],
+            body: [entry.notes, entry.analysis],
+            facets: {
+                brand: [brand],
+                status: [entry.isCompetitor ? 'competitor' : null],
+                type: [entry.urlType || entry.type],
+                tag: [entry.tags || [], entry.collections || []],
+                channel: entry.analysis?.platformOptimization?.detectedChannels || [],
+            },
+            updatedAt: entry.savedAt || entry.updated_at || entry.created_at,
+        });
+    }
+
+    function companyDocument(company) {
+        return makeDocument('companies', company.uuid || company.id, 'company', {
+            title: company.name,
+            subtitle: [company.type, company.industry].filter(Boolean).join(' · '),
+            keywords: [company.name, company.domain, company.tags || []],
+            body: [company.description, company.website, company.notes, company.notesList, company.customFields],
+            facets: {
+                brand: [company.name],
+                status: [company.status],
+                type: [company.type],
+                tag: company.tags || [],
+            },
+            updatedAt: company.updatedAt || company.updated_at,
+        });
+    }
+
+    function contactDocument(contact) {
+        const name = [contact.firstName || contact.first_name, contact.lastName || contact.last_name].filter(Boolean).join(' ');
+        const companyName = contact.companyName || contact.company_name;
+        return makeDocument('contacts', contact.uuid || contact.id, 'contact', {
+            title: name || contact.email,
+            subtitle: [contact.title, companyName].filter(Boolean).join(', '),
+            keywords: [name, contact.email, companyName, contact.tags || []],
+            body: [contact.notes, contact.department, contact.customFields],
+            facets: {
+                brand: [companyName],
+                status: [contact.status],
+                type: [contact.type],
+                tag: contact.tags || [],
+            },
+            updatedAt: contact.updatedAt || contact.updated_at,
+        });
+    }
+
+    function projectDocument(project) {
+        const clientName = project.clientName || project.client_name;
+        return makeDocument('projects', project.uuid || project.id, 'project', {
+            title: project.name,
+            subtitle: [clientName, project.status].filter(Boolean).join(' · '),
+            keywords: [clientName, project.tags || []],
+            body: [project.description, project.assetRequirements, project.customFields],
+            facets: {
+                brand: [clientName],
+                status: [project.status],
+                type: [project.type],
+                tag: project.tags || [],
+                channel: project.channels || [],
+            },
+            updatedAt: project.updatedAt || project.updated_at,
+        });
+    }
+
+    // ============================================
+    // INDEX
+    // ============================================
+
+    /**
+     * In-memory inverted index over search documents: term -> doc id ->
+     * weighted frequency.
+     */
+    class InvertedIndex {
+        constructor(docs = []) {
+            this.docs = new Map();
+            this.postings = new Map();
+            this.docTerms = new Map();
+            docs.forEach(doc => this.add(doc));
+        }
+
+        add(doc) {
+            this.remove(doc.id);
+            const weights = new Map();
+            for (const [field, weight] of Object.entries(WEIGHTS)) {
+                const counts = new Map();
+                tokenize(doc[field]).forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+                counts.forEach((count, term) => {
+                    weights.set(term, (weights.get(term) || 0) + Math.min(count, MAX_TERM_FREQUENCY) * weight);
+                });
+            }
+            weights.forEach((weight, term) => {
+                if (!this.postings.has(term)) this.postings.set(term, new Map());
+                this.postings.get(term).set(doc.id, weight);
+            });
+            this.docs.set(doc.id, doc);
+            this.docTerms.set(doc.id, [...weights.keys()]);
+        }
+
+        remove(id) {
+            (this.docTerms.get(id) || []).forEach(term => {
+                const posting = this.postings.get(term);
+                posting?.delete(id);
+                if (posting?.size === 0) this.postings.delete(term);
+            });
+            this.docTerms.delete(id);
+            this.docs.delete(id);
+        }
+
+        /**
+         * Index terms a query term stands for, with a match factor: exact 1,
+         * prefix (last query term) 0.7, typos 0.5 / 0.35.
+         */
+        expand(term, isLast) {
+            const variants = new Map();
+            if (this.postings.has(term)) variants.set(term, 1);
+            const edits = allowedEdits(term);
+            for (const token of this.postings.keys()) {
+                if (token === term) continue;
+                if (isLast && term.length >= 2 && token.startsWith(term)) {
+                    variants.set(token, Math.max(variants.get(token) || 0, 0.7));
+                } else if (edits) {
+                    const distance = editDistance(term, token, edits);
+                    if (distance <= edits) variants.set(token, Math.max(variants.get(token) || 0, distance === 1 ? 0.5 : 0.35));
+                }
+            }
+            return variants;
+        }
+
+        idf(token) {
+            return Math.log(1 + this.docs.size / (this.postings.get(token)?.size || 1));
+        }
+
+        /**
+         * @param {Object} query - parseQuery() result
+         * @returns {Object[]} - [{ doc, score, matched: [index terms] }], unordered
+         */
+        match(query) {
+            let candidates = null;
+            const scores = new Map();
+            const matched = new Map();
+
+            query.terms.forEach((term, i) => {
+                const variants = this.expand(term, i === query.terms.length - 1);
+                const termScores = new Map();
+                variants.forEach((factor, token) => {
+                    const idf = this.idf(token);
+                    this.postings.get(token).forEach((weight, id) => {
+                        const score = weight * factor * idf;
+                        if (score > (termScores.get(id)?.score || 0)) termScores.set(id, { score, token });
+                    });
+                });
+                candidates = candidates
+                    ? new Set([...candidates].filter(id => termScores.has(id)))
+                    : new Set(termScores.keys());
+                termScores.forEach(({ score, token }, id) => {
+                    scores.set(id, (scores.get(id) || 0) + score);
+                    matched.set(id, [...(matched.get(id) || []), token]);
+                });
+            });
+
+            const ids = candidates || new Set(this.docs.keys());
+            const excluded = new Set(query.excludeTerms.flatMap(t => [...(this.postings.get(t)?.keys() || [])]));
+            const phrases = query.phrases.map(p => tokenize(p).join(' '));
+
+            const results = [];
+            ids.forEach(id => {
+                if (excluded.has(id)) return;
+                const doc = this.docs.get(id);
+                if (!matchesFilters(doc, query)) return;
+                if (phrases.length) {
+                    const text = tokenize(`${doc.title} ${doc.keywords} ${doc.body}`).join(' ');
+                    if (!phrases.every(p => ` ${text} `.includes(` ${p} `))) return;
+                }
+                results.push({ doc, score: scores.get(id) || 0, matched: matched.get(id) || [] });
+            });
+            return results;
+        }
+    }
+
+    // A short excerpt around the first matched term, with it marked
+    function snippet(doc, terms) {
+        const source = doc.body || doc.keywords || '';
+        if (!source) return '';
+        const folded = fold(source);
+        let at = -1;
+        let length = 0;
+        for (const term of terms) {
+            const found = new RegExp(`(^|[^a-z0-9])(${term.replace(/[^a-z0-9]/g, '')})`).exec(folded);
+            if (found && (at === -1 || found.index < at)) {
+                at = found.index + found[1].length;
+                length = found[2].length;
+            }
+        }
+        if (at === -1) return source.slice(0, 160).replace(/\s+/g, ' ');
+        const start = Math.max(0, at - 70);
+        const end = Math.min(source.length, at + length + 90);
+        return (start > 0 ? '…' : '') +
+            (source.slice(start, at) + MARK_START + source.slice(at, at + length) + MARK_END + source.slice(at + length, end)).replace(/\s+/g, ' ') +
+            (end < source.length ? '…' : '');
+    }
+
+    // Counts per facet value over a result set, most common first
+    function countFacets(docs) {
+        const facets = {};
+        Object.keys(FACETS).forEach(key => {
+            const counts = new Map();
+            docs.forEach(doc => {
+                (doc.facets?.[key] || []).forEach(value => {
+                    const k = facetKey(value);
+                    const entry = counts.get(k) || { value, count: 0 };
+                    entry.count++;
+                    counts.set(k, entry);
+                });
+            });
+            facets[key] = [...counts.values()]
+                .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+                .slice(0, FACET_VALUES_SHOWN);
+        });
+        return facets;
+    }
+
+    /**
+     * Rank, facet and page matched documents.
+     * @returns {Object} - { total, results, facets }
+     */
+    function searchDocuments(index, input, options = {}) {
+        const query = typeof input === 'string' ? parseQuery(input) : input;
+        if (options.kinds?.length) query.filters = { ...query.filters, kind: [...(query.filters.kind || []), ...options.kinds] };
+
+        const matches = index.match(query).sort((a, b) =>
+            b.score - a.score || String(b.doc.updatedAt).localeCompare(String(a.doc.updatedAt)));
+        const limit = options.limit ?? DEFAULT_LIMIT;
+        return {
+            total: matches.length,
+            results: matches.slice(0, limit).map(({ doc, score, matched }) => ({
+                id: doc.id,
+                kind: doc.kind,
+                sourceTable: doc.sourceTable,
+                sourceId: doc.sourceId,
+                title: doc.title,
+                subtitle: doc.subtitle,
+                snippet: snippet(doc, matched),
+                facets: doc.facets,
+                score,
+            })),
+            facets: countFacets(matches.map(m => m.doc)),
+        };
+    }
+
+    /**
+     * Library assets matching a query, in their original order. Used by the
+     * library search box.
+     */
+    function filterAssets(assets, input, context = defaultContext()) {
+        const query = parseQuery(input);
+        const index = new InvertedIndex(assets.map(asset => assetDocument(asset, context)));
+        const ids = new Set(index.match(query).map(m => m.doc.id));
+        return assets.filter(asset => ids.has(`assets:${asset.uuid || asset.id}`));
+    }
+
+    function defaultContext() {
+        return typeof window !== 'undefined' && window.CAVSmartFolders ? window.CAVSmartFolders.createContext() : {};
+    }
+
+    // ============================================
+    // STORAGE
+    // ============================================
+
+    class IdbDocumentStore {
+        constructor() {
+            this.dbReady = this.open();
+        }
+
+        open() {
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = event.target.result;
+                    if (!db.objectStoreNames.contains(DOCS_STORE)) {
+                        db.createObjectStore(DOCS_STORE, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(META_STORE)) {
+                        db.createObjectStore(META_STORE, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        async request(storeName, mode, fn) {
+            const db = await this.dbReady;
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(storeName, mode);
+                const request = fn(tx.objectStore(storeName));
+                let result;
+                if (request) request.onsuccess = () => { result = request.result; };
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+
+        all() {
+            return this.request(DOCS_STORE, 'readonly', store => store.getAll());
+        }
+
+        async write(docs, removeIds = []) {
+            if (docs.length === 0 && removeIds.length === 0) return;
+            await this.request(DOCS_STORE, 'readwrite', store => {
+                removeIds.forEach(id => store.delete(id));
+                docs.forEach(doc => store.put(doc));
+            });
+        }
+
+        async getMeta(key) {
+            const record = await this.request(META_STORE, 'readonly', store => store.get(key));
+            return record ? record.value : null;
+        }
+
+        setMeta(key, value) {
+            return this.request(META_STORE, 'readwrite', store => store.put({ key, value }));
+        }
+    }
+
+    // Same interface without IndexedDB; the index then only lasts for the page
+    class MemoryDocumentStore {
+        constructor() {
+            this.docs = new Map();
+            this.meta = new Map();
+        }
+
+        async all() {
+            return [...this.docs.values()];
+        }
+
+        async write(docs, removeIds = []) {
+            removeIds.forEach(id => this.docs.delete(id));
+            docs.forEach(doc => this.docs.set(doc.id, doc));
+        }
+
+        async getMeta(key) {
+            return this.meta.has(key) ? this.meta.get(key) : null;
+        }
+
+        async setMeta(key, value) {
+            this.meta.set(key, value);
+        }
+    }
+
+    // ============================================
+    // SEARCH SERVICE
+    // ============================================
+
+    // Server rows (search_documents) in the local document shape
+    function fromServerRow(row) {
+        return {
+            id: row.id,
+            kind: row.kind,
+            sourceTable: row.source_table,
+            sourceId: row.source_id,
+            title: row.title || '(untitled)',
+            subtitle: row.subtitle || '',
+            keywords: row.keywords || '',
+            body: row.body || '',
+            facets: row.facets || {},
+            updatedAt: row.updated_at,
+            origin: 'server',
+        };
+    }
+
+    class SearchService {
+        constructor() {
+            this.store = typeof indexedDB !== 'undefined' ? new IdbDocumentStore() : new MemoryDocumentStore();
+            this.index = null;
+            this.loading = null;
+            this.lastLocalBuild = 0;
+            this.lastSource = null;
+        }
+
+        // Load the persisted index into memory once
+        ensureLoaded() {
+            if (!this.loading) {
+                this.loading = this.store.all().catch(error => {
+                    console.warn('[Search] IndexedDB unavailable, keeping the index in memory:', error);
+                    this.store = new MemoryDocumentStore();
+                    return [];
+                }).then(docs => {
+                    this.index = new InvertedIndex(docs);
+                });
+            }
+            return this.loading;
+        }
+
+        // ----------------------------------------
+        // Local sources
+        // ----------------------------------------
+
+        async collectLocalDocuments() {
+            const docs = [];
+            const safely = async (label, fn) => {
+                try {
+                    docs.push(...(await fn()).filter(Boolean));
+                } catch (e) {
+                    console.warn(`[Search] Could not index ${label}:`, e);
+                }
+            };
+
+            await safely('assets', async () => {
+                const app = window.cavApp;
+                if (!app?.storage) return [];
+                const result = await app.storage.getAssets({
+                    page: 1,
+                    per_page: window.cavAdvanced?.FoldersCollections?.MAX_LIBRARY_ASSETS || 10000,
+                    is_team: app.state.storageMode === 'team',
+                });
+                const context = defaultContext();
+                return (result.assets || []).map(asset => assetDocument(asset, context));
+            });
+            await safely('analyses', async () => {
+                const unified = window.UnifiedStorage;
+                const [creative, video, url] = unified
+                    ? await Promise.all([unified.getCreativeAnalyses(500), unified.getVideoAnalyses(200), unified.getURLAnalyses(200)])
+                    : [[], [], []];
+                return [
+                    ...(window.CAVAnalyze?.getHistory?.() || []).map(a => analysisDocument(a, 'creative_analyses')),
+                    ...(creative || []).map(a => analysisDocument(a, 'creative_analyses')),
+                    ...(video || []).map(a => analysisDocument(a, 'video_analyses')),
+                    ...(url || []).map(a => analysisDocument(a, 'url_analyses')),
+                ];
+            });
+            await safely('swipe file', async () => (window.CAVLearn?.getSwipeFile?.() || []).map(swipeDocument));
+            await safely('CRM', async () => {
+                const crm = window.cavCRM;
+                if (!crm) return [];
+                return [
+                    ...Object.values(crm.companies || {}).map(companyDocument),
+                    ...Object.values(crm.contacts || {}).map(contactDocument),
+                    ...Object.values(crm.projects || {}).map(projectDocument),
+                ];
+            });
+
+            // Later sources repeat earlier ones (history and unified storage)
+            return [...new Map(docs.map(doc => [doc.id, doc])).values()];
+        }
+
+        /**
+         * Re-index this browser's own data. Documents built here before
+         * whose record is gone are dropped; server documents are only
+         * dropped by the server.
+         */
+        async rebuildLocal() {
+            await this.ensureLoaded();
+            const docs = await this.collectLocalDocuments();
+            const ids = new Set(docs.map(doc => doc.id));
+            const stale = [...this.index.docs.values()]
+                .filter(doc => doc.origin === 'local' && !ids.has(doc.id))
+                .map(doc => doc.id);
+            const changed = docs.filter(doc => {
+                const existing = this.index.docs.get(doc.id);
+                if (existing?.origin === 'server' && existing.updatedAt > doc.updatedAt) return false;
+                return !existing || JSON.stringify(existing) !== JSON.stringify(doc);
+            });
+
+            await this.store.write(changed, stale);
+            stale.forEach(id => this.index.remove(id));
+            changed.forEach(doc => this.index.add(doc));
+            this.lastLocalBuild = Date.now();
+            return { indexed: docs.length, changed: changed.length, removed: stale.length };
+        }
+
+        async refreshLocal({ force = false } = {}) {
+            if (force || Date.now() - this.lastLocalBuild > LOCAL_REFRESH_MS) {
+                await this.rebuildLocal();
+            }
+        }
+
+        // ----------------------------------------
+        // Server
+        // ----------------------------------------
+
+        serverAvailable() {
+            const supabase = typeof window !== 'undefined' ? window.CAVSupabase : null;
+            const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+            return Boolean(online && supabase?.isConfigured?.() && supabase.searchDocuments);
+        }
+
+        /**
+         * Mirror server search documents changed since the last pull, so
+         * records synced from other devices are searchable offline.
+         * @returns {Promise<number>} - Documents received
+         */
+        async syncFromServer() {
+            if (!this.serverAvailable() || !window.CAVSupabase.getSearchDocumentChanges) return 0;
+            await this.ensureLoaded();
+            // { updatedAt, id }: a backfill gives many rows the same timestamp
+            let cursor = await this.store.getMeta('server_cursor');
+            let received = 0;
+
+            for (;;) {
+                const rows = await window.CAVSupabase.getSearchDocumentChanges(cursor, SERVER_PAGE_SIZE);
+                if (!rows?.length) break;
+                const removed = rows.filter(r => r.deleted_at).map(r => r.id);
+                const docs = rows.filter(r => !r.deleted_at).map(fromServerRow);
+                await this.store.write(docs, removed);
+                removed.forEach(id => this.index.remove(id));
+                docs.forEach(doc => this.index.add(doc));
+                const last = rows[rows.length - 1];
+                cursor = { updatedAt: last.updated_at, id: last.id };
+                await this.store.setMeta('server_cursor', cursor);
+                received += rows.length;
+                if (rows.length < SERVER_PAGE_SIZE) break;
+            }
+            return received;
+        }
+
+        async searchServer(query, options) {
+            const filters = { ...query.filters };
+            if (options.kinds?.length) filters.kind = [...(filters.kind || []), ...options.kinds];
+            if (filters.kind) filters.kind = expandKinds(filters.kind);
+            const exclude = { ...query.exclude };
+            if (exclude.kind) exclude.kind = expandKinds(exclude.kind);
+
+            const phraseWords = new Set(query.phrases.flatMap(p => tokenize(p)));
+            const response = await window.CAVSupabase.searchDocuments({
+                terms: query.terms.filter(t => !phraseWords.has(t)),
+                phrases: query.phrases,
+                excludeTerms: query.excludeTerms,
+                filters,
+                exclude,
+                limit: options.limit ?? DEFAULT_LIMIT,
+            });
+            if (!response) return null;
+
+            const facets = {};
+            Object.keys(FACETS).forEach(key => {
+                facets[key] = Object.entries(response.facets?.[key] || {})
+                    .map(([value, count]) => ({ value, count }))
+                    .sort((a, b) => b.count - a.count)
+                    .slice(0, FACET_VALUES_SHOWN);
+            });
+            return {
+                total: response.total || 0,
+                results: (response.results || []).map(row => ({
+                    id: row.id,
+                    kind: row.kind,
+                    sourceTable: row.source_table,
+                    sourceId: row.source_id,
+                    title: row.title,
+                    subtitle: row.subtitle || '',
+                    snippet: row.snippet || '',
+                    facets: row.facets || {},
+                    score: row.rank || 0,
+                })),
+                facets,
+            };
+        }
+
+        // ----------------------------------------
+        // Search
+        // ----------------------------------------
+
+        /**
+         * Search Supabase when it is configured and reachable, otherwise
+         * the local index.
+         * @param {string} input - Query (see header for syntax)
+         * @param {Object} [options] - { limit, kinds, source: 'local' }
+         * @returns {Promise<Object>} - { total, results, facets, source: 'server' | 'local' }
+         */
+        async search(input, options = {}) {
+            const query = parseQuery(input);
+
+            if (options.source !== 'local' && this.serverAvailable()) {
+                try {
+                    const result = await this.searchServer(query, options);
+                    if (result) {
+                        this.lastSource = 'server';
+                        return { ...result, source: 'server' };
+                    }
+                } catch (e) {
+                    console.warn('[Search] Server search failed, using the local index:', e);
+                }
+            }
+
+            await this.ensureLoaded();
+            await this.refreshLocal();
+            this.lastSource = 'local';
+            return { ...searchDocuments(this.index, query, options), source: 'local' };
+        }
+
+        /**
+         * Bring the local index up to date: this browser's data, then
+         * whatever changed on the server.
+         */
+        async refresh({ force = false } = {}) {
+            await this.refreshLocal({ force });
+            try {
+                await this.syncFromServer();
+            } catch (e) {
+                console.warn('[Search] Could not mirror the server index:', e);
+            }
+        }
+
+        async getStats() {
+            await this.ensureLoaded();
+            const byKind = {};
+            this.index.docs.forEach(doc => { byKind[doc.kind] = (byKind[doc.kind] || 0) + 1; });
+            return { documents: this.index.docs.size, terms: this.index.postings.size, byKind };
+        }
+    }
+
+    // ============================================
+    // EXPORT
+    // ============================================
+    const service = new SearchService();
+
+    const CAVSearch = {
+        VERSION,
+        KINDS,
+        FACETS,
+        MARK_START,
+        MARK_END,
+        parseQuery,
+        toggleFilter,
+        hasFilter,
+        matchesFilters,
+        tokenize,
+        editDistance,
+        ratioLabel,
+        assetDocument,
+        analysisDocument,
+        swipeDocument,
+        companyDocument,
+        contactDocument,
+        projectDocument,
+        InvertedIndex,
+        searchDocuments,
+        filterAssets,
+        search: (input, options) => service.search(input, options),
+        refresh: (options) => service.refresh(options),
+        rebuildLocal: () => service.rebuildLocal(),
+        syncFromServer: () => service.syncFromServer(),
+        getStats: () => service.getStats(),
+        service,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CAVSearch;
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CAVSearch = CAVSearch;
+    }
+})();
@@ -1,7 +1,7 @@
 /**
  * Security Core Module
  * ====================
- * Version 5.11.0 - Enterprise Security (January 16, 2026)
+ * Version 5.12.0 - Enterprise Security (October 19, 2026)
  * 
  * Features:
  * - AES-256-GCM encryption for all sensitive data
@@ -19,7 +19,7 @@
     // =============================================
     // SECURITY CONSTANTS
     // =============================================
-    const SECURITY_VERSION = '5.11.0';
+    const SECURITY_VERSION = '5.12.0';
     const SESSION_DURATION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
     const ENCRYPTION_ALGORITHM = 'AES-GCM';
     const PBKDF2_ITERATIONS = 100000;
@@ -787,78 +787,27 @@
     // =============================================
     const SecureDataPersistence = {
         dbName: 'CAV_SecureDB_v4',
-        dbVersion: 4, // Bump version to force schema upgrade
         db: null,
         dbReady: null,
 
-        // Initialize IndexedDB
+        // Initialize IndexedDB (schema and upgrades live in migrations.js)
         async init() {
-            this.dbReady = new Promise((resolve, reject) => {
+            this.dbReady = (async () => {
                 if (!window.indexedDB) {
                     console.warn('[Security] IndexedDB not available');
-                    resolve(false);
-                    return;
+                    return false;
                 }
 
-                const request = indexedDB.open(this.dbName, this.dbVersion);
-
-                request.onerror = (event) => {
-                    console.error('[Security] IndexedDB error:', event.target.error);
-                    resolve(false);
-                };
-
-                request.onsuccess = (event) => {
-                    this.db = event.target.result;
-                    console.log('[Security] IndexedDB v4 initialized successfully');
+                try {
+                    this.db = await window.CAVMigrations.openDatabase(this.dbName);
+                    console.log('[Security] IndexedDB v' + this.db.version + ' initialized successfully');
                     console.log('[Security] Available stores:', Array.from(this.db.objectStoreNames));
-                    resolve(true);
-                };
-
-                request.onupgradeneeded = (event) => {
-                    const db = event.target.result;
-                    const oldVersion = event.oldVersion;
-                    console.log('[Security] Upgrading IndexedDB from v' + oldVersion + ' to v' + this.dbVersion);
-
-                    // Delete old stores if they exist (clean upgrade)
-                    const storesToCreate = ['assets', 'video_blobs', 'preferences', 'api_keys'];
-                    storesToCreate.forEach(storeName => {
-                        if (db.objectStoreNames.contains(storeName)) {
-                            try {
-                                db.deleteObjectStore(storeName);
-                                console.log('[Security] Deleted old store:', storeName);
-                            } catch (e) {
-                                console.warn('[Security] Could not delete store:', storeName);
-                            }
-                        }
-                    });
-
-                    // Create assets store with ALL required indexes
-                    const assetsStore = db.createObjectStore('assets', { keyPath: 'id' });
-                    assetsStore.createIndex('user_key', 'user_key', { unique: false });
-                    assetsStore.createIndex('team_key', 'team_key', { unique: false });
-                    assetsStore.createIndex('is_team', 'is_team', { unique: false });
-                    assetsStore.createIndex('file_hash', 'file_hash', { unique: false });
-                    assetsStore.createIndex('created_at', 'created_at', { unique: false });
-                    assetsStore.createIndex('status', 'status', { unique: false });
-                    console.log('[Security] Created assets store with all indexes');
-
-                    // Create video blobs store
-                    const videosStore = db.createObjectStore('video_blobs', { keyPath: 'asset_id' });
-                    videosStore.createIndex('user_key', 'user_key', { unique: false });
-                    console.log('[Security] Created video_blobs store');
-
-                    // Create preferences store for user settings
-                    db.createObjectStore('preferences', { keyPath: 'user_key' });
-                    console.log('[Security] Created preferences store');
-
-                    // Create API keys store for persistent API key storage
-                    const apiKeysStore = db.createObjectStore('api_keys', { keyPath: 'user_key' });
-                    apiKeysStore.createIndex('updated_at', 'updated_at', { unique: false });
-                    console.log('[Security] Created api_keys store');
-
-                    console.log('[Security] IndexedDB v4 schema complete');
-                };
-            });
+                    return true;
+                } catch (error) {
+                    console.error('[Security] IndexedDB error:', error);
+                    return false;
+                }
+            })();
             
             return this.dbReady;
         },
@@ -291,13 +291,14 @@
         cspMeta.httpEquiv = 'Content-Security-Policy';
         cspMeta.content = [
             "default-src 'self'",
-            "script-src 'self' 'unsafe-inline' 'unsafe-eval' https://accounts.google.com https://apis.google.com https://www.gstatic.com https://cdn.jsdelivr.net https://esm.run https://esm.sh https://generativelanguage.googleapis.com",
+            "script-src 'self' 'unsafe-inline' 'unsafe-eval' blob: https://accounts.google.com https://apis.google.com https://www.gstatic.com https://cdn.jsdelivr.net https://esm.run https://esm.sh https://generativelanguage.googleapis.com",
             "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",
             "font-src 'self' https://fonts.gstatic.com",
             "img-src 'self' data: blob: https: http:",
             "connect-src 'self' https: wss://*.supabase.co",
             "frame-src 'self' https://accounts.google.com",
-            "media-src 'self' data: blob: https:"
+            "media-src 'self' data: blob: https:",
+            "worker-src 'self' blob:"
         ].join('; ');
         document.head.insertBefore(cspMeta, document.head.firstChild);
     }
@@ -60,7 +60,8 @@
         adobe: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M13.966 22.624l-1.69-4.281H8.122l3.892-9.144 5.662 13.425h-3.71zm-6.734 0H0L9.619 2.624l4.247 10.028-6.634 9.972zM24 2.624l-6.734 17.438H24l-9.619-20H24v2.562z"/></svg>`,
         cloud: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17.5 19H9a7 7 0 1 1 6.71-9h1.79a4.5 4.5 0 1 1 0 9Z"/></svg>`,
         folder: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 20h16a2 2 0 0 0 2-2V8a2 2 0 0 0-2-2h-7.93a2 2 0 0 1-1.66-.9l-.82-1.2A2 2 0 0 0 7.93 3H4a2 2 0 0 0-2 2v13c0 1.1.9 2 2 2Z"/></svg>`,
-        chat: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>`
+        chat: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>`,
+        ruler: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21.3 15.3a2.4 2.4 0 0 1 0 3.4l-2.6 2.6a2.4 2.4 0 0 1-3.4 0L2.7 8.7a2.41 2.41 0 0 1 0-3.4l2.6-2.6a2.41 2.41 0 0 1 3.4 0Z"/><path d="m14.5 12.5 2-2"/><path d="m11.5 9.5 2-2"/><path d="m8.5 6.5 2-2"/><path d="m17.5 15.5 2-2"/></svg>`
     };
 
     // Default settings structure
@@ -90,6 +91,9 @@
         },
         brandProfiles: [],
         competitors: [],
+        customChannelSpecs: {},
+        customPackages: {},
+        transformBackend: 'auto',
         notifications: {
             email: { enabled: false, address: '' },
             slack: { enabled: false, webhookUrl: '' },
@@ -140,6 +144,10 @@
             
             // Load Cloudinary credentials from Supabase
             this.loadCloudinaryFromSupabase();
+
+            // Register cached custom channel specs, then refresh from the workspace
+            this.applyCustomChannelSpecs();
+            this.loadCustomChannelSpecs();
         }
         
         // Load API keys directly from Supabase
@@ -830,6 +838,19 @@
             return null;
         }
         
+        // Resize backend: 'auto' (Cloudinary, else local), 'cloudinary' or 'local'
+        getTransformBackend() {
+            return this.settings.transformBackend || 'auto';
+        }
+        
+        setTransformBackend(backend) {
+            if (!['auto', 'cloudinary', 'local'].includes(backend)) return false;
+            this.settings.transformBackend = backend;
+            this.saveSettings();
+            this.notifyListeners('transformBackendChanged', backend);
+            return true;
+        }
+        
         // Check if current user has access to shared resources
         hasAccessToSharedResource() {
             const session = window.cavUserSession || window.CAVSecurity?.SecureSessionManager?.getSession?.();
@@ -1604,6 +1625,219 @@
             this.saveSettings();
         }
 
+        // ============================================
+        // CUSTOM CHANNEL SPECS
+        // ============================================
+
+        // Push the stored custom specs into the shared channel spec registry
+        applyCustomChannelSpecs() {
+            const registry = window.CAVChannelSpecs;
+            if (!registry?.registerCustomSpecs) return null;
+
+            const result = registry.registerCustomSpecs(this.settings.customChannelSpecs || {}, {
+                replace: true,
+                workspace: window.UnifiedStorage?.getWorkspaceId?.()
+            });
+            if (result.errors.length > 0) {
+                console.warn('[Settings] Invalid custom channel specs skipped:', result.errors);
+            }
+            this.notifyListeners('customSpecsChanged', registry.getCustomSpecs());
+            // Packages may reference custom channels, so re-register them too
+            this.applyCustomPackages();
+            return result;
+        }
+
+        // Load the workspace's custom specs (UnifiedStorage syncs them via Supabase)
+        async loadCustomChannelSpecs() {
+            if (!window.UnifiedStorage?.getWorkspaceChannelSpecs) {
+                // Retry after UnifiedStorage initializes
+                setTimeout(() => this.loadCustomChannelSpecs(), 2000);
+                return;
+            }
+
+            try {
+                const specs = await window.UnifiedStorage.getWorkspaceChannelSpecs();
+                this.settings.customChannelSpecs = specs;
+                if (window.UnifiedStorage.getWorkspacePackages) {
+                    this.settings.customPackages = await window.UnifiedStorage.getWorkspacePackages();
+                }
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+                this.applyCustomChannelSpecs();
+                console.log(`📐 Settings: Loaded ${Object.keys(specs).length} custom channel specs, ${Object.keys(this.settings.customPackages).length} packages`);
+            } catch (e) {
+                console.warn('[Settings] Custom channel spec load failed:', e);
+            }
+        }
+
+        getCustomChannelSpecs() {
+            return { ...(this.settings.customChannelSpecs || {}) };
+        }
+
+        /**
+         * Add or replace a custom channel spec and share it with the workspace.
+         * @returns {Object} - { success, errors }
+         */
+        saveCustomChannelSpec(name, spec) {
+            const registry = window.CAVChannelSpecs;
+            if (!registry) return { success: false, errors: ['Channel spec registry not loaded'] };
+            if (!name) return { success: false, errors: ['Missing channel name'] };
+
+            const { errors } = registry.registerCustomSpecs({ [name]: spec });
+            if (errors.length > 0) return { success: false, errors: errors[0].errors };
+
+            this.settings.customChannelSpecs = { ...this.settings.customChannelSpecs, [name]: spec };
+            this.saveSettings();
+            this.applyCustomChannelSpecs();
+
+            window.UnifiedStorage?.saveWorkspaceChannelSpec?.(name, spec).catch(e => {
+                console.warn('[Settings] Custom spec sync failed:', e);
+            });
+            return { success: true, errors: [] };
+        }
+
+        deleteCustomChannelSpec(name) {
+            const { [name]: removed, ...rest } = this.settings.customChannelSpecs || {};
+            if (!removed) return false;
+
+            this.settings.customChannelSpecs = rest;
+            this.saveSettings();
+            this.applyCustomChannelSpecs();
+
+            window.UnifiedStorage?.deleteWorkspaceChannelSpec?.(name).catch(e => {
+                console.warn('[Settings] Custom spec delete sync failed:', e);
+            });
+            return true;
+        }
+
+        // Import a JSON or CSV spec sheet; valid rows are saved, invalid ones reported
+        importCustomChannelSpecs(text, format) {
+            const registry = window.CAVChannelSpecs;
+            if (!registry) return { imported: [], errors: [{ name: null, errors: ['Channel spec registry not loaded'] }] };
+
+            let specs;
+            try {
+                specs = registry.parseCustomSpecs(text, format);
+            } catch (e) {
+                return { imported: [], errors: [{ name: null, errors: [e.message] }] };
+            }
+
+            const imported = [];
+            const errors = [];
+            specs.forEach(({ name, ...spec }) => {
+                const result = this.saveCustomChannelSpec(name, spec);
+                if (result.success) imported.push(name);
+                else errors.push({ name: name || null, errors: result.errors });
+            });
+            return { imported, errors };
+        }
+
+        exportCustomChannelSpecs(format = 'json') {
+            // Export the registered (normalized) specs so derived fields travel along
+            return window.CAVChannelSpecs?.exportCustomSpecs(format) || '';
+        }
+
+        // ============================================
+        // CUSTOM PLATFORM PACKAGES
+        // ============================================
+
+        applyCustomPackages() {
+            const registry = window.CAVChannelSpecs;
+            if (!registry?.registerCustomPackages) return null;
+
+            const result = registry.registerCustomPackages(this.settings.customPackages || {}, {
+                replace: true,
+                workspace: window.UnifiedStorage?.getWorkspaceId?.()
+            });
+            if (result.errors.length > 0) {
+                console.warn('[Settings] Invalid custom packages skipped:', result.errors);
+            }
+            this.notifyListeners('customPackagesChanged', registry.getCustomPackages());
+            return result;
+        }
+
+        getCustomPackages() {
+            return { ...(this.settings.customPackages || {}) };
+        }
+
+        /**
+         * Create a package or save a new version of it, and share it with the
+         * workspace. The previous definition is kept in the package history.
+         * @param {string} name
+         * @param {Object} changes - { channels: [channel | { channel, crop, gravity, background }], description }
+         * @returns {Object} - { success, errors, package }
+         */
+        saveCustomPackage(name, changes) {
+            const registry = window.CAVChannelSpecs;
+            if (!registry) return { success: false, errors: ['Channel spec registry not loaded'] };
+            if (!name) return { success: false, errors: ['Missing package name'] };
+
+            const previous = this.settings.customPackages?.[name] || null;
+            const definition = {
+                ...registry.createPackageRevision(previous, {
+                    description: changes.description ?? previous?.description ?? '',
+                    channels: changes.channels
+                }),
+                updatedAt: new Date().toISOString(),
+                updatedBy: this.getCurrentUserEmail() || undefined
+            };
+
+            const { errors } = registry.registerCustomPackages({ [name]: definition });
+            if (errors.length > 0) return { success: false, errors: errors[0].errors };
+
+            this.settings.customPackages = { ...this.settings.customPackages, [name]: definition };
+            this.saveSettings();
+            this.applyCustomPackages();
+
+            window.UnifiedStorage?.saveWorkspacePackage?.(name, definition).catch(e => {
+                console.warn('[Settings] Package sync failed:', e);
+            });
+            return { success: true, errors: [], package: definition };
+        }
+
+        // Save an earlier version's channels as the newest version
+        restoreCustomPackageVersion(name, version) {
+            const pkg = window.CAVChannelSpecs?.getPackage(name, { version });
+            if (!pkg || !pkg.custom) return { success: false, errors: [`No version ${version} of "${name}"`] };
+            return this.saveCustomPackage(name, { channels: pkg.channels, description: pkg.description });
+        }
+
+        deleteCustomPackage(name) {
+            const { [name]: removed, ...rest } = this.settings.customPackages || {};
+            if (!removed) return false;
+
+            this.settings.customPackages = rest;
+            this.saveSettings();
+            this.applyCustomPackages();
+
+            window.UnifiedStorage?.deleteWorkspacePackage?.(name).catch(e => {
+                console.warn('[Settings] Package delete sync failed:', e);
+            });
+            return true;
+        }
+
+        importCustomPackages(text) {
+            const registry = window.CAVChannelSpecs;
+            let packages;
+            try {
+                packages = registry.parseCustomPackages(text);
+            } catch (e) {
+                return { imported: [], errors: [{ name: null, errors: [e.message] }] };
+            }
+
+            const imported = [];
+            const errors = [];
+            packages.forEach(({ name, channels, description }) => {
+                const result = this.saveCustomPackage(name, { channels, description });
+                if (result.success) imported.push(name);
+                else errors.push({ name: name || null, errors: result.errors });
+            });
+            return { imported, errors };
+        }
+
+        exportCustomPackages() {
+            return window.CAVChannelSpecs?.exportCustomPackages() || '';
+        }
+
         // ============================================
         // DATA MANAGEMENT
         // ============================================
@@ -2972,6 +3206,9 @@
                 case 'competitors':
                     content = this.renderCompetitorsSection(settings);
                     break;
+                case 'custom-channels':
+                    content = this.renderCustomChannelsSection(settings);
+                    break;
                 case 'notifications':
                     content = this.renderNotificationsSection(settings);
                     break;
@@ -3037,6 +3274,10 @@
                                 <span class="nav-icon">${ICONS.eye}</span>
                                 <span class="nav-label">Competitors</span>
                             </button>
+                            <button class="cav-settings-nav-btn" data-section="custom-channels">
+                                <span class="nav-icon">${ICONS.ruler}</span>
+                                <span class="nav-label">Custom Channels</span>
+                            </button>
                             <button class="cav-settings-nav-btn" data-section="notifications">
                                 <span class="nav-icon">${ICONS.bell}</span>
                                 <span class="nav-label">Notifications</span>
@@ -3061,6 +3302,7 @@
                             <div class="cav-settings-section" data-section="features"></div>
                             <div class="cav-settings-section" data-section="brand-profiles"></div>
                             <div class="cav-settings-section" data-section="competitors"></div>
+                            <div class="cav-settings-section" data-section="custom-channels"></div>
                             <div class="cav-settings-section" data-section="notifications"></div>
                             <div class="cav-settings-section" data-section="data"></div>
                             ${this.manager.isSuperAdmin() ? '<div class="cav-settings-section" data-section="platform-admin"></div>' : ''}
@@ -3316,6 +3558,7 @@
         renderCloudinaryBYOKSection() {
             const userCreds = this.manager.getUserCloudinaryCredentials() || {};
             const hasCredentials = userCreds.cloudName && userCreds.apiKey && userCreds.apiSecret;
+            const backend = this.manager.getTransformBackend();
             
             return `
                 <div class="cav-cloudinary-byok-section" style="margin-top: 32px; padding-top: 24px; border-top: 1px solid rgba(255,255,255,0.1);">
@@ -3325,7 +3568,7 @@
                         </div>
                         <div>
                             <h3 style="margin: 0; color: white;">☁️ Your Cloudinary Account</h3>
-                            <p style="margin: 4px 0 0; color: #94a3b8; font-size: 14px;">Required for video/image resizing - get a free account at <a href="https://cloudinary.com/users/register_free" target="_blank" style="color: #a855f7;">cloudinary.com</a></p>
+                            <p style="margin: 4px 0 0; color: #94a3b8; font-size: 14px;">Used for AI generative fill and smart cropping - get a free account at <a href="https://cloudinary.com/users/register_free" target="_blank" style="color: #a855f7;">cloudinary.com</a></p>
                         </div>
                     </div>
                     
@@ -3338,10 +3581,19 @@
                         ` : `
                             <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 16px; padding: 12px; background: rgba(245, 158, 11, 0.1); border-radius: 8px;">
                                 <span style="color: #f59e0b;">⚠</span>
-                                <span style="color: #f59e0b;">Cloudinary not configured - required for video resizing</span>
+                                <span style="color: #f59e0b;">Cloudinary not configured - resizing runs locally in your browser</span>
                             </div>
                         `}
                         
+                        <div class="cav-form-group" style="margin-bottom: 16px;">
+                            <label style="display: block; color: #94a3b8; margin-bottom: 6px; font-size: 13px;">Resize backend</label>
+                            <select id="transform-backend-select" class="cav-input" style="width: 100%; background: #0f0f14; border: 1px solid #334155; border-radius: 8px; padding: 10px; color: white;">
+                                <option value="auto" ${backend === 'auto' ? 'selected' : ''}>Auto - Cloudinary when available, otherwise local</option>
+                                <option value="cloudinary" ${backend === 'cloudinary' ? 'selected' : ''}>Cloudinary only</option>
+                                <option value="local" ${backend === 'local' ? 'selected' : ''}>Local (in browser) - no quota, no generative fill</option>
+                            </select>
+                        </div>
+                        
                         <div class="cav-cloudinary-fields" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 16px;">
                             <div class="cav-form-group">
                                 <label style="display: block; color: #94a3b8; margin-bottom: 6px; font-size: 13px;">Cloud Name</label>
@@ -3378,6 +3630,8 @@
         
         attachCloudinaryBYOKHandlers(container) {
             // Re-attach handlers after section refresh
+            this.attachTransformBackendHandler(container);
+            
             container.querySelector('#save-user-cloudinary')?.addEventListener('click', () => {
                 const cloudName = container.querySelector('#user-cloudinary-cloud-name')?.value?.trim();
                 const apiKey = container.querySelector('#user-cloudinary-api-key')?.value?.trim();
@@ -3410,6 +3664,14 @@
                 }
             });
         }
+        
+        attachTransformBackendHandler(container) {
+            container.querySelector('#transform-backend-select')?.addEventListener('change', (e) => {
+                if (this.manager.setTransformBackend(e.target.value)) {
+                    this.showToast('success', `Resize backend: ${e.target.selectedOptions[0].textContent.split(' - ')[0]}`);
+                }
+            });
+        }
 
         renderModelConfigSection(settings) {
             const config = settings.modelConfig;
@@ -3596,6 +3858,149 @@
             `;
         }
 
+        renderCustomChannelsSection(settings) {
+            const specs = Object.entries(settings.customChannelSpecs || {});
+            const packages = Object.entries(settings.customPackages || {});
+            const workspace = window.UnifiedStorage?.getWorkspaceId?.() || 'local';
+            const esc = (value) => String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+            const describe = (spec) => [
+                spec.exactSize ? `${spec.exactSize.width}x${spec.exactSize.height}` : spec.recommendedSize,
+                spec.aspectRatios?.join(', '),
+                spec.maxFileSizeMB ? `≤ ${spec.maxFileSizeMB}MB` : null,
+                spec.maxDuration ? `≤ ${spec.maxDuration}s` : null
+            ].filter(Boolean).join(' · ');
+
+            return `
+                <div class="cav-settings-section" data-section="custom-channels">
+                    <h2>${ICONS.ruler} Custom Channels</h2>
+                    <p class="cav-settings-desc">Publisher and direct-buy placements validated next to the built-in channels. Shared with workspace <strong>${esc(workspace)}</strong>.</p>
+
+                    <div class="cav-custom-spec-list">
+                        ${specs.length === 0 ? `
+                            <div class="cav-empty-state">
+                                <span>📐</span>
+                                <p>No custom channels yet</p>
+                                <p>Add a placement below or import a JSON/CSV spec sheet</p>
+                            </div>
+                        ` : specs.map(([name, spec]) => `
+                            <div class="cav-custom-spec-card">
+                                <div class="cav-custom-spec-info">
+                                    <h3>${esc(name)}</h3>
+                                    <span>${esc(spec.type || 'both')} · ${esc(describe(spec))}</span>
+                                    ${spec.packages?.length ? `<span>Packages: ${esc(spec.packages.join(', '))}</span>` : ''}
+                                </div>
+                                <button class="cav-btn cav-btn-small cav-btn-danger" data-action="delete-custom-spec" data-name="${esc(name)}">🗑️</button>
+                            </div>
+                        `).join('')}
+                    </div>
+
+                    <div class="cav-custom-spec-form">
+                        <h3>➕ Add Channel</h3>
+                        <div class="cav-form-group">
+                            <label>Channel Name</label>
+                            <input type="text" id="custom-spec-name" placeholder="e.g., Publisher X Homepage Takeover">
+                        </div>
+                        <div class="cav-form-group">
+                            <label>Media Type</label>
+                            <select id="custom-spec-type">
+                                <option value="image">Image</option>
+                                <option value="video">Video</option>
+                                <option value="both">Image or Video</option>
+                            </select>
+                        </div>
+                        <div class="cav-form-group">
+                            <label>Exact Size (px)</label>
+                            <input type="number" id="custom-spec-width" min="1" placeholder="Width">
+                            <input type="number" id="custom-spec-height" min="1" placeholder="Height">
+                        </div>
+                        <div class="cav-form-group">
+                            <label>Aspect Ratios (comma separated, derived from size when empty)</label>
+                            <input type="text" id="custom-spec-ratios" placeholder="e.g., 16:9, 1:1">
+                        </div>
+                        <div class="cav-form-group">
+                            <label>Max File Size (MB)</label>
+                            <input type="number" id="custom-spec-max-size" min="0" step="0.01">
+                        </div>
+                        <div class="cav-form-group">
+                            <label>Duration (seconds, video only)</label>
+                            <input type="number" id="custom-spec-min-duration" min="0" placeholder="Min">
+                            <input type="number" id="custom-spec-max-duration" min="0" placeholder="Max">
+                        </div>
+                        <div class="cav-form-group">
+                            <label>Platform Packages (comma separated)</label>
+                            <input type="text" id="custom-spec-packages" placeholder="e.g., Publisher X Takeover">
+                        </div>
+                        <div class="cav-form-group">
+                            <label>Notes</label>
+                            <input type="text" id="custom-spec-notes">
+                        </div>
+                        <button class="cav-btn cav-btn-primary" id="add-custom-spec">${ICONS.plus} Add Channel</button>
+                    </div>
+
+                    <h3>📦 Packages</h3>
+                    <p class="cav-settings-desc">Named bundles of channels with crop, gravity and background overrides. Create and version them from Batch → Resize to Package.</p>
+                    <div class="cav-custom-spec-list">
+                        ${packages.length === 0 ? `
+                            <div class="cav-empty-state">
+                                <p>No custom packages yet</p>
+                            </div>
+                        ` : packages.map(([name, pkg]) => `
+                            <div class="cav-custom-spec-card">
+                                <div class="cav-custom-spec-info">
+                                    <h3>${esc(name)} <small>v${esc(pkg.version)}</small></h3>
+                                    <span>${pkg.channels.length} channels${pkg.description ? ` · ${esc(pkg.description)}` : ''}</span>
+                                    <span>${pkg.updatedBy ? `Updated by ${esc(pkg.updatedBy)} · ` : ''}${pkg.updatedAt ? new Date(pkg.updatedAt).toLocaleDateString() : ''}</span>
+                                </div>
+                                <div class="cav-custom-spec-actions">
+                                    ${pkg.history?.length ? `
+                                        <select data-action="restore-package-version" data-name="${esc(name)}" title="Restore an earlier version">
+                                            <option value="">Restore…</option>
+                                            ${pkg.history.map(rev => `<option value="${rev.version}">v${rev.version}</option>`).join('')}
+                                        </select>
+                                    ` : ''}
+                                    <button class="cav-btn cav-btn-small cav-btn-danger" data-action="delete-package" data-name="${esc(name)}">🗑️</button>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+
+                    <div class="cav-data-actions">
+                        <div class="cav-data-action">
+                            <h3>${ICONS.download} Import Spec Sheet</h3>
+                            <p>JSON exported from this page or a CSV with one row per channel (name, type, exactSize, aspectRatios, maxFileSizeMB, ...)</p>
+                            <input type="file" id="import-custom-specs-file" accept=".json,.csv" style="display: none;">
+                            <button class="cav-btn cav-btn-secondary" id="import-custom-specs">Import JSON/CSV</button>
+                        </div>
+                        <div class="cav-data-action">
+                            <h3>${ICONS.upload} Export</h3>
+                            <p>Share this workspace's channels with another team or the MCP server (CAV_CUSTOM_SPECS)</p>
+                            <button class="cav-btn cav-btn-secondary" data-action="export-custom-specs" data-format="json">Export JSON</button>
+                            <button class="cav-btn cav-btn-secondary" data-action="export-custom-specs" data-format="csv">Export CSV</button>
+                        </div>
+                        <div class="cav-data-action">
+                            <h3>📦 Packages</h3>
+                            <p>Import or export package definitions as JSON (also read by the MCP server from CAV_CUSTOM_PACKAGES)</p>
+                            <input type="file" id="import-packages-file" accept=".json" style="display: none;">
+                            <button class="cav-btn cav-btn-secondary" id="import-packages">Import JSON</button>
+                            <button class="cav-btn cav-btn-secondary" id="export-packages">Export JSON</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+
+        // Re-render the custom channels section in place after a change
+        refreshCustomChannelsSection(container) {
+            const section = container.querySelector('.cav-settings-section[data-section="custom-channels"]');
+            if (!section) return;
+            const temp = document.createElement('div');
+            temp.innerHTML = this.renderCustomChannelsSection(this.manager.getSettings()).trim();
+            const newSection = temp.firstElementChild;
+            newSection.classList.toggle('active', section.classList.contains('active'));
+            section.replaceWith(newSection);
+            this.attachSectionEventHandlers(container, 'custom-channels');
+        }
+
         renderNotificationsSection(settings) {
             const notif = settings.notifications;
             
@@ -3685,6 +4090,8 @@
                         </div>
                     </div>
                     
+                    <div class="cav-data-action" id="storage-usage-panel"></div>
+                    
                     <div class="cav-settings-info">
                         <p><strong>Settings Version:</strong> ${settings.version}</p>
                         <p><strong>Last Updated:</strong> ${settings.updatedAt ? new Date(settings.updatedAt).toLocaleString() : 'Never'}</p>
@@ -3926,6 +4333,10 @@
                                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 16v-4M12 8h.01"/></svg>
                                     Run Diagnostics
                                 </button>
+                                <button id="admin-rollback-migrations" class="cav-btn" style="background: transparent; border: 1px solid rgba(148, 163, 184, 0.3); padding: 10px 20px; border-radius: 8px; color: #94a3b8; cursor: pointer; display: flex; align-items: center; gap: 8px; font-size: 13px;">
+                                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 7v6h6"/><path d="M21 17a9 9 0 00-15-6.7L3 13"/></svg>
+                                    Roll Back Migrations
+                                </button>
                             </div>
                         </div>
                         
@@ -4349,6 +4760,9 @@
                 });
             });
             
+            // Resize backend
+            this.attachTransformBackendHandler(container);
+            
             // User Cloudinary BYOK - Save
             container.querySelector('#save-user-cloudinary')?.addEventListener('click', () => {
                 const cloudName = container.querySelector('#user-cloudinary-cloud-name')?.value?.trim();
@@ -4619,6 +5033,143 @@
             });
         }
         
+        attachCustomChannelsHandlers(container) {
+            const section = container.querySelector('.cav-settings-section[data-section="custom-channels"]');
+            if (!section) return;
+            const value = (id) => section.querySelector(`#${id}`)?.value.trim() || '';
+            const number = (id) => value(id) === '' ? undefined : Number(value(id));
+            const list = (id) => value(id).split(',').map(v => v.trim()).filter(Boolean);
+
+            section.querySelector('#add-custom-spec')?.addEventListener('click', () => {
+                const name = value('custom-spec-name');
+                const width = number('custom-spec-width');
+                const height = number('custom-spec-height');
+                const spec = {
+                    type: value('custom-spec-type'),
+                    exactSize: width && height ? { width, height } : undefined,
+                    aspectRatios: list('custom-spec-ratios'),
+                    maxFileSizeMB: number('custom-spec-max-size'),
+                    minDuration: number('custom-spec-min-duration'),
+                    maxDuration: number('custom-spec-max-duration'),
+                    packages: list('custom-spec-packages'),
+                    notes: value('custom-spec-notes') || undefined
+                };
+                Object.keys(spec).forEach(key => {
+                    if (spec[key] === undefined || (Array.isArray(spec[key]) && spec[key].length === 0)) delete spec[key];
+                });
+
+                const result = this.manager.saveCustomChannelSpec(name, spec);
+                if (result.success) {
+                    this.showToast('success', `Channel "${name}" added`);
+                    this.refreshCustomChannelsSection(container);
+                } else {
+                    this.showToast('error', result.errors.join('; '));
+                }
+            });
+
+            section.querySelectorAll('[data-action="delete-custom-spec"]').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    const name = e.currentTarget.dataset.name;
+                    if (confirm(`Delete channel "${name}" for the whole workspace?`)) {
+                        this.manager.deleteCustomChannelSpec(name);
+                        this.refreshCustomChannelsSection(container);
+                    }
+                });
+            });
+
+            section.querySelector('#import-custom-specs')?.addEventListener('click', () => {
+                section.querySelector('#import-custom-specs-file')?.click();
+            });
+            section.querySelector('#import-custom-specs-file')?.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    const format = file.name.toLowerCase().endsWith('.csv') ? 'csv' : undefined;
+                    const { imported, errors } = this.manager.importCustomChannelSpecs(event.target.result, format);
+                    if (imported.length > 0) {
+                        this.showToast('success', `Imported ${imported.length} channel${imported.length === 1 ? '' : 's'}`);
+                    }
+                    if (errors.length > 0) {
+                        const details = errors.map(err => `${err.name || 'file'}: ${err.errors.join(', ')}`).join('; ');
+                        this.showToast('error', `${errors.length} skipped - ${details}`);
+                    }
+                    this.refreshCustomChannelsSection(container);
+                };
+                reader.readAsText(file);
+            });
+
+            section.querySelectorAll('[data-action="delete-package"]').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    const name = e.currentTarget.dataset.name;
+                    if (confirm(`Delete package "${name}" for the whole workspace?`)) {
+                        this.manager.deleteCustomPackage(name);
+                        this.refreshCustomChannelsSection(container);
+                    }
+                });
+            });
+
+            section.querySelectorAll('[data-action="restore-package-version"]').forEach(select => {
+                select.addEventListener('change', (e) => {
+                    const name = e.target.dataset.name;
+                    const version = parseInt(e.target.value, 10);
+                    if (!version) return;
+                    const result = this.manager.restoreCustomPackageVersion(name, version);
+                    if (result.success) {
+                        this.showToast('success', `Restored v${version} of "${name}" as v${result.package.version}`);
+                    } else {
+                        this.showToast('error', result.errors.join('; '));
+                    }
+                    this.refreshCustomChannelsSection(container);
+                });
+            });
+
+            section.querySelector('#import-packages')?.addEventListener('click', () => {
+                section.querySelector('#import-packages-file')?.click();
+            });
+            section.querySelector('#import-packages-file')?.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    const { imported, errors } = this.manager.importCustomPackages(event.target.result);
+                    if (imported.length > 0) {
+                        this.showToast('success', `Imported ${imported.length} package${imported.length === 1 ? '' : 's'}`);
+                    }
+                    if (errors.length > 0) {
+                        const details = errors.map(err => `${err.name || 'file'}: ${err.errors.join(', ')}`).join('; ');
+                        this.showToast('error', `${errors.length} skipped - ${details}`);
+                    }
+                    this.refreshCustomChannelsSection(container);
+                };
+                reader.readAsText(file);
+            });
+
+            section.querySelector('#export-packages')?.addEventListener('click', () => {
+                const blob = new Blob([this.manager.exportCustomPackages()], { type: 'application/json' });
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `cav-packages-${new Date().toISOString().split('T')[0]}.json`;
+                a.click();
+                URL.revokeObjectURL(url);
+            });
+
+            section.querySelectorAll('[data-action="export-custom-specs"]').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    const format = e.currentTarget.dataset.format;
+                    const data = this.manager.exportCustomChannelSpecs(format);
+                    const blob = new Blob([data], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+                    const url = URL.createObjectURL(blob);
+                    const a = document.createElement('a');
+                    a.href = url;
+                    a.download = `cav-custom-channels-${new Date().toISOString().split('T')[0]}.${format}`;
+                    a.click();
+                    URL.revokeObjectURL(url);
+                });
+            });
+        }
+        
         // Attach event handlers for a specific lazily-loaded section
         attachSectionEventHandlers(container, sectionId) {
             switch(sectionId) {
@@ -4695,6 +5246,10 @@
                     });
                     break;
                     
+                case 'custom-channels':
+                    this.attachCustomChannelsHandlers(container);
+                    break;
+                    
                 case 'notifications':
                     // Notification toggles
                     container.querySelectorAll('.cav-notification-toggle').forEach(toggle => {
@@ -4716,6 +5271,8 @@
                         container.querySelector('#import-data-file')?.click();
                     });
                     container.querySelector('#import-data-file')?.addEventListener('change', (e) => this.importData(e));
+                    // Space used per module, with offloading and cache controls (storage-quota.js)
+                    window.CAVStorageQuota?.renderPanel(container.querySelector('#storage-usage-panel'));
                     container.querySelector('#clear-all-data')?.addEventListener('click', () => {
                         if (confirm('Are you sure you want to clear all data? This cannot be undone.')) {
                             this.manager.clearAllData();
@@ -4993,6 +5550,16 @@
                                 outputEl.textContent += 'Status: ✗ Not configured\\n';
                             }
                             
+                            // Data migrations: what is applied, what a run would change, and the rollback point
+                            if (window.CAVMigrations) {
+                                const report = await window.CAVMigrations.dryRun();
+                                const snapshot = await window.CAVMigrations.getSnapshotInfo();
+                                outputEl.textContent += '\n=== DATA MIGRATIONS ===\n';
+                                outputEl.textContent += 'Schema versions: ' + JSON.stringify(report.versions) + '\n';
+                                outputEl.textContent += window.CAVMigrations.formatReport(report) + '\n';
+                                outputEl.textContent += 'Rollback snapshot: ' + (snapshot ? snapshot.taken_at + ' (' + snapshot.steps.join(', ') + ')' : 'none') + '\n';
+                            }
+                            
                             // Browser info
                             outputEl.textContent += '\\n=== BROWSER ===\\n';
                             outputEl.textContent += 'Online: ' + (navigator.onLine ? '✓' : '✗') + '\\n';
@@ -5006,6 +5573,33 @@
                         }
                     });
                     
+                    // Roll Back Migrations button
+                    container.querySelector('#admin-rollback-migrations')?.addEventListener('click', async () => {
+                        const snapshot = await window.CAVMigrations?.getSnapshotInfo();
+                        if (!snapshot) {
+                            this.showToast('error', 'There is no migration snapshot to roll back to');
+                            return;
+                        }
+                        const message = `Local data goes back to how it was on ${new Date(snapshot.taken_at).toLocaleString()}, before ${snapshot.steps.join(', ')}. The page will reload.`;
+                        const confirmRollback = window.PersistenceUI
+                            ? await window.PersistenceUI.confirm({
+                                title: 'Roll back data migrations?',
+                                message,
+                                confirmText: 'Roll Back',
+                                cancelText: 'Cancel'
+                            })
+                            : confirm(message);
+                        if (!confirmRollback) return;
+                        
+                        try {
+                            await window.CAVMigrations.rollback();
+                            this.showToast('success', 'Migrations rolled back, reloading...');
+                            setTimeout(() => window.location.reload(), 1000);
+                        } catch (error) {
+                            this.showToast('error', 'Rollback failed: ' + error.message);
+                        }
+                    });
+                    
                     // Update sync status periodically while on this section
                     const updateSyncUI = () => {
                         const statusDot = container.querySelector('#admin-sync-dot');
@@ -0,0 +1,356 @@
+/**
+ * Creative Asset Validator - Smart Folders
+ * Version 1.0.0
+ *
+ * Saved queries over library assets. A smart folder stores a query, not a
+ * list of asset ids, and is evaluated against the library whenever it is
+ * read, so it follows uploads, edits, re-validation and new analyses.
+ *
+ * A query is { match: 'all' | 'any', rules: [{ field, op, value, metric? }] }.
+ * Fields cover asset type, dimensions, duration, orientation, validation
+ * status overall and per channel, tags and review status, CRM brand, AI
+ * scores, upload date and uploader (see FIELDS).
+ *
+ * Used by FoldersCollections in advanced-features.js (folder manager, batch
+ * operations and scheduled reports) and by the library's folder filter in
+ * validator-app.js. Evaluation is pure; the browser context (AI scores,
+ * CRM links) comes from createContext().
+ */
+
+(function() {
+    'use strict';
+
+    const VERSION = '1.0.0';
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const OPERATORS = {
+        is: 'is',
+        isNot: 'is not',
+        contains: 'contains',
+        gte: '≥',
+        lte: '≤',
+        eq: '=',
+        between: 'between',
+        passes: 'passes',
+        fails: 'fails',
+        withinDays: 'in the last (days)',
+        olderThanDays: 'more than (days) ago',
+        after: 'after',
+        before: 'before',
+        missing: 'has none',
+    };
+
+    const NUMBER_OPS = ['gte', 'lte', 'eq', 'between'];
+    const TEXT_OPS = ['contains', 'is', 'isNot'];
+
+    const SCORE_METRICS = {
+        overall: 'Overall',
+        hook: 'Hook',
+        cta: 'CTA',
+        thumbStop: 'Thumb-stop',
+        brand: 'Brand compliance',
+    };
+
+    /**
+     * Queryable fields. input drives the rule editor: enum (options),
+     * number, text, channel, date.
+     */
+    const FIELDS = {
+        type: { label: 'Type', input: 'enum', ops: ['is', 'isNot'], options: { image: 'Image', video: 'Video' } },
+        width: { label: 'Width (px)', input: 'number', ops: NUMBER_OPS },
+        height: { label: 'Height (px)', input: 'number', ops: NUMBER_OPS },
+        duration: { label: 'Duration (s)', input: 'number', ops: NUMBER_OPS },
+        orientation: {
+            label: 'Orientation', input: 'enum', ops: ['is', 'isNot'],
+            options: { landscape: 'Landscape', portrait: 'Portrait', square: 'Square' },
+        },
+        validation: {
+            label: 'Validation', input: 'enum', ops: ['is'],
+            options: { ready: 'Fits at least one channel', off_size: 'Off-size everywhere' },
+        },
+        channel: { label: 'Channel', input: 'channel', ops: ['passes', 'fails'] },
+        tag: { label: 'Tag', input: 'text', ops: [...TEXT_OPS, 'missing'] },
+        status: {
+            label: 'Review status', input: 'enum', ops: ['is', 'isNot'],
+            options: { draft: 'Draft', review: 'In Review', approved: 'Approved', rejected: 'Rejected' },
+        },
+        brand: { label: 'CRM brand', input: 'text', ops: [...TEXT_OPS, 'missing'] },
+        aiScore: { label: 'AI score', input: 'number', ops: [...NUMBER_OPS, 'missing'], metrics: SCORE_METRICS },
+        uploaded: { label: 'Uploaded', input: 'date', ops: ['withinDays', 'olderThanDays', 'after', 'before'] },
+        uploader: { label: 'Uploader', input: 'text', ops: TEXT_OPS },
+    };
+
+    // ============================================
+    // ASSET ACCESSORS
+    // ============================================
+
+    function assetType(asset) {
+        return String(asset.file_type || asset.type || '').toLowerCase().startsWith('video') ? 'video' : 'image';
+    }
+
+    function orientation(asset) {
+        if (!asset.width || !asset.height) return null;
+        const ratio = asset.width / asset.height;
+        if (Math.abs(ratio - 1) < 0.02) return 'square';
+        return ratio > 1 ? 'landscape' : 'portrait';
+    }
+
+    // Campaign/client/project tags are an object; free-form tags a list
+    function tagValues(asset) {
+        const tags = asset.tags;
+        if (!tags) return [];
+        const values = Array.isArray(tags)
+            ? tags
+            : Object.entries(tags).filter(([key]) => key !== 'status').map(([, value]) => value);
+        return values.flat().filter(v => typeof v === 'string' && v.trim()).map(v => v.trim());
+    }
+
+    function uploader(asset) {
+        return asset.uploaded_by || asset.owner_email || asset.user_email || '';
+    }
+
+    /**
+     * Channel result from the stored validation (validator-app
+     * validateAgainstSpecs), or a live registry check for assets validated
+     * before the channel existed.
+     * @returns {'pass'|'fail'|null} - null when the channel does not apply
+     */
+    function channelStatus(asset, channel) {
+        const validation = asset.validation;
+        if (validation?.compatible?.includes(channel)) return 'pass';
+        if (validation?.incompatible && channel in validation.incompatible) return 'fail';
+
+        const registry = typeof window !== 'undefined' ? window.CAVChannelSpecs : null;
+        if (!registry || !asset.width || !asset.height) return null;
+        const result = registry.checkChannelCompatibility({
+            width: asset.width,
+            height: asset.height,
+            type: assetType(asset),
+            duration: asset.duration,
+            fileSize: asset.file_size,
+        }, channel);
+        if (result.reason) return null;
+        return result.compatible ? 'pass' : 'fail';
+    }
+
+    function isReady(asset) {
+        if (asset.validation) return !asset.validation.isOffSize && (asset.validation.compatible || []).length > 0;
+        return null;
+    }
+
+    // ============================================
+    // EVALUATION
+    // ============================================
+
+    function compareNumber(actual, op, value) {
+        if (actual === null || actual === undefined || actual === '' || isNaN(actual)) return false;
+        const number = Number(actual);
+        switch (op) {
+            case 'gte': return number >= Number(value);
+            case 'lte': return number <= Number(value);
+            case 'eq': return number === Number(value);
+            case 'between': {
+                const [min, max] = Array.isArray(value) ? value : [value, value];
+                return number >= Number(min) && number <= Number(max);
+            }
+            default: return false;
+        }
+    }
+
+    // Text rules match if any of the asset's values matches (an asset has
+    // several tags and can be linked to several brands)
+    function compareText(values, op, value) {
+        const wanted = String(value ?? '').trim().toLowerCase();
+        const list = values.map(v => String(v).toLowerCase());
+        switch (op) {
+            case 'contains': return list.some(v => v.includes(wanted));
+            case 'is': return list.includes(wanted);
+            case 'isNot': return !list.includes(wanted);
+            case 'missing': return list.length === 0;
+            default: return false;
+        }
+    }
+
+    function compareDate(actual, op, value, now) {
+        const time = new Date(actual).getTime();
+        if (!actual || isNaN(time)) return false;
+        switch (op) {
+            case 'withinDays': return time >= now - Number(value) * DAY_MS;
+            case 'olderThanDays': return time < now - Number(value) * DAY_MS;
+            // Dates from a date input are whole days: "after" starts the next day
+            case 'after': return time >= new Date(value).getTime() + DAY_MS;
+            case 'before': return time < new Date(value).getTime();
+            default: return false;
+        }
+    }
+
+    /**
+     * Whether one rule matches an asset.
+     * @param {Object} context - { now, getScores(asset), getBrands(asset) }
+     */
+    function matchRule(asset, rule, context = {}) {
+        const { field, op, value } = rule;
+        switch (field) {
+            case 'type': {
+                const same = assetType(asset) === value;
+                return op === 'isNot' ? !same : same;
+            }
+            case 'width':
+            case 'height':
+            case 'duration':
+                return compareNumber(asset[field], op, value);
+            case 'orientation': {
+                const same = orientation(asset) === value;
+                return op === 'isNot' ? !same : same;
+            }
+            case 'validation': {
+                const ready = isReady(asset);
+                return ready !== null && (value === 'ready' ? ready : !ready);
+            }
+            case 'channel': {
+                const status = channelStatus(asset, value);
+                return op === 'passes' ? status === 'pass' : status === 'fail';
+            }
+            case 'tag':
+                return compareText(tagValues(asset), op, value);
+            case 'status': {
+                const same = (asset.tags?.status || 'draft') === value;
+                return op === 'isNot' ? !same : same;
+            }
+            case 'brand':
+                return compareText(context.getBrands ? context.getBrands(asset) : [], op, value);
+            case 'aiScore': {
+                const score = context.getScores ? context.getScores(asset)?.[rule.metric || 'overall'] : null;
+                if (op === 'missing') return score === null || score === undefined;
+                return compareNumber(score, op, value);
+            }
+            case 'uploaded':
+                return compareDate(asset.created_at || asset.createdAt, op, value, context.now || Date.now());
+            case 'uploader':
+                return compareText([uploader(asset)].filter(Boolean), op, value);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Whether an asset matches a query. A query without rules matches
+     * nothing, so an unfinished smart folder does not show the whole library.
+     */
+    function matches(asset, query, context = {}) {
+        const rules = query?.rules || [];
+        if (rules.length === 0) return false;
+        return query.match === 'any'
+            ? rules.some(rule => matchRule(asset, rule, context))
+            : rules.every(rule => matchRule(asset, rule, context));
+    }
+
+    function filterAssets(assets, query, context = createContext()) {
+        const ctx = { now: Date.now(), ...context };
+        return assets.filter(asset => matches(asset, query, ctx));
+    }
+
+    /**
+     * Problems that would make a query match nothing or everything.
+     * @returns {string[]} - Empty when the query can be saved
+     */
+    function validateQuery(query) {
+        const errors = [];
+        if (!query || !Array.isArray(query.rules) || query.rules.length === 0) {
+            return ['Add at least one rule'];
+        }
+        query.rules.forEach((rule, i) => {
+            const field = FIELDS[rule.field];
+            const label = `Rule ${i + 1}`;
+            if (!field) return errors.push(`${label}: unknown field ${rule.field}`);
+            if (!field.ops.includes(rule.op)) return errors.push(`${label}: ${field.label} cannot use "${OPERATORS[rule.op] || rule.op}"`);
+            if (rule.op === 'missing') return;
+            const values = rule.op === 'between' ? [].concat(rule.value) : [rule.value];
+            if (rule.op === 'between' && values.length !== 2) return errors.push(`${label}: give a minimum and a maximum`);
+            if (values.some(v => v === undefined || v === null || String(v).trim() === '')) {
+                return errors.push(`${label}: ${field.label} needs a value`);
+            }
+            if ((field.input === 'number' || ['withinDays', 'olderThanDays'].includes(rule.op)) && values.some(v => isNaN(Number(v)))) {
+                errors.push(`${label}: ${field.label} needs a number`);
+            }
+            if (['after', 'before'].includes(rule.op) && isNaN(new Date(rule.value).getTime())) {
+                errors.push(`${label}: not a date`);
+            }
+            if (field.input === 'enum' && !(rule.value in field.options)) {
+                errors.push(`${label}: unknown ${field.label.toLowerCase()} ${rule.value}`);
+            }
+        });
+        return errors;
+    }
+
+    function describeRule(rule) {
+        const field = FIELDS[rule.field];
+        if (!field) return rule.field;
+        const label = rule.field === 'aiScore'
+            ? `AI ${(SCORE_METRICS[rule.metric || 'overall'] || rule.metric).toLowerCase()} score`
+            : field.label.replace(/ \(.*\)$/, '');
+        if (rule.op === 'missing') return `No ${label.toLowerCase()}`;
+
+        const value = field.input === 'enum' ? field.options[rule.value] || rule.value : rule.value;
+        switch (rule.op) {
+            case 'between': return `${label} ${[].concat(rule.value).join('–')}`;
+            case 'passes': return `Passes ${value}`;
+            case 'fails': return `Fails ${value}`;
+            case 'withinDays': return `${label} in the last ${value} days`;
+            case 'olderThanDays': return `${label} more than ${value} days ago`;
+            case 'contains': return `${label} contains "${value}"`;
+            default: return `${label} ${OPERATORS[rule.op] || rule.op} ${value}`;
+        }
+    }
+
+    function describeQuery(query) {
+        const rules = query?.rules || [];
+        if (rules.length === 0) return 'No rules';
+        return rules.map(describeRule).join(query.match === 'any' ? ' or ' : ' and ');
+    }
+
+    // ============================================
+    // BROWSER CONTEXT
+    // ============================================
+
+    /**
+     * AI scores from analyze-module.js and brands from CRM links, read
+     * fresh on every evaluation.
+     */
+    function createContext() {
+        if (typeof window === 'undefined') return {};
+        const companies = Object.values(window.cavCRM?.companies || {});
+        return {
+            now: Date.now(),
+            getScores: (asset) => window.CAVAssetVersions?.readAiScores(asset) || null,
+            getBrands: (asset) => companies
+                .filter(company => (company.linkedAssets || []).some(id => id === asset.id || (asset.uuid && id === asset.uuid)))
+                .map(company => company.name),
+        };
+    }
+
+    // ============================================
+    // EXPORT
+    // ============================================
+    const SmartFolders = {
+        VERSION,
+        FIELDS,
+        OPERATORS,
+        SCORE_METRICS,
+        matchRule,
+        matches,
+        filterAssets,
+        validateQuery,
+        describeRule,
+        describeQuery,
+        createContext,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SmartFolders;
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CAVSmartFolders = SmartFolders;
+    }
+})();
@@ -1,6 +1,6 @@
 /**
  * Social Media Ad Builder Module
- * Version: 1.0.0 - January 17, 2026
+ * Version: 1.1.0 - October 19, 2026
  * Comprehensive ad generator for all major social platforms
  */
 
@@ -8,330 +8,20 @@ window.SocialMediaBuilder = (function() {
     'use strict';
 
     // ==================== PLATFORM SPECIFICATIONS ====================
-    const PLATFORM_SPECS = {
-        meta: {
-            name: 'Meta (Facebook/Instagram)',
-            icon: 'meta',
-            color: '#1877F2',
-            adTypes: {
-                feed: {
-                    name: 'Feed Ad',
-                    fields: {
-                        primaryText: { label: 'Primary Text', max: 600, optimal: 125, mobileSafe: 90 },
-                        headline: { label: 'Headline', max: 255, optimal: 40 },
-                        description: { label: 'Link Description', max: 30, optimal: 27 }
-                    }
-                },
-                carousel: {
-                    name: 'Carousel Ad',
-                    fields: {
-                        primaryText: { label: 'Primary Text', max: 600, optimal: 125 },
-                        cardHeadline: { label: 'Card Headline', max: 45, optimal: 32, count: 10 },
-                        cardDescription: { label: 'Card Description', max: 30, optimal: 18, count: 10 }
-                    }
-                },
-                stories: {
-                    name: 'Stories/Reels Ad',
-                    fields: {
-                        primaryText: { label: 'Text Overlay', max: 125, optimal: 72 },
-                        headline: { label: 'CTA Text', max: 40, optimal: 20 }
-                    }
-                },
-                instagram: {
-                    name: 'Instagram Post',
-                    fields: {
-                        caption: { label: 'Caption', max: 2200, optimal: 125 },
-                        hashtags: { label: 'Hashtags', max: 30, optimal: 10, isHashtags: true }
-                    }
-                }
-            },
-            ctas: ['Shop Now', 'Learn More', 'Sign Up', 'Download', 'Get Offer', 'Book Now', 'Contact Us', 'Subscribe', 'Apply Now', 'Get Quote'],
-            policies: {
-                superlatives: 'warning',
-                beforeAfter: 'restricted',
-                youLanguage: 'restricted',
-                excessiveCaps: 'restricted',
-                emojis: 'allowed'
-            }
-        },
-        linkedin: {
-            name: 'LinkedIn',
-            icon: 'linkedin',
-            color: '#0A66C2',
-            adTypes: {
-                singleImage: {
-                    name: 'Single Image Ad',
-                    fields: {
-                        introText: { label: 'Intro Text', max: 600, optimal: 150 },
-                        headline: { label: 'Headline', max: 200, optimal: 70 }
-                    }
-                },
-                video: {
-                    name: 'Video Ad',
-                    fields: {
-                        introText: { label: 'Intro Text', max: 600, optimal: 150 },
-                        headline: { label: 'Headline', max: 200, optimal: 70 }
-                    }
-                },
-                carousel: {
-                    name: 'Carousel Ad',
-                    fields: {
-                        introText: { label: 'Intro Text', max: 255, optimal: 150 },
-                        cardHeadline: { label: 'Card Headline', max: 45, optimal: 30, count: 10 }
-                    }
-                },
-                textAd: {
-                    name: 'Text Ad',
-                    fields: {
-                        headline: { label: 'Headline', max: 25 },
-                        description: { label: 'Description', max: 75 }
-                    }
-                },
-                messageAd: {
-                    name: 'Message Ad (InMail)',
-                    fields: {
-                        subject: { label: 'Subject Line', max: 60 },
-                        body: { label: 'Message Body', max: 1000, optimal: 500 }
-                    }
-                },
-                spotlight: {
-                    name: 'Spotlight Ad',
-                    fields: {
-                        headline: { label: 'Headline', max: 50 },
-                        description: { label: 'Description', max: 70 }
-                    }
-                }
-            },
-            ctas: ['Learn More', 'Sign Up', 'Download', 'Register', 'Apply', 'Request Demo', 'Get Quote', 'Subscribe', 'Contact Us'],
-            policies: {
-                superlatives: 'warning',
-                beforeAfter: 'warning',
-                youLanguage: 'allowed',
-                excessiveCaps: 'restricted',
-                emojis: 'warning'
-            }
-        },
-        twitter: {
-            name: 'X (Twitter)',
-            icon: 'twitter',
-            color: '#000000',
-            adTypes: {
-                promotedTweet: {
-                    name: 'Promoted Tweet',
-                    fields: {
-                        tweetCopy: { label: 'Tweet Copy', max: 280, optimal: 100 },
-                        headline: { label: 'Card Headline', max: 23 }
-                    }
-                },
-                websiteCard: {
-                    name: 'Website Card',
-                    fields: {
-                        tweetCopy: { label: 'Tweet Copy', max: 280, optimal: 100 },
-                        headline: { label: 'Card Title', max: 70 },
-                        description: { label: 'Card Description', max: 200 }
-                    }
-                },
-                videoAd: {
-                    name: 'Video Ad',
-                    fields: {
-                        tweetCopy: { label: 'Tweet Copy', max: 280, optimal: 100 },
-                        headline: { label: 'Headline', max: 70 }
-                    }
-                }
-            },
-            ctas: ['Learn More', 'Shop Now', 'Sign Up', 'Install', 'Book Now'],
-            policies: {
-                superlatives: 'warning',
-                beforeAfter: 'warning',
-                youLanguage: 'allowed',
-                excessiveCaps: 'restricted',
-                emojis: 'allowed'
-            }
-        },
-        youtube: {
-            name: 'YouTube',
-            icon: 'youtube',
-            color: '#FF0000',
-            adTypes: {
-                inStream: {
-                    name: 'In-Stream Ad (Skippable)',
-                    fields: {
-                        headline: { label: 'Headline', max: 40 },
-                        description1: { label: 'Description Line 1', max: 35 },
-                        description2: { label: 'Description Line 2', max: 35 },
-                        displayUrl: { label: 'Display URL', max: 35 }
-                    }
-                },
-                bumper: {
-                    name: 'Bumper Ad (6 sec)',
-                    fields: {
-                        companionHeadline: { label: 'Companion Headline', max: 25 },
-                        companionDescription: { label: 'Companion Description', max: 35 }
-                    }
-                },
-                discovery: {
-                    name: 'Discovery Ad',
-                    fields: {
-                        headline: { label: 'Headline', max: 100, optimal: 70 },
-                        description1: { label: 'Description Line 1', max: 35 },
-                        description2: { label: 'Description Line 2', max: 35 }
-                    }
-                },
-                shorts: {
-                    name: 'Shorts Ad',
-                    fields: {
-                        headline: { label: 'Headline', max: 100, optimal: 70 },
-                        description: { label: 'Description', max: 90 }
-                    }
-                }
-            },
-            ctas: ['Visit Site', 'Shop Now', 'Learn More', 'Sign Up', 'Get Offer'],
-            policies: {
-                superlatives: 'warning',
-                beforeAfter: 'warning',
-                youLanguage: 'allowed',
-                excessiveCaps: 'restricted',
-                emojis: 'restricted'
-            }
-        },
-        tiktok: {
-            name: 'TikTok',
-            icon: 'tiktok',
-            color: '#000000',
-            adTypes: {
-                inFeed: {
-                    name: 'In-Feed Ad',
-                    fields: {
-                        adText: { label: 'Ad Text', max: 100, optimal: 80 },
-                        displayName: { label: 'Display Name', max: 20 }
-                    },
-                    notes: '68% watch on mute - use text overlays'
-                },
-                topView: {
-                    name: 'TopView Ad',
-                    fields: {
-                        adText: { label: 'Ad Text', max: 100 },
-                        displayName: { label: 'Display Name', max: 20 }
-                    }
-                },
-                spark: {
-                    name: 'Spark Ad (Boosted Post)',
-                    fields: {
-                        caption: { label: 'Caption', max: 4000, optimal: 150 }
-                    }
-                }
-            },
-            ctas: ['Shop Now', 'Learn More', 'Sign Up', 'Download', 'Contact Us', 'Apply Now'],
-            policies: {
-                superlatives: 'warning',
-                beforeAfter: 'restricted',
-                youLanguage: 'warning',
-                excessiveCaps: 'restricted',
-                emojis: 'restricted'
-            }
-        },
-        pinterest: {
-            name: 'Pinterest',
-            icon: 'pinterest',
-            color: '#E60023',
-            adTypes: {
-                standardPin: {
-                    name: 'Standard Pin Ad',
-                    fields: {
-                        title: { label: 'Pin Title', max: 100, optimal: 40 },
-                        description: { label: 'Pin Description', max: 500, optimal: 200 }
-                    }
-                },
-                videoPin: {
-                    name: 'Video Pin Ad',
-                    fields: {
-                        title: { label: 'Pin Title', max: 100, optimal: 40 },
-                        description: { label: 'Pin Description', max: 500, optimal: 200 }
-                    }
-                },
-                carousel: {
-                    name: 'Carousel Pin',
-                    fields: {
-                        title: { label: 'Pin Title', max: 100, optimal: 40 },
-                        cardTitle: { label: 'Card Title', max: 100, count: 5 },
-                        description: { label: 'Description', max: 500 }
-                    }
-                },
-                idea: {
-                    name: 'Idea Pin Ad',
-                    fields: {
-                        title: { label: 'Pin Title', max: 100 },
-                        pageTitle: { label: 'Page Titles', max: 250, count: 20 }
-                    }
-                }
-            },
-            ctas: ['Learn More', 'Shop', 'Install', 'Sign Up'],
-            policies: {
-                superlatives: 'allowed',
-                beforeAfter: 'allowed',
-                youLanguage: 'allowed',
-                excessiveCaps: 'warning',
-                emojis: 'allowed'
-            }
-        },
-        snapchat: {
-            name: 'Snapchat',
-            icon: 'snapchat',
-            color: '#FFFC00',
-            adTypes: {
-                singleImage: {
-                    name: 'Single Image/Video Ad',
-                    fields: {
-                        headline: { label: 'Headline', max: 34 },
-                        brandName: { label: 'Brand Name', max: 25 }
-                    }
-                },
-                story: {
-                    name: 'Story Ad',
-                    fields: {
-                        headline: { label: 'Tile Headline', max: 34 },
-                        brandName: { label: 'Brand Name', max: 25 }
-                    }
-                },
-                collection: {
-                    name: 'Collection Ad',
-                    fields: {
-                        headline: { label: 'Headline', max: 34 },
-                        tileHeadline: { label: 'Tile Headlines', max: 34, count: 4 }
-                    }
-                }
-            },
-            ctas: ['Shop Now', 'View', 'Install', 'Sign Up', 'Watch'],
-            policies: {
-                superlatives: 'warning',
-                beforeAfter: 'warning',
-                youLanguage: 'allowed',
-                excessiveCaps: 'restricted',
-                emojis: 'allowed'
-            }
-        },
-        threads: {
-            name: 'Threads',
-            icon: 'threads',
-            color: '#000000',
-            adTypes: {
-                organic: {
-                    name: 'Organic Post',
-                    fields: {
-                        postText: { label: 'Post Text', max: 500, optimal: 250 }
-                    }
-                }
-            },
-            ctas: [],
-            policies: {
-                superlatives: 'allowed',
-                beforeAfter: 'allowed',
-                youLanguage: 'allowed',
-                excessiveCaps: 'warning',
-                emojis: 'allowed'
-            }
-        }
-    };
+    // Copy limits per ad type, with the placements each one runs in, from the
+    // channel spec registry (channel-specs.js) the validator uses
+    const PLATFORM_SPECS = window.CAVChannelSpecs.getCopySpecs();
+
+    // "Instagram Stories 1080x1920 9:16, 3-60s; ..." for an ad type's creative
+    function describePlacements(adType) {
+        return adType.placements.map(({ channel, spec }) => {
+            const size = window.CAVChannelSpecs.getTargetSize(spec);
+            const duration = spec.type === 'image' ? ''
+                : spec.maxDuration ? `, ${spec.minDuration || 0}-${spec.maxDuration}s`
+                : spec.minDuration ? `, ${spec.minDuration}s+` : '';
+            return `${channel} ${size ? `${size.width}x${size.height} ` : ''}${spec.aspectRatios.join('/')}${duration}`;
+        }).join('; ');
+    }
 
     // ==================== COPY FRAMEWORKS ====================
     const COPY_FRAMEWORKS = {
@@ -620,7 +310,7 @@ window.SocialMediaBuilder = (function() {
 
                 <div class="smb-adtype-pills" id="smb-adtype-pills">
                     ${Object.entries(platform.adTypes).map(([key, type]) => `
-                        <button type="button" class="smb-adtype-pill ${state.selectedAdType === key ? 'active' : ''}" data-adtype="${key}">${type.name}</button>
+                        <button type="button" class="smb-adtype-pill ${state.selectedAdType === key ? 'active' : ''}" data-adtype="${key}" title="${describePlacements(type)}">${type.name}</button>
                     `).join('')}
                 </div>
             </div>
@@ -995,7 +685,7 @@ window.SocialMediaBuilder = (function() {
 === AD TYPE: ${adType.name} ===
 Character limits (MUST BE FOLLOWED EXACTLY):
 ${fieldReqs}
-
+${adType.placements.length > 0 ? `Runs with creative for: ${describePlacements(adType)}\n` : ''}
 === COPY FRAMEWORK: ${framework.name} ===
 ${framework.prompt}
 Structure: ${framework.structure.join(' → ')}
@@ -1465,7 +1155,7 @@ Do NOT use excessive punctuation, all caps, or banned claims.`;
                 // Update ad type pills
                 const pillsDiv = container.querySelector('#smb-adtype-pills');
                 pillsDiv.innerHTML = Object.entries(platform.adTypes).map(([key, type]) => `
-                    <button type="button" class="smb-adtype-pill ${builder.selectedAdType === key ? 'active' : ''}" data-adtype="${key}">${type.name}</button>
+                    <button type="button" class="smb-adtype-pill ${builder.selectedAdType === key ? 'active' : ''}" data-adtype="${key}" title="${describePlacements(type)}">${type.name}</button>
                 `).join('');
                 
                 // Re-attach ad type handlers
@@ -0,0 +1,700 @@
+/**
+ * Creative Asset Validator - Storage Quota
+ * Version 1.0.1
+ *
+ * Keeps the app inside the browser's storage quota without deleting user
+ * data. (unified-storage.js 1.x cleared localStorage lists when a write hit
+ * QuotaExceededError; that code went with 2.0.)
+ *
+ * - estimate() reads navigator.storage.estimate(); requestPersistence()
+ *   asks the browser not to clear this site's storage when the disk fills.
+ * - Library videos live in CAV_SecureDB_v4 video_blobs as data URLs. Videos
+ *   over OFFLOAD_MIN_BYTES (any size once usage passes PRESSURE_RATIO) are
+ *   uploaded to Supabase Storage (asset-blobs bucket), or to Cloudinary when
+ *   only that is set up, and their record becomes a stub:
+ *
+ *     { asset_id, user_key, size, mime_type, remote: { provider, key, path | url }, offloaded_at }
+ *
+ * - Copies downloaded back (and the file just uploaded) are kept in
+ *   IndexedDB cav_blob_cache with the time they were last used, and trimmed
+ *   least-recently-used first to CACHE_MAX_BYTES. Eviction only touches this
+ *   cache: every entry has a remote copy, and nothing else is ever deleted
+ *   to make room.
+ * - breakdown() lists the space each module uses; renderPanel() shows it in
+ *   Settings → Data Management.
+ */
+
+(function() {
+    'use strict';
+
+    const VERSION = '1.0.1';
+    const CACHE_DB = 'cav_blob_cache';
+    const CACHE_DB_VERSION = 1;
+    const CACHE_STORE = 'blobs';
+    const LIBRARY_DB = 'CAV_SecureDB_v4';
+    const VIDEO_STORE = 'video_blobs';
+    const LOCK_NAME = 'cav-storage-quota';
+
+    const OFFLOAD_MIN_BYTES = 5 * 1024 * 1024;
+    // Matches the Supabase free-tier upload limit; larger files go to Cloudinary or stay local
+    const CLOUD_MAX_BYTES = 50 * 1024 * 1024;
+    const CACHE_MAX_BYTES = 250 * 1024 * 1024;
+    // Share of the quota in use above which every local video is offloaded and the cache shrinks
+    const PRESSURE_RATIO = 0.8;
+    const MAINTAIN_DELAY_MS = 5000;
+    const SIGNED_URL_SECONDS = 3600;
+    const SIGNED_URL_MARGIN_MS = 5 * 60 * 1000;
+
+    const MODULE_LABELS = {
+        CAV_SecureDB_v4: 'Asset library',
+        cav_repository: 'Synced records (CRM, analyses, history)',
+        cav_search_index: 'Search index',
+        cav_job_queue: 'Background jobs',
+        cav_scheduled_scans: 'Scheduled scans',
+        cav_asset_versions: 'Version history',
+        cav_undo_history: 'Undo history',
+        cav_perceptual_hashes: 'Duplicate detection',
+        cav_migrations: 'Migration snapshot',
+        cav_blob_cache: 'Offloaded file cache'
+    };
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    function formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        return `${(bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+    }
+
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function isQuotaError(error) {
+        return error?.name === 'QuotaExceededError' || error?.code === 22;
+    }
+
+    function dataUrlToBlob(dataUrl) {
+        const [header, data] = dataUrl.split(',');
+        const mime = (header.match(/data:([^;]+)/) || [])[1] || 'application/octet-stream';
+        const isBase64 = header.includes(';base64');
+        const text = isBase64 ? atob(data) : decodeURIComponent(data);
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i);
+        return new Blob([bytes], { type: mime });
+    }
+
+    function blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    function extensionFor(mime) {
+        const subtype = String(mime || '').split('/')[1] || 'bin';
+        return subtype === 'quicktime' ? 'mov' : subtype.replace(/[^a-z0-9]/gi, '') || 'bin';
+    }
+
+    // Only data URLs are file contents; some library videos store a Cloudinary link instead
+    function isLocalData(record) {
+        return typeof record?.data_url === 'string' && record.data_url.startsWith('data:');
+    }
+
+    function requestResult(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // ============================================
+    // QUOTA MANAGER
+    // ============================================
+
+    class StorageQuota {
+        constructor() {
+            this.cacheReady = null;
+            this.maintaining = null;
+            this.maintainTimer = null;
+            // Streaming URLs handed out by playbackUrl(), so they are never saved back as file data
+            this.issued = new Map();
+            this.signed = new Map();
+            this.VERSION = VERSION;
+        }
+
+        // ----------------------------------------
+        // Quota
+        // ----------------------------------------
+
+        /**
+         * @returns {Promise<Object|null>} - { usage, quota, ratio, persisted, details } or null without the Storage API
+         */
+        async estimate() {
+            const storage = typeof navigator !== 'undefined' ? navigator.storage : null;
+            if (!storage?.estimate) return null;
+            try {
+                const { usage = 0, quota = 0, usageDetails = null } = await storage.estimate();
+                const persisted = storage.persisted ? await storage.persisted() : false;
+                return { usage, quota, ratio: quota ? usage / quota : 0, persisted, details: usageDetails };
+            } catch (e) {
+                console.warn('[StorageQuota] Estimate failed:', e);
+                return null;
+            }
+        }
+
+        async requestPersistence() {
+            const storage = typeof navigator !== 'undefined' ? navigator.storage : null;
+            if (!storage?.persist) return false;
+            try {
+                if (storage.persisted && await storage.persisted()) return true;
+                return await storage.persist();
+            } catch (e) {
+                return false;
+            }
+        }
+
+        // ----------------------------------------
+        // Cloud
+        // ----------------------------------------
+
+        cloudFor(size) {
+            const supabase = window.CAVSupabase;
+            if (supabase?.isConfigured?.() && supabase.uploadAssetBlob && size <= CLOUD_MAX_BYTES) return 'supabase';
+            if (window.cloudinaryClient?.hasCredentials?.()) return 'cloudinary';
+            return null;
+        }
+
+        async upload(assetId, blob, owner) {
+            const provider = this.cloudFor(blob.size);
+            try {
+                if (provider === 'supabase') {
+                    const email = (window.CAVSupabase.getCurrentUserEmail?.() || owner || 'anonymous').toLowerCase();
+                    const path = `${email}/${assetId}/${Date.now()}.${extensionFor(blob.type)}`;
+                    const result = await window.CAVSupabase.uploadAssetBlob(path, blob, blob.type);
+                    if (!result.success) throw new Error(result.error);
+                    return { provider, key: `supabase:${path}`, path };
+                }
+                if (provider === 'cloudinary') {
+                    const result = await window.cloudinaryClient.upload(blob, { folder: 'cav-offloaded' });
+                    return { provider, key: `cloudinary:${result.public_id}`, url: result.url, public_id: result.public_id };
+                }
+            } catch (e) {
+                console.warn(`[StorageQuota] Upload to ${provider} failed:`, e.message);
+            }
+            return null;
+        }
+
+        async download(remote) {
+            try {
+                if (remote.provider === 'supabase') {
+                    return await window.CAVSupabase?.downloadAssetBlob?.(remote.path) || null;
+                }
+                const response = await fetch(remote.url);
+                return response.ok ? await response.blob() : null;
+            } catch (e) {
+                console.warn('[StorageQuota] Download failed:', e.message);
+                return null;
+            }
+        }
+
+        // ----------------------------------------
+        // Cache (only ever holds files that also exist remotely)
+        // ----------------------------------------
+
+        openCache() {
+            if (!this.cacheReady) {
+                this.cacheReady = new Promise((resolve, reject) => {
+                    const request = indexedDB.open(CACHE_DB, CACHE_DB_VERSION);
+                    request.onupgradeneeded = () => {
+                        const store = request.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+                        store.createIndex('last_access', 'last_access');
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                }).catch(error => {
+                    this.cacheReady = null;
+                    throw error;
+                });
+            }
+            return this.cacheReady;
+        }
+
+        async cacheGet(key) {
+            const db = await this.openCache();
+            const tx = db.transaction(CACHE_STORE, 'readwrite');
+            const store = tx.objectStore(CACHE_STORE);
+            const entry = await requestResult(store.get(key));
+            if (entry) store.put({ ...entry, last_access: Date.now() });
+            await transactionDone(tx);
+            return entry?.blob || null;
+        }
+
+        async cachePut(key, assetId, blob) {
+            const db = await this.openCache();
+            const tx = db.transaction(CACHE_STORE, 'readwrite');
+            tx.objectStore(CACHE_STORE).put({ key, asset_id: assetId, blob, size: blob.size, cached_at: Date.now(), last_access: Date.now() });
+            await transactionDone(tx);
+            await this.trimCache();
+        }
+
+        async cacheDelete(key) {
+            const db = await this.openCache();
+            const tx = db.transaction(CACHE_STORE, 'readwrite');
+            tx.objectStore(CACHE_STORE).delete(key);
+            await transactionDone(tx);
+        }
+
+        async cacheStats() {
+            const db = await this.openCache();
+            const entries = await requestResult(db.transaction(CACHE_STORE, 'readonly').objectStore(CACHE_STORE).getAll());
+            return { count: entries.length, bytes: entries.reduce((sum, e) => sum + (e.size || 0), 0), max: CACHE_MAX_BYTES };
+        }
+
+        /**
+         * Evict least recently used copies until the cache fits.
+         * @returns {Promise<Object>} - { evicted, freedBytes }
+         */
+        async trimCache(maxBytes = CACHE_MAX_BYTES) {
+            const db = await this.openCache();
+            const tx = db.transaction(CACHE_STORE, 'readwrite');
+            const store = tx.objectStore(CACHE_STORE);
+            const entries = await requestResult(store.index('last_access').getAll());
+            let total = entries.reduce((sum, e) => sum + (e.size || 0), 0);
+            let evicted = 0;
+            let freedBytes = 0;
+            for (const entry of entries) {
+                if (total <= maxBytes) break;
+                store.delete(entry.key);
+                total -= entry.size || 0;
+                freedBytes += entry.size || 0;
+                evicted++;
+            }
+            await transactionDone(tx);
+            return { evicted, freedBytes };
+        }
+
+        clearCache() {
+            return this.trimCache(0);
+        }
+
+        // ----------------------------------------
+        // Library videos
+        // ----------------------------------------
+
+        async videoRecords() {
+            const db = await window.CAVMigrations.openDatabase(LIBRARY_DB);
+            const records = [];
+            await new Promise((resolve, reject) => {
+                const request = db.transaction(VIDEO_STORE, 'readonly').objectStore(VIDEO_STORE).openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        resolve();
+                        return;
+                    }
+                    // Keep the size, not the data URL, so this stays light for large libraries
+                    const { data_url, ...record } = cursor.value;
+                    records.push({ ...record, local: isLocalData(cursor.value), size: record.size || (data_url ? data_url.length * 0.75 : 0) });
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+            return records;
+        }
+
+        async videoStats() {
+            const stats = { localCount: 0, localBytes: 0, offloadedCount: 0, offloadedBytes: 0 };
+            (await this.videoRecords()).forEach(record => {
+                if (record.remote) {
+                    stats.offloadedCount++;
+                    stats.offloadedBytes += record.size;
+                } else if (record.local) {
+                    stats.localCount++;
+                    stats.localBytes += record.size;
+                }
+            });
+            return stats;
+        }
+
+        /**
+         * Move one library video to the cloud and leave a stub in video_blobs.
+         * @param {Object} options - pressure: storage is short, so no cached copy is kept
+         * @returns {Promise<Object>} - { success, asset_id, size, provider } or { success: false, reason }
+         */
+        async offloadVideo(assetId, { pressure = false } = {}) {
+            const db = await window.CAVMigrations.openDatabase(LIBRARY_DB);
+            const record = await requestResult(db.transaction(VIDEO_STORE, 'readonly').objectStore(VIDEO_STORE).get(assetId));
+            if (!isLocalData(record)) return { success: false, asset_id: assetId, reason: 'not_local' };
+
+            const blob = dataUrlToBlob(record.data_url);
+            const remote = await this.upload(assetId, blob, record.user_key);
+            if (!remote) return { success: false, asset_id: assetId, reason: 'no_cloud' };
+
+            // The video may have been replaced during the upload; only stub the file that was uploaded
+            let unchanged;
+            try {
+                const tx = db.transaction(VIDEO_STORE, 'readwrite');
+                const store = tx.objectStore(VIDEO_STORE);
+                const current = await requestResult(store.get(assetId));
+                unchanged = current?.data_url === record.data_url;
+                if (unchanged) {
+                    store.put({
+                        asset_id: assetId,
+                        user_key: record.user_key,
+                        size: blob.size,
+                        mime_type: blob.type,
+                        remote,
+                        offloaded_at: new Date().toISOString()
+                    });
+                }
+                await transactionDone(tx);
+            } catch (error) {
+                // No stub points at the upload, so it would be orphaned
+                await this.releaseRemote({ remote }).catch(e => console.warn('[StorageQuota] Remote delete failed:', e));
+                return { success: false, asset_id: assetId, reason: 'error', error: error.message };
+            }
+
+            if (!unchanged) {
+                await this.releaseRemote({ remote });
+                return { success: false, asset_id: assetId, reason: 'changed' };
+            }
+
+            // A warm copy saves a download on next playback. Best effort, and
+            // skipped under pressure: writing the whole file again is what
+            // would fail when space has run out.
+            if (!pressure) {
+                await this.cachePut(remote.key, assetId, blob).catch(e => console.warn('[StorageQuota] Cache write failed:', e));
+            }
+            return { success: true, asset_id: assetId, size: blob.size, provider: remote.provider };
+        }
+
+        /**
+         * URL to play a video record from: its data URL, a cached copy, or a
+         * streaming URL for offloaded files (nothing is downloaded).
+         */
+        async playbackUrl(record) {
+            if (!record) return null;
+            if (!record.remote) return record.data_url || null;
+
+            const cached = await this.cacheGet(record.remote.key).catch(() => null);
+            if (cached) return blobToDataUrl(cached);
+
+            const url = record.remote.provider === 'supabase' ? await this.signedUrl(record.remote.path) : record.remote.url;
+            if (url) this.issued.set(url, record);
+            return url || null;
+        }
+
+        // Signed URLs are reused until shortly before they expire, as the library is listed often
+        async signedUrl(path) {
+            const known = this.signed.get(path);
+            if (known && known.expires - Date.now() > SIGNED_URL_MARGIN_MS) return known.url;
+            const url = await window.CAVSupabase?.getAssetBlobUrl?.(path, SIGNED_URL_SECONDS);
+            if (url) this.signed.set(path, { url, expires: Date.now() + SIGNED_URL_SECONDS * 1000 });
+            return url || null;
+        }
+
+        isIssuedUrl(url) {
+            return this.issued.has(url);
+        }
+
+        /**
+         * The file of a video record as a data URL, downloading an offloaded
+         * file when no cached copy is left.
+         */
+        async resolveDataUrl(record) {
+            if (!record) return null;
+            if (!record.remote) return record.data_url || null;
+
+            let blob = await this.cacheGet(record.remote.key).catch(() => null);
+            if (!blob) {
+                blob = await this.download(record.remote);
+                if (!blob) return null;
+                await this.cachePut(record.remote.key, record.asset_id, blob).catch(e => console.warn('[StorageQuota] Cache write failed:', e));
+            }
+            return blobToDataUrl(blob);
+        }
+
+        // A streaming URL from playbackUrl() turned back into file data
+        async resolveIssuedUrl(url) {
+            const record = this.issued.get(url);
+            return record ? this.resolveDataUrl(record) : url;
+        }
+
+        // Drop the remote file and cached copy of a stub whose video was deleted or replaced
+        async releaseRemote(record) {
+            const remote = record?.remote;
+            if (!remote) return;
+            await this.cacheDelete(remote.key).catch(() => {});
+            if (remote.provider === 'supabase') {
+                const result = await window.CAVSupabase?.deleteAssetBlob?.(remote.path);
+                if (result && !result.success) console.warn('[StorageQuota] Remote delete failed:', result.error);
+            }
+            // Unsigned Cloudinary uploads cannot be deleted from the browser
+        }
+
+        // ----------------------------------------
+        // Maintenance
+        // ----------------------------------------
+
+        withLock(fn) {
+            if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+                return navigator.locks.request(LOCK_NAME, fn);
+            }
+            return fn();
+        }
+
+        /**
+         * Offload large local videos and trim the cache.
+         * @param {Object} options - pressure: act as if usage were over PRESSURE_RATIO
+         * @returns {Promise<Object>} - { estimate, pressure, offloaded, failed, evicted, freedBytes }
+         */
+        maintain({ pressure = false } = {}) {
+            if (this.maintaining) return this.maintaining;
+            this.maintaining = this.withLock(async () => {
+                const estimate = await this.estimate();
+                const underPressure = pressure || (estimate?.ratio || 0) >= PRESSURE_RATIO;
+                const report = { estimate, pressure: underPressure, offloaded: [], failed: [], evicted: 0, freedBytes: 0 };
+
+                const minBytes = underPressure ? 0 : OFFLOAD_MIN_BYTES;
+                const candidates = (await this.videoRecords())
+                    .filter(record => record.local && record.size >= minBytes)
+                    .sort((a, b) => b.size - a.size);
+                for (const record of candidates) {
+                    if (!this.cloudFor(record.size)) {
+                        report.failed.push({ asset_id: record.asset_id, reason: 'no_cloud' });
+                        continue;
+                    }
+                    const result = await this.offloadVideo(record.asset_id, { pressure: underPressure })
+                        .catch(error => ({ success: false, asset_id: record.asset_id, reason: 'error', error: error.message }));
+                    if (result.success) {
+                        report.offloaded.push(result);
+                        report.freedBytes += result.size;
+                    } else {
+                        report.failed.push(result);
+                    }
+                }
+
+                const trimmed = await this.trimCache(underPressure ? CACHE_MAX_BYTES / 4 : CACHE_MAX_BYTES);
+                report.evicted = trimmed.evicted;
+                report.freedBytes += trimmed.freedBytes;
+
+                if (report.offloaded.length > 0 || report.evicted > 0) {
+                    console.log(`[StorageQuota] Offloaded ${report.offloaded.length} video(s), evicted ${report.evicted} cached file(s), freed ${formatBytes(report.freedBytes)}`);
+                }
+                return report;
+            }).finally(() => {
+                this.maintaining = null;
+            });
+            return this.maintaining;
+        }
+
+        // After a library write; batches uploads of several new videos
+        scheduleMaintenance() {
+            clearTimeout(this.maintainTimer);
+            this.maintainTimer = setTimeout(() => {
+                this.maintain().catch(e => console.warn('[StorageQuota] Maintenance failed:', e));
+            }, MAINTAIN_DELAY_MS);
+        }
+
+        // Make room after a QuotaExceededError, before the write is retried
+        relieve() {
+            return this.maintain({ pressure: true });
+        }
+
+        // ----------------------------------------
+        // Breakdown
+        // ----------------------------------------
+
+        /**
+         * Space used per module, largest first.
+         * @returns {Promise<Object>} - { estimate, rows: [{ label, owner, bytes, kind }], videos, cache }
+         */
+        async breakdown() {
+            const [estimate, inventory, videos, cache] = await Promise.all([
+                this.estimate(),
+                window.CAVMigrations.inventory({ measure: true }),
+                this.videoStats().catch(() => null),
+                this.cacheStats().catch(() => null)
+            ]);
+
+            const rows = [];
+            inventory.databases.filter(db => db.exists).forEach(db => {
+                const bytes = db.bytes || {};
+                if (db.name === LIBRARY_DB) {
+                    const videoBytes = bytes[VIDEO_STORE] || 0;
+                    const total = Object.values(bytes).reduce((sum, n) => sum + n, 0);
+                    rows.push({ label: 'Asset library', owner: db.owner, bytes: total - videoBytes, kind: 'indexeddb' });
+                    rows.push({ label: 'Library videos', owner: db.owner, bytes: videoBytes, kind: 'indexeddb' });
+                    return;
+                }
+                rows.push({
+                    label: db.legacy ? `${db.name} (legacy)` : (MODULE_LABELS[db.name] || db.name),
+                    owner: db.owner,
+                    bytes: Object.values(bytes).reduce((sum, n) => sum + n, 0),
+                    kind: 'indexeddb'
+                });
+            });
+            inventory.namespaces.filter(ns => ns.keys > 0).forEach(ns => {
+                rows.push({ label: `Local storage: ${ns.name}`, owner: ns.owner, bytes: ns.bytes, kind: 'localstorage' });
+            });
+            if (estimate?.details?.caches) {
+                rows.push({ label: 'Offline app files', owner: 'sw.js', bytes: estimate.details.caches, kind: 'cache' });
+            }
+
+            rows.sort((a, b) => b.bytes - a.bytes);
+            return { estimate, rows, videos, cache };
+        }
+
+        /**
+         * Render the usage breakdown with its actions into `el`.
+         */
+        async renderPanel(el) {
+            if (!el) return;
+            el.innerHTML = '<p class="cav-settings-desc">Measuring storage…</p>';
+
+            let data;
+            try {
+                data = await this.breakdown();
+            } catch (e) {
+                el.innerHTML = `<p class="cav-settings-desc">Storage usage unavailable: ${escapeHtml(e.message)}</p>`;
+                return;
+            }
+
+            const { estimate, rows, videos, cache } = data;
+            const largest = Math.max(1, ...rows.map(r => r.bytes));
+            const percent = estimate?.quota ? Math.round(estimate.ratio * 100) : null;
+            const barColor = percent >= PRESSURE_RATIO * 100 ? '#ef4444' : '#a855f7';
+
+            el.innerHTML = `
+                <h3>Storage</h3>
+                ${estimate ? `
+                    <p>${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used (${percent}%)</p>
+                    <div style="height: 8px; background: rgba(148, 163, 184, 0.2); border-radius: 4px; overflow: hidden; margin: 8px 0;">
+                        <div style="height: 100%; width: ${Math.min(percent, 100)}%; background: ${barColor};"></div>
+                    </div>
+                    <p>${estimate.persisted
+                        ? '✓ Protected: the browser will not clear this data when the disk is low'
+                        : 'Not protected: the browser may clear this data when the disk is low'}</p>
+                ` : '<p>This browser does not report storage usage.</p>'}
+                <table style="width: 100%; border-collapse: collapse; margin: 12px 0; font-size: 13px;">
+                    ${rows.map(row => `
+                        <tr title="${escapeHtml(row.owner)}">
+                            <td style="padding: 4px 8px 4px 0;">${escapeHtml(row.label)}</td>
+                            <td style="padding: 4px 8px; width: 40%;">
+                                <div style="height: 6px; width: ${Math.max(1, Math.round(row.bytes / largest * 100))}%; background: #64748b; border-radius: 3px;"></div>
+                            </td>
+                            <td style="padding: 4px 0; text-align: right; white-space: nowrap;">${formatBytes(row.bytes)}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+                ${videos ? `<p>Videos: ${videos.localCount} stored on this device (${formatBytes(videos.localBytes)}), ${videos.offloadedCount} in the cloud (${formatBytes(videos.offloadedBytes)})</p>` : ''}
+                ${cache ? `<p>Cache of cloud videos: ${cache.count} file${cache.count === 1 ? '' : 's'}, ${formatBytes(cache.bytes)} of ${formatBytes(cache.max)}. Cleared copies download again when needed.</p>` : ''}
+                <div style="display: flex; gap: 8px; flex-wrap: wrap; margin-top: 8px;">
+                    <button class="cav-btn cav-btn-secondary" data-quota-action="free">Free up space</button>
+                    <button class="cav-btn cav-btn-secondary" data-quota-action="clear-cache">Clear video cache</button>
+                    ${estimate && !estimate.persisted ? '<button class="cav-btn cav-btn-secondary" data-quota-action="persist">Protect from clearing</button>' : ''}
+                </div>
+                <p class="cav-storage-quota-status" style="margin-top: 8px;"></p>
+            `;
+
+            const status = el.querySelector('.cav-storage-quota-status');
+            el.querySelectorAll('[data-quota-action]').forEach(button => {
+                button.addEventListener('click', async () => {
+                    button.disabled = true;
+                    try {
+                        const action = button.dataset.quotaAction;
+                        if (action === 'free') {
+                            const report = await this.maintain({ pressure: true });
+                            const skipped = report.failed.filter(f => f.reason === 'no_cloud').length;
+                            status.textContent = `Freed ${formatBytes(report.freedBytes)}: ${report.offloaded.length} video(s) moved to the cloud, ${report.evicted} cached file(s) cleared.` +
+                                (skipped ? ` ${skipped} video(s) stayed local because no cloud storage is set up.` : '');
+                        } else if (action === 'clear-cache') {
+                            const result = await this.clearCache();
+                            status.textContent = `Cleared ${result.evicted} cached file(s), ${formatBytes(result.freedBytes)}.`;
+                        } else if (action === 'persist') {
+                            status.textContent = await this.requestPersistence()
+                                ? 'Storage is now protected.'
+                                : 'The browser declined; it usually allows this once the app is installed or bookmarked.';
+                        }
+                        setTimeout(() => this.renderPanel(el), 1500);
+                    } catch (e) {
+                        status.textContent = `Failed: ${e.message}`;
+                        button.disabled = false;
+                    }
+                });
+            });
+        }
+    }
+
+    // ============================================
+    // EXPORT
+    // ============================================
+    const quota = new StorageQuota();
+
+    const CAVStorageQuota = {
+        VERSION,
+        OFFLOAD_MIN_BYTES,
+        CACHE_MAX_BYTES,
+        PRESSURE_RATIO,
+        StorageQuota,
+        quota,
+        formatBytes,
+        isQuotaError,
+        estimate: () => quota.estimate(),
+        requestPersistence: () => quota.requestPersistence(),
+        offloadVideo: (assetId) => quota.offloadVideo(assetId),
+        playbackUrl: (record) => quota.playbackUrl(record),
+        resolveDataUrl: (record) => quota.resolveDataUrl(record),
+        isIssuedUrl: (url) => quota.isIssuedUrl(url),
+        resolveIssuedUrl: (url) => quota.resolveIssuedUrl(url),
+        releaseRemote: (record) => quota.releaseRemote(record),
+        maintain: (options) => quota.maintain(options),
+        scheduleMaintenance: () => quota.scheduleMaintenance(),
+        relieve: () => quota.relieve(),
+        trimCache: (maxBytes) => quota.trimCache(maxBytes),
+        clearCache: () => quota.clearCache(),
+        breakdown: () => quota.breakdown(),
+        renderPanel: (el) => quota.renderPanel(el)
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CAVStorageQuota;
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CAVStorageQuota = CAVStorageQuota;
+    }
+
+    // Once migrations have run: ask to keep storage, then offload what is already too large
+    if (typeof document !== 'undefined') {
+        const start = () => {
+            (window.CAVMigrations?.ready || Promise.resolve()).then(async () => {
+                await quota.requestPersistence();
+                quota.scheduleMaintenance();
+            });
+        };
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', start);
+        } else {
+            start();
+        }
+    }
+})();
@@ -1155,7 +1155,7 @@
                 'creative_analyses', 'url_analyses', 'swipe_file', 'best_practices',
                 'competitor_analyses', 'benchmarks', 'competitors', 'assets',
                 'google_ads_campaigns', 'social_media_campaigns', 'keyword_research',
-                'google_ads_builds', 'social_media_builds', 'swipe_files'
+                'google_ads_builds', 'social_media_builds', 'swipe_files', 'asset_versions'
             ];
             if (tablesWithSoftDelete.includes(table)) {
                 query = query.is('deleted_at', null);
@@ -1204,6 +1204,88 @@
         }
     }
     
+    // How far behind its cursor the first page of a pull re-reads
+    const CHANGES_OVERLAP_MS = 60 * 1000;
+    
+    /**
+     * Rows of a table changed after a cursor, deleted ones included, oldest
+     * change first. The cursor is { at, id, tombstone, tombstoneAt }: the
+     * updated_at and uuid of the last row seen, and the last sync_tombstones
+     * id and deleted_at (migration 032).
+     * Pass `first` for the first page of a pull only: it starts
+     * CHANGES_OVERLAP_MS behind the cursor, as updated_at is a transaction's
+     * start time and a row can commit after later-stamped ones (callers skip
+     * what they already have), and a full page also counts the rows left
+     * (one COUNT query).
+     * @returns {Promise<Object>} - { rows, deleted: [uuid], cursor, hasMore, remaining } -
+     *                              remaining is null when not counted
+     */
+    async function getChangesSince(table, cursor = null, { limit = 500, first = false } = {}) {
+        if (!supabase) await initSupabase();
+        if (!supabase) return { rows: [], deleted: [], cursor, hasMore: false, remaining: 0 };
+        
+        const userEmail = getCurrentUserEmail() || 'anonymous';
+        const next = { ...(cursor || {}) };
+        const quote = (value) => `"${String(value).replace(/"/g, '\\"')}"`;
+        const overlap = (at) => new Date(Date.parse(at) - CHANGES_OVERLAP_MS).toISOString();
+        
+        const markAt = next.at && first ? overlap(next.at) : next.at;
+        const markId = next.at && first ? '' : next.id || '';
+        const after = markAt
+            ? `updated_at.gt.${quote(markAt)},and(updated_at.eq.${quote(markAt)},uuid.gt.${quote(markId)})`
+            : null;
+        let query = supabase.from(table).select('*').eq('user_email', userEmail);
+        if (after) query = query.or(after);
+        const { data, error } = await query
+            .order('updated_at', { ascending: true })
+            .order('uuid', { ascending: true })
+            .limit(limit);
+        if (error) throw new Error(error.message);
+        
+        let remaining = (data || []).length < limit ? 0 : null;
+        if (remaining === null && first) {
+            let countQuery = supabase.from(table).select('uuid', { count: 'exact', head: true }).eq('user_email', userEmail);
+            if (after) countQuery = countQuery.or(after);
+            const { count: total, error: countError } = await countQuery;
+            if (!countError && Number.isInteger(total)) remaining = Math.max(0, total - data.length);
+        }
+        
+        const rows = (data || []).filter(row => row.uuid);
+        const last = rows[rows.length - 1];
+        if (last?.updated_at) {
+            next.at = last.updated_at;
+            next.id = last.uuid;
+        }
+        
+        // Rows deleted outright; missing before migration 032
+        let deleted = [];
+        let tombstones = [];
+        let tombstoneQuery = supabase.from('sync_tombstones').select('id, uuid, deleted_at')
+            .eq('table_name', table).eq('user_email', userEmail);
+        if (next.tombstone && first && next.tombstoneAt) {
+            tombstoneQuery = tombstoneQuery.or(`id.gt.${next.tombstone},deleted_at.gte.${quote(overlap(next.tombstoneAt))}`);
+        } else if (next.tombstone) {
+            tombstoneQuery = tombstoneQuery.gt('id', next.tombstone);
+        }
+        const { data: tombstoneRows, error: tombstoneError } = await tombstoneQuery.order('id', { ascending: true }).limit(limit);
+        if (!tombstoneError) {
+            tombstones = tombstoneRows || [];
+            deleted = tombstones.map(t => t.uuid);
+            if (tombstones.length > 0) next.tombstone = tombstones[tombstones.length - 1].id;
+            tombstones.forEach(t => {
+                if (!next.tombstoneAt || t.deleted_at > next.tombstoneAt) next.tombstoneAt = t.deleted_at;
+            });
+        }
+        
+        return {
+            rows,
+            deleted,
+            cursor: next,
+            hasMore: (data || []).length >= limit || tombstones.length >= limit,
+            remaining
+        };
+    }
+    
     async function deleteEntity(table, uuid) {
         if (!supabase) await initSupabase();
         if (!supabase) return { success: false };
@@ -1349,8 +1431,111 @@
     // Assets
     async function saveAsset(data) { return saveEntity('assets', data); }
     async function getAssets() { return getEntities('assets'); }
+    async function getAssetChanges(cursor, options) { return getChangesSince('assets', cursor, options); }
     async function deleteAsset(uuid) { return deleteEntity('assets', uuid); }
     
+    // Asset Versions (row per version; the file itself goes to Storage)
+    const ASSET_VERSIONS_BUCKET = 'asset-versions';
+    async function saveAssetVersion(data) { return saveEntity('asset_versions', data); }
+    async function getAssetVersions(assetUuid) {
+        return getEntities('asset_versions', { filter: { asset_uuid: assetUuid } });
+    }
+    async function deleteAssetVersion(uuid) { return deleteEntity('asset_versions', uuid); }
+
+    async function uploadAssetVersionFile(path, blob, contentType) {
+        if (!supabase) await initSupabase();
+        if (!supabase) return { success: false, error: 'Not initialized' };
+        
+        try {
+            const { error } = await supabase.storage
+                .from(ASSET_VERSIONS_BUCKET)
+                .upload(path, blob, { contentType, upsert: true });
+            
+            if (error) return { success: false, error: error.message };
+            return { success: true, path };
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    }
+
+    async function downloadAssetVersionFile(path) {
+        if (!supabase) await initSupabase();
+        if (!supabase) return null;
+        
+        try {
+            const { data, error } = await supabase.storage.from(ASSET_VERSIONS_BUCKET).download(path);
+            if (error) {
+                console.warn('[Supabase] Version download failed:', error.message);
+                return null;
+            }
+            return data;
+        } catch (e) {
+            console.warn('[Supabase] Version download exception:', e);
+            return null;
+        }
+    }
+
+    // Library files offloaded from IndexedDB (storage-quota.js)
+    const ASSET_BLOBS_BUCKET = 'asset-blobs';
+
+    async function uploadAssetBlob(path, blob, contentType) {
+        if (!supabase) await initSupabase();
+        if (!supabase) return { success: false, error: 'Not initialized' };
+
+        try {
+            const { error } = await supabase.storage
+                .from(ASSET_BLOBS_BUCKET)
+                .upload(path, blob, { contentType, upsert: true });
+
+            if (error) return { success: false, error: error.message };
+            return { success: true, path };
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    }
+
+    async function downloadAssetBlob(path) {
+        if (!supabase) await initSupabase();
+        if (!supabase) return null;
+
+        try {
+            const { data, error } = await supabase.storage.from(ASSET_BLOBS_BUCKET).download(path);
+            if (error) {
+                console.warn('[Supabase] Blob download failed:', error.message);
+                return null;
+            }
+            return data;
+        } catch (e) {
+            console.warn('[Supabase] Blob download exception:', e);
+            return null;
+        }
+    }
+
+    // Short-lived URL a <video> can stream from without downloading the whole file
+    async function getAssetBlobUrl(path, expiresIn = 3600) {
+        if (!supabase) await initSupabase();
+        if (!supabase) return null;
+
+        try {
+            const { data, error } = await supabase.storage.from(ASSET_BLOBS_BUCKET).createSignedUrl(path, expiresIn);
+            return error ? null : data?.signedUrl || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async function deleteAssetBlob(path) {
+        if (!supabase) await initSupabase();
+        if (!supabase) return { success: false, error: 'Not initialized' };
+
+        try {
+            const { error } = await supabase.storage.from(ASSET_BLOBS_BUCKET).remove([path]);
+            return error ? { success: false, error: error.message } : { success: true };
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    }
+
     // Validations
     async function saveValidation(data) { return saveEntity('validations', data); }
     async function getValidations() { return getEntities('validations'); }
@@ -1407,6 +1592,46 @@
     async function saveSwipeFile(data) { return saveEntity('swipe_files', data); }
     async function getSwipeFiles() { return getEntities('swipe_files'); }
 
+    // Search (search_documents, kept current by triggers; see migration 030)
+    async function searchDocuments({ terms = [], phrases = [], excludeTerms = [], filters = {}, exclude = {}, limit = 50 } = {}) {
+        if (!supabase) await initSupabase();
+        if (!supabase) return null;
+        
+        const { data, error } = await supabase.rpc('search_documents_query', {
+            p_terms: terms,
+            p_phrases: phrases,
+            p_exclude_terms: excludeTerms,
+            p_filters: filters,
+            p_exclude: exclude,
+            p_owner: getCurrentUserEmail() || null,
+            p_limit: limit
+        });
+        if (error) throw new Error(error.message);
+        return data;
+    }
+
+    // Search documents changed after cursor ({ updatedAt, id }), deleted ones included
+    async function getSearchDocumentChanges(cursor, limit = 500) {
+        if (!supabase) await initSupabase();
+        if (!supabase) return [];
+        
+        let query = supabase
+            .from('search_documents')
+            .select('id, kind, source_table, source_id, title, subtitle, keywords, body, facets, updated_at, deleted_at')
+            .order('updated_at', { ascending: true })
+            .order('id', { ascending: true })
+            .limit(limit);
+        const userEmail = getCurrentUserEmail();
+        if (userEmail) query = query.eq('owner_email', userEmail);
+        if (cursor) {
+            query = query.or(`updated_at.gt."${cursor.updatedAt}",and(updated_at.eq."${cursor.updatedAt}",id.gt."${cursor.id}")`);
+        }
+        
+        const { data, error } = await query;
+        if (error) throw new Error(error.message);
+        return data || [];
+    }
+
     window.CAVSupabase = {
         init: initSupabase,
         isConfigured,
@@ -1435,6 +1660,7 @@
         // Generic entity operations
         saveEntity,
         getEntities,
+        getChangesSince,
         deleteEntity,
         
         // CRM - Companies
@@ -1563,8 +1789,22 @@
         // Assets
         saveAsset,
         getAssets,
+        getAssetChanges,
         deleteAsset,
         
+        // Asset Versions
+        saveAssetVersion,
+        getAssetVersions,
+        deleteAssetVersion,
+        uploadAssetVersionFile,
+        downloadAssetVersionFile,
+
+        // Offloaded library files
+        uploadAssetBlob,
+        downloadAssetBlob,
+        getAssetBlobUrl,
+        deleteAssetBlob,
+
         // Validations
         saveValidation,
         getValidations,
@@ -1611,7 +1851,11 @@
         
         // Swipe Files (plural)
         saveSwipeFile,
-        getSwipeFiles
+        getSwipeFiles,
+        
+        // Search
+        searchDocuments,
+        getSearchDocumentChanges
     };
 
     // Auto-initialize if configured
@@ -0,0 +1,50 @@
+-- Migration 026: Workspace Channel Specs
+-- Custom channel specs shared by everyone in a workspace (email domain org id)
+
+-- Create table if not exists
+CREATE TABLE IF NOT EXISTS workspace_channel_specs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    uuid TEXT UNIQUE,
+    organization_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    spec JSONB DEFAULT '{}',
+    metadata JSONB DEFAULT '{}',
+    user_email TEXT,
+    owner_email TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    deleted_at TIMESTAMPTZ
+);
+
+-- Add missing columns
+ALTER TABLE workspace_channel_specs ADD COLUMN IF NOT EXISTS uuid TEXT;
+ALTER TABLE workspace_channel_specs ADD COLUMN IF NOT EXISTS organization_id TEXT;
+ALTER TABLE workspace_channel_specs ADD COLUMN IF NOT EXISTS name TEXT;
+ALTER TABLE workspace_channel_specs ADD COLUMN IF NOT EXISTS spec JSONB DEFAULT '{}';
+ALTER TABLE workspace_channel_specs ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+ALTER TABLE workspace_channel_specs ADD COLUMN IF NOT EXISTS user_email TEXT;
+ALTER TABLE workspace_channel_specs ADD COLUMN IF NOT EXISTS owner_email TEXT;
+ALTER TABLE workspace_channel_specs ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+-- Add unique constraint on uuid
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'workspace_channel_specs_uuid_unique') THEN
+        ALTER TABLE workspace_channel_specs ADD CONSTRAINT workspace_channel_specs_uuid_unique UNIQUE (uuid);
+    END IF;
+EXCEPTION WHEN others THEN NULL;
+END $$;
+
+-- Enable RLS
+ALTER TABLE workspace_channel_specs ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "allow_all_workspace_channel_specs" ON workspace_channel_specs;
+CREATE POLICY "allow_all_workspace_channel_specs" ON workspace_channel_specs FOR ALL USING (true) WITH CHECK (true);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_workspace_channel_specs_org ON workspace_channel_specs(organization_id);
+CREATE INDEX IF NOT EXISTS idx_workspace_channel_specs_uuid ON workspace_channel_specs(uuid);
+
+-- Refresh schema
+NOTIFY pgrst, 'reload schema';
+
+DO $$ BEGIN RAISE NOTICE '✅ Migration 026 complete: workspace_channel_specs created'; END $$;
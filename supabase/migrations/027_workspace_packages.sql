@@ -0,0 +1,50 @@
+-- Migration 027: Workspace Packages
+-- Custom platform packages (channels + crop/gravity/background overrides, with version history) shared per workspace
+
+-- Create table if not exists
+CREATE TABLE IF NOT EXISTS workspace_packages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    uuid TEXT UNIQUE,
+    organization_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    definition JSONB DEFAULT '{}',
+    metadata JSONB DEFAULT '{}',
+    user_email TEXT,
+    owner_email TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    deleted_at TIMESTAMPTZ
+);
+
+-- Add missing columns
+ALTER TABLE workspace_packages ADD COLUMN IF NOT EXISTS uuid TEXT;
+ALTER TABLE workspace_packages ADD COLUMN IF NOT EXISTS organization_id TEXT;
+ALTER TABLE workspace_packages ADD COLUMN IF NOT EXISTS name TEXT;
+ALTER TABLE workspace_packages ADD COLUMN IF NOT EXISTS definition JSONB DEFAULT '{}';
+ALTER TABLE workspace_packages ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+ALTER TABLE workspace_packages ADD COLUMN IF NOT EXISTS user_email TEXT;
+ALTER TABLE workspace_packages ADD COLUMN IF NOT EXISTS owner_email TEXT;
+ALTER TABLE workspace_packages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+-- Add unique constraint on uuid
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'workspace_packages_uuid_unique') THEN
+        ALTER TABLE workspace_packages ADD CONSTRAINT workspace_packages_uuid_unique UNIQUE (uuid);
+    END IF;
+EXCEPTION WHEN others THEN NULL;
+END $$;
+
+-- Enable RLS
+ALTER TABLE workspace_packages ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "allow_all_workspace_packages" ON workspace_packages;
+CREATE POLICY "allow_all_workspace_packages" ON workspace_packages FOR ALL USING (true) WITH CHECK (true);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_workspace_packages_org ON workspace_packages(organization_id);
+CREATE INDEX IF NOT EXISTS idx_workspace_packages_uuid ON workspace_packages(uuid);
+
+-- Refresh schema
+NOTIFY pgrst, 'reload schema';
+
+DO $$ BEGIN RAISE NOTICE '✅ Migration 027 complete: workspace_packages created'; END $$;
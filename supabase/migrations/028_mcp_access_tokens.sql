@@ -0,0 +1,46 @@
+-- Migration 028: MCP Access Tokens
+-- Per-user tokens that scope what the MCP server's library resources and prompts can read
+
+-- Create table if not exists
+CREATE TABLE IF NOT EXISTS mcp_access_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    token_hash TEXT NOT NULL,
+    user_email TEXT NOT NULL,
+    label TEXT,
+    scopes TEXT[] DEFAULT ARRAY['assets', 'crm', 'analyses'],
+    include_team BOOLEAN DEFAULT true,
+    expires_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Add missing columns
+ALTER TABLE mcp_access_tokens ADD COLUMN IF NOT EXISTS token_hash TEXT;
+ALTER TABLE mcp_access_tokens ADD COLUMN IF NOT EXISTS user_email TEXT;
+ALTER TABLE mcp_access_tokens ADD COLUMN IF NOT EXISTS label TEXT;
+ALTER TABLE mcp_access_tokens ADD COLUMN IF NOT EXISTS scopes TEXT[] DEFAULT ARRAY['assets', 'crm', 'analyses'];
+ALTER TABLE mcp_access_tokens ADD COLUMN IF NOT EXISTS include_team BOOLEAN DEFAULT true;
+ALTER TABLE mcp_access_tokens ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+ALTER TABLE mcp_access_tokens ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ;
+
+-- Add unique constraint on token_hash
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'mcp_access_tokens_hash_unique') THEN
+        ALTER TABLE mcp_access_tokens ADD CONSTRAINT mcp_access_tokens_hash_unique UNIQUE (token_hash);
+    END IF;
+EXCEPTION WHEN others THEN NULL;
+END $$;
+
+-- Enable RLS without policies: only the service role (the MCP server) reads tokens
+ALTER TABLE mcp_access_tokens ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "allow_all_mcp_access_tokens" ON mcp_access_tokens;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_mcp_access_tokens_hash ON mcp_access_tokens(token_hash);
+CREATE INDEX IF NOT EXISTS idx_mcp_access_tokens_user ON mcp_access_tokens(user_email);
+
+-- Refresh schema
+NOTIFY pgrst, 'reload schema';
+
+DO $$ BEGIN RAISE NOTICE '✅ Migration 028 complete: mcp_access_tokens created'; END $$;
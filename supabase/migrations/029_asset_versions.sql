@@ -0,0 +1,85 @@
+-- Migration 029: Asset Versions
+-- Version history per asset: one row per version (dimensions, validation result, AI scores),
+-- with the file itself in the asset-versions Storage bucket
+
+-- Create table if not exists
+CREATE TABLE IF NOT EXISTS asset_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    uuid TEXT UNIQUE,
+    asset_uuid TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    filename TEXT,
+    file_type TEXT,
+    mime_type TEXT,
+    file_size BIGINT,
+    width INTEGER,
+    height INTEGER,
+    duration NUMERIC,
+    file_hash TEXT,
+    storage_path TEXT,
+    validation JSONB,
+    ai_scores JSONB,
+    note TEXT,
+    reason TEXT,
+    metadata JSONB DEFAULT '{}',
+    user_email TEXT,
+    owner_email TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    deleted_at TIMESTAMPTZ
+);
+
+-- Add missing columns
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS uuid TEXT;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS asset_uuid TEXT;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS version INTEGER;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS filename TEXT;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS file_type TEXT;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS mime_type TEXT;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS file_size BIGINT;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS width INTEGER;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS height INTEGER;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS duration NUMERIC;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS file_hash TEXT;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS storage_path TEXT;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS validation JSONB;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS ai_scores JSONB;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS note TEXT;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS reason TEXT;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS user_email TEXT;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS owner_email TEXT;
+ALTER TABLE asset_versions ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+-- Add unique constraint on uuid
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'asset_versions_uuid_unique') THEN
+        ALTER TABLE asset_versions ADD CONSTRAINT asset_versions_uuid_unique UNIQUE (uuid);
+    END IF;
+EXCEPTION WHEN others THEN NULL;
+END $$;
+
+-- Enable RLS
+ALTER TABLE asset_versions ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "allow_all_asset_versions" ON asset_versions;
+CREATE POLICY "allow_all_asset_versions" ON asset_versions FOR ALL USING (true) WITH CHECK (true);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_asset_versions_asset ON asset_versions(asset_uuid);
+CREATE INDEX IF NOT EXISTS idx_asset_versions_uuid ON asset_versions(uuid);
+CREATE INDEX IF NOT EXISTS idx_asset_versions_owner ON asset_versions(owner_email);
+
+-- Storage bucket for version files (private; same access model as the table)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('asset-versions', 'asset-versions', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "allow_all_asset_versions_files" ON storage.objects;
+CREATE POLICY "allow_all_asset_versions_files" ON storage.objects
+    FOR ALL USING (bucket_id = 'asset-versions') WITH CHECK (bucket_id = 'asset-versions');
+
+-- Refresh schema
+NOTIFY pgrst, 'reload schema';
+
+DO $$ BEGIN RAISE NOTICE '✅ Migration 029 complete: asset_versions and asset-versions bucket created'; END $$;
@@ -0,0 +1,501 @@
+-- Migration 030: Search Index
+-- Full-text and faceted search over assets, analyses, swipe files and CRM records.
+-- Triggers keep one search_documents row per searchable record (title, body text,
+-- facets); search_documents_query() answers searches from search-index.js, which also
+-- mirrors the rows into IndexedDB for offline search. Deleted records leave a row with
+-- deleted_at set so the mirror can drop them.
+
+-- Trigram similarity for typo-tolerant matching
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Create table if not exists
+CREATE TABLE IF NOT EXISTS search_documents (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    source_table TEXT NOT NULL,
+    source_id TEXT NOT NULL,
+    owner_email TEXT,
+    title TEXT,
+    subtitle TEXT,
+    keywords TEXT,
+    body TEXT,
+    facets JSONB DEFAULT '{}',
+    tsv TSVECTOR,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    deleted_at TIMESTAMPTZ
+);
+
+-- Add missing columns
+ALTER TABLE search_documents ADD COLUMN IF NOT EXISTS kind TEXT;
+ALTER TABLE search_documents ADD COLUMN IF NOT EXISTS source_table TEXT;
+ALTER TABLE search_documents ADD COLUMN IF NOT EXISTS source_id TEXT;
+ALTER TABLE search_documents ADD COLUMN IF NOT EXISTS owner_email TEXT;
+ALTER TABLE search_documents ADD COLUMN IF NOT EXISTS title TEXT;
+ALTER TABLE search_documents ADD COLUMN IF NOT EXISTS subtitle TEXT;
+ALTER TABLE search_documents ADD COLUMN IF NOT EXISTS keywords TEXT;
+ALTER TABLE search_documents ADD COLUMN IF NOT EXISTS body TEXT;
+ALTER TABLE search_documents ADD COLUMN IF NOT EXISTS facets JSONB DEFAULT '{}';
+ALTER TABLE search_documents ADD COLUMN IF NOT EXISTS tsv TSVECTOR;
+ALTER TABLE search_documents ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+-- Words seen in any document, for typo tolerance: query words are expanded
+-- with similar words from here before the full-text match
+CREATE TABLE IF NOT EXISTS search_terms (
+    word TEXT PRIMARY KEY
+);
+
+-- Enable RLS
+ALTER TABLE search_documents ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "allow_all_search_documents" ON search_documents;
+CREATE POLICY "allow_all_search_documents" ON search_documents FOR ALL USING (true) WITH CHECK (true);
+
+ALTER TABLE search_terms ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "allow_all_search_terms" ON search_terms;
+CREATE POLICY "allow_all_search_terms" ON search_terms FOR ALL USING (true) WITH CHECK (true);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_search_documents_tsv ON search_documents USING GIN (tsv);
+CREATE INDEX IF NOT EXISTS idx_search_documents_facets ON search_documents USING GIN (facets);
+CREATE INDEX IF NOT EXISTS idx_search_documents_owner ON search_documents(owner_email);
+CREATE INDEX IF NOT EXISTS idx_search_documents_changes ON search_documents(updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_search_terms_trgm ON search_terms USING GIN (word gin_trgm_ops);
+
+-- ============================================================
+-- HELPERS
+-- ============================================================
+
+-- All string values in a JSON document (analysis results, notes, tags), without
+-- data URLs and other blobs
+CREATE OR REPLACE FUNCTION search_jsonb_text(p_value JSONB)
+RETURNS TEXT LANGUAGE sql IMMUTABLE AS $$
+    SELECT left(COALESCE(string_agg(v #>> '{}', ' '), ''), 20000)
+    FROM jsonb_path_query(COALESCE(p_value, 'null'::jsonb), 'strict $.**') AS v
+    WHERE jsonb_typeof(v) = 'string'
+      AND left(v #>> '{}', 5) <> 'data:'
+      AND NOT (length(v #>> '{}') > 500 AND position(' ' IN v #>> '{}') = 0);
+$$;
+
+-- String values of a list, or of an object's values (asset tags are either)
+CREATE OR REPLACE FUNCTION search_jsonb_values(p_value JSONB, p_skip_keys TEXT[] DEFAULT '{}')
+RETURNS JSONB LANGUAGE sql IMMUTABLE AS $$
+    SELECT COALESCE(jsonb_agg(DISTINCT trim(v)) FILTER (WHERE trim(v) <> ''), '[]'::jsonb)
+    FROM (
+        SELECT jsonb_array_elements_text(p_value) AS v WHERE jsonb_typeof(p_value) = 'array'
+        UNION ALL
+        SELECT e.value #>> '{}' FROM jsonb_each(CASE WHEN jsonb_typeof(p_value) = 'object' THEN p_value ELSE '{}'::jsonb END) e
+        WHERE jsonb_typeof(e.value) = 'string' AND NOT e.key = ANY(p_skip_keys)
+        UNION ALL
+        SELECT p_value #>> '{}' WHERE jsonb_typeof(p_value) = 'string'
+    ) s;
+$$;
+
+-- Facet values compare without case, spaces or punctuation (search-index.js facetKey)
+CREATE OR REPLACE FUNCTION search_facet_key(p_value TEXT)
+RETURNS TEXT LANGUAGE sql IMMUTABLE AS $$
+    SELECT regexp_replace(lower(COALESCE(p_value, '')), '[^[:alnum:]:.]+', '', 'g');
+$$;
+
+-- Aspect ratio label, snapped like validator-app calculateAspectRatio
+CREATE OR REPLACE FUNCTION search_ratio(p_width NUMERIC, p_height NUMERIC)
+RETURNS TEXT LANGUAGE plpgsql IMMUTABLE AS $$
+DECLARE
+    v_ratio NUMERIC;
+    v_gcd BIGINT;
+    v_label TEXT;
+    v_target NUMERIC;
+BEGIN
+    IF p_width IS NULL OR p_height IS NULL OR p_width <= 0 OR p_height <= 0 THEN
+        RETURN NULL;
+    END IF;
+    v_ratio := p_width / p_height;
+    FOR v_label, v_target IN
+        SELECT * FROM (VALUES ('16:9', 16.0 / 9), ('9:16', 9.0 / 16), ('1:1', 1.0), ('4:5', 0.8),
+                              ('1.91:1', 1.91), ('2:3', 2.0 / 3), ('3:4', 0.75)) AS r(label, target)
+    LOOP
+        IF abs(v_target - v_ratio) < 0.05 THEN
+            RETURN v_label;
+        END IF;
+    END LOOP;
+    v_gcd := gcd(round(p_width)::BIGINT, round(p_height)::BIGINT);
+    RETURN (round(p_width)::BIGINT / v_gcd) || ':' || (round(p_height)::BIGINT / v_gcd);
+END;
+$$;
+
+-- Name of a brand field stored as text or as { name }
+CREATE OR REPLACE FUNCTION search_brand_name(p_value JSONB)
+RETURNS TEXT LANGUAGE sql IMMUTABLE AS $$
+    SELECT CASE jsonb_typeof(p_value)
+        WHEN 'string' THEN p_value #>> '{}'
+        WHEN 'object' THEN p_value ->> 'name'
+    END;
+$$;
+
+-- ============================================================
+-- DOCUMENTS
+-- ============================================================
+
+-- Index one row of a source table (the row as JSON, so tables that are missing
+-- some columns still index). Rows with deleted_at set mark their document deleted.
+CREATE OR REPLACE FUNCTION search_index_row(p_table TEXT, p_row JSONB)
+RETURNS VOID LANGUAGE plpgsql SECURITY DEFINER SET search_path = public AS $$
+DECLARE
+    v_source_id TEXT := COALESCE(p_row ->> 'uuid', p_row ->> 'id');
+    v_id TEXT;
+    v_kind TEXT;
+    v_title TEXT;
+    v_subtitle TEXT;
+    v_keywords TEXT;
+    v_body TEXT;
+    v_facets JSONB;
+    v_brands JSONB := '[]'::jsonb;
+    v_status JSONB := '[]'::jsonb;
+    v_text_row JSONB;
+BEGIN
+    IF v_source_id IS NULL THEN
+        RETURN;
+    END IF;
+    v_id := p_table || ':' || v_source_id;
+
+    IF p_row ->> 'deleted_at' IS NOT NULL THEN
+        UPDATE search_documents SET deleted_at = NOW(), updated_at = NOW()
+        WHERE id = v_id AND deleted_at IS NULL;
+        RETURN;
+    END IF;
+
+    -- Body text: every string in the row except ids, owners, timestamps and URLs
+    v_text_row := p_row - ARRAY['id', 'uuid', 'user_id', 'user_email', 'owner_email', 'created_by',
+        'created_at', 'updated_at', 'deleted_at', 'thumbnail_url', 'storage_url', 'external_url',
+        'url', 'storage_path', 'file_hash', 'mime_type', 'company_id', 'project_id', 'organization_id',
+        'sharing', 'linked_assets', 'linked_contacts', 'linked_projects', 'logo'];
+    v_body := search_jsonb_text(v_text_row);
+
+    IF p_table = 'assets' THEN
+        v_kind := 'asset';
+        v_title := COALESCE(p_row ->> 'filename', p_row ->> 'name', p_row ->> 'original_filename');
+        v_subtitle := concat_ws(' · ', COALESCE(p_row ->> 'file_type', p_row ->> 'type'),
+            CASE WHEN p_row ->> 'width' IS NOT NULL THEN (p_row ->> 'width') || '×' || (p_row ->> 'height') END);
+        IF to_regclass('public.companies') IS NOT NULL THEN
+            SELECT COALESCE(jsonb_agg(DISTINCT c.name), '[]'::jsonb) INTO v_brands
+            FROM companies c
+            WHERE to_jsonb(c) ->> 'deleted_at' IS NULL
+              AND c.name IS NOT NULL
+              AND jsonb_typeof(to_jsonb(c) -> 'linked_assets') = 'array'
+              AND (to_jsonb(c) -> 'linked_assets') ? v_source_id;
+        END IF;
+        v_status := search_jsonb_values(jsonb_build_array(
+            p_row -> 'metadata' ->> 'validation_status',
+            CASE WHEN jsonb_typeof(p_row -> 'tags') = 'object' THEN p_row -> 'tags' ->> 'status' END));
+        v_facets := jsonb_build_object(
+            'brand', v_brands,
+            'ratio', search_jsonb_values(to_jsonb(COALESCE(p_row ->> 'aspect_ratio',
+                search_ratio((p_row ->> 'width')::NUMERIC, (p_row ->> 'height')::NUMERIC)))),
+            'status', v_status,
+            'type', jsonb_build_array(CASE WHEN COALESCE(p_row ->> 'file_type', p_row ->> 'type', '') ILIKE 'video%' THEN 'video' ELSE 'image' END),
+            'tag', search_jsonb_values(p_row -> 'tags', ARRAY['status']),
+            'channel', search_jsonb_values(p_row -> 'channels'));
+        v_keywords := concat_ws(' ', search_jsonb_text(v_brands), search_jsonb_text(v_facets -> 'tag'));
+
+    ELSIF p_table IN ('creative_analyses', 'video_analyses', 'url_analyses') THEN
+        v_kind := 'analysis';
+        v_title := COALESCE(p_row ->> 'asset_filename', p_row ->> 'title', p_row ->> 'filename', p_row ->> 'url', 'Analysis');
+        v_subtitle := CASE p_table WHEN 'creative_analyses' THEN 'Creative analysis'
+            WHEN 'video_analyses' THEN 'Video analysis' ELSE 'URL analysis' END;
+        v_brands := search_jsonb_values(to_jsonb(search_brand_name(COALESCE(p_row -> 'detected_brand', p_row -> 'brand'))));
+        v_facets := jsonb_build_object(
+            'brand', v_brands,
+            'ratio', search_jsonb_values(to_jsonb(search_ratio((p_row ->> 'width')::NUMERIC, (p_row ->> 'height')::NUMERIC))),
+            'type', search_jsonb_values(to_jsonb(COALESCE(p_row ->> 'asset_type',
+                CASE p_table WHEN 'video_analyses' THEN 'video' WHEN 'url_analyses' THEN COALESCE(p_row ->> 'url_type', 'url') END))),
+            'tag', search_jsonb_values(p_row -> 'tags'));
+        v_keywords := concat_ws(' ', search_jsonb_text(v_brands), p_row ->> 'detected_industry');
+
+    ELSIF p_table = 'swipe_files' THEN
+        v_kind := 'swipe';
+        v_title := COALESCE(p_row ->> 'title', p_row ->> 'name', p_row ->> 'url', 'Swipe file entry');
+        v_subtitle := COALESCE(p_row ->> 'url', p_row ->> 'source');
+        v_brands := search_jsonb_values(to_jsonb(search_brand_name(p_row -> 'brand')));
+        v_facets := jsonb_build_object(
+            'brand', v_brands,
+            'type', search_jsonb_values(p_row -> 'type'),
+            'tag', search_jsonb_values(p_row -> 'tags'));
+        v_keywords := concat_ws(' ', search_jsonb_text(v_brands), search_jsonb_text(p_row -> 'tags'));
+
+    ELSIF p_table = 'companies' THEN
+        v_kind := 'company';
+        v_title := p_row ->> 'name';
+        v_subtitle := concat_ws(' · ', p_row ->> 'type', p_row ->> 'industry');
+        v_facets := jsonb_build_object(
+            'brand', search_jsonb_values(p_row -> 'name'),
+            'status', search_jsonb_values(p_row -> 'status'),
+            'type', search_jsonb_values(p_row -> 'type'),
+            'tag', search_jsonb_values(p_row -> 'tags'));
+        v_keywords := concat_ws(' ', p_row ->> 'name', p_row ->> 'domain', search_jsonb_text(p_row -> 'tags'));
+
+    ELSIF p_table = 'contacts' THEN
+        v_kind := 'contact';
+        v_title := COALESCE(NULLIF(concat_ws(' ', p_row ->> 'first_name', p_row ->> 'last_name'), ''), p_row ->> 'name', p_row ->> 'email');
+        v_subtitle := concat_ws(', ', p_row ->> 'title', p_row ->> 'company_name');
+        v_facets := jsonb_build_object(
+            'brand', search_jsonb_values(p_row -> 'company_name'),
+            'status', search_jsonb_values(p_row -> 'status'),
+            'type', search_jsonb_values(p_row -> 'type'),
+            'tag', search_jsonb_values(p_row -> 'tags'));
+        v_keywords := concat_ws(' ', v_title, p_row ->> 'email', p_row ->> 'company_name', search_jsonb_text(p_row -> 'tags'));
+
+    ELSIF p_table = 'projects' THEN
+        v_kind := 'project';
+        v_title := p_row ->> 'name';
+        v_subtitle := concat_ws(' · ', p_row ->> 'client_name', p_row ->> 'status');
+        v_facets := jsonb_build_object(
+            'brand', search_jsonb_values(p_row -> 'client_name'),
+            'status', search_jsonb_values(p_row -> 'status'),
+            'type', search_jsonb_values(p_row -> 'type'),
+            'tag', search_jsonb_values(p_row -> 'tags'),
+            'channel', search_jsonb_values(p_row -> 'channels'));
+        v_keywords := concat_ws(' ', p_row ->> 'client_name', search_jsonb_text(p_row -> 'tags'));
+
+    ELSE
+        RETURN;
+    END IF;
+
+    -- Empty facets are left out, as in search-index.js
+    v_facets := jsonb_build_object('kind', jsonb_build_array(v_kind)) || COALESCE((
+        SELECT jsonb_object_agg(key, value) FROM jsonb_each(v_facets)
+        WHERE jsonb_typeof(value) = 'array' AND jsonb_array_length(value) > 0
+    ), '{}'::jsonb);
+
+    INSERT INTO search_documents (id, kind, source_table, source_id, owner_email, title, subtitle,
+        keywords, body, facets, tsv, updated_at, deleted_at)
+    VALUES (v_id, v_kind, p_table, v_source_id,
+        COALESCE(p_row ->> 'owner_email', p_row ->> 'user_email', p_row ->> 'created_by'),
+        COALESCE(v_title, '(untitled)'), v_subtitle, v_keywords, v_body, v_facets,
+        setweight(to_tsvector('english', COALESCE(v_title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(v_keywords, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(v_body, '')), 'C'),
+        NOW(), NULL)
+    ON CONFLICT (id) DO UPDATE SET
+        owner_email = EXCLUDED.owner_email,
+        title = EXCLUDED.title,
+        subtitle = EXCLUDED.subtitle,
+        keywords = EXCLUDED.keywords,
+        body = EXCLUDED.body,
+        facets = EXCLUDED.facets,
+        tsv = EXCLUDED.tsv,
+        updated_at = NOW(),
+        deleted_at = NULL;
+
+    INSERT INTO search_terms (word)
+    SELECT DISTINCT w
+    FROM regexp_split_to_table(lower(concat_ws(' ', v_title, v_keywords, v_body)), '[^[:alnum:]]+') AS w
+    WHERE length(w) BETWEEN 4 AND 30 AND w !~ '[0-9]'
+    ON CONFLICT (word) DO NOTHING;
+END;
+$$;
+
+-- Trigger: keep the row's search document current
+CREATE OR REPLACE FUNCTION search_index_trigger()
+RETURNS TRIGGER LANGUAGE plpgsql SECURITY DEFINER SET search_path = public AS $$
+DECLARE
+    v_old JSONB;
+    v_new JSONB;
+    v_asset TEXT;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        v_old := to_jsonb(OLD);
+        UPDATE search_documents SET deleted_at = NOW(), updated_at = NOW()
+        WHERE id = TG_TABLE_NAME || ':' || COALESCE(v_old ->> 'uuid', v_old ->> 'id') AND deleted_at IS NULL;
+        RETURN OLD;
+    END IF;
+
+    v_new := to_jsonb(NEW);
+    PERFORM search_index_row(TG_TABLE_NAME, v_new);
+
+    -- Asset documents carry the brands of the companies linking them
+    IF TG_TABLE_NAME = 'companies' AND to_regclass('public.assets') IS NOT NULL THEN
+        v_old := CASE WHEN TG_OP = 'UPDATE' THEN to_jsonb(OLD) ELSE '{}'::jsonb END;
+        IF v_old -> 'linked_assets' IS DISTINCT FROM v_new -> 'linked_assets'
+           OR v_old ->> 'name' IS DISTINCT FROM v_new ->> 'name'
+           OR v_old ->> 'deleted_at' IS DISTINCT FROM v_new ->> 'deleted_at' THEN
+            FOR v_asset IN
+                SELECT DISTINCT jsonb_array_elements_text(l.value)
+                FROM (VALUES (v_old -> 'linked_assets'), (v_new -> 'linked_assets')) AS l(value)
+                WHERE jsonb_typeof(l.value) = 'array'
+            LOOP
+                PERFORM search_index_row('assets', to_jsonb(a))
+                FROM assets a
+                WHERE a.uuid = v_asset OR a.id::TEXT = v_asset;
+            END LOOP;
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- Attach to every searchable table that exists, and index the rows already there
+DO $$
+DECLARE
+    v_table TEXT;
+BEGIN
+    FOREACH v_table IN ARRAY ARRAY['assets', 'creative_analyses', 'video_analyses', 'url_analyses',
+                                   'swipe_files', 'companies', 'contacts', 'projects']
+    LOOP
+        IF to_regclass('public.' || v_table) IS NOT NULL THEN
+            EXECUTE format('DROP TRIGGER IF EXISTS search_index_%1$s ON %1$I', v_table);
+            EXECUTE format('CREATE TRIGGER search_index_%1$s AFTER INSERT OR UPDATE OR DELETE ON %1$I
+                FOR EACH ROW EXECUTE FUNCTION search_index_trigger()', v_table);
+            EXECUTE format('SELECT search_index_row(%L, to_jsonb(t)) FROM %I t', v_table, v_table);
+            RAISE NOTICE 'Indexed %', v_table;
+        END IF;
+    END LOOP;
+END $$;
+
+-- ============================================================
+-- QUERY
+-- ============================================================
+
+-- Whether a document's facets pass key:value filters (values match the start of a
+-- facet value; kind matches exactly)
+CREATE OR REPLACE FUNCTION search_facets_match(p_facets JSONB, p_filters JSONB, p_exclude JSONB)
+RETURNS BOOLEAN LANGUAGE plpgsql IMMUTABLE AS $$
+DECLARE
+    v_key TEXT;
+    v_values JSONB;
+    v_hit BOOLEAN;
+BEGIN
+    FOR v_key, v_values IN SELECT key, value FROM jsonb_each(COALESCE(p_filters, '{}'::jsonb)) LOOP
+        SELECT EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements_text(v_values) AS w(value),
+                 jsonb_array_elements_text(COALESCE(p_facets -> v_key, '[]'::jsonb)) AS f(value)
+            WHERE CASE WHEN v_key = 'kind' THEN search_facet_key(f.value) = search_facet_key(w.value)
+                       ELSE search_facet_key(f.value) LIKE search_facet_key(w.value) || '%' END
+        ) INTO v_hit;
+        IF NOT v_hit THEN
+            RETURN FALSE;
+        END IF;
+    END LOOP;
+
+    FOR v_key, v_values IN SELECT key, value FROM jsonb_each(COALESCE(p_exclude, '{}'::jsonb)) LOOP
+        SELECT EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements_text(v_values) AS w(value),
+                 jsonb_array_elements_text(COALESCE(p_facets -> v_key, '[]'::jsonb)) AS f(value)
+            WHERE CASE WHEN v_key = 'kind' THEN search_facet_key(f.value) = search_facet_key(w.value)
+                       ELSE search_facet_key(f.value) LIKE search_facet_key(w.value) || '%' END
+        ) INTO v_hit;
+        IF v_hit THEN
+            RETURN FALSE;
+        END IF;
+    END LOOP;
+
+    RETURN TRUE;
+END;
+$$;
+
+-- Search one owner's documents.
+-- p_terms must all match (the last as a prefix; words of 4+ letters also match
+-- similar indexed words), p_phrases match as phrases, p_exclude_terms must not match.
+-- Returns { total, results: [{ id, kind, source_table, source_id, title, subtitle,
+-- snippet, facets, rank }], facets: { key: { value: count } } }.
+CREATE OR REPLACE FUNCTION search_documents_query(
+    p_terms TEXT[] DEFAULT '{}',
+    p_phrases TEXT[] DEFAULT '{}',
+    p_exclude_terms TEXT[] DEFAULT '{}',
+    p_filters JSONB DEFAULT '{}',
+    p_exclude JSONB DEFAULT '{}',
+    p_owner TEXT DEFAULT NULL,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS JSONB LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public AS $$
+DECLARE
+    v_query TSQUERY;
+    v_part TSQUERY;
+    v_word TEXT;
+    v_alternatives TEXT;
+    v_index INTEGER := 0;
+    v_count INTEGER := COALESCE(array_length(p_terms, 1), 0);
+    v_result JSONB;
+BEGIN
+    FOREACH v_word IN ARRAY COALESCE(p_terms, '{}') LOOP
+        v_index := v_index + 1;
+        v_word := regexp_replace(lower(v_word), '[^[:alnum:]]+', '', 'g');
+        CONTINUE WHEN v_word = '';
+
+        v_alternatives := NULL;
+        IF length(v_word) >= 4 AND v_word !~ '[0-9]' THEN
+            SELECT string_agg(quote_literal(t.word), ' | ') INTO v_alternatives
+            FROM (
+                SELECT word FROM search_terms
+                WHERE word % v_word AND word <> v_word AND abs(length(word) - length(v_word)) <= 2
+                ORDER BY similarity(word, v_word) DESC
+                LIMIT 5
+            ) t;
+        END IF;
+
+        v_part := to_tsquery('english', quote_literal(v_word)
+            || CASE WHEN v_index = v_count THEN ':*' ELSE '' END
+            || COALESCE(' | ' || v_alternatives, ''));
+        v_query := CASE WHEN v_query IS NULL THEN v_part ELSE v_query && v_part END;
+    END LOOP;
+
+    FOREACH v_word IN ARRAY COALESCE(p_phrases, '{}') LOOP
+        v_part := phraseto_tsquery('english', v_word);
+        v_query := CASE WHEN v_query IS NULL THEN v_part ELSE v_query && v_part END;
+    END LOOP;
+
+    -- Only stop words: no text condition
+    IF v_query IS NOT NULL AND numnode(v_query) = 0 THEN
+        v_query := NULL;
+    END IF;
+
+    FOREACH v_word IN ARRAY COALESCE(p_exclude_terms, '{}') LOOP
+        v_part := plainto_tsquery('english', v_word);
+        CONTINUE WHEN numnode(v_part) = 0;
+        v_query := CASE WHEN v_query IS NULL THEN !! v_part ELSE v_query && !! v_part END;
+    END LOOP;
+
+    WITH matched AS (
+        SELECT d.*, CASE WHEN v_query IS NULL THEN 0 ELSE ts_rank_cd(d.tsv, v_query) END AS rank
+        FROM search_documents d
+        WHERE d.deleted_at IS NULL
+          AND (p_owner IS NULL OR d.owner_email = p_owner)
+          AND (v_query IS NULL OR d.tsv @@ v_query)
+          AND search_facets_match(d.facets, p_filters, p_exclude)
+    ),
+    page AS (
+        SELECT id, kind, source_table, source_id, title, subtitle, facets, rank,
+            row_number() OVER (ORDER BY rank DESC, updated_at DESC) AS position,
+            CASE WHEN v_query IS NULL THEN left(COALESCE(body, ''), 160)
+                 ELSE ts_headline('english', COALESCE(NULLIF(body, ''), keywords, ''), v_query,
+                    'StartSel=«, StopSel=», MaxWords=30, MinWords=12, MaxFragments=1')
+            END AS snippet
+        FROM matched
+        ORDER BY rank DESC, updated_at DESC
+        LIMIT GREATEST(COALESCE(p_limit, 50), 0)
+    ),
+    counts AS (
+        SELECT e.key, f.value, count(*) AS n
+        FROM matched m,
+             jsonb_each(m.facets) AS e,
+             jsonb_array_elements_text(e.value) AS f(value)
+        GROUP BY e.key, f.value
+    )
+    SELECT jsonb_build_object(
+        'total', (SELECT count(*) FROM matched),
+        'results', COALESCE((SELECT jsonb_agg(to_jsonb(p) - 'position' ORDER BY p.position) FROM page p), '[]'::jsonb),
+        'facets', COALESCE((
+            SELECT jsonb_object_agg(key, values)
+            FROM (SELECT key, jsonb_object_agg(value, n) AS values FROM counts GROUP BY key) k
+        ), '{}'::jsonb)
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$;
+
+-- Refresh schema
+NOTIFY pgrst, 'reload schema';
+
+DO $$ BEGIN RAISE NOTICE '✅ Migration 030 complete: search_documents, triggers and search_documents_query created'; END $$;
@@ -0,0 +1,15 @@
+-- Migration 031: Asset Blobs
+-- Storage bucket for library files moved out of the browser by storage-quota.js.
+-- The library keeps a stub (bucket path, size, type) in IndexedDB and downloads the
+-- file again on demand; downloaded copies sit in an evictable local cache.
+
+-- Storage bucket for offloaded files (private; same access model as asset-versions)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('asset-blobs', 'asset-blobs', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "allow_all_asset_blobs_files" ON storage.objects;
+CREATE POLICY "allow_all_asset_blobs_files" ON storage.objects
+    FOR ALL USING (bucket_id = 'asset-blobs') WITH CHECK (bucket_id = 'asset-blobs');
+
+DO $$ BEGIN RAISE NOTICE '✅ Migration 031 complete: asset-blobs bucket created'; END $$;
@@ -0,0 +1,87 @@
+-- Migration 032: Delta Sync
+-- Incremental pulls for repository.js and the asset library. Clients keep a cursor per
+-- table, the (updated_at, uuid) of the last row they have, and ask only for rows after it.
+-- For that to hold, updated_at must come from the server's clock on every write, and
+-- rows deleted outright must leave a tombstone, as they are no longer there to be pulled.
+
+-- Create table if not exists
+CREATE TABLE IF NOT EXISTS sync_tombstones (
+    id BIGSERIAL PRIMARY KEY,
+    table_name TEXT NOT NULL,
+    uuid TEXT NOT NULL,
+    user_email TEXT,
+    organization_id TEXT,
+    deleted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable RLS
+ALTER TABLE sync_tombstones ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "allow_all_sync_tombstones" ON sync_tombstones;
+CREATE POLICY "allow_all_sync_tombstones" ON sync_tombstones FOR ALL USING (true) WITH CHECK (true);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_sync_tombstones_user ON sync_tombstones(user_email, id);
+CREATE INDEX IF NOT EXISTS idx_sync_tombstones_org ON sync_tombstones(organization_id, id);
+
+-- ============================================================
+-- TRIGGERS
+-- ============================================================
+
+-- Server time on every write: a client clock running behind would hide its rows
+-- from other devices whose cursors are already past that time. NOW() is the
+-- transaction's start, so a row can commit after rows stamped later than it;
+-- pulls re-read a minute behind their cursor (PULL_OVERLAP_MS in repository.js)
+-- and skip what they already have. sync_tombstones ids and deleted_at are
+-- re-read the same way.
+CREATE OR REPLACE FUNCTION sync_set_updated_at()
+RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+    NEW.updated_at := NOW();
+    RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION sync_record_tombstone()
+RETURNS TRIGGER LANGUAGE plpgsql AS $$
+DECLARE
+    v_row JSONB := to_jsonb(OLD);
+BEGIN
+    IF v_row->>'uuid' IS NOT NULL THEN
+        INSERT INTO sync_tombstones (table_name, uuid, user_email, organization_id)
+        VALUES (TG_TABLE_NAME, v_row->>'uuid', v_row->>'user_email', v_row->>'organization_id');
+    END IF;
+    RETURN OLD;
+END;
+$$;
+
+DO $$
+DECLARE
+    v_table TEXT;
+BEGIN
+    FOREACH v_table IN ARRAY ARRAY[
+        'assets', 'companies', 'contacts', 'projects', 'deals', 'competitors', 'swipe_files',
+        'creative_analyses', 'video_analyses', 'strategies', 'url_analyses', 'benchmarks', 'best_practices',
+        'google_ads_builds', 'social_media_builds', 'keyword_research',
+        'user_settings', 'workspace_channel_specs', 'workspace_packages'
+    ] LOOP
+        IF to_regclass('public.' || v_table) IS NOT NULL THEN
+            EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW()', v_table);
+
+            EXECUTE format('DROP TRIGGER IF EXISTS sync_updated_at ON %I', v_table);
+            EXECUTE format('CREATE TRIGGER sync_updated_at BEFORE INSERT OR UPDATE ON %I
+                FOR EACH ROW EXECUTE FUNCTION sync_set_updated_at()', v_table);
+
+            EXECUTE format('DROP TRIGGER IF EXISTS sync_tombstone ON %I', v_table);
+            EXECUTE format('CREATE TRIGGER sync_tombstone AFTER DELETE ON %I
+                FOR EACH ROW EXECUTE FUNCTION sync_record_tombstone()', v_table);
+
+            -- Pull order: rows after the cursor, oldest change first
+            IF EXISTS (SELECT 1 FROM information_schema.columns
+                       WHERE table_schema = 'public' AND table_name = v_table AND column_name = 'uuid') THEN
+                EXECUTE format('CREATE INDEX IF NOT EXISTS %I ON %I(updated_at, uuid)', 'idx_' || v_table || '_delta', v_table);
+            END IF;
+        END IF;
+    END LOOP;
+END $$;
+
+DO $$ BEGIN RAISE NOTICE '✅ Migration 032 complete: server-side updated_at, tombstones and delta indexes'; END $$;
@@ -0,0 +1,98 @@
+-- Migration 033: MCP Library Access
+-- The MCP server reads the library with the anon key, through these functions only.
+-- Each one checks the caller's MCP access token (migration 028) here in the database and
+-- returns the rows that token may see: its user's own rows, plus rows their team shared
+-- when the token includes the team. Teams are email domains, as in same_organization()
+-- (migration 003), so public mail domains are never a team. PostgREST filters, order and
+-- limit still apply to what a function returns:
+--   POST /rest/v1/rpc/mcp_library_assets?file_type=ilike.video*&limit=20  {"p_token": "cav_..."}
+
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+
+-- The token's user and team domain, or an error when the token is unknown, revoked,
+-- expired or lacks the scope. team_domain is NULL when team rows are not included.
+CREATE OR REPLACE FUNCTION mcp_token_reader(p_token TEXT, p_scope TEXT)
+RETURNS TABLE (email TEXT, team_domain TEXT, scopes TEXT[], include_team BOOLEAN)
+LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public, extensions AS $$
+DECLARE
+    v_token mcp_access_tokens%ROWTYPE;
+    v_scopes TEXT[];
+    v_domain TEXT;
+BEGIN
+    SELECT * INTO v_token FROM mcp_access_tokens t
+    WHERE t.token_hash = encode(digest(COALESCE(p_token, ''), 'sha256'), 'hex')
+      AND t.revoked_at IS NULL
+      AND (t.expires_at IS NULL OR t.expires_at > NOW())
+    LIMIT 1;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invalid, revoked or expired MCP access token' USING ERRCODE = '28000';
+    END IF;
+
+    v_scopes := COALESCE(NULLIF(v_token.scopes, '{}'), ARRAY['assets', 'crm', 'analyses']);
+    IF p_scope IS NOT NULL AND NOT p_scope = ANY(v_scopes) THEN
+        RAISE EXCEPTION 'MCP access token does not include the "%" scope', p_scope USING ERRCODE = '42501';
+    END IF;
+
+    v_domain := split_part(lower(v_token.user_email), '@', 2);
+    RETURN QUERY SELECT
+        lower(v_token.user_email),
+        CASE WHEN v_token.include_team IS NOT FALSE
+                  AND v_domain NOT IN ('', 'gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com')
+             THEN v_domain END,
+        v_scopes,
+        v_token.include_team IS NOT FALSE;
+END;
+$$;
+
+-- Who the token belongs to, for the server's startup check
+CREATE OR REPLACE FUNCTION mcp_token_access(p_token TEXT)
+RETURNS TABLE (email TEXT, scopes TEXT[], include_team BOOLEAN)
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public, extensions AS $$
+    SELECT r.email, r.scopes, r.include_team FROM mcp_token_reader(p_token, NULL) r;
+$$;
+
+REVOKE ALL ON FUNCTION mcp_token_reader(TEXT, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION mcp_token_access(TEXT) TO anon, authenticated;
+
+-- mcp_library_<table>(p_token): the rows of one table the token may read
+DO $$
+DECLARE
+    v_entry TEXT[];
+    v_table TEXT;
+    v_team TEXT;
+BEGIN
+    FOREACH v_entry SLICE 1 IN ARRAY ARRAY[
+        ARRAY['assets', 'assets', 'is_team'],
+        ARRAY['companies', 'crm', 'is_shared'],
+        ARRAY['brand_profiles', 'crm', ''],
+        ARRAY['creative_analyses', 'analyses', 'is_shared'],
+        ARRAY['video_analyses', 'analyses', 'is_shared']
+    ] LOOP
+        v_table := v_entry[1];
+        IF to_regclass('public.' || v_table) IS NULL THEN
+            CONTINUE;
+        END IF;
+
+        -- Tables without a sharing column only return the user's own rows
+        IF v_entry[3] <> '' AND EXISTS (SELECT 1 FROM information_schema.columns
+                   WHERE table_schema = 'public' AND table_name = v_table AND column_name = v_entry[3]) THEN
+            v_team := format('OR (t.%I IS TRUE AND r.team_domain IS NOT NULL
+                AND split_part(lower(t.user_email), ''@'', 2) = r.team_domain)', v_entry[3]);
+        ELSE
+            v_team := '';
+        END IF;
+
+        EXECUTE format('CREATE OR REPLACE FUNCTION %I(p_token TEXT)
+            RETURNS SETOF %I
+            LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public, extensions AS $fn$
+                SELECT t.* FROM %I t, mcp_token_reader(p_token, %L) r
+                WHERE lower(t.user_email) = r.email %s
+            $fn$', 'mcp_library_' || v_table, v_table, v_table, v_entry[2], v_team);
+        EXECUTE format('GRANT EXECUTE ON FUNCTION %I(TEXT) TO anon, authenticated', 'mcp_library_' || v_table);
+    END LOOP;
+END $$;
+
+-- Refresh schema
+NOTIFY pgrst, 'reload schema';
+
+DO $$ BEGIN RAISE NOTICE '✅ Migration 033 complete: token-checked MCP library functions'; END $$;
@@ -1,22 +1,42 @@
 /**
  * Creative Asset Validator - Service Worker
- * Version 4.2.0 - Instant Loading & Offline Support
+ * Version 4.14.10 - Instant Loading & Offline Support
  * 
  * This service worker provides:
  * - Instant loading from cache
  * - Offline support
  * - Background sync for saves
+ * - Scheduled integration scans (periodic background sync)
  * - Faster subsequent visits
  */
 
-const CACHE_NAME = 'cav-v4.2.0';
-const RUNTIME_CACHE = 'cav-runtime-v4.2.0';
+// Scheduled scans: schedules and run history in IndexedDB, validated
+// against the same channel specs as the page
+importScripts('./channel-specs.js', './scheduled-scans.js');
+
+const CACHE_NAME = 'cav-v4.14.10';
+const RUNTIME_CACHE = 'cav-runtime-v4.12.0';
 
 // Files to cache immediately on install
 const PRECACHE_URLS = [
     './',
     './index.html',
     './validator.css',
+    './channel-specs.js',
+    './transform-backend.js',
+    './job-queue.js',
+    './scheduled-scans.js',
+    './video-processor.js',
+    './asset-versions.js',
+    './report-export.js',
+    './smart-folders.js',
+    './undo-history.js',
+    './perceptual-hash.js',
+    './search-index.js',
+    './sync-merge.js',
+    './repository.js',
+    './migrations.js',
+    './storage-quota.js',
     './validator-app.js',
     './security-core.js',
     './settings-module.js',
@@ -46,7 +66,7 @@ const EXTERNAL_CACHE_URLS = [
 
 // Install event - cache core files
 self.addEventListener('install', event => {
-    console.log('[SW] Installing Service Worker v4.2.0');
+    console.log('[SW] Installing Service Worker v4.12.0');
     
     event.waitUntil(
         caches.open(CACHE_NAME)
@@ -66,7 +86,7 @@ self.addEventListener('install', event => {
 
 // Activate event - clean old caches
 self.addEventListener('activate', event => {
-    console.log('[SW] Activating Service Worker v4.2.0');
+    console.log('[SW] Activating Service Worker v4.12.0');
     
     event.waitUntil(
         caches.keys()
@@ -175,6 +195,74 @@ async function syncData() {
     });
 }
 
+// Scheduled scans: periodic sync wakes the worker at roughly the shortest
+// schedule interval; one-off sync fires when the browser is back online
+self.addEventListener('periodicsync', event => {
+    if (event.tag === self.CAVScheduledScans.SYNC_TAG) {
+        event.waitUntil(runScheduledScans());
+    }
+});
+
+self.addEventListener('sync', event => {
+    if (event.tag === self.CAVScheduledScans.SYNC_TAG) {
+        event.waitUntil(runScheduledScans());
+    }
+});
+
+async function runScheduledScans() {
+    const scans = self.CAVScheduledScans;
+    const due = await scans.getDueSchedules();
+    if (due.length === 0) return;
+
+    // An open window scans with fresh tokens and sends the digest itself
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+        windows[0].postMessage({ type: 'RUN_SCHEDULED_SCANS' });
+        return;
+    }
+
+    // Folder reports need the library in a window; they stay due
+    const scannable = due.filter(schedule => !scans.isReportSchedule(schedule));
+    if (scannable.length === 0) return;
+
+    console.log(`[SW] Running ${scannable.length} scheduled scan(s)`);
+    const runs = await scans.runDueInWorker();
+
+    // sendNotifications lives in the page; it sends these digests on the
+    // next open. Meanwhile tell the user on this device.
+    const newOffSpec = runs.reduce((sum, run) => sum + run.counts.newOffSpec, 0);
+    const deferred = runs.filter(run => run.status === 'deferred');
+
+    if (newOffSpec > 0 && self.Notification?.permission === 'granted') {
+        const names = runs.filter(run => run.counts.newOffSpec > 0).map(run => run.scheduleName);
+        await self.registration.showNotification('New off-spec assets', {
+            body: `${newOffSpec} new asset(s) fail channel specs (${names.join(', ')})`,
+            tag: 'cav-scheduled-scans',
+            data: { url: './' },
+        });
+    } else if (deferred.length > 0 && self.Notification?.permission === 'granted') {
+        await self.registration.showNotification('Scheduled scans waiting', {
+            body: `Open the app to reconnect and run: ${deferred.map(run => run.scheduleName).join(', ')}`,
+            tag: 'cav-scheduled-scans',
+            data: { url: './' },
+        });
+    }
+}
+
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    // Resolve against the script, not the registration scope (scheduled
+    // scans register this worker under its own empty scope)
+    const url = new URL(event.notification.data?.url || './', self.location).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const existing = windows.find(client => client.url.startsWith(url));
+            return existing ? existing.focus() : self.clients.openWindow(url);
+        })
+    );
+});
+
 // Handle messages from the main app
 self.addEventListener('message', event => {
     if (event.data === 'SKIP_WAITING') {
@@ -192,5 +280,5 @@ self.addEventListener('message', event => {
     }
 });
 
-console.log('[SW] Service Worker loaded - v4.2.0');
+console.log('[SW] Service Worker loaded - v4.12.0');
 
@@ -1,21 +1,35 @@
 /**
  * Creative Asset Validator - Sync Engine
- * Real-time bidirectional sync with MySQL backend
- * Version 5.11.0 - January 16, 2026
+ * Session and requests for the MySQL backend
+ * Version 6.1.0 - October 19, 2026
+ *
+ * Records, the outbox and conflicts live in CAVRepository (repository.js).
+ * SyncEngine signs in to the PHP /api, registers the /api as a repository
+ * adapter and keeps its older methods (save, getAllCompanies,
+ * resolveConflict, ...) as shortcuts to the repository. Repository events
+ * (sync_complete, conflict_added, ...) are re-emitted here, and remote
+ * changes are announced as entity_updated.
  */
 
 class SyncEngine {
     constructor(options = {}) {
         this.apiBase = options.apiBase || '/api';
-        this.autoSyncInterval = options.autoSyncInterval || 30000; // 30 seconds
         this.sessionToken = null;
-        this.lastSyncTime = null;
-        this.syncInProgress = false;
-        this.pendingChanges = [];
+        this.lastSyncTime = localStorage.getItem('cav_last_sync');
         this.listeners = {};
         this.isOnline = navigator.onLine;
-        this.syncTimer = null;
+        this.repository = options.repository || window.CAVRepository.repository;
         this.deviceId = this.getDeviceId();
+        this.repository.registerAdapter(new window.CAVRepository.ApiAdapter(this));
+        
+        SyncEngine.FORWARDED_EVENTS.forEach(event => {
+            this.repository.on(event, data => this.emit(event, data));
+        });
+        this.repository.on('change', change => {
+            if (change.origin === 'remote') {
+                this.emit('entity_updated', { entity_type: change.entity_type, uuid: change.id, action: change.action, data: change.data });
+            }
+        });
         
         // Track sync status
         this.status = {
@@ -70,10 +84,9 @@ class SyncEngine {
         this.sessionToken = token;
         this.status.connected = !!token;
         
+        // The repository syncs on its own timer; a new session only needs a first sync
         if (token) {
-            this.startAutoSync();
-        } else {
-            this.stopAutoSync();
+            this.sync().catch(e => console.log('[SyncEngine] Initial sync failed:', e));
         }
     }
     
@@ -93,8 +106,6 @@ class SyncEngine {
                 localStorage.setItem('cav_session_token', response.session_token);
                 this.status.connected = true;
                 
-                // Start syncing
-                this.startAutoSync();
                 await this.sync();
                 
                 this.emit('authenticated', response.user);
@@ -126,8 +137,7 @@ class SyncEngine {
                 localStorage.setItem('cav_session_token', response.session_token);
                 this.status.connected = true;
                 
-                // Start syncing
-                this.startAutoSync();
+                this.sync().catch(e => console.log('[SyncEngine] Initial sync failed:', e));
                 
                 this.emit('authenticated', response.user);
                 console.log('[SyncEngine] Session authenticated successfully');
@@ -151,7 +161,6 @@ class SyncEngine {
         
         this.sessionToken = null;
         localStorage.removeItem('cav_session_token');
-        this.stopAutoSync();
         this.status.connected = false;
         this.emit('logged_out');
     }
@@ -164,342 +173,57 @@ class SyncEngine {
     // SYNC OPERATIONS
     // ========================================================
     
+    // Push and pull through the repository; it picks the adapter
     async sync() {
-        if (this.syncInProgress || !this.sessionToken) {
-            return null;
-        }
-        
-        this.syncInProgress = true;
-        this.emit('sync_start');
-        
-        try {
-            // Step 1: Push local changes
-            if (this.pendingChanges.length > 0) {
-                await this.pushChanges();
-            }
-            
-            // Step 2: Pull server changes
-            const pullResult = await this.pullChanges();
-            
-            // Step 3: Apply changes to local storage
-            if (pullResult.changes && pullResult.changes.length > 0) {
-                await this.applyChanges(pullResult.changes);
-            }
-            
-            // Update status
+        const result = await this.repository.sync();
+        if (result) {
             this.lastSyncTime = new Date().toISOString();
-            this.status.lastSync = this.lastSyncTime;
-            this.status.error = null;
-            
             localStorage.setItem('cav_last_sync', this.lastSyncTime);
-            
-            this.emit('sync_complete', {
-                pulled: pullResult.changes?.length || 0,
-                pushed: this.pendingChanges.length
-            });
-            
-            return pullResult;
-            
-        } catch (error) {
-            console.error('[SyncEngine] Sync failed:', error);
-            this.status.error = error.message;
-            this.emit('sync_error', error);
-            throw error;
-            
-        } finally {
-            this.syncInProgress = false;
-        }
-    }
-    
-    async pullChanges() {
-        const since = localStorage.getItem('cav_last_sync');
-        const url = since ? `/sync/pull?since=${encodeURIComponent(since)}` : '/sync/pull';
-        
-        return this.request('GET', url);
-    }
-    
-    async pushChanges() {
-        if (this.pendingChanges.length === 0) {
-            return { results: [] };
-        }
-        
-        const changes = [...this.pendingChanges];
-        
-        try {
-            const result = await this.request('POST', '/sync/push', { changes });
-            
-            // Clear successfully pushed changes
-            this.pendingChanges = this.pendingChanges.filter(c => {
-                const pushed = result.results.find(r => r.uuid === c.uuid);
-                return !pushed || pushed.status === 'error';
-            });
-            
-            this.status.pendingCount = this.pendingChanges.length;
-            this.savePendingChanges();
-            
-            // Handle conflicts
-            if (result.conflicts && result.conflicts.length > 0) {
-                this.emit('sync_conflict', result.conflicts);
-            }
-            
-            return result;
-            
-        } catch (error) {
-            console.error('[SyncEngine] Push failed:', error);
-            throw error;
-        }
-    }
-    
-    async applyChanges(changes) {
-        for (const change of changes) {
-            try {
-                const { entity_type, uuid, action, data } = change;
-                
-                if (action === 'delete') {
-                    await this.deleteFromLocal(entity_type, uuid);
-                } else {
-                    await this.saveToLocal(entity_type, uuid, data);
-                }
-                
-                this.emit('entity_updated', { entity_type, uuid, action, data });
-                
-            } catch (error) {
-                console.error('[SyncEngine] Failed to apply change:', change, error);
-            }
         }
+        return result;
     }
     
     // ========================================================
-    // LOCAL STORAGE (IndexedDB)
+    // DATA (stored by CAVRepository)
     // ========================================================
     
-    async getDB() {
-        if (this._db) return this._db;
-        
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open('CreativeAssetValidator', 3);
-            
-            request.onerror = () => reject(request.error);
-            request.onsuccess = () => {
-                this._db = request.result;
-                resolve(this._db);
-            };
-            
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                
-                // Create stores for each entity type
-                const stores = [
-                    'assets', 
-                    'companies', 
-                    'contacts',
-                    'projects', 
-                    'deals',
-                    'activities',
-                    'creative_analyses',
-                    'strategies',
-                    'url_analyses',
-                    'benchmarks',
-                    'brand_kits', 
-                    'swipe_files',
-                    'user_settings'
-                ];
-                
-                stores.forEach(storeName => {
-                    if (!db.objectStoreNames.contains(storeName)) {
-                        const store = db.createObjectStore(storeName, { keyPath: 'uuid' });
-                        store.createIndex('sync_version', 'sync_version', { unique: false });
-                        store.createIndex('needs_sync', 'needs_sync', { unique: false });
-                        store.createIndex('deleted_at', 'deleted_at', { unique: false });
-                    }
-                });
-                
-                // Pending changes store
-                if (!db.objectStoreNames.contains('pending_changes')) {
-                    db.createObjectStore('pending_changes', { keyPath: 'id', autoIncrement: true });
-                }
-            };
-        });
-    }
-    
-    async saveToLocal(entityType, uuid, data) {
-        const db = await this.getDB();
-        
-        return new Promise((resolve, reject) => {
-            const tx = db.transaction(entityType, 'readwrite');
-            const store = tx.objectStore(entityType);
-            
-            data.uuid = uuid;
-            data.needs_sync = 0;
-            
-            const request = store.put(data);
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        });
-    }
-    
-    async deleteFromLocal(entityType, uuid) {
-        const db = await this.getDB();
-        
-        return new Promise((resolve, reject) => {
-            const tx = db.transaction(entityType, 'readwrite');
-            const store = tx.objectStore(entityType);
-            
-            const request = store.delete(uuid);
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        });
-    }
-    
     async getFromLocal(entityType, uuid) {
-        const db = await this.getDB();
-        
-        return new Promise((resolve, reject) => {
-            const tx = db.transaction(entityType, 'readonly');
-            const store = tx.objectStore(entityType);
-            
-            const request = store.get(uuid);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+        return this.repository.get(entityType, uuid);
     }
     
     async getAllFromLocal(entityType) {
-        const db = await this.getDB();
-        
-        return new Promise((resolve, reject) => {
-            const tx = db.transaction(entityType, 'readonly');
-            const store = tx.objectStore(entityType);
-            
-            const request = store.getAll();
-            request.onsuccess = () => {
-                // Filter out items marked as deleted
-                const allItems = request.result || [];
-                const activeItems = allItems.filter(item => !item.deleted_at);
-                resolve(activeItems);
-            };
-            request.onerror = () => reject(request.error);
-        });
+        return this.repository.list(entityType);
     }
     
-    // ========================================================
-    // SAVE WITH SYNC
-    // ========================================================
-    
+    // Returns the record's uuid, assigned here when it has none
     async save(entityType, data) {
-        const uuid = data.uuid || this.generateUUID();
-        data.uuid = uuid;
-        data.needs_sync = 1;
-        data.updated_at = new Date().toISOString();
-        data.sync_version = (data.sync_version || 0) + 1;
-        
-        // Save locally first
-        await this.saveToLocal(entityType, uuid, data);
-        
-        // Queue for sync
-        this.queueChange({
-            entity_type: entityType,
-            uuid: uuid,
-            action: 'upsert',
-            data: data,
-            version: data.sync_version
-        });
-        
-        // Try to sync immediately if online
-        if (this.isOnline && this.sessionToken) {
-            this.sync().catch(e => console.log('[SyncEngine] Background sync failed:', e));
-        }
-        
-        return uuid;
+        await this.repository.save(entityType, data);
+        return data.uuid;
     }
     
     async delete(entityType, uuid) {
-        // Mark as deleted locally (for sync purposes)
-        const existing = await this.getFromLocal(entityType, uuid);
-        if (existing) {
-            existing.deleted_at = new Date().toISOString();
-            existing.needs_sync = 1;
-            await this.saveToLocal(entityType, uuid, existing);
-        }
-        
-        // Queue for sync
-        this.queueChange({
-            entity_type: entityType,
-            uuid: uuid,
-            action: 'delete',
-            version: existing?.sync_version || 0
-        });
-        
-        // Try to sync immediately
-        if (this.isOnline && this.sessionToken) {
-            try {
-                await this.sync();
-                // After successful sync, actually remove from IndexedDB
-                await this.deleteFromLocal(entityType, uuid);
-                console.log(`[SyncEngine] Successfully deleted ${entityType} ${uuid}`);
-            } catch (e) {
-                console.log('[SyncEngine] Background sync failed:', e);
-                // Keep the deleted_at mark so it will be filtered out
-            }
-        }
+        return this.repository.remove(entityType, uuid);
     }
     
-    queueChange(change) {
-        // Avoid duplicates
-        this.pendingChanges = this.pendingChanges.filter(c => 
-            !(c.entity_type === change.entity_type && c.uuid === change.uuid)
-        );
-        
-        this.pendingChanges.push(change);
-        this.status.pendingCount = this.pendingChanges.length;
-        this.savePendingChanges();
-        
-        this.emit('pending_change', change);
-    }
+    // ========================================================
+    // CONFLICTS
+    // ========================================================
     
-    savePendingChanges() {
-        localStorage.setItem('cav_pending_changes', JSON.stringify(this.pendingChanges));
+    async resolveConflict(id, resolution) {
+        return this.repository.resolveConflict(id, resolution);
     }
     
-    loadPendingChanges() {
-        try {
-            const saved = localStorage.getItem('cav_pending_changes');
-            this.pendingChanges = saved ? JSON.parse(saved) : [];
-            this.status.pendingCount = this.pendingChanges.length;
-        } catch (e) {
-            this.pendingChanges = [];
-        }
+    // Newest first; pass { status: 'open' } or { status: 'resolved' } to filter
+    getConflicts(options) {
+        return this.repository.getConflicts(options);
     }
     
-    // ========================================================
-    // AUTO SYNC
-    // ========================================================
-    
-    startAutoSync() {
-        this.stopAutoSync();
-        
-        this.loadPendingChanges();
-        this.lastSyncTime = localStorage.getItem('cav_last_sync');
-        
-        // Initial sync
-        this.sync().catch(e => console.log('[SyncEngine] Initial sync failed:', e));
-        
-        // Set up interval
-        this.syncTimer = setInterval(() => {
-            if (this.isOnline) {
-                this.sync().catch(e => console.log('[SyncEngine] Auto sync failed:', e));
-            }
-        }, this.autoSyncInterval);
-        
-        console.log('[SyncEngine] Auto sync started');
+    getMergeStrategy(entityType) {
+        return this.repository.getMergeStrategy(entityType);
     }
     
-    stopAutoSync() {
-        if (this.syncTimer) {
-            clearInterval(this.syncTimer);
-            this.syncTimer = null;
-        }
-        console.log('[SyncEngine] Auto sync stopped');
+    setMergeStrategy(entityType, strategy) {
+        this.repository.setMergeStrategy(entityType, strategy);
     }
     
     // ========================================================
@@ -510,11 +234,6 @@ class SyncEngine {
         console.log('[SyncEngine] Back online');
         this.isOnline = true;
         this.emit('online');
-        
-        // Sync pending changes
-        if (this.sessionToken && this.pendingChanges.length > 0) {
-            this.sync().catch(e => console.log('[SyncEngine] Reconnect sync failed:', e));
-        }
     }
     
     handleOffline() {
@@ -547,6 +266,11 @@ class SyncEngine {
         
         if (body && method !== 'GET') {
             options.body = JSON.stringify(body);
+            // Large pushes go gzipped; responses are decompressed by the browser
+            if (options.body.length >= SyncEngine.GZIP_MIN_BYTES && typeof CompressionStream !== 'undefined') {
+                options.body = await this.gzip(options.body);
+                headers['Content-Encoding'] = 'gzip';
+            }
         }
         
         try {
@@ -568,6 +292,11 @@ class SyncEngine {
         }
     }
     
+    async gzip(text) {
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+        return new Response(stream).blob();
+    }
+    
     // ========================================================
     // UTILITIES
     // ========================================================
@@ -581,20 +310,19 @@ class SyncEngine {
     }
     
     getDeviceId() {
-        let deviceId = localStorage.getItem('cav_device_id');
-        if (!deviceId) {
-            deviceId = this.generateUUID();
-            localStorage.setItem('cav_device_id', deviceId);
-        }
-        return deviceId;
+        return this.repository.getDeviceId();
     }
     
     getStatus() {
+        const repositoryStatus = this.repository.getStatus();
         return {
             ...this.status,
             isOnline: this.isOnline,
-            syncInProgress: this.syncInProgress,
-            lastSync: this.lastSyncTime
+            syncInProgress: repositoryStatus.syncing,
+            pendingCount: repositoryStatus.pendingCount,
+            adapter: repositoryStatus.adapter,
+            error: this.status.error || repositoryStatus.error,
+            lastSync: repositoryStatus.lastSync || this.lastSyncTime
         };
     }
     
@@ -645,6 +373,14 @@ class SyncEngine {
     async deleteCreativeAnalysis(uuid) { return this.delete('creative_analyses', uuid); }
 }
 
+// Request bodies from this size on are sent gzipped
+SyncEngine.GZIP_MIN_BYTES = 1024;
+
+SyncEngine.FORWARDED_EVENTS = [
+    'sync_start', 'sync_progress', 'sync_complete', 'sync_error', 'sync_conflict', 'pending_change',
+    'conflicts_changed', 'conflict_added', 'conflict_resolved', 'merge_strategy_changed'
+];
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = SyncEngine;
@@ -0,0 +1,281 @@
+/**
+ * Creative Asset Validator - Sync Merge
+ * Version 1.0.0
+ *
+ * Merge rules for sync conflicts. CAVRepository stamps every field it saves
+ * with when and on which device it last changed:
+ *
+ *   record.field_versions = { name: { at: '2026-10-19T12:00:00.000Z', device: 'd1' } }
+ *
+ * and each queued change carries the values the changed fields had before
+ * the edit (base_fields). When the server rejects a change because the
+ * record moved on, that is enough for a three-way merge: a field only one
+ * side touched takes that side's value, and a field both sides changed to
+ * different values is contested.
+ *
+ * Strategies, configurable per entity type:
+ *   last_writer_wins - the side saved last wins the whole record
+ *   field_merge      - merge fields; contested fields go to the conflict inbox
+ *   keep_both        - the server version stays, the local edit becomes a copy
+ *   manual           - always ask in the conflict inbox
+ */
+
+(function() {
+    'use strict';
+
+    const VERSION = '1.0.0';
+
+    const STRATEGIES = {
+        last_writer_wins: 'Last writer wins',
+        field_merge: 'Merge fields, ask on overlap',
+        keep_both: 'Keep both versions',
+        manual: 'Always ask'
+    };
+
+    const DEFAULT_STRATEGIES = {
+        assets: 'field_merge',
+        companies: 'field_merge',
+        contacts: 'field_merge',
+        projects: 'field_merge',
+        deals: 'field_merge',
+        brand_kits: 'field_merge',
+        swipe_files: 'field_merge',
+        activities: 'keep_both',
+        creative_analyses: 'last_writer_wins',
+        strategies: 'last_writer_wins',
+        url_analyses: 'last_writer_wins',
+        benchmarks: 'last_writer_wins',
+        user_settings: 'last_writer_wins'
+    };
+
+    // Bookkeeping fields that are never merged or shown as differences
+    const META_FIELDS = new Set([
+        'id', 'uuid', 'needs_sync', 'sync_version', 'last_synced_at', 'created_at', 'updated_at',
+        'deleted_at', 'field_versions', 'updated_by_device', 'owner_id', 'team_id'
+    ]);
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    // JSON with sorted keys, so equal objects compare equal
+    function stableKey(value) {
+        if (value === undefined) return 'undefined';
+        if (value === null || typeof value !== 'object') return JSON.stringify(value);
+        if (Array.isArray(value)) return `[${value.map(stableKey).join(',')}]`;
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableKey(value[k])}`).join(',')}}`;
+    }
+
+    function isEqual(a, b) {
+        return stableKey(a) === stableKey(b);
+    }
+
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    function dataFields(...records) {
+        const fields = new Set();
+        records.forEach(r => Object.keys(r || {}).forEach(k => {
+            if (!META_FIELDS.has(k)) fields.add(k);
+        }));
+        return [...fields];
+    }
+
+    function stampTime(stamp) {
+        const time = Date.parse(stamp?.at || '');
+        return Number.isNaN(time) ? 0 : time;
+    }
+
+    // > 0 when a is newer; the device id breaks ties so both sides agree
+    function compareStamps(a, b) {
+        return (stampTime(a) - stampTime(b)) || String(a?.device || '').localeCompare(String(b?.device || ''));
+    }
+
+    function recordStamp(record) {
+        return { at: record?.deleted_at || record?.updated_at, device: record?.updated_by_device };
+    }
+
+    function fieldStamp(record, field) {
+        return record?.field_versions?.[field] || recordStamp(record);
+    }
+
+    function entityTitle(record) {
+        const r = record || {};
+        return r.name || r.title || r.filename || r.email || r.uuid || 'Untitled';
+    }
+
+    // ============================================
+    // STAMPING
+    // ============================================
+
+    /**
+     * Fields whose value differs between the stored record and the one being saved.
+     * Fields missing from `next` are left alone, as save() callers often pass partial objects.
+     */
+    function diffFields(previous, next) {
+        return dataFields(next).filter(f => next[f] !== undefined && !isEqual(previous?.[f], next[f]));
+    }
+
+    /**
+     * Stamp `fields` on `record` as changed now on `deviceId`.
+     * @returns {Object} - The field_versions map, carrying over the previous stamps
+     */
+    function stampFields(previousVersions, fields, deviceId, at) {
+        const versions = { ...(previousVersions || {}) };
+        fields.forEach(f => { versions[f] = { at, device: deviceId }; });
+        return versions;
+    }
+
+    // ============================================
+    // MERGING
+    // ============================================
+
+    /**
+     * Three-way merge of a rejected local change with the server's record.
+     * @param {Object} local - The record as this device saved it
+     * @param {Object} remote - The record as the server has it
+     * @param {Object} base - Values the locally changed fields had before the edit
+     * @returns {Object} - { merged, contested: [{ field, local, remote }], differing: [field] }
+     */
+    function mergeRecords(local, remote, base = {}) {
+        const merged = { ...clone(remote), ...pickMeta(local) };
+        const versions = { ...(remote.field_versions || {}) };
+        const contested = [];
+        const differing = [];
+
+        dataFields(local, remote).forEach(field => {
+            const lv = local[field];
+            const rv = remote[field];
+            if (isEqual(lv, rv)) return;
+            differing.push(field);
+
+            // A field the server does not store stays as this device has it
+            if (rv === undefined) {
+                merged[field] = clone(lv);
+                if (local.field_versions?.[field]) versions[field] = local.field_versions[field];
+                return;
+            }
+
+            const localChanged = Object.prototype.hasOwnProperty.call(base, field);
+            const remoteChanged = !localChanged || !isEqual(rv, base[field]);
+            const takeLocal = localChanged && (!remoteChanged || compareStamps(fieldStamp(local, field), fieldStamp(remote, field)) > 0);
+
+            if (localChanged && remoteChanged) {
+                contested.push({ field, local: clone(lv), remote: clone(rv) });
+            }
+            if (takeLocal) {
+                merged[field] = clone(lv);
+                versions[field] = fieldStamp(local, field);
+            }
+        });
+
+        merged.field_versions = versions;
+        return { merged, contested, differing };
+    }
+
+    function pickMeta(record) {
+        const meta = {};
+        ['uuid', 'id'].forEach(k => { if (record[k] !== undefined) meta[k] = record[k]; });
+        return meta;
+    }
+
+    /**
+     * Build the record for a hand-picked merge.
+     * @param {Object} conflict - Conflict from the inbox ({ local, remote })
+     * @param {Object} choices - { field: 'local' | 'remote' } for the fields that differ
+     */
+    function buildMerged(conflict, choices) {
+        const { local, remote } = conflict;
+        const merged = { ...clone(remote), ...pickMeta(local) };
+        const versions = { ...(remote.field_versions || {}) };
+        Object.entries(choices).forEach(([field, side]) => {
+            const source = side === 'local' ? local : remote;
+            if (source[field] === undefined) {
+                delete merged[field];
+            } else {
+                merged[field] = clone(source[field]);
+            }
+            versions[field] = fieldStamp(source, field);
+        });
+        merged.field_versions = versions;
+        return merged;
+    }
+
+    // Copy of the local record under a new identity, for keep_both
+    function conflictCopy(local, uuid) {
+        const copy = clone(local);
+        delete copy.id;
+        delete copy.field_versions;
+        delete copy.sync_version;
+        copy.uuid = uuid;
+        const titleField = ['name', 'title', 'filename'].find(f => typeof copy[f] === 'string');
+        if (titleField) copy[titleField] = `${copy[titleField]} (conflicted copy)`;
+        return copy;
+    }
+
+    /**
+     * Decide what to do with a conflict.
+     * @param {string} strategy - Key of STRATEGIES
+     * @param {Object} conflict - { action, local, remote, base_fields, queued_at }
+     * @returns {Object} - { outcome: 'push' | 'delete' | 'accept_remote' | 'keep_both' | 'inbox', record?, contested? }
+     */
+    function resolve(strategy, conflict) {
+        const { action, local, remote } = conflict;
+        if (!remote) return { outcome: 'inbox', reason: 'Server version unavailable' };
+
+        const localDeleted = action === 'delete';
+        const remoteDeleted = !!remote.deleted_at;
+        if (localDeleted && remoteDeleted) return { outcome: 'accept_remote' };
+
+        if (strategy === 'last_writer_wins') {
+            const localStamp = localDeleted ? { at: conflict.queued_at, device: local?.updated_by_device } : recordStamp(local);
+            if (compareStamps(localStamp, recordStamp(remote)) > 0) {
+                return localDeleted ? { outcome: 'delete' } : { outcome: 'push', record: clone(local) };
+            }
+            return { outcome: 'accept_remote' };
+        }
+
+        // Deleting on one side and editing on the other cannot be merged
+        if (localDeleted || remoteDeleted) {
+            return { outcome: 'inbox', reason: localDeleted ? 'Deleted here, edited elsewhere' : 'Edited here, deleted elsewhere' };
+        }
+
+        if (strategy === 'keep_both') return { outcome: 'keep_both' };
+        if (strategy !== 'field_merge') return { outcome: 'inbox', reason: 'Review requested for this type' };
+
+        const result = mergeRecords(local, remote, conflict.base_fields || {});
+        if (result.contested.length > 0) {
+            return { outcome: 'inbox', reason: `${result.contested.length} field${result.contested.length === 1 ? '' : 's'} changed on both sides`, ...result };
+        }
+        const localWon = result.differing.some(f => !isEqual(result.merged[f], remote[f]));
+        return localWon ? { outcome: 'push', record: result.merged, ...result } : { outcome: 'accept_remote', ...result };
+    }
+
+    // ============================================
+    // EXPORT
+    // ============================================
+    const SyncMerge = {
+        VERSION,
+        STRATEGIES,
+        DEFAULT_STRATEGIES,
+        META_FIELDS,
+        isEqual,
+        compareStamps,
+        entityTitle,
+        diffFields,
+        stampFields,
+        mergeRecords,
+        buildMerged,
+        conflictCopy,
+        resolve
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SyncMerge;
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CAVSyncMerge = SyncMerge;
+    }
+})();
@@ -0,0 +1,532 @@
+/**
+ * Creative Asset Validator - Transform Backends
+ * Version 1.0.0
+ *
+ * Resize/crop/pad behind one interface, so off-size assets can be fixed
+ * with or without a Cloudinary account. A backend is an object with
+ *   { name, label, isAvailable(asset), transform(asset, options) }
+ * where options use Cloudinary's vocabulary: width, height, crop (fill, fit,
+ * pad, lpad, limit, scale, crop), gravity (compass directions, center, auto,
+ * face, faces), background (color, blurred, auto, gen_fill), format, quality.
+ *
+ * Built-in backends:
+ * - cloudinary: transformation URLs through window.cloudinaryClient
+ * - local: canvas/OffscreenCanvas for images, canvas + MediaRecorder for video
+ *
+ * The layout math (computeLayout) is shared with the MCP server, which
+ * renders the same layouts with sharp and ffmpeg. Content-aware gravity
+ * (auto, face, faces) needs a focus point; without one it falls back to
+ * center. Generative fill is not available locally and pads with a blurred
+ * copy of the image instead.
+ */
+
+(function() {
+    'use strict';
+
+    const TRANSFORM_CROP_MODES = ['fill', 'fit', 'pad', 'lpad', 'limit', 'scale', 'crop'];
+
+    // Where the kept region sits for compass gravities (0 = left/top, 1 = right/bottom)
+    const GRAVITY_ANCHORS = {
+        center: [0.5, 0.5],
+        north: [0.5, 0], south: [0.5, 1], east: [1, 0.5], west: [0, 0.5],
+        north_east: [1, 0], north_west: [0, 0], south_east: [1, 1], south_west: [0, 1]
+    };
+
+    const DEFAULT_PAD_BACKGROUND = 'white';
+    const BLUR_RADIUS = 20;
+
+    // ============================================
+    // LAYOUT
+    // ============================================
+
+    function clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+
+    function isContentAware(gravity) {
+        return /^(auto|face|faces)(:|$)/.test(gravity || '');
+    }
+
+    /**
+     * Resolve a gravity to an anchor. Content-aware gravities use the
+     * optional focus point ({x, y} in 0-1 source coordinates).
+     */
+    function resolveGravity(gravity = 'center', focus = null) {
+        if (isContentAware(gravity)) {
+            return focus
+                ? { gravity, focus: { x: clamp(focus.x, 0, 1), y: clamp(focus.y, 0, 1) } }
+                : { gravity: 'center', anchor: GRAVITY_ANCHORS.center, fallback: gravity };
+        }
+        const anchor = GRAVITY_ANCHORS[gravity];
+        if (!anchor) throw new Error(`Unsupported gravity: ${gravity}`);
+        return { gravity, anchor };
+    }
+
+    // Offset of a region of `size` inside `total` for the resolved gravity
+    function placeRegion(total, size, resolved, axis) {
+        if (resolved.focus) {
+            const center = resolved.focus[axis] * total;
+            return Math.round(clamp(center - size / 2, 0, total - size));
+        }
+        return Math.round((total - size) * resolved.anchor[axis === 'x' ? 0 : 1]);
+    }
+
+    /**
+     * Compute where the source is read from and drawn to for a transform.
+     * Matches Cloudinary's crop modes:
+     *   scale - stretch to the target (keeps ratio when one side is given)
+     *   fit   - fit inside the target, output is the scaled size
+     *   limit - like fit, but never upscale
+     *   fill  - cover the target and crop the overflow at the gravity
+     *   pad   - fit inside the target and pad the rest with the background
+     *   lpad  - like pad, but never upscale
+     *   crop  - cut a target-sized region at the gravity without scaling
+     * @param {{width: number, height: number}} source
+     * @param {Object} options - { width, height, crop, gravity, focus }
+     * @returns {{width, height, source: Object, target: Object, padded: boolean, gravity: string, gravityFallback?: string}}
+     */
+    function computeLayout(source, options = {}) {
+        const crop = options.crop || 'fill';
+        if (!TRANSFORM_CROP_MODES.includes(crop)) {
+            throw new Error(`Unsupported crop mode: ${crop}. Use one of ${TRANSFORM_CROP_MODES.join(', ')}`);
+        }
+        const sw = source.width;
+        const sh = source.height;
+        if (!sw || !sh) throw new Error('Source dimensions are required');
+
+        // A missing side follows the source aspect ratio
+        let width = options.width ? Math.round(options.width) : null;
+        let height = options.height ? Math.round(options.height) : null;
+        if (!width && !height) {
+            width = sw;
+            height = sh;
+        } else if (!width) {
+            width = crop === 'crop' ? sw : Math.round(sw * height / sh);
+        } else if (!height) {
+            height = crop === 'crop' ? sh : Math.round(sh * width / sw);
+        }
+
+        const resolved = resolveGravity(options.gravity || 'center', options.focus);
+        const full = { x: 0, y: 0, width: sw, height: sh };
+        let layout;
+
+        switch (crop) {
+            case 'scale':
+                layout = { width, height, source: full, target: { x: 0, y: 0, width, height }, padded: false };
+                break;
+
+            case 'fit':
+            case 'limit': {
+                const scale = Math.min(width / sw, height / sh, crop === 'limit' ? 1 : Infinity);
+                const w = Math.max(1, Math.round(sw * scale));
+                const h = Math.max(1, Math.round(sh * scale));
+                layout = { width: w, height: h, source: full, target: { x: 0, y: 0, width: w, height: h }, padded: false };
+                break;
+            }
+
+            case 'pad':
+            case 'lpad': {
+                const scale = Math.min(width / sw, height / sh, crop === 'lpad' ? 1 : Infinity);
+                const w = Math.max(1, Math.round(sw * scale));
+                const h = Math.max(1, Math.round(sh * scale));
+                layout = {
+                    width,
+                    height,
+                    source: full,
+                    target: { x: placeRegion(width, w, resolved, 'x'), y: placeRegion(height, h, resolved, 'y'), width: w, height: h },
+                    padded: w !== width || h !== height
+                };
+                break;
+            }
+
+            case 'fill': {
+                const scale = Math.max(width / sw, height / sh);
+                const rw = Math.min(sw, Math.round(width / scale));
+                const rh = Math.min(sh, Math.round(height / scale));
+                layout = {
+                    width,
+                    height,
+                    source: { x: placeRegion(sw, rw, resolved, 'x'), y: placeRegion(sh, rh, resolved, 'y'), width: rw, height: rh },
+                    target: { x: 0, y: 0, width, height },
+                    padded: false
+                };
+                break;
+            }
+
+            case 'crop': {
+                const rw = Math.min(width, sw);
+                const rh = Math.min(height, sh);
+                layout = {
+                    width: rw,
+                    height: rh,
+                    source: { x: placeRegion(sw, rw, resolved, 'x'), y: placeRegion(sh, rh, resolved, 'y'), width: rw, height: rh },
+                    target: { x: 0, y: 0, width: rw, height: rh },
+                    padded: false
+                };
+                break;
+            }
+        }
+
+        layout.gravity = resolved.gravity;
+        if (resolved.fallback) layout.gravityFallback = resolved.fallback;
+        return layout;
+    }
+
+    /**
+     * Interpret a Cloudinary background value for local rendering.
+     * @returns {{type: 'color', color: string} | {type: 'blurred'} | {type: 'auto'}}
+     */
+    function parseBackground(background) {
+        const value = String(background || DEFAULT_PAD_BACKGROUND);
+        if (value.startsWith('gen_fill')) return { type: 'blurred', requested: 'gen_fill' };
+        if (value.startsWith('blurred')) return { type: 'blurred' };
+        if (value.startsWith('auto')) return { type: 'auto' };
+        const hex = /^(?:rgb:|#)([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(value);
+        if (hex) return { type: 'color', color: `#${hex[1].toLowerCase()}` };
+        if (/^[a-z]+$/i.test(value)) return { type: 'color', color: value.toLowerCase() };
+        throw new Error(`Unsupported background: ${value}`);
+    }
+
+    /**
+     * Parse a Cloudinary transformation string (w_300,h_250,c_fill,g_auto)
+     * into transform options. Unknown parameters are ignored.
+     */
+    function parseTransformation(transformation) {
+        const options = {};
+        for (const part of String(transformation || '').split(',')) {
+            const separator = part.indexOf('_');
+            if (separator < 1) continue;
+            const key = part.slice(0, separator);
+            const value = part.slice(separator + 1);
+            if (key === 'w') options.width = Number(value);
+            else if (key === 'h') options.height = Number(value);
+            else if (key === 'c') options.crop = value;
+            else if (key === 'g') options.gravity = value;
+            else if (key === 'b') options.background = value;
+            else if (key === 'f') options.format = value;
+            else if (key === 'q') options.quality = value;
+        }
+        return options;
+    }
+
+    // Transformation string describing what a local render did
+    function describeLayout(options, layout) {
+        const background = parseBackground(options.background);
+        return [
+            `w_${layout.width}`, `h_${layout.height}`,
+            `c_${options.crop || 'fill'}`,
+            `g_${layout.gravity}`,
+            ...(layout.padded ? [`b_${background.requested ? 'blurred' : options.background || DEFAULT_PAD_BACKGROUND}`] : [])
+        ].join(',');
+    }
+
+    // ============================================
+    // BACKEND REGISTRY
+    // ============================================
+
+    const BACKENDS = {};
+
+    function registerBackend(backend) {
+        if (!backend?.name || typeof backend.transform !== 'function') {
+            throw new Error('A transform backend needs a name and a transform() method');
+        }
+        BACKENDS[backend.name] = backend;
+        return backend;
+    }
+
+    function getBackend(name) {
+        return BACKENDS[name] || null;
+    }
+
+    function listBackends() {
+        return Object.values(BACKENDS).map(b => ({ name: b.name, label: b.label || b.name }));
+    }
+
+    // 'auto', 'cloudinary' or 'local' from Settings
+    function getPreferredBackend() {
+        return (typeof window !== 'undefined' && window.CAVSettings?.manager?.getTransformBackend?.()) || 'auto';
+    }
+
+    /**
+     * Pick a backend that can transform this asset. 'auto' prefers
+     * Cloudinary (generative fill, content-aware gravity) and falls back to
+     * local rendering.
+     */
+    function selectBackend(asset, preferred = getPreferredBackend()) {
+        const order = preferred === 'auto' ? ['cloudinary', 'local'] : [preferred];
+        for (const name of order) {
+            const backend = BACKENDS[name];
+            if (backend && backend.isAvailable(asset)) return backend;
+        }
+        return null;
+    }
+
+    /**
+     * Transform an asset with the preferred (or given) backend.
+     * @param {Object} asset - Library asset (dataUrl/file_url/cloudinary_id, type, width, height)
+     * @param {Object} options - { width, height, crop, gravity, background, format, quality, focus }
+     * @param {Object} [config] - { backend }
+     */
+    async function transformAsset(asset, options = {}, config = {}) {
+        const backend = selectBackend(asset, config.backend || getPreferredBackend());
+        if (!backend) {
+            const wanted = config.backend || getPreferredBackend();
+            throw new Error(wanted === 'auto'
+                ? `No transform backend can process this ${asset.type || 'asset'}. Add Cloudinary credentials in Settings or use a browser with canvas support.`
+                : `The ${wanted} transform backend is not available for this ${asset.type || 'asset'}`);
+        }
+        return backend.transform(asset, options);
+    }
+
+    // ============================================
+    // CLOUDINARY BACKEND
+    // ============================================
+
+    const CloudinaryBackend = {
+        name: 'cloudinary',
+        label: 'Cloudinary',
+
+        isAvailable(asset) {
+            const client = typeof window !== 'undefined' ? window.cloudinaryClient : null;
+            return !!(client?.hasCredentials() && (asset?.cloudinary_id || asset?.cloudinary_url));
+        },
+
+        async transform(asset, options) {
+            const client = window.cloudinaryClient;
+            const isVideo = asset.type === 'video' || asset.mime_type?.startsWith('video/');
+            const result = isVideo
+                ? await client.resizeVideo(asset, { ...options, backend: 'cloudinary' })
+                : await client.transform(asset.cloudinary_id || client.extractPublicId(asset.cloudinary_url), options);
+            return { ...result, backend: 'cloudinary' };
+        }
+    };
+
+    // ============================================
+    // LOCAL BACKEND (browser)
+    // ============================================
+
+    function getSourceUrl(asset) {
+        if (asset.blob || asset.file) return URL.createObjectURL(asset.blob || asset.file);
+        return asset.dataUrl || asset.file_url || asset.cloudinary_url || asset.url || asset.thumbnail_url || null;
+    }
+
+    function createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    function canvasToBlob(canvas, type, quality) {
+        if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality });
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Canvas export failed')), type, quality);
+        });
+    }
+
+    function blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onloadend = () => resolve(reader.result);
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    function loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Could not load the image for local resizing'));
+            img.src = url;
+        });
+    }
+
+    // Average colour of the source, used for b_auto
+    function averageColor(source) {
+        const canvas = createCanvas(1, 1);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0, 1, 1);
+        const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+
+    // Draw one frame (image or video) onto a context with the computed layout
+    function drawLayout(ctx, source, layout, background) {
+        if (layout.padded) {
+            if (background.type === 'blurred') {
+                // Cover the canvas with a blurred copy, like b_blurred
+                const cover = computeLayout({ width: source.videoWidth || source.naturalWidth, height: source.videoHeight || source.naturalHeight }, { width: layout.width, height: layout.height, crop: 'fill', gravity: 'center' });
+                ctx.save();
+                ctx.filter = `blur(${BLUR_RADIUS}px)`;
+                ctx.drawImage(source, cover.source.x, cover.source.y, cover.source.width, cover.source.height, -BLUR_RADIUS, -BLUR_RADIUS, layout.width + BLUR_RADIUS * 2, layout.height + BLUR_RADIUS * 2);
+                ctx.restore();
+            } else {
+                ctx.fillStyle = background.color;
+                ctx.fillRect(0, 0, layout.width, layout.height);
+            }
+        }
+        const { source: s, target: t } = layout;
+        ctx.drawImage(source, s.x, s.y, s.width, s.height, t.x, t.y, t.width, t.height);
+    }
+
+    function outputMimeType(asset, format) {
+        const formats = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' };
+        if (formats[format]) return formats[format];
+        const mime = asset.mime_type || asset.dataUrl?.match(/^data:([^;]+)/)?.[1];
+        return Object.values(formats).includes(mime) ? mime : 'image/png';
+    }
+
+    function pickRecorderType() {
+        const types = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4'];
+        return types.find(t => MediaRecorder.isTypeSupported(t)) || '';
+    }
+
+    const LocalBackend = {
+        name: 'local',
+        label: 'Local (in browser)',
+
+        isAvailable(asset) {
+            if (typeof document === 'undefined' || !asset) return false;
+            const isVideo = asset.type === 'video' || asset.mime_type?.startsWith('video/');
+            if (isVideo) {
+                return typeof MediaRecorder !== 'undefined'
+                    && typeof HTMLCanvasElement !== 'undefined'
+                    && !!HTMLCanvasElement.prototype.captureStream
+                    && !!(asset.blob || asset.file || asset.file_url || asset.dataUrl || asset.cloudinary_url || asset.url);
+            }
+            return !!(asset.blob || asset.file || asset.dataUrl || asset.file_url || asset.cloudinary_url || asset.url || asset.thumbnail_url);
+        },
+
+        async transform(asset, options = {}) {
+            const isVideo = asset.type === 'video' || asset.mime_type?.startsWith('video/');
+            return isVideo ? this.transformVideo(asset, options) : this.transformImage(asset, options);
+        },
+
+        async transformImage(asset, options) {
+            const url = getSourceUrl(asset);
+            const img = await loadImage(url);
+            const layout = computeLayout({ width: img.naturalWidth, height: img.naturalHeight }, options);
+            let background = parseBackground(options.background);
+            if (background.type === 'auto') background = { type: 'color', color: averageColor(img) };
+
+            const canvas = createCanvas(layout.width, layout.height);
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingQuality = 'high';
+            drawLayout(ctx, img, layout, background);
+
+            const type = outputMimeType(asset, options.format);
+            const quality = Number(options.quality) ? Number(options.quality) / 100 : 0.92;
+            const blob = await canvasToBlob(canvas, type, quality);
+            const dataUrl = await blobToDataUrl(blob);
+            if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+
+            return {
+                success: true,
+                backend: 'local',
+                url: dataUrl,
+                dataUrl,
+                blob,
+                width: layout.width,
+                height: layout.height,
+                format: type.split('/')[1],
+                fileSize: blob.size,
+                transformations: describeLayout(options, layout),
+                ...(layout.gravityFallback ? { note: `Gravity ${layout.gravityFallback} needs Cloudinary; used center` } : {})
+            };
+        },
+
+        // Re-renders the video in real time onto a canvas and records it
+        async transformVideo(asset, options) {
+            const url = getSourceUrl(asset);
+            const video = document.createElement('video');
+            video.crossOrigin = 'anonymous';
+            video.muted = true;
+            video.playsInline = true;
+            video.preload = 'auto';
+            video.src = url;
+            await new Promise((resolve, reject) => {
+                video.onloadedmetadata = resolve;
+                video.onerror = () => reject(new Error('Could not load the video for local resizing'));
+            });
+
+            const layout = computeLayout({ width: video.videoWidth, height: video.videoHeight }, options);
+            let background = parseBackground(options.background);
+            if (background.type === 'auto') background = { type: 'blurred' };
+
+            const canvas = document.createElement('canvas');
+            canvas.width = layout.width;
+            canvas.height = layout.height;
+            const ctx = canvas.getContext('2d');
+            const stream = canvas.captureStream(30);
+            const sourceStream = video.captureStream?.() || video.mozCaptureStream?.();
+            sourceStream?.getAudioTracks().forEach(track => stream.addTrack(track));
+
+            const mimeType = pickRecorderType();
+            const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+            const chunks = [];
+            recorder.ondataavailable = e => { if (e.data.size > 0) chunks.push(e.data); };
+            const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+            const drawFrame = () => {
+                drawLayout(ctx, video, layout, background);
+                if (video.ended || video.paused) return;
+                if (video.requestVideoFrameCallback) video.requestVideoFrameCallback(drawFrame);
+                else requestAnimationFrame(drawFrame);
+            };
+
+            recorder.start(1000);
+            await video.play();
+            drawFrame();
+            await new Promise(resolve => { video.onended = resolve; });
+            recorder.stop();
+            await stopped;
+            if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+
+            const blob = new Blob(chunks, { type: (mimeType || 'video/webm').split(';')[0] });
+            return {
+                success: true,
+                backend: 'local',
+                url: URL.createObjectURL(blob),
+                blob,
+                width: layout.width,
+                height: layout.height,
+                duration: video.duration,
+                format: blob.type.split('/')[1],
+                fileSize: blob.size,
+                crop: options.crop || 'fill',
+                gravity: layout.gravity,
+                transformations: describeLayout(options, layout)
+            };
+        }
+    };
+
+    registerBackend(CloudinaryBackend);
+    registerBackend(LocalBackend);
+
+    const TransformBackends = {
+        VERSION: '1.0.0',
+        TRANSFORM_CROP_MODES,
+        GRAVITY_ANCHORS,
+        computeLayout,
+        resolveGravity,
+        parseBackground,
+        parseTransformation,
+        describeLayout,
+        registerBackend,
+        getBackend,
+        listBackends,
+        selectBackend,
+        transformAsset
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TransformBackends;
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CAVTransformBackends = TransformBackends;
+    }
+})();
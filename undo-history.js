@@ -0,0 +1,320 @@
+/**
+ * Creative Asset Validator - Undo History
+ * Version 1.0.0
+ *
+ * Multi-level undo/redo for library operations. Every mutating operation
+ * records a command: a type plus the plain data needed to apply it in
+ * either direction (the fields before and after, or a full asset snapshot
+ * for deletes). The code that owns each operation registers how to undo
+ * and redo its command types:
+ *
+ *   CAVUndoHistory.registerType('asset.update', { undo: async (data) => {}, redo: async (data) => {} })
+ *   CAVUndoHistory.record({ type: 'asset.update', description: 'Rename hero.png', data })
+ *
+ * Commands live in IndexedDB under this tab's session id (sessionStorage),
+ * so history survives a reload but each tab has its own, and sessions not
+ * touched for SESSION_TTL_MS are dropped. Command data must be
+ * structured-cloneable.
+ *
+ * Recording a new command discards anything that was undone (the redo
+ * branch), as in an editor. Undo and redo run one at a time.
+ */
+
+(function() {
+    'use strict';
+
+    const VERSION = '1.0.0';
+    const DB_NAME = 'cav_undo_history';
+    const DB_VERSION = 1;
+    const STORE = 'commands';
+    const SESSION_KEY = 'cav_undo_session';
+
+    const MAX_COMMANDS = 100;
+    const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+    // ============================================
+    // STORAGE
+    // ============================================
+
+    class IdbCommandStore {
+        constructor() {
+            this.dbReady = this.open();
+        }
+
+        open() {
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = event.target.result;
+                    if (!db.objectStoreNames.contains(STORE)) {
+                        db.createObjectStore(STORE, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        async request(mode, fn) {
+            const db = await this.dbReady;
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(STORE, mode);
+                const request = fn(tx.objectStore(STORE));
+                let result;
+                if (request) request.onsuccess = () => { result = request.result; };
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+
+        all() {
+            return this.request('readonly', store => store.getAll());
+        }
+
+        put(record) {
+            return this.request('readwrite', store => store.put(record));
+        }
+
+        async remove(ids) {
+            if (ids.length === 0) return;
+            await this.request('readwrite', store => {
+                ids.forEach(id => store.delete(id));
+            });
+        }
+    }
+
+    // Same interface without IndexedDB; history then only lasts for the page
+    class MemoryCommandStore {
+        constructor() {
+            this.records = new Map();
+        }
+
+        async all() {
+            return [...this.records.values()];
+        }
+
+        async put(record) {
+            this.records.set(record.id, record);
+        }
+
+        async remove(ids) {
+            ids.forEach(id => this.records.delete(id));
+        }
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    function createId(prefix) {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    // sessionStorage survives a reload but not closing the tab
+    function sessionId() {
+        try {
+            let id = sessionStorage.getItem(SESSION_KEY);
+            if (!id) {
+                id = createId('session');
+                sessionStorage.setItem(SESSION_KEY, id);
+            }
+            return id;
+        } catch (e) {
+            return createId('session');
+        }
+    }
+
+    // ============================================
+    // UNDO HISTORY
+    // ============================================
+
+    class UndoHistory {
+        constructor() {
+            this.sessionId = typeof sessionStorage !== 'undefined' ? sessionId() : createId('session');
+            this.store = typeof indexedDB !== 'undefined' ? new IdbCommandStore() : new MemoryCommandStore();
+            this.types = new Map();
+            this.listeners = [];
+            // This session's commands, oldest first
+            this.commands = [];
+            this.busy = Promise.resolve();
+
+            this.ready = this.load().catch(error => {
+                console.warn('[UndoHistory] IndexedDB unavailable, keeping history in memory:', error);
+                this.store = new MemoryCommandStore();
+                this.commands = [];
+            });
+        }
+
+        async load() {
+            const all = await this.store.all();
+            const lastUsed = new Map();
+            all.forEach(c => lastUsed.set(c.sessionId, Math.max(lastUsed.get(c.sessionId) || 0, Date.parse(c.timestamp))));
+            const expired = all.filter(c => c.sessionId !== this.sessionId && Date.now() - lastUsed.get(c.sessionId) > SESSION_TTL_MS);
+            await this.store.remove(expired.map(c => c.id));
+
+            this.commands = all
+                .filter(c => c.sessionId === this.sessionId)
+                .sort((a, b) => a.seq - b.seq);
+            this.notifyListeners('loaded', null);
+        }
+
+        /**
+         * @param {string} type
+         * @param {Object} handlers - { undo: async (data) => void, redo: async (data) => void }
+         */
+        registerType(type, handlers) {
+            this.types.set(type, handlers);
+        }
+
+        // Run one history change at a time, in call order
+        exclusive(fn) {
+            const run = this.busy.then(() => this.ready).then(fn);
+            this.busy = run.catch(() => {});
+            return run;
+        }
+
+        /**
+         * Record an operation that has already been applied.
+         * @param {Object} command - { type, description, data }
+         * @returns {Promise<Object>} - The stored command
+         */
+        record({ type, description, data }) {
+            return this.exclusive(async () => {
+                const undone = this.commands.filter(c => c.state === 'undone');
+                const done = this.commands.filter(c => c.state === 'done');
+                const dropped = [...undone, ...done.slice(0, Math.max(0, done.length + 1 - MAX_COMMANDS))];
+
+                const command = {
+                    id: createId('cmd'),
+                    sessionId: this.sessionId,
+                    seq: (this.commands[this.commands.length - 1]?.seq || 0) + 1,
+                    type,
+                    description: description || type,
+                    data,
+                    state: 'done',
+                    timestamp: new Date().toISOString(),
+                };
+
+                await this.store.remove(dropped.map(c => c.id));
+                await this.store.put(command);
+                const droppedIds = new Set(dropped.map(c => c.id));
+                this.commands = [...this.commands.filter(c => !droppedIds.has(c.id)), command];
+                this.notifyListeners('recorded', command);
+                return command;
+            });
+        }
+
+        // ----------------------------------------
+        // Undo / redo
+        // ----------------------------------------
+
+        canUndo() {
+            return this.commands.some(c => c.state === 'done');
+        }
+
+        canRedo() {
+            return this.commands.some(c => c.state === 'undone');
+        }
+
+        // The command undo() would revert
+        peekUndo() {
+            return [...this.commands].reverse().find(c => c.state === 'done') || null;
+        }
+
+        // The command redo() would re-apply: the most recently undone one
+        peekRedo() {
+            return this.commands.find(c => c.state === 'undone') || null;
+        }
+
+        /**
+         * Revert the latest command. A failing handler leaves the command
+         * where it was and rethrows.
+         * @returns {Promise<Object|null>} - The command, or null with nothing to undo
+         */
+        undo() {
+            return this.exclusive(() => this.apply(this.peekUndo(), 'undo', 'undone'));
+        }
+
+        redo() {
+            return this.exclusive(() => this.apply(this.peekRedo(), 'redo', 'done'));
+        }
+
+        /**
+         * Undo until the given command has been undone too.
+         * @returns {Promise<number>} - How many commands were undone
+         */
+        async undoTo(commandId) {
+            const target = this.commands.find(c => c.id === commandId);
+            if (!target || target.state !== 'done') return 0;
+            let count = 0;
+            while (target.state === 'done') {
+                await this.undo();
+                count++;
+            }
+            return count;
+        }
+
+        async apply(command, direction, nextState) {
+            if (!command) return null;
+            const handlers = this.types.get(command.type);
+            if (!handlers) throw new Error(`Cannot ${direction} "${command.description}": no handler for ${command.type}`);
+
+            await handlers[direction](command.data, command);
+            command.state = nextState;
+            await this.store.put(command);
+            this.notifyListeners(direction, command);
+            return command;
+        }
+
+        // ----------------------------------------
+        // History
+        // ----------------------------------------
+
+        // Newest first, with state 'done' or 'undone'
+        getHistory() {
+            return [...this.commands].reverse();
+        }
+
+        clear() {
+            return this.exclusive(async () => {
+                await this.store.remove(this.commands.map(c => c.id));
+                this.commands = [];
+                this.notifyListeners('cleared', null);
+            });
+        }
+
+        addListener(callback) {
+            this.listeners.push(callback);
+        }
+
+        removeListener(callback) {
+            this.listeners = this.listeners.filter(cb => cb !== callback);
+        }
+
+        notifyListeners(event, command) {
+            this.listeners.forEach(cb => {
+                try {
+                    cb(event, command);
+                } catch (e) {
+                    console.error('[UndoHistory] Listener error:', e);
+                }
+            });
+        }
+    }
+
+    // ============================================
+    // EXPORT
+    // ============================================
+    const undoHistory = new UndoHistory();
+    undoHistory.VERSION = VERSION;
+    undoHistory.MAX_COMMANDS = MAX_COMMANDS;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = undoHistory;
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CAVUndoHistory = undoHistory;
+    }
+})();
@@ -1,81 +1,43 @@
 /**
  * Unified Storage Manager - Creative Innovate Tool
  * ================================================
- * Version: 1.0.0 - January 18, 2026
+ * Version: 2.1.0 - October 19, 2026
  * 
- * Ensures ALL data is properly persisted across:
- * - localStorage (fast access)
- * - IndexedDB (large data, offline)
- * - Supabase (cross-device sync)
- * 
- * Data Types Managed:
- * - Video Analyses
- * - Creative Analyses
- * - Strategies
- * - URL/Image Analyses
- * - Swipe Files
- * - Benchmarks
- * - Google Ads Builds
- * - Social Media Builds
- * - Keyword Research
- * - AI Studio History
- * - Activity Log
+ * Typed shortcuts over CAVRepository (repository.js), which stores every
+ * record in IndexedDB and syncs it through one outbox:
+ * - save / get / getAll / delete by store name
+ * - saveVideoAnalysis, getSwipeFiles, ... per data type
+ * - Workspace channel specs & packages (shared with everyone on the same email domain)
+ * - API keys (localStorage + Supabase key tables, not synced as records)
+ *
+ * It also tells the repository who is signed in (user email and workspace),
+ * which scopes every read and stamps every write.
  */
 
 (function() {
     'use strict';
 
-    const VERSION = '1.0.2';
-    const DB_NAME = 'CAVUnifiedStorage';
-    const DB_VERSION = 3; // Incremented to add user_settings, companies, contacts, projects stores
+    const VERSION = '2.1.0';
 
-    // Storage keys for different data types
+    // Older localStorage history keys are imported by migrations.js
     const STORAGE_KEYS = {
-        VIDEO_ANALYSES: 'cav_video_analyses_v2',
-        CREATIVE_ANALYSES: 'cav_creative_analyses_v2',
-        STRATEGIES: 'cav_strategies_v2',
-        URL_ANALYSES: 'cav_url_analyses_v2',
-        SWIPE_FILES: 'cav_swipe_files_v2',
-        BENCHMARKS: 'cav_benchmarks_v2',
-        GOOGLE_ADS: 'cav_google_ads_v2',
-        SOCIAL_MEDIA: 'cav_social_media_v2',
-        KEYWORD_RESEARCH: 'cav_keyword_research_v2',
-        AI_STUDIO: 'cav_ai_studio_v2',
-        ACTIVITY_LOG: 'cav_activity_log_v2',
-        AUTO_FIX: 'cav_auto_fix_v2',
         LAST_SYNC: 'cav_unified_last_sync'
     };
 
-    // Supabase table mappings
-    const SUPABASE_TABLES = {
-        VIDEO_ANALYSES: 'video_analyses',
-        CREATIVE_ANALYSES: 'creative_analyses',
-        STRATEGIES: 'strategies',
-        URL_ANALYSES: 'url_analyses',
-        SWIPE_FILES: 'swipe_files',
-        BENCHMARKS: 'benchmarks',
-        GOOGLE_ADS: 'google_ads_builds',
-        SOCIAL_MEDIA: 'social_media_builds',
-        KEYWORD_RESEARCH: 'keyword_research',
-        ACTIVITY_LOG: 'activity_log'
-    };
-
     class UnifiedStorageManager {
         constructor() {
-            this.db = null;
-            this.dbReady = this.initDB();
-            this.syncQueue = [];
-            this.isSyncing = false;
+            this.repository = window.CAVRepository;
+            this.dbReady = this.repository.ready;
             this.userEmail = null;
             
             // Set up user context
             this.initUserContext();
-            
-            // Set up periodic sync
-            this.setupPeriodicSync();
-            
-            // Listen for online/offline
-            this.setupConnectivityListeners();
+            this.repository.configure({
+                context: () => ({ userEmail: this.getCurrentUserEmail(), workspaceId: this.getWorkspaceId() })
+            });
+            this.repository.on('sync_complete', () => {
+                localStorage.setItem(STORAGE_KEYS.LAST_SYNC, new Date().toISOString());
+            });
             
             console.log(`[UnifiedStorage] v${VERSION} initialized`);
         }
@@ -157,587 +119,59 @@
             return this.refreshUserEmail();
         }
 
-        async initDB() {
-            return new Promise((resolve, reject) => {
-                const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-                request.onerror = () => {
-                    console.error('[UnifiedStorage] IndexedDB error');
-                    resolve(false);
-                };
-
-                request.onsuccess = () => {
-                    this.db = request.result;
-                    console.log('[UnifiedStorage] IndexedDB ready');
-                    resolve(true);
-                };
-
-                request.onupgradeneeded = (event) => {
-                    const db = event.target.result;
-
-                    // Create stores for each data type
-                    const stores = [
-                        'video_analyses',
-                        'creative_analyses',
-                        'strategies',
-                        'url_analyses',
-                        'swipe_files',
-                        'benchmarks',
-                        'google_ads_builds',
-                        'social_media_builds',
-                        'keyword_research',
-                        'ai_studio_history',
-                        'activity_log',
-                        'auto_fix_history',
-                        'api_keys',  // Added: for API key storage
-                        'user_api_keys',  // Added: for user-specific API keys
-                        'user_settings',  // Added: for user settings sync
-                        'companies',  // Added: for CRM companies
-                        'contacts',  // Added: for CRM contacts
-                        'projects'  // Added: for CRM projects
-                    ];
-
-                    stores.forEach(storeName => {
-                        if (!db.objectStoreNames.contains(storeName)) {
-                            const store = db.createObjectStore(storeName, { keyPath: 'id' });
-                            store.createIndex('user_email', 'user_email', { unique: false });
-                            store.createIndex('created_at', 'created_at', { unique: false });
-                            store.createIndex('needs_sync', 'needs_sync', { unique: false });
-                        }
-                    });
-
-                    console.log('[UnifiedStorage] IndexedDB schema created');
-                };
-            });
-        }
-
-        setupPeriodicSync() {
-            // Sync every 5 minutes
-            setInterval(() => {
-                this.syncToCloud();
-            }, 5 * 60 * 1000);
-
-            // Also sync on page visibility change (when user comes back)
-            document.addEventListener('visibilitychange', () => {
-                if (!document.hidden) {
-                    this.syncToCloud();
-                }
-            });
-        }
-
-        setupConnectivityListeners() {
-            window.addEventListener('online', () => {
-                console.log('[UnifiedStorage] Online - syncing pending changes');
-                this.syncToCloud();
-            });
-        }
-
         // ============================================
         // GENERIC CRUD OPERATIONS
         // ============================================
 
+        /**
+         * Save a record. Records without an id get one.
+         * @param {boolean} syncToCloud - false keeps the record on this device
+         * @returns {Promise<Object>} - The stored record
+         */
         async save(storeName, data, syncToCloud = true) {
-            await this.dbReady;
-
-            // Generate ID if not present
             if (!data.id) {
                 data.id = `${storeName}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
             }
-
-            // Add metadata - always get fresh user email
-            data.user_email = this.getCurrentUserEmail();
-            data.updated_at = new Date().toISOString();
-            data.created_at = data.created_at || data.updated_at;
-            data.needs_sync = syncToCloud;
-
-            // Save to IndexedDB
-            if (this.db) {
-                await this.saveToIndexedDB(storeName, data);
-            }
-
-            // Save to localStorage as fallback
-            this.saveToLocalStorage(storeName, data);
-
-            // Queue for cloud sync
-            if (syncToCloud) {
-                this.queueForSync(storeName, data);
-            }
-
-            return data;
+            return this.repository.save(storeName, data, { sync: syncToCloud });
         }
 
         async get(storeName, id) {
-            await this.dbReady;
-
-            // Try IndexedDB first
-            if (this.db) {
-                const item = await this.getFromIndexedDB(storeName, id);
-                if (item) return item;
-            }
-
-            // Fall back to localStorage
-            return this.getFromLocalStorage(storeName, id);
+            return this.repository.get(storeName, id);
         }
 
+        // Current user's records, newest first; options: { limit, includeDeleted }
         async getAll(storeName, options = {}) {
-            await this.dbReady;
-
-            let items = [];
-
-            // Get from IndexedDB
-            if (this.db) {
-                items = await this.getAllFromIndexedDB(storeName);
-            } else {
-                items = this.getAllFromLocalStorage(storeName);
-            }
-
-            // Filter by user
-            const currentEmail = this.getCurrentUserEmail();
-            items = items.filter(item => item.user_email === currentEmail);
-
-            // Filter deleted
-            if (!options.includeDeleted) {
-                items = items.filter(item => !item.deleted_at);
-            }
-
-            // Sort by created_at desc
-            items.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-
-            // Limit
-            if (options.limit) {
-                items = items.slice(0, options.limit);
-            }
-
-            return items;
+            return this.repository.list(storeName, options);
         }
 
         async delete(storeName, id, softDelete = true) {
-            await this.dbReady;
-
-            if (softDelete) {
-                const item = await this.get(storeName, id);
-                if (item) {
-                    item.deleted_at = new Date().toISOString();
-                    item.needs_sync = true;
-                    await this.save(storeName, item, true);
-                }
-            } else {
-                // Hard delete
-                if (this.db) {
-                    await this.deleteFromIndexedDB(storeName, id);
-                }
-                this.deleteFromLocalStorage(storeName, id);
-            }
-        }
-
-        // ============================================
-        // INDEXEDDB OPERATIONS
-        // ============================================
-
-        async saveToIndexedDB(storeName, data) {
-            return new Promise((resolve, reject) => {
-                try {
-                    const transaction = this.db.transaction([storeName], 'readwrite');
-                    const store = transaction.objectStore(storeName);
-                    const request = store.put(data);
-
-                    request.onsuccess = () => resolve(data);
-                    request.onerror = () => reject(request.error);
-                } catch (e) {
-                    console.warn('[UnifiedStorage] IndexedDB save error:', e);
-                    resolve(null);
-                }
-            });
-        }
-
-        async getFromIndexedDB(storeName, id) {
-            return new Promise((resolve) => {
-                try {
-                    const transaction = this.db.transaction([storeName], 'readonly');
-                    const store = transaction.objectStore(storeName);
-                    const request = store.get(id);
-
-                    request.onsuccess = () => resolve(request.result);
-                    request.onerror = () => resolve(null);
-                } catch (e) {
-                    resolve(null);
-                }
-            });
-        }
-
-        async getAllFromIndexedDB(storeName) {
-            return new Promise((resolve) => {
-                try {
-                    const transaction = this.db.transaction([storeName], 'readonly');
-                    const store = transaction.objectStore(storeName);
-                    const request = store.getAll();
-
-                    request.onsuccess = () => resolve(request.result || []);
-                    request.onerror = () => resolve([]);
-                } catch (e) {
-                    resolve([]);
-                }
-            });
-        }
-
-        async deleteFromIndexedDB(storeName, id) {
-            return new Promise((resolve) => {
-                try {
-                    const transaction = this.db.transaction([storeName], 'readwrite');
-                    const store = transaction.objectStore(storeName);
-                    const request = store.delete(id);
-
-                    request.onsuccess = () => resolve(true);
-                    request.onerror = () => resolve(false);
-                } catch (e) {
-                    resolve(false);
-                }
-            });
-        }
-
-        // ============================================
-        // LOCALSTORAGE OPERATIONS
-        // ============================================
-
-        saveToLocalStorage(storeName, data) {
-            try {
-                const key = `cav_unified_${storeName}`;
-                const existing = JSON.parse(localStorage.getItem(key) || '[]');
-                
-                // Update or add
-                const index = existing.findIndex(item => item.id === data.id);
-                if (index >= 0) {
-                    existing[index] = data;
-                } else {
-                    existing.unshift(data);
-                }
-
-                // Keep only last 100 items in localStorage to prevent quota issues
-                const trimmed = existing.slice(0, 100);
-                localStorage.setItem(key, JSON.stringify(trimmed));
-            } catch (e) {
-                if (e.name === 'QuotaExceededError') {
-                    console.warn('[UnifiedStorage] localStorage quota exceeded, clearing old data');
-                    this.clearOldLocalStorageData(storeName);
-                }
-            }
-        }
-
-        getFromLocalStorage(storeName, id) {
-            try {
-                const key = `cav_unified_${storeName}`;
-                const items = JSON.parse(localStorage.getItem(key) || '[]');
-                return items.find(item => item.id === id);
-            } catch (e) {
-                return null;
-            }
-        }
-
-        getAllFromLocalStorage(storeName) {
-            try {
-                const key = `cav_unified_${storeName}`;
-                return JSON.parse(localStorage.getItem(key) || '[]');
-            } catch (e) {
-                return [];
-            }
-        }
-
-        deleteFromLocalStorage(storeName, id) {
-            try {
-                const key = `cav_unified_${storeName}`;
-                const items = JSON.parse(localStorage.getItem(key) || '[]');
-                const filtered = items.filter(item => item.id !== id);
-                localStorage.setItem(key, JSON.stringify(filtered));
-            } catch (e) {}
-        }
-
-        clearOldLocalStorageData(storeName) {
-            const key = `cav_unified_${storeName}`;
-            const items = JSON.parse(localStorage.getItem(key) || '[]');
-            // Keep only last 50 items
-            localStorage.setItem(key, JSON.stringify(items.slice(0, 50)));
+            return softDelete
+                ? this.repository.remove(storeName, id)
+                : this.repository.purge(storeName, id);
         }
 
         // ============================================
         // CLOUD SYNC OPERATIONS
         // ============================================
 
-        queueForSync(storeName, data) {
-            this.syncQueue.push({ storeName, data, timestamp: Date.now() });
-            
-            // Debounced sync
-            clearTimeout(this.syncTimeout);
-            this.syncTimeout = setTimeout(() => {
-                this.syncToCloud();
-            }, 2000);
-        }
-
+        // Push pending changes and pull remote ones now
         async syncToCloud() {
-            if (this.isSyncing || this.syncQueue.length === 0) return;
-            if (!navigator.onLine) return;
-            if (!window.CAVSupabase?.isConfigured?.()) return;
-
-            this.isSyncing = true;
-            console.log(`[UnifiedStorage] Syncing ${this.syncQueue.length} items to cloud...`);
-
-            const itemsToSync = [...this.syncQueue];
-            this.syncQueue = [];
-
             try {
-                const supabase = window.CAVSupabase.getClient?.();
-                if (!supabase) {
-                    this.syncQueue = itemsToSync; // Re-queue
-                    return;
-                }
-
-                for (const item of itemsToSync) {
-                    try {
-                        const tableName = SUPABASE_TABLES[item.storeName.toUpperCase()] || item.storeName;
-                        
-                        // Skip api_keys sync - we use user_api_keys table instead
-                        // The api_keys table has UUID id column but code uses text ids
-                        if (item.storeName === 'api_keys') {
-                            console.log(`[UnifiedStorage] Skipping api_keys sync (use user_api_keys instead)`);
-                            item.data.needs_sync = false;
-                            await this.saveToIndexedDB(item.storeName, item.data);
-                            continue;
-                        }
-                        
-                        // Prepare data for Supabase
-                        const supabaseData = this.prepareForSupabase(item.data);
-                        
-                        // INSERT-only tables (no upsert - let Supabase generate UUID id)
-                        const insertOnlyTables = ['activity_log'];
-                        
-                        let error;
-                        if (insertOnlyTables.includes(tableName)) {
-                            // For activity_log: INSERT only, remove 'id' so Supabase auto-generates UUID
-                            delete supabaseData.id;
-                            const result = await supabase
-                                .from(tableName)
-                                .insert(supabaseData);
-                            error = result.error;
-                        } else {
-                            // Determine the correct onConflict column for each table
-                            let onConflictColumn = 'id';
-                            if (item.storeName === 'user_api_keys') {
-                                // user_api_keys uses uuid column for upsert
-                                onConflictColumn = 'uuid';
-                            } else if (supabaseData.uuid) {
-                                // Tables with uuid column
-                                onConflictColumn = 'uuid';
-                            }
-
-                            const result = await supabase
-                                .from(tableName)
-                                .upsert(supabaseData, { onConflict: onConflictColumn, ignoreDuplicates: false });
-                            error = result.error;
-                        }
-
-                        if (error) {
-                            console.warn(`[UnifiedStorage] Sync error for ${tableName}:`, error.message);
-                            // Only re-queue if it's not a schema error (those won't fix themselves)
-                            if (!error.message.includes('column') && !error.message.includes('schema') && !error.message.includes('uuid')) {
-                                this.syncQueue.push(item);
-                            }
-                        } else {
-                            // Mark as synced
-                            item.data.needs_sync = false;
-                            await this.saveToIndexedDB(item.storeName, item.data);
-                            console.log(`[UnifiedStorage] ✓ Synced to ${tableName}`);
-                        }
-                    } catch (e) {
-                        console.warn('[UnifiedStorage] Item sync failed:', e);
-                        this.syncQueue.push(item);
-                    }
-                }
-
-                localStorage.setItem(STORAGE_KEYS.LAST_SYNC, new Date().toISOString());
-                console.log('[UnifiedStorage] Cloud sync complete');
-
+                return await this.repository.sync();
             } catch (e) {
                 console.error('[UnifiedStorage] Cloud sync error:', e);
-                this.syncQueue = [...itemsToSync, ...this.syncQueue];
-            } finally {
-                this.isSyncing = false;
-            }
-        }
-
-        prepareForSupabase(data) {
-            const prepared = { ...data };
-            
-            // Remove local-only fields
-            delete prepared.needs_sync;
-            
-            // CRITICAL: Add user_email for Google Sign-In users
-            const userEmail = window.cavUserSession?.email || 
-                              window.CAVSecurity?.SecureSessionManager?.getSession()?.email || 
-                              this.userEmail ||
-                              'anonymous';
-            prepared.user_email = prepared.user_email || userEmail;
-            prepared.owner_email = prepared.owner_email || userEmail;
-            
-            // Transform camelCase to snake_case for Supabase compatibility
-            // NOTE: analyzedAt removed - goes to metadata for tables that don't have it
-            const camelToSnakeMap = {
-                'abTestRecommendations': 'ab_test_recommendations',
-                'placementMatrix': 'placement_matrix',
-                'derivativeIdeas': 'derivative_ideas',
-                'fatiguePrediction': 'fatigue_prediction',
-                'hookAnalysis': 'hook_analysis',
-                'ctaAnalysis': 'cta_analysis',
-                'brandCompliance': 'brand_compliance',
-                'thumbStopScore': 'thumb_stop_score',
-                'performancePrediction': 'performance_prediction',
-                'enhancedAnalysis': 'enhanced_analysis',
-                'confidenceLevel': 'confidence_level',
-                'processingTime': 'processing_time',
-                'assetId': 'asset_id',
-                'assetFilename': 'asset_filename',
-                'assetType': 'asset_type',
-                'assetDimensions': 'asset_dimensions',
-                'audioStrategy': 'audio_strategy',
-                'overallScore': 'overall_score',
-                'linkedCompanyId': 'linked_company_id',
-                'detectedBrand': 'detected_brand',
-                'isShared': 'is_shared',
-                'createdAt': 'created_at',
-                'updatedAt': 'updated_at',
-                'deletedAt': 'deleted_at',
-                'userId': 'user_id',
-                'userEmail': 'user_email',
-                'strategyType': 'strategy_type',
-                'urlType': 'url_type'
-            };
-            
-            // Apply camelCase to snake_case transformation
-            Object.keys(camelToSnakeMap).forEach(camelKey => {
-                if (prepared[camelKey] !== undefined) {
-                    prepared[camelToSnakeMap[camelKey]] = prepared[camelKey];
-                    delete prepared[camelKey];
-                }
-            });
-            
-            // Convert complex objects to JSON strings (only for fields that exist in DB schema)
-            // NOTE: 'analysis' removed - it goes to metadata instead for tables that don't have it
-            const jsonFields = ['metadata', 'results', 'data', 'insights', 'config',
-                               'hook_analysis', 'cta_analysis', 'brand_compliance', 'thumb_stop_score',
-                               'performance_prediction', 'enhanced_analysis', 'ab_test_recommendations',
-                               'placement_matrix', 'derivative_ideas', 'fatigue_prediction',
-                               'asset_dimensions', 'audio_strategy', 'content', 'recommendations', 'scores'];
-            jsonFields.forEach(field => {
-                if (prepared[field] && typeof prepared[field] === 'object') {
-                    prepared[field] = JSON.stringify(prepared[field]);
-                }
-            });
-
-            // Remove base64 data - store reference instead
-            if (prepared.dataUrl || prepared.imageData || prepared.thumbnail_data) {
-                delete prepared.dataUrl;
-                delete prepared.imageData;
-                delete prepared.thumbnail_data;
-            }
-            
-            // Remove fields that commonly cause schema errors
-            // Store them in metadata instead
-            const problematicFields = [
-                // Video analysis fields
-                'adCopySuggestions', 'ad_copy_suggestions', 'benchmarkComparison', 'benchmark_comparison',
-                'analysis', 'frames', 'transcript', 'keyMoments', 'key_moments',
-                'sceneBreakdown', 'scene_breakdown', 'emotionalArc', 'emotional_arc',
-                'brandMentions', 'brand_mentions', 'competitorMentions', 'competitor_mentions',
-                'callToActions', 'call_to_actions', 'hooks', 'audienceSignals', 'audience_signals',
-                'rawAIResponse', 'raw_ai_response',
-                // URL/Creative analysis fields
-                'creativeSummary', 'creative_summary', 'analyzed_at', 'analyzedAt',
-                'hookAnalysis', 'messageArchitecture', 'message_architecture',
-                'visualStrategy', 'visual_strategy', 'ctaEvaluation', 'cta_evaluation',
-                'platformOptimization', 'platform_optimization',
-                'performanceIndicators', 'performance_indicators',
-                'takeaways', 'comparisonResult', 'comparison_result',
-                'extractedBenchmarks', 'extracted_benchmarks',
-                'detectedCompetitor', 'detected_competitor', 'sources', 'savedToSwipeFile',
-                'colorPalette', 'color_palette', 'imageMetrics', 'image_metrics',
-                // Swipe file fields
-                'collections', 'isCompetitor', 'is_competitor', 'swipeEntries', 'swipe_entries',
-                // Benchmark fields
-                'lastUpdated', 'last_updated', 'dataPoints', 'data_points',
-                // General
-                'enrichedData', 'enriched_data', 'strategyInsights', 'strategy_insights',
-                'aiAnalyses', 'ai_analyses', 'rawResponse', 'raw_response',
-                // Asset-specific fields that may not exist
-                'cloudinary_data', 'cloudinaryData', 'videoFrames', 'video_frames',
-                'extractedText', 'extracted_text', 'ocrResults', 'ocr_results'
-            ];
-            
-            // Move problematic fields into metadata
-            if (!prepared.metadata || typeof prepared.metadata !== 'object') {
-                prepared.metadata = {};
-            }
-            if (typeof prepared.metadata === 'string') {
-                try { prepared.metadata = JSON.parse(prepared.metadata); } catch (e) { prepared.metadata = {}; }
+                return null;
             }
-            
-            problematicFields.forEach(field => {
-                if (prepared[field] !== undefined) {
-                    prepared.metadata[field] = prepared[field];
-                    delete prepared[field];
-                }
-            });
-            
-            // Stringify metadata
-            prepared.metadata = JSON.stringify(prepared.metadata);
-
-            return prepared;
         }
 
+        // Pull remote changes for one store and return its records
         async loadFromCloud(storeName) {
-            if (!window.CAVSupabase?.isConfigured?.()) return [];
-
             try {
-                const supabase = window.CAVSupabase.getClient?.();
-                if (!supabase) return [];
-
-                const tableName = SUPABASE_TABLES[storeName.toUpperCase()] || storeName;
-
-                const { data, error } = await supabase
-                    .from(tableName)
-                    .select('*')
-                    .eq('user_email', this.getCurrentUserEmail())
-                    .is('deleted_at', null)
-                    .order('created_at', { ascending: false })
-                    .limit(100);
-
-                if (error) {
-                    console.warn(`[UnifiedStorage] Cloud load error for ${tableName}:`, error.message);
-                    return [];
-                }
-
-                // Parse JSON fields
-                const parsed = (data || []).map(item => {
-                    const jsonFields = ['analysis', 'metadata', 'results', 'data', 'insights', 'config'];
-                    jsonFields.forEach(field => {
-                        if (item[field] && typeof item[field] === 'string') {
-                            try {
-                                item[field] = JSON.parse(item[field]);
-                            } catch (e) {}
-                        }
-                    });
-                    return item;
-                });
-
-                // Merge with local data
-                for (const item of parsed) {
-                    await this.saveToIndexedDB(storeName, { ...item, needs_sync: false });
-                }
-
-                console.log(`[UnifiedStorage] Loaded ${parsed.length} items from cloud: ${storeName}`);
-                return parsed;
-
+                await this.repository.pull([storeName]);
             } catch (e) {
                 console.error('[UnifiedStorage] Cloud load error:', e);
-                return [];
             }
+            return this.getAll(storeName, { limit: 100 });
         }
 
         // ============================================
@@ -1121,47 +555,85 @@
         }
 
         // ============================================
-        // MIGRATION - Import from old localStorage keys
+        // WORKSPACE CHANNEL SPECS & PACKAGES
         // ============================================
 
-        async migrateOldData() {
-            console.log('[UnifiedStorage] Checking for data migration...');
-
-            const migrations = [
-                { oldKey: 'cav_advanced_video_analyses', storeName: 'video_analyses' },
-                { oldKey: 'cav_video_analyses', storeName: 'video_analyses' },
-                { oldKey: 'cav_creative_analyses', storeName: 'creative_analyses' },
-                { oldKey: 'cav_strategies', storeName: 'strategies' },
-                { oldKey: 'cav_url_analyses', storeName: 'url_analyses' },
-                { oldKey: 'cav_swipe_file', storeName: 'swipe_files' },
-                { oldKey: 'cav_benchmarks', storeName: 'benchmarks' },
-                { oldKey: 'cav_ai_studio_history', storeName: 'ai_studio_history' },
-                { oldKey: 'cav_autofix_history', storeName: 'auto_fix_history' }
-            ];
+        /**
+         * Workspace the current user shares custom channel specs and packages with.
+         * Company domains share one workspace (same org id as shared API keys);
+         * public domains get a personal workspace.
+         */
+        getWorkspaceId() {
+            const email = this.getCurrentUserEmail();
+            const domain = email.split('@')[1];
+            if (!domain || domain === 'gmail.com' || domain === 'local') {
+                return `user_${email.replace(/[^a-z0-9]/gi, '_')}`;
+            }
+            return domain.replace(/\./g, '_');
+        }
+
+        // Workspace records are shared rows keyed by `${workspace}:${name}`;
+        // `field` names the JSON column holding the definition
+        async saveWorkspaceRecord(storeName, name, field, value) {
+            const workspaceId = this.getWorkspaceId();
+            const id = `${workspaceId}:${name}`;
+            const existing = await this.get(storeName, id);
+            return this.save(storeName, {
+                id,
+                uuid: id,
+                organization_id: workspaceId,
+                name,
+                [field]: value,
+                owner_email: existing?.owner_email || this.getCurrentUserEmail(),
+                created_at: existing?.created_at
+            });
+        }
 
-            for (const { oldKey, storeName } of migrations) {
-                try {
-                    const oldData = JSON.parse(localStorage.getItem(oldKey) || '[]');
-                    if (oldData.length > 0) {
-                        console.log(`[UnifiedStorage] Migrating ${oldData.length} items from ${oldKey}`);
-                        
-                        for (const item of oldData) {
-                            // Generate ID if missing
-                            if (!item.id) {
-                                item.id = `migrated_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-                            }
-                            await this.save(storeName, item, true);
-                        }
-
-                        // Mark old data as migrated (don't delete in case of issues)
-                        localStorage.setItem(`${oldKey}_migrated`, 'true');
-                    }
-                } catch (e) {
-                    console.warn(`[UnifiedStorage] Migration error for ${oldKey}:`, e);
-                }
+        async deleteWorkspaceRecord(storeName, name) {
+            return this.delete(storeName, `${this.getWorkspaceId()}:${name}`);
+        }
+
+        /**
+         * Records for the current workspace, including teammates' edits
+         * pulled from the remote.
+         * @returns {Object} - { name: record[field] }
+         */
+        async getWorkspaceRecords(storeName, field) {
+            try {
+                await this.repository.pull([storeName]);
+            } catch (e) {
+                console.warn(`[UnifiedStorage] ${storeName} cloud load failed:`, e);
             }
+            const records = await this.getAll(storeName);
+            const result = {};
+            records
+                .filter(r => r.organization_id === this.getWorkspaceId() && r[field])
+                .forEach(r => { result[r.name] = r[field]; });
+            return result;
+        }
+
+        async saveWorkspaceChannelSpec(name, spec) {
+            return this.saveWorkspaceRecord('workspace_channel_specs', name, 'spec', spec);
+        }
+
+        async deleteWorkspaceChannelSpec(name) {
+            return this.deleteWorkspaceRecord('workspace_channel_specs', name);
+        }
 
-            console.log('[UnifiedStorage] Migration check complete');
+        async getWorkspaceChannelSpecs() {
+            return this.getWorkspaceRecords('workspace_channel_specs', 'spec');
+        }
+
+        async saveWorkspacePackage(name, definition) {
+            return this.saveWorkspaceRecord('workspace_packages', name, 'definition', definition);
+        }
+
+        async deleteWorkspacePackage(name) {
+            return this.deleteWorkspaceRecord('workspace_packages', name);
+        }
+
+        async getWorkspacePackages() {
+            return this.getWorkspaceRecords('workspace_packages', 'definition');
         }
 
         // ============================================
@@ -1176,24 +648,25 @@
                 'ai_studio_history', 'activity_log'
             ];
 
+            const status = this.repository.getStatus();
+            const stats = await this.repository.getStats();
             const diagnostics = {
                 version: VERSION,
                 userEmail: this.getCurrentUserEmail(),
-                indexedDBReady: !!this.db,
+                indexedDBReady: typeof indexedDB !== 'undefined',
                 supabaseConfigured: window.CAVSupabase?.isConfigured?.() || false,
+                adapter: status.adapter,
                 lastSync: localStorage.getItem(STORAGE_KEYS.LAST_SYNC),
-                pendingSync: this.syncQueue.length,
+                pendingSync: status.pendingCount,
                 stores: {}
             };
 
-            for (const storeName of stores) {
-                const items = await this.getAll(storeName);
-                const needsSync = items.filter(i => i.needs_sync).length;
+            stores.forEach(storeName => {
                 diagnostics.stores[storeName] = {
-                    count: items.length,
-                    needsSync
+                    count: stats[storeName]?.count || 0,
+                    needsSync: stats[storeName]?.pending || 0
                 };
-            }
+            });
 
             return diagnostics;
         }
@@ -1205,11 +678,6 @@
 
     const manager = new UnifiedStorageManager();
 
-    // Run migration on first load
-    manager.dbReady.then(() => {
-        manager.migrateOldData();
-    });
-
     // Export globally
     window.UnifiedStorage = manager;
 
@@ -1232,7 +700,15 @@
         getAPIKey: (provider) => manager.getAPIKey(provider),
         shareKeyWithDomain: (provider, key, options) => manager.shareKeyWithDomain(provider, key, options),
         getDomainSharedKeys: () => manager.getDomainSharedKeys(),
-        syncAPIKeysFromCloud: () => manager.syncAPIKeysFromCloud()
+        syncAPIKeysFromCloud: () => manager.syncAPIKeysFromCloud(),
+
+        // Workspace Channel Specs
+        getWorkspaceChannelSpecs: () => manager.getWorkspaceChannelSpecs(),
+        saveWorkspaceChannelSpec: (name, spec) => manager.saveWorkspaceChannelSpec(name, spec),
+        deleteWorkspaceChannelSpec: (name) => manager.deleteWorkspaceChannelSpec(name),
+        getWorkspacePackages: () => manager.getWorkspacePackages(),
+        saveWorkspacePackage: (name, definition) => manager.saveWorkspacePackage(name, definition),
+        deleteWorkspacePackage: (name) => manager.deleteWorkspacePackage(name)
     };
 
     // Auto-sync API keys from cloud after initialization
@@ -1248,15 +724,14 @@
     // Listen for login events to sync keys
     window.addEventListener('cav_user_login', () => {
         manager.initUserContext();
+        manager.syncToCloud();
         manager.syncAPIKeysFromCloud();
     });
 
     console.log(`📦 Unified Storage Manager v${VERSION} loaded`);
-    console.log('   ✅ IndexedDB for large data & offline');
-    console.log('   ✅ localStorage for fast access');
-    console.log('   ✅ Supabase for cross-device sync');
+    console.log('   ✅ Records stored and synced by CAVRepository');
     console.log('   ✅ Auto-migration from old keys');
-    console.log('   ✅ Periodic cloud sync');
     console.log('   ✅ API Key sharing (domain & global)');
+    console.log('   ✅ Workspace channel specs & packages');
 
 })();
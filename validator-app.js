@@ -5,9 +5,9 @@
  * Features:
  * - Drag & Drop Upload
  * - Bulk Actions & Batch Tagging
- * - Sorting & Filtering
+ * - Sorting & Filtering (search box takes the search-index.js query syntax)
  * - Video Preview with Playback
- * - Duplicate Detection
+ * - Duplicate Detection (exact file hash; near-duplicates via perceptual-hash.js)
  * - User Attribution
  * - Confirmation Dialogs
  * - Favorites/Starred Assets
@@ -31,200 +31,19 @@
   'use strict';
 
   // ============================================
-  // CHANNEL SPECIFICATIONS
+  // CHANNEL SPECIFICATIONS (shared registry in channel-specs.js)
   // ============================================
-  const CHANNEL_SPECS = {
-    'YouTube Standard': {
-      aspectRatios: ['16:9'],
-      minDuration: 6,
-      maxDuration: null,
-      maxFileSizeMB: null,
-      resolutions: [{ width: 1920, height: 1080, label: 'HD' }, { width: 1280, height: 720, label: 'HD' }]
-    },
-    'YouTube Shorts': {
-      aspectRatios: ['9:16'],
-      minDuration: null,
-      maxDuration: 60,
-      maxFileSizeMB: null,
-      resolutions: [{ width: 1080, height: 1920, label: 'Vertical' }]
-    },
-    'Meta Feed (Video)': {
-      aspectRatios: ['1:1', '4:5', '16:9'],
-      minDuration: 1,
-      maxDuration: 241,
-      maxFileSizeMB: 4096,
-      resolutions: [
-        { width: 1080, height: 1080, label: 'Square' },
-        { width: 1080, height: 1350, label: 'Vertical' },
-        { width: 1080, height: 566, label: 'Landscape' }
-      ]
-    },
-    'Meta Stories': {
-      aspectRatios: ['9:16'],
-      minDuration: 1,
-      maxDuration: 120,
-      maxFileSizeMB: 4096,
-      resolutions: [{ width: 1080, height: 1920, label: 'Vertical' }]
-    },
-    'Meta Reels': {
-      aspectRatios: ['9:16'],
-      minDuration: 3,
-      maxDuration: 90,
-      maxFileSizeMB: 4096,
-      resolutions: [{ width: 1080, height: 1920, label: 'Vertical' }]
-    },
-    'TikTok': {
-      aspectRatios: ['9:16'],
-      minDuration: 5,
-      maxDuration: 60,
-      maxFileSizeMB: 287,
-      resolutions: [{ width: 1080, height: 1920, label: 'Vertical' }]
-    },
-    'Instagram Feed': {
-      aspectRatios: ['1:1', '4:5', '1.91:1'],
-      minDuration: 3,
-      maxDuration: 60,
-      maxFileSizeMB: null,
-      resolutions: [
-        { width: 1080, height: 1080, label: 'Square' },
-        { width: 1080, height: 1350, label: 'Vertical' },
-        { width: 1080, height: 566, label: 'Landscape' }
-      ]
-    },
-    'Instagram Stories': {
-      aspectRatios: ['9:16'],
-      minDuration: 3,
-      maxDuration: 60,
-      maxFileSizeMB: null,
-      resolutions: [{ width: 1080, height: 1920, label: 'Vertical' }]
-    },
-    'Instagram Reels': {
-      aspectRatios: ['9:16'],
-      minDuration: 3,
-      maxDuration: 90,
-      maxFileSizeMB: null,
-      resolutions: [{ width: 1080, height: 1920, label: 'Vertical' }]
-    },
-    'LinkedIn Feed': {
-      aspectRatios: ['1.91:1', '1:1', '4:5'],
-      minDuration: 3,
-      maxDuration: 600,
-      maxFileSizeMB: null,
-      resolutions: [
-        { width: 1200, height: 627, label: 'Landscape' },
-        { width: 1200, height: 1200, label: 'Square' },
-        { width: 720, height: 900, label: 'Vertical' }
-      ]
-    },
-    'X (Twitter) Feed': {
-      aspectRatios: ['16:9', '1:1', '9:16'],
-      minDuration: null,
-      maxDuration: 140,
-      maxFileSizeMB: 512,
-      resolutions: [
-        { width: 1280, height: 720, label: 'Landscape' },
-        { width: 720, height: 720, label: 'Square' },
-        { width: 720, height: 1280, label: 'Vertical' }
-      ]
-    },
-    'Google Ads Display': {
-      aspectRatios: ['1.91:1', '1:1'],
-      minDuration: null,
-      maxDuration: null,
-      maxFileSizeMB: null,
-      resolutions: [
-        { width: 1200, height: 628, label: 'Horizontal' },
-        { width: 1200, height: 1200, label: 'Square' }
-      ]
-    },
-    'Google Ads Video': {
-      aspectRatios: ['16:9', '1:1', '9:16'],
-      minDuration: 10,
-      maxDuration: null,
-      maxFileSizeMB: null,
-      resolutions: [
-        { width: 1920, height: 1080, label: 'Horizontal' },
-        { width: 1080, height: 1080, label: 'Square' },
-        { width: 1080, height: 1920, label: 'Vertical' }
-      ]
-    }
-  };
-
-  const IMAGE_SPECS = {
-    'Instagram Feed': {
-      aspectRatios: ['1:1', '4:5', '1.91:1'],
-      resolutions: [
-        { width: 1080, height: 1080, label: 'Square' },
-        { width: 1080, height: 1350, label: 'Vertical' },
-        { width: 1080, height: 566, label: 'Landscape' }
-      ],
-      maxFileSizeMB: null
-    },
-    'Instagram Stories': {
-      aspectRatios: ['9:16'],
-      resolutions: [{ width: 1080, height: 1920, label: 'Vertical' }],
-      maxFileSizeMB: null
-    },
-    'Facebook Feed': {
-      aspectRatios: ['1.91:1', '1:1', '4:5'],
-      resolutions: [
-        { width: 1080, height: 566, label: 'Landscape' },
-        { width: 1080, height: 1080, label: 'Square' },
-        { width: 1080, height: 1350, label: 'Vertical' }
-      ],
-      maxFileSizeMB: null
-    },
-    'Facebook Stories': {
-      aspectRatios: ['9:16'],
-      resolutions: [{ width: 1080, height: 1920, label: 'Vertical' }],
-      maxFileSizeMB: 30
-    },
-    'LinkedIn Feed': {
-      aspectRatios: ['1.91:1', '1:1', '4:5'],
-      resolutions: [
-        { width: 1200, height: 627, label: 'Landscape' },
-        { width: 1200, height: 1200, label: 'Square' },
-        { width: 720, height: 900, label: 'Vertical' }
-      ],
-      maxFileSizeMB: 5
-    },
-    'X (Twitter) Feed': {
-      aspectRatios: ['16:9', '1:1', '9:16'],
-      resolutions: [
-        { width: 1280, height: 720, label: 'Landscape' },
-        { width: 720, height: 720, label: 'Square' },
-        { width: 720, height: 1280, label: 'Vertical' }
-      ],
-      maxFileSizeMB: 5
-    },
-    'Pinterest': {
-      aspectRatios: ['2:3', '9:16', '1:1'],
-      resolutions: [
-        { width: 1000, height: 1500, label: 'Standard Pin' },
-        { width: 1080, height: 1920, label: 'Story Pin' },
-        { width: 1000, height: 1000, label: 'Square' }
-      ],
-      maxFileSizeMB: 20
-    },
-    'Google Ads Display': {
-      aspectRatios: ['1.91:1', '1:1', '4:5'],
-      resolutions: [
-        { width: 1200, height: 628, label: 'Horizontal' },
-        { width: 1200, height: 1200, label: 'Square' },
-        { width: 960, height: 1200, label: 'Vertical' }
-      ],
-      maxFileSizeMB: 5
-    },
-    'TikTok Profile': {
-      aspectRatios: ['1:1'],
-      resolutions: [{ width: 20, height: 20, label: 'Minimum' }],
-      maxFileSizeMB: null
-    }
-  };
+  // Read specs through the registry on use: workspace custom specs are
+  // registered by the settings module after this file loads.
+  const SpecRegistry = window.CAVChannelSpecs;
 
   // ============================================
   // STORAGE ABSTRACTION LAYER (v3.0 - Secure)
   // ============================================
+  // Listing the library pulls cloud asset changes at most this often
+  const CLOUD_ASSET_SYNC_MS = 60 * 1000;
+  const CLOUD_ASSET_MAX_PAGES = 20;
+
   class StorageManager {
     constructor() {
       // Only use WordPress mode if cavSettings has a valid apiUrl
@@ -301,12 +120,15 @@
       this.maxVideoStorageMB = 500; // Max 500MB total video storage per user
       this.maxVideoStorageBytes = this.maxVideoStorageMB * 1024 * 1024;
       
-      // IndexedDB database name and version - Use v4 for complete schema
+      // IndexedDB database name - schema and upgrades live in migrations.js
       this.dbName = 'CAV_SecureDB_v4';
-      this.dbVersion = 4;
       this.db = null;
       this.dbReady = this.initIndexedDB();
       
+      // Background pull of assets saved on other devices (syncCloudAssets)
+      this.cloudAssetSync = null;
+      this.cloudAssetSyncedAt = 0;
+      
       // Debug logging
       if (this.isWordPress) {
         console.log('[CAV Storage] WordPress mode detected');
@@ -353,85 +175,17 @@
         }
         
         // Otherwise open our own connection
-        const request = indexedDB.open(this.dbName, this.dbVersion);
-        
-        request.onerror = (event) => {
-          console.error('[CAV Storage] IndexedDB error:', event.target.error);
-          this.useIndexedDB = false;
-          resolve(false);
-        };
-        
-        request.onsuccess = (event) => {
-          this.db = event.target.result;
+        window.CAVMigrations.openDatabase(this.dbName).then(db => {
+          this.db = db;
           this.useIndexedDB = true;
-          console.log('[CAV Storage] IndexedDB v4 initialized successfully');
-          
-          // Verify database has required stores
-          const storeNames = Array.from(this.db.objectStoreNames);
-          console.log('[CAV Storage] Available stores:', storeNames.join(', '));
-          
-          // Verify required stores exist
-          const requiredStores = ['assets', 'video_blobs', 'preferences'];
-          const missingStores = requiredStores.filter(s => !storeNames.includes(s));
-          if (missingStores.length > 0) {
-            console.warn('[CAV Storage] Missing stores:', missingStores.join(', '));
-            console.warn('[CAV Storage] Database may need upgrade. Attempting recovery...');
-            // Close and delete the database to force a clean upgrade
-            this.db.close();
-            indexedDB.deleteDatabase(this.dbName);
-            // Retry
-            setTimeout(() => {
-              this.initIndexedDB().then(resolve);
-            }, 100);
-            return;
-          }
-          
+          console.log('[CAV Storage] IndexedDB v' + db.version + ' initialized successfully');
+          console.log('[CAV Storage] Available stores:', Array.from(db.objectStoreNames).join(', '));
           resolve(true);
-        };
-        
-        request.onupgradeneeded = (event) => {
-          const db = event.target.result;
-          const oldVersion = event.oldVersion;
-          console.log('[CAV Storage] Upgrading from v' + oldVersion + ' to v' + this.dbVersion);
-          
-          // Delete old stores for clean upgrade
-          ['assets', 'video_blobs', 'preferences', 'api_keys'].forEach(storeName => {
-            if (db.objectStoreNames.contains(storeName)) {
-              try {
-                db.deleteObjectStore(storeName);
-                console.log('[CAV Storage] Deleted old store:', storeName);
-              } catch (e) {
-                console.warn('[CAV Storage] Could not delete store:', storeName);
-              }
-            }
-          });
-          
-          // Create assets store with ALL indexes
-          const assetsStore = db.createObjectStore('assets', { keyPath: 'id' });
-          assetsStore.createIndex('user_key', 'user_key', { unique: false });
-          assetsStore.createIndex('team_key', 'team_key', { unique: false });
-          assetsStore.createIndex('is_team', 'is_team', { unique: false });
-          assetsStore.createIndex('file_hash', 'file_hash', { unique: false });
-          assetsStore.createIndex('created_at', 'created_at', { unique: false });
-          assetsStore.createIndex('status', 'status', { unique: false });
-          console.log('[CAV Storage] Created assets store');
-          
-          // Create video blobs store
-          const videosStore = db.createObjectStore('video_blobs', { keyPath: 'asset_id' });
-          videosStore.createIndex('user_key', 'user_key', { unique: false });
-          console.log('[CAV Storage] Created video_blobs store');
-          
-          // Create preferences store
-          db.createObjectStore('preferences', { keyPath: 'user_key' });
-          console.log('[CAV Storage] Created preferences store');
-          
-          // Create API keys store
-          const apiKeysStore = db.createObjectStore('api_keys', { keyPath: 'user_key' });
-          apiKeysStore.createIndex('updated_at', 'updated_at', { unique: false });
-          console.log('[CAV Storage] Created api_keys store');
-          
-          console.log('[CAV Storage] IndexedDB v4 schema complete');
-        };
+        }).catch(error => {
+          console.error('[CAV Storage] IndexedDB error:', error);
+          this.useIndexedDB = false;
+          resolve(false);
+        });
       });
     }
     
@@ -572,7 +326,8 @@
           request.onsuccess = () => {
             let totalSize = 0;
             request.result.forEach(blob => {
-              if (blob.user_key === this.localStorageKey) {
+              // Offloaded videos (storage-quota.js) take no space on this device
+              if (blob.user_key === this.localStorageKey && !blob.remote) {
                 totalSize += blob.size || 0;
               }
             });
@@ -684,42 +439,17 @@
         return this.localGetAssets(params);
       }
       
+      // Assets saved on other devices are copied into the store in the background
+      this.syncCloudAssets();
+      
       return new Promise(async (resolve) => {
-        const transaction = this.db.transaction(['assets', 'video_blobs'], 'readonly');
+        const transaction = this.db.transaction(['assets'], 'readonly');
         const assetsStore = transaction.objectStore('assets');
-        const videosStore = transaction.objectStore('video_blobs');
         const request = assetsStore.getAll();
         
-        // Load cloud assets in parallel
-        const cloudAssetsPromise = this.loadAssetsFromSupabase();
-        
         request.onsuccess = async () => {
           let assets = request.result || [];
           
-          // Merge with cloud assets (for cross-device sync)
-          try {
-            const cloudAssets = await cloudAssetsPromise;
-            if (cloudAssets && cloudAssets.length > 0) {
-              // Get existing asset UUIDs
-              const localUuids = new Set(assets.map(a => a.uuid || a.id));
-              
-              // Add cloud assets that don't exist locally
-              for (const cloudAsset of cloudAssets) {
-                if (!localUuids.has(cloudAsset.uuid)) {
-                  // Convert cloud asset format to local format
-                  assets.push({
-                    ...cloudAsset,
-                    id: cloudAsset.uuid,
-                    user_key: this.localStorageKey,
-                    from_cloud: true
-                  });
-                }
-              }
-            }
-          } catch (e) {
-            console.warn('[CAV] Cloud asset merge failed:', e);
-          }
-          
           // Filter out deleted assets (from sync-engine)
           assets = assets.filter(a => !a.deleted_at);
           
@@ -747,19 +477,12 @@
             assets = assets.filter(a => a.is_favorite);
           }
           
-          // Attach video URLs from video_blobs store
+          // Attach video URLs from video_blobs store. Each read opens its own
+          // transaction: this one closes while the first URL is resolved
           for (let asset of assets) {
             if (asset.file_type === 'video' && asset.has_video_blob) {
-              const videoRequest = videosStore.get(asset.id);
-              await new Promise((res) => {
-                videoRequest.onsuccess = () => {
-                  if (videoRequest.result) {
-                    asset.video_url = videoRequest.result.data_url;
-                  }
-                  res();
-                };
-                videoRequest.onerror = () => res();
-              });
+              const videoUrl = await this.idbGetVideoPlaybackUrl(asset.id);
+              if (videoUrl) asset.video_url = videoUrl;
             }
           }
           
@@ -791,7 +514,7 @@
       });
     }
     
-    async idbSaveAsset(asset) {
+    async idbSaveAsset(asset, { retried = false } = {}) {
       await this.dbReady;
       
       // For videos, we MUST use IndexedDB - localStorage can't handle the size
@@ -803,10 +526,15 @@
         return this.localSaveAsset(asset);
       }
       
+      // A streaming URL of an offloaded video (e.g. from a copied asset) is not file data
+      if (asset.video_url && window.CAVStorageQuota?.isIssuedUrl(asset.video_url)) {
+        asset = { ...asset, video_url: await window.CAVStorageQuota.resolveIssuedUrl(asset.video_url) };
+      }
+      
       // Generate UUID for Supabase sync
       const assetUuid = asset.uuid || asset.id || `asset-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
       
-      return new Promise((resolve) => {
+      const result = await new Promise((resolve) => {
         const newAsset = {
           ...asset,
           uuid: assetUuid, // Ensure UUID exists for Supabase
@@ -859,14 +587,35 @@
           
           // Return asset with video_url attached for immediate use
           newAsset.video_url = videoDataUrl;
+          if (videoDataUrl) window.CAVStorageQuota?.scheduleMaintenance();
           resolve({ success: true, asset: newAsset });
         };
         
         request.onerror = (event) => {
           console.error('[CAV] IndexedDB save error:', event.target.error);
-          resolve({ success: false, message: 'Failed to save asset' });
+          resolve({ success: false, quotaExceeded: this.isQuotaError(event.target.error), message: 'Failed to save asset' });
+        };
+        
+        // Quota errors usually surface when the transaction commits
+        transaction.onabort = () => {
+          resolve({ success: false, quotaExceeded: this.isQuotaError(transaction.error), message: 'Failed to save asset' });
         };
       });
+      
+      // Out of space: offload videos and trim cached copies (never user data), then try once more
+      if (result.quotaExceeded && !retried && window.CAVStorageQuota) {
+        console.warn('[CAV] Storage quota exceeded, freeing space');
+        await window.CAVStorageQuota.relieve().catch(e => console.warn('[CAV] Freeing space failed:', e));
+        return this.idbSaveAsset(asset, { retried: true });
+      }
+      if (result.quotaExceeded) {
+        return { ...result, message: 'Storage full. Set up cloud storage in Settings to move videos off this device, or delete some assets.' };
+      }
+      return result;
+    }
+    
+    isQuotaError(error) {
+      return error?.name === 'QuotaExceededError' || error?.code === 22;
     }
     
     // Sync asset metadata to Supabase for cross-device access
@@ -905,7 +654,9 @@
           metadata: {
             original_filename: asset.filename,
             created_by: asset.created_by || userEmail,
-            source: asset.source || 'upload'
+            source: asset.source || 'upload',
+            // status: facet for server-side search
+            validation_status: asset.validation ? (asset.validation.isOffSize ? 'offsize' : 'compatible') : null
           },
           created_at: asset.created_at,
           updated_at: new Date().toISOString()
@@ -918,18 +669,160 @@
       }
     }
     
-    // Load assets from Supabase and merge with local
-    async loadAssetsFromSupabase() {
-      if (!window.CAVSupabase?.getAssets) return [];
+    /**
+     * Bring the cloud copies of assets saved on other devices up to date.
+     * Pulls only what changed since the last pull (a cursor per user, see
+     * CAVSupabase.getChangesSince), at most once per CLOUD_ASSET_SYNC_MS
+     * unless forced. Announces changes with a cav:data-changed event.
+     * @returns {Promise<number>} - How many local assets changed
+     */
+    syncCloudAssets({ force = false } = {}) {
+      if (this.cloudAssetSync) return this.cloudAssetSync;
+      if (!window.CAVSupabase?.getAssetChanges || !window.CAVSupabase.isConfigured?.() || !this.db) return Promise.resolve(0);
+      if (!force && Date.now() - this.cloudAssetSyncedAt < CLOUD_ASSET_SYNC_MS) return Promise.resolve(0);
       
+      this.cloudAssetSync = this.pullCloudAssets()
+        .catch(e => {
+          console.warn('[CAV] Failed to load assets from Supabase:', e);
+          return 0;
+        })
+        .finally(() => {
+          this.cloudAssetSync = null;
+          this.cloudAssetSyncedAt = Date.now();
+          // Clears the progress indicator, also after a failed page
+          window.dispatchEvent(new CustomEvent('cav:sync-progress', {
+            detail: { phase: 'pull', source: 'assets', done: 0, total: 0 }
+          }));
+        });
+      return this.cloudAssetSync;
+    }
+    
+    async pullCloudAssets() {
+      const cursorKey = `cav_asset_cursor_${this.localStorageKey}`;
+      let cursor = null;
       try {
-        const cloudAssets = await window.CAVSupabase.getAssets();
-        console.log('[CAV] ☁️ Loaded', cloudAssets?.length || 0, 'assets from Supabase');
-        return cloudAssets || [];
-      } catch (e) {
-        console.warn('[CAV] Failed to load assets from Supabase:', e);
-        return [];
+        cursor = JSON.parse(localStorage.getItem(cursorKey) || 'null');
+      } catch (e) {}
+      
+      const known = await this.idbAssetIdsByUuid();
+      let changed = 0;
+      let received = 0;
+      let total = null;
+      
+      for (let page = 0; page < CLOUD_ASSET_MAX_PAGES; page++) {
+        const result = await window.CAVSupabase.getAssetChanges(cursor, { first: page === 0 });
+        changed += await this.applyCloudAssetChanges(result.rows, result.deleted, known);
+        received += result.rows.length + result.deleted.length;
+        cursor = result.cursor;
+        localStorage.setItem(cursorKey, JSON.stringify(cursor));
+        
+        // Only the first page is counted; its total holds for the rest
+        if (!result.hasMore) {
+          total = received;
+        } else if (result.remaining !== null) {
+          total = received + result.remaining;
+        } else if (total !== null) {
+          total = Math.max(total, received);
+        }
+        if (received > 0) {
+          window.dispatchEvent(new CustomEvent('cav:sync-progress', {
+            detail: { phase: 'pull', source: 'assets', done: received, total }
+          }));
+        }
+        if (!result.hasMore) break;
+      }
+      
+      if (changed > 0) {
+        console.log('[CAV] ☁️ Applied', changed, 'asset changes from Supabase');
+        window.dispatchEvent(new CustomEvent('cav:data-changed', {
+          detail: { tableName: 'assets', eventType: 'SYNC', newRecord: null, oldRecord: null }
+        }));
       }
+      return changed;
+    }
+    
+    // uuid -> { id, from_cloud, updated_at, deleted } of every stored asset
+    idbAssetIdsByUuid() {
+      return new Promise((resolve) => {
+        const known = new Map();
+        const request = this.db.transaction(['assets'], 'readonly').objectStore('assets').openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve(known);
+            return;
+          }
+          const asset = cursor.value;
+          known.set(asset.uuid || asset.id, {
+            id: asset.id,
+            from_cloud: !!asset.from_cloud,
+            updated_at: asset.updated_at || null,
+            deleted: !!asset.deleted_at
+          });
+          cursor.continue();
+        };
+        request.onerror = () => resolve(known);
+      });
+    }
+    
+    /**
+     * Store one page of cloud changes in a single transaction. Assets made
+     * on this device stay as they are, except that a delete elsewhere hides
+     * them; cloud copies are replaced or removed. The first page of a pull
+     * re-reads changes it already had (see getChangesSince); those are
+     * neither stored again nor counted.
+     */
+    applyCloudAssetChanges(rows, deletedUuids, known) {
+      return new Promise((resolve) => {
+        let changed = 0;
+        const transaction = this.db.transaction(['assets'], 'readwrite');
+        const store = transaction.objectStore('assets');
+        
+        const remove = (uuid, deletedAt) => {
+          const local = known.get(uuid);
+          if (!local || local.deleted) return;
+          if (local.from_cloud) {
+            store.delete(local.id);
+            known.delete(uuid);
+          } else {
+            const request = store.get(local.id);
+            request.onsuccess = () => {
+              if (request.result && !request.result.deleted_at) {
+                store.put({ ...request.result, deleted_at: deletedAt });
+              }
+            };
+            local.deleted = true;
+          }
+          changed++;
+        };
+        
+        rows.forEach(row => {
+          if (row.deleted_at) {
+            remove(row.uuid, row.deleted_at);
+            return;
+          }
+          const local = known.get(row.uuid);
+          if (local && !local.from_cloud) return;
+          if (local && local.updated_at === row.updated_at) return;
+          // Convert cloud asset format to local format
+          store.put({
+            ...row,
+            id: local?.id || row.uuid,
+            user_key: this.localStorageKey,
+            from_cloud: true
+          });
+          known.set(row.uuid, { id: local?.id || row.uuid, from_cloud: true, updated_at: row.updated_at, deleted: false });
+          changed++;
+        });
+        deletedUuids.forEach(uuid => remove(uuid, new Date().toISOString()));
+        
+        transaction.oncomplete = () => resolve(changed);
+        transaction.onerror = () => {
+          console.warn('[CAV] Storing cloud assets failed:', transaction.error);
+          resolve(0);
+        };
+        transaction.onabort = () => resolve(0);
+      });
     }
     
     async idbUpdateAsset(id, data) {
@@ -939,8 +832,17 @@
         return this.localUpdateAsset(id, data);
       }
       
+      // A streaming URL handed back unchanged leaves the video as it is;
+      // a new file replaces an offloaded one, whose remote copy goes
+      const quota = window.CAVStorageQuota;
+      if (data.video_url && quota?.isIssuedUrl(data.video_url)) {
+        const { video_url, ...rest } = data;
+        data = rest;
+      }
+      const replacedVideo = data.video_url ? await this.idbGetVideoRecord(id) : null;
+      
       return new Promise((resolve) => {
-        const transaction = this.db.transaction(['assets'], 'readwrite');
+        const transaction = this.db.transaction(['assets', 'video_blobs'], 'readwrite');
         const store = transaction.objectStore('assets');
         const getRequest = store.get(id);
         
@@ -950,22 +852,46 @@
             return;
           }
           
+          // Replacing a video's file (e.g. reverting to an older version):
+          // the data URL lives in video_blobs, as in idbSaveAsset
+          const { video_url: videoDataUrl, ...fields } = data;
+          const details = { ...fields };
+          if (details.thumbnail_url?.startsWith('data:')) details.thumbnail_url = '[image data]';
+          if (videoDataUrl) details.video_url = '[video data]';
+          
           const asset = getRequest.result;
           const updated = {
             ...asset,
-            ...data,
+            ...fields,
             tags: { ...asset.tags, ...data.tags },
             updated_at: new Date().toISOString(),
             history: [...(asset.history || []), {
               action: 'updated',
               timestamp: new Date().toISOString(),
               user_name: this.getCurrentUserName(),
-              details: data
+              details
             }]
           };
           
+          if (videoDataUrl) {
+            const base64Length = videoDataUrl.length - (videoDataUrl.indexOf(',') + 1);
+            updated.has_video_blob = true;
+            transaction.objectStore('video_blobs').put({
+              asset_id: id,
+              user_key: asset.user_key || this.localStorageKey,
+              data_url: videoDataUrl,
+              size: (base64Length * 3) / 4
+            });
+          }
+          
           const putRequest = store.put(updated);
-          putRequest.onsuccess = () => resolve({ success: true, asset: updated });
+          putRequest.onsuccess = () => {
+            if (videoDataUrl) {
+              if (replacedVideo?.remote) quota?.releaseRemote(replacedVideo).catch(() => {});
+              quota?.scheduleMaintenance();
+            }
+            resolve({ success: true, asset: videoDataUrl ? { ...updated, video_url: videoDataUrl } : updated });
+          };
           putRequest.onerror = () => resolve({ success: false, message: 'Failed to update' });
         };
         
@@ -980,6 +906,8 @@
         return this.localDeleteAsset(id);
       }
       
+      const videoRecord = await this.idbGetVideoRecord(id);
+      
       return new Promise((resolve) => {
         const transaction = this.db.transaction(['assets', 'video_blobs'], 'readwrite');
         const assetsStore = transaction.objectStore('assets');
@@ -1003,7 +931,13 @@
           );
         };
         
-        transaction.oncomplete = () => resolve({ success: true });
+        transaction.oncomplete = () => {
+          // An offloaded video's file lives in the cloud
+          if (videoRecord?.remote) {
+            window.CAVStorageQuota?.releaseRemote(videoRecord).catch(e => console.warn('[CAV] Offloaded video delete failed:', e));
+          }
+          resolve({ success: true });
+        };
         transaction.onerror = () => resolve({ success: false, message: 'Failed to delete' });
       });
     }
@@ -1083,6 +1017,33 @@
       });
     }
 
+    // A video's video_blobs record (see idbSaveAsset); offloaded videos
+    // have a stub there instead of the data URL (storage-quota.js)
+    async idbGetVideoRecord(id) {
+      await this.dbReady;
+      if (!this.useIndexedDB || !this.db) return null;
+
+      return new Promise((resolve) => {
+        const request = this.db.transaction(['video_blobs'], 'readonly').objectStore('video_blobs').get(id);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => resolve(null);
+      });
+    }
+
+    // A video's data URL, downloaded again if it was offloaded
+    async idbGetVideoDataUrl(id) {
+      const record = await this.idbGetVideoRecord(id);
+      if (record?.remote) return window.CAVStorageQuota?.resolveDataUrl(record) || null;
+      return record?.data_url || null;
+    }
+
+    // A URL to play a video from; offloaded videos stream instead of downloading
+    async idbGetVideoPlaybackUrl(id) {
+      const record = await this.idbGetVideoRecord(id);
+      if (record?.remote) return window.CAVStorageQuota?.playbackUrl(record) || null;
+      return record?.data_url || null;
+    }
+
     async checkDuplicate(fileHash, isTeam) {
       if (this.isWordPress) {
         return this.wpCheckDuplicate(fileHash, isTeam);
@@ -1667,88 +1628,179 @@
     return `${ratioWidth}:${ratioHeight}`;
   }
 
-  function validateVideo(file, metadata) {
-    const { width, height, duration, size } = metadata;
+  // Legacy reason strings are kept so stored validations and
+  // getResolutionRecommendations keep working
+  function formatSpecIssue(issue, aspectRatio) {
+    switch (issue.type) {
+      case 'aspect_ratio':
+        return `Aspect ratio ${aspectRatio} not supported (needs ${issue.targetRatios.join(' or ')})`;
+      case 'exact_size':
+        return `Exact size ${issue.current} not supported (needs ${issue.required})`;
+      case 'duration_short':
+        return `Duration ${issue.current}s too short (min ${issue.required}s)`;
+      case 'duration_long':
+        return `Duration ${issue.current}s too long (max ${issue.required}s)`;
+      case 'file_size':
+        return `File size ${issue.current}MB exceeds limit (max ${issue.required}MB)`;
+      case 'codec':
+        return `Codec ${issue.current} not supported (needs ${issue.allowed.join(' or ')})`;
+      case 'frame_rate':
+        return `Frame rate ${issue.current}fps not supported (needs ${issue.allowed.join('/')}fps)`;
+      case 'bitrate_high':
+        return `Bitrate ${issue.current}kbps too high (max ${issue.required}kbps)`;
+      case 'bitrate_low':
+        return `Bitrate ${issue.current}kbps too low (min ${issue.required}kbps)`;
+      case 'audio_missing':
+        return 'Audio track required';
+      case 'loudness':
+        return `Loudness ${issue.current} LUFS out of range (needs ${issue.required} LUFS)`;
+      default:
+        return issue.message;
+    }
+  }
+
+  function validateAgainstSpecs(type, metadata) {
+    const { width, height, duration, size, bitrateKbps, hasAudio, loudnessLUFS } = metadata;
     const aspectRatio = calculateAspectRatio(width, height);
-    const fileSizeMB = size / (1024 * 1024);
-    const compatibleChannels = [];
+    const results = SpecRegistry.validateAsset(
+      { width, height, type, duration, fileSize: size, bitrateKbps, hasAudio, loudnessLUFS },
+      { type }
+    );
     const incompatibleReasons = {};
 
-    for (const [channel, specs] of Object.entries(CHANNEL_SPECS)) {
-      const reasons = [];
-      let compatible = true;
-
-      if (!specs.aspectRatios.includes(aspectRatio)) {
-        reasons.push(`Aspect ratio ${aspectRatio} not supported (needs ${specs.aspectRatios.join(' or ')})`);
-        compatible = false;
-      }
-
-      if (specs.minDuration && duration < specs.minDuration) {
-        reasons.push(`Duration ${duration}s too short (min ${specs.minDuration}s)`);
-        compatible = false;
-      }
-
-      if (specs.maxDuration && duration > specs.maxDuration) {
-        reasons.push(`Duration ${duration}s too long (max ${specs.maxDuration}s)`);
-        compatible = false;
-      }
-
-      if (specs.maxFileSizeMB && fileSizeMB > specs.maxFileSizeMB) {
-        reasons.push(`File size ${fileSizeMB.toFixed(2)}MB exceeds limit (max ${specs.maxFileSizeMB}MB)`);
-        compatible = false;
-      }
-
-      if (compatible) {
-        compatibleChannels.push(channel);
-      } else {
-        incompatibleReasons[channel] = reasons;
-      }
-    }
+    results.offSize.forEach(r => {
+      incompatibleReasons[r.channel] = r.issues.map(issue => formatSpecIssue(issue, aspectRatio));
+    });
 
     return {
-      type: 'video',
+      type,
       aspectRatio,
-      compatible: compatibleChannels,
+      compatible: results.compatible.map(r => r.channel),
       incompatible: incompatibleReasons,
-      isOffSize: compatibleChannels.length === 0
+      isOffSize: results.compatible.length === 0,
+      specVersion: SpecRegistry.REGISTRY_VERSION
     };
   }
 
+  function validateVideo(file, metadata) {
+    return validateAgainstSpecs('video', metadata);
+  }
+
   function validateImage(file, metadata) {
-    const { width, height, size } = metadata;
-    const aspectRatio = calculateAspectRatio(width, height);
-    const fileSizeMB = size / (1024 * 1024);
-    const compatibleChannels = [];
-    const incompatibleReasons = {};
+    return validateAgainstSpecs('image', metadata);
+  }
 
-    for (const [channel, specs] of Object.entries(IMAGE_SPECS)) {
-      const reasons = [];
-      let compatible = true;
+  // Decoding the audio of very large files would hold the whole PCM stream in memory
+  const MAX_AUDIO_ANALYSIS_BYTES = 200 * 1024 * 1024;
 
-      if (!specs.aspectRatios.includes(aspectRatio)) {
-        reasons.push(`Aspect ratio ${aspectRatio} not supported (needs ${specs.aspectRatios.join(' or ')})`);
-        compatible = false;
-      }
+  // Audio track presence from the element where the browser exposes it
+  // (Firefox mozHasAudio, Safari audioTracks); null when unknown
+  function detectAudioTrack(video) {
+    if (typeof video.mozHasAudio === 'boolean') return video.mozHasAudio;
+    if (video.audioTracks) return video.audioTracks.length > 0;
+    return null;
+  }
 
-      if (specs.maxFileSizeMB && fileSizeMB > specs.maxFileSizeMB) {
-        reasons.push(`File size ${fileSizeMB.toFixed(2)}MB exceeds limit (max ${specs.maxFileSizeMB}MB)`);
-        compatible = false;
-      }
+  // Integrated loudness (ITU-R BS.1770) of a decoded buffer: K-weighting via
+  // biquads, 400ms blocks with 75% overlap, -70 LUFS absolute and -10 LU
+  // relative gates. Surround channel weights are ignored.
+  async function measureLoudness(audioBuffer) {
+    const { numberOfChannels, length, sampleRate } = audioBuffer;
+    const ctx = new OfflineAudioContext(numberOfChannels, length, sampleRate);
+    const source = ctx.createBufferSource();
+    source.buffer = audioBuffer;
+
+    const shelf = ctx.createBiquadFilter();
+    shelf.type = 'highshelf';
+    shelf.frequency.value = 1681.97;
+    shelf.gain.value = 4;
+    const highpass = ctx.createBiquadFilter();
+    highpass.type = 'highpass';
+    highpass.frequency.value = 38.13;
+    highpass.Q.value = 0.5;
+
+    source.connect(shelf).connect(highpass).connect(ctx.destination);
+    source.start();
+    const weighted = await ctx.startRendering();
+
+    // Prefix sums of squares so each block costs O(1) per channel
+    const sums = [];
+    for (let c = 0; c < numberOfChannels; c++) {
+      const data = weighted.getChannelData(c);
+      const prefix = new Float64Array(length + 1);
+      for (let i = 0; i < length; i++) prefix[i + 1] = prefix[i] + data[i] * data[i];
+      sums.push(prefix);
+    }
+
+    const blockSize = Math.round(sampleRate * 0.4);
+    const step = Math.round(blockSize / 4);
+    const blocks = [];
+    for (let start = 0; start + blockSize <= length; start += step) {
+      let power = 0;
+      sums.forEach(prefix => { power += (prefix[start + blockSize] - prefix[start]) / blockSize; });
+      blocks.push(power);
+    }
+
+    const toLUFS = power => -0.691 + 10 * Math.log10(power);
+    const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+    const absGated = blocks.filter(p => p > 0 && toLUFS(p) > -70);
+    if (absGated.length === 0) return null;
+    const relativeGate = toLUFS(mean(absGated)) - 10;
+    const gated = absGated.filter(p => toLUFS(p) > relativeGate);
+    return Math.round(toLUFS(mean(gated)) * 10) / 10;
+  }
+
+  // { hasAudio, loudnessLUFS } for spec checks; values stay null when the
+  // browser cannot tell, so the registry skips those checks
+  async function analyzeVideoAudio(file, video) {
+    const result = { hasAudio: detectAudioTrack(video), loudnessLUFS: null };
+    if (result.hasAudio === false || file.size > MAX_AUDIO_ANALYSIS_BYTES || !window.OfflineAudioContext) {
+      return result;
+    }
 
-      if (compatible) {
-        compatibleChannels.push(channel);
+    try {
+      const ctx = new OfflineAudioContext(1, 1, 44100);
+      const audioBuffer = await ctx.decodeAudioData(await file.arrayBuffer());
+      result.hasAudio = true;
+      result.loudnessLUFS = await measureLoudness(audioBuffer);
+    } catch (e) {
+      // Video-only files and unsupported audio codecs both fail to decode
+      console.warn('[CAV] Could not analyze audio track:', e.message);
+    }
+    return result;
+  }
+
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // The current values of the fields an update is about to change, so the
+  // update can be undone. Tags merge on update, so only the changed tag
+  // keys are kept ('' for tags the asset did not have).
+  function previousFields(asset, fields) {
+    const before = {};
+    for (const key of Object.keys(fields)) {
+      if (key === 'tags') {
+        before.tags = {};
+        for (const tag of Object.keys(fields.tags || {})) before.tags[tag] = asset.tags?.[tag] ?? '';
       } else {
-        incompatibleReasons[channel] = reasons;
+        before[key] = asset[key] ?? null;
       }
     }
+    return before;
+  }
 
-    return {
-      type: 'image',
-      aspectRatio,
-      compatible: compatibleChannels,
-      incompatible: incompatibleReasons,
-      isOffSize: compatibleChannels.length === 0
-    };
+  function loadImageSize(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight });
+      img.onerror = () => reject(new Error('Could not load preview image'));
+      img.src = src;
+    });
   }
 
   async function calculateFileHash(file) {
@@ -1811,6 +1863,7 @@
         filterChannel: 'all',
         filterStatus: 'all',
         filterFavorites: false,
+        filterFolder: '', // FoldersCollections folder id (manual or smart)
         showFilters: false,
         editingAsset: null,
         selectedAssets: new Set(),
@@ -1830,7 +1883,10 @@
         keyboardNavIndex: -1,
         renamingAsset: null,
         renameValue: '',
-        expandedGroups: new Set()
+        expandedGroups: new Set(),
+        safeZoneChannel: null, // null = first matching channel, '' = overlay off
+        safeZoneChecks: {},
+        safeZoneChecking: false
       };
       
       this.itemsPerPage = 10;
@@ -1848,6 +1904,7 @@
     }
 
     async init() {
+      this.registerUndoTypes();
       this.render();
       await this.loadAssets();
       this.calculateStorageUsage();
@@ -1860,10 +1917,15 @@
       this.render();
       
       try {
+        // Folders and search queries are applied here, so fetch every page
+        // when either is active
+        const folder = this.getActiveFolder();
+        const query = window.CAVSearch ? this.state.searchTerm.trim() : '';
+        const fetchAll = Boolean(folder || query);
         const result = await this.storage.getAssets({
-          page: this.state.currentPage,
-          per_page: this.itemsPerPage,
-          search: this.state.searchTerm,
+          page: fetchAll ? 1 : this.state.currentPage,
+          per_page: fetchAll ? window.cavAdvanced.FoldersCollections.MAX_LIBRARY_ASSETS : this.itemsPerPage,
+          search: window.CAVSearch ? '' : this.state.searchTerm,
           channel: this.state.filterChannel !== 'all' ? this.state.filterChannel : '',
           status: this.state.filterStatus !== 'all' ? this.state.filterStatus : '',
           is_team: this.state.storageMode === 'team',
@@ -1875,6 +1937,19 @@
         this.state.assets = result.assets || [];
         this.state.totalPages = result.pages || 1;
         this.state.totalAssets = result.total || 0;
+
+        if (folder) {
+          // Smart folders re-run their query on every load
+          this.state.assets = window.cavAdvanced.FoldersCollections.getFolderAssets(folder, this.state.assets);
+        }
+        if (query) {
+          // Full text with typo tolerance and brand:/ratio:/status: filters
+          this.state.assets = window.CAVSearch.filterAssets(this.state.assets, query);
+        }
+        if (fetchAll) {
+          this.state.totalPages = 1;
+          this.state.totalAssets = this.state.assets.length;
+        }
         
         // Update video storage info
         this.state.videoStorageInfo = await this.storage.getVideoStorageInfo();
@@ -1889,12 +1964,219 @@
       this.render();
     }
 
+    // The folder selected as a filter preset, or null (also when it was deleted)
+    getActiveFolder() {
+      if (!this.state.filterFolder) return null;
+      return window.cavAdvanced?.FoldersCollections?.getFolder(this.state.filterFolder) || null;
+    }
+
+    setFolderFilter(folderId) {
+      this.state.filterFolder = folderId || '';
+      if (folderId) this.state.showFilters = true;
+      this.state.currentPage = 1;
+      return this.loadAssets();
+    }
+
+    // Run a search in the library (global search's "Show in library")
+    setSearchTerm(term) {
+      this.state.searchTerm = term || '';
+      this.state.currentPage = 1;
+      return this.loadAssets();
+    }
+
+    // Open an asset's preview from outside the grid (global search results)
+    async showAssetPreview(id) {
+      const asset = await this.findAsset(id);
+      if (!asset) return false;
+      this.state.previewAsset = asset;
+      this.render();
+      return true;
+    }
+
+    // ============================================
+    // UNDO HISTORY (undo-history.js)
+    // ============================================
+
+    // A library asset by id: on screen, in the trash, or from storage
+    async findAsset(id) {
+      return this.state.assets.find(a => a.id === id)
+        || this.state.trashedAssets?.find(a => a.id === id)
+        || await this.storage.idbGetAssetById(id);
+    }
+
+    /**
+     * Update assets and record the change as one undoable command.
+     * @param {Array<{id, fields}>} updates
+     * @param {string} description - Shown in the undo toast and history
+     * @param {Object} [extra] - { crmLinks: [{ kind: 'company'|'project', id, assetId }] } made alongside
+     * @returns {Promise<number>} - How many assets were updated
+     */
+    async updateAssets(updates, description, extra = {}) {
+      const changes = [];
+      for (const { id, fields } of updates) {
+        const asset = await this.findAsset(id);
+        const before = asset ? previousFields(asset, fields) : null;
+        const result = await this.storage.updateAsset(id, fields);
+        if (!before || result?.success === false) continue;
+        changes.push({ id, before, after: fields });
+      }
+      if (changes.length > 0 || extra.crmLinks?.length) {
+        window.CAVUndoHistory?.record({
+          type: 'asset.update',
+          description,
+          data: { changes, crmLinks: extra.crmLinks || [] },
+        });
+      }
+      return changes.length;
+    }
+
+    /**
+     * Delete assets for good, keeping full copies (file data included) in
+     * the undo history so the delete can be undone this session.
+     */
+    async deleteAssets(ids, verb, description = null) {
+      const snapshots = [];
+      for (const id of ids) {
+        const asset = await this.findAsset(id);
+        if (asset) snapshots.push(await this.snapshotAsset(asset));
+      }
+      await this.storage.bulkOperation('delete', ids);
+      if (snapshots.length > 0) {
+        window.CAVUndoHistory?.record({
+          type: 'asset.delete',
+          description: description || `${verb} ${snapshots.length === 1 ? `"${snapshots[0].filename}"` : `${snapshots.length} assets`}`,
+          data: { assets: snapshots },
+        });
+      }
+    }
+
+    // StorageManager.bulkOperation field updates, recorded for undo
+    async runBulkOperation(operation, ids, data, description) {
+      const fieldsFor = {
+        update_status: () => ({ tags: { status: data.status } }),
+        update_tags: () => ({ tags: data }),
+        move_to_team: () => ({ is_team: true, team_key: this.storage.teamStorageKey }),
+        move_to_personal: () => ({ is_team: false, team_key: null }),
+      }[operation];
+      if (!fieldsFor) throw new Error(`Unknown bulk operation: ${operation}`);
+
+      const changes = [];
+      for (const id of ids) {
+        const asset = await this.findAsset(id);
+        if (asset) changes.push({ id, before: previousFields(asset, fieldsFor()), after: fieldsFor() });
+      }
+      const results = await this.storage.bulkOperation(operation, ids, data);
+      if (changes.length > 0) {
+        window.CAVUndoHistory?.record({ type: 'asset.update', description, data: { changes, crmLinks: [] } });
+      }
+      return results;
+    }
+
+    // A copy that saveAsset can put back: videos keep their file data
+    async snapshotAsset(asset) {
+      const snapshot = { ...asset };
+      if (snapshot.file_type === 'video' && !snapshot.video_url?.startsWith('data:') && snapshot.has_video_blob) {
+        snapshot.video_url = await this.storage.idbGetVideoDataUrl(asset.id);
+      }
+      return snapshot;
+    }
+
+    registerUndoTypes() {
+      const history = window.CAVUndoHistory;
+      if (!history) return;
+
+      history.registerType('asset.update', {
+        undo: (data) => this.applyAssetChanges(data, 'before'),
+        redo: (data) => this.applyAssetChanges(data, 'after'),
+      });
+      history.registerType('asset.delete', {
+        undo: (data) => this.saveAssetSnapshots(data.assets),
+        redo: (data) => this.removeAssetSnapshots(data.assets),
+      });
+      // Assets added to the library (AI derivatives, imports)
+      history.registerType('asset.create', {
+        undo: (data) => this.removeAssetSnapshots(data.assets),
+        redo: (data) => this.saveAssetSnapshots(data.assets),
+      });
+    }
+
+    // Field values are absolute, so applying a side twice is harmless
+    async applyAssetChanges(data, side) {
+      for (const change of data.changes) {
+        const result = await this.storage.updateAsset(change.id, change[side]);
+        if (result?.success === false) throw new Error(result.message || `Could not update ${change.id}`);
+      }
+      for (const link of data.crmLinks || []) {
+        const crm = window.cavCRM;
+        const record = link.kind === 'company' ? crm?.getCompany(link.id) : crm?.getProject(link.id);
+        if (!record) continue;
+        const linkedAssets = (record.linkedAssets || []).filter(id => id !== link.assetId);
+        if (side === 'after') linkedAssets.push(link.assetId);
+        if (link.kind === 'company') crm.updateCompany(link.id, { linkedAssets });
+        else crm.updateProject(link.id, { linkedAssets });
+      }
+      await this.refreshAfterUndo();
+    }
+
+    async saveAssetSnapshots(snapshots) {
+      for (const snapshot of snapshots) {
+        const result = await this.storage.saveAsset({ ...snapshot });
+        if (result?.success === false) throw new Error(result.message || `Could not restore ${snapshot.filename}`);
+      }
+      await this.refreshAfterUndo();
+    }
+
+    async removeAssetSnapshots(snapshots) {
+      await this.storage.bulkOperation('delete', snapshots.map(a => a.id));
+      snapshots.forEach(a => this.state.selectedAssets.delete(a.id));
+      await this.refreshAfterUndo();
+    }
+
+    async refreshAfterUndo() {
+      if (this.state.showTrash) await this.loadTrashedAssets();
+      await this.loadAssets();
+    }
+
+    async undo() {
+      await this.runHistory('undo');
+    }
+
+    async redo() {
+      await this.runHistory('redo');
+    }
+
+    async runHistory(direction) {
+      const history = window.CAVUndoHistory;
+      if (!history) return;
+      try {
+        const command = await history[direction]();
+        if (command) {
+          window.showNotification?.(`${direction === 'undo' ? 'Undid' : 'Redid'}: ${command.description}`, 'success');
+        }
+      } catch (error) {
+        console.error(`[CAV] ${direction} failed:`, error);
+        window.showNotification?.(error.message, 'error');
+      }
+    }
+
     setupEventListeners() {
-      // Legacy - kept for compatibility
+      // Assets saved on other devices, pulled in the background by the storage layer
+      window.addEventListener('cav:data-changed', (e) => {
+        if (e.detail?.tableName === 'assets' && e.detail.eventType === 'SYNC' && !this.state.loading) {
+          this.loadAssets();
+        }
+      });
     }
 
     setupKeyboardShortcuts() {
       document.addEventListener('keydown', (e) => {
+        // Global search: Ctrl/Cmd+K, also from inside inputs
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k' && window.cavAdvanced?.GlobalSearch) {
+          e.preventDefault();
+          window.cavAdvanced.GlobalSearch.open();
+          return;
+        }
+
         // Don't trigger shortcuts when typing in inputs
         if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
           if (e.key === 'Escape') {
@@ -1903,6 +2185,15 @@
           return;
         }
 
+        // Undo: Ctrl/Cmd+Z; redo: Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y
+        const key = e.key.toLowerCase();
+        if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y')) {
+          e.preventDefault();
+          if (key === 'y' || e.shiftKey) this.redo();
+          else this.undo();
+          return;
+        }
+
         const handler = this.keyboardShortcuts[e.key];
         if (handler) {
           e.preventDefault();
@@ -1979,6 +2270,9 @@ Enter - Preview selected asset
 Delete - Delete selected asset
 F - Toggle favorite
 S - Focus search
+Ctrl/Cmd+K - Search assets, analyses, swipe file and CRM
+Ctrl/Cmd+Z - Undo
+Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y - Redo
 Esc - Close modal/clear selection
 ? - Show this help`);
     }
@@ -1999,25 +2293,35 @@ Esc - Close modal/clear selection
       const asset = this.state.assets.find(a => a.id === assetId);
       if (asset) {
         const isFavorite = !asset.is_favorite;
-        await this.storage.updateAsset(assetId, { is_favorite: isFavorite });
+        await this.updateAssets([{ id: assetId, fields: { is_favorite: isFavorite } }],
+          `${isFavorite ? 'Favorite' : 'Unfavorite'} "${asset.filename}"`);
         asset.is_favorite = isFavorite;
         this.render();
       }
     }
 
+    async bulkToggleFavorite() {
+      const updates = this.state.assets
+        .filter(a => this.state.selectedAssets.has(a.id))
+        .map(a => ({ id: a.id, fields: { is_favorite: !a.is_favorite } }));
+      await this.updateAssets(updates, `Toggle favorite on ${updates.length} asset${updates.length !== 1 ? 's' : ''}`);
+      this.state.selectedAssets = new Set();
+      await this.loadAssets();
+    }
+
     async archiveAsset(assetId) {
       const asset = this.state.assets.find(a => a.id === assetId);
       if (asset) {
-        asset.is_trashed = true;
-        asset.is_archived = true;
-        asset.trashed_at = new Date().toISOString();
-        asset.archived_at = asset.trashed_at;
-        await this.storage.updateAsset(assetId, { 
+        const trashedAt = new Date().toISOString();
+        const fields = {
           is_trashed: true,
           is_archived: true, 
-          trashed_at: asset.trashed_at,
-          archived_at: asset.trashed_at 
-        });
+          trashed_at: trashedAt,
+          archived_at: trashedAt 
+        };
+        // Record the asset's state before it changes, for undo
+        await this.updateAssets([{ id: assetId, fields }], `Move "${asset.filename}" to trash`);
+        Object.assign(asset, fields);
         this.state.showDeleteConfirm = null;
         await this.loadAssets();
         // Show success notification
@@ -2027,19 +2331,19 @@ Esc - Close modal/clear selection
 
     async restoreAsset(assetId) {
       const asset = this.state.trashedAssets?.find(a => a.id === assetId);
-      await this.storage.updateAsset(assetId, { 
+      await this.updateAssets([{ id: assetId, fields: {
         is_trashed: false,
         is_archived: false, 
         trashed_at: null,
         archived_at: null 
-      });
+      } }], `Restore "${asset?.filename || 'asset'}" from trash`);
       await this.loadTrashedAssets();
       // Show success notification
       window.showNotification?.(`"${asset?.filename || 'Asset'}" restored`, 'success');
     }
 
     async permanentlyDeleteAsset(assetId) {
-      await this.storage.deleteAsset(assetId);
+      await this.deleteAssets([assetId], 'Permanently delete');
       await this.loadTrashedAssets();
     }
 
@@ -2063,10 +2367,8 @@ Esc - Close modal/clear selection
     }
 
     async emptyTrash() {
-      if (confirm('Permanently delete all items in trash? This cannot be undone.')) {
-        for (const asset of this.state.trashedAssets) {
-          await this.storage.deleteAsset(asset.id);
-        }
+      if (confirm('Permanently delete all items in trash? You can undo this until you close this tab.')) {
+        await this.deleteAssets(this.state.trashedAssets.map(a => a.id), 'Permanently delete');
         this.state.trashedAssets = [];
         this.render();
       }
@@ -2111,7 +2413,9 @@ Esc - Close modal/clear selection
       }
       
       try {
-        await this.storage.updateAsset(assetId, { filename: newFilename });
+        const asset = this.state.assets.find(a => a.id === assetId);
+        await this.updateAssets([{ id: assetId, fields: { filename: newFilename } }],
+          `Rename "${asset?.filename || 'asset'}" to "${newFilename}"`);
         this.state.renamingAsset = null;
         this.state.renameValue = '';
         await this.loadAssets();
@@ -2133,15 +2437,15 @@ Esc - Close modal/clear selection
       const incompatible = validation.incompatible || {};
       
       for (const [channel, reasons] of Object.entries(incompatible)) {
-        const specs = CHANNEL_SPECS[channel] || IMAGE_SPECS[channel];
+        const specs = SpecRegistry.getSpec(channel);
         if (!specs) continue;
         
         const rec = { channel, suggestions: [] };
         
         for (const reason of reasons) {
-          if (reason.includes('Aspect ratio')) {
+          if (reason.includes('Aspect ratio') || reason.includes('Exact size')) {
             const targetRatios = specs.aspectRatios;
-            const bestRes = specs.resolutions?.[0];
+            const bestRes = SpecRegistry.getTargetSize(specs);
             if (bestRes) {
               rec.suggestions.push(`Resize to ${bestRes.width}×${bestRes.height} (${targetRatios[0]})`);
             }
@@ -2153,7 +2457,7 @@ Esc - Close modal/clear selection
             rec.suggestions.push(`Trim to under ${specs.maxDuration}s`);
           }
           if (reason.includes('File size')) {
-            rec.suggestions.push(`Compress to under ${specs.maxFileSizeMB}MB`);
+            rec.suggestions.push(`Compress to under ${SpecRegistry.getMaxFileSizeMB(specs, asset.type)}MB`);
           }
         }
         
@@ -2183,9 +2487,11 @@ Esc - Close modal/clear selection
         return;
       }
       
-      for (const assetId of this.state.selectedAssets) {
-        await this.storage.updateAsset(assetId, { tags: updates });
-      }
+      const count = this.state.selectedAssets.size;
+      await this.updateAssets(
+        Array.from(this.state.selectedAssets, id => ({ id, fields: { tags: updates } })),
+        `Tag ${count} asset${count !== 1 ? 's' : ''} (${Object.values(updates).join(', ')})`
+      );
       
       this.state.showBatchTagModal = false;
       this.state.selectedAssets = new Set();
@@ -2294,7 +2600,7 @@ Esc - Close modal/clear selection
               video.currentTime = Math.min(1, video.duration * 0.25);
             };
             
-            video.onseeked = () => {
+            video.onseeked = async () => {
               // Generate thumbnail from video frame
               const canvas = document.createElement('canvas');
               canvas.width = video.videoWidth;
@@ -2309,11 +2615,15 @@ Esc - Close modal/clear selection
                 console.warn('Could not generate video thumbnail:', e);
               }
               
+              const audio = await analyzeVideoAudio(file, video);
               const metadata = {
                 width: video.videoWidth,
                 height: video.videoHeight,
                 duration: Math.round(video.duration),
-                size: file.size
+                size: file.size,
+                bitrateKbps: video.duration ? Math.round((file.size * 8) / video.duration / 1000) : null,
+                hasAudio: audio.hasAudio,
+                loudnessLUFS: audio.loudnessLUFS
               };
               const validation = validateVideo(file, metadata);
               
@@ -2439,6 +2749,10 @@ Esc - Close modal/clear selection
           
           if (result.success) {
             this.state.uploadProgress[i].status = 'success';
+            const [similar] = await this.findSimilarAssets(result.asset);
+            if (similar) {
+              this.state.uploadProgress[i].message = `Similar to "${similar.asset.filename}" (${Math.round(similar.similarity * 100)}%)`;
+            }
             
             // Analyze upload for CRM filing (async, non-blocking)
             if (window.cavAILibrary && result.asset) {
@@ -2467,9 +2781,28 @@ Esc - Close modal/clear selection
       }, 2000);
     }
 
+    // Near-duplicates of a new upload among the assets on screen
+    // (perceptual-hash.js); exact copies are already caught by file_hash
+    async findSimilarAssets(asset) {
+      const perceptual = window.CAVPerceptualHash;
+      if (!perceptual) return [];
+      try {
+        const [entry] = await perceptual.index.indexAssets([asset]);
+        if (!entry) return [];
+        const library = await perceptual.index.indexAssets(
+          this.state.assets.filter(a => a.id !== asset.id),
+          { resolveAsset: a => this.snapshotAsset(a) }
+        );
+        return perceptual.findSimilar(entry, library, { threshold: perceptual.getThreshold() });
+      } catch (e) {
+        console.warn('[CAV] Similar asset check failed:', e);
+        return [];
+      }
+    }
+
     async deleteAsset(assetId) {
       try {
-        await this.storage.deleteAsset(assetId);
+        await this.deleteAssets([assetId], 'Delete');
         this.state.showDeleteConfirm = null;
         if (this.state.selectedAsset === assetId) {
           this.state.selectedAsset = null;
@@ -2486,7 +2819,7 @@ Esc - Close modal/clear selection
       if (this.state.selectedAssets.size === 0) return;
       
       try {
-        await this.storage.bulkOperation('delete', Array.from(this.state.selectedAssets));
+        await this.deleteAssets(Array.from(this.state.selectedAssets), 'Delete');
         this.state.selectedAssets = new Set();
         this.state.showBulkActions = false;
         await this.loadAssets();
@@ -2500,7 +2833,8 @@ Esc - Close modal/clear selection
       if (this.state.selectedAssets.size === 0) return;
       
       try {
-        await this.storage.bulkOperation('update_status', Array.from(this.state.selectedAssets), { status });
+        await this.runBulkOperation('update_status', Array.from(this.state.selectedAssets), { status },
+          `Set status to ${status} on ${this.state.selectedAssets.size} asset${this.state.selectedAssets.size !== 1 ? 's' : ''}`);
         this.state.selectedAssets = new Set();
         this.state.showBulkActions = false;
         await this.loadAssets();
@@ -2510,14 +2844,26 @@ Esc - Close modal/clear selection
       }
     }
 
+    async bulkMoveToFolder(folderId) {
+      const folders = window.cavAdvanced?.FoldersCollections;
+      if (!folders || this.state.selectedAssets.size === 0) return;
+
+      const added = folders.addAssetsToFolder(folderId, Array.from(this.state.selectedAssets));
+      this.state.selectedAssets = new Set();
+      this.state.showBulkActions = false;
+      await this.loadAssets();
+      window.showNotification?.(`Moved ${added} asset${added !== 1 ? 's' : ''} to ${folders.getFolder(folderId)?.name || 'folder'}`, 'success');
+    }
+
     async updateAssetTags(assetId, tags) {
       try {
         // Extract CRM link IDs for special handling
         const linkedCompanyId = tags.linkedCompanyId;
         const linkedProjectId = tags.linkedProjectId;
         
-        // Save asset with tags
-        await this.storage.updateAsset(assetId, { tags });
+        const asset = this.state.assets.find(a => a.id === assetId);
+        // CRM links made here are undone with the tags
+        const crmLinks = [];
         
         // If linked to a CRM company, also update the company's linked assets
         if (linkedCompanyId && window.cavCRM) {
@@ -2527,6 +2873,7 @@ Esc - Close modal/clear selection
             if (!linkedAssets.includes(assetId)) {
               linkedAssets.push(assetId);
               window.cavCRM.updateCompany(linkedCompanyId, { linkedAssets });
+              crmLinks.push({ kind: 'company', id: linkedCompanyId, assetId });
               console.log(`[CAV] Asset ${assetId} linked to company ${company.name}`);
             }
           }
@@ -2540,11 +2887,16 @@ Esc - Close modal/clear selection
             if (!linkedAssets.includes(assetId)) {
               linkedAssets.push(assetId);
               window.cavCRM.updateProject(linkedProjectId, { linkedAssets });
+              crmLinks.push({ kind: 'project', id: linkedProjectId, assetId });
               console.log(`[CAV] Asset ${assetId} linked to project ${project.name}`);
             }
           }
         }
         
+        // Save asset with tags
+        await this.updateAssets([{ id: assetId, fields: { tags } }],
+          `Edit tags on "${asset?.filename || 'asset'}"`, { crmLinks });
+        
         await this.loadAssets();
       } catch (error) {
         console.error('Failed to update tags:', error);
@@ -2605,10 +2957,7 @@ Esc - Close modal/clear selection
     }
 
     getAllChannels() {
-      return [...new Set([
-        ...Object.keys(CHANNEL_SPECS),
-        ...Object.keys(IMAGE_SPECS)
-      ])].sort();
+      return SpecRegistry.getChannelNames().sort();
     }
 
     toggleSelectAll() {
@@ -2799,8 +3148,8 @@ Esc - Close modal/clear selection
               ${Icons.Search()}
               <input type="text" 
                      class="cav-search-input" 
-                     placeholder="Search by filename, campaign, client, or project..."
-                     value="${this.state.searchTerm}"
+                     placeholder="Search… e.g. summer brand:acme ratio:9:16 status:offsize"
+                     value="${escapeHtml(this.state.searchTerm)}"
                      id="cav-search">
             </div>
             <button class="cav-favorites-btn ${this.state.filterFavorites ? 'active' : ''}" id="cav-toggle-favorites" title="Show favorites only">
@@ -2845,12 +3194,23 @@ Esc - Close modal/clear selection
                   <option value="rejected" ${this.state.filterStatus === 'rejected' ? 'selected' : ''}>Rejected</option>
                 </select>
               </div>
+              ${window.cavAdvanced?.FoldersCollections?.folders.length ? `
+                <div class="cav-filter-group">
+                  <label>Folder</label>
+                  <select class="cav-filter-select" id="cav-filter-folder">
+                    <option value="">All Assets</option>
+                    ${window.cavAdvanced.FoldersCollections.folders.map(f => `
+                      <option value="${escapeHtml(f.id)}" ${this.state.filterFolder === f.id ? 'selected' : ''}>${f.type === 'smart' ? '⚡ ' : ''}${escapeHtml(f.name)}</option>
+                    `).join('')}
+                  </select>
+                </div>
+              ` : ''}
               <button class="cav-clear-filters" id="cav-clear-filters">Clear Filters</button>
             </div>
           ` : ''}
           
           <div class="cav-results-bar">
-            <p>Showing ${this.state.assets.length} of ${this.state.totalAssets} assets ${this.state.filterFavorites ? '(favorites only)' : ''}</p>
+            <p>Showing ${this.state.assets.length} of ${this.state.totalAssets} assets ${this.state.filterFavorites ? '(favorites only)' : ''} ${this.getActiveFolder() ? `in ${escapeHtml(this.getActiveFolder().name)}` : ''}</p>
             ${this.state.assets.length > 0 ? `
               <button class="cav-export-btn" id="cav-export">
                 ${Icons.Download()} Export Report
@@ -2994,7 +3354,7 @@ Esc - Close modal/clear selection
               <span class="cav-progress-name">${item.name}</span>
               <span class="cav-progress-status">
                 ${item.status === 'processing' ? 'Processing...' : ''}
-                ${item.status === 'success' ? Icons.CheckCircle() + ' Uploaded' : ''}
+                ${item.status === 'success' ? Icons.CheckCircle() + ' Uploaded' + (item.message ? ` · ${escapeHtml(item.message)}` : '') : ''}
                 ${item.status === 'error' ? Icons.XCircle() + ' ' + (item.message || 'Error') : ''}
                 ${item.status === 'duplicate' ? Icons.Copy() + ' ' + (item.message || 'Duplicate') : ''}
               </span>
@@ -3007,6 +3367,8 @@ Esc - Close modal/clear selection
     renderBulkActions() {
       const canEdit = this.storage.canEdit();
       const canDelete = this.storage.canDelete();
+      const folders = window.cavAdvanced?.FoldersCollections;
+      const manualFolders = folders ? folders.folders.filter(f => !folders.isSmart(f)) : [];
       
       return `
         <div class="cav-bulk-actions">
@@ -3026,6 +3388,12 @@ Esc - Close modal/clear selection
                 <option value="rejected">Rejected</option>
               </select>
             ` : ''}
+            ${manualFolders.length > 0 ? `
+              <select class="cav-bulk-status cav-bulk-folder" id="cav-bulk-folder">
+                <option value="">Move to Folder...</option>
+                ${manualFolders.map(f => `<option value="${f.id}">${escapeHtml(f.name)}</option>`).join('')}
+              </select>
+            ` : ''}
             <button class="cav-bulk-favorite" id="cav-bulk-favorite">
               <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="vertical-align: middle; margin-right: 4px;"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/></svg>
               Toggle Favorite
@@ -3588,7 +3956,7 @@ Esc - Close modal/clear selection
     }
 
     renderEmptyState() {
-      if (this.state.searchTerm || this.state.filterChannel !== 'all' || this.state.filterStatus !== 'all') {
+      if (this.state.searchTerm || this.state.filterChannel !== 'all' || this.state.filterStatus !== 'all' || this.state.filterFolder) {
         return `
           <div class="cav-empty-state">
             ${Icons.AlertCircle()}
@@ -3637,6 +4005,7 @@ Esc - Close modal/clear selection
       const aspectRatio = asset.width && asset.height ? (asset.width / asset.height) : 1;
       const isVertical = aspectRatio < 1;
       const isSquare = Math.abs(aspectRatio - 1) < 0.1;
+      const safeZone = this.getPreviewSafeZone(asset, isVideo);
 
       return `
         <div class="cav-modal-overlay" id="cav-modal-overlay">
@@ -3671,6 +4040,7 @@ Esc - Close modal/clear selection
                   <small>${asset.filename}</small>
                 </div>
               `}
+              ${safeZone.channel ? this.renderSafeZoneOverlay(asset, safeZone) : ''}
             </div>
             <div class="cav-preview-info">
               <h3>${asset.filename}</h3>
@@ -3688,12 +4058,111 @@ Esc - Close modal/clear selection
                   ${asset.validation.compatible.length > 5 ? `<span class="cav-preview-channel more">+${asset.validation.compatible.length - 5} more</span>` : ''}
                 </div>
               ` : ''}
+              ${safeZone.channels.length > 0 ? this.renderSafeZoneControls(asset, safeZone) : ''}
             </div>
           </div>
         </div>
       `;
     }
 
+    // Safe-zone state for the preview: channels whose UI overlay applies to
+    // this asset, the selected one, and the last text/logo check if any
+    getPreviewSafeZone(asset, isVideo) {
+      const channels = asset.width && asset.height
+        ? SpecRegistry.getSafeZoneChannels({ width: asset.width, height: asset.height, type: isVideo ? 'video' : 'image' })
+        : [];
+      const selected = this.state.safeZoneChannel;
+      const channel = selected === '' ? null : (channels.includes(selected) ? selected : channels[0] || null);
+      const check = this.state.safeZoneChecks[asset.id] || null;
+      return {
+        channels,
+        channel,
+        zone: channel ? SpecRegistry.getSafeZone(channel) : null,
+        check,
+        issues: check?.channels?.[channel]?.issues || []
+      };
+    }
+
+    renderSafeZoneOverlay(asset, safeZone) {
+      const w = asset.width;
+      const h = asset.height;
+      const zone = safeZone.zone;
+      const elements = safeZone.check?.elements || [];
+      const flagged = new Set(safeZone.issues.map(i => i.current));
+
+      return `
+        <svg class="cav-safe-zone-overlay" viewBox="0 0 ${w} ${h}" preserveAspectRatio="xMidYMid meet" aria-hidden="true">
+          <defs>
+            <mask id="cav-safe-zone-mask">
+              <rect width="${w}" height="${h}" fill="white"/>
+              <rect x="${zone.x * w}" y="${zone.y * h}" width="${zone.width * w}" height="${zone.height * h}" fill="black"/>
+            </mask>
+          </defs>
+          <rect width="${w}" height="${h}" class="cav-safe-zone-ui" mask="url(#cav-safe-zone-mask)"/>
+          <rect x="${zone.x * w}" y="${zone.y * h}" width="${zone.width * w}" height="${zone.height * h}" class="cav-safe-zone-frame"/>
+          ${elements.map(e => `
+            <rect x="${e.box.x * w}" y="${e.box.y * h}" width="${e.box.width * w}" height="${e.box.height * h}"
+              class="cav-safe-zone-element ${flagged.has(e.box) ? 'outside' : 'inside'}">
+              <title>${e.kind === 'logo' ? 'Logo' : 'Text'}: ${escapeHtml(e.label || '')}</title>
+            </rect>
+          `).join('')}
+        </svg>
+      `;
+    }
+
+    renderSafeZoneControls(asset, safeZone) {
+      const { check, issues } = safeZone;
+      const hasPreviewImage = !!(asset.thumbnail_url || asset.dataUrl);
+
+      return `
+        <div class="cav-safe-zone-controls">
+          <label for="cav-safe-zone-channel">Safe zone</label>
+          <select id="cav-safe-zone-channel">
+            <option value="" ${!safeZone.channel ? 'selected' : ''}>Off</option>
+            ${safeZone.channels.map(ch => `<option value="${ch}" ${ch === safeZone.channel ? 'selected' : ''}>${ch}</option>`).join('')}
+          </select>
+          <button class="cav-safe-zone-check" id="cav-check-safe-zone" data-id="${asset.id}"
+            ${this.state.safeZoneChecking || !hasPreviewImage ? 'disabled' : ''}>
+            ${this.state.safeZoneChecking ? 'Checking…' : check ? 'Re-check text & logos' : 'Check text & logos'}
+          </button>
+        </div>
+        ${check?.skipped ? `
+          <div class="cav-safe-zone-result warning">Text/logo detection unavailable: ${escapeHtml(check.error || 'unknown error')}</div>
+        ` : check && safeZone.channel ? `
+          <div class="cav-safe-zone-result ${issues.length ? 'error' : 'ok'}">
+            ${issues.length === 0
+              ? `${check.elements.length} text/logo element${check.elements.length === 1 ? '' : 's'} inside the ${safeZone.channel} safe zone`
+              : issues.map(i => `<div>⚠️ ${escapeHtml(i.message)}</div>`).join('')}
+          </div>
+        ` : ''}
+      `;
+    }
+
+    // Video assets are checked on their thumbnail frame
+    async checkPreviewSafeZones(asset) {
+      const image = asset.thumbnail_url || asset.dataUrl;
+      const analysis = window.EnhancedCreativeAnalysis;
+      if (!image || !analysis) {
+        window.showNotification?.('Text and logo detection is not available', 'error');
+        return;
+      }
+
+      const isVideo = asset.file_type === 'video' || asset.type === 'video' || asset.duration > 0;
+      const { channels } = this.getPreviewSafeZone(asset, isVideo);
+
+      this.state.safeZoneChecking = true;
+      this.render();
+      try {
+        const size = await loadImageSize(image);
+        this.state.safeZoneChecks[asset.id] = await analysis.checkSafeZones(image, size, channels);
+      } catch (error) {
+        this.state.safeZoneChecks[asset.id] = { elements: [], channels: {}, error: error.message, skipped: true };
+      } finally {
+        this.state.safeZoneChecking = false;
+        this.render();
+      }
+    }
+
     renderDeleteConfirm() {
       const assetId = this.state.showDeleteConfirm;
       const asset = this.state.assets.find(a => a.id === assetId);
@@ -3822,6 +4291,12 @@ Esc - Close modal/clear selection
         });
       }
 
+      // Filter folder
+      const filterFolder = this.container.querySelector('#cav-filter-folder');
+      if (filterFolder) {
+        filterFolder.addEventListener('change', (e) => this.setFolderFilter(e.target.value));
+      }
+
       // Clear filters
       const clearFilters = this.container.querySelector('#cav-clear-filters');
       if (clearFilters) {
@@ -3829,6 +4304,7 @@ Esc - Close modal/clear selection
           this.state.searchTerm = '';
           this.state.filterChannel = 'all';
           this.state.filterStatus = 'all';
+          this.state.filterFolder = '';
           this.state.currentPage = 1;
           this.loadAssets();
         });
@@ -3841,6 +4317,7 @@ Esc - Close modal/clear selection
           this.state.searchTerm = '';
           this.state.filterChannel = 'all';
           this.state.filterStatus = 'all';
+          this.state.filterFolder = '';
           this.state.currentPage = 1;
           this.loadAssets();
         });
@@ -3907,6 +4384,15 @@ Esc - Close modal/clear selection
         });
       }
 
+      const bulkFolder = this.container.querySelector('#cav-bulk-folder');
+      if (bulkFolder) {
+        bulkFolder.addEventListener('change', (e) => {
+          if (e.target.value) {
+            this.bulkMoveToFolder(e.target.value);
+          }
+        });
+      }
+
       // Bulk delete
       const bulkDelete = this.container.querySelector('#cav-bulk-delete');
       if (bulkDelete) {
@@ -4167,13 +4653,7 @@ Esc - Close modal/clear selection
       // Bulk favorite
       const bulkFavorite = this.container.querySelector('#cav-bulk-favorite');
       if (bulkFavorite) {
-        bulkFavorite.addEventListener('click', async () => {
-          for (const id of this.state.selectedAssets) {
-            await this.toggleFavorite(id);
-          }
-          this.state.selectedAssets = new Set();
-          this.loadAssets();
-        });
+        bulkFavorite.addEventListener('click', () => this.bulkToggleFavorite());
       }
 
       // Batch tag modal
@@ -4272,6 +4752,21 @@ Esc - Close modal/clear selection
         });
       }
 
+      const safeZoneSelect = this.container.querySelector('#cav-safe-zone-channel');
+      if (safeZoneSelect) {
+        safeZoneSelect.addEventListener('change', () => {
+          this.state.safeZoneChannel = safeZoneSelect.value;
+          this.render();
+        });
+      }
+
+      const safeZoneCheck = this.container.querySelector('#cav-check-safe-zone');
+      if (safeZoneCheck) {
+        safeZoneCheck.addEventListener('click', () => {
+          if (this.state.previewAsset) this.checkPreviewSafeZones(this.state.previewAsset);
+        });
+      }
+
       const modalOverlay = this.container.querySelector('#cav-modal-overlay');
       if (modalOverlay) {
         modalOverlay.addEventListener('click', (e) => {
@@ -4354,8 +4849,14 @@ Esc - Close modal/clear selection
         get assets() { return app.state.assets; },
         get state() { return app.state; },
         refresh: () => app.loadAssets(),
+        // Show a folder (manual or smart) as the library filter; '' clears it
+        setFolderFilter: (folderId) => app.setFolderFilter(folderId),
+        setSearchTerm: (term) => app.setSearchTerm(term),
+        showAssetPreview: (id) => app.showAssetPreview(id),
         render: () => app.render(),
         getAssetById: (id) => app.state.assets.find(a => a.id === id),
+        // Same result shape as asset.validation, for files changed outside the upload flow
+        validate: (type, metadata) => validateAgainstSpecs(type, metadata),
         addAsset: async (asset) => {
           // CRITICAL FIX: Persist to IndexedDB AND add to in-memory state
           try {
@@ -4365,6 +4866,12 @@ Esc - Close modal/clear selection
               console.error('[CAV] Failed to save asset to IndexedDB:', result.message);
             } else {
               console.log('[CAV] Asset saved to IndexedDB:', asset.filename || asset.id);
+              const saved = result?.asset || asset;
+              window.CAVUndoHistory?.record({
+                type: 'asset.create',
+                description: `${asset.isDerivative || asset.is_ai_derivative ? 'Create derivative' : 'Add'} "${saved.filename || 'asset'}"`,
+                data: { assets: [saved] },
+              });
             }
           } catch (err) {
             console.error('[CAV] Error saving asset to IndexedDB:', err);
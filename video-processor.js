@@ -0,0 +1,444 @@
+/**
+ * Creative Asset Validator - Video Processor
+ * Version 1.0.0
+ *
+ * Trims, extends and re-encodes videos in the browser with ffmpeg.wasm,
+ * which runs in its own Web Worker. Auto-fix uses it for duration and file
+ * size fixes:
+ * - trim: cut to a maximum duration (stream copy; re-encoded when keyframe
+ *   placement makes the copy overshoot)
+ * - extend: loop the clip, or hold an end card (an image, or the last
+ *   frame when there is none), up to a minimum duration
+ * - compress: H.264/AAC re-encode at a bitrate computed from the size
+ *   limit, lowered and re-run while the output is still too large
+ *
+ * Outputs are MP4 Blobs. ffmpeg.wasm (~30 MB) loads from jsdelivr on first
+ * use, fetched into blob: URLs, so the deployed CSPs allow cdn.jsdelivr.net
+ * in connect-src and blob: workers; set window.CAV_FFMPEG_CONFIG = {
+ * ffmpegURL, workerURL, coreURL, wasmURL } to self-host it (its origin then
+ * needs the same). The ffmpeg argument builders and log parser
+ * are plain functions, also exported via module.exports.
+ */
+
+(function() {
+    'use strict';
+
+    const VERSION = '1.0.0';
+    const FFMPEG_VERSION = '0.12.10';
+    const CORE_VERSION = '0.12.6';
+    const DEFAULT_CONFIG = {
+        ffmpegURL: `https://cdn.jsdelivr.net/npm/@ffmpeg/ffmpeg@${FFMPEG_VERSION}/dist/umd/ffmpeg.js`,
+        workerURL: `https://cdn.jsdelivr.net/npm/@ffmpeg/ffmpeg@${FFMPEG_VERSION}/dist/umd/814.ffmpeg.js`,
+        coreURL: `https://cdn.jsdelivr.net/npm/@ffmpeg/core@${CORE_VERSION}/dist/umd/ffmpeg-core.js`,
+        wasmURL: `https://cdn.jsdelivr.net/npm/@ffmpeg/core@${CORE_VERSION}/dist/umd/ffmpeg-core.wasm`
+    };
+
+    const AUDIO_BITRATE_K = 96;
+    const MIN_VIDEO_BITRATE_K = 150;
+    // Share of the size limit spent on audio/video streams; the rest is
+    // container overhead and encoder overshoot
+    const SIZE_HEADROOM = 0.92;
+    const MAX_COMPRESS_PASSES = 3;
+    const END_CARD_FPS = 30;
+    // Trimmed copies may run this far past the limit before re-encoding
+    const DURATION_TOLERANCE = 0.05;
+
+    const H264_ARGS = ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p'];
+    const AAC_ARGS = ['-c:a', 'aac', '-b:a', '128k'];
+    const MP4_ARGS = ['-movflags', '+faststart'];
+
+    // ============================================
+    // FFMPEG ARGUMENTS
+    // ============================================
+
+    function seconds(value) {
+        return String(Math.round(value * 1000) / 1000);
+    }
+
+    /**
+     * Cut to the first `duration` seconds
+     * @param {Object} params - { input, output, duration, reencode }
+     */
+    function buildTrimArgs({ input, output, duration, reencode = false }) {
+        return reencode
+            ? ['-i', input, '-t', seconds(duration), ...H264_ARGS, ...AAC_ARGS, ...MP4_ARGS, output]
+            : ['-i', input, '-t', seconds(duration), '-c', 'copy', '-avoid_negative_ts', 'make_zero', ...MP4_ARGS, output];
+    }
+
+    /**
+     * Play the clip repeatedly until `duration` seconds
+     * @param {Object} params - { input, output, duration, sourceDuration }
+     */
+    function buildLoopArgs({ input, output, duration, sourceDuration }) {
+        const loops = Math.max(1, Math.ceil(duration / sourceDuration) - 1);
+        return ['-stream_loop', String(loops), '-i', input, '-t', seconds(duration), ...H264_ARGS, ...AAC_ARGS, ...MP4_ARGS, output];
+    }
+
+    /**
+     * Hold an end card after the clip until `duration` seconds. With a card
+     * image it is letterboxed to the video size; without one the last frame
+     * is held. Audio is padded with silence.
+     * @param {Object} params - { input, output, duration, sourceDuration, width, height, hasAudio, card, background }
+     */
+    function buildEndCardArgs({ input, output, duration, sourceDuration, width, height, hasAudio, card = null, background = 'black' }) {
+        const hold = Math.max(0, duration - sourceDuration) + DURATION_TOLERANCE;
+        const audio = hasAudio ? `[0:a]apad=whole_dur=${seconds(duration)}[a]` : null;
+        const audioArgs = hasAudio ? ['-map', '[a]', ...AAC_ARGS] : ['-an'];
+
+        if (!card) {
+            const filters = [`[0:v]tpad=stop_mode=clone:stop_duration=${seconds(hold)}[v]`, audio].filter(Boolean);
+            return ['-i', input, '-filter_complex', filters.join(';'), '-map', '[v]', ...audioArgs,
+                '-t', seconds(duration), ...H264_ARGS, ...MP4_ARGS, output];
+        }
+
+        // Even dimensions for yuv420p
+        const w = Math.round(width / 2) * 2;
+        const h = Math.round(height / 2) * 2;
+        const filters = [
+            `[0:v]fps=${END_CARD_FPS},scale=${w}:${h},setsar=1[main]`,
+            `[1:v]scale=${w}:${h}:force_original_aspect_ratio=decrease,pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2:color=${background},setsar=1,fps=${END_CARD_FPS}[card]`,
+            '[main][card]concat=n=2:v=1:a=0[v]',
+            audio
+        ].filter(Boolean);
+        return ['-i', input, '-loop', '1', '-t', seconds(hold), '-i', card,
+            '-filter_complex', filters.join(';'), '-map', '[v]', ...audioArgs,
+            '-t', seconds(duration), ...H264_ARGS, ...MP4_ARGS, output];
+    }
+
+    /**
+     * Video bitrate (kbps) that fits `maxBytes` over `duration` seconds
+     */
+    function compressBitrate({ maxBytes, duration, hasAudio }) {
+        const totalK = (maxBytes * 8 * SIZE_HEADROOM) / duration / 1000;
+        return Math.floor(totalK - (hasAudio ? AUDIO_BITRATE_K : 0));
+    }
+
+    /**
+     * Re-encode at a fixed video bitrate
+     * @param {Object} params - { input, output, videoKbps, hasAudio }
+     */
+    function buildCompressArgs({ input, output, videoKbps, hasAudio }) {
+        return ['-i', input,
+            '-c:v', 'libx264', '-preset', 'veryfast', '-b:v', `${videoKbps}k`, '-maxrate', `${videoKbps}k`,
+            '-bufsize', `${videoKbps * 2}k`, '-pix_fmt', 'yuv420p',
+            ...(hasAudio ? ['-c:a', 'aac', '-b:a', `${AUDIO_BITRATE_K}k`] : ['-an']),
+            ...MP4_ARGS, output];
+    }
+
+    /**
+     * Read duration, size, frame rate and audio presence from the log of
+     * `ffmpeg -i <file>`
+     */
+    function parseProbeLog(lines) {
+        const text = Array.isArray(lines) ? lines.join('\n') : String(lines);
+        const info = { duration: null, width: null, height: null, fps: null, hasAudio: false, videoCodec: null };
+
+        const duration = /Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/.exec(text);
+        if (duration) {
+            info.duration = Number(duration[1]) * 3600 + Number(duration[2]) * 60 + Number(duration[3]);
+        }
+        const video = /Stream #\d+:\d+[^:]*: Video: (\w+).*?, (\d{2,5})x(\d{2,5})/.exec(text);
+        if (video) {
+            info.videoCodec = video[1];
+            info.width = Number(video[2]);
+            info.height = Number(video[3]);
+        }
+        const fps = /Stream #\d+:\d+[^:]*: Video: .*?, (\d+(?:\.\d+)?) fps/.exec(text);
+        if (fps) info.fps = Number(fps[1]);
+        info.hasAudio = /Stream #\d+:\d+[^:]*: Audio:/.test(text);
+        return info;
+    }
+
+    // ============================================
+    // BROWSER RUNTIME
+    // ============================================
+
+    function abortError() {
+        const error = new Error('Video processing cancelled');
+        error.name = 'AbortError';
+        error.retryable = false;
+        return error;
+    }
+
+    function loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Failed to load ${src}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    // Cross-origin scripts cannot start workers; blob URLs can
+    async function toBlobURL(url, type) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Failed to fetch ${url} (${response.status})`);
+        return URL.createObjectURL(new Blob([await response.arrayBuffer()], { type }));
+    }
+
+    function extensionOf(asset) {
+        const fromName = /\.([a-z0-9]{2,4})$/i.exec(asset.filename || asset.name || '')?.[1];
+        if (fromName) return fromName.toLowerCase();
+        const mime = asset.mime_type || asset.blob?.type || asset.file?.type || '';
+        return { 'video/webm': 'webm', 'video/quicktime': 'mov' }[mime] || 'mp4';
+    }
+
+    async function readBytes(source) {
+        if (source instanceof Blob) return new Uint8Array(await source.arrayBuffer());
+        const response = await fetch(source);
+        if (!response.ok) throw new Error(`Could not download the video (${response.status})`);
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    function assetSource(asset) {
+        return asset.blob || asset.file || asset.dataUrl || asset.file_url || asset.video_url || asset.cloudinary_url || asset.url;
+    }
+
+    class VideoProcessor {
+        constructor() {
+            this.ffmpeg = null;
+            this.loading = null;
+            this.logs = [];
+            this.chain = Promise.resolve();
+            this.fileCounter = 0;
+        }
+
+        isAvailable() {
+            return typeof document !== 'undefined'
+                && typeof Worker !== 'undefined'
+                && typeof WebAssembly !== 'undefined';
+        }
+
+        /**
+         * Load ffmpeg.wasm once; later calls share the instance
+         */
+        load() {
+            if (this.ffmpeg) return Promise.resolve(this.ffmpeg);
+            if (!this.loading) {
+                this.loading = (async () => {
+                    const config = { ...DEFAULT_CONFIG, ...(window.CAV_FFMPEG_CONFIG || {}) };
+                    if (!window.FFmpegWASM) await loadScript(config.ffmpegURL);
+
+                    const ffmpeg = new window.FFmpegWASM.FFmpeg();
+                    ffmpeg.on('log', ({ message }) => this.logs.push(message));
+                    console.log('[VideoProcessor] Loading ffmpeg.wasm...');
+                    await ffmpeg.load({
+                        classWorkerURL: await toBlobURL(config.workerURL, 'text/javascript'),
+                        coreURL: await toBlobURL(config.coreURL, 'text/javascript'),
+                        wasmURL: await toBlobURL(config.wasmURL, 'application/wasm')
+                    });
+                    this.ffmpeg = ffmpeg;
+                    return ffmpeg;
+                })().catch(error => {
+                    this.loading = null;
+                    throw new Error(`Could not load ffmpeg.wasm: ${error.message}`);
+                });
+            }
+            return this.loading;
+        }
+
+        // Stops the worker (and any running command); the next call reloads
+        terminate() {
+            if (this.ffmpeg) {
+                try {
+                    this.ffmpeg.terminate();
+                } catch (e) {
+                    // Already stopped
+                }
+            }
+            this.ffmpeg = null;
+            this.loading = null;
+        }
+
+        // ffmpeg.wasm runs one command at a time
+        run(task) {
+            const next = this.chain.then(task, task);
+            this.chain = next.catch(() => {});
+            return next;
+        }
+
+        async exec(args, { signal, onProgress } = {}) {
+            const ffmpeg = await this.load();
+            if (signal?.aborted) throw abortError();
+
+            const progress = ({ progress: value }) => {
+                if (onProgress && value >= 0 && value <= 1) onProgress(value);
+            };
+            const abort = () => this.terminate();
+            ffmpeg.on('progress', progress);
+            signal?.addEventListener('abort', abort, { once: true });
+            this.logs = [];
+
+            try {
+                const code = await ffmpeg.exec(args);
+                if (signal?.aborted) throw abortError();
+                return { code, logs: this.logs };
+            } catch (error) {
+                if (signal?.aborted) throw abortError();
+                throw error;
+            } finally {
+                ffmpeg.off('progress', progress);
+                signal?.removeEventListener('abort', abort);
+            }
+        }
+
+        // `ffmpeg -i` exits with an error (no output), but logs the streams
+        async probe(name) {
+            const { logs } = await this.exec(['-hide_banner', '-i', name]);
+            return parseProbeLog(logs);
+        }
+
+        async writeFile(name, source) {
+            const ffmpeg = await this.load();
+            await ffmpeg.writeFile(name, await readBytes(source));
+            return name;
+        }
+
+        async readOutput(name) {
+            const data = await this.ffmpeg.readFile(name);
+            return new Blob([data], { type: 'video/mp4' });
+        }
+
+        async removeFiles(names) {
+            for (const name of names) {
+                try {
+                    await this.ffmpeg?.deleteFile(name);
+                } catch (e) {
+                    // Not written, or the worker was terminated
+                }
+            }
+        }
+
+        /**
+         * Run `build(files)` with the asset written to the worker's file
+         * system and return the output as a result object
+         */
+        process(asset, operation, build) {
+            return this.run(async () => {
+                const source = assetSource(asset);
+                if (!source) throw new Error('Video has no file or URL to process');
+
+                const id = ++this.fileCounter;
+                const files = { input: `in_${id}.${extensionOf(asset)}`, output: `out_${id}.mp4`, extra: [] };
+                try {
+                    await this.writeFile(files.input, source);
+                    const info = await this.probe(files.input);
+                    if (!info.duration) throw new Error('Could not read the video duration');
+
+                    const extra = await build(files, info);
+                    const blob = await this.readOutput(files.output);
+                    const output = await this.probe(files.output);
+                    return {
+                        success: true,
+                        backend: 'ffmpeg.wasm',
+                        operation,
+                        blob,
+                        url: URL.createObjectURL(blob),
+                        width: output.width || info.width,
+                        height: output.height || info.height,
+                        duration: output.duration,
+                        originalDuration: info.duration,
+                        format: 'mp4',
+                        mime_type: 'video/mp4',
+                        fileSize: blob.size,
+                        ...extra
+                    };
+                } finally {
+                    await this.removeFiles([files.input, files.output, ...files.extra]);
+                }
+            });
+        }
+
+        async execChecked(args, options) {
+            const { code, logs } = await this.exec(args, options);
+            if (code !== 0) {
+                throw new Error(`ffmpeg failed: ${logs.filter(Boolean).slice(-1)[0] || `exit code ${code}`}`);
+            }
+        }
+
+        /**
+         * @param {Object} asset - Video asset with blob, file, dataUrl or url
+         * @param {Object} options - { maxDuration, signal, onProgress }
+         */
+        trim(asset, { maxDuration, signal, onProgress } = {}) {
+            return this.process(asset, 'trim', async (files) => {
+                await this.execChecked(buildTrimArgs({ input: files.input, output: files.output, duration: maxDuration }), { signal, onProgress });
+                const copied = await this.probe(files.output);
+                if (copied.duration && copied.duration <= maxDuration + DURATION_TOLERANCE) {
+                    return { reencoded: false };
+                }
+                await this.execChecked(['-y', ...buildTrimArgs({ input: files.input, output: files.output, duration: maxDuration, reencode: true })], { signal, onProgress });
+                return { reencoded: true };
+            });
+        }
+
+        /**
+         * @param {Object} options - { minDuration, mode ('loop' | 'endcard'), endCard (image Blob/URL), background, signal, onProgress }
+         *   mode defaults to endcard when an end card image is given, loop otherwise
+         */
+        extend(asset, { minDuration, mode, endCard = null, background, signal, onProgress } = {}) {
+            const resolvedMode = mode || (endCard ? 'endcard' : 'loop');
+            return this.process(asset, 'extend', async (files, info) => {
+                const params = { input: files.input, output: files.output, duration: minDuration, sourceDuration: info.duration };
+                if (resolvedMode === 'loop') {
+                    await this.execChecked(buildLoopArgs(params), { signal, onProgress });
+                    return { mode: 'loop' };
+                }
+
+                let card = null;
+                if (endCard) {
+                    card = `card_${this.fileCounter}`;
+                    files.extra.push(card);
+                    await this.writeFile(card, endCard);
+                }
+                await this.execChecked(buildEndCardArgs({
+                    ...params, width: info.width, height: info.height, hasAudio: info.hasAudio, card, background
+                }), { signal, onProgress });
+                return { mode: card ? 'endcard' : 'hold_last_frame' };
+            });
+        }
+
+        /**
+         * @param {Object} options - { maxFileSizeMB, signal, onProgress }
+         */
+        compress(asset, { maxFileSizeMB, signal, onProgress } = {}) {
+            return this.process(asset, 'compress', async (files, info) => {
+                const maxBytes = maxFileSizeMB * 1024 * 1024;
+                let videoKbps = compressBitrate({ maxBytes, duration: info.duration, hasAudio: info.hasAudio });
+
+                for (let pass = 1; pass <= MAX_COMPRESS_PASSES; pass++) {
+                    if (videoKbps < MIN_VIDEO_BITRATE_K) {
+                        throw Object.assign(new Error(`A ${Math.round(info.duration)}s video cannot fit under ${maxFileSizeMB}MB without dropping below ${MIN_VIDEO_BITRATE_K}kbps; trim it first`), { retryable: false });
+                    }
+                    await this.execChecked(['-y', ...buildCompressArgs({ input: files.input, output: files.output, videoKbps, hasAudio: info.hasAudio })], { signal, onProgress });
+                    const size = (await this.ffmpeg.readFile(files.output)).length;
+                    if (size <= maxBytes) return { videoBitrateKbps: videoKbps, passes: pass };
+                    videoKbps = Math.floor(videoKbps * (maxBytes / size) * SIZE_HEADROOM);
+                }
+                throw new Error(`Still over ${maxFileSizeMB}MB after ${MAX_COMPRESS_PASSES} passes`);
+            });
+        }
+    }
+
+    const VideoProcessorAPI = {
+        VERSION,
+        DEFAULT_CONFIG,
+        buildTrimArgs,
+        buildLoopArgs,
+        buildEndCardArgs,
+        buildCompressArgs,
+        compressBitrate,
+        parseProbeLog,
+        VideoProcessor
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VideoProcessorAPI;
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CAVVideoProcessor = Object.assign(new VideoProcessor(), VideoProcessorAPI);
+        console.log(`[VideoProcessor] v${VERSION} loaded`);
+    }
+})();